@@ -6,6 +6,9 @@ import NotificationToast from './components/NotificationToast';
 import PushPermissionBanner from './components/PushPermissionBanner';
 import UpgradeModal from './components/UpgradeModal';
 import BottomNav from './components/BottomNav';
+import CommandPalette from './components/CommandPalette';
+import PageQuickSwitcher from './components/PageQuickSwitcher';
+import OfflineSyncPanel from './components/OfflineSyncPanel';
 import api from './api/api';
 import { useSocket } from './hooks/useSocket';
 import WorkspaceSetup from './components/WorkspaceSetup';
@@ -385,7 +388,7 @@ function AppContent() {
     if (!isAuthenticated) {
       const params = new URLSearchParams(location.search);
       if ((location.pathname === '/crm' && params.get('expandContact')) ||
-          (location.pathname === '/tasks' && params.get('highlightTask')) ||
+          (location.pathname === '/tasks' && (params.get('highlightTask') || params.get('savedView'))) ||
           (location.pathname === '/messages' && params.get('highlight'))) {
         sessionStorage.setItem('pendingDeepLink', location.pathname + location.search);
       }
@@ -531,6 +534,12 @@ function AppContent() {
       {/* Centrálny upsell modal — reaguje na 'plan-gate' event z axios
           interceptora (utils/planGate). Mimo admin rozhrania. */}
       {isAuthenticated && !isAdminRoute && <UpgradeModal />}
+      {/* Ctrl/⌘+K vyhľadávanie — len v user-app, admin panel nemá workspace. */}
+      {isAuthenticated && !isAdminRoute && <CommandPalette />}
+      {/* Ctrl/⌘+P rýchly prechod na stránku podľa názvu. */}
+      {isAuthenticated && !isAdminRoute && <PageQuickSwitcher />}
+      {/* Offline režim — stav spojenia a zmeny, ktoré sa neuložili. */}
+      {isAuthenticated && !isAdminRoute && <OfflineSyncPanel />}
       {/* BottomNav je user-app navigácia — admin panel má vlastný tab-bar, takže
           na `/admin*` by bol BottomNav vizuálne rušivý aj zavádzajúci. */}
       {isAuthenticated && !isAdminRoute && <BottomNav unreadCounts={unreadCounts} />}
@@ -2,6 +2,7 @@ import axios from 'axios';
 import { getStoredToken, removeStoredToken, isNativeIOSApp } from '../utils/authStorage';
 import { getStoredWorkspaceId, removeStoredWorkspaceId } from '../utils/workspaceStorage';
 import { handlePlanGateError } from '../utils/planGate';
+import { installOfflineSupport, OFFLINE_ERROR_CODE } from '../services/offlineSync';
 
 export const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
 
@@ -23,8 +24,10 @@ api.interceptors.request.use(
     // má vlastný workspace bez multi-device interferencie. Ak header chýba
     // (prvý request po logine, pred fetchWorkspaces), backend spadne na DB
     // fallback. Viac v client/src/utils/workspaceStorage.js.
+    // Výnimka: replay offline zmien (services/offlineSync.js) posiela
+    // workspace, v ktorom zmena vznikla — user ho medzitým mohol prepnúť.
     const wsId = getStoredWorkspaceId();
-    if (wsId) {
+    if (wsId && !config.headers['X-Workspace-Id']) {
       config.headers['X-Workspace-Id'] = wsId;
     }
     return config;
@@ -45,7 +48,9 @@ api.interceptors.response.use(
     const isBlob = config.responseType === 'blob';
 
     const isTimeout = error.code === 'ECONNABORTED' || error.message?.includes('timeout');
-    const isNetwork = error.code === 'ERR_NETWORK' || (!error.response && error.message !== 'canceled');
+    // Offline bez uložených dát — opakovanie nepomôže (services/offlineSync.js)
+    const isOffline = error.code === OFFLINE_ERROR_CODE;
+    const isNetwork = !isOffline && (error.code === 'ERR_NETWORK' || (!error.response && error.message !== 'canceled'));
     const is503 = error.response?.status === 503;
 
     if (!isBlob && (isTimeout || isNetwork || is503) && config._retryCount < 3) {
@@ -137,4 +142,9 @@ api.interceptors.response.use(
   }
 );
 
+// Offline režim — IndexedDB cache a outbox zmien (services/offlineSync.js).
+// Aj globálny axios: editor stránok (PageView, Sidebar) volá API cezeň.
+installOfflineSupport(api, 'api');
+installOfflineSupport(axios, 'axios');
+
 export default api;
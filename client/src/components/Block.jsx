@@ -1,5 +1,17 @@
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useMemo } from 'react';
+import { diffToOp, transformIndex } from '../utils/textOt';
+import { toggleMark } from '../utils/inlineMarks';
+import {
+  renderInline,
+  getSelectionOffsets,
+  setSelectionOffsets,
+  matchInlineShortcut,
+  matchBlockShortcut
+} from '../utils/inlineFormat';
+import FilePreviewImage from './FilePreviewImage';
 
+// Must match BLOCK_TYPES in server/utils/pageBlocks.js — the server rejects
+// unknown block types.
 const BLOCK_TYPES = [
   { type: 'paragraph', label: 'Text', icon: '¶' },
   { type: 'heading1', label: 'Heading 1', icon: 'H1' },
@@ -8,20 +20,229 @@ const BLOCK_TYPES = [
   { type: 'bullet-list', label: 'Bullet List', icon: '•' },
   { type: 'numbered-list', label: 'Numbered List', icon: '1.' },
   { type: 'quote', label: 'Quote', icon: '"' },
-  { type: 'code', label: 'Code', icon: '</>' }
+  { type: 'code', label: 'Code', icon: '</>' },
+  { type: 'todo', label: 'To-do', icon: '☐' },
+  { type: 'toggle', label: 'Toggle', icon: '▸' },
+  { type: 'callout', label: 'Callout', icon: '💡' },
+  { type: 'divider', label: 'Divider', icon: '—' },
+  { type: 'image', label: 'Image', icon: '🖼' },
+  { type: 'table', label: 'Table', icon: '▦' }
 ];
 
-function Block({ block, index, onUpdate, onAddBlock, onDeleteBlock, onChangeType }) {
+const CALLOUT_ICONS = ['💡', '⚠️', '✅', '❗', '📌', 'ℹ️'];
+const IMAGE_ACCEPT = 'image/png,image/jpeg,image/gif,image/webp';
+
+// Table blocks keep their cells in `content` as TSV (rows '\n', cells '\t'),
+// so concurrent cell edits merge through the same OT as any other text.
+// An empty table block shows a 2×3 grid until the first edit writes it.
+const parseTable = (content) => {
+  const rows = content ? content.split('\n').map((row) => row.split('\t')) : [['', '', ''], ['', '', '']];
+  const columns = Math.max(...rows.map((row) => row.length));
+  return rows.map((row) => [...row, ...Array(columns - row.length).fill('')]);
+};
+
+const serializeTable = (rows) => rows.map((row) => row.join('\t')).join('\n');
+
+const cleanCell = (text) => text.replace(/[\t\n]/g, ' ');
+
+const getCaretOffset = (el) => {
+  const sel = window.getSelection();
+  if (!sel || sel.rangeCount === 0) return null;
+  const range = sel.getRangeAt(0);
+  if (!el.contains(range.endContainer)) return null;
+  const before = document.createRange();
+  before.selectNodeContents(el);
+  before.setEnd(range.endContainer, range.endOffset);
+  return before.toString().length;
+};
+
+const isCaretAtEnd = (el) => getCaretOffset(el) === el.textContent.length;
+
+const isCaretAtStart = (el) => {
+  const sel = window.getSelection();
+  return Boolean(sel && sel.isCollapsed) && getCaretOffset(el) === 0;
+};
+
+// Keyboard shortcuts for inline marks (with Ctrl / ⌘)
+const MARK_SHORTCUTS = { b: 'bold', i: 'italic', e: 'code' };
+
+// Blocks whose text is shown verbatim — no inline formatting
+const PLAIN_TEXT_TYPES = ['code'];
+
+// "@jan" / "#acme" right before the caret opens the mention picker
+const MENTION_TRIGGER = /(?:^|\s)([@#])([^\s@#]{0,30})$/;
+const MENTION_ICONS = { user: '@', contact: '👤', task: '🗂️', page: '📄' };
+
+// Keeps a contentEditable element in sync with `text` and its inline `marks`
+// from outside (a collaborator's edit, a formatting change). If the element
+// has focus, the selection stays where it was relative to the text around
+// it. Nothing is touched while the DOM already shows the same thing — typing
+// inside a bold word must not re-render the element under the caret.
+const useSyncedText = (ref, text, marks) => {
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+    const next = document.createElement('div');
+    renderInline(next, text, marks);
+    if (el.innerHTML === next.innerHTML) return;
+
+    const selection = document.activeElement === el ? getSelectionOffsets(el) : null;
+    const op = selection ? diffToOp(el.textContent, text) : null;
+    renderInline(el, text, marks);
+    if (selection) {
+      setSelectionOffsets(el, transformIndex(op, selection.start), transformIndex(op, selection.end));
+    }
+  }, [ref, text, marks]);
+};
+
+function TableCell({ value, header, readOnly, onChange, onKeyDown }) {
+  const ref = useRef(null);
+  useSyncedText(ref, value);
+  const Cell = header ? 'th' : 'td';
+
+  return (
+    <Cell>
+      <div
+        ref={ref}
+        className="block-table-cell"
+        contentEditable={!readOnly}
+        suppressContentEditableWarning
+        onInput={(e) => onChange(cleanCell(e.currentTarget.textContent))}
+        onKeyDown={onKeyDown}
+      />
+    </Cell>
+  );
+}
+
+function TableBlock({ block, readOnly, onUpdate, onChangeProps, onNavigate }) {
+  const rows = parseTable(block.content);
+  const header = block.props?.header !== false;
+
+  const write = (next) => onUpdate(block.id, serializeTable(next), block.type);
+
+  const setCell = (r, c, text) => {
+    const next = rows.map((row) => [...row]);
+    next[r][c] = text;
+    write(next);
+  };
+
+  const focusCell = (table, r, c) => {
+    const cell = table.rows[r]?.cells[c]?.firstChild;
+    if (cell) cell.focus();
+  };
+
+  const handleCellKeyDown = (r, c) => (e) => {
+    const el = e.currentTarget;
+    const table = el.closest('table');
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      if (r < rows.length - 1) focusCell(table, r + 1, c);
+      return;
+    }
+    if (e.key === 'ArrowUp' && r === 0 && isCaretAtStart(el)) {
+      e.preventDefault();
+      onNavigate(block.id, -1);
+    } else if (e.key === 'ArrowDown' && r === rows.length - 1 && isCaretAtEnd(el)) {
+      e.preventDefault();
+      onNavigate(block.id, 1);
+    }
+  };
+
+  return (
+    <div className="block-table" data-block-id={block.id}>
+      <table>
+        <tbody>
+          {rows.map((row, r) => (
+            <tr key={r}>
+              {row.map((cell, c) => (
+                <TableCell
+                  key={c}
+                  value={cell}
+                  header={header && r === 0}
+                  readOnly={readOnly}
+                  onChange={(text) => setCell(r, c, text)}
+                  onKeyDown={handleCellKeyDown(r, c)}
+                />
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {!readOnly && <div className="block-table-actions">
+        <button onClick={() => write([...rows, rows[0].map(() => '')])}>+ Riadok</button>
+        <button onClick={() => write(rows.map((row) => [...row, '']))}>+ Stĺpec</button>
+        {rows.length > 1 && (
+          <button onClick={() => write(rows.slice(0, -1))}>− Riadok</button>
+        )}
+        {rows[0].length > 1 && (
+          <button onClick={() => write(rows.map((row) => row.slice(0, -1)))}>− Stĺpec</button>
+        )}
+        <button onClick={() => onChangeProps(block.id, { ...block.props, header: !header })}>
+          {header ? 'Bez hlavičky' : 'S hlavičkou'}
+        </button>
+      </div>}
+    </div>
+  );
+}
+
+function Block({
+  block,
+  index,
+  pageId,
+  onUpdate,
+  onAddBlock,
+  onAddChild,
+  onDeleteBlock,
+  onChangeType,
+  onChangeProps,
+  onChangeMarks,
+  onSearchMentions,
+  onNavigate,
+  onUploadImage,
+  onComment,
+  onOpenThread,
+  openThreadIds,
+  threadCount = 0,
+  canComment = false,
+  renderChildren,
+  readOnly = false
+}) {
   const [showMenu, setShowMenu] = useState(false);
   const [menuFilter, setMenuFilter] = useState('');
+  const [open, setOpen] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [uploadError, setUploadError] = useState(null);
+  const [mention, setMention] = useState(null); // { trigger, query, start, end }
+  const [mentionResults, setMentionResults] = useState([]);
+  const [mentionIndex, setMentionIndex] = useState(0);
+  const [linkDraft, setLinkDraft] = useState(null); // { start, end, href }
   const contentRef = useRef(null);
   const menuRef = useRef(null);
+  const plainText = PLAIN_TEXT_TYPES.includes(block.type);
+
+  // Resolved discussions keep their mark (reopening shows it again) but
+  // only open ones are highlighted
+  const shownMarks = useMemo(
+    () => (block.marks || []).filter((m) => m.type !== 'comment' || openThreadIds?.has(m.attrs.threadId)),
+    [block.marks, openThreadIds]
+  );
+
+  useSyncedText(contentRef, block.content, plainText ? null : shownMarks);
 
   useEffect(() => {
-    if (contentRef.current && contentRef.current.textContent !== block.content) {
-      contentRef.current.textContent = block.content;
-    }
-  }, [block.content]);
+    if (!mention) return;
+    let cancelled = false;
+    onSearchMentions(mention.trigger, mention.query)
+      .then((results) => {
+        if (cancelled) return;
+        setMentionResults(results);
+        setMentionIndex(0);
+      })
+      .catch(() => {
+        if (!cancelled) setMentionResults([]);
+      });
+    return () => { cancelled = true; };
+  }, [mention?.trigger, mention?.query]);
 
   useEffect(() => {
     const handleClickOutside = (e) => {
@@ -35,6 +256,16 @@ function Block({ block, index, onUpdate, onAddBlock, onDeleteBlock, onChangeType
     return () => document.removeEventListener('mousedown', handleClickOutside);
   }, []);
 
+  // Moves the caret once the re-rendered text is in the DOM
+  const placeCaret = (offset) => {
+    setTimeout(() => {
+      const el = contentRef.current;
+      if (!el) return;
+      el.focus();
+      setSelectionOffsets(el, Math.min(offset, el.textContent.length));
+    }, 0);
+  };
+
   const handleInput = (e) => {
     const content = e.target.textContent;
 
@@ -54,9 +285,123 @@ function Block({ block, index, onUpdate, onAddBlock, onDeleteBlock, onChangeType
       setMenuFilter('');
     }
 
+    const caret = getSelectionOffsets(e.target)?.end ?? content.length;
+
+    if (!plainText) {
+      // "# ", "- ", "[] "… at the start of a paragraph turn it into that block type
+      const blockShortcut = block.type === 'paragraph' ? matchBlockShortcut(content) : null;
+      if (blockShortcut && caret === blockShortcut.prefix.length &&
+          (blockShortcut.type !== 'divider' || content === blockShortcut.prefix)) {
+        onUpdate(block.id, content.slice(blockShortcut.prefix.length), block.type);
+        onChangeType(block.id, blockShortcut.type);
+        if (blockShortcut.type === 'divider') {
+          addBlockBelow();
+        } else {
+          placeCaret(0);
+        }
+        return;
+      }
+
+      // **bold**, _italic_, ~~strike~~, `code`, [text](url)
+      const inlineShortcut = matchInlineShortcut(content, caret);
+      if (inlineShortcut) {
+        setMention(null);
+        onUpdate(block.id, inlineShortcut.text, block.type);
+        onChangeMarks(block.id, (marks) => toggleMark(marks, inlineShortcut.mark));
+        placeCaret(inlineShortcut.caret);
+        return;
+      }
+
+      const trigger = content.slice(0, caret).match(MENTION_TRIGGER);
+      setMention(trigger
+        ? { trigger: trigger[1], query: trigger[2], start: caret - trigger[2].length - 1, end: caret }
+        : null);
+    }
+
     onUpdate(block.id, content, block.type);
   };
 
+  const insertMention = (target) => {
+    const content = contentRef.current.textContent;
+    const label = `${mention.trigger}${target.label}`;
+    const start = mention.start;
+    setMention(null);
+    onUpdate(block.id, `${content.slice(0, start)}${label} ${content.slice(mention.end)}`, block.type);
+    onChangeMarks(block.id, (marks) => toggleMark(marks, {
+      type: 'mention',
+      start,
+      end: start + label.length,
+      attrs: { kind: target.kind, id: target.id }
+    }));
+    placeCaret(start + label.length + 1);
+  };
+
+  const applyMark = (type) => {
+    const selection = getSelectionOffsets(contentRef.current);
+    if (!selection || selection.start === selection.end) return;
+    onChangeMarks(block.id, (marks) => toggleMark(marks, { type, ...selection }));
+  };
+
+  // A link replaces any link already on the range; an empty URL removes it
+  const applyLink = () => {
+    const { start, end } = linkDraft;
+    let href = linkDraft.href.trim();
+    if (href && !/^(https?:\/\/|mailto:)/i.test(href)) href = `https://${href}`;
+    setLinkDraft(null);
+    onChangeMarks(block.id, (marks) => {
+      let next = marks;
+      for (const mark of marks) {
+        if (mark.type === 'link' && mark.start < end && mark.end > start) {
+          next = toggleMark(next, { ...mark, start: Math.max(mark.start, start), end: Math.min(mark.end, end) });
+        }
+      }
+      return href ? toggleMark(next, { type: 'link', start, end, attrs: { href } }) : next;
+    });
+    placeCaret(end);
+  };
+
+  // Links and mentions are not followed inside the editor — Ctrl/⌘ + click
+  // opens them. A plain click on highlighted text opens its discussion.
+  const handleContentClick = (e) => {
+    const anchor = e.target.closest('a[href]');
+    if (anchor && (e.metaKey || e.ctrlKey)) {
+      e.preventDefault();
+      window.open(anchor.getAttribute('href'), anchor.target || '_self', 'noopener');
+      return;
+    }
+    const highlight = e.target.closest('[data-thread-id]');
+    if (highlight && onOpenThread) onOpenThread(highlight.dataset.threadId);
+  };
+
+  const focusBlock = (blockId, atEnd) => {
+    setTimeout(() => {
+      const el = document.querySelector(`[data-block-id="${blockId}"]`);
+      if (!el) return;
+      el.focus();
+      if (atEnd && el.isContentEditable) {
+        const range = document.createRange();
+        const sel = window.getSelection();
+        range.selectNodeContents(el);
+        range.collapse(false);
+        sel.removeAllRanges();
+        sel.addRange(range);
+      }
+    }, 50);
+  };
+
+  const addBlockBelow = async () => {
+    // Enter in an open toggle adds to its content; a to-do continues the list
+    const newBlockId = block.type === 'toggle' && open
+      ? await onAddChild(block.id)
+      : await onAddBlock(block.id, block.type === 'todo' ? 'todo' : 'paragraph');
+    if (newBlockId) focusBlock(newBlockId, false);
+  };
+
+  const deleteAndFocusPrevious = async () => {
+    const prevBlockId = await onDeleteBlock(block.id);
+    if (prevBlockId) focusBlock(prevBlockId, true);
+  };
+
   const handleKeyDown = async (e) => {
     if (showMenu) {
       const filteredTypes = BLOCK_TYPES.filter((t) =>
@@ -79,50 +424,120 @@ function Block({ block, index, onUpdate, onAddBlock, onDeleteBlock, onChangeType
       return;
     }
 
-    if (e.key === 'Enter' && !e.shiftKey) {
-      e.preventDefault();
-      const newBlockId = await onAddBlock(block.id);
+    if (mention && mentionResults.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setMentionIndex((mentionIndex + step + mentionResults.length) % mentionResults.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        insertMention(mentionResults[mentionIndex]);
+        return;
+      }
+    }
+    if (mention && e.key === 'Escape') {
+      setMention(null);
+      return;
+    }
 
-      setTimeout(() => {
-        const newBlockEl = document.querySelector(`[data-block-id="${newBlockId}"]`);
-        if (newBlockEl) {
-          newBlockEl.focus();
+    if ((e.metaKey || e.ctrlKey) && !plainText) {
+      const key = e.key.toLowerCase();
+      if (MARK_SHORTCUTS[key] && !e.shiftKey) {
+        e.preventDefault();
+        applyMark(MARK_SHORTCUTS[key]);
+        return;
+      }
+      if (key === 's' && e.shiftKey) {
+        e.preventDefault();
+        applyMark('strike');
+        return;
+      }
+      if (key === 'k') {
+        e.preventDefault();
+        const selection = getSelectionOffsets(contentRef.current);
+        if (selection && selection.start !== selection.end) {
+          const existing = (block.marks || []).find((m) =>
+            m.type === 'link' && m.start <= selection.start && m.end >= selection.end);
+          setLinkDraft({ ...selection, href: existing?.attrs.href || '' });
         }
-      }, 50);
+        return;
+      }
+    }
+
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      await addBlockBelow();
+      return;
     }
 
     if (e.key === 'Backspace' && contentRef.current.textContent === '') {
       e.preventDefault();
-      const prevBlockId = await onDeleteBlock(block.id);
-
-      if (prevBlockId) {
-        setTimeout(() => {
-          const prevBlockEl = document.querySelector(`[data-block-id="${prevBlockId}"]`);
-          if (prevBlockEl) {
-            prevBlockEl.focus();
-            const range = document.createRange();
-            const sel = window.getSelection();
-            range.selectNodeContents(prevBlockEl);
-            range.collapse(false);
-            sel.removeAllRanges();
-            sel.addRange(range);
-          }
-        }, 50);
-      }
+      await deleteAndFocusPrevious();
+      return;
+    }
+
+    if (e.key === 'ArrowUp' && isCaretAtStart(contentRef.current)) {
+      e.preventDefault();
+      onNavigate(block.id, -1);
+    } else if (e.key === 'ArrowDown' && isCaretAtEnd(contentRef.current)) {
+      e.preventDefault();
+      onNavigate(block.id, 1);
     }
   };
 
-  const selectBlockType = (type) => {
+  // Divider has no text — it takes the keys itself while focused
+  const handleDividerKeyDown = async (e) => {
+    if (e.key === 'Backspace' || e.key === 'Delete') {
+      e.preventDefault();
+      await deleteAndFocusPrevious();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      await addBlockBelow();
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      onNavigate(block.id, -1);
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      onNavigate(block.id, 1);
+    }
+  };
+
+  const selectBlockType = async (type) => {
     setShowMenu(false);
     setMenuFilter('');
     contentRef.current.textContent = '';
-    onChangeType(block.id, type);
+    await onChangeType(block.id, type);
+
+    if (type === 'divider') {
+      // Nothing to type into — continue on a new line below
+      await addBlockBelow();
+      return;
+    }
+    if (type === 'toggle') setOpen(true);
 
     setTimeout(() => {
-      contentRef.current.focus();
+      const el = document.querySelector(`[data-block-id="${block.id}"]`);
+      if (el) el.focus();
     }, 0);
   };
 
+  const handleImageFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setUploading(true);
+    setUploadError(null);
+    try {
+      await onUploadImage(block.id, file);
+    } catch (err) {
+      setUploadError(err.response?.data?.message || 'Obrázok sa nepodarilo nahrať');
+    } finally {
+      setUploading(false);
+    }
+  };
+
   const getPlaceholder = () => {
     switch (block.type) {
       case 'heading1':
@@ -139,6 +554,12 @@ function Block({ block, index, onUpdate, onAddBlock, onDeleteBlock, onChangeType
         return 'Quote';
       case 'code':
         return 'Code';
+      case 'todo':
+        return 'To-do';
+      case 'toggle':
+        return 'Toggle';
+      case 'image':
+        return 'Add a caption...';
       default:
         return "Type '/' for commands...";
     }
@@ -148,20 +569,185 @@ function Block({ block, index, onUpdate, onAddBlock, onDeleteBlock, onChangeType
     t.label.toLowerCase().includes(menuFilter)
   );
 
+  const editable = (
+    <div
+      ref={contentRef}
+      data-block-id={block.id}
+      className={`block-content ${block.type} ${block.type === 'todo' && block.props?.checked ? 'checked' : ''}`}
+      contentEditable={!readOnly}
+      suppressContentEditableWarning
+      data-placeholder={getPlaceholder()}
+      onInput={handleInput}
+      onKeyDown={handleKeyDown}
+      onClick={handleContentClick}
+      onBlur={() => setMention(null)}
+    />
+  );
+
+  const renderBody = () => {
+    switch (block.type) {
+      case 'todo':
+        return (
+          <div className="block-row">
+            <input
+              type="checkbox"
+              className="block-todo-checkbox"
+              checked={Boolean(block.props?.checked)}
+              disabled={readOnly}
+              onChange={(e) => onChangeProps(block.id, { ...block.props, checked: e.target.checked })}
+            />
+            {editable}
+          </div>
+        );
+      case 'toggle':
+        return (
+          <>
+            <div className="block-row">
+              <button
+                className={`block-toggle-arrow ${open ? 'open' : ''}`}
+                onClick={() => setOpen(!open)}
+                aria-expanded={open}
+              >
+                ▸
+              </button>
+              {editable}
+            </div>
+            {open && (
+              <div className="block-children">
+                {(block.children || []).length > 0
+                  ? renderChildren(block.children)
+                  : !readOnly && (
+                    <button className="block-toggle-empty" onClick={async () => {
+                      const newBlockId = await onAddChild(block.id);
+                      if (newBlockId) focusBlock(newBlockId, false);
+                    }}>
+                      Prázdny toggle — kliknite a pridajte blok
+                    </button>
+                  )}
+              </div>
+            )}
+          </>
+        );
+      case 'callout': {
+        const icon = block.props?.icon || CALLOUT_ICONS[0];
+        const nextIcon = CALLOUT_ICONS[(CALLOUT_ICONS.indexOf(icon) + 1) % CALLOUT_ICONS.length];
+        return (
+          <div className="block-callout">
+            <button
+              className="block-callout-icon"
+              disabled={readOnly}
+              onClick={() => onChangeProps(block.id, { ...block.props, icon: nextIcon })}
+              title="Zmeniť ikonu"
+            >
+              {icon}
+            </button>
+            {editable}
+          </div>
+        );
+      }
+      case 'divider':
+        return (
+          <div
+            className="block-divider"
+            data-block-id={block.id}
+            tabIndex={0}
+            onKeyDown={handleDividerKeyDown}
+          >
+            <hr />
+          </div>
+        );
+      case 'image':
+        return (
+          <figure className="block-image">
+            {block.props?.fileId ? (
+              <FilePreviewImage
+                downloadUrl={`/api/pages/${pageId}/files/${block.props.fileId}`}
+                alt={block.content || block.props.name || ''}
+              />
+            ) : !readOnly && (
+              <label className="block-image-upload">
+                {uploading ? 'Nahrávam...' : 'Nahrať obrázok'}
+                <input type="file" accept={IMAGE_ACCEPT} hidden disabled={uploading} onChange={handleImageFile} />
+              </label>
+            )}
+            {uploadError && <div className="block-image-error">{uploadError}</div>}
+            <figcaption>{editable}</figcaption>
+          </figure>
+        );
+      case 'table':
+        return (
+          <TableBlock
+            block={block}
+            readOnly={readOnly}
+            onUpdate={onUpdate}
+            onChangeProps={onChangeProps}
+            onNavigate={onNavigate}
+          />
+        );
+      default:
+        return editable;
+    }
+  };
+
   return (
-    <div className="block">
-      <span className="block-handle">⋮⋮</span>
+    <div className="block" data-index={index}>
+      {!readOnly && <span className="block-handle">⋮⋮</span>}
 
-      <div
-        ref={contentRef}
-        data-block-id={block.id}
-        className={`block-content ${block.type}`}
-        contentEditable
-        suppressContentEditableWarning
-        data-placeholder={getPlaceholder()}
-        onInput={handleInput}
-        onKeyDown={handleKeyDown}
-      />
+      {renderBody()}
+
+      {onComment && (canComment || threadCount > 0) && (
+        <button
+          className={`block-comment-btn ${threadCount > 0 ? 'has-threads' : ''}`}
+          title={threadCount > 0 ? 'Diskusie k bloku' : 'Komentovať blok'}
+          onClick={() => onComment(block.id)}
+        >
+          💬{threadCount > 0 && <span>{threadCount}</span>}
+        </button>
+      )}
+
+      {mention && mentionResults.length > 0 && (
+        <div className="block-menu block-mention-menu">
+          {mentionResults.map((target, i) => (
+            <div
+              key={`${target.kind}-${target.id}`}
+              className={`block-menu-item ${i === mentionIndex ? 'selected' : ''}`}
+              // mousedown, not click — the editor must not lose focus first
+              onMouseDown={(e) => {
+                e.preventDefault();
+                insertMention(target);
+              }}
+            >
+              <span className="block-menu-item-icon">
+                {MENTION_ICONS[target.kind] || '🗂️'}
+              </span>
+              <span>{target.label}</span>
+              {target.sublabel && <span className="block-mention-sublabel">{target.sublabel}</span>}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {linkDraft && (
+        <div className="block-menu block-link-popover">
+          <input
+            type="text"
+            autoFocus
+            placeholder="Vložte odkaz (prázdne = odstrániť)"
+            value={linkDraft.href}
+            onChange={(e) => setLinkDraft({ ...linkDraft, href: e.target.value })}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                applyLink();
+              } else if (e.key === 'Escape') {
+                setLinkDraft(null);
+                placeCaret(linkDraft.end);
+              }
+            }}
+            onBlur={() => setLinkDraft(null)}
+          />
+        </div>
+      )}
 
       {showMenu && (
         <div className="block-menu" ref={menuRef}>
@@ -0,0 +1,231 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import api from '../api/api';
+
+/**
+ * CommandPalette — Ctrl/⌘+K vyhľadávanie naprieč workspace.
+ *
+ * Prázdny dopyt ukáže navigačné príkazy (sekcie aplikácie), od
+ * MIN_QUERY_LENGTH znakov sa s oneskorením volá GET /api/search a výsledky
+ * sa zobrazia po typoch so zvýraznenými úryvkami. Šípky vyberajú, Enter
+ * otvorí, Esc zavrie.
+ *
+ * Úryvky prichádzajú zo servera ako úseky [{ type: 'text' | 'match', text }]
+ * — vykresľujú sa ako text, nie HTML.
+ */
+const MIN_QUERY_LENGTH = 2;
+const DEBOUNCE_MS = 200;
+
+const TYPE_LABELS = {
+  page: 'Stránky',
+  contact: 'Kontakty',
+  task: 'Projekty',
+  message: 'Správy'
+};
+
+const TYPE_ICONS = {
+  page: '📄',
+  contact: '👤',
+  task: '📋',
+  message: '✉️'
+};
+
+const COMMANDS = [
+  { id: 'nav-dashboard', title: 'Prehľad', icon: '🏠', url: '/app' },
+  { id: 'nav-crm', title: 'Kontakty', icon: '👥', url: '/crm' },
+  { id: 'nav-tasks', title: 'Projekty', icon: '📋', url: '/tasks' },
+  { id: 'nav-messages', title: 'Správy', icon: '✉️', url: '/messages' },
+  { id: 'nav-attachments', title: 'Prílohy', icon: '📎', url: '/prilohy' },
+  { id: 'nav-members', title: 'Členovia workspace', icon: '🧑‍🤝‍🧑', url: '/workspace/members' }
+];
+
+const Snippet = ({ segments }) => (
+  <>
+    {segments.map((segment, i) => (segment.type === 'match'
+      ? <mark key={i}>{segment.text}</mark>
+      : <span key={i}>{segment.text}</span>))}
+  </>
+);
+
+export default function CommandPalette() {
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(0);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+  const requestRef = useRef(0);
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  const close = useCallback(() => {
+    setOpen(false);
+    setQuery('');
+    setResults([]);
+    setError(null);
+  }, []);
+
+  // Ctrl/⌘+K otvorí / zavrie paletu odkiaľkoľvek (aj z inputu)
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if ((e.metaKey || e.ctrlKey) && !e.shiftKey && !e.altKey && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setOpen(prev => !prev);
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // Navigácia kamkoľvek paletu zavrie
+  useEffect(() => { close(); }, [location.pathname, close]);
+
+  useEffect(() => {
+    if (open) inputRef.current?.focus();
+  }, [open]);
+
+  useEffect(() => {
+    const trimmed = query.trim();
+    setSelected(0);
+    if (trimmed.length < MIN_QUERY_LENGTH) {
+      setResults([]);
+      setLoading(false);
+      setError(null);
+      return;
+    }
+
+    // Odpoveď staršieho dopytu nesmie prepísať novší
+    const requestId = ++requestRef.current;
+    setLoading(true);
+    const timer = setTimeout(async () => {
+      try {
+        const res = await api.get('/api/search', { params: { q: trimmed } });
+        if (requestId !== requestRef.current) return;
+        setResults(res.data.results || []);
+        setError(null);
+      } catch (err) {
+        if (requestId !== requestRef.current) return;
+        setResults([]);
+        setError(err.response?.data?.message || 'Vyhľadávanie zlyhalo');
+      } finally {
+        if (requestId === requestRef.current) setLoading(false);
+      }
+    }, DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const searching = query.trim().length >= MIN_QUERY_LENGTH;
+
+  // Položky v poradí zobrazenia — skupiny podľa typu, v poradí najlepšieho
+  // výsledku skupiny (server vracia výsledky zoradené podľa skóre)
+  const groups = useMemo(() => {
+    if (!searching) {
+      const needle = query.trim().toLowerCase();
+      const commands = COMMANDS.filter(c => !needle || c.title.toLowerCase().includes(needle));
+      return commands.length > 0 ? [{ type: 'command', label: 'Prejsť na', items: commands }] : [];
+    }
+    const byType = new Map();
+    for (const result of results) {
+      if (!byType.has(result.type)) byType.set(result.type, []);
+      byType.get(result.type).push(result);
+    }
+    return [...byType.entries()].map(([type, items]) => ({ type, label: TYPE_LABELS[type] || type, items }));
+  }, [searching, query, results]);
+
+  const items = useMemo(() => groups.flatMap(g => g.items), [groups]);
+
+  useEffect(() => {
+    listRef.current?.querySelector('.command-palette-item.selected')?.scrollIntoView({ block: 'nearest' });
+  }, [selected]);
+
+  const openItem = useCallback((item) => {
+    if (!item) return;
+    close();
+    navigate(item.url);
+  }, [close, navigate]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      close();
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setSelected(prev => (items.length === 0 ? 0 : (prev + 1) % items.length));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setSelected(prev => (items.length === 0 ? 0 : (prev - 1 + items.length) % items.length));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      openItem(items[selected]);
+    }
+  };
+
+  if (!open) return null;
+
+  let index = -1;
+
+  return (
+    <div className="modal-overlay command-palette-overlay" onClick={close}>
+      <div className="command-palette" role="dialog" aria-label="Vyhľadávanie" onClick={(e) => e.stopPropagation()}>
+        <div className="command-palette-search">
+          <span className="command-palette-search-icon">🔍</span>
+          <input
+            ref={inputRef}
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Hľadať stránky, kontakty, projekty, správy…"
+            aria-label="Hľadať"
+          />
+          {loading && <span className="command-palette-spinner" />}
+          <kbd>Esc</kbd>
+        </div>
+
+        <div className="command-palette-results" ref={listRef}>
+          {error && <div className="command-palette-empty">{error}</div>}
+          {!error && searching && !loading && items.length === 0 && (
+            <div className="command-palette-empty">Nič sa nenašlo pre „{query.trim()}“</div>
+          )}
+          {groups.map(group => (
+            <div key={group.type} className="command-palette-group">
+              <div className="command-palette-group-label">{group.label}</div>
+              {group.items.map(item => {
+                index += 1;
+                const itemIndex = index;
+                return (
+                  <div
+                    key={`${item.type || 'command'}-${item.id}`}
+                    className={`command-palette-item${itemIndex === selected ? ' selected' : ''}`}
+                    onMouseEnter={() => setSelected(itemIndex)}
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={() => openItem(item)}
+                  >
+                    <span className="command-palette-item-icon">{item.icon || TYPE_ICONS[item.type]}</span>
+                    <div className="command-palette-item-body">
+                      <div className="command-palette-item-title">
+                        {item.title}
+                        {item.subtitle && <span className="command-palette-item-subtitle">{item.subtitle}</span>}
+                      </div>
+                      {item.snippet && item.snippet.length > 0 && (
+                        <div className="command-palette-item-snippet"><Snippet segments={item.snippet} /></div>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+
+        <div className="command-palette-footer">
+          <span><kbd>↑</kbd><kbd>↓</kbd> výber</span>
+          <span><kbd>Enter</kbd> otvoriť</span>
+          <span><kbd>Ctrl</kbd>/<kbd>⌘</kbd>+<kbd>K</kbd> zavrieť</span>
+        </div>
+      </div>
+    </div>
+  );
+}
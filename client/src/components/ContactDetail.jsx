@@ -291,6 +291,7 @@ function ContactDetail({ contact, onUpdate, onDelete, onUploadFile, onDeleteFile
           <TaskList
             contactId={contact.id}
             tasks={contact.tasks || []}
+            contactVersion={contact.version}
             onContactRefresh={onRefresh}
           />
         </div>
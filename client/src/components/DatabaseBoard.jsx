@@ -0,0 +1,139 @@
+/**
+ * DatabaseBoard — pohľad 'board': riadky ako karty v stĺpcoch podľa výberu.
+ *
+ * Stĺpec je každá možnosť vlastnosti `groupBy` pohľadu a na začiatku
+ * "Bez hodnoty". Presunutie karty do iného stĺpca zmení hodnotu výberu v
+ * riadku; nová karta v stĺpci dostane jeho hodnotu. Poradie kariet v
+ * stĺpci je poradie riadkov zo servera.
+ *
+ * Props:
+ *  - groupProperty — vlastnosť výberu, podľa ktorej sa delí
+ *  - properties — viditeľné vlastnosti (na karte sa ukážu neprázdne)
+ *  - rows, refs
+ *  - readOnly
+ *  - onChangeValue(row, propertyId, value)
+ *  - onAddRow(values), onOpenRow(row)
+ */
+import { useState } from 'react';
+import {
+  DndContext,
+  DragOverlay,
+  PointerSensor,
+  TouchSensor,
+  useSensor,
+  useSensors,
+  useDraggable,
+  useDroppable
+} from '@dnd-kit/core';
+import { formatValue, isEmptyValue } from '../utils/pageDatabase';
+
+const NO_VALUE = '__none__';
+
+function BoardCard({ row, properties, refs, overlay = false, onOpen }) {
+  const title = row.values.title || 'Bez názvu';
+  return (
+    <div className={`db-card${overlay ? ' db-card-overlay' : ''}`} onClick={onOpen}>
+      <div className="db-card-title">{title}</div>
+      {properties
+        .filter((p) => p.id !== 'title' && !isEmptyValue(row.values[p.id]))
+        .map((property) => (
+          <div key={property.id} className="db-card-value">
+            <span className="db-card-label">{property.name}</span>
+            {formatValue(property, row.values[property.id], refs)}
+          </div>
+        ))}
+    </div>
+  );
+}
+
+function DraggableCard({ row, readOnly, ...cardProps }) {
+  const { attributes, listeners, setNodeRef, isDragging } = useDraggable({ id: row.id, disabled: readOnly });
+  return (
+    <div ref={setNodeRef} style={{ opacity: isDragging ? 0.4 : 1 }} {...attributes} {...listeners}>
+      <BoardCard row={row} {...cardProps} />
+    </div>
+  );
+}
+
+function BoardColumn({ id, title, color, count, readOnly, onAdd, children }) {
+  const { setNodeRef, isOver } = useDroppable({ id });
+  return (
+    <div ref={setNodeRef} className={`db-board-column${isOver ? ' db-board-column-over' : ''}`}>
+      <div className="db-board-column-header">
+        {color ? <span className={`db-option db-option-${color}`}>{title}</span> : <span>{title}</span>}
+        <span className="db-board-count">{count}</span>
+      </div>
+      {children}
+      {!readOnly && <button className="db-add-row" onClick={onAdd}>+ Nový</button>}
+    </div>
+  );
+}
+
+function DatabaseBoard({ groupProperty, properties, rows, refs, readOnly, onChangeValue, onAddRow, onOpenRow }) {
+  const [activeId, setActiveId] = useState(null);
+  const sensors = useSensors(
+    useSensor(PointerSensor, { activationConstraint: { distance: 8 } }),
+    useSensor(TouchSensor, { activationConstraint: { delay: 200, tolerance: 5 } })
+  );
+
+  const columns = [
+    { id: NO_VALUE, name: 'Bez hodnoty', color: null },
+    ...groupProperty.options
+  ];
+  const columnOf = (row) => {
+    const value = row.values[groupProperty.id];
+    return groupProperty.options.some((o) => o.id === value) ? value : NO_VALUE;
+  };
+
+  const handleDragEnd = ({ active, over }) => {
+    setActiveId(null);
+    if (!over) return;
+    const row = rows.find((r) => r.id === active.id);
+    if (!row || columnOf(row) === over.id) return;
+    onChangeValue(row, groupProperty.id, over.id === NO_VALUE ? null : over.id);
+  };
+
+  const activeRow = activeId ? rows.find((r) => r.id === activeId) : null;
+
+  return (
+    <DndContext
+      sensors={sensors}
+      onDragStart={({ active }) => setActiveId(active.id)}
+      onDragCancel={() => setActiveId(null)}
+      onDragEnd={handleDragEnd}
+    >
+      <div className="db-board">
+        {columns.map((column) => {
+          const columnRows = rows.filter((row) => columnOf(row) === column.id);
+          return (
+            <BoardColumn
+              key={column.id}
+              id={column.id}
+              title={column.name}
+              color={column.color}
+              count={columnRows.length}
+              readOnly={readOnly}
+              onAdd={() => onAddRow(column.id === NO_VALUE ? {} : { [groupProperty.id]: column.id })}
+            >
+              {columnRows.map((row) => (
+                <DraggableCard
+                  key={row.id}
+                  row={row}
+                  readOnly={readOnly}
+                  properties={properties}
+                  refs={refs}
+                  onOpen={() => onOpenRow(row)}
+                />
+              ))}
+            </BoardColumn>
+          );
+        })}
+      </div>
+      <DragOverlay>
+        {activeRow && <BoardCard row={activeRow} properties={properties} refs={refs} overlay />}
+      </DragOverlay>
+    </DndContext>
+  );
+}
+
+export default DatabaseBoard;
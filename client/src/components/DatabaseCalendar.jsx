@@ -0,0 +1,95 @@
+/**
+ * DatabaseCalendar — pohľad 'calendar': riadky v mesačnom kalendári.
+ *
+ * Riadok je v dni podľa dátumu vlastnosti `dateProperty` pohľadu; riadky
+ * bez dátumu sú vypísané pod kalendárom. Klik na deň pridá riadok s
+ * týmto dátumom, klik na riadok otvorí jeho detail.
+ *
+ * Props:
+ *  - dateProperty — vlastnosť typu dátum
+ *  - rows
+ *  - readOnly
+ *  - onAddRow(values), onOpenRow(row)
+ */
+import { useState } from 'react';
+import { monthGrid, isoDate } from '../utils/pageDatabase';
+
+const WEEKDAYS = ['Po', 'Ut', 'St', 'Št', 'Pi', 'So', 'Ne'];
+
+function DatabaseCalendar({ dateProperty, rows, readOnly, onAddRow, onOpenRow }) {
+  const [month, setMonth] = useState(() => {
+    const now = new Date();
+    return { year: now.getFullYear(), month: now.getMonth() };
+  });
+
+  const shift = (delta) => setMonth(({ year, month: m }) => {
+    const d = new Date(year, m + delta, 1);
+    return { year: d.getFullYear(), month: d.getMonth() };
+  });
+
+  const today = isoDate(new Date());
+  const byDate = {};
+  const undated = [];
+  for (const row of rows) {
+    const date = row.values[dateProperty.id];
+    if (date) (byDate[date] = byDate[date] || []).push(row);
+    else undated.push(row);
+  }
+
+  const label = new Date(month.year, month.month, 1).toLocaleDateString('sk-SK', { month: 'long', year: 'numeric' });
+
+  return (
+    <div className="db-calendar">
+      <div className="db-calendar-header">
+        <button className="db-row-button" onClick={() => shift(-1)} title="Predchádzajúci mesiac">‹</button>
+        <span className="db-calendar-month">{label}</span>
+        <button className="db-row-button" onClick={() => shift(1)} title="Nasledujúci mesiac">›</button>
+        <button
+          className="page-comment-link"
+          onClick={() => {
+            const now = new Date();
+            setMonth({ year: now.getFullYear(), month: now.getMonth() });
+          }}
+        >
+          Dnes
+        </button>
+      </div>
+      <div className="db-calendar-grid">
+        {WEEKDAYS.map((day) => <div key={day} className="db-calendar-weekday">{day}</div>)}
+        {monthGrid(month.year, month.month).map((day) => (
+          <div
+            key={day.date}
+            className={`db-calendar-day${day.inMonth ? '' : ' db-calendar-day-outside'}${day.date === today ? ' db-calendar-day-today' : ''}`}
+            onClick={() => !readOnly && onAddRow({ [dateProperty.id]: day.date })}
+          >
+            <span className="db-calendar-day-number">{day.day}</span>
+            {(byDate[day.date] || []).map((row) => (
+              <div
+                key={row.id}
+                className="db-calendar-item"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onOpenRow(row);
+                }}
+              >
+                {row.values.title || 'Bez názvu'}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+      {undated.length > 0 && (
+        <div className="db-calendar-undated">
+          <span className="db-card-label">Bez dátumu ({dateProperty.name}):</span>
+          {undated.map((row) => (
+            <button key={row.id} className="db-calendar-item" onClick={() => onOpenRow(row)}>
+              {row.values.title || 'Bez názvu'}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DatabaseCalendar;
@@ -0,0 +1,234 @@
+/**
+ * DatabaseCell — hodnota jednej vlastnosti riadku databázy.
+ *
+ * Zobrazí hodnotu podľa typu vlastnosti a po kliknutí ju dovolí upraviť:
+ * text, číslo a dátum v poli, výber a osobu zo zoznamu, viacnásobný výber
+ * zaškrtnutím možností, prepojenie hľadaním kontaktu alebo projektu
+ * (GET /api/pages/mentions, ako zmienka '#'). Zaškrtávanie sa prepína
+ * hneď. Uloženie robí rodič cez `onChange` — prázdna hodnota je null.
+ *
+ * Props:
+ *  - property — { id, name, type, options, relation }
+ *  - value — hodnota z `row.values`
+ *  - refs — { users, contacts, tasks } z odpovede servera
+ *  - members — členovia workspace (pre osobu)
+ *  - readOnly
+ *  - onChange(value)
+ */
+import { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+import { formatValue, optionOf, relationNames, isEmptyValue } from '../utils/pageDatabase';
+
+function OptionTag({ option }) {
+  if (!option) return null;
+  return <span className={`db-option db-option-${option.color}`}>{option.name}</span>;
+}
+
+function RelationPicker({ property, value, refs, onChange, onClose }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const names = relationNames(property, refs);
+
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await axios.get('/api/pages/mentions', { params: { trigger: '#', q: query } });
+        if (!cancelled) setResults(res.data.filter((r) => r.kind === property.relation));
+      } catch {
+        if (!cancelled) setResults([]);
+      }
+    }, 200);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, property.relation]);
+
+  const ids = value || [];
+  return (
+    <div className="block-menu db-cell-popover" onMouseDown={(e) => e.stopPropagation()}>
+      {ids.map((id) => (
+        <div key={id} className="block-menu-item">
+          <span>{names[id] || '…'}</span>
+          <button className="db-chip-remove" onClick={() => onChange(ids.filter((x) => x !== id))}>×</button>
+        </div>
+      ))}
+      <input
+        type="text"
+        autoFocus
+        value={query}
+        placeholder={property.relation === 'contact' ? 'Hľadať kontakt…' : 'Hľadať projekt…'}
+        onChange={(e) => setQuery(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') onClose();
+        }}
+      />
+      {results.filter((r) => !ids.includes(r.id)).map((target) => (
+        <div key={target.id} className="block-menu-item" onClick={() => onChange([...ids, target.id])}>
+          <span>{target.label}</span>
+          {target.sublabel && <span className="block-mention-sublabel">{target.sublabel}</span>}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function DatabaseCell({ property, value, refs, members = [], readOnly, onChange }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const cellRef = useRef(null);
+
+  // Klik mimo zavrie rozbalený zoznam
+  useEffect(() => {
+    if (!editing) return undefined;
+    const handleClick = (e) => {
+      if (cellRef.current && !cellRef.current.contains(e.target)) setEditing(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [editing]);
+
+  const startEditing = () => {
+    if (readOnly) return;
+    setDraft(isEmptyValue(value) ? '' : String(value));
+    setEditing(true);
+  };
+
+  const commit = (next) => {
+    setEditing(false);
+    const clean = isEmptyValue(next) ? null : next;
+    if (JSON.stringify(clean) !== JSON.stringify(isEmptyValue(value) ? null : value)) onChange(clean);
+  };
+
+  if (property.type === 'checkbox') {
+    return (
+      <div className="db-cell db-cell-checkbox">
+        <input
+          type="checkbox"
+          checked={Boolean(value)}
+          disabled={readOnly}
+          onChange={(e) => onChange(e.target.checked)}
+        />
+      </div>
+    );
+  }
+
+  const display = () => {
+    if (isEmptyValue(value)) return <span className="db-cell-empty">{readOnly ? '' : '—'}</span>;
+    switch (property.type) {
+      case 'select':
+        return <OptionTag option={optionOf(property, value)} />;
+      case 'multi_select':
+        return value.map((id) => <OptionTag key={id} option={optionOf(property, id)} />);
+      case 'person': {
+        const user = refs?.users?.[value];
+        return (
+          <span className="db-person">
+            <span className="db-person-dot" style={{ background: user?.color || 'var(--accent-color)' }} />
+            {user?.username || 'Neznámy používateľ'}
+          </span>
+        );
+      }
+      default:
+        return formatValue(property, value, refs);
+    }
+  };
+
+  const editor = () => {
+    switch (property.type) {
+      case 'text':
+      case 'number':
+      case 'date':
+        return (
+          <input
+            type={property.type}
+            autoFocus
+            className="db-cell-input"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={() => commit(property.type === 'number' && draft !== '' ? Number(draft) : draft)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') e.currentTarget.blur();
+              if (e.key === 'Escape') setEditing(false);
+            }}
+          />
+        );
+      case 'select':
+        return (
+          <div className="block-menu db-cell-popover">
+            <div className="block-menu-item" onClick={() => commit(null)}>
+              <span className="db-cell-empty">Bez hodnoty</span>
+            </div>
+            {property.options.map((option) => (
+              <div key={option.id} className="block-menu-item" onClick={() => commit(option.id)}>
+                <OptionTag option={option} />
+              </div>
+            ))}
+          </div>
+        );
+      case 'multi_select': {
+        const ids = value || [];
+        return (
+          <div className="block-menu db-cell-popover">
+            {property.options.map((option) => (
+              <label key={option.id} className="block-menu-item">
+                <input
+                  type="checkbox"
+                  checked={ids.includes(option.id)}
+                  onChange={(e) => onChange(e.target.checked
+                    ? [...ids, option.id]
+                    : ids.filter((id) => id !== option.id))}
+                />
+                <OptionTag option={option} />
+              </label>
+            ))}
+            {property.options.length === 0 && (
+              <div className="block-menu-item db-cell-empty">Vlastnosť nemá možnosti</div>
+            )}
+          </div>
+        );
+      }
+      case 'person':
+        return (
+          <div className="block-menu db-cell-popover">
+            <div className="block-menu-item" onClick={() => commit(null)}>
+              <span className="db-cell-empty">Nikto</span>
+            </div>
+            {members.map((member) => (
+              <div key={member.userId} className="block-menu-item" onClick={() => commit(member.userId)}>
+                <span className="db-person-dot" style={{ background: member.color || 'var(--accent-color)' }} />
+                <span>{member.username}</span>
+              </div>
+            ))}
+          </div>
+        );
+      case 'relation':
+        return (
+          <RelationPicker
+            property={property}
+            value={value}
+            refs={refs}
+            onChange={(ids) => onChange(ids.length > 0 ? ids : null)}
+            onClose={() => setEditing(false)}
+          />
+        );
+      default:
+        return null;
+    }
+  };
+
+  const inline = ['text', 'number', 'date'].includes(property.type);
+  return (
+    <div
+      ref={cellRef}
+      className={`db-cell db-cell-${property.type}${readOnly ? '' : ' db-cell-editable'}`}
+      onClick={() => !editing && startEditing()}
+    >
+      {editing && inline ? editor() : display()}
+      {editing && !inline && editor()}
+    </div>
+  );
+}
+
+export default DatabaseCell;
@@ -0,0 +1,173 @@
+/**
+ * DatabasePropertyEditor — nová vlastnosť databázy alebo úprava existujúcej.
+ *
+ * Názov, typ, pri výbere zoznam možností (názov a farba), pri prepojení
+ * cieľ (kontakty / projekty). Pri zmene typu server hodnoty v riadkoch
+ * prevedie, kde sa dá (napr. text na číslo), ostatné vymaže — preto
+ * upozornenie. Vlastnosť Názov sa nedá zmazať ani zmeniť jej typ.
+ *
+ * Props:
+ *  - pageId
+ *  - property — upravovaná vlastnosť alebo null pre novú
+ *  - onSaved(database)
+ *  - onClose()
+ */
+import { useState } from 'react';
+import axios from 'axios';
+import { PROPERTY_TYPES, RELATION_TARGETS } from '../utils/pageDatabase';
+
+// Musí sedieť s OPTION_COLORS v server/utils/pageDatabase.js
+const OPTION_COLORS = ['gray', 'brown', 'orange', 'yellow', 'green', 'blue', 'purple', 'pink', 'red'];
+
+const hasOptions = (type) => type === 'select' || type === 'multi_select';
+
+function DatabasePropertyEditor({ pageId, property, onSaved, onClose }) {
+  const [name, setName] = useState(property?.name || '');
+  const [type, setType] = useState(property?.type || 'text');
+  const [relation, setRelation] = useState(property?.relation || 'contact');
+  const [options, setOptions] = useState(property?.options || []);
+  const [newOption, setNewOption] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isTitle = property?.id === 'title';
+
+  const addOption = () => {
+    const optionName = newOption.trim();
+    if (!optionName) return;
+    setOptions((prev) => [...prev, { name: optionName, color: OPTION_COLORS[prev.length % OPTION_COLORS.length] }]);
+    setNewOption('');
+  };
+
+  const updateOption = (index, changes) =>
+    setOptions((prev) => prev.map((option, i) => (i === index ? { ...option, ...changes } : option)));
+
+  const request = async (call) => {
+    setSaving(true);
+    setError(null);
+    try {
+      const res = await call();
+      onSaved(res.data.database);
+      onClose();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Vlastnosť sa nepodarilo uložiť.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const save = () => {
+    const body = { name: name.trim(), type };
+    if (hasOptions(type)) body.options = options;
+    if (type === 'relation') body.relation = relation;
+    request(() => (property
+      ? axios.put(`/api/pages/${pageId}/database/properties/${property.id}`, body)
+      : axios.post(`/api/pages/${pageId}/database/properties`, body)));
+  };
+
+  const remove = () => {
+    if (!window.confirm(`Zmazať vlastnosť „${property.name}" aj s hodnotami vo všetkých riadkoch?`)) return;
+    request(() => axios.delete(`/api/pages/${pageId}/database/properties/${property.id}`));
+  };
+
+  const typeChanged = property && property.type !== type;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div
+        className="modal-content db-property-editor"
+        role="dialog"
+        aria-modal="true"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="modal-header">
+          <h2>{property ? 'Upraviť vlastnosť' : 'Nová vlastnosť'}</h2>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+
+        <label className="db-field">
+          <span>Názov</span>
+          <input type="text" autoFocus value={name} maxLength={100} onChange={(e) => setName(e.target.value)} />
+        </label>
+
+        <label className="db-field">
+          <span>Typ</span>
+          <select value={type} disabled={isTitle} onChange={(e) => setType(e.target.value)}>
+            {PROPERTY_TYPES.map((t) => (
+              <option key={t.type} value={t.type}>{t.icon} {t.label}</option>
+            ))}
+          </select>
+        </label>
+        {typeChanged && (
+          <p className="db-hint">Hodnoty, ktoré sa nedajú previesť na nový typ, sa vymažú.</p>
+        )}
+
+        {type === 'relation' && (
+          <label className="db-field">
+            <span>Prepojenie na</span>
+            <select value={relation} onChange={(e) => setRelation(e.target.value)}>
+              {RELATION_TARGETS.map((target) => (
+                <option key={target.value} value={target.value}>{target.label}</option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        {hasOptions(type) && (
+          <div className="db-field">
+            <span>Možnosti</span>
+            {options.map((option, index) => (
+              <div key={option.id || `new-${index}`} className="db-option-row">
+                <select
+                  className={`db-option db-option-${option.color}`}
+                  value={option.color}
+                  onChange={(e) => updateOption(index, { color: e.target.value })}
+                >
+                  {OPTION_COLORS.map((color) => <option key={color} value={color}>{color}</option>)}
+                </select>
+                <input
+                  type="text"
+                  value={option.name}
+                  onChange={(e) => updateOption(index, { name: e.target.value })}
+                />
+                <button
+                  className="db-chip-remove"
+                  title="Odstrániť možnosť"
+                  onClick={() => setOptions((prev) => prev.filter((_, i) => i !== index))}
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+            <div className="db-option-row">
+              <input
+                type="text"
+                value={newOption}
+                placeholder="Nová možnosť"
+                onChange={(e) => setNewOption(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') addOption();
+                }}
+              />
+              <button className="page-comment-link" onClick={addOption}>Pridať</button>
+            </div>
+          </div>
+        )}
+
+        {error && <div className="page-linked-error">{error}</div>}
+
+        <div className="db-editor-actions">
+          {property && !isTitle && (
+            <button className="db-danger-button" onClick={remove} disabled={saving}>Zmazať vlastnosť</button>
+          )}
+          <button className="btn btn-secondary" onClick={onClose}>Zrušiť</button>
+          <button className="btn btn-primary" onClick={save} disabled={saving || !name.trim()}>
+            {saving ? 'Ukladám…' : 'Uložiť'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DatabasePropertyEditor;
@@ -0,0 +1,95 @@
+/**
+ * DatabaseTable — pohľad 'table': riadky databázy ako tabuľka.
+ *
+ * Stĺpce sú vlastnosti databázy okrem skrytých v pohľade (Názov je vždy
+ * prvý). Hlavička stĺpca otvorí úpravu vlastnosti, ↗ pri riadku jeho
+ * detail. Poradie riadkov určil server podľa zoradenia pohľadu.
+ *
+ * Props:
+ *  - properties — viditeľné vlastnosti
+ *  - rows, refs, members
+ *  - readOnly
+ *  - onChangeValue(row, propertyId, value)
+ *  - onAddRow(), onOpenRow(row), onDeleteRow(row)
+ *  - onEditProperty(property) — null pre novú vlastnosť
+ */
+import DatabaseCell from './DatabaseCell';
+import { typeInfo } from '../utils/pageDatabase';
+
+function DatabaseTable({
+  properties,
+  rows,
+  refs,
+  members,
+  readOnly,
+  onChangeValue,
+  onAddRow,
+  onOpenRow,
+  onDeleteRow,
+  onEditProperty
+}) {
+  return (
+    <div className="db-table-wrapper">
+      <table className="db-table">
+        <thead>
+          <tr>
+            {properties.map((property) => (
+              <th key={property.id}>
+                <button
+                  className="db-column-header"
+                  disabled={readOnly}
+                  onClick={() => onEditProperty(property)}
+                  title={readOnly ? undefined : 'Upraviť vlastnosť'}
+                >
+                  <span className="db-type-icon">{typeInfo(property.type).icon}</span>
+                  {property.name}
+                </button>
+              </th>
+            ))}
+            <th className="db-table-actions">
+              {!readOnly && (
+                <button className="db-column-header" onClick={() => onEditProperty(null)} title="Pridať vlastnosť">
+                  +
+                </button>
+              )}
+            </th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.id}>
+              {properties.map((property) => (
+                <td key={property.id}>
+                  <DatabaseCell
+                    property={property}
+                    value={row.values[property.id]}
+                    refs={refs}
+                    members={members}
+                    readOnly={readOnly}
+                    onChange={(value) => onChangeValue(row, property.id, value)}
+                  />
+                </td>
+              ))}
+              <td className="db-table-actions">
+                <button className="db-row-button" onClick={() => onOpenRow(row)} title="Otvoriť riadok">↗</button>
+                {!readOnly && (
+                  <button className="db-row-button" onClick={() => onDeleteRow(row)} title="Zmazať riadok">×</button>
+                )}
+              </td>
+            </tr>
+          ))}
+          {rows.length === 0 && (
+            <tr>
+              <td className="db-empty" colSpan={properties.length + 1}>Žiadne riadky</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+      {!readOnly && (
+        <button className="db-add-row" onClick={onAddRow}>+ Nový riadok</button>
+      )}
+    </div>
+  );
+}
+
+export default DatabaseTable;
@@ -0,0 +1,108 @@
+/**
+ * Picker závislostí — na čo projekt alebo úloha čaká.
+ *
+ * Ponúka všetky projekty a podúlohy workspace (aj z iných kontaktov) okrem
+ * samotnej položky a jej podúloh. Každá zmena sa hneď uloží cez
+ * PUT /api/tasks/:id/dependencies; cyklus alebo neznámu položku server
+ * odmietne a správa sa zobrazí pod pickerom. Po dokončení blokujúcej
+ * položky dostanú riešitelia čakajúcej notifikáciu.
+ *
+ * Props:
+ *   item: projekt alebo podúloha ({ id, blockedBy, subtasks })
+ *   tasks: všetky projekty zo zoznamu (GET /api/tasks)
+ *   onSaved: ({ blockedBy, task, version }) => void — `task` je koreňový
+ *     projekt po uložení, `version` jeho nová verzia (If-Match otvorenej úpravy)
+ */
+import { useMemo, useState } from 'react';
+import api from '@/api/api';
+import { buildItemIndex, describeItem } from '../utils/taskDependencies';
+
+const MAX_SUGGESTIONS = 8;
+
+const subtreeIds = (item, ids = new Set()) => {
+  ids.add(item.id);
+  (item.subtasks || []).forEach(sub => sub?.id && subtreeIds(sub, ids));
+  return ids;
+};
+
+export default function DependencyPicker({ item, tasks, onSaved }) {
+  const [query, setQuery] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const index = useMemo(() => buildItemIndex(tasks), [tasks]);
+  const blockedBy = item.blockedBy || [];
+
+  const suggestions = useMemo(() => {
+    const text = query.trim().toLowerCase();
+    if (!text) return [];
+    const excluded = subtreeIds(item);
+    return Array.from(index.values())
+      .filter(entry => !excluded.has(entry.id) && !blockedBy.includes(entry.id))
+      .filter(entry => describeItem(entry).toLowerCase().includes(text))
+      .slice(0, MAX_SUGGESTIONS);
+  }, [query, index, item, blockedBy]);
+
+  const save = async (next) => {
+    setSaving(true);
+    setError('');
+    try {
+      const res = await api.put(`/api/tasks/${item.id}/dependencies`, { blockedBy: next });
+      setQuery('');
+      onSaved?.({ blockedBy: res.data.blockedBy, task: res.data.task, version: res.data.task?.version });
+    } catch (err) {
+      setError(err.response?.data?.message || 'Závislosť sa nepodarilo uložiť');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="dependency-picker">
+      {blockedBy.length > 0 && (
+        <div className="dependency-chips">
+          {blockedBy.map(id => {
+            const entry = index.get(id);
+            return (
+              <span key={id} className={`dependency-chip ${entry?.completed ? 'done' : ''}`}>
+                {entry ? `${entry.completed ? '✓' : '⛔'} ${describeItem(entry)}` : 'Zmazaná položka'}
+                <button
+                  type="button"
+                  onClick={() => save(blockedBy.filter(b => b !== id))}
+                  disabled={saving}
+                  title="Odstrániť závislosť"
+                >
+                  ×
+                </button>
+              </span>
+            );
+          })}
+        </div>
+      )}
+      <input
+        type="text"
+        className="form-input"
+        placeholder="Čaká na… (hľadať projekt alebo úlohu)"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        disabled={saving}
+      />
+      {suggestions.length > 0 && (
+        <div className="dependency-suggestions">
+          {suggestions.map(entry => (
+            <button
+              key={entry.id}
+              type="button"
+              className="dependency-suggestion"
+              onClick={() => save([...blockedBy, entry.id])}
+              disabled={saving}
+            >
+              {entry.kind === 'subtask' ? '↳ ' : ''}{describeItem(entry)}
+              {entry.task.contactName && <span className="dependency-contact"> · {entry.task.contactName}</span>}
+            </button>
+          ))}
+        </div>
+      )}
+      {error && <div className="dependency-error">{error}</div>}
+    </div>
+  );
+}
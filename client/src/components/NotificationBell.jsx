@@ -190,6 +190,10 @@ function NotificationBell() {
       // (Task-related contact notifikácie sú odchytené vyššie task vetvou.)
       let url = `/crm?expandContact=${data.contactId}&_t=${ts}`;
       navigateForNotif(url, notifWs);
+    } else if ((related === 'page' || type.startsWith('page')) && data.pageId) {
+      let url = `/app?page=${data.pageId}&_t=${ts}`;
+      if (data.threadId) url += `&thread=${data.threadId}`;
+      navigateForNotif(url, notifWs);
     } else if (notif.relatedId) {
       // Fallback: use relatedType + relatedId
       if (related === 'message') navigateForNotif(`/messages?highlight=${notif.relatedId}&_t=${ts}`, notifWs);
@@ -220,7 +224,9 @@ function NotificationBell() {
     if (category === 'direct') {
       if (type === 'task.assigned' || type === 'subtask.assigned') return '📌';
       if (type === 'task.completed' || type === 'subtask.completed') return '✅';
+      if (type === 'task.unblocked' || type === 'subtask.unblocked') return '🔓';
       if (type?.startsWith('message')) return '✉️';
+      if (type === 'page.mentioned' || type === 'page.commented' || type === 'page.comment.reacted') return '💬';
       return '🔔';
     }
 
@@ -232,6 +238,7 @@ function NotificationBell() {
     if (type?.startsWith('task')) return '🗂️';
     if (type?.startsWith('subtask')) return '📝';
     if (type?.startsWith('message')) return '📨';
+    if (type === 'page.comment.resolved') return '✅';
     if (type === 'workspace.memberAdded') return '👥';
     if (type?.startsWith('workspace')) return '🏢';
     return '🔔';
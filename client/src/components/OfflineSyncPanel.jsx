@@ -0,0 +1,177 @@
+/**
+ * OfflineSyncPanel — stav offline režimu a riešenie neuložených zmien.
+ *
+ * Malý indikátor v rohu obrazovky: bez spojenia ("Offline", počet zmien
+ * čakajúcich na odoslanie), počas odosielania a keď niektoré zmeny neprešli.
+ * Klik na posledný otvorí okno so zoznamom takých zmien:
+ *   - konflikt — záznam medzitým upravil niekto iný; ukáže moje hodnoty
+ *     vedľa hodnôt na serveri a dá na výber ponechať moju verziu (prepíše
+ *     server) alebo moju zmenu zahodiť
+ *   - odmietnutá — server zmenu neprijal (chyba validácie, chýbajúce
+ *     práva…); dá sa poslať znova alebo zahodiť
+ *
+ * Logika je v services/offlineSync.js, stav v hooks/useOfflineSync.js.
+ */
+import { useState } from 'react';
+import { useOfflineSync } from '../hooks/useOfflineSync';
+
+const RESOURCE_LABELS = {
+  contacts: 'Kontakt',
+  tasks: 'Úloha',
+  messages: 'Správa',
+  pages: 'Stránka'
+};
+
+const METHOD_LABELS = {
+  POST: 'vytvorenie',
+  PUT: 'úprava',
+  PATCH: 'úprava',
+  DELETE: 'zmazanie'
+};
+
+// Polia, ktoré používateľ nemení — v porovnaní by len zavadzali
+const HIDDEN_FIELDS = new Set(['id', '_id', 'workspaceId', 'createdAt', 'updatedAt', 'modifiedAt', 'version', '__v', '_offline']);
+
+const MAX_VALUE_LENGTH = 120;
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'áno' : 'nie';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}…` : text;
+}
+
+// Polia mojej zmeny, ktoré sa líšia od verzie na serveri
+function conflictingFields(entry) {
+  const local = entry.data && typeof entry.data === 'object' ? entry.data : {};
+  const server = entry.serverData || {};
+  return Object.keys(local)
+    .filter(field => !HIDDEN_FIELDS.has(field))
+    .filter(field => JSON.stringify(local[field]) !== JSON.stringify(server[field]))
+    .map(field => ({ field, mine: local[field], theirs: server[field] }));
+}
+
+function ProblemItem({ entry, busy, onResolve }) {
+  const isConflict = entry.status === 'conflict';
+  const fields = isConflict ? conflictingFields(entry) : [];
+  const title = entry.label || entry.serverData?.name || entry.serverData?.title || 'Bez názvu';
+
+  return (
+    <li className="offline-sync-item">
+      <div className="offline-sync-item-header">
+        <strong>{RESOURCE_LABELS[entry.resource] || 'Záznam'} „{title}“</strong>
+        <span className="offline-sync-item-meta">
+          {METHOD_LABELS[entry.method] || entry.method} · {new Date(entry.createdAt).toLocaleString('sk-SK')}
+        </span>
+      </div>
+
+      {isConflict ? (
+        <>
+          <p className="offline-sync-item-message">
+            Kým ste boli offline, záznam upravil niekto iný.
+          </p>
+          {entry.method === 'DELETE' ? (
+            <p className="offline-sync-item-message">Zmazaním prídete aj o jeho zmeny.</p>
+          ) : fields.length > 0 ? (
+            <table className="offline-sync-diff">
+              <thead>
+                <tr><th>Pole</th><th>Moja zmena</th><th>Na serveri</th></tr>
+              </thead>
+              <tbody>
+                {fields.map(({ field, mine, theirs }) => (
+                  <tr key={field}>
+                    <td>{field}</td>
+                    <td>{formatValue(mine)}</td>
+                    <td>{formatValue(theirs)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="offline-sync-item-message">Vaše hodnoty sa zhodujú s verziou na serveri.</p>
+          )}
+        </>
+      ) : (
+        <p className="offline-sync-item-message offline-sync-item-error">
+          {entry.error?.message || 'Server zmenu neprijal'}
+        </p>
+      )}
+
+      <div className="offline-sync-item-actions">
+        <button className="btn btn-secondary btn-sm" disabled={busy} onClick={() => onResolve(entry.id, 'discard')}>
+          Zahodiť moju zmenu
+        </button>
+        {isConflict ? (
+          <button className="btn btn-primary btn-sm" disabled={busy} onClick={() => onResolve(entry.id, 'overwrite')}>
+            Ponechať moju verziu
+          </button>
+        ) : (
+          <button className="btn btn-primary btn-sm" disabled={busy} onClick={() => onResolve(entry.id, 'retry')}>
+            Skúsiť znova
+          </button>
+        )}
+      </div>
+    </li>
+  );
+}
+
+export default function OfflineSyncPanel() {
+  const { online, pending, problems, syncing, resolve } = useOfflineSync();
+  const [open, setOpen] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  const handleResolve = async (id, action) => {
+    setBusyId(id);
+    try {
+      await resolve(id, action);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  let status = null;
+  if (!online) {
+    status = pending > 0 ? `Offline · ${pending} ${pending === 1 ? 'zmena čaká' : 'zmien čaká'} na odoslanie` : 'Offline';
+  } else if (syncing && pending > 0) {
+    status = `Odosielam zmeny (${pending})…`;
+  } else if (pending > 0) {
+    status = `${pending} ${pending === 1 ? 'zmena čaká' : 'zmien čaká'} na odoslanie`;
+  }
+
+  if (!status && problems.length === 0) return null;
+
+  return (
+    <>
+      <div className={`offline-sync-indicator${online ? '' : ' offline'}`} role="status">
+        {status && <span>{status}</span>}
+        {problems.length > 0 && (
+          <button className="offline-sync-problems" onClick={() => setOpen(true)}>
+            ⚠️ {problems.length === 1 ? '1 zmena sa neuložila' : `${problems.length} zmien sa neuložilo`}
+          </button>
+        )}
+      </div>
+
+      {open && (
+        <div className="modal-overlay" onClick={() => setOpen(false)}>
+          <div className="modal-content offline-sync-modal" role="dialog" aria-modal="true" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Neuložené zmeny</h3>
+              <button className="modal-close" onClick={() => setOpen(false)} aria-label="Zavrieť">×</button>
+            </div>
+            <div className="modal-body">
+              {problems.length === 0 ? (
+                <p style={{ margin: 0 }}>Všetky zmeny sú vyriešené.</p>
+              ) : (
+                <ul className="offline-sync-list">
+                  {problems.map(entry => (
+                    <ProblemItem key={entry.id} entry={entry} busy={busyId !== null} onResolve={handleResolve} />
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
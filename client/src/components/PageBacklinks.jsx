@@ -0,0 +1,52 @@
+/**
+ * PageBacklinks — stránky, ktoré túto stránku spomínajú (#stránka).
+ *
+ * Zoznam pod obsahom stránky (GET /api/pages/:id/backlinks), len stránky,
+ * ktoré používateľ vidí. Nové spätné odkazy vznikajú v iných stránkach, takže
+ * sa zoznam načíta pri otvorení stránky — nesleduje sa cez socket.
+ *
+ * Props:
+ *  - pageId
+ */
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+
+function PageBacklinks({ pageId }) {
+  const navigate = useNavigate();
+  const [backlinks, setBacklinks] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    axios.get(`/api/pages/${pageId}/backlinks`)
+      .then((res) => {
+        if (!cancelled) setBacklinks(res.data);
+      })
+      .catch(() => {
+        if (!cancelled) setBacklinks([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [pageId]);
+
+  if (backlinks.length === 0) return null;
+
+  return (
+    <div className="page-backlinks">
+      <div className="page-backlinks-header">Odkazy na túto stránku ({backlinks.length})</div>
+      {backlinks.map((page) => (
+        <button
+          key={page.id}
+          className="page-backlink"
+          onClick={() => navigate(`/app?page=${page.id}`)}
+        >
+          <span>{page.icon || '📄'}</span>
+          <span>{page.title || 'Untitled'}</span>
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default PageBacklinks;
@@ -0,0 +1,338 @@
+/**
+ * PageComments — bočný panel s diskusiami stránky.
+ *
+ * Vlákno patrí k bloku alebo k úseku jeho textu (úsek je v editore
+ * zvýraznený značkou `comment`). Panel ukazuje otvorené alebo uzavreté
+ * vlákna, odpovede, reakcie 👍/👎 a nové vlákno z `draft` — ten pripraví
+ * PageView z označeného textu alebo z tlačidla pri bloku. Zmeny od
+ * ostatných prídu cez socket do PageView, ktorý drží zoznam `threads`;
+ * odpovede REST volaní sa hlásia cez `onThreadChanged` hneď.
+ *
+ * Komentovať môže úroveň 'comment' a 'edit', zmazať cudzí komentár alebo
+ * vlákno len 'edit' — server to overí, tu sa ovládanie len skryje.
+ *
+ * Props:
+ *  - pageId
+ *  - threads — vlákna stránky (GET /threads)
+ *  - blockIds — Set ID blokov stránky (vlákno bez bloku = blok zmazaný)
+ *  - access — úroveň prístupu ku stránke
+ *  - currentUserId
+ *  - draft — { blockId, start?, end?, quote, revision? } alebo null
+ *  - activeThreadId — zvýraznené vlákno (klik na úsek v texte)
+ *  - onSelectThread(threadId)
+ *  - onDraftDone()
+ *  - onThreadChanged(thread), onThreadDeleted(threadId)
+ *  - onClose()
+ */
+import { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+import { formatDateTime } from '../utils/formatters';
+
+const REACTIONS = [
+  { type: 'like', emoji: '👍' },
+  { type: 'dislike', emoji: '👎' }
+];
+
+function CommentEditor({ initialText = '', placeholder, submitLabel, onSubmit, onCancel, autoFocus = false }) {
+  const [text, setText] = useState(initialText);
+  const [saving, setSaving] = useState(false);
+
+  const submit = async () => {
+    if (!text.trim() || saving) return;
+    setSaving(true);
+    try {
+      await onSubmit(text.trim());
+      setText('');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="page-comment-editor">
+      <textarea
+        value={text}
+        rows={2}
+        autoFocus={autoFocus}
+        placeholder={placeholder}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={(e) => {
+          // Ctrl/⌘ + Enter odošle, Escape zruší
+          if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
+            e.preventDefault();
+            submit();
+          } else if (e.key === 'Escape' && onCancel) {
+            onCancel();
+          }
+        }}
+      />
+      <div className="page-comment-editor-actions">
+        {onCancel && (
+          <button className="btn btn-secondary" onClick={onCancel} disabled={saving}>Zrušiť</button>
+        )}
+        <button className="btn btn-primary" onClick={submit} disabled={saving || !text.trim()}>
+          {submitLabel}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function ThreadComment({ comment, currentUserId, canComment, canModerate, onReact, onEdit, onDelete }) {
+  const [editing, setEditing] = useState(false);
+  const mine = String(comment.userId) === currentUserId;
+
+  return (
+    <div className="page-comment">
+      <div className="page-comment-meta">
+        <strong>{comment.username}</strong>
+        <span>{formatDateTime(comment.createdAt)}{comment.editedAt ? ' (upravené)' : ''}</span>
+      </div>
+
+      {editing ? (
+        <CommentEditor
+          initialText={comment.text}
+          submitLabel="Uložiť"
+          autoFocus
+          onSubmit={async (text) => {
+            await onEdit(comment.id, text);
+            setEditing(false);
+          }}
+          onCancel={() => setEditing(false)}
+        />
+      ) : (
+        <div className="page-comment-text">{comment.text}</div>
+      )}
+
+      <div className="page-comment-actions">
+        {REACTIONS.map(({ type, emoji }) => {
+          const reacted = comment.reactions.filter((r) => r.type === type);
+          const active = reacted.some((r) => String(r.userId) === currentUserId);
+          if (!canComment && reacted.length === 0) return null;
+          return (
+            <button
+              key={type}
+              className={`page-comment-reaction ${active ? 'active' : ''}`}
+              disabled={!canComment}
+              title={reacted.map((r) => r.username).join(', ')}
+              onClick={() => onReact(comment.id, type)}
+            >
+              {emoji}{reacted.length > 0 && ` ${reacted.length}`}
+            </button>
+          );
+        })}
+        {mine && canComment && !editing && (
+          <button className="page-comment-link" onClick={() => setEditing(true)}>Upraviť</button>
+        )}
+        {(mine || canModerate) && canComment && (
+          <button className="page-comment-link" onClick={() => onDelete(comment.id)}>Zmazať</button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ThreadCard({ pageId, thread, orphaned, active, access, currentUserId, onSelect, onChanged, onDeleted, onError }) {
+  const canComment = access === 'comment' || access === 'edit';
+  const canModerate = access === 'edit';
+  const base = `/api/pages/${pageId}/threads/${thread.id}`;
+  const cardRef = useRef(null);
+
+  useEffect(() => {
+    if (active) cardRef.current?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }, [active]);
+
+  const run = async (request, fallback) => {
+    try {
+      const res = await request();
+      if (res.data?.deleted) onDeleted(thread.id);
+      else onChanged(res.data);
+    } catch (error) {
+      onError(error.response?.data?.message || fallback);
+    }
+  };
+
+  const deleteThread = async () => {
+    if (!window.confirm('Zmazať celú diskusiu?')) return;
+    try {
+      await axios.delete(base);
+      onDeleted(thread.id);
+    } catch (error) {
+      onError(error.response?.data?.message || 'Diskusiu sa nepodarilo zmazať.');
+    }
+  };
+
+  return (
+    <div
+      ref={cardRef}
+      className={`page-thread ${active ? 'active' : ''} ${thread.resolved ? 'resolved' : ''}`}
+      onClick={() => onSelect(thread.id)}
+    >
+      <div className="page-thread-header">
+        {thread.quote
+          ? <blockquote className="page-thread-quote">{thread.quote}</blockquote>
+          : <span className="page-thread-quote empty">(prázdny blok)</span>}
+        {orphaned && <span className="page-thread-orphaned">Blok bol odstránený</span>}
+      </div>
+
+      {thread.comments.map((comment) => (
+        <ThreadComment
+          key={comment.id}
+          comment={comment}
+          currentUserId={currentUserId}
+          canComment={canComment}
+          canModerate={canModerate}
+          onReact={(commentId, type) => run(
+            () => axios.post(`${base}/comments/${commentId}/reaction`, { type }),
+            'Reakciu sa nepodarilo uložiť.'
+          )}
+          onEdit={(commentId, text) => run(
+            () => axios.put(`${base}/comments/${commentId}`, { text }),
+            'Komentár sa nepodarilo upraviť.'
+          )}
+          onDelete={(commentId) => window.confirm('Zmazať komentár?') && run(
+            () => axios.delete(`${base}/comments/${commentId}`),
+            'Komentár sa nepodarilo zmazať.'
+          )}
+        />
+      ))}
+
+      {thread.resolved && (
+        <div className="page-thread-resolved">
+          Uzavrel {thread.resolvedByName || 'niekto'} · {formatDateTime(thread.resolvedAt)}
+        </div>
+      )}
+
+      {canComment && (
+        <div className="page-thread-footer" onClick={(e) => e.stopPropagation()}>
+          <CommentEditor
+            placeholder={thread.resolved ? 'Odpoveď diskusiu znovu otvorí…' : 'Odpovedať…'}
+            submitLabel="Odpovedať"
+            onSubmit={(text) => run(
+              () => axios.post(`${base}/comments`, { text }),
+              'Odpoveď sa nepodarilo odoslať.'
+            )}
+          />
+          <div className="page-thread-actions">
+            <button
+              className="page-comment-link"
+              onClick={() => run(
+                () => axios.put(base, { resolved: !thread.resolved }),
+                'Stav diskusie sa nepodarilo zmeniť.'
+              )}
+            >
+              {thread.resolved ? 'Znovu otvoriť' : 'Uzavrieť'}
+            </button>
+            {(canModerate || String(thread.createdBy) === currentUserId) && (
+              <button className="page-comment-link danger" onClick={deleteThread}>Zmazať diskusiu</button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function PageComments({
+  pageId,
+  threads,
+  blockIds,
+  access,
+  currentUserId,
+  draft,
+  activeThreadId,
+  onSelectThread,
+  onDraftDone,
+  onThreadChanged,
+  onThreadDeleted,
+  onClose
+}) {
+  const [showResolved, setShowResolved] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Vlákno otvorené z textu sa ukáže aj keď je v druhom zozname
+  const activeThread = threads.find((t) => t.id === activeThreadId);
+  useEffect(() => {
+    if (activeThread) setShowResolved(activeThread.resolved);
+  }, [activeThreadId]);
+
+  const shown = threads.filter((t) => t.resolved === showResolved);
+  const openCount = threads.filter((t) => !t.resolved).length;
+
+  const createThread = async (text) => {
+    setError(null);
+    try {
+      const res = await axios.post(`/api/pages/${pageId}/threads`, {
+        blockId: draft.blockId,
+        start: draft.start,
+        end: draft.end,
+        revision: draft.revision,
+        text
+      });
+      onThreadChanged(res.data);
+      onDraftDone();
+      setShowResolved(false);
+      onSelectThread(res.data.id);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Komentár sa nepodarilo uložiť.');
+    }
+  };
+
+  return (
+    <aside className="page-comments">
+      <div className="page-comments-header">
+        <h3>Komentáre</h3>
+        <button className="modal-close" onClick={onClose} aria-label="Zavrieť">×</button>
+      </div>
+
+      <div className="page-comments-tabs">
+        <button className={!showResolved ? 'active' : ''} onClick={() => setShowResolved(false)}>
+          Otvorené ({openCount})
+        </button>
+        <button className={showResolved ? 'active' : ''} onClick={() => setShowResolved(true)}>
+          Uzavreté ({threads.length - openCount})
+        </button>
+      </div>
+
+      {error && <div className="page-templates-error">{error}</div>}
+
+      {draft && (
+        <div className="page-thread draft">
+          <blockquote className="page-thread-quote">{draft.quote || '(prázdny blok)'}</blockquote>
+          <CommentEditor
+            placeholder="Napíšte komentár… (Ctrl/⌘ + Enter odošle)"
+            submitLabel="Komentovať"
+            autoFocus
+            onSubmit={createThread}
+            onCancel={onDraftDone}
+          />
+        </div>
+      )}
+
+      <div className="page-comments-list">
+        {shown.length === 0 && !draft && (
+          <div className="page-history-empty">
+            {showResolved ? 'Žiadne uzavreté diskusie.' : 'Žiadne otvorené diskusie. Označte text a kliknite na 💬.'}
+          </div>
+        )}
+        {shown.map((thread) => (
+          <ThreadCard
+            key={thread.id}
+            pageId={pageId}
+            thread={thread}
+            orphaned={!blockIds.has(thread.blockId)}
+            active={thread.id === activeThreadId}
+            access={access}
+            currentUserId={currentUserId}
+            onSelect={onSelectThread}
+            onChanged={onThreadChanged}
+            onDeleted={onThreadDeleted}
+            onError={setError}
+          />
+        ))}
+      </div>
+    </aside>
+  );
+}
+
+export default PageComments;
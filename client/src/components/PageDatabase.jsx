@@ -0,0 +1,676 @@
+/**
+ * PageDatabase — obsah databázovej stránky (Page.kind 'database').
+ *
+ * Hore sú uložené pohľady (tabuľka, nástenka, kalendár), pod nimi filtre,
+ * zoradenie, nastavenie pohľadu a CSV export / import. Riadky filtruje a
+ * zoraďuje server (GET /api/pages/:id/rows); neuložené filtre a zoradenie
+ * sa posielajú ako `filters` / `sorts` a editor ich môže uložiť do pohľadu.
+ *
+ * Schéma (`page.database`) patrí stránke — zmenu hlási `onDatabaseChange`
+ * a PageView ju uloží do stránky. Zmeny ostatných prídu cez socket: nová
+ * schéma priamo, zmenené riadky sa načítajú znova, aby sedeli s filtrom.
+ * Vlastné úpravy riadkov sa prepíšu odpoveďou servera hneď.
+ *
+ * Props:
+ *  - page — { id, title, database }
+ *  - readOnly
+ *  - currentUserId
+ *  - socketApi — useSocket() z PageView
+ *  - onDatabaseChange(database)
+ */
+import { useState, useEffect, useCallback, useRef } from 'react';
+import axios from 'axios';
+import DatabaseCell from './DatabaseCell';
+import DatabaseTable from './DatabaseTable';
+import DatabaseBoard from './DatabaseBoard';
+import DatabaseCalendar from './DatabaseCalendar';
+import DatabasePropertyEditor from './DatabasePropertyEditor';
+import {
+  VIEW_TYPES,
+  OPERATORS,
+  OPERATOR_LABELS,
+  VALUELESS_OPERATORS,
+  typeInfo,
+  isEmptyValue,
+  relationNames,
+  mergeRefs
+} from '../utils/pageDatabase';
+
+const EMPTY_REFS = { users: {}, contacts: {}, tasks: {} };
+
+// Meno súboru z Content-Disposition (filename* má prednosť)
+const fileNameFrom = (header, fallback) => {
+  const encoded = /filename\*=UTF-8''([^;]+)/i.exec(header || '');
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[1]);
+    } catch {
+      // neplatné kódovanie — skúsime obyčajný filename
+    }
+  }
+  const plain = /filename="([^"]+)"/i.exec(header || '');
+  return plain ? plain[1] : fallback;
+};
+
+// Rozpísaný filter bez hodnoty sa serveru neposiela
+const isCompleteFilter = (filter) =>
+  VALUELESS_OPERATORS.includes(filter.operator) || !isEmptyValue(filter.value);
+
+const newFilter = (property) => ({
+  propertyId: property.id,
+  operator: OPERATORS[property.type][0],
+  value: property.type === 'checkbox' ? true : null
+});
+
+function FilterValue({ property, filter, refs, members, onChange }) {
+  if (VALUELESS_OPERATORS.includes(filter.operator)) return null;
+  const value = filter.value ?? '';
+  switch (property.type) {
+    case 'select':
+    case 'multi_select':
+      return (
+        <select value={value} onChange={(e) => onChange(e.target.value || null)}>
+          <option value="">—</option>
+          {property.options.map((o) => <option key={o.id} value={o.id}>{o.name}</option>)}
+        </select>
+      );
+    case 'person':
+      return (
+        <select value={value} onChange={(e) => onChange(e.target.value || null)}>
+          <option value="">—</option>
+          {members.map((m) => <option key={m.userId} value={m.userId}>{m.username}</option>)}
+        </select>
+      );
+    case 'relation': {
+      const names = relationNames(property, refs);
+      return (
+        <select value={value} onChange={(e) => onChange(e.target.value || null)}>
+          <option value="">—</option>
+          {Object.entries(names).map(([id, name]) => <option key={id} value={id}>{name}</option>)}
+        </select>
+      );
+    }
+    case 'checkbox':
+      return (
+        <select value={String(filter.value)} onChange={(e) => onChange(e.target.value === 'true')}>
+          <option value="true">zaškrtnuté</option>
+          <option value="false">nezaškrtnuté</option>
+        </select>
+      );
+    case 'number':
+      return (
+        <input
+          type="number"
+          value={value}
+          onChange={(e) => onChange(e.target.value === '' ? null : Number(e.target.value))}
+        />
+      );
+    default:
+      return (
+        <input
+          type={property.type === 'date' ? 'date' : 'text'}
+          value={value}
+          onChange={(e) => onChange(e.target.value || null)}
+        />
+      );
+  }
+}
+
+function QueryEditor({ properties, filters, sorts, refs, members, canSave, dirty, onChange, onSave, onReset }) {
+  const propertyOf = (id) => properties.find((p) => p.id === id);
+  const setFilter = (index, changes) =>
+    onChange({ filters: filters.map((f, i) => (i === index ? { ...f, ...changes } : f)), sorts });
+  const setSort = (index, changes) =>
+    onChange({ filters, sorts: sorts.map((s, i) => (i === index ? { ...s, ...changes } : s)) });
+
+  return (
+    <div className="db-query-editor">
+      <div className="db-query-section">
+        <span className="db-card-label">Filtre (platia všetky)</span>
+        {filters.map((filter, index) => {
+          const property = propertyOf(filter.propertyId);
+          if (!property) return null;
+          return (
+            <div key={index} className="db-query-row">
+              <select
+                value={filter.propertyId}
+                onChange={(e) => setFilter(index, newFilter(propertyOf(e.target.value)))}
+              >
+                {properties.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+              </select>
+              <select value={filter.operator} onChange={(e) => setFilter(index, { operator: e.target.value })}>
+                {OPERATORS[property.type].map((op) => <option key={op} value={op}>{OPERATOR_LABELS[op]}</option>)}
+              </select>
+              <FilterValue
+                property={property}
+                filter={filter}
+                refs={refs}
+                members={members}
+                onChange={(value) => setFilter(index, { value })}
+              />
+              <button
+                className="db-chip-remove"
+                onClick={() => onChange({ filters: filters.filter((_, i) => i !== index), sorts })}
+              >
+                ×
+              </button>
+            </div>
+          );
+        })}
+        <button
+          className="page-comment-link"
+          onClick={() => onChange({ filters: [...filters, newFilter(properties[0])], sorts })}
+        >
+          + Pridať filter
+        </button>
+      </div>
+
+      <div className="db-query-section">
+        <span className="db-card-label">Zoradenie</span>
+        {sorts.map((sort, index) => (
+          <div key={index} className="db-query-row">
+            <select value={sort.propertyId} onChange={(e) => setSort(index, { propertyId: e.target.value })}>
+              {properties.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </select>
+            <select value={sort.direction} onChange={(e) => setSort(index, { direction: e.target.value })}>
+              <option value="asc">vzostupne</option>
+              <option value="desc">zostupne</option>
+            </select>
+            <button
+              className="db-chip-remove"
+              onClick={() => onChange({ filters, sorts: sorts.filter((_, i) => i !== index) })}
+            >
+              ×
+            </button>
+          </div>
+        ))}
+        {sorts.length < properties.length && (
+          <button
+            className="page-comment-link"
+            onClick={() => {
+              const unused = properties.find((p) => !sorts.some((s) => s.propertyId === p.id));
+              onChange({ filters, sorts: [...sorts, { propertyId: unused.id, direction: 'asc' }] });
+            }}
+          >
+            + Pridať zoradenie
+          </button>
+        )}
+      </div>
+
+      {dirty && (
+        <div className="db-editor-actions">
+          <button className="page-comment-link" onClick={onReset}>Zahodiť zmeny</button>
+          {canSave && <button className="btn btn-primary" onClick={onSave}>Uložiť do pohľadu</button>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ViewSettings({ view, properties, onSave, onDelete, canDelete }) {
+  const [name, setName] = useState(view.name);
+  const selects = properties.filter((p) => p.type === 'select');
+  const dates = properties.filter((p) => p.type === 'date');
+  const hidden = view.hiddenProperties || [];
+
+  return (
+    <div className="db-query-editor">
+      <div className="db-query-row">
+        <input
+          type="text"
+          value={name}
+          maxLength={100}
+          onChange={(e) => setName(e.target.value)}
+          onBlur={() => name.trim() && name.trim() !== view.name && onSave({ name: name.trim() })}
+        />
+        <select value={view.type} onChange={(e) => onSave({ type: e.target.value })}>
+          {VIEW_TYPES.map((t) => <option key={t.type} value={t.type}>{t.icon} {t.label}</option>)}
+        </select>
+        {view.type === 'board' && (
+          <select value={view.groupBy || ''} onChange={(e) => onSave({ groupBy: e.target.value })}>
+            {selects.map((p) => <option key={p.id} value={p.id}>Stĺpce podľa: {p.name}</option>)}
+          </select>
+        )}
+        {view.type === 'calendar' && (
+          <select value={view.dateProperty || ''} onChange={(e) => onSave({ dateProperty: e.target.value })}>
+            {dates.map((p) => <option key={p.id} value={p.id}>Dátum: {p.name}</option>)}
+          </select>
+        )}
+      </div>
+      <div className="db-query-section">
+        <span className="db-card-label">Zobrazené vlastnosti</span>
+        <div className="db-hidden-properties">
+          {properties.filter((p) => p.id !== 'title').map((property) => (
+            <label key={property.id}>
+              <input
+                type="checkbox"
+                checked={!hidden.includes(property.id)}
+                onChange={(e) => onSave({
+                  hiddenProperties: e.target.checked
+                    ? hidden.filter((id) => id !== property.id)
+                    : [...hidden, property.id]
+                })}
+              />
+              {property.name}
+            </label>
+          ))}
+        </div>
+      </div>
+      {canDelete && (
+        <div className="db-editor-actions">
+          <button className="db-danger-button" onClick={onDelete}>Zmazať pohľad</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function RowDetail({ row, properties, refs, members, readOnly, onChangeValue, onDelete, onClose }) {
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div
+        className="modal-content db-row-detail"
+        role="dialog"
+        aria-modal="true"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="modal-header">
+          <h2>{row.values.title || 'Bez názvu'}</h2>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+        <div className="db-row-fields">
+          {properties.map((property) => (
+            <div key={property.id} className="db-row-field">
+              <span className="db-row-field-label">
+                <span className="db-type-icon">{typeInfo(property.type).icon}</span>
+                {property.name}
+              </span>
+              <DatabaseCell
+                property={property}
+                value={row.values[property.id]}
+                refs={refs}
+                members={members}
+                readOnly={readOnly}
+                onChange={(value) => onChangeValue(row, property.id, value)}
+              />
+            </div>
+          ))}
+        </div>
+        {!readOnly && (
+          <div className="db-editor-actions">
+            <button className="db-danger-button" onClick={onDelete}>Zmazať riadok</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function PageDatabase({ page, readOnly, currentUserId, socketApi, onDatabaseChange }) {
+  const database = page.database;
+  const [viewId, setViewId] = useState(database.views[0]?.id);
+  const [rows, setRows] = useState([]);
+  const [refs, setRefs] = useState(EMPTY_REFS);
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  // Neuložené filtre a zoradenie { filters, sorts } alebo null
+  const [draft, setDraft] = useState(null);
+  const [panel, setPanel] = useState(null);
+  const [editingProperty, setEditingProperty] = useState(undefined);
+  const [openRowId, setOpenRowId] = useState(null);
+  const [addingView, setAddingView] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const importInputRef = useRef(null);
+
+  const view = database.views.find((v) => v.id === viewId) || database.views[0];
+  const filters = draft ? draft.filters : view.filters;
+  const sorts = draft ? draft.sorts : view.sorts;
+  const visibleProperties = database.properties.filter((p) => !(view.hiddenProperties || []).includes(p.id));
+
+  // Parametre dotazu na riadky — neuložené filtre len kompletné
+  const queryParams = useCallback(() => ({
+    view: view.id,
+    filters: draft ? JSON.stringify(draft.filters.filter(isCompleteFilter)) : undefined,
+    sorts: draft ? JSON.stringify(draft.sorts) : undefined
+  }), [view.id, draft]);
+
+  const fetchRows = useCallback(async () => {
+    try {
+      const res = await axios.get(`/api/pages/${page.id}/rows`, { params: queryParams() });
+      setRows(res.data.rows);
+      setRefs(res.data.refs);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Riadky sa nepodarilo načítať.');
+    } finally {
+      setLoading(false);
+    }
+  }, [page.id, queryParams]);
+
+  // Rozpísaný filter sa píše — dotaz až po krátkej pauze
+  useEffect(() => {
+    const timer = setTimeout(fetchRows, draft ? 300 : 0);
+    return () => clearTimeout(timer);
+  }, [fetchRows, draft, view.filters, view.sorts]);
+
+  // Iný pohľad — rozpísané filtre patria tomu predchádzajúcemu
+  useEffect(() => {
+    setDraft(null);
+  }, [viewId]);
+
+  useEffect(() => {
+    if (!database.properties.some((p) => p.type === 'person')) return;
+    axios.get('/api/workspaces/current/members')
+      .then((res) => setMembers(res.data))
+      .catch(() => setMembers([]));
+  }, [database.properties]);
+
+  const fetchRowsRef = useRef(fetchRows);
+  fetchRowsRef.current = fetchRows;
+
+  const { onPageDatabaseUpdated, onPageRowUpdated, onPageRowDeleted } = socketApi;
+  useEffect(() => {
+    const unsubDatabase = onPageDatabaseUpdated(({ pageId, database: next, rowsChanged, updatedBy }) => {
+      if (pageId !== page.id) return;
+      onDatabaseChange(next);
+      if (rowsChanged && updatedBy !== currentUserId) fetchRowsRef.current();
+    });
+    const unsubRow = onPageRowUpdated(({ pageId, updatedBy }) => {
+      if (pageId === page.id && updatedBy !== currentUserId) fetchRowsRef.current();
+    });
+    const unsubDeleted = onPageRowDeleted(({ pageId, rowId }) => {
+      if (pageId === page.id) setRows((prev) => prev.filter((r) => r.id !== rowId));
+    });
+    return () => {
+      if (unsubDatabase) unsubDatabase();
+      if (unsubRow) unsubRow();
+      if (unsubDeleted) unsubDeleted();
+    };
+  }, [page.id, currentUserId, onPageDatabaseUpdated, onPageRowUpdated, onPageRowDeleted, onDatabaseChange]);
+
+  const upsertRow = ({ row, refs: rowRefs }) => {
+    setRefs((prev) => mergeRefs(prev, rowRefs));
+    setRows((prev) => (prev.some((r) => r.id === row.id)
+      ? prev.map((r) => (r.id === row.id ? row : r))
+      : [...prev, row]));
+  };
+
+  const changeValue = async (row, propertyId, value) => {
+    // Hneď ukážeme novú hodnotu, chyba ju vráti späť
+    setRows((prev) => prev.map((r) => (r.id === row.id ? { ...r, values: { ...r.values, [propertyId]: value } } : r)));
+    try {
+      const res = await axios.put(`/api/pages/${page.id}/rows/${row.id}`, { values: { [propertyId]: value } });
+      upsertRow(res.data);
+    } catch (err) {
+      setRows((prev) => prev.map((r) => (r.id === row.id ? row : r)));
+      setError(err.response?.data?.message || 'Hodnotu sa nepodarilo uložiť.');
+    }
+  };
+
+  const addRow = async (values = {}) => {
+    try {
+      const res = await axios.post(`/api/pages/${page.id}/rows`, { values });
+      upsertRow(res.data);
+      setOpenRowId(res.data.row.id);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Riadok sa nepodarilo pridať.');
+    }
+  };
+
+  const deleteRow = async (row) => {
+    if (!window.confirm(`Zmazať riadok „${row.values.title || 'Bez názvu'}"?`)) return;
+    try {
+      await axios.delete(`/api/pages/${page.id}/rows/${row.id}`);
+      setRows((prev) => prev.filter((r) => r.id !== row.id));
+      setOpenRowId(null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Riadok sa nepodarilo zmazať.');
+    }
+  };
+
+  const saveView = async (changes, targetId = view.id) => {
+    try {
+      const res = await axios.put(`/api/pages/${page.id}/database/views/${targetId}`, changes);
+      onDatabaseChange(res.data.database);
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.message || 'Pohľad sa nepodarilo uložiť.');
+      return false;
+    }
+  };
+
+  const addView = async (type) => {
+    setAddingView(false);
+    try {
+      const label = VIEW_TYPES.find((t) => t.type === type).label;
+      const res = await axios.post(`/api/pages/${page.id}/database/views`, { name: label, type });
+      onDatabaseChange(res.data.database);
+      setViewId(res.data.view.id);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Pohľad sa nepodarilo pridať.');
+    }
+  };
+
+  const deleteView = async () => {
+    if (!window.confirm(`Zmazať pohľad „${view.name}"?`)) return;
+    try {
+      const res = await axios.delete(`/api/pages/${page.id}/database/views/${view.id}`);
+      onDatabaseChange(res.data.database);
+      setViewId(res.data.database.views[0].id);
+      setPanel(null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Pohľad sa nepodarilo zmazať.');
+    }
+  };
+
+  const saveDraft = async () => {
+    const saved = await saveView({ filters: draft.filters.filter(isCompleteFilter), sorts: draft.sorts });
+    if (saved) setDraft(null);
+  };
+
+  const exportCsv = async () => {
+    setBusy(true);
+    try {
+      const res = await axios.get(`/api/pages/${page.id}/rows/export`, { params: queryParams(), responseType: 'blob' });
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileNameFrom(res.headers['content-disposition'], 'databaza.csv');
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch {
+      setError('Export sa nepodaril.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const importCsv = async (file) => {
+    if (!file) return;
+    setBusy(true);
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      const res = await axios.post(`/api/pages/${page.id}/rows/import`, formData);
+      onDatabaseChange(res.data.database);
+      const parts = [`Importované riadky: ${res.data.imported}`];
+      if (res.data.createdProperties.length > 0) parts.push(`nové vlastnosti: ${res.data.createdProperties.join(', ')}`);
+      if (res.data.skippedCells > 0) parts.push(`vynechané bunky: ${res.data.skippedCells}`);
+      setNotice(parts.join(' · '));
+      fetchRows();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Import sa nepodaril.');
+    } finally {
+      setBusy(false);
+      if (importInputRef.current) importInputRef.current.value = '';
+    }
+  };
+
+  const openRow = rows.find((r) => r.id === openRowId);
+  const groupProperty = database.properties.find((p) => p.id === view.groupBy);
+  const dateProperty = database.properties.find((p) => p.id === view.dateProperty);
+  const activeFilters = filters.filter(isCompleteFilter).length;
+
+  const renderView = () => {
+    const common = { rows, refs, readOnly, onOpenRow: (row) => setOpenRowId(row.id) };
+    if (view.type === 'board' && groupProperty) {
+      return (
+        <DatabaseBoard
+          {...common}
+          groupProperty={groupProperty}
+          properties={visibleProperties}
+          onChangeValue={changeValue}
+          onAddRow={addRow}
+        />
+      );
+    }
+    if (view.type === 'calendar' && dateProperty) {
+      return <DatabaseCalendar {...common} dateProperty={dateProperty} onAddRow={addRow} />;
+    }
+    return (
+      <DatabaseTable
+        {...common}
+        properties={visibleProperties}
+        members={members}
+        onChangeValue={changeValue}
+        onAddRow={() => addRow()}
+        onDeleteRow={deleteRow}
+        onEditProperty={setEditingProperty}
+      />
+    );
+  };
+
+  return (
+    <div className="page-database">
+      <div className="db-views">
+        {database.views.map((v) => (
+          <button
+            key={v.id}
+            className={`db-view-tab${v.id === view.id ? ' active' : ''}`}
+            onClick={() => setViewId(v.id)}
+          >
+            {VIEW_TYPES.find((t) => t.type === v.type)?.icon} {v.name}
+          </button>
+        ))}
+        {!readOnly && (
+          <span className="db-add-view">
+            <button className="db-view-tab" onClick={() => setAddingView(!addingView)} title="Pridať pohľad">+</button>
+            {addingView && (
+              <div className="block-menu db-cell-popover">
+                {VIEW_TYPES.map((t) => (
+                  <div key={t.type} className="block-menu-item" onClick={() => addView(t.type)}>
+                    <span className="block-menu-item-icon">{t.icon}</span>
+                    <span>{t.label}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </span>
+        )}
+      </div>
+
+      <div className="db-toolbar">
+        <button
+          className={`page-history-button${panel === 'query' ? ' active' : ''}`}
+          onClick={() => setPanel(panel === 'query' ? null : 'query')}
+        >
+          Filter{activeFilters > 0 ? ` (${activeFilters})` : ''} · Zoradenie{sorts.length > 0 ? ` (${sorts.length})` : ''}
+          {draft && ' •'}
+        </button>
+        {!readOnly && (
+          <>
+            <button
+              className={`page-history-button${panel === 'view' ? ' active' : ''}`}
+              onClick={() => setPanel(panel === 'view' ? null : 'view')}
+            >
+              Pohľad
+            </button>
+            <button className="page-history-button" onClick={() => setEditingProperty(null)}>+ Vlastnosť</button>
+            <button className="page-history-button" onClick={() => addRow()}>+ Nový riadok</button>
+          </>
+        )}
+        <button className="page-history-button" onClick={exportCsv} disabled={busy}>Export CSV</button>
+        {!readOnly && (
+          <>
+            <button className="page-history-button" onClick={() => importInputRef.current?.click()} disabled={busy}>
+              Import CSV
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".csv,.txt,text/csv"
+              style={{ display: 'none' }}
+              onChange={(e) => importCsv(e.target.files[0])}
+            />
+          </>
+        )}
+      </div>
+
+      {panel === 'query' && (
+        <QueryEditor
+          properties={database.properties}
+          filters={filters}
+          sorts={sorts}
+          refs={refs}
+          members={members}
+          canSave={!readOnly}
+          dirty={Boolean(draft)}
+          onChange={setDraft}
+          onSave={saveDraft}
+          onReset={() => setDraft(null)}
+        />
+      )}
+      {panel === 'view' && !readOnly && (
+        <ViewSettings
+          key={view.id}
+          view={view}
+          properties={database.properties}
+          canDelete={database.views.length > 1}
+          onSave={(changes) => saveView(changes)}
+          onDelete={deleteView}
+        />
+      )}
+
+      {error && (
+        <div className="page-linked-error db-message" onClick={() => setError(null)}>{error}</div>
+      )}
+      {notice && (
+        <div className="db-message" onClick={() => setNotice(null)}>{notice}</div>
+      )}
+
+      {loading ? <div className="db-empty">Načítavam…</div> : renderView()}
+
+      {editingProperty !== undefined && (
+        <DatabasePropertyEditor
+          pageId={page.id}
+          property={editingProperty}
+          onSaved={(next) => {
+            onDatabaseChange(next);
+            // Zmena typu alebo možností mení hodnoty v riadkoch
+            if (editingProperty) fetchRows();
+          }}
+          onClose={() => setEditingProperty(undefined)}
+        />
+      )}
+
+      {openRow && (
+        <RowDetail
+          row={openRow}
+          properties={database.properties}
+          refs={refs}
+          members={members}
+          readOnly={readOnly}
+          onChangeValue={changeValue}
+          onDelete={() => deleteRow(openRow)}
+          onClose={() => setOpenRowId(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default PageDatabase;
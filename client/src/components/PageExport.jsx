@@ -0,0 +1,116 @@
+/**
+ * PageExport — stiahnutie stránky ako Markdown, HTML alebo PDF.
+ *
+ * S podstránkami príde ZIP (každá stránka jeden súbor, podstránky v
+ * priečinku s menom stránky). Súbor sa sťahuje cez axios, aby išla
+ * Authorization hlavička, a uloží sa cez dočasný object URL.
+ *
+ * Props:
+ *  - pageId
+ *  - onClose()
+ */
+import { useState } from 'react';
+import axios from 'axios';
+
+const FORMATS = [
+  { value: 'md', label: 'Markdown (.md)' },
+  { value: 'html', label: 'HTML (.html)' },
+  { value: 'pdf', label: 'PDF (.pdf)' }
+];
+
+// Meno súboru z Content-Disposition (filename* má prednosť)
+const fileNameFrom = (header, fallback) => {
+  const encoded = /filename\*=UTF-8''([^;]+)/i.exec(header || '');
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[1]);
+    } catch {
+      // neplatné kódovanie — skúsime obyčajný filename
+    }
+  }
+  const plain = /filename="([^"]+)"/i.exec(header || '');
+  return plain ? plain[1] : fallback;
+};
+
+// Chybová odpoveď prišla ako Blob (responseType: 'blob')
+const errorMessage = async (err) => {
+  try {
+    const data = JSON.parse(await err.response.data.text());
+    return data.message;
+  } catch {
+    return null;
+  }
+};
+
+function PageExport({ pageId, onClose }) {
+  const [format, setFormat] = useState('md');
+  const [subpages, setSubpages] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const download = async () => {
+    setExporting(true);
+    setError(null);
+    try {
+      const res = await axios.get(`/api/pages/${pageId}/export`, {
+        params: { format, subpages: subpages ? 'true' : undefined },
+        responseType: 'blob'
+      });
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileNameFrom(res.headers['content-disposition'], subpages ? 'export.zip' : `export.${format}`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      onClose();
+    } catch (err) {
+      setError((err.response && await errorMessage(err)) || 'Export sa nepodaril.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div
+        className="modal-content page-export"
+        role="dialog"
+        aria-modal="true"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="modal-header">
+          <h2>Exportovať stránku</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Zavrieť">×</button>
+        </div>
+
+        <div className="page-share-form">
+          <label className="page-share-option">
+            Formát
+            <select value={format} onChange={(e) => setFormat(e.target.value)}>
+              {FORMATS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="page-share-option">
+            <input
+              type="checkbox"
+              checked={subpages}
+              onChange={(e) => setSubpages(e.target.checked)}
+            />
+            Vrátane podstránok (ZIP)
+          </label>
+          <button className="btn btn-primary" onClick={download} disabled={exporting}>
+            {exporting ? 'Exportujem...' : 'Stiahnuť'}
+          </button>
+        </div>
+
+        {error && <div className="page-templates-error">{error}</div>}
+      </div>
+    </div>
+  );
+}
+
+export default PageExport;
@@ -0,0 +1,193 @@
+/**
+ * PageHistory — história verzií stránky (zoznam, diff, obnovenie).
+ *
+ * Verzie ukladá server automaticky (jedna na editačnú session autora).
+ * Vybraná verzia sa porovnáva s aktuálnym stavom alebo s inou verziou
+ * (`compareTo`). Obnovenie vytvorí na serveri novú verziu, takže sa dá
+ * vrátiť rovnako; otvorené editory sa znovu načítajú cez `page-updated`.
+ *
+ * Props:
+ *  - pageId
+ *  - onClose()
+ *  - onRestored(page): po úspešnom obnovení
+ */
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import ConfirmModal from './ConfirmModal';
+import { formatDateTime } from '../utils/formatters';
+
+const REASON_LABELS = {
+  initial: 'Pôvodná verzia',
+  edit: 'Úpravy',
+  restore: 'Obnovená verzia'
+};
+
+function DiffBlock({ entry }) {
+  const text = entry.to ? entry.to.content : entry.from.content;
+  return (
+    <div
+      className={`page-history-diff-block ${entry.status}`}
+      style={{ marginLeft: entry.depth * 24 }}
+    >
+      {entry.status === 'changed'
+        ? entry.segments.map((segment, i) => (
+          <span key={i} className={`page-history-segment ${segment.type}`}>{segment.text}</span>
+        ))
+        : (text || <span style={{ color: 'var(--text-muted)' }}>(prázdny blok)</span>)}
+    </div>
+  );
+}
+
+function PageHistory({ pageId, onClose, onRestored }) {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState(null);
+  const [compareTo, setCompareTo] = useState('current');
+  const [diff, setDiff] = useState(null);
+  const [confirmRestore, setConfirmRestore] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+
+  useEffect(() => {
+    const fetchVersions = async () => {
+      try {
+        const res = await axios.get(`/api/pages/${pageId}/versions`);
+        setVersions(res.data);
+        if (res.data.length > 0) setSelectedId(res.data[0].id);
+      } catch {
+        // Versions fetch failed
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchVersions();
+  }, [pageId]);
+
+  useEffect(() => {
+    if (!selectedId) return;
+    let cancelled = false;
+    const fetchDiff = async () => {
+      try {
+        const res = await axios.get(`/api/pages/${pageId}/versions/diff`, {
+          params: { from: selectedId, to: compareTo }
+        });
+        if (!cancelled) setDiff(res.data);
+      } catch {
+        if (!cancelled) setDiff(null);
+      }
+    };
+    fetchDiff();
+    return () => { cancelled = true; };
+  }, [pageId, selectedId, compareTo]);
+
+  const restore = async () => {
+    setConfirmRestore(false);
+    setRestoring(true);
+    try {
+      const res = await axios.post(`/api/pages/${pageId}/versions/${selectedId}/restore`);
+      onRestored(res.data);
+      onClose();
+    } catch {
+      // Restore failed
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const selected = versions.find((v) => v.id === selectedId);
+
+  return (
+    <>
+      <div className="modal-overlay" onClick={onClose}>
+        <div
+          className="modal-content page-history"
+          role="dialog"
+          aria-modal="true"
+          onClick={(e) => e.stopPropagation()}
+        >
+          <div className="modal-header">
+            <h2>História verzií</h2>
+            <button className="modal-close" onClick={onClose} aria-label="Zavrieť">×</button>
+          </div>
+
+          <div className="page-history-body">
+            <div className="page-history-list">
+              {loading && <div className="page-history-empty">Načítavam...</div>}
+              {!loading && versions.length === 0 && (
+                <div className="page-history-empty">Stránka zatiaľ nemá žiadne uložené verzie.</div>
+              )}
+              {versions.map((version) => (
+                <button
+                  key={version.id}
+                  className={`page-history-item ${version.id === selectedId ? 'active' : ''}`}
+                  onClick={() => setSelectedId(version.id)}
+                >
+                  <span className="page-history-item-date">{formatDateTime(version.updatedAt)}</span>
+                  <span className="page-history-item-meta">
+                    {version.createdBy?.username || 'Neznámy autor'} · {REASON_LABELS[version.reason] || version.reason}
+                  </span>
+                </button>
+              ))}
+            </div>
+
+            <div className="page-history-diff">
+              {selected && (
+                <div className="page-history-toolbar">
+                  <label>
+                    Porovnať s{' '}
+                    <select value={compareTo} onChange={(e) => setCompareTo(e.target.value)}>
+                      <option value="current">aktuálnym stavom</option>
+                      {versions
+                        .filter((v) => v.id !== selectedId)
+                        .map((v) => (
+                          <option key={v.id} value={v.id}>
+                            {formatDateTime(v.updatedAt)} — {v.createdBy?.username || 'Neznámy autor'}
+                          </option>
+                        ))}
+                    </select>
+                  </label>
+                  <button
+                    className="btn btn-primary"
+                    disabled={restoring}
+                    onClick={() => setConfirmRestore(true)}
+                  >
+                    Obnoviť túto verziu
+                  </button>
+                </div>
+              )}
+
+              {diff && (
+                <>
+                  {diff.title.changed && (
+                    <div className="page-history-title">
+                      <span className="page-history-segment delete">{diff.title.from || 'Untitled'}</span>
+                      {' → '}
+                      <span className="page-history-segment insert">{diff.title.to || 'Untitled'}</span>
+                    </div>
+                  )}
+                  <div className="page-history-stats">
+                    +{diff.stats.added} pridané · −{diff.stats.removed} odobraté · {diff.stats.changed} zmenené
+                  </div>
+                  {diff.blocks.map((entry, i) => (
+                    <DiffBlock key={`${entry.id}-${i}`} entry={entry} />
+                  ))}
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {confirmRestore && (
+        <ConfirmModal
+          title="Obnoviť verziu"
+          message="Obsah stránky sa nahradí vybranou verziou. Aktuálny stav ostane v histórii, takže sa k nemu dá vrátiť."
+          confirmLabel="Obnoviť"
+          onConfirm={restore}
+          onCancel={() => setConfirmRestore(false)}
+        />
+      )}
+    </>
+  );
+}
+
+export default PageHistory;
@@ -0,0 +1,120 @@
+/**
+ * PageLinkedRecord — prepojenie stránky s kontaktom alebo projektom.
+ *
+ * Pod názvom stránky ukáže prepojený záznam (klik otvorí jeho detail) alebo
+ * tlačidlo na prepojenie. Hľadá sa rovnako ako pri zmienke '#'
+ * (GET /api/pages/mentions), len kontakty a projekty. Uloží sa cez
+ * PUT /api/pages/:id — meno záznamu doplní server.
+ *
+ * Props:
+ *  - page — { id, linkedType, linkedId, linkedName }
+ *  - readOnly — len zobrazenie, bez zmeny
+ *  - onChange(page) — stránka po uložení
+ */
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+
+const LINKED_KINDS = ['contact', 'task'];
+const KIND_ICONS = { contact: '👤', task: '🗂️' };
+
+const recordUrl = ({ linkedType, linkedId }) => (linkedType === 'contact'
+  ? `/crm?expandContact=${linkedId}`
+  : `/tasks?highlightTask=${linkedId}`);
+
+function PageLinkedRecord({ page, readOnly, onChange }) {
+  const navigate = useNavigate();
+  const [picking, setPicking] = useState(false);
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!picking) return undefined;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await axios.get('/api/pages/mentions', { params: { trigger: '#', q: query } });
+        if (!cancelled) setResults(res.data.filter((r) => LINKED_KINDS.includes(r.kind)));
+      } catch {
+        if (!cancelled) setResults([]);
+      }
+    }, 200);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [picking, query]);
+
+  const save = async (linkedType, linkedId) => {
+    setError(null);
+    try {
+      const res = await axios.put(`/api/pages/${page.id}`, { linkedType, linkedId });
+      onChange(res.data);
+      setPicking(false);
+      setQuery('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Prepojenie sa nepodarilo uložiť.');
+    }
+  };
+
+  if (page.linkedType && page.linkedId) {
+    return (
+      <div className="page-linked-record">
+        <button className="page-linked-chip" onClick={() => navigate(recordUrl(page))}>
+          {KIND_ICONS[page.linkedType]} {page.linkedName || (page.linkedType === 'contact' ? 'Kontakt' : 'Projekt')}
+        </button>
+        {!readOnly && (
+          <button className="page-comment-link" onClick={() => save(null)} title="Zrušiť prepojenie">
+            Zrušiť
+          </button>
+        )}
+        {error && <span className="page-linked-error">{error}</span>}
+      </div>
+    );
+  }
+
+  if (readOnly) return null;
+
+  return (
+    <div className="page-linked-record">
+      {!picking ? (
+        <button className="page-comment-link" onClick={() => setPicking(true)}>
+          🔗 Prepojiť s kontaktom alebo projektom
+        </button>
+      ) : (
+        <div className="page-linked-picker">
+          <input
+            type="text"
+            autoFocus
+            value={query}
+            placeholder="Hľadať kontakt alebo projekt…"
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Escape') setPicking(false);
+            }}
+          />
+          {results.length > 0 && (
+            <div className="block-menu page-linked-results">
+              {results.map((target) => (
+                <div
+                  key={`${target.kind}-${target.id}`}
+                  className="block-menu-item"
+                  onClick={() => save(target.kind, target.id)}
+                >
+                  <span className="block-menu-item-icon">{KIND_ICONS[target.kind]}</span>
+                  <span>{target.label}</span>
+                  {target.sublabel && <span className="block-mention-sublabel">{target.sublabel}</span>}
+                </div>
+              ))}
+            </div>
+          )}
+          <button className="page-comment-link" onClick={() => setPicking(false)}>Zrušiť</button>
+        </div>
+      )}
+      {error && <span className="page-linked-error">{error}</span>}
+    </div>
+  );
+}
+
+export default PageLinkedRecord;
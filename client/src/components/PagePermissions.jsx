@@ -0,0 +1,205 @@
+/**
+ * PagePermissions — kto vidí a upravuje stránku.
+ *
+ * Bez nastavení stránku vidia a upravujú všetci členovia workspace.
+ * Zoznam členov s úrovňou (čítanie / komentovanie / úpravy) ju obmedzí len
+ * na nich; súkromnú stránku vidí iba jej autor. Obe nastavenia sa dedia na
+ * podstránky, kým si podstránka nenastaví vlastný zoznam. Meniť ich môže
+ * autor stránky a správca workspace, súkromnou ju urobí len autor —
+ * server to overí, tu sa ovládanie len skryje.
+ *
+ * Props:
+ *  - pageId
+ *  - onClose()
+ *  - onChanged(settings): po uložení (odpoveď PUT /permissions)
+ */
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+
+const LEVEL_LABELS = {
+  view: 'Môže čítať',
+  comment: 'Môže komentovať',
+  edit: 'Môže upravovať'
+};
+
+const describeEffective = (settings) => {
+  const source = settings.inheritedFrom
+    ? ` (podľa stránky „${settings.inheritedFrom.title || 'Untitled'}“)`
+    : '';
+  if (settings.effective === 'private') return `Súkromná — vidí ju len autor${source}.`;
+  if (settings.effective === 'restricted') return `Len vybraní členovia${source}.`;
+  return 'Vidia a upravujú ju všetci členovia workspace.';
+};
+
+function PagePermissions({ pageId, onClose, onChanged }) {
+  const { user } = useAuth();
+  const currentUserId = user?.id?.toString();
+  const [settings, setSettings] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [draft, setDraft] = useState({ visibility: 'workspace', permissions: [] });
+  const [addUserId, setAddUserId] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const [permissionsRes, membersRes] = await Promise.all([
+          axios.get(`/api/pages/${pageId}/permissions`),
+          axios.get('/api/workspaces/current/members')
+        ]);
+        setSettings(permissionsRes.data);
+        setDraft({
+          visibility: permissionsRes.data.visibility,
+          permissions: permissionsRes.data.permissions.map(({ userId, level }) => ({ userId, level }))
+        });
+        setMembers(membersRes.data);
+      } catch {
+        setError('Oprávnenia sa nepodarilo načítať.');
+      }
+    };
+    fetchSettings();
+  }, [pageId]);
+
+  const memberName = (userId) => {
+    const member = members.find((m) => String(m.userId) === userId);
+    return member ? member.username : 'Bývalý člen';
+  };
+
+  const setLevel = (userId, level) => {
+    setDraft((prev) => ({
+      ...prev,
+      permissions: prev.permissions.map((p) => (p.userId === userId ? { ...p, level } : p))
+    }));
+  };
+
+  const removeMember = (userId) => {
+    setDraft((prev) => ({ ...prev, permissions: prev.permissions.filter((p) => p.userId !== userId) }));
+  };
+
+  const addMember = () => {
+    if (!addUserId) return;
+    setDraft((prev) => ({ ...prev, permissions: [...prev.permissions, { userId: addUserId, level: 'view' }] }));
+    setAddUserId('');
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const res = await axios.put(`/api/pages/${pageId}/permissions`, draft);
+      setSettings(res.data);
+      onChanged(res.data);
+      onClose();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Oprávnenia sa nepodarilo uložiť.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const isAuthor = settings && settings.authorId === currentUserId;
+  const editable = settings?.canManage;
+  const isPrivate = draft.visibility === 'private';
+  const candidates = members.filter((m) => {
+    const id = String(m.userId);
+    return id !== settings?.authorId && !draft.permissions.some((p) => p.userId === id);
+  });
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div
+        className="modal-content page-permissions"
+        role="dialog"
+        aria-modal="true"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="modal-header">
+          <h2>Oprávnenia stránky</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Zavrieť">×</button>
+        </div>
+
+        {error && <div className="page-templates-error">{error}</div>}
+
+        {!settings && !error && <div className="page-history-empty">Načítavam...</div>}
+
+        {settings && (
+          <div className="page-permissions-body">
+            <p className="page-permissions-effective">{describeEffective(settings)}</p>
+
+            <label className="page-share-option">
+              <input
+                type="checkbox"
+                checked={isPrivate}
+                disabled={!isAuthor}
+                onChange={(e) => setDraft((prev) => ({
+                  visibility: e.target.checked ? 'private' : 'workspace',
+                  permissions: e.target.checked ? [] : prev.permissions
+                }))}
+              />
+              Súkromná stránka (vidím ju len ja)
+            </label>
+
+            {!isPrivate && (
+              <>
+                <div className="page-permissions-hint">
+                  {draft.permissions.length === 0
+                    ? 'Stránka nemá vlastný zoznam členov — platí nastavenie vyššie.'
+                    : 'Stránku vidia len uvedení členovia, jej autor a správcovia workspace.'}
+                </div>
+                <div className="page-trash-list">
+                  {draft.permissions.map((entry) => (
+                    <div key={entry.userId} className="page-trash-item">
+                      <div className="page-trash-item-text">{memberName(entry.userId)}</div>
+                      <select
+                        value={entry.level}
+                        disabled={!editable}
+                        onChange={(e) => setLevel(entry.userId, e.target.value)}
+                      >
+                        {Object.entries(LEVEL_LABELS).map(([level, label]) => (
+                          <option key={level} value={level}>{label}</option>
+                        ))}
+                      </select>
+                      {editable && (
+                        <button
+                          className="btn btn-secondary"
+                          onClick={() => removeMember(entry.userId)}
+                          aria-label="Odobrať člena"
+                        >
+                          ×
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+                {editable && candidates.length > 0 && (
+                  <div className="page-share-form">
+                    <select value={addUserId} onChange={(e) => setAddUserId(e.target.value)}>
+                      <option value="">Pridať člena…</option>
+                      {candidates.map((m) => (
+                        <option key={String(m.userId)} value={String(m.userId)}>{m.username}</option>
+                      ))}
+                    </select>
+                    <button className="btn btn-secondary" onClick={addMember} disabled={!addUserId}>
+                      Pridať
+                    </button>
+                  </div>
+                )}
+              </>
+            )}
+
+            {editable && (
+              <div className="page-permissions-actions">
+                <button className="btn btn-secondary" onClick={onClose}>Zrušiť</button>
+                <button className="btn btn-primary" onClick={save} disabled={saving}>Uložiť</button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PagePermissions;
@@ -0,0 +1,52 @@
+/**
+ * PagePresence — kto má stránku otvorenú (avatar stack) a kto práve píše.
+ *
+ * Props:
+ *  - viewers: [{ userId, username, color }] zo servera (page-presence)
+ *  - typing: { userId → blockId } (usePagePresence)
+ *  - currentUserId: seba nezobrazujeme
+ */
+const MAX_AVATARS = 5;
+
+const typingLabel = (names) => {
+  if (names.length === 1) return `${names[0]} píše…`;
+  if (names.length === 2) return `${names[0]} a ${names[1]} píšu…`;
+  return `${names[0]} a ďalší (${names.length - 1}) píšu…`;
+};
+
+function PagePresence({ viewers, typing, currentUserId }) {
+  const others = viewers.filter((v) => v.userId !== currentUserId);
+  if (others.length === 0) return null;
+
+  const typingNames = others
+    .filter((v) => typing[v.userId])
+    .map((v) => v.username || 'Niekto');
+  const hidden = others.length - MAX_AVATARS;
+
+  return (
+    <div className="page-presence">
+      {typingNames.length > 0 && (
+        <span className="page-presence-typing">{typingLabel(typingNames)}</span>
+      )}
+      <div className="page-presence-avatars">
+        {others.slice(0, MAX_AVATARS).map((viewer) => (
+          <div
+            key={viewer.userId}
+            className={`user-avatar page-presence-avatar ${typing[viewer.userId] ? 'typing' : ''}`}
+            style={{ backgroundColor: viewer.color || '#3B82F6' }}
+            title={viewer.username}
+          >
+            {viewer.username?.[0]?.toUpperCase() || '?'}
+          </div>
+        ))}
+        {hidden > 0 && (
+          <div className="user-avatar page-presence-avatar more" title={`+${hidden}`}>
+            +{hidden}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PagePresence;
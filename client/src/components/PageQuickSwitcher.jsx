@@ -0,0 +1,167 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import api from '../api/api';
+
+/**
+ * PageQuickSwitcher — Ctrl/⌘+P rýchly prechod na stránku podľa názvu.
+ *
+ * Na rozdiel od palety (Ctrl/⌘+K, fulltext naprieč workspace) hľadá len v
+ * názvoch stránok a približne: znaky dopytu musia byť v názve v poradí,
+ * nie za sebou ("prjpl" nájde "Projektový plán"). Porovnáva a radí server
+ * (GET /api/pages/quick-switch) — obľúbené a nedávno otvorené stránky sú
+ * vyššie, prázdny dopyt ukáže naposledy navštívené a obľúbené.
+ *
+ * Názov príde ako úseky [{ type: 'text' | 'match', text }] a vykresľuje sa
+ * ako text, nie HTML.
+ */
+const DEBOUNCE_MS = 100;
+
+const pageIcon = (page) => page.icon || (page.kind === 'database' ? '🗃️' : '📄');
+
+export default function PageQuickSwitcher() {
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(0);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+  const requestRef = useRef(0);
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  const close = useCallback(() => {
+    setOpen(false);
+    setQuery('');
+    setResults([]);
+    setError(null);
+  }, []);
+
+  // Ctrl/⌘+P otvorí / zavrie prepínač (namiesto tlače prehliadača)
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if ((e.metaKey || e.ctrlKey) && !e.shiftKey && !e.altKey && e.key.toLowerCase() === 'p') {
+        e.preventDefault();
+        setOpen(prev => !prev);
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // Navigácia kamkoľvek prepínač zavrie
+  useEffect(() => { close(); }, [location.pathname, close]);
+
+  useEffect(() => {
+    if (open) inputRef.current?.focus();
+  }, [open]);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    setSelected(0);
+
+    // Odpoveď staršieho dopytu nesmie prepísať novší
+    const requestId = ++requestRef.current;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await api.get('/api/pages/quick-switch', { params: { q: query.trim() || undefined } });
+        if (requestId !== requestRef.current) return;
+        setResults(res.data);
+        setError(null);
+      } catch (err) {
+        if (requestId !== requestRef.current) return;
+        setResults([]);
+        setError(err.response?.data?.message || 'Stránky sa nepodarilo načítať');
+      }
+    }, DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [open, query]);
+
+  useEffect(() => {
+    listRef.current?.querySelector('.command-palette-item.selected')?.scrollIntoView({ block: 'nearest' });
+  }, [selected]);
+
+  const openPage = useCallback((page) => {
+    if (!page) return;
+    close();
+    navigate(`/page/${page.id}`);
+  }, [close, navigate]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      close();
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setSelected(prev => (results.length === 0 ? 0 : (prev + 1) % results.length));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setSelected(prev => (results.length === 0 ? 0 : (prev - 1 + results.length) % results.length));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      openPage(results[selected]);
+    }
+  };
+
+  if (!open) return null;
+
+  return (
+    <div className="modal-overlay command-palette-overlay" onClick={close}>
+      <div className="command-palette" role="dialog" aria-label="Prejsť na stránku" onClick={(e) => e.stopPropagation()}>
+        <div className="command-palette-search">
+          <span className="command-palette-search-icon">📄</span>
+          <input
+            ref={inputRef}
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Prejsť na stránku…"
+            aria-label="Názov stránky"
+          />
+          <kbd>Esc</kbd>
+        </div>
+
+        <div className="command-palette-results" ref={listRef}>
+          {error && <div className="command-palette-empty">{error}</div>}
+          {!error && results.length === 0 && (
+            <div className="command-palette-empty">
+              {query.trim() ? `Žiadna stránka pre „${query.trim()}“` : 'Zatiaľ žiadne navštívené ani obľúbené stránky'}
+            </div>
+          )}
+          {!query.trim() && results.length > 0 && (
+            <div className="command-palette-group-label">Naposledy navštívené a obľúbené</div>
+          )}
+          {results.map((page, index) => (
+            <div
+              key={page.id}
+              className={`command-palette-item${index === selected ? ' selected' : ''}`}
+              onMouseEnter={() => setSelected(index)}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => openPage(page)}
+            >
+              <span className="command-palette-item-icon">{pageIcon(page)}</span>
+              <div className="command-palette-item-body">
+                <div className="command-palette-item-title">
+                  {page.segments.map((segment, i) => (segment.type === 'match'
+                    ? <mark key={i}>{segment.text}</mark>
+                    : <span key={i}>{segment.text}</span>))}
+                  {page.favorite && <span className="command-palette-item-subtitle">★</span>}
+                </div>
+                {page.path.length > 0 && (
+                  <div className="command-palette-item-snippet">{page.path.join(' / ')}</div>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="command-palette-footer">
+          <span><kbd>↑</kbd><kbd>↓</kbd> výber</span>
+          <span><kbd>Enter</kbd> otvoriť</span>
+          <span><kbd>Ctrl</kbd>/<kbd>⌘</kbd>+<kbd>P</kbd> zavrieť</span>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,195 @@
+/**
+ * PageShare — verejné odkazy na stránku len na čítanie.
+ *
+ * Odkaz otvorí ktokoľvek bez prihlásenia (server ho vykreslí ako statické
+ * HTML na /api/share/<token>). Voliteľne sprístupní aj podstránky, môže
+ * mať platnosť a heslo. Zrušený odkaz ostáva v zozname ako stopa; každé
+ * otvorenie odkazu server zapisuje do audit logu.
+ *
+ * Props:
+ *  - pageId
+ *  - onClose()
+ */
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { API_BASE_URL } from '../api/api';
+import { formatDateTime } from '../utils/formatters';
+
+const EXPIRY_OPTIONS = [
+  { value: '', label: 'Bez obmedzenia' },
+  { value: '1', label: '1 deň' },
+  { value: '7', label: '7 dní' },
+  { value: '30', label: '30 dní' },
+  { value: '90', label: '90 dní' }
+];
+
+const shareUrl = (share) => `${API_BASE_URL}${share.path}`;
+
+const shareStatus = (share) => {
+  if (share.revokedAt) return 'Zrušený';
+  if (share.expiresAt && new Date(share.expiresAt) <= new Date()) return 'Platnosť vypršala';
+  return null;
+};
+
+function PageShare({ pageId, onClose }) {
+  const [shares, setShares] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [includeChildren, setIncludeChildren] = useState(false);
+  const [expiryDays, setExpiryDays] = useState('');
+  const [password, setPassword] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [copiedId, setCopiedId] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchShares = async () => {
+      try {
+        const res = await axios.get(`/api/pages/${pageId}/shares`);
+        setShares(res.data);
+      } catch {
+        setError('Odkazy sa nepodarilo načítať.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchShares();
+  }, [pageId]);
+
+  const copyLink = async (share) => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(share));
+      setCopiedId(share.id);
+      setTimeout(() => setCopiedId((current) => (current === share.id ? null : current)), 2000);
+    } catch {
+      window.prompt('Skopírujte odkaz:', shareUrl(share));
+    }
+  };
+
+  const createShare = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    setError(null);
+    try {
+      const expiresAt = expiryDays
+        ? new Date(Date.now() + Number(expiryDays) * 24 * 60 * 60 * 1000).toISOString()
+        : null;
+      const res = await axios.post(`/api/pages/${pageId}/shares`, {
+        includeChildren,
+        expiresAt,
+        password: password || null
+      });
+      setShares((prev) => [res.data, ...prev]);
+      setPassword('');
+      copyLink(res.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Odkaz sa nepodarilo vytvoriť.');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const revokeShare = async (share) => {
+    if (!window.confirm('Zrušiť odkaz? Kto ho má, stránku už neotvorí.')) return;
+    setBusyId(share.id);
+    setError(null);
+    try {
+      const res = await axios.delete(`/api/pages/${pageId}/shares/${share.id}`);
+      setShares((prev) => prev.map((s) => (s.id === share.id ? res.data : s)));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Odkaz sa nepodarilo zrušiť.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div
+        className="modal-content page-share"
+        role="dialog"
+        aria-modal="true"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="modal-header">
+          <h2>Zdieľať stránku</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Zavrieť">×</button>
+        </div>
+
+        <form className="page-share-form" onSubmit={createShare}>
+          <label className="page-share-option">
+            <input
+              type="checkbox"
+              checked={includeChildren}
+              onChange={(e) => setIncludeChildren(e.target.checked)}
+            />
+            Vrátane podstránok
+          </label>
+          <label className="page-share-option">
+            Platnosť
+            <select value={expiryDays} onChange={(e) => setExpiryDays(e.target.value)}>
+              {EXPIRY_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <input
+            type="password"
+            className="page-share-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Heslo (voliteľné)"
+            autoComplete="new-password"
+          />
+          <button type="submit" className="btn btn-primary" disabled={creating}>
+            Vytvoriť odkaz
+          </button>
+        </form>
+
+        {error && <div className="page-templates-error">{error}</div>}
+
+        <div className="page-trash-list">
+          {loading && <div className="page-history-empty">Načítavam...</div>}
+          {!loading && shares.length === 0 && (
+            <div className="page-history-empty">Stránka zatiaľ nemá žiadny verejný odkaz.</div>
+          )}
+          {shares.map((share) => {
+            const status = shareStatus(share);
+            return (
+              <div key={share.id} className={`page-trash-item${status ? ' page-share-inactive' : ''}`}>
+                <div className="page-trash-item-text">
+                  <div className="page-history-item-date page-share-url">{shareUrl(share)}</div>
+                  <div className="page-history-item-meta">
+                    {[
+                      status,
+                      share.includeChildren && 's podstránkami',
+                      share.hasPassword && 's heslom',
+                      share.expiresAt && !status && `platí do ${formatDateTime(share.expiresAt)}`,
+                      `otvorený ${share.accessCount}×`
+                    ].filter(Boolean).join(' · ')}
+                  </div>
+                </div>
+                {!status && (
+                  <>
+                    <button className="btn btn-secondary" onClick={() => copyLink(share)}>
+                      {copiedId === share.id ? 'Skopírované' : 'Kopírovať'}
+                    </button>
+                    <button
+                      className="btn btn-secondary"
+                      disabled={busyId === share.id}
+                      onClick={() => revokeShare(share)}
+                    >
+                      Zrušiť
+                    </button>
+                  </>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PageShare;
@@ -0,0 +1,123 @@
+/**
+ * PageTemplates — výber šablóny pre novú stránku.
+ *
+ * Šablóny sú spoločné pre celý workspace (uložené cez "Uložiť ako šablónu"
+ * v PageView). Nová stránka dostane nadpis, ikonu a bloky šablóny, server
+ * v nich vyplní zástupné symboly ({{date}}, {{time}}, {{weekday}},
+ * {{creator}}, {{workspace}}). Zmazať šablónu môže jej autor alebo správca
+ * workspace — server to overí, tu sa tlačidlo ukazuje len autorovi.
+ *
+ * Props:
+ *  - currentUserId
+ *  - onClose()
+ *  - onCreated(page): nová stránka (s blokmi, ako POST /api/pages)
+ */
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { formatDateTime } from '../utils/formatters';
+
+function PageTemplates({ currentUserId, onClose, onCreated }) {
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchTemplates = async () => {
+      try {
+        const res = await axios.get('/api/pages/templates');
+        setTemplates(res.data);
+      } catch {
+        setError('Šablóny sa nepodarilo načítať.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchTemplates();
+  }, []);
+
+  const createFromTemplate = async (template) => {
+    setBusyId(template.id);
+    setError(null);
+    try {
+      const res = await axios.post('/api/pages', { templateId: template.id });
+      onCreated(res.data);
+      onClose();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Stránku sa nepodarilo vytvoriť.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const deleteTemplate = async (template) => {
+    if (!window.confirm(`Zmazať šablónu „${template.name}“? Stránky z nej vytvorené ostanú.`)) return;
+    setBusyId(template.id);
+    setError(null);
+    try {
+      await axios.delete(`/api/pages/templates/${template.id}`);
+      setTemplates((prev) => prev.filter((t) => t.id !== template.id));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Šablónu sa nepodarilo zmazať.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div
+        className="modal-content page-templates"
+        role="dialog"
+        aria-modal="true"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="modal-header">
+          <h2>Nová stránka zo šablóny</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Zavrieť">×</button>
+        </div>
+
+        {error && <div className="page-templates-error">{error}</div>}
+
+        <div className="page-trash-list">
+          {loading && <div className="page-history-empty">Načítavam...</div>}
+          {!loading && templates.length === 0 && (
+            <div className="page-history-empty">
+              Zatiaľ žiadne šablóny. Otvorte stránku a zvoľte „Uložiť ako šablónu“.
+            </div>
+          )}
+          {templates.map((template) => (
+            <div key={template.id} className="page-trash-item">
+              <span className="nav-item-icon">{template.icon || '📄'}</span>
+              <div className="page-trash-item-text">
+                <div className="page-history-item-date">{template.name}</div>
+                <div className="page-history-item-meta">
+                  {template.description || `Upravená ${formatDateTime(template.updatedAt)}`}
+                </div>
+              </div>
+              {template.createdBy === currentUserId && (
+                <button
+                  className="btn btn-secondary"
+                  disabled={busyId === template.id}
+                  onClick={() => deleteTemplate(template)}
+                  aria-label="Zmazať šablónu"
+                >
+                  🗑
+                </button>
+              )}
+              <button
+                className="btn btn-primary"
+                disabled={busyId === template.id}
+                onClick={() => createFromTemplate(template)}
+              >
+                Použiť
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PageTemplates;
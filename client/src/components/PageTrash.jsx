@@ -0,0 +1,96 @@
+/**
+ * PageTrash — kôš zmazaných stránok.
+ *
+ * Jeden záznam = jedno zmazanie (stránka aj s podstránkami). Obnovenie vráti
+ * celý subtree pod pôvodného rodiča; po uplynutí lehoty (`purgeAt`) server
+ * stránky natrvalo zmaže.
+ *
+ * Props:
+ *  - onClose()
+ *  - onRestored(pages): obnovené stránky (bez blokov, ako GET /api/pages)
+ */
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { formatDateTime } from '../utils/formatters';
+
+function PageTrash({ onClose, onRestored }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [restoringId, setRestoringId] = useState(null);
+
+  useEffect(() => {
+    const fetchTrash = async () => {
+      try {
+        const res = await axios.get('/api/pages/trash');
+        setEntries(res.data);
+      } catch {
+        // Trash fetch failed
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchTrash();
+  }, []);
+
+  const restore = async (entry) => {
+    setRestoringId(entry.id);
+    try {
+      const res = await axios.post(`/api/pages/trash/${entry.id}/restore`);
+      setEntries((prev) => prev.filter((e) => e.id !== entry.id));
+      onRestored(res.data);
+    } catch {
+      // Restore failed
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div
+        className="modal-content page-trash"
+        role="dialog"
+        aria-modal="true"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="modal-header">
+          <h2>Kôš</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Zavrieť">×</button>
+        </div>
+
+        <div className="page-trash-list">
+          {loading && <div className="page-history-empty">Načítavam...</div>}
+          {!loading && entries.length === 0 && (
+            <div className="page-history-empty">Kôš je prázdny.</div>
+          )}
+          {entries.map((entry) => (
+            <div key={entry.id} className="page-trash-item">
+              <span className="nav-item-icon">{entry.icon || '📄'}</span>
+              <div className="page-trash-item-text">
+                <div className="page-history-item-date">
+                  {entry.title || 'Untitled'}
+                  {entry.pageCount > 1 && (
+                    <span className="page-history-item-meta"> + {entry.pageCount - 1} podstránky</span>
+                  )}
+                </div>
+                <div className="page-history-item-meta">
+                  Zmazal {entry.deletedBy?.username || 'Neznámy'} {formatDateTime(entry.deletedAt)}
+                  {' · '}natrvalo sa zmaže {formatDateTime(entry.purgeAt)}
+                </div>
+              </div>
+              <button
+                className="btn btn-secondary"
+                disabled={restoringId === entry.id}
+                onClick={() => restore(entry)}
+              >
+                Obnoviť
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PageTrash;
@@ -1,7 +1,31 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
 import { useSocket } from '../hooks/useSocket';
+import { usePageCollab } from '../hooks/usePageCollab';
+import { usePagePresence } from '../hooks/usePagePresence';
 import Block from './Block';
+import PageHistory from './PageHistory';
+import PageShare from './PageShare';
+import PageExport from './PageExport';
+import PagePermissions from './PagePermissions';
+import PageComments from './PageComments';
+import PageLinkedRecord from './PageLinkedRecord';
+import PageBacklinks from './PageBacklinks';
+import PageDatabase from './PageDatabase';
+import { QUICK_ACCESS_EVENT } from './SidebarQuickAccess';
+import PagePresence from './PagePresence';
+import RemoteCursors from './RemoteCursors';
+import { getSelectionOffsets } from '../utils/inlineFormat';
+import {
+  mapBlock,
+  containsBlock,
+  insertBlockAfter,
+  appendChildBlock,
+  removeBlock,
+  findBlock,
+  collectBlockIds
+} from '../utils/blockTree';
 
 const ICONS = ['📄', '📝', '📋', '📌', '📎', '🔖', '📚', '📖', '✨', '💡', '🎯', '🚀', '⭐', '💻', '🔧', '📊'];
 
@@ -9,65 +33,187 @@ function PageView({ pageId, onUpdate }) {
   const [page, setPage] = useState(null);
   const [loading, setLoading] = useState(true);
   const [showIconPicker, setShowIconPicker] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showShare, setShowShare] = useState(false);
+  const [showPermissions, setShowPermissions] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [savingTemplate, setSavingTemplate] = useState(false);
+  const [threads, setThreads] = useState([]);
+  const [showComments, setShowComments] = useState(false);
+  const [commentDraft, setCommentDraft] = useState(null);
+  const [activeThreadId, setActiveThreadId] = useState(null);
+  const [selectionAnchor, setSelectionAnchor] = useState(null);
   const titleRef = useRef(null);
-  const { joinPage, leavePage, emitPageUpdate, emitBlockUpdate, onPageUpdated, onBlockUpdated } = useSocket();
+  const blocksRef = useRef(null);
+  const { user } = useAuth();
+  const currentUserId = user?.id?.toString();
+  const socketApi = useSocket();
+  const {
+    emitPageUpdate,
+    onPageUpdated,
+    onPageAccessChanged,
+    onPageThreadUpdated,
+    onPageThreadDeleted,
+    leavePage
+  } = socketApi;
+  // Remote carets are kept in block-text offsets, so every applied text
+  // operation is passed on to shift them.
+  const { viewers, cursors, typing, handleTextApplied } = usePagePresence(pageId, socketApi, currentUserId);
+  const { startSession, submitText, submitMarks, getRevision } = usePageCollab(pageId, setPage, socketApi, {
+    onTextApplied: handleTextApplied
+  });
 
   useEffect(() => {
+    setCommentDraft(null);
+    setActiveThreadId(null);
     fetchPage();
-    joinPage(pageId);
-
-    return () => {
-      leavePage(pageId);
-    };
   }, [pageId]);
 
   useEffect(() => {
     const unsubPage = onPageUpdated((data) => {
-      if (data.pageId === pageId) {
-        setPage((prev) => ({
-          ...prev,
-          title: data.title !== undefined ? data.title : prev.title
-        }));
+      // A restored version replaces the whole page — reload it
+      if (data.restoredVersionId && data.id === pageId) {
+        fetchPage();
+        return;
       }
-    });
-
-    const unsubBlock = onBlockUpdated((data) => {
       if (data.pageId === pageId) {
         setPage((prev) => ({
           ...prev,
-          blocks: prev.blocks.map((b) =>
-            b.id === data.blockId
-              ? { ...b, content: data.content, type: data.type }
-              : b
-          )
+          title: data.title !== undefined ? data.title : prev.title
         }));
       }
     });
 
     return () => {
       if (unsubPage) unsubPage();
-      if (unsubBlock) unsubBlock();
     };
-  }, [pageId, onPageUpdated, onBlockUpdated]);
+  }, [pageId, onPageUpdated]);
+
+  // Permissions of this page (or an ancestor) changed — the server dropped
+  // us from the page room. Reloading rejoins it with the new access level,
+  // or shows the page as unavailable.
+  useEffect(() => {
+    const unsub = onPageAccessChanged((data) => {
+      if (data.pageIds?.includes(pageId)) fetchPage();
+    });
+    return () => {
+      if (unsub) unsub();
+    };
+  }, [pageId, onPageAccessChanged]);
 
   const fetchPage = async () => {
     try {
       setLoading(true);
       const res = await axios.get(`/api/pages/${pageId}`);
       setPage(res.data);
-    } catch {
-      // Page fetch failed
+      startSession(res.data);
+      fetchThreads();
+      // The server recorded the visit — the sidebar's recent list moved
+      window.dispatchEvent(new CustomEvent(QUICK_ACCESS_EVENT));
+    } catch (error) {
+      // Gone or no longer visible to us — stop following it
+      if (error.response?.status === 404) {
+        setPage(null);
+        leavePage(pageId);
+      }
     } finally {
       setLoading(false);
     }
   };
 
+  const fetchThreads = async () => {
+    try {
+      const res = await axios.get(`/api/pages/${pageId}/threads`);
+      setThreads(res.data);
+    } catch {
+      setThreads([]);
+    }
+  };
+
+  // A thread from a REST response or the socket. The socket echo and the
+  // response race — the newer `updatedAt` wins.
+  const upsertThread = useCallback((thread) => {
+    setThreads((prev) => {
+      const existing = prev.find((t) => t.id === thread.id);
+      if (!existing) return [...prev, thread];
+      if (new Date(existing.updatedAt) > new Date(thread.updatedAt)) return prev;
+      return prev.map((t) => (t.id === thread.id ? thread : t));
+    });
+  }, []);
+
+  const removeThread = useCallback((threadId) => {
+    setThreads((prev) => prev.filter((t) => t.id !== threadId));
+    setActiveThreadId((prev) => (prev === threadId ? null : prev));
+  }, []);
+
+  const toggleFavorite = async () => {
+    const favorite = !page.favorite;
+    try {
+      if (favorite) {
+        await axios.post(`/api/pages/${pageId}/favorite`);
+      } else {
+        await axios.delete(`/api/pages/${pageId}/favorite`);
+      }
+      setPage((prev) => ({ ...prev, favorite }));
+      window.dispatchEvent(new CustomEvent(QUICK_ACCESS_EVENT, { detail: { pageId, favorite } }));
+    } catch (error) {
+      window.alert(error.response?.data?.message || 'Obľúbené sa nepodarilo zmeniť.');
+    }
+  };
+
+  // Favorite removed elsewhere (the sidebar) — keep the star in sync
+  useEffect(() => {
+    const handleChange = (e) => {
+      if (e.detail?.pageId === pageId) {
+        setPage((prev) => (prev ? { ...prev, favorite: e.detail.favorite } : prev));
+      }
+    };
+    window.addEventListener(QUICK_ACCESS_EVENT, handleChange);
+    return () => window.removeEventListener(QUICK_ACCESS_EVENT, handleChange);
+  }, [pageId]);
+
+  // New schema of a database page (own change or from the socket)
+  const handleDatabaseChange = useCallback((database) => {
+    setPage((prev) => (prev ? { ...prev, database } : prev));
+  }, []);
+
+  useEffect(() => {
+    const unsubUpdated = onPageThreadUpdated((data) => {
+      if (data.pageId === pageId) upsertThread(data.thread);
+    });
+    const unsubDeleted = onPageThreadDeleted((data) => {
+      if (data.pageId === pageId) removeThread(data.threadId);
+    });
+    return () => {
+      if (unsubUpdated) unsubUpdated();
+      if (unsubDeleted) unsubDeleted();
+    };
+  }, [pageId, onPageThreadUpdated, onPageThreadDeleted, upsertThread, removeThread]);
+
+  // Workspace template from this page; the name defaults to the page title.
+  // Placeholders like {{date}} typed into the page are filled in on use.
+  const saveAsTemplate = async () => {
+    const name = window.prompt(
+      'Názov šablóny (v texte stránky môžete použiť {{date}}, {{time}}, {{weekday}}, {{creator}}, {{workspace}}):',
+      page?.title || ''
+    );
+    if (!name || !name.trim()) return;
+    setSavingTemplate(true);
+    try {
+      await axios.post('/api/pages/templates', { pageId, name: name.trim() });
+    } catch (error) {
+      window.alert(error.response?.data?.message || 'Šablónu sa nepodarilo uložiť.');
+    } finally {
+      setSavingTemplate(false);
+    }
+  };
+
   const updateTitle = useCallback(
     async (newTitle) => {
       if (!page) return;
 
-      setPage({ ...page, title: newTitle });
-      emitPageUpdate(pageId, null, newTitle);
+      setPage((prev) => ({ ...prev, title: newTitle }));
+      emitPageUpdate(pageId, newTitle);
 
       try {
         const res = await axios.put(`/api/pages/${pageId}`, { title: newTitle });
@@ -82,7 +228,7 @@ function PageView({ pageId, onUpdate }) {
   const updateIcon = async (newIcon) => {
     if (!page) return;
 
-    setPage({ ...page, icon: newIcon });
+    setPage((prev) => ({ ...prev, icon: newIcon }));
     setShowIconPicker(false);
 
     try {
@@ -93,29 +239,13 @@ function PageView({ pageId, onUpdate }) {
     }
   };
 
+  // Text goes out as OT operations over the socket (usePageCollab); type
+  // changes are a structural change saved over REST and echoed to the room.
   const updateBlock = useCallback(
-    async (blockId, content, type) => {
-      if (!page) return;
-
-      setPage({
-        ...page,
-        blocks: page.blocks.map((b) =>
-          b.id === blockId ? { ...b, content, type } : b
-        )
-      });
-
-      emitBlockUpdate(pageId, blockId, content, type);
-
-      try {
-        await axios.put(`/api/pages/${pageId}/blocks/${blockId}`, {
-          content,
-          type
-        });
-      } catch {
-        // Block update failed
-      }
+    (blockId, content) => {
+      submitText(blockId, content);
     },
-    [page, pageId, emitBlockUpdate]
+    [submitText]
   );
 
   const addBlock = useCallback(
@@ -129,17 +259,36 @@ function PageView({ pageId, onUpdate }) {
           afterBlockId
         });
 
+        // The `block-created` echo may have inserted it already
         const newBlock = res.data;
-        const blocks = [...page.blocks];
-        const index = blocks.findIndex((b) => b.id === afterBlockId);
+        setPage((prev) => {
+          if (containsBlock(prev.blocks, newBlock.id)) return prev;
+          return { ...prev, blocks: insertBlockAfter(prev.blocks, afterBlockId, newBlock) };
+        });
+        return newBlock.id;
+      } catch {
+        // Block add failed
+      }
+    },
+    [page, pageId]
+  );
 
-        if (index !== -1) {
-          blocks.splice(index + 1, 0, newBlock);
-        } else {
-          blocks.push(newBlock);
-        }
+  const addChildBlock = useCallback(
+    async (parentBlockId) => {
+      if (!page) return;
 
-        setPage({ ...page, blocks });
+      try {
+        const res = await axios.post(`/api/pages/${pageId}/blocks`, {
+          type: 'paragraph',
+          content: '',
+          parentBlockId
+        });
+
+        const newBlock = res.data;
+        setPage((prev) => {
+          if (containsBlock(prev.blocks, newBlock.id)) return prev;
+          return { ...prev, blocks: appendChildBlock(prev.blocks, parentBlockId, newBlock) };
+        });
         return newBlock.id;
       } catch {
         // Block add failed
@@ -148,19 +297,26 @@ function PageView({ pageId, onUpdate }) {
     [page, pageId]
   );
 
+  // Blocks in document order as rendered, nested toggle content included
+  const renderedBlockIds = () => Array.from(
+    blocksRef.current?.querySelectorAll('[data-block-id]') || [],
+    (el) => el.dataset.blockId
+  );
+
   const deleteBlock = useCallback(
     async (blockId) => {
-      if (!page || page.blocks.length <= 1) return;
+      if (!page || (page.blocks.length <= 1 && page.blocks[0]?.id === blockId)) return;
 
-      const blockIndex = page.blocks.findIndex((b) => b.id === blockId);
-      const prevBlockId = blockIndex > 0 ? page.blocks[blockIndex - 1].id : null;
+      const order = renderedBlockIds();
+      const position = order.indexOf(blockId);
+      const prevBlockId = position > 0 ? order[position - 1] : null;
 
       try {
         await axios.delete(`/api/pages/${pageId}/blocks/${blockId}`);
-        setPage({
-          ...page,
-          blocks: page.blocks.filter((b) => b.id !== blockId)
-        });
+        setPage((prev) => ({
+          ...prev,
+          blocks: removeBlock(prev.blocks, blockId)
+        }));
         return prevBlockId;
       } catch {
         // Block delete failed
@@ -170,17 +326,189 @@ function PageView({ pageId, onUpdate }) {
   );
 
   const changeBlockType = useCallback(
-    (blockId, newType) => {
+    async (blockId, newType) => {
       if (!page) return;
 
-      const block = page.blocks.find((b) => b.id === blockId);
-      if (block) {
-        updateBlock(blockId, block.content, newType);
+      setPage((prev) => ({
+        ...prev,
+        blocks: mapBlock(prev.blocks, blockId, (b) => ({ ...b, type: newType }))
+      }));
+
+      try {
+        await axios.put(`/api/pages/${pageId}/blocks/${blockId}`, { type: newType });
+      } catch {
+        // Block type change failed
       }
     },
-    [page, updateBlock]
+    [page, pageId]
+  );
+
+  // Checkbox state, callout icon, image file, table header — saved over
+  // REST like a type change and echoed to the room as `block-updated`.
+  const changeBlockProps = useCallback(
+    async (blockId, props) => {
+      setPage((prev) => ({
+        ...prev,
+        blocks: mapBlock(prev.blocks, blockId, (b) => ({ ...b, props }))
+      }));
+
+      try {
+        await axios.put(`/api/pages/${pageId}/blocks/${blockId}`, { props });
+      } catch {
+        // Block props change failed
+      }
+    },
+    [pageId]
   );
 
+  const uploadImage = useCallback(
+    async (blockId, file) => {
+      const formData = new FormData();
+      formData.append('file', file);
+      const res = await axios.post(`/api/pages/${pageId}/files`, formData);
+      await changeBlockProps(blockId, { fileId: res.data.fileId, name: res.data.name });
+    },
+    [pageId, changeBlockProps]
+  );
+
+  // ArrowUp/ArrowDown past the first/last line moves to the neighbouring
+  // block; wrappers (divider, table) are focused directly or via their first cell.
+  const focusSibling = useCallback((blockId, direction) => {
+    const elements = Array.from(blocksRef.current?.querySelectorAll('[data-block-id]') || []);
+    const position = elements.findIndex((el) => el.dataset.blockId === blockId);
+    const target = elements[position + direction];
+    if (position === -1 || !target) return;
+
+    const editable = target.isContentEditable
+      ? target
+      : target.querySelector('[contenteditable="true"]') || target;
+    editable.focus();
+    if (editable.isContentEditable) {
+      const range = document.createRange();
+      range.selectNodeContents(editable);
+      range.collapse(direction < 0 ? false : true);
+      const sel = window.getSelection();
+      sel.removeAllRanges();
+      sel.addRange(range);
+    }
+  }, []);
+
+  // Suggestions for "@member" / "#contact or project" typed in a block
+  const searchMentions = useCallback(async (trigger, q) => {
+    const res = await axios.get('/api/pages/mentions', { params: { trigger, q } });
+    return res.data;
+  }, []);
+
+  // View / comment access: the page is shown, but nothing can be changed
+  const readOnly = Boolean(page && page.access && page.access !== 'edit');
+  // Comment access adds discussions on top of reading
+  const canComment = Boolean(page && (!page.access || page.access === 'comment' || page.access === 'edit'));
+
+  const openThreadIds = useMemo(
+    () => new Set(threads.filter((t) => !t.resolved).map((t) => t.id)),
+    [threads]
+  );
+  const blockThreadCounts = useMemo(() => {
+    const counts = new Map();
+    for (const thread of threads) {
+      if (!thread.resolved) counts.set(thread.blockId, (counts.get(thread.blockId) || 0) + 1);
+    }
+    return counts;
+  }, [threads]);
+  const blockIds = useMemo(() => collectBlockIds(page?.blocks), [page?.blocks]);
+
+  const openThread = useCallback((threadId) => {
+    setShowComments(true);
+    setActiveThreadId(threadId);
+  }, []);
+
+  // 💬 next to a block: its open discussions, plus a new one about the
+  // whole block for members who may comment
+  const commentOnBlock = useCallback((blockId) => {
+    setShowComments(true);
+    const first = threads.find((t) => t.blockId === blockId && !t.resolved);
+    setActiveThreadId(first ? first.id : null);
+    if (canComment) {
+      const block = findBlock(page?.blocks, blockId);
+      setCommentDraft({ blockId, quote: (block?.content || '').slice(0, 300) });
+    }
+  }, [threads, canComment, page?.blocks]);
+
+  const commentOnSelection = () => {
+    const { blockId, start, end, quote } = selectionAnchor;
+    setCommentDraft({ blockId, start, end, quote, revision: getRevision() });
+    setShowComments(true);
+    setActiveThreadId(null);
+    setSelectionAnchor(null);
+    window.getSelection()?.removeAllRanges();
+  };
+
+  // Text selected inside one block offers a 💬 button above the selection
+  // that starts a discussion about that range. Code blocks show no marks,
+  // so they are commented only as a whole.
+  useEffect(() => {
+    if (!canComment) return undefined;
+    const handleSelectionChange = () => {
+      const container = blocksRef.current;
+      const sel = window.getSelection();
+      if (!container || !sel || sel.isCollapsed || sel.rangeCount === 0) {
+        setSelectionAnchor(null);
+        return;
+      }
+      const range = sel.getRangeAt(0);
+      const startNode = range.startContainer;
+      const startElement = startNode.nodeType === Node.ELEMENT_NODE ? startNode : startNode.parentElement;
+      const el = startElement?.closest('.block-content[data-block-id]');
+      if (!el || el.classList.contains('code') || !container.contains(el) || !el.contains(range.endContainer)) {
+        setSelectionAnchor(null);
+        return;
+      }
+      const offsets = getSelectionOffsets(el);
+      if (!offsets || offsets.start === offsets.end) {
+        setSelectionAnchor(null);
+        return;
+      }
+      const rect = range.getBoundingClientRect();
+      const box = container.getBoundingClientRect();
+      setSelectionAnchor({
+        blockId: el.dataset.blockId,
+        start: offsets.start,
+        end: offsets.end,
+        quote: el.textContent.slice(offsets.start, offsets.end).slice(0, 300),
+        top: rect.top - box.top,
+        left: rect.right - box.left
+      });
+    };
+    document.addEventListener('selectionchange', handleSelectionChange);
+    return () => document.removeEventListener('selectionchange', handleSelectionChange);
+  }, [canComment]);
+
+  const renderBlocks = (blocks) => blocks.map((block, index) => (
+    <Block
+      key={block.id}
+      readOnly={readOnly}
+      block={block}
+      index={index}
+      pageId={pageId}
+      onUpdate={updateBlock}
+      onAddBlock={addBlock}
+      onAddChild={addChildBlock}
+      onDeleteBlock={deleteBlock}
+      onChangeType={changeBlockType}
+      onChangeProps={changeBlockProps}
+      onChangeMarks={submitMarks}
+      onSearchMentions={searchMentions}
+      onNavigate={focusSibling}
+      onUploadImage={uploadImage}
+      onComment={commentOnBlock}
+      onOpenThread={openThread}
+      openThreadIds={openThreadIds}
+      threadCount={blockThreadCounts.get(block.id) || 0}
+      canComment={canComment}
+      renderChildren={renderBlocks}
+    />
+  ));
+
   if (loading) {
     return (
       <div style={{ padding: '32px 96px', color: 'var(--text-muted)' }}>
@@ -198,12 +526,12 @@ function PageView({ pageId, onUpdate }) {
   }
 
   return (
-    <div className="page-view">
+    <div className={`page-view ${showComments ? 'with-comments' : ''}`}>
       <div className="page-content">
         <div style={{ position: 'relative', display: 'inline-block' }}>
           <div
             className="icon-picker"
-            onClick={() => setShowIconPicker(!showIconPicker)}
+            onClick={() => !readOnly && setShowIconPicker(!showIconPicker)}
           >
             {page.icon || '📄'}
           </div>
@@ -246,29 +574,162 @@ function PageView({ pageId, onUpdate }) {
           )}
         </div>
 
+        <div className="page-toolbar">
+          <PagePresence viewers={viewers} typing={typing} currentUserId={currentUserId} />
+          <button
+            className="page-history-button"
+            onClick={toggleFavorite}
+            title={page.favorite ? 'Odobrať z obľúbených' : 'Pridať do obľúbených'}
+          >
+            {page.favorite ? '★' : '☆'}
+          </button>
+          <button
+            className="page-history-button"
+            onClick={() => setShowHistory(true)}
+          >
+            História
+          </button>
+          <button
+            className="page-history-button"
+            onClick={saveAsTemplate}
+            disabled={savingTemplate}
+          >
+            Uložiť ako šablónu
+          </button>
+          <button
+            className="page-history-button"
+            onClick={() => setShowComments(!showComments)}
+          >
+            💬 Komentáre{openThreadIds.size > 0 ? ` (${openThreadIds.size})` : ''}
+          </button>
+          <button
+            className="page-history-button"
+            onClick={() => setShowExport(true)}
+          >
+            Exportovať
+          </button>
+          <button
+            className="page-history-button"
+            onClick={() => setShowPermissions(true)}
+          >
+            {page.visibility === 'private' ? '🔒 Súkromná' : 'Oprávnenia'}
+          </button>
+          {!readOnly && (
+            <button
+              className="page-history-button"
+              onClick={() => setShowShare(true)}
+            >
+              Zdieľať
+            </button>
+          )}
+        </div>
+
+        {readOnly && (
+          <div className="page-readonly-notice">
+            Túto stránku môžete len čítať{page.access === 'comment' ? ' a komentovať' : ''}.
+          </div>
+        )}
+
         <input
           ref={titleRef}
           type="text"
           className="page-title-input"
           value={page.title || ''}
+          readOnly={readOnly}
           onChange={(e) => updateTitle(e.target.value)}
           placeholder="Untitled"
         />
 
-        <div className="blocks-container" style={{ marginTop: '24px' }}>
-          {page.blocks.map((block, index) => (
-            <Block
-              key={block.id}
-              block={block}
-              index={index}
-              onUpdate={updateBlock}
-              onAddBlock={addBlock}
-              onDeleteBlock={deleteBlock}
-              onChangeType={changeBlockType}
-            />
-          ))}
+        <PageLinkedRecord
+          page={page}
+          readOnly={readOnly}
+          onChange={(updated) => {
+            setPage((prev) => ({
+              ...prev,
+              linkedType: updated.linkedType,
+              linkedId: updated.linkedId,
+              linkedName: updated.linkedName
+            }));
+            onUpdate(updated);
+          }}
+        />
+
+        <div ref={blocksRef} className="blocks-container" style={{ marginTop: '24px', position: 'relative' }}>
+          {renderBlocks(page.blocks)}
+          <RemoteCursors cursors={cursors} containerRef={blocksRef} layoutKey={page.blocks} />
+          {selectionAnchor && (
+            <button
+              className="page-comment-selection-btn"
+              style={{ top: selectionAnchor.top - 34, left: selectionAnchor.left }}
+              // mousedown, not click — the selection must survive
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={commentOnSelection}
+            >
+              💬 Komentovať
+            </button>
+          )}
         </div>
+
+        {page.kind === 'database' && page.database && (
+          <PageDatabase
+            key={pageId}
+            page={page}
+            readOnly={readOnly}
+            currentUserId={currentUserId}
+            socketApi={socketApi}
+            onDatabaseChange={handleDatabaseChange}
+          />
+        )}
+
+        <PageBacklinks pageId={pageId} />
       </div>
+
+      {showComments && (
+        <PageComments
+          pageId={pageId}
+          threads={threads}
+          blockIds={blockIds}
+          access={page.access || 'edit'}
+          currentUserId={currentUserId}
+          draft={commentDraft}
+          activeThreadId={activeThreadId}
+          onSelectThread={setActiveThreadId}
+          onDraftDone={() => setCommentDraft(null)}
+          onThreadChanged={upsertThread}
+          onThreadDeleted={removeThread}
+          onClose={() => {
+            setShowComments(false);
+            setCommentDraft(null);
+          }}
+        />
+      )}
+
+      {showHistory && (
+        <PageHistory
+          pageId={pageId}
+          onClose={() => setShowHistory(false)}
+          onRestored={(restored) => {
+            onUpdate(restored);
+            fetchPage();
+          }}
+        />
+      )}
+
+      {showShare && (
+        <PageShare pageId={pageId} onClose={() => setShowShare(false)} />
+      )}
+
+      {showExport && (
+        <PageExport pageId={pageId} onClose={() => setShowExport(false)} />
+      )}
+
+      {showPermissions && (
+        <PagePermissions
+          pageId={pageId}
+          onClose={() => setShowPermissions(false)}
+          onChanged={(settings) => setPage((prev) => prev && ({ ...prev, visibility: settings.visibility }))}
+        />
+      )}
     </div>
   );
 }
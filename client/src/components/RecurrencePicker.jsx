@@ -0,0 +1,153 @@
+/**
+ * Picker opakovania projektu / úlohy.
+ *
+ * Denne, týždenne, mesačne, ročne alebo vlastné (každý N-tý deň/týždeň/…,
+ * pri týždennom vybrané dni). Koniec série dátumom alebo počtom výskytov.
+ * Po dokončení výskytu server vytvorí ďalší s rovnakými riešiteľmi
+ * a pripomienkami (server/services/taskRecurrence.js).
+ *
+ * Props:
+ *   value: recurrence objekt alebo null (bez opakovania)
+ *   onChange: (recurrence | null) => void
+ */
+import { useState } from 'react';
+import { DateInput } from './DateTimeInputs';
+import {
+  FREQUENCY_OPTIONS,
+  INTERVAL_UNITS,
+  WEEKDAYS,
+  isCustomRecurrence
+} from '../utils/recurrence';
+
+// until '' = zvolený koniec dátumom, ešte bez dátumu
+const endModeOf = (recurrence) => (recurrence?.count ? 'count' : recurrence?.until != null ? 'until' : 'never');
+
+export default function RecurrencePicker({ value, onChange }) {
+  // "Vlastné" si drží lokálne — inak by sa s intervalom 1 prepol späť
+  const [custom, setCustom] = useState(() => isCustomRecurrence(value));
+  const recurrence = value?.freq ? value : null;
+  const mode = !recurrence ? 'none' : custom ? 'custom' : recurrence.freq;
+  const endMode = endModeOf(recurrence);
+
+  const update = (changes) => onChange({ ...recurrence, ...changes });
+
+  const handleMode = (next) => {
+    if (next === 'none') {
+      setCustom(false);
+      onChange(null);
+      return;
+    }
+    const isCustom = next === 'custom';
+    setCustom(isCustom);
+    onChange({
+      ...(recurrence || {}),
+      freq: isCustom ? (recurrence?.freq || 'weekly') : next,
+      interval: isCustom ? (recurrence?.interval || 1) : 1,
+      byWeekday: isCustom ? (recurrence?.byWeekday || null) : null
+    });
+  };
+
+  const handleEndMode = (next) => update({
+    until: next === 'until' ? (recurrence.until || '') : null,
+    count: next === 'count' ? (recurrence.count || 5) : null
+  });
+
+  const toggleWeekday = (day) => {
+    const days = new Set(recurrence.byWeekday || []);
+    if (days.has(day)) days.delete(day);
+    else days.add(day);
+    update({ byWeekday: days.size > 0 ? Array.from(days).sort((a, b) => a - b) : null });
+  };
+
+  return (
+    <div className="recurrence-picker">
+      <select
+        className="form-input"
+        value={mode}
+        onChange={(e) => handleMode(e.target.value)}
+      >
+        <option value="none">Neopakuje sa</option>
+        {FREQUENCY_OPTIONS.map(opt => (
+          <option key={opt.value} value={opt.value}>{opt.label}</option>
+        ))}
+        <option value="custom">Vlastné…</option>
+      </select>
+
+      {mode === 'custom' && (
+        <div className="recurrence-row">
+          <span>Každý</span>
+          <input
+            type="number"
+            className="form-input recurrence-number"
+            min={1}
+            max={365}
+            value={recurrence.interval || 1}
+            onChange={(e) => update({ interval: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+          />
+          <select
+            className="form-input"
+            value={recurrence.freq}
+            onChange={(e) => update({ freq: e.target.value, byWeekday: e.target.value === 'weekly' ? recurrence.byWeekday : null })}
+          >
+            {FREQUENCY_OPTIONS.map(opt => (
+              <option key={opt.value} value={opt.value}>{INTERVAL_UNITS[opt.value][0]}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {mode === 'custom' && recurrence.freq === 'weekly' && (
+        <div className="time-reminders-grid">
+          {WEEKDAYS.map(day => {
+            const checked = (recurrence.byWeekday || []).includes(day.value);
+            return (
+              <label key={day.value} className={`time-reminder-pill ${checked ? 'checked' : ''}`}>
+                <input type="checkbox" checked={checked} onChange={() => toggleWeekday(day.value)} />
+                <span>{day.label}</span>
+              </label>
+            );
+          })}
+        </div>
+      )}
+
+      {recurrence && (
+        <div className="recurrence-row">
+          <span>Koniec</span>
+          <select
+            className="form-input"
+            value={endMode}
+            onChange={(e) => handleEndMode(e.target.value)}
+          >
+            <option value="never">Nikdy</option>
+            <option value="until">K dátumu</option>
+            <option value="count">Po počte opakovaní</option>
+          </select>
+          {endMode === 'until' && (
+            <DateInput
+              value={recurrence.until || ''}
+              onChange={(v) => update({ until: v })}
+              title="Posledný možný termín"
+            />
+          )}
+          {endMode === 'count' && (
+            <input
+              type="number"
+              className="form-input recurrence-number"
+              min={1}
+              max={999}
+              value={recurrence.count}
+              onChange={(e) => update({ count: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+            />
+          )}
+        </div>
+      )}
+
+      {recurrence && (
+        <div className="time-reminders-hint">
+          Po dokončení sa vytvorí ďalší výskyt s rovnakými riešiteľmi a pripomienkami.
+          Bez termínu sa ďalší ráta odo dňa dokončenia.
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+/**
+ * RemoteCursors — kurzory a výbery ostatných v editore stránky.
+ *
+ * Vrstva sa kreslí cez `blocks-container` (musí mať position: relative).
+ * Kurzory sú v znakových offsetoch textu bloku; pozícia na obrazovke sa
+ * počíta z DOM Range nad textom bloku pri každej zmene kurzorov, blokov
+ * (`layoutKey`) a veľkosti okna.
+ *
+ * Props:
+ *  - cursors: { userId → { username, color, blockId, offset, length } }
+ *  - containerRef: ref na blocks-container
+ *  - layoutKey: mení sa so zmenou obsahu (napr. page.blocks)
+ */
+import { Fragment, useEffect, useLayoutEffect, useState } from 'react';
+
+const DEFAULT_COLOR = '#3B82F6';
+
+// DOM pozícia (textový uzol + offset) pre znakový offset v bloku
+const locate = (el, offset) => {
+  const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+  let remaining = offset;
+  let node = walker.nextNode();
+  let last = null;
+  while (node) {
+    if (remaining <= node.length) return { node, offset: remaining };
+    remaining -= node.length;
+    last = node;
+    node = walker.nextNode();
+  }
+  return last ? { node: last, offset: last.length } : { node: el, offset: 0 };
+};
+
+const measure = (container, cursor) => {
+  const el = container.querySelector(`[data-block-id="${CSS.escape(cursor.blockId)}"]`);
+  if (!el) return null;
+  const origin = container.getBoundingClientRect();
+  const relative = (rect) => ({
+    left: rect.left - origin.left,
+    top: rect.top - origin.top,
+    width: rect.width,
+    height: rect.height
+  });
+
+  const start = locate(el, cursor.offset);
+  const end = locate(el, cursor.offset + cursor.length);
+  const range = document.createRange();
+  range.setStart(start.node, start.offset);
+  range.setEnd(end.node, end.offset);
+  const highlights = cursor.length > 0 ? [...range.getClientRects()].map(relative) : [];
+
+  range.collapse(false);
+  let caret = range.getBoundingClientRect();
+  if (caret.height === 0) {
+    // Prázdny blok — Range nemá rozmer, kurzor je na začiatku bloku
+    const box = el.getBoundingClientRect();
+    const lineHeight = parseFloat(getComputedStyle(el).lineHeight) || box.height;
+    caret = { left: box.left, top: box.top, width: 0, height: Math.min(lineHeight, box.height) };
+  }
+  return { highlights, caret: relative(caret) };
+};
+
+function RemoteCursors({ cursors, containerRef, layoutKey }) {
+  const [marks, setMarks] = useState([]);
+  const [resizeTick, setResizeTick] = useState(0);
+
+  useEffect(() => {
+    const handleResize = () => setResizeTick((tick) => tick + 1);
+    window.addEventListener('resize', handleResize);
+    return () => window.removeEventListener('resize', handleResize);
+  }, []);
+
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    const next = [];
+    for (const [userId, cursor] of Object.entries(cursors)) {
+      const position = measure(container, cursor);
+      if (position) next.push({ userId, username: cursor.username, color: cursor.color || DEFAULT_COLOR, ...position });
+    }
+    setMarks(next);
+  }, [cursors, containerRef, layoutKey, resizeTick]);
+
+  return (
+    <div className="remote-cursors" aria-hidden="true">
+      {marks.map((mark) => (
+        <Fragment key={mark.userId}>
+          {mark.highlights.map((rect, i) => (
+            <div key={i} className="remote-selection" style={{ ...rect, backgroundColor: mark.color }} />
+          ))}
+          <div
+            className="remote-caret"
+            style={{ left: mark.caret.left, top: mark.caret.top, height: mark.caret.height, backgroundColor: mark.color }}
+          >
+            <span className="remote-caret-label" style={{ backgroundColor: mark.color }}>
+              {mark.username}
+            </span>
+          </div>
+        </Fragment>
+      ))}
+    </div>
+  );
+}
+
+export default RemoteCursors;
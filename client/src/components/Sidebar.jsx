@@ -1,6 +1,164 @@
+import { useState, useRef, useEffect, useMemo } from 'react';
 import { NavLink } from 'react-router-dom';
+import axios from 'axios';
+import { DndContext, closestCenter, PointerSensor, TouchSensor, useSensor, useSensors } from '@dnd-kit/core';
+import { SortableContext, verticalListSortingStrategy, useSortable } from '@dnd-kit/sortable';
+import { useSocket } from '../hooks/useSocket';
+import { flattenTree, projectDrop, buildMoves, revertMoves } from '../utils/pageTree';
+import PageTrash from './PageTrash';
+import PageTemplates from './PageTemplates';
+import SidebarQuickAccess from './SidebarQuickAccess';
+
+// Indentation of one tree level — dragging sideways by this much changes
+// the depth a page is dropped at
+const INDENT = 16;
+
+// Sortable wrapper for a page row. Only moves vertically on screen; the
+// horizontal drag offset picks the depth instead (utils/pageTree.js).
+function SortablePageItem({ id, depth, disabled, children }) {
+  const {
+    attributes,
+    listeners,
+    setNodeRef,
+    transform,
+    transition,
+    isDragging
+  } = useSortable({ id, disabled });
+
+  const style = {
+    transform: transform ? `translate3d(0, ${transform.y}px, 0)` : undefined,
+    transition,
+    opacity: isDragging ? 0.5 : 1,
+    paddingLeft: depth * INDENT
+  };
+
+  return (
+    <div ref={setNodeRef} style={style} {...attributes}>
+      {children({ dragListeners: listeners })}
+    </div>
+  );
+}
+
+function Sidebar({
+  user,
+  pages,
+  onCreatePage,
+  onDeletePage,
+  onPagesRestored,
+  onPagesCreated,
+  onPagesMoved,
+  onLogout,
+  loading
+}) {
+  const [showTrash, setShowTrash] = useState(false);
+  const [showTemplates, setShowTemplates] = useState(false);
+  const [duplicatingId, setDuplicatingId] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [collapsedIds, setCollapsedIds] = useState(() => new Set());
+  const [drag, setDrag] = useState(null); // { activeId, overId, offsetX }
+  const importInputRef = useRef(null);
+  const { onPagesMoved: onRemotePagesMoved } = useSocket();
+
+  const sensors = useSensors(
+    useSensor(PointerSensor, { activationConstraint: { distance: 8 } }),
+    useSensor(TouchSensor, { activationConstraint: { delay: 200, tolerance: 5 } })
+  );
+
+  // The dragged page's subtree is hidden while dragging — it moves along
+  // and nothing can be dropped into it
+  const items = useMemo(
+    () => flattenTree(pages, drag ? new Set([...collapsedIds, drag.activeId]) : collapsedIds),
+    [pages, collapsedIds, drag?.activeId]
+  );
+  const projection = drag?.overId
+    ? projectDrop(items, drag.activeId, drag.overId, drag.offsetX, INDENT)
+    : null;
+
+  // Other members rearranging the tree
+  useEffect(() => {
+    const unsub = onRemotePagesMoved((data) => onPagesMoved?.(data.moves));
+    return () => {
+      if (unsub) unsub();
+    };
+  }, [onRemotePagesMoved, onPagesMoved]);
+
+  const toggleCollapsed = (pageId) => {
+    setCollapsedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(pageId)) next.delete(pageId);
+      else next.add(pageId);
+      return next;
+    });
+  };
+
+  // The tree is updated right away and put back if the server refuses
+  // (no edit access to the new parent, a concurrent move made it a cycle)
+  const handleDragEnd = async ({ active, over }) => {
+    const drop = over ? projectDrop(items, active.id, over.id, drag?.offsetX || 0, INDENT) : null;
+    setDrag(null);
+    if (!drop) return;
+    const moves = buildMoves(pages, active.id, drop);
+    if (moves.length === 0) return;
+
+    const undo = revertMoves(pages, moves);
+    onPagesMoved?.(moves);
+    if (drop.parentId) {
+      setCollapsedIds((prev) => {
+        const next = new Set(prev);
+        next.delete(drop.parentId);
+        return next;
+      });
+    }
+    try {
+      await axios.put('/api/pages/move', { moves });
+    } catch (error) {
+      onPagesMoved?.(undo);
+      window.alert(error.response?.data?.message || 'Stránku sa nepodarilo presunúť.');
+    }
+  };
+
+  // Deep copy next to the original, child pages included
+  const duplicatePage = async (pageId) => {
+    setDuplicatingId(pageId);
+    try {
+      const res = await axios.post(`/api/pages/${pageId}/duplicate`, {});
+      onPagesCreated?.(res.data.pages);
+    } catch (error) {
+      window.alert(error.response?.data?.message || 'Stránku sa nepodarilo duplikovať.');
+    } finally {
+      setDuplicatingId(null);
+    }
+  };
+
+  const createDatabase = async () => {
+    try {
+      const res = await axios.post('/api/pages', { kind: 'database', title: 'Databáza' });
+      onPagesCreated?.([res.data]);
+    } catch (error) {
+      window.alert(error.response?.data?.message || 'Databázu sa nepodarilo vytvoriť.');
+    }
+  };
+
+  // Markdown file or a ZIP of them — a ZIP becomes a page tree
+  const importPages = async (file) => {
+    if (!file) return;
+    setImporting(true);
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      const res = await axios.post('/api/pages/import', formData);
+      onPagesCreated?.(res.data.pages);
+      if (res.data.truncated) {
+        window.alert('Niektoré stránky boli príliš dlhé — ich koniec sa neimportoval.');
+      }
+    } catch (error) {
+      window.alert(error.response?.data?.message || 'Import sa nepodaril.');
+    } finally {
+      setImporting(false);
+      if (importInputRef.current) importInputRef.current.value = '';
+    }
+  };
 
-function Sidebar({ user, pages, onCreatePage, onDeletePage, onLogout, loading }) {
   return (
     <aside className="sidebar">
       <div className="sidebar-header">
@@ -21,6 +179,8 @@ function Sidebar({ user, pages, onCreatePage, onDeletePage, onLogout, loading })
       </div>
 
       <nav className="sidebar-nav">
+        <SidebarQuickAccess />
+
         <div className="nav-section">
           <div className="nav-section-title">Pages</div>
 
@@ -33,42 +193,134 @@ function Sidebar({ user, pages, onCreatePage, onDeletePage, onLogout, loading })
               No pages yet
             </div>
           ) : (
-            pages.map((page) => (
-              <NavLink
-                key={page.id}
-                to={`/page/${page.id}`}
-                className={({ isActive }) =>
-                  `nav-item ${isActive ? 'active' : ''}`
-                }
-              >
-                <span className="nav-item-icon">{page.icon || '📄'}</span>
-                <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
-                  {page.title || 'Untitled'}
-                </span>
-                {page.ownerId === user?.id && (
-                  <button
-                    className="delete-btn"
-                    onClick={(e) => {
-                      e.preventDefault();
-                      e.stopPropagation();
-                      if (window.confirm('Delete this page?')) {
-                        onDeletePage(page.id);
-                      }
-                    }}
+            <DndContext
+              sensors={sensors}
+              collisionDetection={closestCenter}
+              autoScroll={false}
+              onDragStart={({ active }) => setDrag({ activeId: active.id, overId: active.id, offsetX: 0 })}
+              onDragMove={({ delta }) => setDrag((prev) => prev && { ...prev, offsetX: delta.x })}
+              onDragOver={({ over }) => setDrag((prev) => prev && { ...prev, overId: over?.id ?? null })}
+              onDragEnd={handleDragEnd}
+              onDragCancel={() => setDrag(null)}
+            >
+              <SortableContext items={items.map((item) => item.id)} strategy={verticalListSortingStrategy}>
+                {items.map(({ id, page, depth, hasChildren }) => (
+                  <SortablePageItem
+                    key={id}
+                    id={id}
+                    depth={projection && id === drag.activeId ? projection.depth : depth}
+                    disabled={Boolean(page.access && page.access !== 'edit')}
                   >
-                    ×
-                  </button>
-                )}
-              </NavLink>
-            ))
+                    {({ dragListeners }) => (
+                      <NavLink
+                        to={`/page/${page.id}`}
+                        className={({ isActive }) =>
+                          `nav-item ${isActive ? 'active' : ''}`
+                        }
+                      >
+                        <span
+                          className="page-tree-toggle"
+                          onClick={(e) => {
+                            e.preventDefault();
+                            e.stopPropagation();
+                            if (hasChildren) toggleCollapsed(page.id);
+                          }}
+                        >
+                          {hasChildren ? (collapsedIds.has(page.id) ? '▸' : '▾') : ''}
+                        </span>
+                        <span className="nav-item-icon page-tree-handle" title="Presunúť" {...dragListeners}>
+                          {page.icon || (page.kind === 'database' ? '🗃️' : '📄')}
+                        </span>
+                        <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                          {page.title || 'Untitled'}
+                        </span>
+                        {page.visibility === 'private' && <span title="Súkromná stránka">🔒</span>}
+                        <button
+                          className="delete-btn"
+                          title="Duplikovať aj s podstránkami"
+                          disabled={duplicatingId === page.id}
+                          onClick={(e) => {
+                            e.preventDefault();
+                            e.stopPropagation();
+                            duplicatePage(page.id);
+                          }}
+                        >
+                          ⧉
+                        </button>
+                        {page.ownerId === user?.id && (
+                          <button
+                            className="delete-btn"
+                            onClick={(e) => {
+                              e.preventDefault();
+                              e.stopPropagation();
+                              if (window.confirm('Move this page and its subpages to the trash?')) {
+                                onDeletePage(page.id);
+                              }
+                            }}
+                          >
+                            ×
+                          </button>
+                        )}
+                      </NavLink>
+                    )}
+                  </SortablePageItem>
+                ))}
+              </SortableContext>
+            </DndContext>
           )}
 
           <button className="add-page-btn" onClick={onCreatePage}>
             <span>+</span>
             <span>Add a page</span>
           </button>
+
+          <button className="add-page-btn" onClick={createDatabase}>
+            <span>🗃️</span>
+            <span>Add a database</span>
+          </button>
+
+          <button className="add-page-btn" onClick={() => setShowTemplates(true)}>
+            <span>📑</span>
+            <span>From template</span>
+          </button>
+
+          <button
+            className="add-page-btn"
+            onClick={() => importInputRef.current?.click()}
+            disabled={importing}
+          >
+            <span>⤓</span>
+            <span>{importing ? 'Importing...' : 'Import Markdown'}</span>
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".md,.markdown,.txt,.zip"
+            style={{ display: 'none' }}
+            onChange={(e) => importPages(e.target.files[0])}
+          />
+
+          <button className="add-page-btn" onClick={() => setShowTrash(true)}>
+            <span>🗑</span>
+            <span>Trash</span>
+          </button>
         </div>
       </nav>
+
+      {showTemplates && (
+        <PageTemplates
+          currentUserId={user?.id}
+          onClose={() => setShowTemplates(false)}
+          onCreated={(page) => onPagesCreated?.([page])}
+        />
+      )}
+
+      {showTrash && (
+        <PageTrash
+          onClose={() => setShowTrash(false)}
+          onRestored={(restored) => onPagesRestored?.(restored)}
+        />
+      )}
     </aside>
   );
 }
@@ -0,0 +1,149 @@
+/**
+ * SidebarQuickAccess — obľúbené a naposledy navštívené stránky nad stromom
+ * stránok v bočnom paneli.
+ *
+ * Zoznamy drží server na používateľa a workspace
+ * (GET /api/pages/quick-access), takže sú rovnaké na webe aj v mobilnej
+ * aplikácii. Načítajú sa znova po udalosti QUICK_ACCESS_EVENT — PageView ju
+ * pošle po otvorení stránky (návšteva) a po zmene hviezdičky. Obľúbené sa
+ * dajú preradiť ťahaním (PUT /api/pages/favorites).
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { NavLink } from 'react-router-dom';
+import axios from 'axios';
+import { DndContext, closestCenter, PointerSensor, TouchSensor, useSensor, useSensors } from '@dnd-kit/core';
+import { SortableContext, verticalListSortingStrategy, useSortable, arrayMove } from '@dnd-kit/sortable';
+
+export const QUICK_ACCESS_EVENT = 'page-quick-access-changed';
+
+const MAX_RECENT_SHOWN = 5;
+
+const pageIcon = (page) => page.icon || (page.kind === 'database' ? '🗃️' : '📄');
+
+function QuickAccessLink({ page, children }) {
+  return (
+    <NavLink
+      to={`/page/${page.id}`}
+      className={({ isActive }) => `nav-item ${isActive ? 'active' : ''}`}
+      title={[...page.path, page.title].join(' / ')}
+    >
+      <span className="nav-item-icon">{pageIcon(page)}</span>
+      <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+        {page.title || 'Untitled'}
+      </span>
+      {children}
+    </NavLink>
+  );
+}
+
+function SortableFavorite({ page, onRemove }) {
+  const { attributes, listeners, setNodeRef, transform, transition, isDragging } = useSortable({ id: page.id });
+  const style = {
+    transform: transform ? `translate3d(0, ${transform.y}px, 0)` : undefined,
+    transition,
+    opacity: isDragging ? 0.5 : 1
+  };
+  return (
+    <div ref={setNodeRef} style={style} {...attributes} {...listeners}>
+      <QuickAccessLink page={page}>
+        <button
+          className="delete-btn"
+          title="Remove from favorites"
+          onClick={(e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            onRemove(page.id);
+          }}
+        >
+          ★
+        </button>
+      </QuickAccessLink>
+    </div>
+  );
+}
+
+function SidebarQuickAccess() {
+  const [favorites, setFavorites] = useState([]);
+  const [recent, setRecent] = useState([]);
+  const sensors = useSensors(
+    useSensor(PointerSensor, { activationConstraint: { distance: 8 } }),
+    useSensor(TouchSensor, { activationConstraint: { delay: 200, tolerance: 5 } })
+  );
+
+  const apply = (data) => {
+    setFavorites(data.favorites);
+    setRecent(data.recent);
+  };
+
+  const fetchLists = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/pages/quick-access');
+      apply(res.data);
+    } catch {
+      // Bez zoznamov sa bočný panel zaobíde
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchLists();
+    window.addEventListener(QUICK_ACCESS_EVENT, fetchLists);
+    return () => window.removeEventListener(QUICK_ACCESS_EVENT, fetchLists);
+  }, [fetchLists]);
+
+  const removeFavorite = async (pageId) => {
+    try {
+      const res = await axios.delete(`/api/pages/${pageId}/favorite`);
+      apply(res.data);
+      window.dispatchEvent(new CustomEvent(QUICK_ACCESS_EVENT, { detail: { pageId, favorite: false } }));
+    } catch (error) {
+      window.alert(error.response?.data?.message || 'Could not update favorites.');
+    }
+  };
+
+  const handleDragEnd = async ({ active, over }) => {
+    if (!over || active.id === over.id) return;
+    const previous = favorites;
+    const reordered = arrayMove(
+      favorites,
+      favorites.findIndex((p) => p.id === active.id),
+      favorites.findIndex((p) => p.id === over.id)
+    );
+    setFavorites(reordered);
+    try {
+      const res = await axios.put('/api/pages/favorites', { pageIds: reordered.map((p) => p.id) });
+      apply(res.data);
+    } catch {
+      setFavorites(previous);
+    }
+  };
+
+  const recentShown = recent.slice(0, MAX_RECENT_SHOWN);
+  if (favorites.length === 0 && recentShown.length === 0) return null;
+
+  return (
+    <>
+      {favorites.length > 0 && (
+        <div className="nav-section">
+          <div className="nav-section-title">Favorites</div>
+          <DndContext sensors={sensors} collisionDetection={closestCenter} onDragEnd={handleDragEnd}>
+            <SortableContext items={favorites.map((p) => p.id)} strategy={verticalListSortingStrategy}>
+              {favorites.map((page) => (
+                <SortableFavorite key={page.id} page={page} onRemove={removeFavorite} />
+              ))}
+            </SortableContext>
+          </DndContext>
+        </div>
+      )}
+      {recentShown.length > 0 && (
+        <div className="nav-section">
+          <div className="nav-section-title">Recent</div>
+          {recentShown.map((page) => (
+            <QuickAccessLink key={page.id} page={page} />
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
+
+export default SidebarQuickAccess;
@@ -0,0 +1,215 @@
+/**
+ * TaskBoard — Kanban pohľad projektov: stĺpec pre každý stav workspace.
+ *
+ * Presunutie karty do iného stĺpca zmení stav projektu (a `completed`, keď
+ * sa mení "hotovo"); presunutie v rámci stĺpca zmení len poradie. Počas
+ * ťahania sa poradie drží lokálne, po pustení ide volajúcemu celý cieľový
+ * stĺpec — server ho zapíše do `statusOrder` (PUT /api/tasks/:id/move).
+ *
+ * Props:
+ *  - tasks — projekty po filtroch zoznamu
+ *  - statuses — stavy workspace v poradí stĺpcov
+ *  - getDueDateClass(dueDate, completed)
+ *  - onMove(task, statusId, columnTasks) — columnTasks = cieľový stĺpec po presune
+ *  - onOpenTask(task)
+ *  - onEditStatuses — len pre vlastníka/manažéra (inak undefined)
+ */
+import { useMemo, useState } from 'react';
+import {
+  DndContext,
+  DragOverlay,
+  PointerSensor,
+  TouchSensor,
+  closestCorners,
+  useSensor,
+  useSensors,
+  useDroppable
+} from '@dnd-kit/core';
+import { SortableContext, verticalListSortingStrategy, useSortable, arrayMove } from '@dnd-kit/sortable';
+import { CSS } from '@dnd-kit/utilities';
+import { getPriorityColor, getPriorityLabel } from '../utils/constants';
+import { effectiveStatus, groupByStatus } from '../utils/taskStatuses';
+import { describeRecurrence } from '../utils/recurrence';
+
+// Id droppable stĺpca nesmie kolidovať s id projektu
+const COLUMN_PREFIX = 'column:';
+
+function BoardCard({ task, getDueDateClass, overlay = false, onOpen }) {
+  const dueClass = getDueDateClass(task.dueDate, task.completed);
+  const contactLabel = task.contactNames?.length > 0 ? task.contactNames.join(', ') : task.contactName;
+  return (
+    <div className={`task-board-card${overlay ? ' task-board-card-overlay' : ''}${task.completed ? ' completed' : ''}`} onClick={onOpen}>
+      <div className="task-board-card-title">{task.title}</div>
+      <div className="task-board-card-meta">
+        <span className="priority-badge" style={{ backgroundColor: getPriorityColor(task.priority) }}>
+          {getPriorityLabel(task.priority)}
+        </span>
+        {task.dueDate && (
+          <span className={`due-date ${dueClass}`}>
+            {dueClass === 'overdue' ? '⚠️' : '📅'} {new Date(task.dueDate).toLocaleDateString('sk-SK')}
+          </span>
+        )}
+        {task.recurrence?.freq && (
+          <span className="recurrence-badge" title={describeRecurrence(task.recurrence)}>🔁</span>
+        )}
+        {contactLabel && <span className="contact-badge">🏷️ {contactLabel}</span>}
+        {task.assignedUsers?.length > 0 && (
+          <span className="assigned-users-badge">
+            {task.assignedUsers.map(u => (
+              <span key={u.id} className="assigned-user-avatar" style={{ backgroundColor: u.color }} title={u.username}>
+                {u.username.charAt(0).toUpperCase()}
+              </span>
+            ))}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function SortableCard({ task, ...cardProps }) {
+  const { attributes, listeners, setNodeRef, transform, transition, isDragging } = useSortable({ id: task.id });
+  const style = {
+    transform: CSS.Transform.toString(transform),
+    transition,
+    opacity: isDragging ? 0.4 : 1
+  };
+  return (
+    <div ref={setNodeRef} style={style} {...attributes} {...listeners}>
+      <BoardCard task={task} {...cardProps} />
+    </div>
+  );
+}
+
+function BoardColumn({ status, taskIds, children }) {
+  const { setNodeRef, isOver } = useDroppable({ id: COLUMN_PREFIX + status.id });
+  return (
+    <div ref={setNodeRef} className={`task-board-column${isOver ? ' task-board-column-over' : ''}`}>
+      <div className="task-board-column-header" style={{ borderTopColor: status.color }}>
+        <span className="task-board-column-name">
+          <span className="task-board-dot" style={{ backgroundColor: status.color }} />
+          {status.name}
+          {status.done && <span className="task-board-done" title="Projekty v tomto stave sú dokončené">✓</span>}
+        </span>
+        <span className="task-board-count">{taskIds.length}</span>
+      </div>
+      <SortableContext items={taskIds} strategy={verticalListSortingStrategy}>
+        <div className="task-board-cards">{children}</div>
+      </SortableContext>
+    </div>
+  );
+}
+
+function TaskBoard({ tasks, statuses, getDueDateClass, onMove, onOpenTask, onEditStatuses }) {
+  const [activeId, setActiveId] = useState(null);
+  // { [statusId]: taskId[] } počas ťahania, inak null (stĺpce z props)
+  const [dragColumns, setDragColumns] = useState(null);
+  const sensors = useSensors(
+    useSensor(PointerSensor, { activationConstraint: { distance: 8 } }),
+    useSensor(TouchSensor, { activationConstraint: { delay: 200, tolerance: 5 } })
+  );
+
+  const grouped = useMemo(() => groupByStatus(tasks, statuses), [tasks, statuses]);
+  const taskById = useMemo(() => new Map(tasks.map(t => [t.id, t])), [tasks]);
+  const columns = dragColumns || Object.fromEntries(
+    Object.entries(grouped).map(([statusId, columnTasks]) => [statusId, columnTasks.map(t => t.id)])
+  );
+
+  const columnOf = (id, cols = columns) => {
+    if (typeof id === 'string' && id.startsWith(COLUMN_PREFIX)) return id.slice(COLUMN_PREFIX.length);
+    return Object.keys(cols).find(statusId => cols[statusId].includes(id)) || null;
+  };
+
+  const handleDragStart = ({ active }) => {
+    setActiveId(active.id);
+    setDragColumns(columns);
+  };
+
+  const handleDragCancel = () => {
+    setActiveId(null);
+    setDragColumns(null);
+  };
+
+  // Prechod do iného stĺpca — karta sa presunie hneď, aby sa dala zaradiť
+  const handleDragOver = ({ active, over }) => {
+    if (!over) return;
+    setDragColumns(prev => {
+      if (!prev) return prev;
+      const from = columnOf(active.id, prev);
+      const to = columnOf(over.id, prev);
+      if (!from || !to || from === to) return prev;
+      const target = prev[to].filter(id => id !== active.id);
+      const overIndex = target.indexOf(over.id);
+      target.splice(overIndex === -1 ? target.length : overIndex, 0, active.id);
+      return { ...prev, [from]: prev[from].filter(id => id !== active.id), [to]: target };
+    });
+  };
+
+  const handleDragEnd = ({ active, over }) => {
+    const cols = dragColumns;
+    setActiveId(null);
+    setDragColumns(null);
+    const task = taskById.get(active.id);
+    if (!over || !cols || !task) return;
+
+    const to = columnOf(active.id, cols);
+    if (!to) return;
+    let columnIds = cols[to];
+    const oldIndex = columnIds.indexOf(active.id);
+    const newIndex = columnIds.indexOf(over.id);
+    if (newIndex !== -1 && oldIndex !== newIndex) columnIds = arrayMove(columnIds, oldIndex, newIndex);
+
+    const original = grouped[to]?.map(t => t.id) || [];
+    const unchanged = effectiveStatus(task, statuses) === to &&
+      original.length === columnIds.length && original.every((id, i) => id === columnIds[i]);
+    if (unchanged) return;
+
+    onMove(task, to, columnIds.map(id => taskById.get(id)).filter(Boolean));
+  };
+
+  const activeTask = activeId ? taskById.get(activeId) : null;
+
+  return (
+    <div className="task-board-wrapper">
+      {onEditStatuses && (
+        <div className="task-board-toolbar">
+          <button className="btn btn-secondary btn-sm" onClick={onEditStatuses}>⚙️ Upraviť stavy</button>
+        </div>
+      )}
+      <DndContext
+        sensors={sensors}
+        collisionDetection={closestCorners}
+        onDragStart={handleDragStart}
+        onDragOver={handleDragOver}
+        onDragCancel={handleDragCancel}
+        onDragEnd={handleDragEnd}
+      >
+        <div className="task-board">
+          {statuses.map(status => {
+            const taskIds = columns[status.id] || [];
+            return (
+              <BoardColumn key={status.id} status={status} taskIds={taskIds}>
+                {taskIds.map(id => {
+                  const task = taskById.get(id);
+                  return task && (
+                    <SortableCard
+                      key={id}
+                      task={task}
+                      getDueDateClass={getDueDateClass}
+                      onOpen={() => onOpenTask(task)}
+                    />
+                  );
+                })}
+              </BoardColumn>
+            );
+          })}
+        </div>
+        <DragOverlay>
+          {activeTask && <BoardCard task={activeTask} getDueDateClass={getDueDateClass} overlay />}
+        </DragOverlay>
+      </DndContext>
+    </div>
+  );
+}
+
+export default TaskBoard;
@@ -1,7 +1,10 @@
 import { useState } from 'react';
 import api from '../api/api';
+import { isVersionConflict, ifMatchHeaders } from '../utils/versionConflict';
 
-function TaskList({ contactId, tasks = [], onContactRefresh }) {
+const CONFLICT_MESSAGE = 'Kontakt medzitým upravil niekto iný — načítali sme aktuálny stav, skúste zmenu zopakovať.';
+
+function TaskList({ contactId, contactVersion, tasks = [], onContactRefresh }) {
   const [newTaskTitle, setNewTaskTitle] = useState('');
   const [expandedTask, setExpandedTask] = useState(null);
   const [subtaskInputs, setSubtaskInputs] = useState({});
@@ -16,6 +19,18 @@ function TaskList({ contactId, tasks = [], onContactRefresh }) {
     }
   };
 
+  // Úprava projektu — s verziou kontaktu, z ktorej zoznam vychádza
+  const putTask = (taskId, data) =>
+    api.put(`/api/contacts/${contactId}/tasks/${taskId}`, data, { headers: ifMatchHeaders(contactVersion) });
+
+  // true, keď išlo o konflikt verzií (zoznam sa znova načítal)
+  const handleConflict = async (error) => {
+    if (!isVersionConflict(error)) return false;
+    alert(CONFLICT_MESSAGE);
+    await refreshContact();
+    return true;
+  };
+
   const addTask = async (e) => {
     e.preventDefault();
     if (!newTaskTitle.trim()) return;
@@ -34,12 +49,13 @@ function TaskList({ contactId, tasks = [], onContactRefresh }) {
 
   const toggleTask = async (taskId, completed) => {
     try {
-      await api.put(`/api/contacts/${contactId}/tasks/${taskId}`, {
+      await putTask(taskId, {
         completed: !completed
       });
       await refreshContact();
-    } catch {
+    } catch (error) {
       // Toggle failed
+      await handleConflict(error);
     }
   };
 
@@ -125,10 +141,11 @@ function TaskList({ contactId, tasks = [], onContactRefresh }) {
 
   const saveTask = async (taskId) => {
     try {
-      await api.put(`/api/contacts/${contactId}/tasks/${taskId}`, editForm);
+      await putTask(taskId, editForm);
       setEditingTask(null);
       await refreshContact();
     } catch (error) {
+      if (await handleConflict(error)) return;
       alert(error.response?.data?.message || 'Chyba pri ukladaní projektu');
     }
   };
@@ -0,0 +1,107 @@
+/**
+ * TaskStatusEditor — nastavenie stavov (stĺpcov) Kanban nástenky projektov.
+ *
+ * Len pre vlastníka a manažéra workspace. Uloží celý zoznam cez
+ * PUT /api/tasks/statuses; poradie riadkov = poradie stĺpcov. Nové stavy
+ * idú bez id (server ho vygeneruje). Projekty v zmazanom stave server
+ * zaradí do prvého stavu s rovnakým "hotovo".
+ *
+ * Props:
+ *  - statuses — aktuálne stavy workspace
+ *  - onSaved(statuses) — uložené stavy zo servera
+ *  - onClose()
+ */
+import { useState } from 'react';
+import api from '@/api/api';
+
+const MAX_TASK_STATUSES = 12;
+const NEW_STATUS_COLOR = '#94a3b8';
+
+let draftKey = 0;
+const withKey = (status) => ({ ...status, key: status.id || `new-${++draftKey}` });
+
+export default function TaskStatusEditor({ statuses, onSaved, onClose }) {
+  const [draft, setDraft] = useState(() => statuses.map(withKey));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const update = (key, changes) => setDraft(prev => prev.map(s => (s.key === key ? { ...s, ...changes } : s)));
+  const remove = (key) => setDraft(prev => prev.filter(s => s.key !== key));
+  const move = (index, delta) => setDraft(prev => {
+    const next = [...prev];
+    const [item] = next.splice(index, 1);
+    next.splice(index + delta, 0, item);
+    return next;
+  });
+  const add = () => setDraft(prev => [...prev, withKey({ name: '', color: NEW_STATUS_COLOR, done: false })]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const res = await api.put('/api/tasks/statuses', {
+        statuses: draft.map(({ key, ...status }) => status)
+      });
+      onSaved(res.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Stavy sa nepodarilo uložiť');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content task-status-editor" role="dialog" aria-modal="true" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Stavy projektov</h3>
+          <button className="modal-close" onClick={onClose} aria-label="Zavrieť">×</button>
+        </div>
+        <div className="modal-body">
+          <p className="task-status-editor-hint">
+            Každý stav je stĺpec nástenky. Projekt v stave označenom „Hotovo“ je dokončený.
+          </p>
+          {draft.map((status, index) => (
+            <div key={status.key} className="task-status-row">
+              <input
+                type="color"
+                value={status.color}
+                onChange={(e) => update(status.key, { color: e.target.value })}
+                title="Farba"
+              />
+              <input
+                type="text"
+                className="form-input"
+                value={status.name}
+                maxLength={40}
+                placeholder="Názov stavu"
+                onChange={(e) => update(status.key, { name: e.target.value })}
+              />
+              <label className="task-status-done">
+                <input
+                  type="checkbox"
+                  checked={status.done}
+                  onChange={(e) => update(status.key, { done: e.target.checked })}
+                />
+                Hotovo
+              </label>
+              <button className="btn-icon" disabled={index === 0} onClick={() => move(index, -1)} title="Posunúť vľavo">↑</button>
+              <button className="btn-icon" disabled={index === draft.length - 1} onClick={() => move(index, 1)} title="Posunúť vpravo">↓</button>
+              <button className="btn-icon" disabled={draft.length === 1} onClick={() => remove(status.key)} title="Odstrániť">✕</button>
+            </div>
+          ))}
+          {draft.length < MAX_TASK_STATUSES && (
+            <button className="btn btn-secondary btn-sm" onClick={add}>+ Pridať stav</button>
+          )}
+          {error && <p className="form-error">{error}</p>}
+        </div>
+        <div className="modal-footer">
+          <button className="btn btn-secondary" disabled={saving} onClick={onClose}>Zrušiť</button>
+          <button className="btn btn-primary" disabled={saving} onClick={handleSave}>
+            {saving ? 'Ukladám…' : 'Uložiť'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
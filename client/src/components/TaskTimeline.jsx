@@ -0,0 +1,189 @@
+/**
+ * TaskTimeline — časová os (Gantt) projektov a podúloh.
+ *
+ * Pruh ide od `startDate` po `dueDate`; keď jeden chýba, je pruh jednodňový.
+ * Položky bez oboch dátumov sa do osi nezmestia — pod ňou je ich počet.
+ * Šípky vedú od blokujúcej položky k tej, ktorá na ňu čaká
+ * (utils/taskDependencies.js); čakajúca s nedokončeným blokerom je červená.
+ *
+ * Props:
+ *  - tasks — projekty po filtroch zoznamu
+ *  - getDueDateClass(dueDate, completed)
+ *  - onOpenItem(task, subtaskId|null)
+ */
+import { useMemo, useState } from 'react';
+import { buildItemIndex, isBlocked } from '../utils/taskDependencies';
+
+const ROW_HEIGHT = 32;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PADDING_DAYS = 3;
+const ZOOM_LEVELS = [
+  { value: 8, label: 'Mesiace' },
+  { value: 20, label: 'Týždne' },
+  { value: 40, label: 'Dni' }
+];
+
+// 'YYYY-MM-DD' alebo ISO → počet dní od epochy (bez časovej zóny)
+const dayNumber = (value) => {
+  if (!value) return null;
+  const [y, m, d] = String(value).slice(0, 10).split('-').map(Number);
+  if (!y || !m || !d) return null;
+  return Math.floor(Date.UTC(y, m - 1, d) / DAY_MS);
+};
+
+const dayLabel = (day, options) => new Date(day * DAY_MS).toLocaleDateString('sk-SK', { timeZone: 'UTC', ...options });
+
+// Riadky osi: projekt a pod ním jeho podúlohy (všetky úrovne)
+function buildRows(tasks) {
+  const rows = [];
+  let undated = 0;
+  const add = (item, task, depth) => {
+    let start = dayNumber(item.startDate);
+    let end = dayNumber(item.dueDate);
+    if (start === null && end === null) {
+      undated++;
+    } else {
+      if (start === null) start = end;
+      if (end === null) end = start;
+      if (end < start) [start, end] = [end, start];
+      rows.push({ item, task, depth, start, end });
+    }
+    (item.subtasks || []).forEach(sub => sub?.id && add(sub, task, depth + 1));
+  };
+  const sorted = [...(tasks || [])].sort((a, b) =>
+    (dayNumber(a.startDate || a.dueDate) ?? Infinity) - (dayNumber(b.startDate || b.dueDate) ?? Infinity)
+  );
+  sorted.forEach(task => add(task, task, 0));
+  return { rows, undated };
+}
+
+export default function TaskTimeline({ tasks, getDueDateClass, onOpenItem }) {
+  const [dayWidth, setDayWidth] = useState(ZOOM_LEVELS[1].value);
+  const { rows, undated } = useMemo(() => buildRows(tasks), [tasks]);
+  const index = useMemo(() => buildItemIndex(tasks), [tasks]);
+  const today = dayNumber(new Date().toISOString());
+
+  if (rows.length === 0) {
+    return (
+      <div className="empty-state">
+        <p>Žiadny projekt nemá začiatok ani termín.</p>
+        <p style={{ fontSize: 13, color: 'var(--text-muted)' }}>
+          Nastavte projektu alebo úlohe začiatok a termín a zobrazí sa na časovej osi.
+        </p>
+      </div>
+    );
+  }
+
+  const first = Math.min(today, ...rows.map(r => r.start)) - PADDING_DAYS;
+  const last = Math.max(today, ...rows.map(r => r.end)) + PADDING_DAYS;
+  const days = Array.from({ length: last - first + 1 }, (_, i) => first + i);
+  const width = days.length * dayWidth;
+  const height = rows.length * ROW_HEIGHT;
+  const rowOf = new Map(rows.map((row, i) => [row.item.id, i]));
+  const x = (day) => (day - first) * dayWidth;
+
+  // Šípky závislostí: koniec blokera → začiatok čakajúcej
+  const arrows = [];
+  rows.forEach((row, i) => {
+    for (const blockerId of row.item.blockedBy || []) {
+      const from = rowOf.get(blockerId);
+      if (from === undefined) continue;
+      const blocker = rows[from];
+      const x1 = x(blocker.end + 1);
+      const y1 = from * ROW_HEIGHT + ROW_HEIGHT / 2;
+      const x2 = x(row.start);
+      const y2 = i * ROW_HEIGHT + ROW_HEIGHT / 2;
+      const bend = Math.max(x1 + 6, Math.min(x2 - 6, x1 + 12));
+      arrows.push({
+        key: `${blockerId}-${row.item.id}`,
+        d: `M ${x1} ${y1} H ${bend} V ${y2} H ${x2}`,
+        open: !blocker.item.completed
+      });
+    }
+  });
+
+  // Popisy hlavičky: pri hrubom zoome len pondelky
+  const showLabel = (day) => dayWidth >= 40 || new Date(day * DAY_MS).getUTCDay() === 1;
+
+  return (
+    <div className="task-timeline">
+      <div className="task-timeline-toolbar">
+        {ZOOM_LEVELS.map(level => (
+          <button
+            key={level.value}
+            type="button"
+            className={`btn btn-sm ${dayWidth === level.value ? 'btn-primary' : 'btn-secondary'}`}
+            onClick={() => setDayWidth(level.value)}
+          >
+            {level.label}
+          </button>
+        ))}
+      </div>
+      <div className="task-timeline-body">
+        <div className="task-timeline-labels">
+          <div className="task-timeline-header" />
+          {rows.map(row => (
+            <div
+              key={row.item.id}
+              className={`task-timeline-label${row.item.completed ? ' completed' : ''}`}
+              style={{ height: ROW_HEIGHT, paddingLeft: 8 + row.depth * 14 }}
+              onClick={() => onOpenItem(row.task, row.depth > 0 ? row.item.id : null)}
+              title={row.item.title}
+            >
+              {isBlocked(row.item, index) && <span title="Čaká na nedokončenú položku">⛔ </span>}
+              {row.item.title}
+            </div>
+          ))}
+        </div>
+        <div className="task-timeline-scroll">
+          <div className="task-timeline-header" style={{ width }}>
+            {days.map(day => showLabel(day) && (
+              <span key={day} className="task-timeline-day" style={{ left: x(day) }}>
+                {dayLabel(day, { day: 'numeric', month: 'numeric' })}
+              </span>
+            ))}
+          </div>
+          <div className="task-timeline-grid" style={{ width, height }}>
+            {today >= first && today <= last && (
+              <div className="task-timeline-today" style={{ left: x(today) + dayWidth / 2 }} title="Dnes" />
+            )}
+            {rows.map((row, i) => (
+              <div
+                key={row.item.id}
+                className={`task-timeline-bar ${getDueDateClass(row.item.dueDate, row.item.completed)}${row.item.completed ? ' completed' : ''}${row.depth > 0 ? ' subtask' : ''}${isBlocked(row.item, index) ? ' blocked' : ''}`}
+                style={{
+                  top: i * ROW_HEIGHT + 6,
+                  left: x(row.start),
+                  width: Math.max(dayWidth, (row.end - row.start + 1) * dayWidth),
+                  height: ROW_HEIGHT - 12
+                }}
+                onClick={() => onOpenItem(row.task, row.depth > 0 ? row.item.id : null)}
+                title={`${row.item.title}: ${dayLabel(row.start)} – ${dayLabel(row.end)}`}
+              />
+            ))}
+            <svg className="task-timeline-arrows" width={width} height={height}>
+              <defs>
+                <marker id="task-timeline-arrowhead" markerWidth="6" markerHeight="6" refX="5" refY="3" orient="auto">
+                  <path d="M0,0 L6,3 L0,6 Z" fill="currentColor" />
+                </marker>
+              </defs>
+              {arrows.map(arrow => (
+                <path
+                  key={arrow.key}
+                  d={arrow.d}
+                  className={arrow.open ? 'open' : ''}
+                  markerEnd="url(#task-timeline-arrowhead)"
+                />
+              ))}
+            </svg>
+          </div>
+        </div>
+      </div>
+      {undated > 0 && (
+        <div className="time-reminders-hint">
+          Bez začiatku aj termínu (nie sú na osi): {undated}
+        </div>
+      )}
+    </div>
+  );
+}
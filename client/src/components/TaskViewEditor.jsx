@@ -0,0 +1,253 @@
+/**
+ * TaskViewEditor — uloženie alebo úprava pohľadu zoznamu projektov.
+ *
+ * Pohľad = filtre (priradení, priorita, termín, kontakt, stav, štítky,
+ * text), zoradenie a zoskupenie. Nový pohľad ide cez POST /api/tasks/views,
+ * existujúci cez PUT /api/tasks/views/:id (len autor). Zdieľaný pohľad
+ * vidia všetci členovia workspace; zmazať ho môže aj správca.
+ *
+ * Props:
+ *  - view — návrh alebo uložený pohľad (s `id`)
+ *  - users, contacts, statuses — hodnoty pre filtre
+ *  - canDelete — zobraziť „Zmazať" (autor, pri zdieľanom aj správca)
+ *  - onSaved(view) — uložený pohľad zo servera
+ *  - onDeleted(viewId)
+ *  - onClose()
+ */
+import { useState } from 'react';
+import api from '@/api/api';
+import { PRIORITY_LABELS } from '../utils/constants';
+import {
+  EMPTY_FILTERS,
+  DUE_PRESET_OPTIONS,
+  COMPLETION_OPTIONS,
+  SORT_OPTIONS,
+  GROUP_OPTIONS,
+  parseTags
+} from '../utils/taskViews';
+
+const toggle = (list, value) => (list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+
+export default function TaskViewEditor({ view, users = [], contacts = [], statuses = [], canDelete = false, onSaved, onDeleted, onClose }) {
+  const [name, setName] = useState(view.name || '');
+  const [shared, setShared] = useState(Boolean(view.shared));
+  const [filters, setFilters] = useState({ ...EMPTY_FILTERS, ...view.filters });
+  const [tagsText, setTagsText] = useState((view.filters?.tags || []).join(', '));
+  const [sort, setSort] = useState(view.sort || { field: 'default', direction: 'asc' });
+  const [groupBy, setGroupBy] = useState(view.groupBy || 'none');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const update = (changes) => setFilters(prev => ({ ...prev, ...changes }));
+  const isOwn = !view.id || view.isOwn;
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    const body = {
+      name,
+      shared,
+      filters: { ...filters, tags: parseTags(tagsText) },
+      sort,
+      groupBy
+    };
+    try {
+      const res = view.id
+        ? await api.put(`/api/tasks/views/${view.id}`, body)
+        : await api.post('/api/tasks/views', body);
+      onSaved(res.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Pohľad sa nepodarilo uložiť');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Zmazať pohľad „${view.name}"?`)) return;
+    setSaving(true);
+    try {
+      await api.delete(`/api/tasks/views/${view.id}`);
+      onDeleted(view.id);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Pohľad sa nepodarilo zmazať');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content task-view-editor" role="dialog" aria-modal="true" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>{view.id ? 'Upraviť pohľad' : 'Uložiť pohľad'}</h3>
+          <button className="modal-close" onClick={onClose} aria-label="Zavrieť">×</button>
+        </div>
+        <div className="modal-body">
+          {!isOwn && (
+            <p className="task-view-hint">Zdieľaný pohľad od {view.ownerName || 'iného člena'} — upraviť ho môže len autor.</p>
+          )}
+          <div className="task-view-row">
+            <input
+              type="text"
+              className="form-input"
+              value={name}
+              maxLength={60}
+              placeholder="Názov pohľadu"
+              onChange={(e) => setName(e.target.value)}
+              disabled={!isOwn}
+            />
+            <label className="task-view-check">
+              <input type="checkbox" checked={shared} onChange={(e) => setShared(e.target.checked)} disabled={!isOwn} />
+              Zdieľať s workspace
+            </label>
+          </div>
+
+          <fieldset className="task-view-fieldset" disabled={!isOwn}>
+            <label>Hľadať text</label>
+            <input
+              type="text"
+              className="form-input"
+              value={filters.text}
+              maxLength={200}
+              onChange={(e) => update({ text: e.target.value })}
+              placeholder="Názov, popis, kontakt, úlohy…"
+            />
+
+            <label>Priradení</label>
+            <div className="task-view-options">
+              {[{ id: 'me', username: 'Ja' }, ...users, { id: 'none', username: 'Nepriradené' }].map(u => (
+                <label key={u.id} className="task-view-check">
+                  <input
+                    type="checkbox"
+                    checked={filters.assignees.includes(String(u.id))}
+                    onChange={() => update({ assignees: toggle(filters.assignees, String(u.id)) })}
+                  />
+                  {u.username}
+                </label>
+              ))}
+            </div>
+
+            <label>Priorita</label>
+            <div className="task-view-options">
+              {['high', 'medium', 'low'].map(priority => (
+                <label key={priority} className="task-view-check">
+                  <input
+                    type="checkbox"
+                    checked={filters.priorities.includes(priority)}
+                    onChange={() => update({ priorities: toggle(filters.priorities, priority) })}
+                  />
+                  {PRIORITY_LABELS[priority]}
+                </label>
+              ))}
+            </div>
+
+            <label>Stav</label>
+            <div className="task-view-options">
+              {statuses.map(status => (
+                <label key={status.id} className="task-view-check">
+                  <input
+                    type="checkbox"
+                    checked={filters.statuses.includes(status.id)}
+                    onChange={() => update({ statuses: toggle(filters.statuses, status.id) })}
+                  />
+                  {status.name}
+                </label>
+              ))}
+            </div>
+            <select
+              className="form-input"
+              value={filters.completion}
+              onChange={(e) => update({ completion: e.target.value })}
+            >
+              {COMPLETION_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+            </select>
+
+            <label>Termín</label>
+            <div className="task-view-row">
+              <select
+                className="form-input"
+                value={filters.duePreset || ''}
+                onChange={(e) => update({ duePreset: e.target.value || null })}
+              >
+                <option value="">Ľubovoľný</option>
+                {DUE_PRESET_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+              </select>
+              <input
+                type="date"
+                className="form-input"
+                value={filters.dueFrom || ''}
+                onChange={(e) => update({ dueFrom: e.target.value || null })}
+                title="Termín od"
+              />
+              <input
+                type="date"
+                className="form-input"
+                value={filters.dueTo || ''}
+                onChange={(e) => update({ dueTo: e.target.value || null })}
+                title="Termín do"
+              />
+            </div>
+
+            <label>Kontakty</label>
+            <div className="task-view-options scroll">
+              {[{ id: 'none', name: 'Bez kontaktu' }, ...contacts].map(contact => (
+                <label key={contact.id} className="task-view-check">
+                  <input
+                    type="checkbox"
+                    checked={filters.contactIds.includes(String(contact.id))}
+                    onChange={() => update({ contactIds: toggle(filters.contactIds, String(contact.id)) })}
+                  />
+                  {contact.name}
+                </label>
+              ))}
+            </div>
+
+            <label>Štítky</label>
+            <input
+              type="text"
+              className="form-input"
+              value={tagsText}
+              onChange={(e) => setTagsText(e.target.value)}
+              placeholder="napr. web, interné"
+            />
+
+            <label>Zoradenie a zoskupenie</label>
+            <div className="task-view-row">
+              <select
+                className="form-input"
+                value={sort.field}
+                onChange={(e) => setSort({ ...sort, field: e.target.value })}
+              >
+                {SORT_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+              </select>
+              <select
+                className="form-input"
+                value={sort.direction}
+                onChange={(e) => setSort({ ...sort, direction: e.target.value })}
+                disabled={sort.field === 'default'}
+              >
+                <option value="asc">Vzostupne</option>
+                <option value="desc">Zostupne</option>
+              </select>
+              <select className="form-input" value={groupBy} onChange={(e) => setGroupBy(e.target.value)}>
+                {GROUP_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+              </select>
+            </div>
+          </fieldset>
+          {error && <p className="form-error">{error}</p>}
+        </div>
+        <div className="modal-footer">
+          {view.id && canDelete && (
+            <button className="btn btn-danger" disabled={saving} onClick={handleDelete}>Zmazať</button>
+          )}
+          <button className="btn btn-secondary" disabled={saving} onClick={onClose}>Zrušiť</button>
+          {isOwn && (
+            <button className="btn btn-primary" disabled={saving || !name.trim()} onClick={handleSave}>
+              {saving ? 'Ukladám…' : 'Uložiť'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+/**
+ * TimeReport — výkaz odpracovaného času workspace za obdobie.
+ *
+ * Súčty per kontakt a per člen z GET /api/tasks/time/summary; globálny
+ * projekt s viacerými kontaktmi sa započíta každému z nich, celkový súčet
+ * ho ráta raz. Export výkazu do CSV (GET /api/tasks/export/timesheet) je
+ * rovnako ako CSV projektov len v platených plánoch.
+ *
+ * Props:
+ *   onClose: () => void
+ *   onOpenTask: (taskId) => void — klik na záznam otvorí projekt v zozname
+ */
+import { useCallback, useEffect, useState } from 'react';
+import api from '@/api/api';
+import { downloadBlob } from '../utils/fileDownload';
+import { PLAN_GATE_CODES, dispatchPlanGate } from '../utils/planGate';
+import { formatMinutes } from '../utils/taskTime';
+
+const monthStart = () => {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-01`;
+};
+
+export default function TimeReport({ onClose, onOpenTask }) {
+  const [from, setFrom] = useState(monthStart);
+  const [to, setTo] = useState('');
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState('');
+  const [exporting, setExporting] = useState(false);
+
+  const params = useCallback(() => ({
+    ...(from ? { from } : {}),
+    ...(to ? { to } : {})
+  }), [from, to]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setError('');
+    api.get('/api/tasks/time/summary', { params: params() })
+      .then(res => { if (!cancelled) setSummary(res.data); })
+      .catch(err => { if (!cancelled) setError(err.response?.data?.message || 'Výkaz sa nepodarilo načítať'); });
+    return () => { cancelled = true; };
+  }, [params]);
+
+  useEffect(() => {
+    const onKey = (e) => { if (e.key === 'Escape') onClose(); };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [onClose]);
+
+  const exportTimesheet = async () => {
+    setExporting(true);
+    try {
+      const res = await api.get('/api/tasks/export/timesheet', { params: params(), responseType: 'blob' });
+      const suffix = from && to ? `-${from}_${to}` : '';
+      downloadBlob(res.data, `vykaz${suffix}.csv`);
+    } catch (err) {
+      // Pri responseType 'blob' je aj JSON chyby blob — interceptor plánový kód nevidí
+      let data = err.response?.data;
+      if (data instanceof Blob) {
+        try { data = JSON.parse(await data.text()); } catch { data = null; }
+      }
+      if (data && PLAN_GATE_CODES.has(data.code)) {
+        dispatchPlanGate({ code: data.code, message: data.message });
+      } else {
+        alert(data?.message || 'Chyba pri exporte');
+      }
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content time-report" role="dialog" aria-modal="true" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>⏱ Výkaz času</h2>
+          <button type="button" className="modal-close" onClick={onClose} aria-label="Zavrieť">×</button>
+        </div>
+        <div className="time-report-filters">
+          <label>
+            Od
+            <input type="date" className="form-input form-input-sm" value={from} onChange={(e) => setFrom(e.target.value)} />
+          </label>
+          <label>
+            Do
+            <input type="date" className="form-input form-input-sm" value={to} onChange={(e) => setTo(e.target.value)} />
+          </label>
+          <button type="button" className="btn btn-secondary btn-sm" onClick={exportTimesheet} disabled={exporting}>
+            📥 CSV
+          </button>
+        </div>
+        {error && <div className="time-tracker-error">{error}</div>}
+        {summary && (
+          <>
+            <div className="time-report-total">Spolu: <strong>{formatMinutes(summary.total)}</strong></div>
+            {summary.entries.length === 0 ? (
+              <p className="time-report-empty">V tomto období nie je odpracovaný čas.</p>
+            ) : (
+              <div className="time-report-columns">
+                <div>
+                  <h3>Podľa kontaktu</h3>
+                  <ul className="time-report-list">
+                    {summary.byContact.map(contact => (
+                      <li key={contact.contactId || 'none'}>
+                        <span>{contact.contactName || 'Bez kontaktu'}</span>
+                        <span>{formatMinutes(contact.minutes)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+                <div>
+                  <h3>Podľa člena</h3>
+                  <ul className="time-report-list">
+                    {summary.byMember.map(member => (
+                      <li key={member.userId}>
+                        <span>{member.username || '—'}</span>
+                        <span>{formatMinutes(member.minutes)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              </div>
+            )}
+            {summary.entries.length > 0 && (
+              <>
+                <h3>Záznamy</h3>
+                <ul className="time-report-list time-report-entries">
+                  {[...summary.entries].reverse().map(entry => (
+                    <li key={entry.id} onClick={() => onOpenTask?.(entry.taskId)}>
+                      <span>
+                        {entry.date} · {entry.username || '—'} · {entry.taskTitle}
+                        {entry.kind === 'subtask' ? ` › ${entry.itemTitle}` : ''}
+                        {entry.note ? ` — ${entry.note}` : ''}
+                      </span>
+                      <span>{entry.running ? '▶ ' : ''}{formatMinutes(entry.minutes)}</span>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,183 @@
+/**
+ * TimeTracker — časovač a výkaz času projektu alebo úlohy.
+ *
+ * Kompaktný režim (zoznam) je len tlačidlo ▶/■ so súčtom odpracovaného času
+ * a odhadom. Plný režim (úprava) pridá ručný záznam (deň, trvanie, poznámka)
+ * a zoznam záznamov; cudzí záznam zmaže len správca. Server drží najviac
+ * jeden bežiaci časovač člena — spustenie iného ho zastaví.
+ *
+ * Props:
+ *   item: projekt alebo podúloha ({ id, estimate, timeEntries, subtasks })
+ *   userId: prihlásený používateľ
+ *   users: členovia workspace (mená pri záznamoch)
+ *   canAdmin: môže mazať cudzie záznamy
+ *   compact: len tlačidlo časovača
+ *   onChanged: ({ task, version }) => void — po každej zmene; `task` je
+ *     koreňový projekt po uložení, `version` jeho nová verzia (If-Match otvorenej úpravy)
+ */
+import { useEffect, useState } from 'react';
+import api from '@/api/api';
+import { entryMinutes, formatMinutes, parseDuration, runningEntry, trackedMinutes } from '../utils/taskTime';
+
+const todayValue = () => {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// Deň záznamu ako na serveri (entryDay) — ručný záznam je 'YYYY-MM-DD' bez času
+const dayLabel = (entry) => {
+  const [y, m, d] = String(entry.start || '').slice(0, 10).split('-');
+  return d ? `${Number(d)}. ${Number(m)}. ${y}` : '';
+};
+
+export default function TimeTracker({ item, userId, users = [], canAdmin = false, compact = false, onChanged }) {
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [date, setDate] = useState(todayValue);
+  const [duration, setDuration] = useState('');
+  const [note, setNote] = useState('');
+  const [, setTick] = useState(0);
+  const running = runningEntry(item, userId);
+  const runningId = running?.id;
+
+  // Bežiaci časovač prepočíta súčet raz za minútu
+  useEffect(() => {
+    if (!runningId) return undefined;
+    const timer = setInterval(() => setTick(t => t + 1), 60000);
+    return () => clearInterval(timer);
+  }, [runningId]);
+
+  const run = async (request) => {
+    setSaving(true);
+    setError('');
+    try {
+      const res = await request();
+      onChanged?.({ task: res.data?.task, version: res.data?.task?.version });
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.message || 'Záznam času sa nepodarilo uložiť');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleTimer = (e) => {
+    e?.stopPropagation();
+    run(() => api.post(`/api/tasks/${item.id}/time/${running ? 'stop' : 'start'}`));
+  };
+
+  const addEntry = async () => {
+    const minutes = parseDuration(duration);
+    if (!minutes) {
+      setError('Zadajte trvanie, napr. 1:30, 1,5 alebo 45m');
+      return;
+    }
+    const saved = await run(() => api.post(`/api/tasks/${item.id}/time`, { date, minutes, note }));
+    if (saved) {
+      setDuration('');
+      setNote('');
+    }
+  };
+
+  const removeEntry = (entryId) => run(() => api.delete(`/api/tasks/${item.id}/time/${entryId}`));
+
+  const tracked = trackedMinutes(item);
+  const over = item.estimate && tracked > item.estimate;
+  const summary = (
+    <span className={`time-tracker-total${over ? ' over' : ''}`}>
+      {formatMinutes(tracked)}{item.estimate ? ` / ${formatMinutes(item.estimate)}` : ''}
+    </span>
+  );
+  const timerButton = (
+    <button
+      type="button"
+      className={`time-tracker-toggle${running ? ' running' : ''}`}
+      onClick={toggleTimer}
+      disabled={saving}
+      title={running ? 'Zastaviť časovač' : 'Spustiť časovač'}
+    >
+      {running ? '■' : '▶'}
+    </button>
+  );
+
+  if (compact) {
+    return (
+      <span className="time-tracker compact" onClick={(e) => e.stopPropagation()}>
+        {timerButton}
+        {(tracked > 0 || item.estimate) ? summary : null}
+      </span>
+    );
+  }
+
+  const entries = [...(item.timeEntries || [])].sort((a, b) => String(b.start).localeCompare(String(a.start)));
+
+  return (
+    <div className="time-tracker">
+      <div className="time-tracker-row">
+        {timerButton}
+        {summary}
+        {running && <span className="time-tracker-running">beží {formatMinutes(entryMinutes(running))}</span>}
+      </div>
+      <div className="time-tracker-row">
+        <input
+          type="date"
+          className="form-input form-input-sm"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          disabled={saving}
+        />
+        <input
+          type="text"
+          className="form-input form-input-sm time-tracker-duration"
+          placeholder="1:30"
+          value={duration}
+          onChange={(e) => setDuration(e.target.value)}
+          disabled={saving}
+        />
+        <input
+          type="text"
+          className="form-input form-input-sm"
+          placeholder="Poznámka..."
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); addEntry(); } }}
+          disabled={saving}
+        />
+        <button type="button" className="btn btn-secondary btn-sm" onClick={addEntry} disabled={saving}>
+          + Čas
+        </button>
+      </div>
+      {error && <div className="time-tracker-error">{error}</div>}
+      {entries.length > 0 && (
+        <ul className="time-tracker-entries">
+          {entries.map(entry => {
+            const author = users.find(u => u.id === entry.userId);
+            const canDelete = entry.userId === userId || canAdmin;
+            return (
+              <li key={entry.id}>
+                <span className="time-tracker-date">{dayLabel(entry)}</span>
+                <span className="time-tracker-user">{author?.username || '—'}</span>
+                <span className="time-tracker-minutes">
+                  {entry.end ? formatMinutes(entry.minutes) : `▶ ${formatMinutes(entryMinutes(entry))}`}
+                </span>
+                {entry.note && <span className="time-tracker-note">{entry.note}</span>}
+                {canDelete && entry.end && (
+                  <button
+                    type="button"
+                    className="time-tracker-delete"
+                    onClick={() => removeEntry(entry.id)}
+                    disabled={saving}
+                    title="Zmazať záznam"
+                  >
+                    ×
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
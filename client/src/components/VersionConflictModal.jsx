@@ -0,0 +1,122 @@
+/**
+ * VersionConflictModal — zlúčenie úpravy, keď záznam medzitým zmenil niekto iný.
+ *
+ * Otvorí sa po 409 VERSION_CONFLICT pri uložení formulára (utils/versionConflict.js).
+ * Polia, ktoré zmenila len jedna strana, sú už zlúčené; pri poliach, ktoré
+ * zmenili obe strany, si používateľ vyberie moju alebo aktuálnu hodnotu.
+ *
+ * Props:
+ *  - title: nadpis okna (napr. "Projekt „Web“ medzitým niekto upravil")
+ *  - fields: [{ key, label, format?(value) }] — polia formulára v poradí zobrazenia
+ *  - base: hodnoty formulára pri otvorení úpravy
+ *  - mine: hodnoty formulára pri uložení
+ *  - current: aktuálne hodnoty na serveri (v tvare formulára)
+ *  - onSave(merged): uloženie zlúčených hodnôt (volajúci pošle If-Match aktuálnej verzie)
+ *  - onDiscard(): zahodiť moje zmeny, ponechať verziu na serveri
+ *  - onCancel(): zavrieť okno a pokračovať v úprave (overlay, ×, Escape)
+ */
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { mergeVersions } from '../utils/versionConflict';
+
+const MAX_VALUE_LENGTH = 120;
+
+function defaultFormat(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—';
+  if (typeof value === 'boolean') return value ? 'áno' : 'nie';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}…` : text;
+}
+
+export default function VersionConflictModal({ title, fields, base, mine, current, onSave, onDiscard, onCancel }) {
+  const { merged, conflicts } = useMemo(
+    () => mergeVersions(base, mine, current, fields.map(f => f.key)),
+    [base, mine, current, fields]
+  );
+  // Výber pri konfliktných poliach: 'mine' | 'theirs'
+  const [choices, setChoices] = useState(() => Object.fromEntries(conflicts.map(key => [key, 'mine'])));
+  const [saving, setSaving] = useState(false);
+  const onCancelRef = useRef(onCancel);
+  onCancelRef.current = onCancel;
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === 'Escape') { e.preventDefault(); onCancelRef.current?.(); }
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, []);
+
+  const autoMerged = fields.filter(f => !conflicts.includes(f.key) && JSON.stringify(merged[f.key] ?? null) !== JSON.stringify(mine[f.key] ?? null));
+
+  const handleSave = async () => {
+    const result = { ...merged };
+    for (const key of conflicts) {
+      if (choices[key] === 'theirs') result[key] = current[key];
+    }
+    setSaving(true);
+    try {
+      await onSave(result);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content version-conflict-modal" role="dialog" aria-modal="true" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>{title || 'Záznam medzitým niekto upravil'}</h3>
+          <button className="modal-close" onClick={onCancel} aria-label="Zavrieť">×</button>
+        </div>
+        <div className="modal-body">
+          <p className="version-conflict-intro">
+            Kým ste záznam upravovali, niekto iný uložil novšiu verziu. Vaše zmeny zatiaľ neboli uložené.
+          </p>
+
+          {conflicts.length > 0 ? (
+            <table className="version-conflict-table">
+              <thead>
+                <tr><th>Pole</th><th>Moja zmena</th><th>Aktuálna verzia</th></tr>
+              </thead>
+              <tbody>
+                {fields.filter(f => conflicts.includes(f.key)).map(({ key, label, format = defaultFormat }) => (
+                  <tr key={key}>
+                    <td>{label}</td>
+                    {['mine', 'theirs'].map(side => (
+                      <td key={side}>
+                        <label className={`version-conflict-option${choices[key] === side ? ' selected' : ''}`}>
+                          <input
+                            type="radio"
+                            name={`version-conflict-${key}`}
+                            checked={choices[key] === side}
+                            onChange={() => setChoices(prev => ({ ...prev, [key]: side }))}
+                          />
+                          <span>{format(side === 'mine' ? mine[key] : current[key])}</span>
+                        </label>
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="version-conflict-intro">Zmeny sa neprekrývajú — dajú sa uložiť spolu.</p>
+          )}
+
+          {autoMerged.length > 0 && (
+            <p className="version-conflict-note">
+              Prevezme sa aj zmena od iného používateľa: {autoMerged.map(f => f.label).join(', ')}.
+            </p>
+          )}
+        </div>
+        <div className="modal-footer">
+          <button className="btn btn-secondary" disabled={saving} onClick={onDiscard}>Zahodiť moje zmeny</button>
+          <button className="btn btn-primary" disabled={saving} onClick={handleSave}>
+            {saving ? 'Ukladám…' : 'Uložiť zlúčené'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
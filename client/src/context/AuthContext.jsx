@@ -6,6 +6,7 @@ import {
   removeStoredToken,
   isNativeIOSApp
 } from '../utils/authStorage';
+import { clearOfflineData } from '../services/offlineStore';
 
 const AuthContext = createContext(null);
 
@@ -210,6 +211,8 @@ export const AuthProvider = ({ children }) => {
   const logout = () => {
     removeStoredToken();
     delete api.defaults.headers.common['Authorization'];
+    // Offline cache a neodoslané zmeny nesmú zostať ďalšiemu userovi zariadenia
+    clearOfflineData().catch(() => {});
     setToken(null);
     setUser(null);
   };
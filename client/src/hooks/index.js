@@ -4,3 +4,6 @@ export { useWorkspaceSwitched } from './useWorkspaceSwitched';
 export { useAppResume } from './useAppResume';
 export { useWorkspaceUsers } from './useWorkspaceUsers';
 export { isDeepLinkPending } from './useDeepLinkDefer';
+export { usePageCollab } from './usePageCollab';
+export { usePagePresence } from './usePagePresence';
+export { useOfflineSync } from './useOfflineSync';
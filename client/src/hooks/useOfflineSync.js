@@ -0,0 +1,50 @@
+import { useState, useEffect, useCallback } from 'react';
+import { subscribe, getOutbox, isReplaying, replayOutbox, resolveEntry } from '../services/offlineSync';
+
+/**
+ * Stav offline režimu pre UI (components/OfflineSyncPanel.jsx):
+ *   online   — navigator.onLine
+ *   pending  — počet zmien čakajúcich na odoslanie
+ *   problems — zmeny v konflikte alebo odmietnuté serverom (čakajú na
+ *              rozhodnutie používateľa)
+ *   syncing  — práve beží odosielanie
+ *
+ * @returns {{ online: boolean, pending: number, problems: Array, syncing: boolean,
+ *   sync: () => Promise<void>, resolve: (id: number, action: string) => Promise<void> }}
+ */
+export function useOfflineSync() {
+  const [online, setOnline] = useState(() => navigator.onLine !== false);
+  const [entries, setEntries] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+
+  const refresh = useCallback(async () => {
+    setOnline(navigator.onLine !== false);
+    setSyncing(isReplaying());
+    try {
+      setEntries(await getOutbox());
+    } catch {
+      setEntries([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    const unsubscribe = subscribe(refresh);
+    window.addEventListener('online', refresh);
+    window.addEventListener('offline', refresh);
+    return () => {
+      unsubscribe();
+      window.removeEventListener('online', refresh);
+      window.removeEventListener('offline', refresh);
+    };
+  }, [refresh]);
+
+  return {
+    online,
+    pending: entries.filter(e => e.status === 'pending').length,
+    problems: entries.filter(e => e.status === 'conflict' || e.status === 'rejected'),
+    syncing,
+    sync: replayOutbox,
+    resolve: resolveEntry
+  };
+}
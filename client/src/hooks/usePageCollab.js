@@ -0,0 +1,446 @@
+import { useEffect, useRef, useCallback } from 'react';
+import axios from 'axios';
+import { apply, transform, compose, diffToOp, isNoop } from '../utils/textOt';
+import { shiftMarks } from '../utils/inlineMarks';
+import { mapBlock, containsBlock, insertBlockAfter, appendChildBlock, removeBlock, reorderBlocks } from '../utils/blockTree';
+
+// Server nevybavil join-page / page-sync (page-error) — ďalší pokus o chvíľu
+const SERVER_RETRY_MS = 3000;
+
+const newOpId = () => window.crypto?.randomUUID?.() || `${Date.now()}-${Math.random()}`;
+
+const collectTexts = (blocks, texts = new Map()) => {
+  for (const b of blocks || []) {
+    texts.set(b.id, b.content || '');
+    collectTexts(b.children, texts);
+  }
+  return texts;
+};
+
+const collectMarks = (blocks, marks = new Map()) => {
+  for (const b of blocks || []) {
+    marks.set(b.id, b.marks || []);
+    collectMarks(b.children, marks);
+  }
+  return marks;
+};
+
+// Má blok lokálny text, ktorý server ešte nepotvrdil?
+const hasPendingText = (pending, blockId) =>
+  pending.outstanding?.blockId === blockId ||
+  pending.buffer.some((entry) => entry.blockId === blockId);
+
+/**
+ * Real-time co-editing otvorenej stránky (server: services/pageCollab.js).
+ *
+ * Text blokov sa posiela ako OT operácie (utils/textOt.js) cez `page-op`.
+ * Naraz je na ceste najviac jedna operácia (`outstanding`); čo sa napíše
+ * kým nepríde ack, sa zlučuje do `buffer`. Operácie od iných sa transformujú
+ * cez outstanding + buffer, takže lokálny text a server sa zhodnú bez
+ * ohľadu na poradie doručenia. Štrukturálne zmeny (nový / zmazaný /
+ * presunutý blok, zmena typu) idú cez REST a server ich broadcastne celému
+ * roomu aj s revíziou — aplikujú sa idempotentne, vrátane vlastného echa.
+ *
+ * Inline značky bloku (utils/inlineMarks.js) sa posúvajú s každou
+ * operáciou nad jeho textom. Vlastná zmena značiek ide cez REST až keď
+ * blok nemá neodoslaný text — server ju dostane s revíziou, ku ktorej
+ * sedí, a posunie ju cez úpravy ostatných. Značky z `block-updated` sa
+ * naopak posunú cez lokálne neodoslané operácie.
+ *
+ * Každá zmena na serveri má `revision`. Medzera v revíziách (zmeškaný event,
+ * reconnect) → `page-sync`: server pošle zmeškané operácie, alebo snapshot,
+ * ak ich už nevie dohrať. Pri snapshote sa neodoslané lokálne úpravy
+ * pošlú znova ako diff voči novému stavu bloku — nič napísané sa nestratí.
+ * Keď server join alebo sync nevybaví (`page-error`), skúsi sa znova.
+ *
+ * @param {string} pageId
+ * @param {(updater: Function) => void} setPage — setter stavu PageView
+ * @param {object} socketApi — návratová hodnota useSocket()
+ * @param {object} [options]
+ * @param {(blockId, op, userId) => void} [options.onTextApplied] — každá
+ *   operácia aplikovaná na lokálny text bloku (userId = null pre vlastnú),
+ *   napr. pre posun vzdialených kurzorov (usePagePresence)
+ * @returns {{
+ *   startSession: (page) => void,
+ *   submitText: (blockId, text) => void,
+ *   submitMarks: (blockId, update: (marks) => marks) => void,
+ *   getRevision: () => number | null
+ * }}
+ */
+export function usePageCollab(pageId, setPage, socketApi, { onTextApplied } = {}) {
+  const {
+    isConnected,
+    joinPage,
+    leavePage,
+    emitPageOp,
+    requestPageSync,
+    onPageOp,
+    onPageOpAck,
+    onPageOpRejected,
+    onPageSync,
+    onPageError,
+    onBlockCreated,
+    onBlockDeleted,
+    onBlocksReordered,
+    onBlockUpdated
+  } = socketApi;
+
+  const revisionRef = useRef(null); // null = stránka ešte nie je načítaná
+  const textsRef = useRef(new Map()); // blockId → aktuálny lokálny text
+  const marksRef = useRef(new Map()); // blockId → aktuálne lokálne značky
+  const queuedMarksRef = useRef(new Set()); // bloky so zmenou značiek na odoslanie
+  const pendingRef = useRef({ outstanding: null, buffer: [] });
+  const connectedRef = useRef(isConnected);
+  connectedRef.current = isConnected;
+
+  // Socket funkcie sa menia s inštanciou socketu — handlery nižšie ich
+  // čítajú cez ref, aby sa nemuseli zakaždým prebindovať.
+  const emitRef = useRef({});
+  emitRef.current = { emitPageOp, requestPageSync, joinPage, leavePage };
+  const retryRef = useRef(null);
+  const onTextAppliedRef = useRef(onTextApplied);
+  onTextAppliedRef.current = onTextApplied;
+
+  const setBlockMarks = useCallback((blockId, marks) => {
+    marksRef.current.set(blockId, marks);
+    setPage((prev) => prev && ({
+      ...prev,
+      blocks: mapBlock(prev.blocks, blockId, (b) => ({ ...b, marks }))
+    }));
+  }, [setPage]);
+
+  // `op` = operácia, ktorá text zmenila — posunie aj značky bloku
+  const setBlockText = useCallback((blockId, text, op) => {
+    textsRef.current.set(blockId, text);
+    const marks = marksRef.current.get(blockId) || [];
+    const shifted = op && marks.length > 0 ? shiftMarks(marks, op) : marks;
+    marksRef.current.set(blockId, shifted);
+    setPage((prev) => prev && ({
+      ...prev,
+      blocks: mapBlock(prev.blocks, blockId, (b) => ({ ...b, content: text, marks: shifted }))
+    }));
+  }, [setPage]);
+
+  const sendOutstanding = useCallback(() => {
+    const { outstanding } = pendingRef.current;
+    if (!outstanding || !connectedRef.current) return;
+    emitRef.current.emitPageOp(pageId, {
+      opId: outstanding.opId,
+      blockId: outstanding.blockId,
+      revision: revisionRef.current,
+      op: outstanding.op
+    });
+  }, [pageId]);
+
+  const flushMarks = useCallback(() => {
+    if (revisionRef.current === null) return;
+    for (const blockId of [...queuedMarksRef.current]) {
+      if (hasPendingText(pendingRef.current, blockId)) continue;
+      queuedMarksRef.current.delete(blockId);
+      axios.put(`/api/pages/${pageId}/blocks/${blockId}`, {
+        marks: marksRef.current.get(blockId) || [],
+        revision: revisionRef.current
+      }).catch(() => {
+        // Server zmenu neprijal — vezmeme jeho stav
+        emitRef.current.requestPageSync(pageId, -1);
+      });
+    }
+  }, [pageId]);
+
+  const flush = useCallback(() => {
+    const pending = pendingRef.current;
+    if (pending.outstanding || pending.buffer.length === 0) {
+      flushMarks();
+      return;
+    }
+    pending.outstanding = { ...pending.buffer.shift(), opId: newOpId() };
+    sendOutstanding();
+  }, [sendOutstanding, flushMarks]);
+
+  const requestSync = useCallback((force = false) => {
+    if (revisionRef.current === null) return;
+    // revision -1 → server vždy pošle snapshot
+    emitRef.current.requestPageSync(pageId, force ? -1 : revisionRef.current);
+  }, [pageId]);
+
+  const dropPending = useCallback((blockId) => {
+    const pending = pendingRef.current;
+    if (pending.outstanding?.blockId === blockId) pending.outstanding = null;
+    pending.buffer = pending.buffer.filter((entry) => entry.blockId !== blockId);
+  }, []);
+
+  // Lokálna zmena textu bloku → operácia do fronty
+  const submitText = useCallback((blockId, text) => {
+    const op = diffToOp(textsRef.current.get(blockId) ?? '', text);
+    setBlockText(blockId, text, isNoop(op) ? null : op);
+    if (isNoop(op)) return;
+    onTextAppliedRef.current?.(blockId, op, null);
+
+    const { buffer } = pendingRef.current;
+    const last = buffer[buffer.length - 1];
+    if (last && last.blockId === blockId) {
+      last.op = compose(last.op, op);
+    } else {
+      buffer.push({ blockId, op });
+    }
+    flush();
+  }, [setBlockText, flush]);
+
+  // Lokálna zmena značiek bloku (formátovanie, zmienka)
+  const submitMarks = useCallback((blockId, update) => {
+    if (!textsRef.current.has(blockId)) return;
+    setBlockMarks(blockId, update(marksRef.current.get(blockId) || []));
+    queuedMarksRef.current.add(blockId);
+    flushMarks();
+  }, [setBlockMarks, flushMarks]);
+
+  // Revízia nasledujúcej zmeny musí nadväzovať. Staršiu (už aplikovanú)
+  // ignorujeme, pri medzere si vyžiadame sync.
+  const acceptRevision = useCallback((revision) => {
+    if (revisionRef.current === null || typeof revision !== 'number') return false;
+    if (revision <= revisionRef.current) return false;
+    if (revision > revisionRef.current + 1) {
+      requestSync();
+      return false;
+    }
+    return true;
+  }, [requestSync]);
+
+  const applyRemoteText = useCallback(({ revision, opId, blockId, op, userId }) => {
+    if (!acceptRevision(revision)) return;
+    const pending = pendingRef.current;
+
+    // Vlastná operácia dohraná cez sync — ack sa po reconnecte stratil
+    if (opId && pending.outstanding?.opId === opId) {
+      revisionRef.current = revision;
+      pending.outstanding = null;
+      flush();
+      return;
+    }
+
+    let remote = op;
+    try {
+      if (pending.outstanding?.blockId === blockId) {
+        [pending.outstanding.op, remote] = transform(pending.outstanding.op, remote);
+      }
+      for (const entry of pending.buffer) {
+        if (entry.blockId === blockId) [entry.op, remote] = transform(entry.op, remote);
+      }
+      revisionRef.current = revision;
+      if (textsRef.current.has(blockId)) {
+        setBlockText(blockId, apply(textsRef.current.get(blockId), remote), remote);
+        onTextAppliedRef.current?.(blockId, remote, userId || null);
+      }
+    } catch {
+      requestSync(true);
+    }
+  }, [acceptRevision, flush, setBlockText, requestSync]);
+
+  const applyStructure = useCallback((event, data, revision) => {
+    if (!acceptRevision(revision)) return;
+    revisionRef.current = revision;
+
+    switch (event) {
+      case 'block-created': {
+        const { block, afterBlockId, parentBlockId } = data;
+        if (textsRef.current.has(block.id)) return;
+        collectTexts([block], textsRef.current);
+        collectMarks([block], marksRef.current);
+        setPage((prev) => {
+          if (!prev || containsBlock(prev.blocks, block.id)) return prev;
+          const blocks = parentBlockId && !afterBlockId
+            ? appendChildBlock(prev.blocks, parentBlockId, block)
+            : insertBlockAfter(prev.blocks, afterBlockId, block);
+          return { ...prev, blocks };
+        });
+        break;
+      }
+      case 'block-deleted':
+        dropPending(data.blockId);
+        textsRef.current.delete(data.blockId);
+        setPage((prev) => prev && ({
+          ...prev,
+          blocks: removeBlock(prev.blocks, data.blockId)
+        }));
+        break;
+      case 'blocks-reordered':
+        setPage((prev) => {
+          if (!prev) return prev;
+          const blocks = reorderBlocks(prev.blocks, data.parentBlockId, data.blockIds);
+          return blocks === prev.blocks ? prev : { ...prev, blocks };
+        });
+        break;
+      case 'block-updated': {
+        // Značky sedia na text servera — posunieme ich cez to, čo je
+        // lokálne napísané a ešte nepotvrdené
+        const pending = pendingRef.current;
+        let marks = data.marks;
+        if (marks && textsRef.current.has(data.blockId)) {
+          for (const entry of [pending.outstanding, ...pending.buffer]) {
+            if (entry?.blockId === data.blockId) marks = shiftMarks(marks, entry.op);
+          }
+          marksRef.current.set(data.blockId, marks);
+        }
+        setPage((prev) => prev && ({
+          ...prev,
+          blocks: mapBlock(prev.blocks, data.blockId, (b) => ({
+            ...b,
+            type: data.type,
+            props: data.props,
+            ...(marks ? { marks } : {})
+          }))
+        }));
+        break;
+      }
+      default:
+        break;
+    }
+  }, [acceptRevision, dropPending, setPage]);
+
+  const applySnapshot = useCallback(({ revision, title, blocks }) => {
+    if (revisionRef.current === null || revision < revisionRef.current) return;
+    const pending = pendingRef.current;
+    const dirty = new Set(
+      [pending.outstanding, ...pending.buffer].filter(Boolean).map((entry) => entry.blockId)
+    );
+    const localTexts = textsRef.current;
+
+    pending.outstanding = null;
+    pending.buffer = [];
+    revisionRef.current = revision;
+    textsRef.current = collectTexts(blocks);
+    marksRef.current = collectMarks(blocks);
+    setPage((prev) => prev && ({ ...prev, title, blocks }));
+
+    for (const blockId of dirty) {
+      if (textsRef.current.has(blockId) && localTexts.has(blockId)) {
+        submitText(blockId, localTexts.get(blockId));
+      }
+    }
+  }, [setPage, submitText]);
+
+  // Stránka načítaná cez REST → od jej revízie ďalej počúvame zmeny
+  const startSession = useCallback((page) => {
+    revisionRef.current = page.revision || 0;
+    textsRef.current = collectTexts(page.blocks);
+    marksRef.current = collectMarks(page.blocks);
+    queuedMarksRef.current = new Set();
+    pendingRef.current = { outstanding: null, buffer: [] };
+    if (connectedRef.current) joinPage(pageId, revisionRef.current);
+  }, [pageId, joinPage]);
+
+  // (Re)join po pripojení socketu — server pošle, čo sme medzitým zmeškali
+  useEffect(() => {
+    if (!isConnected || revisionRef.current === null) return;
+    joinPage(pageId, revisionRef.current);
+  }, [isConnected, pageId, joinPage]);
+
+  useEffect(() => {
+    return () => {
+      emitRef.current.leavePage(pageId);
+      revisionRef.current = null;
+      pendingRef.current = { outstanding: null, buffer: [] };
+      queuedMarksRef.current = new Set();
+    };
+  }, [pageId]);
+
+  useEffect(() => {
+    const forPage = (handler) => (data) => {
+      if (data && data.pageId === pageId) handler(data);
+    };
+
+    const unsubOp = onPageOp(forPage(applyRemoteText));
+
+    const unsubAck = onPageOpAck(forPage(({ opId, revision }) => {
+      const pending = pendingRef.current;
+      if (!pending.outstanding || pending.outstanding.opId !== opId) return;
+      if (revision !== revisionRef.current + 1) {
+        // Medzitým nám niečo ušlo — sync dohrá aj túto operáciu (podľa opId)
+        requestSync();
+        return;
+      }
+      revisionRef.current = revision;
+      pending.outstanding = null;
+      flush();
+    }));
+
+    const unsubRejected = onPageOpRejected(forPage(({ opId, code }) => {
+      const pending = pendingRef.current;
+      if (!pending.outstanding || pending.outstanding.opId !== opId) return;
+      if (code === 'BLOCK_NOT_FOUND') {
+        dropPending(pending.outstanding.blockId);
+        flush();
+        return;
+      }
+      if (code === 'TOO_LONG' || code === 'INVALID_OP') {
+        // Túto úpravu server nikdy neprijme — zahodíme ju a vezmeme jeho stav
+        dropPending(pending.outstanding.blockId);
+      }
+      requestSync(true);
+    }));
+
+    const unsubSync = onPageSync(forPage((data) => {
+      if (data.type === 'snapshot') {
+        applySnapshot(data);
+      } else {
+        for (const entry of data.ops || []) {
+          if (entry.kind === 'text') {
+            applyRemoteText(entry);
+          } else {
+            applyStructure(entry.event, entry.data, entry.revision);
+          }
+        }
+      }
+      // Nepotvrdená operácia mohla zapadnúť pri výpadku — pošleme ju znova
+      // (server ju podľa opId rozpozná, ak už prešla).
+      if (pendingRef.current.outstanding) {
+        sendOutstanding();
+      } else {
+        flush();
+      }
+    }));
+
+    // Chyba na serveri (napr. výpadok DB) — join aj sync sa dajú zopakovať;
+    // po chybe sync-u radšej snapshot, pôvodná požiadavka ho mohla chcieť
+    const unsubError = onPageError(forPage(({ event }) => {
+      if (event !== 'join-page' && event !== 'page-sync') return;
+      clearTimeout(retryRef.current);
+      retryRef.current = setTimeout(() => {
+        if (revisionRef.current === null || !connectedRef.current) return;
+        if (event === 'join-page') emitRef.current.joinPage(pageId, revisionRef.current);
+        else requestSync(true);
+      }, SERVER_RETRY_MS);
+    }));
+
+    const structural = (event) => forPage((data) => applyStructure(event, data, data.revision));
+    const unsubCreated = onBlockCreated(structural('block-created'));
+    const unsubDeleted = onBlockDeleted(structural('block-deleted'));
+    const unsubReordered = onBlocksReordered(structural('blocks-reordered'));
+    const unsubUpdated = onBlockUpdated(structural('block-updated'));
+
+    return () => {
+      if (unsubOp) unsubOp();
+      if (unsubAck) unsubAck();
+      if (unsubRejected) unsubRejected();
+      if (unsubSync) unsubSync();
+      if (unsubError) unsubError();
+      clearTimeout(retryRef.current);
+      if (unsubCreated) unsubCreated();
+      if (unsubDeleted) unsubDeleted();
+      if (unsubReordered) unsubReordered();
+      if (unsubUpdated) unsubUpdated();
+    };
+  }, [
+    pageId,
+    onPageOp, onPageOpAck, onPageOpRejected, onPageSync, onPageError,
+    onBlockCreated, onBlockDeleted, onBlocksReordered, onBlockUpdated,
+    applyRemoteText, applyStructure, applySnapshot,
+    flush, sendOutstanding, requestSync, dropPending
+  ]);
+
+  // Revízia, ku ktorej sedí lokálny stav — posiela sa s úsekom textu pre
+  // novú diskusiu, server ho posunie cez novšie úpravy
+  const getRevision = useCallback(() => revisionRef.current, []);
+
+  return { startSession, submitText, submitMarks, getRevision };
+}
@@ -0,0 +1,177 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { transformIndex } from '../utils/textOt';
+
+// cursor-move ide pri každom pohybe kurzora — najviac ~20× za sekundu
+const CURSOR_THROTTLE_MS = 50;
+// Ako dlho po poslednej operácii sa user zobrazuje ako "píše…"
+const TYPING_TIMEOUT_MS = 3000;
+
+// Znakový offset v texte bloku pre (container, offset) z DOM Range
+const textOffset = (el, container, offset) => {
+  const range = document.createRange();
+  range.selectNodeContents(el);
+  range.setEnd(container, offset);
+  return range.toString().length;
+};
+
+// Kurzor / výber v bloku, ktorý má focus → { blockId, offset, length }
+const readSelection = () => {
+  const sel = window.getSelection();
+  if (!sel || sel.rangeCount === 0) return null;
+  const range = sel.getRangeAt(0);
+  const node = range.startContainer.nodeType === Node.ELEMENT_NODE
+    ? range.startContainer
+    : range.startContainer.parentElement;
+  const el = node?.closest('[data-block-id]');
+  // Table cells and dividers carry the block id on a wrapper, not on text
+  if (!el || !el.isContentEditable || !el.contains(range.endContainer)) return null;
+  const start = textOffset(el, range.startContainer, range.startOffset);
+  const end = textOffset(el, range.endContainer, range.endOffset);
+  return { blockId: el.dataset.blockId, offset: start, length: end - start };
+};
+
+const samePosition = (a, b) =>
+  a === b || (a && b && a.blockId === b.blockId && a.offset === b.offset && a.length === b.length);
+
+/**
+ * Presence na otvorenej stránke: kto ju má otvorenú (`viewers`), kde majú
+ * ostatní kurzor / výber (`cursors`) a kto práve píše (`typing`).
+ *
+ * Vlastný kurzor sa posiela pri `selectionchange` (throttlované). Cudzie
+ * kurzory sú v znakových offsetoch textu bloku, takže ich treba posúvať
+ * s každou zmenou textu — na to je `handleTextApplied`, ktorý dostáva
+ * aplikované operácie z usePageCollab (option `onTextApplied`). Operácia
+ * od iného usera ho zároveň na chvíľu označí ako "píše".
+ *
+ * Server pri leave-page / disconnecte pošle nový zoznam `viewers` a kurzor
+ * s `position: null`, takže odídený user zmizne bez timeoutov.
+ *
+ * @param {string} pageId
+ * @param {object} socketApi — návratová hodnota useSocket()
+ * @param {string} currentUserId — vlastné udalosti sa nezobrazujú
+ * @returns {{ viewers, cursors, typing, handleTextApplied }}
+ */
+export function usePagePresence(pageId, socketApi, currentUserId) {
+  const { emitCursorMove, onCursorMoved, onPagePresence } = socketApi;
+  const [viewers, setViewers] = useState([]);
+  const [cursors, setCursors] = useState({}); // userId → { username, color, blockId, offset, length }
+  const [typing, setTyping] = useState({}); // userId → blockId
+  const typingTimersRef = useRef(new Map());
+
+  const emitRef = useRef(emitCursorMove);
+  emitRef.current = emitCursorMove;
+
+  useEffect(() => {
+    const timers = typingTimersRef.current;
+    return () => {
+      setViewers([]);
+      setCursors({});
+      setTyping({});
+      timers.forEach((timer) => clearTimeout(timer));
+      timers.clear();
+    };
+  }, [pageId]);
+
+  useEffect(() => {
+    const unsubPresence = onPagePresence((data) => {
+      if (!data || data.pageId !== pageId) return;
+      setViewers(data.viewers || []);
+      const present = new Set((data.viewers || []).map((v) => v.userId));
+      setCursors((prev) => {
+        const next = {};
+        for (const [userId, cursor] of Object.entries(prev)) {
+          if (present.has(userId)) next[userId] = cursor;
+        }
+        return next;
+      });
+    });
+
+    const unsubCursor = onCursorMoved((data) => {
+      if (!data || data.pageId !== pageId || data.userId === currentUserId) return;
+      setCursors((prev) => {
+        const next = { ...prev };
+        if (data.position) {
+          next[data.userId] = { username: data.username, color: data.color, ...data.position };
+        } else {
+          delete next[data.userId];
+        }
+        return next;
+      });
+    });
+
+    return () => {
+      if (unsubPresence) unsubPresence();
+      if (unsubCursor) unsubCursor();
+    };
+  }, [pageId, currentUserId, onPagePresence, onCursorMoved]);
+
+  // Vlastný kurzor → ostatným
+  useEffect(() => {
+    let last = null;
+    let lastSentAt = 0;
+    let timer = null;
+
+    const send = () => {
+      timer = null;
+      lastSentAt = Date.now();
+      emitRef.current(pageId, last);
+    };
+
+    const handleSelectionChange = () => {
+      const position = readSelection();
+      if (samePosition(position, last)) return;
+      last = position;
+      if (timer) return;
+      const wait = CURSOR_THROTTLE_MS - (Date.now() - lastSentAt);
+      if (wait <= 0) {
+        send();
+      } else {
+        timer = setTimeout(send, wait);
+      }
+    };
+
+    document.addEventListener('selectionchange', handleSelectionChange);
+    return () => {
+      document.removeEventListener('selectionchange', handleSelectionChange);
+      clearTimeout(timer);
+      if (last) emitRef.current(pageId, null);
+    };
+  }, [pageId]);
+
+  const markTyping = useCallback((userId, blockId) => {
+    setTyping((prev) => (prev[userId] === blockId ? prev : { ...prev, [userId]: blockId }));
+    const timers = typingTimersRef.current;
+    clearTimeout(timers.get(userId));
+    timers.set(userId, setTimeout(() => {
+      timers.delete(userId);
+      setTyping((prev) => {
+        const next = { ...prev };
+        delete next[userId];
+        return next;
+      });
+    }, TYPING_TIMEOUT_MS));
+  }, []);
+
+  const handleTextApplied = useCallback((blockId, op, userId) => {
+    setCursors((prev) => {
+      let changed = false;
+      const next = {};
+      for (const [cursorUserId, cursor] of Object.entries(prev)) {
+        // Autor operácie pošle svoj nový kurzor sám (môže prísť aj skôr
+        // ako operácia) — posúvame len kurzory ostatných.
+        if (cursor.blockId !== blockId || cursorUserId === userId) {
+          next[cursorUserId] = cursor;
+          continue;
+        }
+        const start = transformIndex(op, cursor.offset);
+        const end = transformIndex(op, cursor.offset + cursor.length);
+        next[cursorUserId] = { ...cursor, offset: start, length: Math.max(0, end - start) };
+        changed = true;
+      }
+      return changed ? next : prev;
+    });
+    if (userId && userId !== currentUserId) markTyping(userId, blockId);
+  }, [currentUserId, markTyping]);
+
+  return { viewers, cursors, typing, handleTextApplied };
+}
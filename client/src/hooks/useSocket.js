@@ -45,9 +45,11 @@ export const useSocket = () => {
     };
   }, [isAuthenticated, token]);
 
-  const joinPage = useCallback((pageId) => {
+  // With `revision` the server also replies with `page-sync` — everything
+  // that changed on the page since that revision (see usePageCollab).
+  const joinPage = useCallback((pageId, revision) => {
     if (socket) {
-      socket.emit('join-page', pageId);
+      socket.emit('join-page', revision === undefined ? pageId : { pageId, revision });
     }
   }, [socket]);
 
@@ -57,18 +59,25 @@ export const useSocket = () => {
     }
   }, [socket]);
 
-  const emitPageUpdate = useCallback((pageId, content, title) => {
+  const emitPageUpdate = useCallback((pageId, title) => {
     if (socket) {
-      socket.emit('page-update', { pageId, content, title });
+      socket.emit('page-update', { pageId, title });
     }
   }, [socket]);
 
-  const emitBlockUpdate = useCallback((pageId, blockId, content, type) => {
+  const emitPageOp = useCallback((pageId, { opId, blockId, revision, op }) => {
     if (socket) {
-      socket.emit('block-update', { pageId, blockId, content, type });
+      socket.emit('page-op', { pageId, opId, blockId, revision, op });
     }
   }, [socket]);
 
+  const requestPageSync = useCallback((pageId, revision) => {
+    if (socket) {
+      socket.emit('page-sync', { pageId, revision });
+    }
+  }, [socket]);
+
+  // position = { blockId, offset, length } in the block text, or null
   const emitCursorMove = useCallback((pageId, position) => {
     if (socket) {
       socket.emit('cursor-move', { pageId, position });
@@ -100,10 +109,49 @@ export const useSocket = () => {
     return registerListener('block-updated', callback);
   }, [registerListener]);
 
+  const onBlockCreated = useCallback((callback) => {
+    return registerListener('block-created', callback);
+  }, [registerListener]);
+
+  const onBlockDeleted = useCallback((callback) => {
+    return registerListener('block-deleted', callback);
+  }, [registerListener]);
+
+  const onBlocksReordered = useCallback((callback) => {
+    return registerListener('blocks-reordered', callback);
+  }, [registerListener]);
+
+  const onPageOp = useCallback((callback) => {
+    return registerListener('page-op', callback);
+  }, [registerListener]);
+
+  const onPageOpAck = useCallback((callback) => {
+    return registerListener('page-op-ack', callback);
+  }, [registerListener]);
+
+  const onPageOpRejected = useCallback((callback) => {
+    return registerListener('page-op-rejected', callback);
+  }, [registerListener]);
+
+  const onPageSync = useCallback((callback) => {
+    return registerListener('page-sync', callback);
+  }, [registerListener]);
+
+  // The server failed to handle join-page / page-sync / cursor-move —
+  // `{ pageId, event, code }`; the caller retries
+  const onPageError = useCallback((callback) => {
+    return registerListener('page-error', callback);
+  }, [registerListener]);
+
   const onCursorMoved = useCallback((callback) => {
     return registerListener('cursor-moved', callback);
   }, [registerListener]);
 
+  // Who has the page open — `{ pageId, viewers: [{ userId, username, color }] }`
+  const onPagePresence = useCallback((callback) => {
+    return registerListener('page-presence', callback);
+  }, [registerListener]);
+
   const onPageCreated = useCallback((callback) => {
     return registerListener('page-created', callback);
   }, [registerListener]);
@@ -112,18 +160,79 @@ export const useSocket = () => {
     return registerListener('page-deleted', callback);
   }, [registerListener]);
 
+  // A trashed subtree came back — `{ pageId, pages }` (pages without blocks)
+  const onPageRestored = useCallback((callback) => {
+    return registerListener('page-restored', callback);
+  }, [registerListener]);
+
+  // Pages moved in the tree — `{ moves: [{ id, parentId, order }], updatedBy }`
+  const onPagesMoved = useCallback((callback) => {
+    return registerListener('pages-moved', callback);
+  }, [registerListener]);
+
+  // Who can see some pages changed — `{ pageIds }` (permissions, private
+  // pages, a move). Open editors of those pages were dropped from the page
+  // room and must load the page (and join) again.
+  const onPageAccessChanged = useCallback((callback) => {
+    return registerListener('page-access-changed', callback);
+  }, [registerListener]);
+
+  // Comment threads of the open page — `{ pageId, thread }` (new, reply,
+  // reaction, resolved…) and `{ pageId, threadId }` when one is deleted
+  const onPageThreadUpdated = useCallback((callback) => {
+    return registerListener('page-thread-updated', callback);
+  }, [registerListener]);
+
+  const onPageThreadDeleted = useCallback((callback) => {
+    return registerListener('page-thread-deleted', callback);
+  }, [registerListener]);
+
+  // Database pages — `{ pageId, database, rowsChanged }` when the schema or
+  // views change (`rowsChanged`: rows have to be reloaded, e.g. after an
+  // import), `{ pageId, row, refs }` for a new or edited row and
+  // `{ pageId, rowId }` when one is deleted
+  const onPageDatabaseUpdated = useCallback((callback) => {
+    return registerListener('page-database-updated', callback);
+  }, [registerListener]);
+
+  const onPageRowUpdated = useCallback((callback) => {
+    return registerListener('page-row-updated', callback);
+  }, [registerListener]);
+
+  const onPageRowDeleted = useCallback((callback) => {
+    return registerListener('page-row-deleted', callback);
+  }, [registerListener]);
+
   return {
     socket,
     isConnected,
     joinPage,
     leavePage,
     emitPageUpdate,
-    emitBlockUpdate,
+    emitPageOp,
+    requestPageSync,
     emitCursorMove,
     onPageUpdated,
     onBlockUpdated,
+    onBlockCreated,
+    onBlockDeleted,
+    onBlocksReordered,
+    onPageOp,
+    onPageOpAck,
+    onPageOpRejected,
+    onPageSync,
+    onPageError,
     onCursorMoved,
+    onPagePresence,
     onPageCreated,
-    onPageDeleted
+    onPageDeleted,
+    onPageRestored,
+    onPageAccessChanged,
+    onPagesMoved,
+    onPageThreadUpdated,
+    onPageThreadDeleted,
+    onPageDatabaseUpdated,
+    onPageRowUpdated,
+    onPageRowDeleted
   };
 };
@@ -20,8 +20,34 @@ import { primeMobileKeyboard } from '../utils/keyboardPrimer';
 import { alertUnlessPlanGate, dispatchPlanGate, PLAN_GATE_CODES } from '../utils/planGate';
 import FileRenameModal from '../components/FileRenameModal';
 import ConfirmModal from '../components/ConfirmModal';
+import VersionConflictModal from '../components/VersionConflictModal';
+import { isVersionConflict, ifMatchHeaders } from '../utils/versionConflict';
 import { useWorkspace } from '../context/WorkspaceContext';
 
+// Hodnoty formulára úpravy kontaktu — aj pre porovnanie s verziou na serveri
+// pri konflikte (VersionConflictModal)
+const contactToEditForm = (contact) => ({
+  name: contact.name,
+  email: contact.email || '',
+  phone: contact.phone || '',
+  company: contact.company || '',
+  website: contact.website || '',
+  notes: contact.notes || '',
+  status: contact.status || 'new'
+});
+
+const CONTACT_STATUS_NAMES = { new: 'Nový', active: 'Aktívny', completed: 'Dokončený', cancelled: 'Zrušený' };
+
+const CONTACT_CONFLICT_FIELDS = [
+  { key: 'name', label: 'Meno' },
+  { key: 'email', label: 'Email' },
+  { key: 'phone', label: 'Telefón' },
+  { key: 'company', label: 'Firma' },
+  { key: 'website', label: 'Web' },
+  { key: 'notes', label: 'Poznámky' },
+  { key: 'status', label: 'Stav', format: (value) => CONTACT_STATUS_NAMES[value] || value || '—' }
+];
+
 // Help tips for CRM/Contacts page
 const crmHelpTips = [
   {
@@ -153,6 +179,9 @@ function CRM() {
   // Edit states
   const [editingContact, setEditingContact] = useState(null);
   const [editForm, setEditForm] = useState({});
+  // Verzia a hodnoty kontaktu pri otvorení úpravy — If-Match pri uložení
+  const [editBase, setEditBase] = useState(null); // { version, form }
+  const [contactConflict, setContactConflict] = useState(null); // { contactId, name, base, mine, current, version }
 
   // Task states
   const [taskInputs, setTaskInputs] = useState({});
@@ -249,8 +278,9 @@ function CRM() {
   const [previewError, setPreviewError] = useState(null);
   const [downloadingFileId, setDownloadingFileId] = useState(null);
 
-  // Linked messages
+  // Linked messages / pages
   const [linkedMessages, setLinkedMessages] = useState({});
+  const [linkedPages, setLinkedPages] = useState({});
 
   // Duplicate modal states
   const [showDuplicateModal, setShowDuplicateModal] = useState(false);
@@ -304,6 +334,13 @@ function CRM() {
     } catch (error) { /* ignore */ }
   }, []);
 
+  const fetchLinkedPages = useCallback(async (contactId) => {
+    try {
+      const res = await api.get('/api/pages/by-linked', { params: { linkedType: 'contact', linkedId: contactId } });
+      setLinkedPages(prev => ({ ...prev, [contactId]: res.data }));
+    } catch (error) { /* ignore */ }
+  }, []);
+
   useEffect(() => {
     fetchContacts();
     fetchGlobalTasks();
@@ -333,8 +370,11 @@ function CRM() {
   }, [expandedContact]);
 
   useEffect(() => {
-    if (expandedContact) fetchLinkedMessages(expandedContact);
-  }, [expandedContact, fetchLinkedMessages]);
+    if (expandedContact) {
+      fetchLinkedMessages(expandedContact);
+      fetchLinkedPages(expandedContact);
+    }
+  }, [expandedContact, fetchLinkedMessages, fetchLinkedPages]);
 
   // Handle navigation state OR URL query params to expand contact from Dashboard or push notification
   // Track navTimestamp to detect new navigation even when on same page
@@ -899,26 +939,62 @@ function CRM() {
 
   const startEditContact = (contact) => {
     setEditingContact(contact.id);
-    setEditForm({
-      name: contact.name,
-      email: contact.email || '',
-      phone: contact.phone || '',
-      company: contact.company || '',
-      website: contact.website || '',
-      notes: contact.notes || '',
-      status: contact.status || 'new'
+    const form = contactToEditForm(contact);
+    setEditForm(form);
+    setEditBase({ version: contact.version || null, form });
+  };
+
+  // Pri 409 (kontakt medzitým upravil niekto iný) sa otvorí zlúčenie zmien
+  const openContactConflict = (contactId, error, base, mine) => {
+    const current = error.response.data.current;
+    setContactConflict({
+      contactId,
+      name: current.name,
+      base,
+      mine,
+      current: contactToEditForm(current),
+      version: current.version
     });
   };
 
   const saveContact = async (contactId) => {
     try {
-      await api.put(`/api/contacts/${contactId}`, editForm);
+      await api.put(`/api/contacts/${contactId}`, editForm, { headers: ifMatchHeaders(editBase?.version) });
+      setEditingContact(null);
+      setEditBase(null);
+    } catch (error) {
+      if (isVersionConflict(error)) {
+        openContactConflict(contactId, error, editBase?.form || editForm, editForm);
+        return;
+      }
+      alertUnlessPlanGate(error, 'Chyba pri ukladaní kontaktu');
+    }
+  };
+
+  const saveMergedContact = async (merged) => {
+    const conflict = contactConflict;
+    try {
+      await api.put(`/api/contacts/${conflict.contactId}`, merged, { headers: ifMatchHeaders(conflict.version) });
+      setContactConflict(null);
       setEditingContact(null);
+      setEditBase(null);
     } catch (error) {
+      if (isVersionConflict(error)) {
+        // Medzitým ďalšia zmena — zlúčime znova voči najnovšej verzii
+        openContactConflict(conflict.contactId, error, conflict.current, merged);
+        return;
+      }
       alertUnlessPlanGate(error, 'Chyba pri ukladaní kontaktu');
     }
   };
 
+  const discardContactEdit = async () => {
+    setContactConflict(null);
+    setEditingContact(null);
+    setEditBase(null);
+    await fetchContacts();
+  };
+
   // Task functions
   const addTask = async (e, contact) => {
     e.preventDefault();
@@ -955,11 +1031,12 @@ function CRM() {
         // Contact embedded task
         await api.put(`/api/contacts/${contact.id}/tasks/${task.id}`, {
           completed: !task.completed
-        });
+        }, { headers: ifMatchHeaders(contact.version) });
         await fetchContacts();
       }
-    } catch {
-      // Silently fail
+    } catch (error) {
+      // Silently fail — len pri konflikte verzií načítame aktuálny stav
+      if (isVersionConflict(error)) await fetchContacts();
     }
   };
 
@@ -1008,7 +1085,7 @@ function CRM() {
           title: editTaskTitle,
           dueDate: editTaskDueDate || null,
           description: editTaskDescription
-        });
+        }, { headers: ifMatchHeaders(contact.version) });
         await fetchContacts();
       }
       setEditingTask(null);
@@ -1016,6 +1093,11 @@ function CRM() {
       setEditTaskDueDate('');
       setEditTaskDescription('');
     } catch (error) {
+      if (isVersionConflict(error)) {
+        alert('Kontakt medzitým upravil niekto iný — načítali sme aktuálny stav, skúste zmenu zopakovať.');
+        await fetchContacts();
+        return;
+      }
       alertUnlessPlanGate(error, 'Chyba pri ukladaní projektu');
     }
   };
@@ -1990,6 +2072,24 @@ function CRM() {
                             )}
                           </div>
 
+                          {/* Linked pages */}
+                          {linkedPages[contact.id]?.length > 0 && (
+                            <div className="task-files-section" style={{ marginTop: '12px' }}>
+                              <div className="task-files-header">
+                                <span>📄 Stránky ({linkedPages[contact.id].length})</span>
+                              </div>
+                              <div className="task-files-list">
+                                {linkedPages[contact.id].map(page => (
+                                  <div key={page.id} className="task-file-item" style={{ cursor: 'pointer' }}
+                                    onClick={() => navigate(`/app?page=${page.id}`)}>
+                                    <span className="task-file-icon">{page.icon || '📄'}</span>
+                                    <span className="task-file-name" title={page.title}>{page.title || 'Untitled'}</span>
+                                  </div>
+                                ))}
+                              </div>
+                            </div>
+                          )}
+
                           {/* Linked messages */}
                           {linkedMessages[contact.id]?.length > 0 && (
                             <div className="task-files-section" style={{ marginTop: '12px' }}>
@@ -2107,6 +2207,21 @@ function CRM() {
         />
       )}
 
+      {/* Zlúčenie úpravy kontaktu, ktorý medzitým upravil niekto iný */}
+      {contactConflict && (
+        <VersionConflictModal
+          key={contactConflict.version}
+          title={`Kontakt „${contactConflict.name}" medzitým niekto upravil`}
+          fields={CONTACT_CONFLICT_FIELDS}
+          base={contactConflict.base}
+          mine={contactConflict.mine}
+          current={contactConflict.current}
+          onSave={saveMergedContact}
+          onDiscard={discardContactEdit}
+          onCancel={() => setContactConflict(null)}
+        />
+      )}
+
       {/* Potvrdenie uzavretia projektu po dokončení poslednej úlohy */}
       {projectClosePrompt && (
         <ConfirmModal
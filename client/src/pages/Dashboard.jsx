@@ -4,6 +4,7 @@ import { useAuth } from '../context/AuthContext';
 import { useSocket } from '../hooks/useSocket';
 import { useWorkspaceSwitched, useAppResume } from '../hooks';
 import { useNavigate } from 'react-router-dom';
+import { isVersionConflict, ifMatchHeaders } from '../utils/versionConflict';
 import UserMenu from '../components/UserMenu';
 import HelpGuide from '../components/HelpGuide';
 import WhatsNewModal from '../components/WhatsNewModal';
@@ -12,6 +13,8 @@ import HeaderLogo from '../components/HeaderLogo';
 import NotificationBell from '../components/NotificationBell';
 import AnnouncementBanner from '../components/AnnouncementBanner';
 
+const TASK_CONFLICT_MESSAGE = 'Projekt medzitým upravil niekto iný — načítali sme aktuálny stav, skúste zmenu zopakovať.';
+
 // Help tips for Dashboard
 const dashboardHelpTips = [
   {
@@ -439,17 +442,32 @@ function Dashboard() {
     setEditForm({});
   };
 
+  // Úprava projektu — s verziou, z ktorej zoznam vychádza (projekt v kontakte
+  // má verziu kontaktu). Podúlohy idú na server celé: bez verzie server
+  // vráti 428, pri zmene medzitým 409.
+  const putTask = (task, data) => {
+    const config = { headers: ifMatchHeaders(task.version) };
+    return task.source === 'contact' && task.contactId
+      ? api.put(`/api/contacts/${task.contactId}/tasks/${task.id}`, data, config)
+      : api.put(`/api/tasks/${task.id}`, { ...data, source: task.source }, config);
+  };
+
+  // true, keď išlo o konflikt verzií (dáta sa znova načítali)
+  const handleConflict = async (error) => {
+    if (!isVersionConflict(error)) return false;
+    alert(TASK_CONFLICT_MESSAGE);
+    await fetchData();
+    return true;
+  };
+
   const saveTask = async (task) => {
     try {
-      if (task.source === 'contact' && task.contactId) {
-        await api.put(`/api/contacts/${task.contactId}/tasks/${task.id}`, editForm);
-      } else {
-        await api.put(`/api/tasks/${task.id}`, { ...editForm, source: task.source });
-      }
+      await putTask(task, editForm);
       await fetchData();
       setEditingTask(null);
       setEditForm({});
     } catch (error) {
+      if (await handleConflict(error)) return;
       alert('Chyba pri ukladaní projekty');
     }
   };
@@ -459,13 +477,10 @@ function Dashboard() {
       if (!window.confirm(`Označiť projekt "${task.title}" ako dokončenú?`)) return;
     }
     try {
-      if (task.source === 'contact' && task.contactId) {
-        await api.put(`/api/contacts/${task.contactId}/tasks/${task.id}`, { completed: !task.completed });
-      } else {
-        await api.put(`/api/tasks/${task.id}`, { completed: !task.completed, source: task.source });
-      }
+      await putTask(task, { completed: !task.completed });
       await fetchData();
     } catch (error) {
+      if (await handleConflict(error)) return;
       alert('Chyba pri aktualizácii projekty');
     }
   };
@@ -490,15 +505,12 @@ function Dashboard() {
       const updatedSubtasks = task.subtasks.map(s =>
         s.id === subtask.id ? { ...s, ...subtaskEditForm } : s
       );
-      if (task.source === 'contact' && task.contactId) {
-        await api.put(`/api/contacts/${task.contactId}/tasks/${task.id}`, { subtasks: updatedSubtasks });
-      } else {
-        await api.put(`/api/tasks/${task.id}`, { subtasks: updatedSubtasks });
-      }
+      await putTask(task, { subtasks: updatedSubtasks });
       await fetchData();
       setEditingSubtask(null);
       setSubtaskEditForm({});
     } catch (error) {
+      if (await handleConflict(error)) return;
       alert('Chyba pri ukladaní úlohy');
     }
   };
@@ -508,13 +520,10 @@ function Dashboard() {
       const updatedSubtasks = task.subtasks.map(s =>
         s.id === subtask.id ? { ...s, completed: !s.completed } : s
       );
-      if (task.source === 'contact' && task.contactId) {
-        await api.put(`/api/contacts/${task.contactId}/tasks/${task.id}`, { subtasks: updatedSubtasks });
-      } else {
-        await api.put(`/api/tasks/${task.id}`, { subtasks: updatedSubtasks });
-      }
+      await putTask(task, { subtasks: updatedSubtasks });
       await fetchData();
     } catch (error) {
+      if (await handleConflict(error)) return;
       alert('Chyba pri aktualizácii úlohy');
     }
   };
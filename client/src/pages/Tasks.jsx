@@ -1,11 +1,11 @@
-import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { Fragment, useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import api from '@/api/api';
 import { downloadBlob } from '../utils/fileDownload';
 import { useAuth } from '../context/AuthContext';
 import { useWorkspace } from '../context/WorkspaceContext';
 import { useSocket } from '../hooks/useSocket';
 import { useWorkspaceSwitched, useAppResume, useWorkspaceUsers, isDeepLinkPending } from '../hooks';
-import { getWorkspaceRoleLabel, FILE_SIZE_LIMITS, formatFileSize } from '../utils/constants';
+import { getWorkspaceRoleLabel, FILE_SIZE_LIMITS, formatFileSize, PRIORITY_LABELS } from '../utils/constants';
 import { primeMobileKeyboard } from '../utils/keyboardPrimer';
 import { alertUnlessPlanGate } from '../utils/planGate';
 import { debug } from '../utils/debug';
@@ -17,8 +17,22 @@ import HeaderLogo from '../components/HeaderLogo';
 import NotificationBell from '../components/NotificationBell';
 import AnnouncementBanner from '../components/AnnouncementBanner';
 import TimeRemindersPicker from '../components/TimeRemindersPicker';
+import RecurrencePicker from '../components/RecurrencePicker';
+import { describeRecurrence } from '../utils/recurrence';
 import { DateInput, TimeInput } from '../components/DateTimeInputs';
 import ConfirmModal from '../components/ConfirmModal';
+import VersionConflictModal from '../components/VersionConflictModal';
+import TaskBoard from '../components/TaskBoard';
+import TaskTimeline from '../components/TaskTimeline';
+import DependencyPicker from '../components/DependencyPicker';
+import { buildItemIndex, openBlockers, describeItem } from '../utils/taskDependencies';
+import TimeTracker from '../components/TimeTracker';
+import TimeReport from '../components/TimeReport';
+import { estimateToHours, hoursToEstimate, trackedMinutes } from '../utils/taskTime';
+import TaskViewEditor from '../components/TaskViewEditor';
+import { matchesFilters, viewComparator, groupTasks, viewFromListState, parseTags } from '../utils/taskViews';
+import TaskStatusEditor from '../components/TaskStatusEditor';
+import { isVersionConflict, ifMatchHeaders } from '../utils/versionConflict';
 import { DndContext, closestCenter, PointerSensor, TouchSensor, useSensor, useSensors } from '@dnd-kit/core';
 import { SortableContext, verticalListSortingStrategy, useSortable, arrayMove } from '@dnd-kit/sortable';
 import { restrictToVerticalAxis } from '@dnd-kit/modifiers';
@@ -649,6 +663,30 @@ function CalendarView({ tasks, calendarMonth, setCalendarMonth, getDueDateClass,
   );
 }
 
+// Hodnoty formulára úpravy projektu — aj pre porovnanie s verziou na serveri
+// pri konflikte (VersionConflictModal)
+const taskToEditForm = (task) => ({
+  title: task.title,
+  description: task.description || '',
+  dueDate: task.dueDate || '',
+  dueTime: task.dueTime || '',
+  startDate: task.startDate || '',
+  // Odhad v hodinách (input); server ho drží v minútach
+  estimate: estimateToHours(task.estimate),
+  // Štítky ako text inputu ('web, interné'); server drží pole
+  tags: (task.tags || []).join(', '),
+  priority: task.priority || 'medium',
+  // Support both old contactId and new contactIds
+  contactIds: task.contactIds?.length > 0
+    ? task.contactIds
+    : (task.contactId ? [task.contactId] : []),
+  assignedTo: task.assignedTo || [],
+  reminder: task.reminder != null ? String(task.reminder) : '',
+  timeReminders: Array.isArray(task.timeReminders) ? task.timeReminders : [],
+  recurrence: task.recurrence || null,
+  source: task.source
+});
+
 function Tasks() {
   const { user, logout, updateUser } = useAuth();
   const { currentWorkspace } = useWorkspace();
@@ -661,7 +699,19 @@ function Tasks() {
   const [filter, setFilter] = useState('all');
   const [contactFilter, setContactFilter] = useState(null); // Filter by specific contact
   const [searchQuery, setSearchQuery] = useState('');
-  const [viewMode, setViewMode] = useState('list'); // 'list' | 'calendar' | 'mine'
+  const [viewMode, setViewMode] = useState('list'); // 'list' | 'board' | 'timeline' | 'calendar' | 'mine'
+  // Stavy Kanban nástenky (stĺpce) — GET /api/tasks/statuses
+  const [taskStatuses, setTaskStatuses] = useState([]);
+  const [showStatusEditor, setShowStatusEditor] = useState(false);
+  const [showTimeReport, setShowTimeReport] = useState(false);
+  // Uložené pohľady (GET /api/tasks/views); aktívny je v URL ?savedView=<id>,
+  // aby sa dal poslať odkazom
+  const [savedViews, setSavedViews] = useState([]);
+  const [savedViewsLoaded, setSavedViewsLoaded] = useState(false);
+  const [viewEditor, setViewEditor] = useState(null); // návrh alebo uložený pohľad
+  // Aktívny pohľad nahrádza filtre bočného panela (hľadanie platí naďalej)
+  const activeViewId = new URLSearchParams(location.search).get('savedView');
+  const activeView = activeViewId ? savedViews.find(v => v.id === activeViewId) || null : null;
   const [calendarMonth, setCalendarMonth] = useState(new Date());
   // Pohľad „Moje úlohy" — zobrazenie dokončených položiek (default skryté)
   const [showMineDone, setShowMineDone] = useState(false);
@@ -693,16 +743,23 @@ function Tasks() {
     dueDate: '',
     // Voliteľný čas ("HH:MM"). Empty = celodenná.
     dueTime: '',
+    startDate: '',
+    estimate: '',
+    tags: '',
     priority: 'medium',
     contactIds: [],
     assignedTo: [],
     reminder: '',
-    timeReminders: []
+    timeReminders: [],
+    recurrence: null
   });
 
   // Edit states
   const [editingTask, setEditingTask] = useState(null);
   const [editForm, setEditForm] = useState({});
+  // Verzia a hodnoty projektu pri otvorení úpravy — If-Match pri uložení
+  const [editBase, setEditBase] = useState(null); // { version, form }
+  const [taskConflict, setTaskConflict] = useState(null); // { taskId, title, base, mine, current, version }
 
   // Subtask states
   const [subtaskInputs, setSubtaskInputs] = useState({});
@@ -720,8 +777,11 @@ function Tasks() {
   const [editSubtaskNotes, setEditSubtaskNotes] = useState('');
   const [editSubtaskDueDate, setEditSubtaskDueDate] = useState('');
   const [editSubtaskDueTime, setEditSubtaskDueTime] = useState('');
+  const [editSubtaskStartDate, setEditSubtaskStartDate] = useState('');
+  const [editSubtaskEstimate, setEditSubtaskEstimate] = useState('');
   const [editSubtaskAssignedTo, setEditSubtaskAssignedTo] = useState([]);
   const [editSubtaskTimeReminders, setEditSubtaskTimeReminders] = useState([]);
+  const [editSubtaskRecurrence, setEditSubtaskRecurrence] = useState(null);
   const [expandedSubtasks, setExpandedSubtasks] = useState({});
 
   // File attachment states
@@ -736,8 +796,9 @@ function Tasks() {
   // tento stav zobrazí potvrdzovacie okno, nech sa používateľ rozhodne.
   const [projectClosePrompt, setProjectClosePrompt] = useState(null); // { taskId, source, title }
 
-  // Linked messages
+  // Linked messages / pages
   const [linkedMessages, setLinkedMessages] = useState({});
+  const [linkedPages, setLinkedPages] = useState({});
 
   // Duplicate modal states
   const [showDuplicateModal, setShowDuplicateModal] = useState(false);
@@ -788,6 +849,26 @@ function Tasks() {
     }
   }, []);
 
+  const fetchSavedViews = useCallback(async () => {
+    try {
+      const res = await api.get('/api/tasks/views');
+      setSavedViews(res.data);
+    } catch {
+      // Silently fail — bočný panel ostane bez uložených pohľadov
+    } finally {
+      setSavedViewsLoaded(true);
+    }
+  }, []);
+
+  const fetchTaskStatuses = useCallback(async () => {
+    try {
+      const res = await api.get('/api/tasks/statuses');
+      setTaskStatuses(res.data);
+    } catch {
+      // Silently fail — nástenka bez stavov zobrazí prázdny stav
+    }
+  }, []);
+
   const fetchContacts = useCallback(async () => {
     try {
       const res = await api.get('/api/contacts');
@@ -804,6 +885,13 @@ function Tasks() {
     } catch (error) { /* ignore */ }
   }, []);
 
+  const fetchLinkedPages = useCallback(async (taskId) => {
+    try {
+      const res = await api.get('/api/pages/by-linked', { params: { linkedType: 'task', linkedId: taskId } });
+      setLinkedPages(prev => ({ ...prev, [taskId]: res.data }));
+    } catch (error) { /* ignore */ }
+  }, []);
+
   // Sync completed tasks from Google Tasks to CRM
   const syncCompletedFromGoogle = useCallback(async () => {
     try {
@@ -825,21 +913,28 @@ function Tasks() {
   // Google Tasks sync beží na pozadí (5min interval) — nespúšťame ho na
   // každom page loade, aby sme nepreťažili Atlas M0.
   useEffect(() => {
-    Promise.all([fetchTasks(), fetchContacts()]);
-  }, [fetchTasks, fetchContacts]);
+    Promise.all([fetchTasks(), fetchContacts(), fetchTaskStatuses(), fetchSavedViews()]);
+  }, [fetchTasks, fetchContacts, fetchTaskStatuses, fetchSavedViews]);
 
   // Pri návrate z pozadia + pri prepnutí workspacu — refetch + zatvorenie modalu.
   // (stale expandedTask ID z predošlého workspacu by inak renderol prázdny modal)
   useAppResume(() => { fetchTasks(); fetchContacts(); });
   useWorkspaceSwitched(() => {
     setExpandedTask(null);
+    setShowStatusEditor(false);
+    setViewEditor(null);
     fetchTasks();
     fetchContacts();
+    fetchTaskStatuses();
+    fetchSavedViews();
   });
 
   useEffect(() => {
-    if (expandedTask) fetchLinkedMessages(expandedTask);
-  }, [expandedTask, fetchLinkedMessages]);
+    if (expandedTask) {
+      fetchLinkedMessages(expandedTask);
+      fetchLinkedPages(expandedTask);
+    }
+  }, [expandedTask, fetchLinkedMessages, fetchLinkedPages]);
 
   // Mark task notifications as read when the user actually opens the task —
   // replaces the old "mark everything read when section is clicked" behavior.
@@ -1071,6 +1166,56 @@ function Tasks() {
     return '';
   };
 
+  // Stavy nástenky nastavuje a cudzie záznamy času maže len vlastník/manažér
+  // (server: PUT /api/tasks/statuses, DELETE /api/tasks/:id/time/:entryId)
+  const isWorkspaceAdmin = currentWorkspace?.role === 'owner' || currentWorkspace?.role === 'manager';
+  const canManageStatuses = isWorkspaceAdmin;
+
+  // Filter bočného panela ukončí uložený pohľad
+  const pickFilter = (value) => {
+    setFilter(value);
+    if (activeViewId) navigate('/tasks');
+  };
+
+  const openSavedView = (viewId) => {
+    navigate(`/tasks?savedView=${encodeURIComponent(viewId)}`);
+    setViewMode(mode => (mode === 'mine' || mode === 'calendar' ? 'list' : mode));
+    setSidebarOpen(false);
+  };
+
+  // Odkaz nesie aj `ws=` — App.jsx pred otvorením prepne na workspace pohľadu
+  const copySavedViewLink = async (view) => {
+    const url = `${window.location.origin}/tasks?savedView=${encodeURIComponent(view.id)}&ws=${currentWorkspace?.id}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      alert('Odkaz na pohľad bol skopírovaný');
+    } catch {
+      window.prompt('Odkaz na pohľad:', url);
+    }
+  };
+
+  // Kanban: presun karty (optimisticky) — server zmení stav, `completed`
+  // a poradie cieľového stĺpca; pri chybe sa zoznam načíta znova
+  const moveTaskOnBoard = async (task, statusId, columnTasks) => {
+    const target = taskStatuses.find(s => s.id === statusId);
+    if (!target) return;
+    const positions = new Map(columnTasks.map((t, index) => [t.id, index]));
+    setTasks(prev => prev.map(t => {
+      if (t.id === task.id) return { ...t, status: statusId, completed: target.done, statusOrder: positions.get(t.id) };
+      return positions.has(t.id) ? { ...t, statusOrder: positions.get(t.id) } : t;
+    }));
+    try {
+      await api.put(`/api/tasks/${task.id}/move`, {
+        status: statusId,
+        column: columnTasks.map(t => ({ id: t.id, source: t.source, contactId: t.contactId }))
+      });
+    } catch (error) {
+      fetchTasks();
+      fetchTaskStatuses();
+      alert(error.response?.data?.message || 'Projekt sa nepodarilo presunúť');
+    }
+  };
+
   // Check if current filter is a due date filter
   const isDueDateFilter = (f) => ['due-success', 'due-warning', 'due-danger', 'overdue'].includes(f);
 
@@ -1473,6 +1618,7 @@ function Tasks() {
     setContactFilter(null);
     setFilter('all');
     setSearchQuery('');
+    if (activeViewId) navigate('/tasks', { replace: true });
 
     setHighlightedTaskId(taskId);
     setExpandedTask(taskId);
@@ -1551,12 +1697,16 @@ function Tasks() {
     socket.on('task-updated', handleTaskUpdated);
     socket.on('task-deleted', handleTaskDeleted);
     socket.on('contact-updated', handleContactUpdated);
+    socket.on('task-statuses-updated', setTaskStatuses);
+    socket.on('task-views-updated', fetchSavedViews);
 
     return () => {
       socket.off('task-created', handleTaskCreated);
       socket.off('task-updated', handleTaskUpdated);
       socket.off('task-deleted', handleTaskDeleted);
       socket.off('contact-updated', handleContactUpdated);
+      socket.off('task-statuses-updated', setTaskStatuses);
+      socket.off('task-views-updated', fetchSavedViews);
       if (contactTimer) clearTimeout(contactTimer);
     };
   }, [socket, isConnected]);
@@ -1666,6 +1816,8 @@ function Tasks() {
     try {
       const response = await api.post('/api/tasks', {
         ...newTaskForm,
+        estimate: hoursToEstimate(newTaskForm.estimate),
+        tags: parseTags(newTaskForm.tags),
         contactIds: newTaskForm.contactIds.length > 0 ? newTaskForm.contactIds : []
       });
 
@@ -1694,11 +1846,15 @@ function Tasks() {
         description: '',
         dueDate: '',
         dueTime: '',
+        startDate: '',
+        estimate: '',
+        tags: '',
         priority: 'medium',
         contactIds: [],
         assignedTo: [],
         reminder: '',
-        timeReminders: []
+        timeReminders: [],
+        recurrence: null
       });
       setShowForm(false);
     } catch (error) {
@@ -1804,42 +1960,92 @@ function Tasks() {
 
   const startEditTask = (task) => {
     setEditingTask(task.id);
-    // Support both old contactId and new contactIds
-    const taskContactIds = task.contactIds?.length > 0
-      ? task.contactIds
-      : (task.contactId ? [task.contactId] : []);
-    setEditForm({
-      title: task.title,
-      description: task.description || '',
-      dueDate: task.dueDate || '',
-      dueTime: task.dueTime || '',
-      priority: task.priority || 'medium',
-      contactIds: taskContactIds,
-      assignedTo: task.assignedTo || [],
-      reminder: task.reminder != null ? String(task.reminder) : '',
-      timeReminders: Array.isArray(task.timeReminders) ? task.timeReminders : [],
-      source: task.source
-    });
+    const form = taskToEditForm(task);
+    setEditForm(form);
+    setEditBase({ version: task.version || null, form });
+  };
+
+  // Uloženie formulára — s If-Match verzie, z ktorej úprava vychádza. Pri
+  // 409 (projekt medzitým upravil niekto iný) sa otvorí zlúčenie zmien.
+  const putTaskForm = async (taskId, form, version) => {
+    const task = tasks.find(t => t.id === taskId);
+    await api.put(`/api/tasks/${taskId}`, {
+      ...form,
+      estimate: hoursToEstimate(form.estimate),
+      tags: parseTags(form.tags),
+      contactIds: form.contactIds || [],
+      assignedTo: form.assignedTo || [],
+      source: task?.source || 'global'
+    }, { headers: ifMatchHeaders(version) });
+
+    // Refresh tasks to get updated data
+    await fetchTasks();
+    setEditingTask(null);
+    setEditBase(null);
   };
 
   const saveTask = async (taskId) => {
     try {
-      const task = tasks.find(t => t.id === taskId);
-      await api.put(`/api/tasks/${taskId}`, {
-        ...editForm,
-        contactIds: editForm.contactIds || [],
-        assignedTo: editForm.assignedTo || [],
-        source: task?.source || 'global'
-      });
+      await putTaskForm(taskId, editForm, editBase?.version);
+    } catch (error) {
+      if (isVersionConflict(error)) {
+        const current = error.response.data.current;
+        setTaskConflict({
+          taskId,
+          title: current.title,
+          base: editBase?.form || editForm,
+          mine: editForm,
+          current: taskToEditForm(current),
+          version: current.version
+        });
+        return;
+      }
+      alertUnlessPlanGate(error, 'Chyba pri ukladaní projektu');
+    }
+  };
 
-      // Refresh tasks to get updated data
-      await fetchTasks();
-      setEditingTask(null);
+  const saveMergedTask = async (merged) => {
+    const conflict = taskConflict;
+    try {
+      await putTaskForm(conflict.taskId, merged, conflict.version);
+      setTaskConflict(null);
     } catch (error) {
+      if (isVersionConflict(error)) {
+        // Medzitým ďalšia zmena — zlúčime znova voči najnovšej verzii
+        const current = error.response.data.current;
+        setTaskConflict({ ...conflict, base: conflict.current, mine: merged, current: taskToEditForm(current), version: current.version });
+        return;
+      }
       alertUnlessPlanGate(error, 'Chyba pri ukladaní projektu');
     }
   };
 
+  const discardTaskEdit = async () => {
+    setTaskConflict(null);
+    setEditingTask(null);
+    setEditBase(null);
+    await fetchTasks();
+  };
+
+  const taskConflictFields = useMemo(() => {
+    const names = (ids, list, key) => (ids || []).map(id => list.find(item => String(item.id) === String(id))?.[key] || id).join(', ') || '—';
+    return [
+      { key: 'title', label: 'Názov' },
+      { key: 'description', label: 'Popis' },
+      { key: 'dueDate', label: 'Termín', format: (value) => (value ? new Date(value).toLocaleDateString('sk-SK') : '—') },
+      { key: 'dueTime', label: 'Čas' },
+      { key: 'startDate', label: 'Začiatok', format: (value) => (value ? new Date(value).toLocaleDateString('sk-SK') : '—') },
+      { key: 'estimate', label: 'Odhad', format: (value) => (value ? `${value} h` : '—') },
+      { key: 'tags', label: 'Štítky', format: (value) => value || '—' },
+      { key: 'priority', label: 'Priorita', format: (value) => PRIORITY_LABELS[value] || value || '—' },
+      { key: 'contactIds', label: 'Kontakty', format: (ids) => names(ids, contacts, 'name') },
+      { key: 'assignedTo', label: 'Priradení', format: (ids) => names(ids, users, 'username') },
+      { key: 'reminder', label: 'Pripomienka' },
+      { key: 'timeReminders', label: 'Časové pripomienky' },
+      { key: 'recurrence', label: 'Opakovanie', format: (value) => describeRecurrence(value) || '—' }
+    ];
+  }, [contacts, users]);
+
   // Subtask functions - now with recursive support
   const addSubtask = async (e, task, parentSubtaskId = null) => {
     e.preventDefault();
@@ -1933,8 +2139,11 @@ function Tasks() {
     setEditSubtaskNotes(subtask.notes || '');
     setEditSubtaskDueDate(subtask.dueDate || '');
     setEditSubtaskDueTime(subtask.dueTime || '');
+    setEditSubtaskStartDate(subtask.startDate || '');
+    setEditSubtaskEstimate(estimateToHours(subtask.estimate));
     setEditSubtaskAssignedTo(subtask.assignedTo || []);
     setEditSubtaskTimeReminders(Array.isArray(subtask.timeReminders) ? subtask.timeReminders : []);
+    setEditSubtaskRecurrence(subtask.recurrence || null);
   };
 
   const saveSubtask = async (task, subtaskId) => {
@@ -1945,8 +2154,11 @@ function Tasks() {
         notes: editSubtaskNotes,
         dueDate: editSubtaskDueDate || null,
         dueTime: editSubtaskDueDate ? editSubtaskDueTime : '',
+        startDate: editSubtaskStartDate || null,
+        estimate: hoursToEstimate(editSubtaskEstimate),
         assignedTo: editSubtaskAssignedTo,
         timeReminders: editSubtaskTimeReminders,
+        recurrence: editSubtaskRecurrence,
         source: task.source
       });
       setEditingSubtask(null);
@@ -1954,8 +2166,11 @@ function Tasks() {
       setEditSubtaskNotes('');
       setEditSubtaskDueDate('');
       setEditSubtaskDueTime('');
+      setEditSubtaskStartDate('');
+      setEditSubtaskEstimate('');
       setEditSubtaskAssignedTo([]);
       setEditSubtaskTimeReminders([]);
+      setEditSubtaskRecurrence(null);
       await fetchTasks();
     } catch (error) {
       alertUnlessPlanGate(error, 'Chyba pri ukladani ulohy');
@@ -1967,6 +2182,8 @@ function Tasks() {
     setEditSubtaskTitle('');
     setEditSubtaskNotes('');
     setEditSubtaskDueDate('');
+    setEditSubtaskStartDate('');
+    setEditSubtaskEstimate('');
     setEditSubtaskAssignedTo([]);
   };
 
@@ -2176,6 +2393,45 @@ function Tasks() {
                     />
                   </div>
                 )}
+                <div className="subtask-edit-row">
+                  <label className="subtask-assign-label">▶ Začiatok:</label>
+                  <DateInput
+                    value={editSubtaskStartDate}
+                    onChange={setEditSubtaskStartDate}
+                    className="form-input-sm task-date-input"
+                    title="Začiatok práce (časová os)"
+                  />
+                </div>
+                <div className="subtask-edit-row">
+                  <label className="subtask-assign-label">⏱ Odhad (h):</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.25"
+                    value={editSubtaskEstimate}
+                    onChange={(e) => setEditSubtaskEstimate(e.target.value)}
+                    className="form-input form-input-sm task-estimate-input"
+                    placeholder="—"
+                  />
+                </div>
+                <div className="subtask-edit-row">
+                  <label className="subtask-assign-label">⏱ Čas:</label>
+                  <TimeTracker
+                    item={subtask}
+                    userId={user?.id?.toString()}
+                    users={users}
+                    canAdmin={isWorkspaceAdmin}
+                    onChanged={fetchTasks}
+                  />
+                </div>
+                <div className="subtask-edit-row">
+                  <label className="subtask-assign-label">🔁 Opakovanie:</label>
+                  <RecurrencePicker value={editSubtaskRecurrence} onChange={setEditSubtaskRecurrence} />
+                </div>
+                <div className="subtask-edit-row">
+                  <label className="subtask-assign-label">⛔ Čaká na:</label>
+                  <DependencyPicker item={subtask} tasks={tasks} onSaved={() => fetchTasks()} />
+                </div>
                 <div className="subtask-edit-row">
                   <textarea
                     value={editSubtaskNotes}
@@ -2233,6 +2489,15 @@ function Tasks() {
                     {subtask.dueTime && ` ⏰ ${subtask.dueTime}`}
                   </span>
                 )}
+                {subtask.recurrence?.freq && (
+                  <span className="subtask-notes-indicator" title={describeRecurrence(subtask.recurrence)}>🔁</span>
+                )}
+                {blockedTitle(subtask) && (
+                  <span className="subtask-notes-indicator" title={blockedTitle(subtask)}>⛔</span>
+                )}
+                {(!subtask.completed || trackedMinutes(subtask) > 0) && (
+                  <TimeTracker item={subtask} userId={user?.id?.toString()} compact onChanged={fetchTasks} />
+                )}
                 {hasChildren && (
                   <span className="subtask-child-count">
                     ({childCounts.completed}/{childCounts.total})
@@ -2647,6 +2912,13 @@ function Tasks() {
   };
 
   const filteredTasks = useMemo(() => tasks.filter(t => {
+    if (activeView) {
+      if (!matchesFilters(t, activeView.filters, { userId: user?.id?.toString() })) return false;
+      const query = searchQuery.toLowerCase().trim();
+      return !query || t.title?.toLowerCase().includes(query) || t.description?.toLowerCase().includes(query)
+        || t.contactName?.toLowerCase().includes(query) || searchInSubtasks(t.subtasks, query);
+    }
+
     // First apply contact filter (from CRM navigation)
     if (contactFilter) {
       const taskContactIds = t.contactIds || (t.contactId ? [t.contactId] : []);
@@ -2709,11 +2981,22 @@ function Tasks() {
       return isAssignedToUser(t, userId);
     }
     return true;
-  }), [tasks, contactFilter, searchQuery, filter, user]);
+  }), [tasks, contactFilter, searchQuery, filter, user, activeView]);
 
   // Sort tasks: incomplete first, then by priority (high→medium→low), then by order, completed at the end
   const priorityOrder = { high: 0, medium: 1, low: 2 };
+  // Závislosti naprieč všetkými projektmi (nie len vyfiltrovanými) — ⛔ pri
+  // položkách, ktoré čakajú na nedokončenú
+  const dependencyIndex = useMemo(() => buildItemIndex(tasks), [tasks]);
+  const blockedTitle = (item) => {
+    const open = item.completed ? [] : openBlockers(item, dependencyIndex);
+    return open.length > 0 ? `Čaká na: ${open.map(describeItem).join(', ')}` : null;
+  };
+
   const sortedFilteredTasks = useMemo(() => [...filteredTasks].sort((a, b) => {
+    const byView = viewComparator(activeView?.sort);
+    const viewOrder = byView ? byView(a, b) : 0;
+    if (viewOrder !== 0) return viewOrder;
     const aCompleted = a.completed === true;
     const bCompleted = b.completed === true;
     if (aCompleted && !bCompleted) return 1;
@@ -2727,7 +3010,22 @@ function Tasks() {
     const orderB = b.order || 0;
     if (orderA !== orderB) return orderA - orderB;
     return 0;
-  }), [filteredTasks]);
+  }), [filteredTasks, activeView]);
+
+  // Zoskupenie pohľadu — zoznam ide po skupinách, hlavička pred prvým projektom
+  // skupiny. Ručné poradie (drag & drop) má zmysel len bez zoradenia a zoskupenia.
+  const taskGroups = useMemo(() => groupTasks(sortedFilteredTasks, activeView?.groupBy, {
+    users,
+    contacts,
+    statuses: taskStatuses
+  }), [sortedFilteredTasks, activeView, users, contacts, taskStatuses]);
+  const listTasks = useMemo(() => taskGroups.flatMap(group => group.tasks), [taskGroups]);
+  const groupHeaders = useMemo(() => new Map(
+    taskGroups.length > 1 || taskGroups[0]?.label
+      ? taskGroups.filter(group => group.tasks.length > 0).map(group => [group.tasks[0].id, group])
+      : []
+  ), [taskGroups]);
+  const canReorderTasks = !activeView || (activeView.sort?.field === 'default' && activeView.groupBy === 'none');
 
   // DnD sensors
   const sensors = useSensors(
@@ -2925,15 +3223,15 @@ function Tasks() {
           <div className="dashboard-stats">
             <h3>Prehľad</h3>
             <div
-              className={`stat-item clickable ${filter === 'all' ? 'active' : ''}`}
-              onClick={() => setFilter('all')}
+              className={`stat-item clickable ${!activeView && filter === 'all' ? 'active' : ''}`}
+              onClick={() => pickFilter('all')}
             >
               <span className="stat-label">Celkom projektov</span>
               <span className="stat-value">{tasks.length}</span>
             </div>
             <div
-              className={`stat-item clickable ${filter === 'new' ? 'active' : ''}`}
-              onClick={() => setFilter('new')}
+              className={`stat-item clickable ${!activeView && filter === 'new' ? 'active' : ''}`}
+              onClick={() => pickFilter('new')}
             >
               <span className="stat-label">
                 <span className="priority-dot" style={{ backgroundColor: '#8B5CF6' }}></span>
@@ -2942,36 +3240,36 @@ function Tasks() {
               <span className="stat-value">{newCount}</span>
             </div>
             <div
-              className={`stat-item clickable ${filter === 'active' ? 'active' : ''}`}
-              onClick={() => setFilter('active')}
+              className={`stat-item clickable ${!activeView && filter === 'active' ? 'active' : ''}`}
+              onClick={() => pickFilter('active')}
             >
               <span className="stat-label">Nesplnených</span>
               <span className="stat-value">{activeCount}</span>
             </div>
             <div
-              className={`stat-item clickable ${filter === 'completed' ? 'active' : ''}`}
-              onClick={() => setFilter('completed')}
+              className={`stat-item clickable ${!activeView && filter === 'completed' ? 'active' : ''}`}
+              onClick={() => pickFilter('completed')}
             >
               <span className="stat-label">Splnených</span>
               <span className="stat-value">{completedCount}</span>
             </div>
             <div
-              className={`stat-item clickable ${filter === 'with-contact' ? 'active' : ''}`}
-              onClick={() => setFilter('with-contact')}
+              className={`stat-item clickable ${!activeView && filter === 'with-contact' ? 'active' : ''}`}
+              onClick={() => pickFilter('with-contact')}
             >
               <span className="stat-label">S kontaktom</span>
               <span className="stat-value">{withContactCount}</span>
             </div>
             <div
-              className={`stat-item clickable ${filter === 'without-contact' ? 'active' : ''}`}
-              onClick={() => setFilter('without-contact')}
+              className={`stat-item clickable ${!activeView && filter === 'without-contact' ? 'active' : ''}`}
+              onClick={() => pickFilter('without-contact')}
             >
               <span className="stat-label">Bez kontaktu</span>
               <span className="stat-value">{withoutContactCount}</span>
             </div>
             <div
-              className={`stat-item clickable ${filter === 'assigned-to-me' ? 'active' : ''}`}
-              onClick={() => setFilter('assigned-to-me')}
+              className={`stat-item clickable ${!activeView && filter === 'assigned-to-me' ? 'active' : ''}`}
+              onClick={() => pickFilter('assigned-to-me')}
             >
               <span className="stat-label">
                 <span className="priority-dot" style={{ backgroundColor: '#3B82F6' }}></span>
@@ -2982,8 +3280,8 @@ function Tasks() {
 
             <h4 style={{ marginTop: '16px', marginBottom: '8px', color: 'var(--text-secondary)' }}>Podľa priority</h4>
             <div
-              className={`stat-item clickable priority-stat ${filter === 'high' ? 'active' : ''}`}
-              onClick={() => setFilter('high')}
+              className={`stat-item clickable priority-stat ${!activeView && filter === 'high' ? 'active' : ''}`}
+              onClick={() => pickFilter('high')}
             >
               <span className="stat-label">
                 <span className="priority-dot" style={{ backgroundColor: '#EF4444' }}></span>
@@ -2992,8 +3290,8 @@ function Tasks() {
               <span className="stat-value">{highPriorityCount}</span>
             </div>
             <div
-              className={`stat-item clickable priority-stat ${filter === 'medium' ? 'active' : ''}`}
-              onClick={() => setFilter('medium')}
+              className={`stat-item clickable priority-stat ${!activeView && filter === 'medium' ? 'active' : ''}`}
+              onClick={() => pickFilter('medium')}
             >
               <span className="stat-label">
                 <span className="priority-dot" style={{ backgroundColor: '#F59E0B' }}></span>
@@ -3002,8 +3300,8 @@ function Tasks() {
               <span className="stat-value">{mediumPriorityCount}</span>
             </div>
             <div
-              className={`stat-item clickable priority-stat ${filter === 'low' ? 'active' : ''}`}
-              onClick={() => setFilter('low')}
+              className={`stat-item clickable priority-stat ${!activeView && filter === 'low' ? 'active' : ''}`}
+              onClick={() => pickFilter('low')}
             >
               <span className="stat-label">
                 <span className="priority-dot" style={{ backgroundColor: '#10B981' }}></span>
@@ -3014,8 +3312,8 @@ function Tasks() {
 
             <div className="sidebar-section-title">Termín</div>
             <div
-              className={`stat-item clickable due-stat ${filter === 'due-success' ? 'active' : ''}`}
-              onClick={() => setFilter('due-success')}
+              className={`stat-item clickable due-stat ${!activeView && filter === 'due-success' ? 'active' : ''}`}
+              onClick={() => pickFilter('due-success')}
             >
               <span className="stat-label">
                 <span className="priority-dot due-success-dot"></span>
@@ -3024,8 +3322,8 @@ function Tasks() {
               <span className="stat-value">{dueSuccessCount}</span>
             </div>
             <div
-              className={`stat-item clickable due-stat ${filter === 'due-warning' ? 'active' : ''}`}
-              onClick={() => setFilter('due-warning')}
+              className={`stat-item clickable due-stat ${!activeView && filter === 'due-warning' ? 'active' : ''}`}
+              onClick={() => pickFilter('due-warning')}
             >
               <span className="stat-label">
                 <span className="priority-dot due-warning-dot"></span>
@@ -3034,8 +3332,8 @@ function Tasks() {
               <span className="stat-value">{dueWarningCount}</span>
             </div>
             <div
-              className={`stat-item clickable due-stat ${filter === 'due-danger' ? 'active' : ''}`}
-              onClick={() => setFilter('due-danger')}
+              className={`stat-item clickable due-stat ${!activeView && filter === 'due-danger' ? 'active' : ''}`}
+              onClick={() => pickFilter('due-danger')}
             >
               <span className="stat-label">
                 <span className="priority-dot due-danger-dot"></span>
@@ -3044,8 +3342,8 @@ function Tasks() {
               <span className="stat-value">{dueDangerCount}</span>
             </div>
             <div
-              className={`stat-item clickable due-stat ${filter === 'overdue' ? 'active' : ''}`}
-              onClick={() => setFilter('overdue')}
+              className={`stat-item clickable due-stat ${!activeView && filter === 'overdue' ? 'active' : ''}`}
+              onClick={() => pickFilter('overdue')}
             >
               <span className="stat-label">
                 <span className="priority-dot overdue-dot"></span>
@@ -3054,6 +3352,31 @@ function Tasks() {
               <span className="stat-value">{overdueCount}</span>
             </div>
           </div>
+
+          <div className="dashboard-stats saved-views">
+            <h3>Uložené pohľady</h3>
+            {savedViews.map(view => (
+              <div
+                key={view.id}
+                className={`stat-item clickable ${activeViewId === view.id ? 'active' : ''}`}
+                onClick={() => openSavedView(view.id)}
+                title={view.isOwn ? view.name : `${view.name} — zdieľal ${view.ownerName || 'iný člen'}`}
+              >
+                <span className="stat-label">
+                  {view.shared ? '👥' : '🔒'} {view.name}
+                </span>
+              </div>
+            ))}
+            <button
+              type="button"
+              className="btn btn-secondary btn-sm saved-views-add"
+              onClick={() => setViewEditor(activeView
+                ? { ...activeView, id: undefined, isOwn: true, name: `${activeView.name} (kópia)`, shared: false }
+                : viewFromListState({ filter, contactFilter, searchQuery }))}
+            >
+              + Uložiť aktuálny pohľad
+            </button>
+          </div>
         </aside>
 
         <main className="crm-main">
@@ -3106,6 +3429,36 @@ function Tasks() {
                       />
                     </div>
                   </div>
+                  <div className="form-group">
+                    <label>Začiatok</label>
+                    <DateInput
+                      value={newTaskForm.startDate}
+                      onChange={(val) => setNewTaskForm({ ...newTaskForm, startDate: val })}
+                      title="Začiatok práce — od neho ide pruh na časovej osi"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>⏱ Odhad (h)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.25"
+                      value={newTaskForm.estimate}
+                      onChange={(e) => setNewTaskForm({ ...newTaskForm, estimate: e.target.value })}
+                      className="form-input task-estimate-input"
+                      placeholder="—"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>🏷 Štítky</label>
+                    <input
+                      type="text"
+                      value={newTaskForm.tags}
+                      onChange={(e) => setNewTaskForm({ ...newTaskForm, tags: e.target.value })}
+                      className="form-input"
+                      placeholder="napr. web, interné"
+                    />
+                  </div>
                   {newTaskForm.dueDate && (
                     <div className="form-group">
                       <label>🔔 Časové pripomienky</label>
@@ -3116,6 +3469,13 @@ function Tasks() {
                       />
                     </div>
                   )}
+                  <div className="form-group">
+                    <label>🔁 Opakovanie</label>
+                    <RecurrencePicker
+                      value={newTaskForm.recurrence}
+                      onChange={(recurrence) => setNewTaskForm({ ...newTaskForm, recurrence })}
+                    />
+                  </div>
                   <div className="form-group">
                     <label>Priorita</label>
                     <select
@@ -3196,8 +3556,31 @@ function Tasks() {
             </div>
           ) : (
             <div className="tasks-page">
+              {/* Aktívny uložený pohľad (?savedView=) */}
+              {activeViewId && (
+                <div className="contact-filter-banner saved-view-banner">
+                  <span>
+                    {activeView
+                      ? <>Pohľad: <strong>{activeView.name}</strong>{activeView.shared ? ' 👥' : ''}</>
+                      : savedViewsLoaded ? 'Pohľad neexistuje alebo k nemu nemáte prístup' : 'Načítavam pohľad...'}
+                  </span>
+                  {activeView && (
+                    <>
+                      <button className="btn btn-secondary btn-sm" onClick={() => setViewEditor(activeView)}>
+                        {activeView.isOwn ? '✎ Upraviť' : 'Nastavenia'}
+                      </button>
+                      <button className="btn btn-secondary btn-sm" onClick={() => copySavedViewLink(activeView)}>
+                        🔗 Odkaz
+                      </button>
+                    </>
+                  )}
+                  <button className="btn btn-secondary btn-sm" onClick={() => navigate('/tasks')}>
+                    × Zavrieť pohľad
+                  </button>
+                </div>
+              )}
               {/* Contact filter banner */}
-              {contactFilter && (
+              {contactFilter && !activeView && (
                 <div className="contact-filter-banner">
                   <span>
                     Projekty pre kontakt: <strong>{contacts.find(c => c.id === contactFilter)?.name || 'Načítavam...'}</strong>
@@ -3212,7 +3595,7 @@ function Tasks() {
               )}
               <div className="tasks-header">
                 <div className="tasks-header-top">
-                  <h2>{viewMode === 'list' ? `Zoznam projektov (${sortedFilteredTasks.length})` : viewMode === 'mine' ? `Moje úlohy (${myItems.length - myGroups.done.length})` : 'Kalendár termínov'}</h2>
+                  <h2>{viewMode === 'list' ? `Zoznam projektov (${sortedFilteredTasks.length})` : viewMode === 'board' ? `Nástenka (${sortedFilteredTasks.length})` : viewMode === 'timeline' ? `Časová os (${sortedFilteredTasks.length})` : viewMode === 'mine' ? `Moje úlohy (${myItems.length - myGroups.done.length})` : 'Kalendár termínov'}</h2>
                   <div className="view-toggle">
                     <button
                       className={`view-toggle-btn ${viewMode === 'list' ? 'active' : ''}`}
@@ -3221,6 +3604,20 @@ function Tasks() {
                     >
                       ☰
                     </button>
+                    <button
+                      className={`view-toggle-btn ${viewMode === 'board' ? 'active' : ''}`}
+                      onClick={() => setViewMode('board')}
+                      title="Nástenka"
+                    >
+                      ▥
+                    </button>
+                    <button
+                      className={`view-toggle-btn ${viewMode === 'timeline' ? 'active' : ''}`}
+                      onClick={() => setViewMode('timeline')}
+                      title="Časová os"
+                    >
+                      ▤
+                    </button>
                     <button
                       className={`view-toggle-btn ${viewMode === 'calendar' ? 'active' : ''}`}
                       onClick={() => setViewMode('calendar')}
@@ -3243,6 +3640,14 @@ function Tasks() {
                     >
                       📥 CSV
                     </button>
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => setShowTimeReport(true)}
+                      title="Výkaz odpracovaného času"
+                      style={{ marginLeft: '8px' }}
+                    >
+                      ⏱ Výkaz
+                    </button>
                   </div>
                 </div>
                 <div className="search-box">
@@ -3326,6 +3731,35 @@ function Tasks() {
                     )}
                   </div>
                 )
+              ) : viewMode === 'board' ? (
+                loading ? (
+                  <div className="loading">Načítavam...</div>
+                ) : (
+                  <TaskBoard
+                    tasks={sortedFilteredTasks}
+                    statuses={taskStatuses}
+                    getDueDateClass={getDueDateClass}
+                    onMove={moveTaskOnBoard}
+                    onOpenTask={(task) => {
+                      setViewMode('list');
+                      processHighlight(task.id, null);
+                    }}
+                    onEditStatuses={canManageStatuses ? () => setShowStatusEditor(true) : undefined}
+                  />
+                )
+              ) : viewMode === 'timeline' ? (
+                loading ? (
+                  <div className="loading">Načítavam...</div>
+                ) : (
+                  <TaskTimeline
+                    tasks={sortedFilteredTasks}
+                    getDueDateClass={getDueDateClass}
+                    onOpenItem={(task, subtaskId) => {
+                      setViewMode('list');
+                      processHighlight(task.id, subtaskId);
+                    }}
+                  />
+                )
               ) : viewMode === 'calendar' ? (
                 <CalendarView
                   tasks={sortedFilteredTasks}
@@ -3370,16 +3804,24 @@ function Tasks() {
                 </div>
               ) : (
                 <DndContext sensors={sensors} collisionDetection={closestCenter} modifiers={[restrictToVerticalAxis]} autoScroll={false} onDragEnd={handleTaskDragEnd}>
-                  <SortableContext items={sortedFilteredTasks.map(t => t.id || t._id)} strategy={verticalListSortingStrategy}>
+                  <SortableContext items={listTasks.map(t => t.id || t._id)} strategy={verticalListSortingStrategy}>
                 <div className="tasks-list">
-                  {sortedFilteredTasks.map(task => {
+                  {listTasks.map(task => {
                     // Check if main task matches assigned filter
                     const currentUserId = user?.id?.toString();
                     const taskMatchesAssigned = isAssignedFilter(filter) && currentUserId &&
                       (task.assignedTo || []).some(id => id?.toString() === currentUserId);
 
+                    const group = groupHeaders.get(task.id);
+
                     return (
-                    <SortableTaskItem key={task.id} id={task.id || task._id}>
+                    <Fragment key={task.id}>
+                    {group && (
+                      <div className="task-group-header">
+                        {group.label} <span className="task-group-count">{group.tasks.length}</span>
+                      </div>
+                    )}
+                    <SortableTaskItem id={task.id || task._id}>
                       {({ dragListeners, isDragging }) => (
                     <div
                       ref={el => taskRefs.current[task.id] = el}
@@ -3391,7 +3833,7 @@ function Tasks() {
                         if (editingTask === task.id) return;
                         toggleTaskExpanded(task.id);
                       }}>
-                        {editingTask !== task.id && <span className="drag-handle" {...dragListeners}>⠿</span>}
+                        {editingTask !== task.id && canReorderTasks && <span className="drag-handle" {...dragListeners}>⠿</span>}
                         <div
                           className="task-checkbox-styled"
                           onClick={() => (!task.completed || user?.role === 'admin') && toggleTask(task)}
@@ -3419,6 +3861,11 @@ function Tasks() {
                               rows={2}
                             />
                             <div className="task-edit-row">
+                              <DateInput
+                                value={editForm.startDate || ''}
+                                onChange={(val) => setEditForm({ ...editForm, startDate: val })}
+                                title="Začiatok práce"
+                              />
                               <DateInput
                                 value={editForm.dueDate}
                                 onChange={(val) => setEditForm({ ...editForm, dueDate: val, reminder: val ? editForm.reminder : '', dueTime: val ? editForm.dueTime : '' })}
@@ -3448,6 +3895,62 @@ function Tasks() {
                                 />
                               </div>
                             )}
+                            <div className="form-group">
+                              <label>🏷 Štítky</label>
+                              <input
+                                type="text"
+                                value={editForm.tags || ''}
+                                onChange={(e) => setEditForm({ ...editForm, tags: e.target.value })}
+                                className="form-input"
+                                placeholder="napr. web, interné"
+                              />
+                            </div>
+                            <div className="form-group">
+                              <label>🔁 Opakovanie</label>
+                              <RecurrencePicker
+                                value={editForm.recurrence}
+                                onChange={(recurrence) => setEditForm({ ...editForm, recurrence })}
+                              />
+                            </div>
+                            <div className="form-group">
+                              <label>⛔ Čaká na</label>
+                              <DependencyPicker
+                                item={task}
+                                tasks={tasks}
+                                onSaved={({ version }) => {
+                                  // Závislosti sa ukladajú hneď — bez posunu verzie by
+                                  // uloženie formulára skončilo falošným konfliktom
+                                  setEditBase(base => (base ? { ...base, version: version || base.version } : base));
+                                  fetchTasks();
+                                }}
+                              />
+                            </div>
+                            <div className="form-group">
+                              <label>⏱ Odhad a odpracovaný čas</label>
+                              <div className="task-edit-row">
+                                <input
+                                  type="number"
+                                  min="0"
+                                  step="0.25"
+                                  value={editForm.estimate || ''}
+                                  onChange={(e) => setEditForm({ ...editForm, estimate: e.target.value })}
+                                  className="form-input task-estimate-input"
+                                  placeholder="Odhad (h)"
+                                  title="Odhad v hodinách"
+                                />
+                              </div>
+                              <TimeTracker
+                                item={task}
+                                userId={user?.id?.toString()}
+                                users={users}
+                                canAdmin={isWorkspaceAdmin}
+                                onChanged={({ version }) => {
+                                  // Záznamy času sa ukladajú hneď — rovnako ako závislosti
+                                  setEditBase(base => (base ? { ...base, version: version || base.version } : base));
+                                  fetchTasks();
+                                }}
+                              />
+                            </div>
                             <div className="form-group">
                               <label>Kontakty</label>
                               <div className="multi-select-contacts compact">
@@ -3527,6 +4030,22 @@ function Tasks() {
                                   {task.reminder != null && <span title={`Pripomienka ${task.reminder === 0 ? 'v deň termínu' : task.reminder + ' dní pred'}`}> 🔔</span>}
                                 </span>
                               )}
+                              {task.recurrence?.freq && (
+                                <span className="recurrence-badge" title="Opakovaný projekt">
+                                  🔁 {describeRecurrence(task.recurrence)}
+                                </span>
+                              )}
+                              {blockedTitle(task) && (
+                                <span className="blocked-badge" title={blockedTitle(task)}>
+                                  ⛔ {openBlockers(task, dependencyIndex).length}
+                                </span>
+                              )}
+                              {(!task.completed || trackedMinutes(task) > 0) && (
+                                <TimeTracker item={task} userId={user?.id?.toString()} compact onChanged={fetchTasks} />
+                              )}
+                              {(task.tags || []).map(tag => (
+                                <span key={tag} className="task-tag">#{tag}</span>
+                              ))}
                               {(task.contactName || task.contactNames?.length > 0) && (
                                 <span
                                   className="contact-badge contact-badge-clickable"
@@ -3637,6 +4156,24 @@ function Tasks() {
                             )}
                           </div>
 
+                          {/* Linked pages */}
+                          {linkedPages[task.id]?.length > 0 && (
+                            <div className="task-files-section">
+                              <div className="task-files-header">
+                                <span>📄 Stránky ({linkedPages[task.id].length})</span>
+                              </div>
+                              <div className="task-files-list">
+                                {linkedPages[task.id].map(page => (
+                                  <div key={page.id} className="task-file-item" style={{ cursor: 'pointer' }}
+                                    onClick={() => navigate(`/app?page=${page.id}`)}>
+                                    <span className="task-file-icon">{page.icon || '📄'}</span>
+                                    <span className="task-file-name" title={page.title}>{page.title || 'Untitled'}</span>
+                                  </div>
+                                ))}
+                              </div>
+                            </div>
+                          )}
+
                           {/* Linked messages */}
                           {linkedMessages[task.id]?.length > 0 && (
                             <div className="task-files-section">
@@ -3797,6 +4334,7 @@ function Tasks() {
                     </div>
                       )}
                     </SortableTaskItem>
+                    </Fragment>
                   )})}
                 </div>
                   </SortableContext>
@@ -3917,6 +4455,66 @@ function Tasks() {
         />
       )}
 
+      {/* Zlúčenie úpravy projektu, ktorý medzitým upravil niekto iný */}
+      {taskConflict && (
+        <VersionConflictModal
+          key={taskConflict.version}
+          title={`Projekt „${taskConflict.title}" medzitým niekto upravil`}
+          fields={taskConflictFields}
+          base={taskConflict.base}
+          mine={taskConflict.mine}
+          current={taskConflict.current}
+          onSave={saveMergedTask}
+          onDiscard={discardTaskEdit}
+          onCancel={() => setTaskConflict(null)}
+        />
+      )}
+
+      {/* Nastavenie stavov Kanban nástenky (owner/manager) */}
+      {showStatusEditor && (
+        <TaskStatusEditor
+          statuses={taskStatuses}
+          onSaved={(statuses) => {
+            setTaskStatuses(statuses);
+            setShowStatusEditor(false);
+          }}
+          onClose={() => setShowStatusEditor(false)}
+        />
+      )}
+
+      {/* Uloženie / úprava pohľadu zoznamu projektov */}
+      {viewEditor && (
+        <TaskViewEditor
+          view={viewEditor}
+          users={users}
+          contacts={contacts}
+          statuses={taskStatuses}
+          canDelete={!viewEditor.id || viewEditor.isOwn || (viewEditor.shared && isWorkspaceAdmin)}
+          onSaved={(view) => {
+            setViewEditor(null);
+            fetchSavedViews();
+            openSavedView(view.id);
+          }}
+          onDeleted={(viewId) => {
+            setViewEditor(null);
+            fetchSavedViews();
+            if (activeViewId === viewId) navigate('/tasks');
+          }}
+          onClose={() => setViewEditor(null)}
+        />
+      )}
+
+      {/* Výkaz odpracovaného času (súčty per kontakt a člen, CSV) */}
+      {showTimeReport && (
+        <TimeReport
+          onClose={() => setShowTimeReport(false)}
+          onOpenTask={(taskId) => {
+            setShowTimeReport(false);
+            processHighlight(taskId, null);
+          }}
+        />
+      )}
+
       {/* Potvrdenie uzavretia projektu po dokončení poslednej úlohy */}
       {projectClosePrompt && (
         <ConfirmModal
@@ -0,0 +1,92 @@
+/**
+ * offlineStore — IndexedDB úložisko pre offline režim (services/offlineSync.js).
+ *
+ * Dve tabuľky (object stores):
+ *   responses — posledná odpoveď GET requestov na kontakty, úlohy, stránky
+ *               a správy: { key, workspaceId, path, data, storedAt }
+ *   outbox    — zmeny urobené offline, čakajúce na odoslanie:
+ *               { id, workspaceId, client, method, url, data, status, … }
+ *
+ * Bez IndexedDB (starý prehliadač, privátny režim Firefoxu) sú všetky
+ * funkcie no-op — aplikácia funguje ako doteraz, len bez offline režimu.
+ */
+
+const DB_NAME = 'prpl-offline';
+const DB_VERSION = 1;
+const RESPONSES = 'responses';
+const OUTBOX = 'outbox';
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  if (typeof indexedDB === 'undefined') {
+    dbPromise = Promise.resolve(null);
+    return dbPromise;
+  }
+  dbPromise = new Promise((resolve) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(RESPONSES)) {
+        const responses = db.createObjectStore(RESPONSES, { keyPath: 'key' });
+        responses.createIndex('workspaceId', 'workspaceId');
+      }
+      if (!db.objectStoreNames.contains(OUTBOX)) {
+        db.createObjectStore(OUTBOX, { keyPath: 'id', autoIncrement: true });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    // Zablokované / zakázané IndexedDB — offline režim jednoducho nebude
+    request.onerror = () => resolve(null);
+    request.onblocked = () => resolve(null);
+  });
+  return dbPromise;
+}
+
+// Jedna operácia nad jednou tabuľkou; výsledok až po dokončení transakcie
+// (zápis je vtedy naozaj uložený). Bez DB vráti `fallback`.
+async function run(storeName, mode, operation, fallback = null) {
+  const db = await openDb();
+  if (!db) return fallback;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = operation(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error || request.error);
+    tx.onabort = () => reject(tx.error || request.error);
+  });
+}
+
+export const getResponse = (key) => run(RESPONSES, 'readonly', store => store.get(key));
+
+export const putResponse = (entry) => run(RESPONSES, 'readwrite', store => store.put(entry));
+
+export const deleteResponse = (key) => run(RESPONSES, 'readwrite', store => store.delete(key));
+
+export const listResponses = (workspaceId) =>
+  run(RESPONSES, 'readonly', store => store.index('workspaceId').getAll(workspaceId), []);
+
+export const listOutbox = () => run(OUTBOX, 'readonly', store => store.getAll(), []);
+
+export const addOutbox = (entry) => run(OUTBOX, 'readwrite', store => store.add(entry));
+
+export const putOutbox = (entry) => run(OUTBOX, 'readwrite', store => store.put(entry));
+
+export const deleteOutbox = (id) => run(OUTBOX, 'readwrite', store => store.delete(id));
+
+/**
+ * Zmaže všetky offline dáta — pri odhlásení, aby na zdieľanom zariadení
+ * nezostali kontakty ani neodoslané zmeny predošlého používateľa.
+ */
+export async function clearOfflineData() {
+  const db = await openDb();
+  if (!db) return;
+  const tx = db.transaction([RESPONSES, OUTBOX], 'readwrite');
+  tx.objectStore(RESPONSES).clear();
+  tx.objectStore(OUTBOX).clear();
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+  });
+}
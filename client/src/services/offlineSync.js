@@ -0,0 +1,488 @@
+/**
+ * offlineSync — offline režim pre kontakty, úlohy, stránky a správy.
+ *
+ * installOfflineSupport(instance, name) pridá do axios inštancie:
+ *   - GET na /api/contacts|tasks|messages|pages… — úspešná odpoveď sa uloží
+ *     do IndexedDB (services/offlineStore.js) pre aktívny workspace; bez
+ *     spojenia sa vráti uložená (response.offline = true, response.cachedAt)
+ *   - zmeny bez spojenia — vytvorenie (POST na kolekciu), úprava (PUT/PATCH)
+ *     a zmazanie (DELETE) jedného záznamu idú do outboxu a volajúci dostane
+ *     hneď odpoveď 202 s očakávaným výsledkom; uložené zoznamy sa upravia,
+ *     aby zmena bola vidno aj po znovunačítaní. Nový záznam má dočasné id
+ *     `offline-…`, ktoré sa po odoslaní nahradí skutočným aj v ďalších
+ *     zmenách v outboxe. Iné zmeny (podúlohy, súbory, komentáre…) offline
+ *     nejdú — volajúci dostane chybu ako doteraz.
+ *
+ * Po pripojení (udalosť `online`, a kým niečo čaká, aj raz za minútu)
+ * replayOutbox() pošle zmeny v poradí, v akom vznikli, na tie isté REST
+ * endpointy. Pred úpravou / zmazaním porovná verziu záznamu na serveri
+ * (pole `version`, pri starších odpovediach updatedAt / modifiedAt) s verziou,
+ * ktorú používateľ upravoval; keď sa líšia, zmena sa neodošle a čaká na
+ * rozhodnutie (status 'conflict'). Úprava ide aj s If-Match, takže zmenu
+ * medzi kontrolou a odoslaním odmietne server (409 VERSION_CONFLICT). Zmeny, ktoré server odmietne (4xx), majú status
+ * 'rejected'. Oboje rieši components/OfflineSyncPanel.jsx cez resolveEntry().
+ */
+import { getStoredWorkspaceId } from '../utils/workspaceStorage';
+import {
+  getResponse,
+  putResponse,
+  deleteResponse,
+  listResponses,
+  listOutbox,
+  addOutbox,
+  putOutbox,
+  deleteOutbox
+} from './offlineStore';
+
+export const OFFLINE_ERROR_CODE = 'ERR_OFFLINE';
+
+const RETRY_INTERVAL_MS = 60 * 1000;
+
+const RESOURCE_RE = /^\/api\/(contacts|tasks|messages|pages)(\/|$)/;
+const COLLECTION_RE = /^\/api\/(contacts|tasks|messages|pages)$/;
+// ObjectId, UUID (úlohy v kontakte) alebo dočasné id záznamu vytvoreného offline
+const ENTITY_RE = /^\/api\/(contacts|tasks|messages|pages)\/([a-f0-9]{24}|[a-f0-9-]{36}|offline-[a-z0-9]+-[a-z0-9]+)$/i;
+const TEMP_ID_RE = /offline-[a-z0-9]+-[a-z0-9]+/i;
+
+const clients = new Map(); // name -> axios inštancia (pre replay)
+const listeners = new Set();
+let replaying = null;
+let triggersInstalled = false;
+
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+const currentWorkspaceId = () => getStoredWorkspaceId() || 'default';
+const entityId = (entity) => String(entity?.id || entity?._id || '');
+// Verzia ako na serveri (server/utils/entityVersion.js) — updatedAt v ms ako
+// reťazec; zmeny uložené staršou verziou appky majú v baseVersion ISO dátum
+const normalizeVersion = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (/^\d+$/.test(String(value))) return String(value);
+  const time = new Date(value).getTime();
+  return Number.isFinite(time) ? String(time) : null;
+};
+const versionOf = (entity) => normalizeVersion(entity?.version || entity?.updatedAt || entity?.modifiedAt);
+const sameVersion = (a, b) => normalizeVersion(a) === normalizeVersion(b);
+const hasTempId = (value) => TEMP_ID_RE.test(value);
+
+function notify() {
+  for (const listener of listeners) listener();
+}
+
+/**
+ * Odber zmien outboxu (pridanie, odoslanie, konflikt). Vracia unsubscribe.
+ */
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Cesta bez query + kľúč pre uloženú odpoveď (workspace, cesta, parametre)
+function describe(config) {
+  const url = new URL(config.url || '', 'http://offline.local');
+  const params = new URLSearchParams(url.search);
+  for (const [key, value] of Object.entries(config.params || {})) {
+    if (value !== undefined && value !== null) params.append(key, String(value));
+  }
+  params.sort();
+  const query = params.toString();
+  const workspaceId = currentWorkspaceId();
+  return { path: url.pathname, workspaceId, key: `${workspaceId}|${url.pathname}${query ? `?${query}` : ''}` };
+}
+
+function parseBody(data) {
+  if (typeof data !== 'string') return data ?? null;
+  try {
+    return JSON.parse(data);
+  } catch {
+    return undefined;
+  }
+}
+
+const isCacheable = (config, path) =>
+  (config.method || 'get').toLowerCase() === 'get' &&
+  !['blob', 'arraybuffer'].includes(config.responseType) &&
+  RESOURCE_RE.test(path);
+
+function isQueueable(config, path) {
+  const method = (config.method || 'get').toUpperCase();
+  if (typeof FormData !== 'undefined' && config.data instanceof FormData) return false;
+  if (parseBody(config.data) === undefined) return false;
+  if (method === 'POST') return COLLECTION_RE.test(path);
+  return ['PUT', 'PATCH', 'DELETE'].includes(method) && ENTITY_RE.test(path);
+}
+
+function handles(config) {
+  const { path } = describe(config);
+  return isCacheable(config, path) || isQueueable(config, path);
+}
+
+function offlineError(config, message) {
+  const error = new Error(message);
+  error.code = OFFLINE_ERROR_CODE;
+  error.config = config;
+  error.isAxiosError = true;
+  return error;
+}
+
+const offlineResponse = (config, data, status, extra = {}) => ({
+  data,
+  status,
+  statusText: status === 202 ? 'Accepted' : 'OK',
+  headers: {},
+  config,
+  request: null,
+  offline: true,
+  ...extra
+});
+
+// ─── Uložené odpovede ──────────────────────────────────────────────
+
+function storeResponse(response) {
+  const { path, workspaceId, key } = describe(response.config);
+  putResponse({ key, workspaceId, path, data: response.data, storedAt: new Date().toISOString() })
+    .catch(() => { /* plné úložisko — offline režim bude bez týchto dát */ });
+}
+
+// Záznam v uložených odpovediach (detail alebo položka niektorého zoznamu)
+async function findCachedEntity(workspaceId, resource, id) {
+  const responses = await listResponses(workspaceId);
+  const detail = responses.find(r => r.path === `/api/${resource}/${id}`);
+  if (detail?.data && typeof detail.data === 'object') return detail.data;
+  for (const r of responses) {
+    if (r.path !== `/api/${resource}` || !Array.isArray(r.data)) continue;
+    const item = r.data.find(entity => entityId(entity) === id);
+    if (item) return item;
+  }
+  return null;
+}
+
+// Upraví záznam vo všetkých uložených zoznamoch a v detaile;
+// `update` vráti nový záznam alebo null (zmazaný)
+async function patchCachedEntity(workspaceId, resource, id, update) {
+  for (const r of await listResponses(workspaceId)) {
+    if (r.path === `/api/${resource}/${id}`) {
+      const next = update(r.data);
+      if (next) await putResponse({ ...r, data: next });
+      else await deleteResponse(r.key);
+    } else if (r.path === `/api/${resource}` && Array.isArray(r.data) && r.data.some(e => entityId(e) === id)) {
+      const data = r.data.map(e => (entityId(e) === id ? update(e) : e)).filter(Boolean);
+      await putResponse({ ...r, data });
+    }
+  }
+}
+
+async function addToCachedCollections(workspaceId, resource, entity) {
+  for (const r of await listResponses(workspaceId)) {
+    if (r.path === `/api/${resource}` && Array.isArray(r.data)) {
+      await putResponse({ ...r, data: [entity, ...r.data] });
+    }
+  }
+}
+
+// ─── Outbox ────────────────────────────────────────────────────────
+
+async function enqueue(clientName, config, path) {
+  const { workspaceId } = describe(config);
+  const method = (config.method || 'get').toUpperCase();
+  const body = parseBody(config.data);
+  const now = new Date().toISOString();
+  const entry = {
+    workspaceId,
+    client: clientName,
+    method,
+    url: config.url,
+    params: config.params || null,
+    data: body,
+    status: 'pending',
+    createdAt: now
+  };
+
+  if (method === 'POST') {
+    const [, resource] = path.match(COLLECTION_RE);
+    const tempId = `offline-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    const created = { ...body, id: tempId, _id: tempId, createdAt: now, updatedAt: now, _offline: true };
+    await addOutbox({ ...entry, resource, entityId: null, tempId, label: body?.name || body?.title || null });
+    await addToCachedCollections(workspaceId, resource, created);
+    notify();
+    return created;
+  }
+
+  const [, resource, id] = path.match(ENTITY_RE);
+  const pending = (await listOutbox()).filter(e => e.status === 'pending');
+
+  // Zmazanie záznamu, ktorý ešte neodišiel — stačí zahodiť jeho zmeny
+  if (method === 'DELETE' && hasTempId(id)) {
+    for (const e of pending) {
+      if (e.tempId === id || e.url.includes(id)) await deleteOutbox(e.id);
+    }
+    await patchCachedEntity(workspaceId, resource, id, () => null);
+    notify();
+    return { message: 'Záznam bol odstránený', _offline: true };
+  }
+
+  const cached = await findCachedEntity(workspaceId, resource, id);
+  // Verzia, ktorú používateľ videl pred prvou offline zmenou záznamu
+  const earlier = pending.find(e => e.resource === resource && e.entityId === id && e.baseVersion);
+  await addOutbox({
+    ...entry,
+    resource,
+    entityId: id,
+    baseVersion: earlier ? earlier.baseVersion : hasTempId(id) ? null : versionOf(cached),
+    label: body?.name || body?.title || cached?.name || cached?.title || null
+  });
+
+  let result;
+  if (method === 'DELETE') {
+    await patchCachedEntity(workspaceId, resource, id, () => null);
+    result = { message: 'Záznam sa zmaže po pripojení', _offline: true };
+  } else {
+    result = { ...(cached || {}), ...body, _offline: true };
+    await patchCachedEntity(workspaceId, resource, id, (entity) => ({ ...entity, ...body, _offline: true }));
+  }
+  notify();
+  return result;
+}
+
+// Bez spojenia: GET z uložených odpovedí, zmena do outboxu
+async function offlineAdapter(clientName, config) {
+  const { path, key } = describe(config);
+  if (isCacheable(config, path)) {
+    const cached = await getResponse(key).catch(() => null);
+    if (!cached) throw offlineError(config, 'Ste offline a tieto dáta nie sú uložené v zariadení');
+    return offlineResponse(config, cached.data, 200, { cachedAt: cached.storedAt });
+  }
+  return offlineResponse(config, await enqueue(clientName, config, path), 202);
+}
+
+/**
+ * Napojí axios inštanciu na offline režim. `name` identifikuje inštanciu
+ * pri replayi (zmena sa pošle tou istou, s jej baseURL a hlavičkami).
+ * Request `{ offline: false }` offline režim obchádza.
+ */
+export function installOfflineSupport(instance, name) {
+  clients.set(name, instance);
+  const adapter = (config) => offlineAdapter(name, config);
+
+  instance.interceptors.request.use((config) => {
+    if (config.offline !== false && isOffline() && handles(config)) {
+      config.adapter = adapter;
+    }
+    return config;
+  });
+
+  instance.interceptors.response.use(
+    (response) => {
+      const config = response.config;
+      if (!response.offline && config.offline !== false && isCacheable(config, describe(config).path)) {
+        storeResponse(response);
+      }
+      return response;
+    },
+    (error) => {
+      const config = error.config;
+      // Len výpadok siete (aj po retry v api.js) — nie timeout, ten mohol
+      // na serveri prejsť, a nie odpoveď servera
+      if (!config || config.offline === false || error.response || error.code !== 'ERR_NETWORK' || !handles(config)) {
+        return Promise.reject(error);
+      }
+      return adapter(config);
+    }
+  );
+
+  installTriggers();
+}
+
+function installTriggers() {
+  if (triggersInstalled || typeof window === 'undefined') return;
+  triggersInstalled = true;
+  window.addEventListener('online', () => { replayOutbox(); });
+  window.addEventListener('offline', notify);
+  setInterval(() => { replayOutbox(); }, RETRY_INTERVAL_MS);
+  replayOutbox();
+}
+
+// Dočasné id nového záznamu → skutočné, v ešte neodoslaných zmenách aj
+// v uložených zoznamoch (tam ho nahradí záznam zo servera)
+async function resolveTempId(entries, created, serverEntity) {
+  const { tempId, workspaceId, resource } = created;
+  const realId = entityId(serverEntity);
+  for (const entry of entries) {
+    if (entry.status === 'done') continue;
+    const url = entry.url.split(tempId).join(realId);
+    const data = JSON.parse(JSON.stringify(entry.data ?? null).split(tempId).join(realId));
+    if (url === entry.url && JSON.stringify(data) === JSON.stringify(entry.data ?? null)) continue;
+    Object.assign(entry, { url, data, entityId: entry.entityId === tempId ? realId : entry.entityId });
+    await putOutbox(entry);
+  }
+  await patchCachedEntity(workspaceId, resource, tempId, (entity) => withServerData(entity, serverEntity));
+}
+
+// Uložený záznam po odoslaní zmeny — už bez príznaku offline zmeny
+function withServerData(entity, serverEntity) {
+  const { _offline, ...rest } = entity;
+  return { ...rest, ...serverEntity };
+}
+
+const errorInfo = (error) => ({
+  status: error.response?.status || null,
+  code: error.response?.data?.code || null,
+  message: error.response?.data?.message || error.message
+});
+
+// Pred úpravou: zmenil sa záznam na serveri odkedy ho používateľ videl?
+// Vracia { conflict, current } alebo { gone: true }.
+async function checkVersion(client, entry, headers) {
+  try {
+    const res = await client.get(`/api/${entry.resource}/${entry.entityId}`, { headers, offline: false });
+    const current = res.data;
+    const version = versionOf(current);
+    return { conflict: Boolean(version) && !sameVersion(version, entry.baseVersion), current };
+  } catch (error) {
+    if (error.response?.status === 404) return { gone: true };
+    throw error;
+  }
+}
+
+async function replayEntries() {
+  if (isOffline()) return;
+  const entries = (await listOutbox()).sort((a, b) => a.id - b.id);
+  const rootKey = (entry) => `${entry.workspaceId}|${entry.resource}|${entry.entityId || entry.tempId}`;
+  const verified = new Set(); // záznamy, ktorých verzia už v tomto behu sedela
+  // Záznamy s nevyriešeným konfliktom — ďalšie zmeny počkajú na rozhodnutie
+  const held = new Set(entries.filter(e => e.status === 'conflict').map(rootKey));
+
+  for (const entry of entries) {
+    if (entry.status !== 'pending' || held.has(rootKey(entry))) continue;
+    const client = clients.get(entry.client);
+    if (!client) continue;
+
+    if (hasTempId(entry.url) || hasTempId(JSON.stringify(entry.data ?? null))) {
+      Object.assign(entry, {
+        status: 'rejected',
+        error: { status: null, code: 'DEPENDS_ON_REJECTED', message: 'Nový záznam, ktorého sa zmena týka, sa nepodarilo uložiť' }
+      });
+      await putOutbox(entry);
+      continue;
+    }
+
+    const headers = { 'X-Workspace-Id': entry.workspaceId };
+    try {
+      if (entry.baseVersion && !entry.force && !verified.has(rootKey(entry))) {
+        const check = await checkVersion(client, entry, headers);
+        if (check.gone) {
+          if (entry.method === 'DELETE') {
+            await deleteOutbox(entry.id);
+            entry.status = 'done';
+          } else {
+            Object.assign(entry, {
+              status: 'rejected',
+              error: { status: 404, code: 'NOT_FOUND', message: 'Záznam medzitým niekto zmazal' }
+            });
+            await putOutbox(entry);
+          }
+          continue;
+        }
+        if (check.conflict) {
+          Object.assign(entry, { status: 'conflict', serverData: check.current, error: null });
+          await putOutbox(entry);
+          held.add(rootKey(entry));
+          continue;
+        }
+      }
+
+      // If-Match len pri prvej zmene záznamu — ďalšie vychádzajú z už odoslanej.
+      // Overené a vynútené úpravy idú s If-Match: * (vedomé prepísanie), aby
+      // ich server neodmietol ako úpravu bez verzie (napr. podúlohy → 428)
+      const checkVersionOnServer = entry.baseVersion && !entry.force && !verified.has(rootKey(entry));
+      const ifMatch = checkVersionOnServer
+        ? `"${normalizeVersion(entry.baseVersion)}"`
+        : (entry.method === 'PUT' || entry.method === 'PATCH') && '*';
+      const res = await client.request({
+        method: entry.method,
+        url: entry.url,
+        params: entry.params || undefined,
+        data: entry.data ?? undefined,
+        headers: ifMatch ? { ...headers, 'If-Match': ifMatch } : headers,
+        offline: false
+      });
+      verified.add(rootKey(entry));
+      await deleteOutbox(entry.id);
+      entry.status = 'done';
+      if (entry.tempId && entityId(res.data)) {
+        await resolveTempId(entries, entry, res.data);
+      } else if (entry.method !== 'DELETE' && entityId(res.data) === entry.entityId) {
+        // Uložená verzia = serverová, inak by ďalšia offline úprava hlásila konflikt
+        await patchCachedEntity(entry.workspaceId, entry.resource, entry.entityId, (entity) => withServerData(entity, res.data));
+      }
+    } catch (error) {
+      // Spojenie znova vypadlo — zvyšok počká na ďalší pokus
+      if (!error.response) return;
+      if (entry.method === 'DELETE' && error.response.status === 404) {
+        await deleteOutbox(entry.id);
+        entry.status = 'done';
+        continue;
+      }
+      const conflict = error.response.status === 409;
+      Object.assign(entry, {
+        status: conflict ? 'conflict' : 'rejected',
+        serverData: conflict ? error.response.data?.current || null : null,
+        error: errorInfo(error)
+      });
+      await putOutbox(entry);
+      if (conflict) held.add(rootKey(entry));
+    }
+  }
+}
+
+/**
+ * Pošle čakajúce zmeny na server. Súbežné volania zdieľajú jeden beh.
+ */
+export function replayOutbox() {
+  if (!replaying) {
+    replaying = replayEntries()
+      .catch(() => { /* IndexedDB nedostupné — skúsi sa pri ďalšom spustení */ })
+      .finally(() => {
+        replaying = null;
+        notify();
+      });
+    notify();
+  }
+  return replaying;
+}
+
+export const isReplaying = () => replaying !== null;
+
+/**
+ * Zmeny v outboxe, od najstaršej.
+ */
+export async function getOutbox() {
+  return (await listOutbox()).sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Rozhodnutie o odmietnutej alebo konfliktnej zmene:
+ *   'retry'     — poslať znova (odmietnutú, napr. po oprave na inom zariadení)
+ *   'overwrite' — poslať napriek konfliktu, prepíše verziu na serveri
+ *   'discard'   — zahodiť (pri novom zázname aj zmeny, ktoré od neho závisia)
+ */
+export async function resolveEntry(id, action) {
+  const entries = await getOutbox();
+  const entry = entries.find(e => e.id === id);
+  if (!entry) return;
+  if (action === 'discard') {
+    await deleteOutbox(entry.id);
+    if (entry.tempId) {
+      for (const other of entries) {
+        if (other.id !== entry.id && (other.url.includes(entry.tempId) || JSON.stringify(other.data ?? null).includes(entry.tempId))) {
+          await deleteOutbox(other.id);
+        }
+      }
+    }
+    notify();
+    return;
+  }
+  Object.assign(entry, { status: 'pending', force: action === 'overwrite', error: null, serverData: null });
+  await putOutbox(entry);
+  notify();
+  await replayOutbox();
+}
@@ -0,0 +1,79 @@
+/**
+ * blockTree.js — úpravy stromu blokov stránky v stave editora.
+ *
+ * Bloky majú `children` (toggle a vnorené bloky), takže vkladanie, mazanie
+ * aj zmena jedného bloku musia ísť rekurzívne. Funkcie sú nemenné — vracajú
+ * nové polia, pôvodné nechajú tak (React state).
+ */
+
+// Upraví jeden blok v strome
+export const mapBlock = (blocks, blockId, fn) => blocks.map((b) => {
+  if (b.id === blockId) return fn(b);
+  if (b.children && b.children.length > 0) return { ...b, children: mapBlock(b.children, blockId, fn) };
+  return b;
+});
+
+export const containsBlock = (blocks, blockId) =>
+  (blocks || []).some((b) => b.id === blockId || containsBlock(b.children, blockId));
+
+// Vloží blok za `afterBlockId` (k jeho súrodencom). Ak taký blok nie je,
+// pridá ho na koniec najvyššej úrovne.
+export const insertBlockAfter = (blocks, afterBlockId, block) => {
+  let inserted = false;
+  const walk = (list) => {
+    const index = list.findIndex((b) => b.id === afterBlockId);
+    if (index !== -1) {
+      inserted = true;
+      return [...list.slice(0, index + 1), block, ...list.slice(index + 1)];
+    }
+    return list.map((b) => {
+      if (inserted || !b.children || b.children.length === 0) return b;
+      const children = walk(b.children);
+      return children === b.children ? b : { ...b, children };
+    });
+  };
+  const result = afterBlockId ? walk(blocks) : blocks;
+  return inserted ? result : [...blocks, block];
+};
+
+// Pridá blok ako posledné dieťa `parentBlockId`
+export const appendChildBlock = (blocks, parentBlockId, block) =>
+  mapBlock(blocks, parentBlockId, (b) => ({ ...b, children: [...(b.children || []), block] }));
+
+// Zoradí deti `parentBlockId` (alebo najvyššiu úroveň) podľa `blockIds`.
+// Ak zoznam nesedí s aktuálnymi súrodencami, strom ostane bez zmeny.
+export const reorderBlocks = (blocks, parentBlockId, blockIds) => {
+  const reorder = (list = []) => {
+    const byId = new Map(list.map((b) => [b.id, b]));
+    const ordered = blockIds.map((id) => byId.get(id)).filter(Boolean);
+    return ordered.length === list.length ? ordered : list;
+  };
+  if (!parentBlockId) return reorder(blocks);
+  return mapBlock(blocks, parentBlockId, (b) => {
+    const children = reorder(b.children);
+    return children === b.children ? b : { ...b, children };
+  });
+};
+
+export const removeBlock = (blocks, blockId) => blocks
+  .filter((b) => b.id !== blockId)
+  .map((b) => (b.children && b.children.length > 0 ? { ...b, children: removeBlock(b.children, blockId) } : b));
+
+// ID všetkých blokov stromu (aj vnorených) ako Set
+export const collectBlockIds = (blocks, out = new Set()) => {
+  for (const b of blocks || []) {
+    out.add(b.id);
+    collectBlockIds(b.children, out);
+  }
+  return out;
+};
+
+// Blok podľa ID kdekoľvek v strome (alebo null)
+export const findBlock = (blocks, blockId) => {
+  for (const b of blocks || []) {
+    if (b.id === blockId) return b;
+    const found = findBlock(b.children, blockId);
+    if (found) return found;
+  }
+  return null;
+};
@@ -0,0 +1,207 @@
+/**
+ * inlineFormat.js — vykreslenie značiek (utils/inlineMarks.js) do
+ * contentEditable bloku a Markdown skratky pri písaní.
+ *
+ * Editor číta text bloku stále cez `textContent`, takže vnorené elementy
+ * značiek nič nemenia na tom, ako vznikajú OT operácie. Pozície výberu sa
+ * počítajú ako offset v texte celého bloku, nie v jednom textovom uzle.
+ */
+
+// Poradie vnárania — odkaz / zmienka je vonkajší element, aby sa dal celý
+// označiť a kliknúť; zvýraznenie diskusie obalí aj ten
+const MARK_ORDER = ['comment', 'mention', 'link', 'code', 'bold', 'italic', 'strike'];
+
+export const mentionHref = ({ kind, id }) => {
+  if (kind === 'contact') return `/crm?expandContact=${id}`;
+  if (kind === 'task') return `/tasks?highlightTask=${id}`;
+  if (kind === 'page') return `/app?page=${id}`;
+  return null;
+};
+
+const createMarkElement = (mark) => {
+  switch (mark.type) {
+    case 'bold':
+      return document.createElement('strong');
+    case 'italic':
+      return document.createElement('em');
+    case 'strike':
+      return document.createElement('s');
+    case 'code': {
+      const el = document.createElement('code');
+      el.className = 'inline-code';
+      return el;
+    }
+    case 'link': {
+      const el = document.createElement('a');
+      el.href = mark.attrs.href;
+      el.target = '_blank';
+      el.rel = 'noopener noreferrer';
+      el.title = `${mark.attrs.href} — Ctrl/⌘ + klik otvorí`;
+      return el;
+    }
+    case 'mention': {
+      const href = mentionHref(mark.attrs);
+      const el = document.createElement(href ? 'a' : 'span');
+      if (href) el.href = href;
+      el.className = `inline-mention ${mark.attrs.kind}`;
+      el.dataset.mentionKind = mark.attrs.kind;
+      el.dataset.mentionId = mark.attrs.id;
+      return el;
+    }
+    case 'comment': {
+      const el = document.createElement('span');
+      el.className = 'inline-comment';
+      el.dataset.threadId = mark.attrs.threadId;
+      return el;
+    }
+    default:
+      return document.createElement('span');
+  }
+};
+
+/**
+ * Prepíše obsah elementu textom so značkami. Text sa rozdelí na úseky
+ * podľa hraníc značiek, každý úsek dostane elementy všetkých značiek,
+ * ktoré ho pokrývajú.
+ */
+export const renderInline = (el, text, marks) => {
+  el.textContent = '';
+  if (!marks || marks.length === 0) {
+    if (text) el.appendChild(document.createTextNode(text));
+    return;
+  }
+
+  const bounds = new Set([0, text.length]);
+  for (const mark of marks) {
+    bounds.add(Math.min(mark.start, text.length));
+    bounds.add(Math.min(mark.end, text.length));
+  }
+  const points = [...bounds].sort((a, b) => a - b);
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const from = points[i];
+    const to = points[i + 1];
+    if (from === to) continue;
+    const active = marks
+      .filter((m) => m.start <= from && m.end >= to)
+      .sort((a, b) => MARK_ORDER.indexOf(a.type) - MARK_ORDER.indexOf(b.type));
+
+    let node = document.createTextNode(text.slice(from, to));
+    for (let j = active.length - 1; j >= 0; j--) {
+      const wrapper = createMarkElement(active[j]);
+      wrapper.appendChild(node);
+      node = wrapper;
+    }
+    el.appendChild(node);
+  }
+};
+
+// Offset v texte elementu pre (uzol, offset) z DOM výberu
+const textOffset = (el, node, offset) => {
+  const range = document.createRange();
+  range.selectNodeContents(el);
+  range.setEnd(node, offset);
+  return range.toString().length;
+};
+
+export const getSelectionOffsets = (el) => {
+  const sel = window.getSelection();
+  if (!sel || sel.rangeCount === 0) return null;
+  const range = sel.getRangeAt(0);
+  if (!el.contains(range.startContainer) || !el.contains(range.endContainer)) return null;
+  return {
+    start: textOffset(el, range.startContainer, range.startOffset),
+    end: textOffset(el, range.endContainer, range.endOffset)
+  };
+};
+
+// Textový uzol a offset v ňom pre offset v texte celého elementu. Na hranici
+// dvoch uzlov vyhrá ten predchádzajúci — písanie pokračuje v tej istej značke.
+const locate = (el, offset) => {
+  const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+  let remaining = offset;
+  let last = null;
+  let node = walker.nextNode();
+  while (node) {
+    if (remaining <= node.length) return { node, offset: remaining };
+    remaining -= node.length;
+    last = node;
+    node = walker.nextNode();
+  }
+  return last ? { node: last, offset: last.length } : { node: el, offset: 0 };
+};
+
+export const setSelectionOffsets = (el, start, end = start) => {
+  const range = document.createRange();
+  const from = locate(el, start);
+  const to = end === start ? from : locate(el, end);
+  range.setStart(from.node, from.offset);
+  range.setEnd(to.node, to.offset);
+  const sel = window.getSelection();
+  sel.removeAllRanges();
+  sel.addRange(range);
+};
+
+// Markdown skratky pre inline značky — kontrolujú sa na texte pred kurzorom
+// hneď po napísaní uzatváracieho znaku
+const INLINE_SHORTCUTS = [
+  { type: 'bold', re: /\*\*([^*\s](?:[^*]*[^*\s])?)\*\*$/, open: 2 },
+  { type: 'bold', re: /__([^_\s](?:[^_]*[^_\s])?)__$/, open: 2 },
+  { type: 'strike', re: /~~([^~\s](?:[^~]*[^~\s])?)~~$/, open: 2 },
+  { type: 'italic', re: /(?:^|[^*])\*([^*\s](?:[^*]*[^*\s])?)\*$/, open: 1 },
+  { type: 'italic', re: /(?:^|[^_\w])_([^_\s](?:[^_]*[^_\s])?)_$/, open: 1 },
+  { type: 'code', re: /`([^`]+)`$/, open: 1 }
+];
+
+const LINK_SHORTCUT = /\[([^\]]+)\]\(((?:https?:\/\/|mailto:)[^\s)]+)\)$/;
+
+/**
+ * Ak text pred kurzorom končí Markdown zápisom (`**tučné**`, `_kurzíva_`,
+ * `~~preškrtnuté~~`, `` `kód` ``, `[text](https://…)`), vráti text bez
+ * značiek, novú značku a kurzor za ňou. Inak null.
+ */
+export const matchInlineShortcut = (text, caret) => {
+  const before = text.slice(0, caret);
+  const after = text.slice(caret);
+
+  const link = before.match(LINK_SHORTCUT);
+  if (link) {
+    const start = link.index;
+    const label = link[1];
+    return {
+      text: before.slice(0, start) + label + after,
+      mark: { type: 'link', start, end: start + label.length, attrs: { href: link[2] } },
+      caret: start + label.length
+    };
+  }
+
+  for (const shortcut of INLINE_SHORTCUTS) {
+    const match = before.match(shortcut.re);
+    if (!match) continue;
+    const inner = match[1];
+    const start = before.length - inner.length - 2 * shortcut.open;
+    return {
+      text: before.slice(0, start) + inner + after,
+      mark: { type: shortcut.type, start, end: start + inner.length },
+      caret: start + inner.length
+    };
+  }
+  return null;
+};
+
+// Markdown skratky na začiatku odseku → typ bloku
+const BLOCK_SHORTCUTS = [
+  { prefix: '# ', type: 'heading1' },
+  { prefix: '## ', type: 'heading2' },
+  { prefix: '### ', type: 'heading3' },
+  { prefix: '- ', type: 'bullet-list' },
+  { prefix: '* ', type: 'bullet-list' },
+  { prefix: '1. ', type: 'numbered-list' },
+  { prefix: '[] ', type: 'todo' },
+  { prefix: '> ', type: 'quote' },
+  { prefix: '```', type: 'code' },
+  { prefix: '---', type: 'divider' }
+];
+
+export const matchBlockShortcut = (text) =>
+  BLOCK_SHORTCUTS.find((shortcut) => text.startsWith(shortcut.prefix)) || null;
@@ -0,0 +1,83 @@
+/**
+ * inlineMarks.js — formátovanie a zmienky vnútri textu bloku.
+ *
+ * Text bloku (`content`) ostáva plain text, nad ktorým beží OT
+ * (utils/textOt.js). Formátovanie leží vedľa neho v `block.marks` ako
+ * rozsahy znakov:
+ *   { type, start, end, attrs? }     start < end, indexy do `content`
+ * Typy:
+ *   bold, italic, strike, code
+ *   link     — attrs.href (http/https/mailto)
+ *   mention  — attrs.kind ('user' | 'contact' | 'task' | 'page') + attrs.id
+ *   comment  — attrs.threadId, úsek s diskusiou (models/PageThread.js)
+ *
+ * Každá textová operácia posunie aj značky (`shiftMarks`), na serveri
+ * aj v editore (hooks/usePageCollab.js), takže formátovanie ide s textom.
+ * Písanie presne na konci tučného / kurzívy / preškrtnutého textu značku
+ * predĺži (ako v bežných editoroch), pri kóde, odkaze, zmienke a
+ * komentári nie.
+ *
+ * Kópia server/utils/inlineMarks.js (bez validácie vstupu, tú robí server)
+ * — posun značiek MUSÍ ostať zhodný.
+ */
+import { transformIndex } from './textOt';
+
+const MARK_TYPES = ['bold', 'italic', 'strike', 'code', 'link', 'mention', 'comment'];
+const INCLUSIVE_TYPES = ['bold', 'italic', 'strike'];
+
+const sameMark = (a, b) =>
+  a.type === b.type && JSON.stringify(a.attrs || null) === JSON.stringify(b.attrs || null);
+
+/**
+ * Posunie značky cez textovú operáciu. Značka, ktorej text sa celý zmazal,
+ * zanikne.
+ */
+const shiftMarks = (marks, op) => {
+  if (!Array.isArray(marks) || marks.length === 0) return [];
+  const shifted = [];
+  for (const mark of marks) {
+    const start = transformIndex(op, mark.start, true);
+    const end = transformIndex(op, mark.end, INCLUSIVE_TYPES.includes(mark.type));
+    if (start < end) shifted.push({ ...mark, start, end });
+  }
+  return shifted;
+};
+
+/**
+ * Zapne / vypne značku na rozsahu [start, end). Ak je celý rozsah už
+ * označený, značka sa z neho odstráni, inak sa rozsah označí (a zlúči so
+ * susednými rovnakými značkami).
+ */
+const toggleMark = (marks, mark) => {
+  const { start, end } = mark;
+  const same = (marks || []).filter(m => sameMark(m, mark));
+  const others = (marks || []).filter(m => !sameMark(m, mark));
+
+  let covered = start;
+  for (const m of [...same].sort((a, b) => a.start - b.start)) {
+    if (m.start <= covered && m.end > covered) covered = m.end;
+  }
+  const remove = covered >= end;
+
+  const result = [];
+  let merged = remove ? null : { ...mark };
+  for (const m of same) {
+    if (m.end < start || m.start > end) {
+      result.push(m);
+    } else if (remove) {
+      if (m.start < start) result.push({ ...m, end: start });
+      if (m.end > end) result.push({ ...m, start: end });
+    } else {
+      merged.start = Math.min(merged.start, m.start);
+      merged.end = Math.max(merged.end, m.end);
+    }
+  }
+  if (merged) result.push(merged);
+  return [...others, ...result].sort((a, b) => a.start - b.start || a.end - b.end);
+};
+
+export {
+  MARK_TYPES,
+  shiftMarks,
+  toggleMark
+};
@@ -0,0 +1,130 @@
+/**
+ * pageDatabase.js — databázové stránky na klientovi.
+ *
+ * Typy vlastností, podmienky filtrov a tvar hodnôt sú rovnaké ako na
+ * serveri (server/utils/pageDatabase.js): výber je ID možnosti, viacnásobný
+ * výber a prepojenie zoznam ID, dátum 'YYYY-MM-DD', osoba ID používateľa.
+ * Mená ľudí a prepojených záznamov posiela server k riadkom v `refs`
+ * ({ users, contacts, tasks }).
+ */
+
+// Musí sedieť s PROPERTY_TYPES v server/utils/pageDatabase.js
+export const PROPERTY_TYPES = [
+  { type: 'text', label: 'Text', icon: '𝐓' },
+  { type: 'number', label: 'Číslo', icon: '#' },
+  { type: 'select', label: 'Výber', icon: '▾' },
+  { type: 'multi_select', label: 'Viacnásobný výber', icon: '☰' },
+  { type: 'date', label: 'Dátum', icon: '📅' },
+  { type: 'person', label: 'Osoba', icon: '👤' },
+  { type: 'relation', label: 'Prepojenie', icon: '🔗' },
+  { type: 'checkbox', label: 'Zaškrtávanie', icon: '☑' }
+];
+
+export const VIEW_TYPES = [
+  { type: 'table', label: 'Tabuľka', icon: '▦' },
+  { type: 'board', label: 'Nástenka', icon: '▥' },
+  { type: 'calendar', label: 'Kalendár', icon: '📅' }
+];
+
+export const RELATION_TARGETS = [
+  { value: 'contact', label: 'Kontakty' },
+  { value: 'task', label: 'Projekty' }
+];
+
+export const OPERATOR_LABELS = {
+  contains: 'obsahuje',
+  not_contains: 'neobsahuje',
+  equals: 'je',
+  not_equals: 'nie je',
+  gt: '>',
+  gte: '≥',
+  lt: '<',
+  lte: '≤',
+  before: 'pred',
+  after: 'po',
+  on_or_before: 'najneskôr',
+  on_or_after: 'najskôr',
+  is_empty: 'je prázdne',
+  is_not_empty: 'nie je prázdne'
+};
+
+export const OPERATORS = {
+  text: ['contains', 'not_contains', 'equals', 'not_equals', 'is_empty', 'is_not_empty'],
+  number: ['equals', 'not_equals', 'gt', 'gte', 'lt', 'lte', 'is_empty', 'is_not_empty'],
+  select: ['equals', 'not_equals', 'is_empty', 'is_not_empty'],
+  multi_select: ['contains', 'not_contains', 'is_empty', 'is_not_empty'],
+  date: ['equals', 'before', 'after', 'on_or_before', 'on_or_after', 'is_empty', 'is_not_empty'],
+  person: ['equals', 'not_equals', 'is_empty', 'is_not_empty'],
+  relation: ['contains', 'not_contains', 'is_empty', 'is_not_empty'],
+  checkbox: ['equals']
+};
+
+export const VALUELESS_OPERATORS = ['is_empty', 'is_not_empty'];
+
+export const typeInfo = (type) => PROPERTY_TYPES.find((t) => t.type === type) || PROPERTY_TYPES[0];
+
+export const isEmptyValue = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+export const optionOf = (property, id) => (property.options || []).find((o) => o.id === id) || null;
+
+// Mená prepojených záznamov podľa cieľa prepojenia
+export const relationNames = (property, refs) =>
+  (property.relation === 'contact' ? refs?.contacts : refs?.tasks) || {};
+
+/**
+ * Hodnota ako text (náhľad v karte, kalendári, filtri).
+ */
+export const formatValue = (property, value, refs) => {
+  if (isEmptyValue(value)) return '';
+  switch (property.type) {
+    case 'select':
+      return optionOf(property, value)?.name || '';
+    case 'multi_select':
+      return value.map((id) => optionOf(property, id)?.name).filter(Boolean).join(', ');
+    case 'date':
+      return new Date(`${value}T00:00:00`).toLocaleDateString('sk-SK');
+    case 'person':
+      return refs?.users?.[value]?.username || '';
+    case 'relation': {
+      const names = relationNames(property, refs);
+      return value.map((id) => names[id]).filter(Boolean).join(', ');
+    }
+    case 'checkbox':
+      return value ? '✓' : '';
+    case 'number':
+      return Number(value).toLocaleString('sk-SK');
+    default:
+      return String(value);
+  }
+};
+
+/**
+ * Spojí `refs` z viacerých odpovedí (riadok po úprave k zoznamu).
+ */
+export const mergeRefs = (a = {}, b = {}) => ({
+  users: { ...a.users, ...b.users },
+  contacts: { ...a.contacts, ...b.contacts },
+  tasks: { ...a.tasks, ...b.tasks }
+});
+
+// 'YYYY-MM-DD' v miestnom čase
+export const isoDate = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Dni mesačného kalendára od pondelka: 5 alebo 6 týždňov vrátane dní
+ * susedných mesiacov. [{ date: 'YYYY-MM-DD', day, inMonth }]
+ */
+export const monthGrid = (year, month) => {
+  const first = new Date(year, month, 1);
+  const start = new Date(year, month, 1 - ((first.getDay() + 6) % 7));
+  const days = [];
+  for (let d = new Date(start); days.length < 42; d.setDate(d.getDate() + 1)) {
+    if (days.length === 35 && d.getMonth() !== month) break;
+    days.push({ date: isoDate(d), day: d.getDate(), inMonth: d.getMonth() === month });
+  }
+  return days;
+};
@@ -0,0 +1,123 @@
+/**
+ * pageTree.js — strom stránok v bočnom paneli a presuny ťahaním.
+ *
+ * Stránky prídu z GET /api/pages ako plochý zoznam s `parentId` a `order`
+ * (poradie medzi súrodencami, pri zhode `createdAt` — services/pageTree.js
+ * na serveri). Tu sa z neho skladá zobrazený strom, počíta sa, kam padne
+ * ťahaná stránka (hĺbku určí vodorovný posun myši, ako v príklade
+ * „sortable tree" z dnd-kit), a z toho presuny pre PUT /api/pages/move.
+ * Presuny sa rovnako aplikujú lokálne aj z eventu 'pages-moved'.
+ */
+import { arrayMove } from '@dnd-kit/sortable';
+
+const byOrder = (a, b) =>
+  (a.order || 0) - (b.order || 0) || String(a.createdAt || '').localeCompare(String(b.createdAt || ''));
+
+// Rodič v zobrazenom strome — stránka, ktorej rodiča nevidíme, je na vrchu
+const treeParentOf = (page, ids) => (page.parentId && ids.has(page.parentId) ? page.parentId : null);
+
+/**
+ * Deti každej stránky zoradené podľa poradia: Map parentId (null = vrch) →
+ * [page].
+ */
+export const childrenByParent = (pages) => {
+  const ids = new Set(pages.map((p) => p.id));
+  const map = new Map();
+  for (const page of pages) {
+    const parentId = treeParentOf(page, ids);
+    if (!map.has(parentId)) map.set(parentId, []);
+    map.get(parentId).push(page);
+  }
+  for (const list of map.values()) list.sort(byOrder);
+  return map;
+};
+
+/**
+ * Zobrazené riadky stromu v poradí: [{ id, page, parentId, depth, hasChildren }].
+ * Podstromy stránok v `collapsedIds` sa vynechajú.
+ */
+export const flattenTree = (pages, collapsedIds = new Set()) => {
+  const children = childrenByParent(pages);
+  const items = [];
+  const walk = (parentId, depth) => {
+    for (const page of children.get(parentId) || []) {
+      const hasChildren = (children.get(page.id) || []).length > 0;
+      items.push({ id: page.id, page, parentId, depth, hasChildren });
+      if (!collapsedIds.has(page.id)) walk(page.id, depth + 1);
+    }
+  };
+  walk(null, 0);
+  return items;
+};
+
+/**
+ * Kam padne ťahaná stránka `activeId` pustená na riadok `overId` s
+ * vodorovným posunom `offsetX` (px): { depth, parentId }. Hĺbka sa drží
+ * medzi susedmi — najviac o jedna hlbšie než riadok nad ňou, najmenej ako
+ * riadok pod ňou.
+ */
+export const projectDrop = (items, activeId, overId, offsetX, indent) => {
+  const activeIndex = items.findIndex((item) => item.id === activeId);
+  const overIndex = items.findIndex((item) => item.id === overId);
+  if (activeIndex === -1 || overIndex === -1) return null;
+
+  const moved = arrayMove(items, activeIndex, overIndex);
+  const previous = moved[overIndex - 1];
+  const next = moved[overIndex + 1];
+  const maxDepth = previous ? previous.depth + 1 : 0;
+  const minDepth = next ? next.depth : 0;
+  const wanted = items[activeIndex].depth + Math.round(offsetX / indent);
+  const depth = Math.min(Math.max(wanted, minDepth), maxDepth);
+
+  let parentId = null;
+  if (depth > 0 && previous) {
+    if (depth === previous.depth) parentId = previous.parentId;
+    else if (depth > previous.depth) parentId = previous.id;
+    else parentId = moved.slice(0, overIndex).reverse().find((item) => item.depth === depth)?.parentId ?? null;
+  }
+  return { depth, parentId, moved, overIndex };
+};
+
+/**
+ * Presuny pre pustenie stránky podľa `projectDrop`: nové poradie súrodencov
+ * pod cieľovým rodičom, len tie, ktorým sa niečo zmenilo.
+ *   [{ id, parentId, order }]
+ */
+export const buildMoves = (pages, activeId, projection) => {
+  const { parentId, moved, overIndex } = projection;
+  const siblings = (childrenByParent(pages).get(parentId) || []).filter((p) => p.id !== activeId);
+
+  // Za najbližšieho zobrazeného súrodenca nad pusteným miestom, inak na začiatok
+  const before = moved.slice(0, overIndex).reverse().find((item) => item.parentId === parentId && item.id !== activeId);
+  const index = before ? siblings.findIndex((p) => p.id === before.id) + 1 : 0;
+  const active = pages.find((p) => p.id === activeId);
+  const ordered = [...siblings.slice(0, index), active, ...siblings.slice(index)];
+
+  // Súrodenci si nechajú rodiča (aj ten, ktorého nevidíme), menia len poradie
+  return ordered
+    .map((page, order) => ({ id: page.id, parentId: page.id === activeId ? parentId : page.parentId || null, order }))
+    .filter((move) => {
+      const page = pages.find((p) => p.id === move.id);
+      return (page.order || 0) !== move.order || (page.parentId || null) !== move.parentId;
+    });
+};
+
+/**
+ * Zoznam stránok po presunoch (lokálne po ťahaní aj z eventu 'pages-moved').
+ */
+export const applyMoves = (pages, moves) => {
+  const byId = new Map(moves.map((m) => [m.id, m]));
+  return pages.map((page) => {
+    const move = byId.get(page.id);
+    return move ? { ...page, parentId: move.parentId, order: move.order } : page;
+  });
+};
+
+/**
+ * Presuny, ktoré vrátia `pages` do stavu pred `moves` (keď server presun
+ * odmietne).
+ */
+export const revertMoves = (pages, moves) => moves
+  .map((move) => pages.find((p) => p.id === move.id))
+  .filter(Boolean)
+  .map((page) => ({ id: page.id, parentId: page.parentId || null, order: page.order || 0 }));
@@ -0,0 +1,63 @@
+/**
+ * recurrence.js — opakovanie projektov a úloh (klientska časť
+ * server/utils/recurrence.js).
+ *
+ * `recurrence` = { freq, interval, byWeekday, byMonthDay, until, count,
+ * occurrence, nextId, ended } alebo null. Server validuje a pri dokončení
+ * výskytu vytvorí ďalší; tu je len popis pre UI.
+ */
+
+export const FREQUENCY_OPTIONS = [
+  { value: 'daily', label: 'Denne' },
+  { value: 'weekly', label: 'Týždenne' },
+  { value: 'monthly', label: 'Mesačne' },
+  { value: 'yearly', label: 'Ročne' }
+];
+
+// Jednotky pre "každý N-tý …" (vlastné opakovanie)
+export const INTERVAL_UNITS = {
+  daily: ['deň', 'dni', 'dní'],
+  weekly: ['týždeň', 'týždne', 'týždňov'],
+  monthly: ['mesiac', 'mesiace', 'mesiacov'],
+  yearly: ['rok', 'roky', 'rokov']
+};
+
+// Poradie od pondelka, hodnota ako Date#getDay (0 = nedeľa)
+export const WEEKDAYS = [
+  { value: 1, label: 'po' },
+  { value: 2, label: 'ut' },
+  { value: 3, label: 'st' },
+  { value: 4, label: 'št' },
+  { value: 5, label: 'pi' },
+  { value: 6, label: 'so' },
+  { value: 0, label: 'ne' }
+];
+
+const plural = (n, [one, few, many]) => (n === 1 ? one : n >= 2 && n <= 4 ? few : many);
+
+export const isRecurring = (item) => Boolean(item?.recurrence?.freq);
+
+// "Vlastné" = iný interval než 1 alebo vybrané dni v týždni
+export const isCustomRecurrence = (recurrence) =>
+  Boolean(recurrence) && ((recurrence.interval || 1) > 1 || recurrence.byWeekday?.length > 0);
+
+/**
+ * Krátky popis pre odznak: "Každé 2 týždne (po, st) · 3/5"
+ */
+export function describeRecurrence(recurrence) {
+  if (!recurrence?.freq) return '';
+  const interval = recurrence.interval || 1;
+  let text = interval === 1
+    ? FREQUENCY_OPTIONS.find(f => f.value === recurrence.freq)?.label || ''
+    : `${interval <= 4 ? 'Každé' : 'Každých'} ${interval} ${plural(interval, INTERVAL_UNITS[recurrence.freq])}`;
+  if (recurrence.freq === 'weekly' && recurrence.byWeekday?.length > 0) {
+    const days = WEEKDAYS.filter(d => recurrence.byWeekday.includes(d.value)).map(d => d.label);
+    text += ` (${days.join(', ')})`;
+  }
+  if (recurrence.count) {
+    text += ` · ${recurrence.occurrence || 1}/${recurrence.count}`;
+  } else if (recurrence.until) {
+    text += ` · do ${new Date(recurrence.until).toLocaleDateString('sk-SK')}`;
+  }
+  return text;
+}
@@ -0,0 +1,55 @@
+/**
+ * taskDependencies.js — závislosti projektov a úloh (klientska časť
+ * server/utils/taskDependencies.js).
+ *
+ * Každá položka má `blockedBy: [id]`. Id sú v workspace jedinečné, takže
+ * index sa dá postaviť nad celým zoznamom z GET /api/tasks — globálne
+ * projekty aj projekty kontaktov vrátane vnorených podúloh. Cykly a neznáme
+ * id odmietne server; tu sa len zobrazuje.
+ */
+
+/**
+ * id → { id, title, kind, task, item, completed, blockedBy } pre všetky
+ * projekty a podúlohy. `task` je koreňový projekt (na zvýraznenie v zozname).
+ */
+export function buildItemIndex(tasks) {
+  const index = new Map();
+  const add = (item, kind, task) => {
+    index.set(item.id, {
+      id: item.id,
+      title: item.title,
+      kind,
+      task,
+      item,
+      completed: Boolean(item.completed),
+      blockedBy: item.blockedBy || []
+    });
+    (item.subtasks || []).forEach(sub => sub?.id && add(sub, 'subtask', task));
+  };
+  (tasks || []).forEach(task => task?.id && add(task, 'task', task));
+  return index;
+}
+
+// Nedokončené položky, na ktoré `item` čaká (neznáme id sa ignorujú)
+export const openBlockers = (item, index) =>
+  (item?.blockedBy || []).map(id => index.get(id)).filter(entry => entry && !entry.completed);
+
+export const isBlocked = (item, index) => !item?.completed && openBlockers(item, index).length > 0;
+
+/**
+ * Opačný smer: id → položky, ktoré na neho čakajú.
+ */
+export function blockingIndex(index) {
+  const blocking = new Map();
+  for (const entry of index.values()) {
+    for (const id of entry.blockedBy) {
+      if (!blocking.has(id)) blocking.set(id, []);
+      blocking.get(id).push(entry);
+    }
+  }
+  return blocking;
+}
+
+// Popis položky pre výber: "Podúloha (Projekt)"
+export const describeItem = (entry) =>
+  entry.kind === 'subtask' ? `${entry.title} (${entry.task.title})` : entry.title;
@@ -0,0 +1,39 @@
+/**
+ * taskStatuses.js — stavy projektov na Kanban nástenke (klientska kópia
+ * server/utils/taskStatuses.js).
+ *
+ * Stavy workspace vracia GET /api/tasks/statuses (poradie = poradie
+ * stĺpcov). Projekt má `status` a `statusOrder`; zmeny cez socket
+ * (task-updated) nesú uložený stav, preto sa zobrazovaný stav dopočíta tu
+ * rovnako ako na serveri — uložený platí, kým sedí s `completed`.
+ */
+
+export const findStatus = (statuses, id) => statuses.find(s => s.id === id) || null;
+
+export function effectiveStatus(task, statuses) {
+  if (statuses.length === 0) return null;
+  const completed = Boolean(task?.completed);
+  const stored = findStatus(statuses, task?.status);
+  if (stored && stored.done === completed) return stored.id;
+  const fallback = statuses.find(s => s.done === completed) || statuses[0];
+  return fallback.id;
+}
+
+// Poradie v stĺpci: statusOrder, potom poradie zo zoznamu, potom najnovšie
+const compareInColumn = (a, b) =>
+  (a.statusOrder || 0) - (b.statusOrder || 0) ||
+  (a.order || 0) - (b.order || 0) ||
+  new Date(b.createdAt) - new Date(a.createdAt);
+
+/**
+ * Projekty rozdelené do stĺpcov: { [statusId]: task[] } v poradí stĺpca.
+ */
+export function groupByStatus(tasks, statuses) {
+  const columns = Object.fromEntries(statuses.map(s => [s.id, []]));
+  for (const task of tasks) {
+    const statusId = effectiveStatus(task, statuses);
+    if (statusId) columns[statusId].push(task);
+  }
+  for (const id of Object.keys(columns)) columns[id].sort(compareInColumn);
+  return columns;
+}
@@ -0,0 +1,62 @@
+/**
+ * taskTime.js — odhad a odpracovaný čas (klientska časť server/utils/taskTime.js).
+ *
+ * `estimate` je v minútach, `timeEntries` výkaz po používateľoch
+ * ({ id, userId, start, end, minutes, note, manual }); bežiaci časovač
+ * má `end: null` a jeho minúty sa rátajú do teraz.
+ */
+
+export const isRunning = (entry) => Boolean(entry) && !entry.end;
+
+export const entryMinutes = (entry, now = new Date()) => {
+  if (!isRunning(entry)) return entry?.minutes || 0;
+  return Math.max(0, Math.round((now - new Date(entry.start)) / 60000));
+};
+
+// Odpracované minúty položky vrátane podúloh
+export const trackedMinutes = (item, now = new Date()) => {
+  if (!item) return 0;
+  const own = (item.timeEntries || []).reduce((sum, entry) => sum + entryMinutes(entry, now), 0);
+  return own + (item.subtasks || []).reduce((sum, sub) => sum + trackedMinutes(sub, now), 0);
+};
+
+// Bežiaci časovač používateľa priamo na položke (nie v podúlohách)
+export const runningEntry = (item, userId) =>
+  (item?.timeEntries || []).find(entry => isRunning(entry) && entry.userId === userId) || null;
+
+// 135 → '2 h 15 min'
+export const formatMinutes = (minutes) => {
+  const value = Math.max(0, Math.round(minutes || 0));
+  const hours = Math.floor(value / 60);
+  const rest = value % 60;
+  if (hours === 0) return `${rest} min`;
+  return rest === 0 ? `${hours} h` : `${hours} h ${rest} min`;
+};
+
+/**
+ * Trvanie z textu: '1.5' / '1,5' (hodiny), '1:30', '90m', '2h', '1h 30m'.
+ * Vráti minúty alebo null, keď sa text nedá prečítať.
+ */
+export const parseDuration = (text) => {
+  const value = String(text || '').trim().toLowerCase().replace(',', '.');
+  if (!value) return null;
+  let match = value.match(/^(\d+):([0-5]?\d)$/);
+  if (match) return Number(match[1]) * 60 + Number(match[2]);
+  match = value.match(/^(?:(\d+(?:\.\d+)?)\s*h)?\s*(?:(\d+)\s*m(?:in)?)?$/);
+  if (match && (match[1] || match[2])) {
+    return Math.round(Number(match[1] || 0) * 60 + Number(match[2] || 0));
+  }
+  if (/^\d+(?:\.\d+)?$/.test(value)) return Math.round(Number(value) * 60);
+  return null;
+};
+
+// Odhad v minútach → hodiny do inputu ('' = bez odhadu)
+export const estimateToHours = (minutes) =>
+  (minutes ? String(Math.round((minutes / 60) * 100) / 100) : '');
+
+// Hodiny z inputu → minúty pre server (null = bez odhadu)
+export const hoursToEstimate = (hours) => {
+  if (hours === '' || hours == null) return null;
+  const value = Number(String(hours).replace(',', '.'));
+  return Number.isFinite(value) && value > 0 ? Math.round(value * 60) : null;
+};
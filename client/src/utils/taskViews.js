@@ -0,0 +1,272 @@
+/**
+ * taskViews.js — uložené pohľady zoznamu projektov (klientska časť
+ * server/utils/taskViews.js).
+ *
+ * Server pohľad len validuje a drží; filtre, zoradenie a zoskupenie sa
+ * vyhodnocujú tu nad zoznamom z GET /api/tasks. 'me' v priradených je
+ * ten, kto pohľad práve otvoril — zdieľaný pohľad „Moje" tak ukáže
+ * každému členovi jeho projekty.
+ */
+import { PRIORITY_LABELS } from './constants';
+
+export const EMPTY_FILTERS = {
+  text: '',
+  assignees: [],
+  priorities: [],
+  contactIds: [],
+  statuses: [],
+  tags: [],
+  duePreset: null,
+  dueFrom: null,
+  dueTo: null,
+  completion: 'all'
+};
+
+export const EMPTY_VIEW = {
+  name: '',
+  shared: false,
+  filters: EMPTY_FILTERS,
+  sort: { field: 'default', direction: 'asc' },
+  groupBy: 'none'
+};
+
+export const DUE_PRESET_OPTIONS = [
+  { value: 'overdue', label: 'Po termíne' },
+  { value: 'today', label: 'Dnes' },
+  { value: 'week', label: 'Do 7 dní' },
+  { value: 'month', label: 'Do 30 dní' },
+  { value: 'none', label: 'Bez termínu' }
+];
+
+export const COMPLETION_OPTIONS = [
+  { value: 'all', label: 'Všetky' },
+  { value: 'open', label: 'Aktívne' },
+  { value: 'done', label: 'Dokončené' }
+];
+
+export const SORT_OPTIONS = [
+  { value: 'default', label: 'Predvolené (priorita, poradie)' },
+  { value: 'dueDate', label: 'Termín' },
+  { value: 'startDate', label: 'Začiatok' },
+  { value: 'priority', label: 'Priorita' },
+  { value: 'title', label: 'Názov' },
+  { value: 'createdAt', label: 'Vytvorené' },
+  { value: 'modifiedAt', label: 'Upravené' }
+];
+
+export const GROUP_OPTIONS = [
+  { value: 'none', label: 'Bez zoskupenia' },
+  { value: 'contact', label: 'Kontakt' },
+  { value: 'assignee', label: 'Priradený' },
+  { value: 'priority', label: 'Priorita' },
+  { value: 'status', label: 'Stav' },
+  { value: 'due', label: 'Termín' },
+  { value: 'tag', label: 'Štítok' }
+];
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dnešok + n dní ako 'YYYY-MM-DD' v lokálnom čase
+const localDay = (offset = 0) => {
+  const d = new Date(Date.now() + offset * DAY_MS);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+const dayOf = (value) => (value ? String(value).slice(0, 10) : null);
+
+export const taskContactIds = (task) =>
+  (task.contactIds?.length > 0 ? task.contactIds : (task.contactId ? [task.contactId] : [])).map(String);
+
+// Štítky z textu inputu ('Web, interné') — rovnaké pravidlá ako server
+export const parseTags = (text) => {
+  const seen = new Set();
+  return String(text || '').split(',')
+    .map(tag => tag.trim().replace(/\s+/g, ' '))
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+const textMatches = (task, query) => {
+  const inItem = (item) =>
+    item.title?.toLowerCase().includes(query)
+    || item.description?.toLowerCase().includes(query)
+    || item.notes?.toLowerCase().includes(query)
+    || (item.subtasks || []).some(sub => sub && inItem(sub));
+  return inItem(task)
+    || (task.contactName || task.contactNames?.join(' ') || '').toLowerCase().includes(query)
+    || (task.tags || []).some(tag => tag.toLowerCase().includes(query));
+};
+
+const dueMatches = (task, filters) => {
+  const due = dayOf(task.dueDate);
+  if (filters.duePreset === 'none' && due) return false;
+  if (filters.duePreset && filters.duePreset !== 'none') {
+    if (!due) return false;
+    const today = localDay();
+    if (filters.duePreset === 'overdue' && !(due < today && !task.completed)) return false;
+    if (filters.duePreset === 'today' && due !== today) return false;
+    if (filters.duePreset === 'week' && (due < today || due > localDay(7))) return false;
+    if (filters.duePreset === 'month' && (due < today || due > localDay(30))) return false;
+  }
+  if (filters.dueFrom && (!due || due < filters.dueFrom)) return false;
+  if (filters.dueTo && (!due || due > filters.dueTo)) return false;
+  return true;
+};
+
+/**
+ * Projekt spĺňa filtre pohľadu.
+ *
+ * @param {object} ctx — { userId } prihláseného používateľa (pre 'me')
+ */
+export function matchesFilters(task, filters = EMPTY_FILTERS, { userId } = {}) {
+  const f = { ...EMPTY_FILTERS, ...filters };
+  if (f.completion === 'open' && task.completed) return false;
+  if (f.completion === 'done' && !task.completed) return false;
+
+  const query = f.text.trim().toLowerCase();
+  if (query && !textMatches(task, query)) return false;
+
+  if (f.assignees.length > 0) {
+    const assigned = (task.assignedTo || []).map(String);
+    const ok = f.assignees.some(value => (value === 'none'
+      ? assigned.length === 0
+      : assigned.includes(value === 'me' ? String(userId) : value)));
+    if (!ok) return false;
+  }
+  if (f.priorities.length > 0 && !f.priorities.includes(task.priority || 'medium')) return false;
+  if (f.contactIds.length > 0) {
+    const ids = taskContactIds(task);
+    const ok = f.contactIds.some(value => (value === 'none' ? ids.length === 0 : ids.includes(value)));
+    if (!ok) return false;
+  }
+  if (f.statuses.length > 0 && !f.statuses.includes(task.status)) return false;
+  if (f.tags.length > 0) {
+    const tags = (task.tags || []).map(tag => tag.toLowerCase());
+    if (!f.tags.some(tag => tags.includes(tag.toLowerCase()))) return false;
+  }
+  return dueMatches(task, f);
+}
+
+/**
+ * Porovnávač podľa zoradenia pohľadu; null = predvolené poradie zoznamu.
+ * Projekty bez hodnoty (termín, začiatok) idú vždy na koniec.
+ */
+export function viewComparator(sort) {
+  const field = sort?.field || 'default';
+  if (field === 'default') return null;
+  const sign = sort?.direction === 'desc' ? -1 : 1;
+  return (a, b) => {
+    let va = a[field];
+    let vb = b[field];
+    if (field === 'priority') {
+      va = PRIORITY_RANK[a.priority] ?? 1;
+      vb = PRIORITY_RANK[b.priority] ?? 1;
+    }
+    const emptyA = va == null || va === '';
+    const emptyB = vb == null || vb === '';
+    if (emptyA || emptyB) return emptyA === emptyB ? 0 : (emptyA ? 1 : -1);
+    if (field === 'title') return sign * String(va).localeCompare(String(vb), 'sk');
+    if (typeof va === 'number') return sign * (va - vb);
+    return sign * String(va).localeCompare(String(vb));
+  };
+}
+
+const DUE_GROUPS = [
+  { key: 'overdue', label: 'Po termíne' },
+  { key: 'today', label: 'Dnes' },
+  { key: 'week', label: 'Do 7 dní' },
+  { key: 'later', label: 'Neskôr' },
+  { key: 'none', label: 'Bez termínu' }
+];
+
+const dueGroup = (task) => {
+  const due = dayOf(task.dueDate);
+  if (!due) return 'none';
+  const today = localDay();
+  if (due < today) return task.completed ? 'later' : 'overdue';
+  if (due === today) return 'today';
+  return due <= localDay(7) ? 'week' : 'later';
+};
+
+/**
+ * Rozdelí (už zoradené) projekty do skupín. Projekt s viacerými
+ * kontaktmi, riešiteľmi alebo štítkami patrí do skupiny podľa prvého,
+ * aby bol v zozname len raz.
+ *
+ * @param {object} ctx — { users, contacts, statuses }
+ * @returns {Array<{ key, label, tasks }>}
+ */
+export function groupTasks(tasks, groupBy, { users = [], contacts = [], statuses = [] } = {}) {
+  if (!groupBy || groupBy === 'none') return [{ key: 'all', label: '', tasks }];
+
+  const keyOf = (task) => {
+    switch (groupBy) {
+      case 'contact': return taskContactIds(task)[0] || null;
+      case 'assignee': return (task.assignedTo || []).map(String)[0] || null;
+      case 'priority': return task.priority || 'medium';
+      case 'status': return task.status || null;
+      case 'due': return dueGroup(task);
+      case 'tag': return task.tags?.[0]?.toLowerCase() || null;
+      default: return null;
+    }
+  };
+  const labelOf = (key, task) => {
+    switch (groupBy) {
+      case 'contact': return key ? (contacts.find(c => String(c.id) === key)?.name || task.contactName || 'Kontakt') : 'Bez kontaktu';
+      case 'assignee': return key ? (users.find(u => String(u.id) === key)?.username || 'Neznámy člen') : 'Nepriradené';
+      case 'priority': return PRIORITY_LABELS[key] || key;
+      case 'status': return statuses.find(s => s.id === key)?.name || 'Bez stavu';
+      case 'due': return DUE_GROUPS.find(g => g.key === key)?.label || key;
+      case 'tag': return key ? task.tags[0] : 'Bez štítku';
+      default: return '';
+    }
+  };
+
+  const groups = new Map();
+  for (const task of tasks) {
+    const key = keyOf(task);
+    if (!groups.has(key)) groups.set(key, { key: key ?? 'none', label: labelOf(key, task), tasks: [] });
+    groups.get(key).tasks.push(task);
+  }
+
+  // Pevné poradie pre prioritu, stav a termín; inak abecedne, „bez" na koniec
+  const fixedOrder = groupBy === 'priority' ? ['high', 'medium', 'low']
+    : groupBy === 'status' ? statuses.map(s => s.id)
+      : groupBy === 'due' ? DUE_GROUPS.map(g => g.key)
+        : null;
+  return [...groups.entries()]
+    .sort(([ka, a], [kb, b]) => {
+      if (fixedOrder) {
+        const ia = fixedOrder.indexOf(ka);
+        const ib = fixedOrder.indexOf(kb);
+        return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib);
+      }
+      if (ka === null || kb === null) return ka === kb ? 0 : (ka === null ? 1 : -1);
+      return a.label.localeCompare(b.label, 'sk');
+    })
+    .map(([, group]) => group);
+}
+
+/**
+ * Návrh pohľadu z filtrov bočného panela a hľadania (tlačidlo „Uložiť
+ * ako pohľad"). Filtre panela bez ekvivalentu (napr. „Nové") sa vynechajú.
+ */
+export function viewFromListState({ filter, contactFilter, searchQuery }) {
+  const filters = { ...EMPTY_FILTERS, text: searchQuery || '' };
+  if (contactFilter) filters.contactIds = [String(contactFilter)];
+  if (filter === 'completed') filters.completion = 'done';
+  if (filter === 'active') filters.completion = 'open';
+  if (['high', 'medium', 'low'].includes(filter)) {
+    filters.priorities = [filter];
+    filters.completion = 'open';
+  }
+  if (filter === 'without-contact') filters.contactIds = ['none'];
+  if (filter === 'assigned-to-me') filters.assignees = ['me'];
+  if (filter === 'overdue') filters.duePreset = 'overdue';
+  return { ...EMPTY_VIEW, filters };
+}
@@ -0,0 +1,48 @@
+/**
+ * versionConflict.js — klientska strana optimistickej kontroly verzií
+ * (server: server/utils/entityVersion.js).
+ *
+ * Projekt, kontakt aj stránka majú v odpovedi pole `version`. Formulár si ho
+ * zapamätá pri otvorení úpravy a pri uložení ho pošle v hlavičke If-Match
+ * (ifMatchHeaders). Keď medzitým záznam zmenil niekto iný, server vráti 409
+ * VERSION_CONFLICT s aktuálnym stavom v `current` a formulár otvorí
+ * VersionConflictModal.
+ *
+ * mergeVersions() je trojcestné zlúčenie polí formulára: východisko (hodnoty
+ * pri otvorení úpravy), moje hodnoty a aktuálne hodnoty na serveri. Pole, ktoré
+ * zmenila len jedna strana, sa prevezme bez pýtania; na výber ostanú len polia,
+ * ktoré zmenili obe strany rozdielne.
+ */
+
+/** True, ak axios error je 409 VERSION_CONFLICT (niekto záznam medzitým zmenil). */
+export const isVersionConflict = (error) =>
+  error?.response?.status === 409 && error.response.data?.code === 'VERSION_CONFLICT';
+
+/** Hlavičky pre PUT — bez verzie prázdne (server vtedy nekontroluje). */
+export const ifMatchHeaders = (version) => (version ? { 'If-Match': `"${version}"` } : {});
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * @param {object} base     hodnoty formulára pri otvorení úpravy
+ * @param {object} mine     hodnoty formulára pri uložení
+ * @param {object} current  aktuálne hodnoty na serveri (v tvare formulára)
+ * @param {string[]} fields polia formulára
+ * @returns {{ merged: object, conflicts: string[] }} merged má pri konfliktoch
+ *   moju hodnotu — VersionConflictModal ich nechá prepnúť
+ */
+export function mergeVersions(base, mine, current, fields) {
+  const merged = {};
+  const conflicts = [];
+  for (const field of fields) {
+    const changedByMe = !sameValue(mine[field], base[field]);
+    const changedByThem = !sameValue(current[field], base[field]);
+    if (changedByMe && changedByThem && !sameValue(mine[field], current[field])) {
+      conflicts.push(field);
+      merged[field] = mine[field];
+    } else {
+      merged[field] = changedByMe ? mine[field] : current[field];
+    }
+  }
+  return { merged, conflicts };
+}
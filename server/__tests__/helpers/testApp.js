@@ -44,10 +44,13 @@ const createTestApp = (mountPath, router, options = {}) => {
   const app = express();
   app.use(express.json({ limit: '10mb' }));
 
-  // Minimal Socket.IO mock — stačí `.to(room).emit(event, payload)` chain
+  // Minimal Socket.IO mock — `.to(room).emit(event, payload)` chain
+  // a `.in(rooms).socketsLeave(rooms)` (odobratie prístupu k stránke)
   const io = options.io || {
     to: function () { return this; },
-    emit: function () { return this; }
+    in: function () { return this; },
+    emit: function () { return this; },
+    socketsLeave: function () {}
   };
   app.set('io', io);
 
@@ -117,6 +117,7 @@ describe('Notification model — workspace isolation + schema integrity', () =>
       'contact.created', 'contact.updated', 'contact.deleted',
       'task.created', 'task.updated', 'task.completed', 'task.deleted', 'task.assigned',
       'subtask.created', 'subtask.updated', 'subtask.completed', 'subtask.deleted', 'subtask.assigned',
+      'task.unblocked', 'subtask.unblocked',
       'task.dueDate', 'subtask.dueDate',
       'message.created', 'message.approved', 'message.rejected', 'message.commented',
       'message.comment.reacted'
@@ -103,4 +103,46 @@ describe('Task model - Workspace Isolation (P2 Guard)', () => {
       expect(fetchedTask.subtasks[1].completed).toBe(true);
     });
   });
+
+  describe('editVersion (utils/entityVersion.js)', () => {
+    it('posunie verziu pri každom zápise, aj v tej istej milisekunde', async () => {
+      const task = await Task.create({ title: 'Verzia', workspaceId: workspaceA._id, userId: owner._id });
+      expect(task.editVersion).toBe(0);
+
+      task.title = 'Prvá';
+      await task.save();
+      task.title = 'Druhá';
+      await task.save();
+      expect(task.editVersion).toBe(2);
+
+      await Task.updateOne({ _id: task._id }, { $set: { title: 'Tretia' } });
+      const updated = await Task.findOneAndUpdate({ _id: task._id }, { title: 'Štvrtá' }, { new: true });
+      expect(updated.editVersion).toBe(4);
+    });
+
+    it('zápis bez zmeny a s timestamps: false verziu neposúva', async () => {
+      const task = await Task.create({ title: 'Poradie', workspaceId: workspaceA._id, userId: owner._id });
+
+      await task.save();
+      task.order = 3;
+      await task.save({ timestamps: false });
+      await Task.updateOne({ _id: task._id }, { $set: { order: 4 } }, { timestamps: false });
+
+      const stored = await Task.findById(task._id);
+      expect(stored.editVersion).toBe(0);
+      expect(stored.order).toBe(4);
+    });
+
+    it('záznam spred počítadla načítaný bez poľa — save() ho zvýši na 1', async () => {
+      const task = await Task.create({ title: 'Starý', workspaceId: workspaceA._id, userId: owner._id });
+      await Task.collection.updateOne({ _id: task._id }, { $unset: { editVersion: '' } });
+
+      const loaded = await Task.findById(task._id, 'title');
+      loaded.title = 'Nový';
+      await loaded.save();
+
+      const stored = await Task.findById(task._id).lean();
+      expect(stored.editVersion).toBe(1);
+    });
+  });
 });
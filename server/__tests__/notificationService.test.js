@@ -561,6 +561,8 @@ describe('NotificationService', () => {
     it('classifyByType returns "direct" for assignment + message types', () => {
       expect(notificationService.classifyByType('task.assigned')).toBe('direct');
       expect(notificationService.classifyByType('subtask.assigned')).toBe('direct');
+      expect(notificationService.classifyByType('task.unblocked')).toBe('direct');
+      expect(notificationService.classifyByType('subtask.unblocked')).toBe('direct');
       expect(notificationService.classifyByType('message.created')).toBe('direct');
       expect(notificationService.classifyByType('message.commented')).toBe('direct');
       expect(notificationService.classifyByType('message.comment.reacted')).toBe('direct');
@@ -255,6 +255,109 @@ describe('/api/contacts route', () => {
 
       expect(res.status).toBe(400);
     });
+
+    it('If-Match so starou verziou → 409 VERSION_CONFLICT, DB nezmenená', async () => {
+      const c = await Contact.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        name: 'Current'
+      });
+      const staleVersion = String(c.editVersion);
+      await Contact.updateOne({ _id: c._id }, { $set: { notes: 'Iná zmena' } });
+
+      const res = await request(app)
+        .put(`/api/contacts/${c._id}`)
+        .set(authHeader(ownerCtx.token))
+        .set('If-Match', `"${staleVersion}"`)
+        .send({ name: 'Clobbered' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('VERSION_CONFLICT');
+      expect(res.body.current.name).toBe('Current');
+      expect(res.body.current.version).toBe(String(c.editVersion + 1));
+      const untouched = await Contact.findById(c._id);
+      expect(untouched.name).toBe('Current');
+    });
+
+    it('If-Match s aktuálnou verziou → 200 s novou verziou', async () => {
+      const c = await Contact.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        name: 'Current'
+      });
+      const getRes = await request(app)
+        .get(`/api/contacts/${c._id}`)
+        .set(authHeader(ownerCtx.token));
+      expect(getRes.body.version).toBe(String(c.editVersion));
+
+      const res = await request(app)
+        .put(`/api/contacts/${c._id}`)
+        .set(authHeader(ownerCtx.token))
+        .set('If-Match', getRes.headers.etag)
+        .send({ name: 'Renamed' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.name).toBe('Renamed');
+      expect(res.body.version).not.toBe(getRes.body.version);
+    });
+  });
+
+  describe('PUT /:contactId/tasks/:taskId', () => {
+    const taskId = 'aaaaaaaa-1111-2222-3333-444444444444';
+    let contact;
+
+    beforeEach(async () => {
+      contact = await Contact.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        name: 'Klient',
+        tasks: [{ id: taskId, title: 'Web', subtasks: [{ id: 'sub-1', title: 'Návrh' }] }]
+      });
+    });
+
+    it('subtasks bez If-Match → 428 VERSION_REQUIRED, DB nezmenená', async () => {
+      const res = await request(app)
+        .put(`/api/contacts/${contact._id}/tasks/${taskId}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ subtasks: [] });
+
+      expect(res.status).toBe(428);
+      expect(res.body.code).toBe('VERSION_REQUIRED');
+      const untouched = await Contact.findById(contact._id);
+      expect(untouched.tasks[0].subtasks).toHaveLength(1);
+    });
+
+    it('If-Match so starou verziou → 409 s aktuálnym projektom, DB nezmenená', async () => {
+      const staleVersion = String(contact.editVersion);
+      await Contact.updateOne({ _id: contact._id }, { $set: { notes: 'Iná zmena' } });
+
+      const res = await request(app)
+        .put(`/api/contacts/${contact._id}/tasks/${taskId}`)
+        .set(authHeader(ownerCtx.token))
+        .set('If-Match', `"${staleVersion}"`)
+        .send({ title: 'Clobbered', subtasks: [] });
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('VERSION_CONFLICT');
+      expect(res.body.current.title).toBe('Web');
+      expect(res.body.current.version).toBe(String(contact.editVersion + 1));
+      const untouched = await Contact.findById(contact._id);
+      expect(untouched.tasks[0].title).toBe('Web');
+      expect(untouched.tasks[0].subtasks).toHaveLength(1);
+    });
+
+    it('If-Match s aktuálnou verziou → 200 a nová verzia v ETag', async () => {
+      const res = await request(app)
+        .put(`/api/contacts/${contact._id}/tasks/${taskId}`)
+        .set(authHeader(ownerCtx.token))
+        .set('If-Match', `"${contact.editVersion}"`)
+        .send({ subtasks: [{ id: 'sub-1', title: 'Návrh' }, { id: 'sub-2', title: 'Kód' }] });
+
+      expect(res.status).toBe(200);
+      expect(res.headers.etag).toBeTruthy();
+      const updated = await Contact.findById(contact._id);
+      expect(updated.tasks[0].subtasks.map(s => s.title)).toEqual(['Návrh', 'Kód']);
+    });
   });
 
   describe('DELETE /:id', () => {
@@ -4,9 +4,23 @@ const request = require('supertest');
 const mongoose = require('mongoose');
 const pagesRouter = require('../../routes/pages');
 const Page = require('../../models/Page');
+const PageOperation = require('../../models/PageOperation');
+const PageVersion = require('../../models/PageVersion');
+const PageFile = require('../../models/PageFile');
+const PageTemplate = require('../../models/PageTemplate');
+const PageShare = require('../../models/PageShare');
+const PageThread = require('../../models/PageThread');
+const PageRow = require('../../models/PageRow');
+const PageQuickAccess = require('../../models/PageQuickAccess');
 const User = require('../../models/User');
+const Contact = require('../../models/Contact');
+const Task = require('../../models/Task');
+const Notification = require('../../models/Notification');
 const Workspace = require('../../models/Workspace');
 const WorkspaceMember = require('../../models/WorkspaceMember');
+const { MAX_BLOCK_DEPTH } = require('../../utils/pageBlocks');
+const archiver = require('archiver');
+const yauzl = require('yauzl');
 
 /**
  * /api/pages route integračné testy (supertest + mongodb-memory-server).
@@ -17,7 +31,27 @@ const WorkspaceMember = require('../../models/WorkspaceMember');
  *   - P2 Workspace Isolation na HTTP vrstve (GET/PUT/DELETE zo susedného
  *     workspace vráti 404, nie 200 s cudzími dátami)
  *   - input validation (invalid ObjectId → 400)
- *   - kaskádové mazanie subtree (iterative BFS + deleteMany)
+ *   - poradie v strome (order súrodencov, hromadný presun, ochrana pred
+ *     cyklom)
+ *   - obľúbené a naposledy navštívené stránky, rýchly prepínač
+ *   - kôš: mazanie subtree = soft delete (iterative BFS + updateMany),
+ *     /trash zoznam a obnovenie celého subtree
+ *   - blokové úložisko (/:id/blocks CRUD + reorder, legacy content → blocks pri čítaní bez zápisu)
+ *   - revízie pre co-editing (každá zmena blokov = +1 revision + PageOperation)
+ *   - história verzií (/:id/versions zoznam, diff, obnovenie)
+ *   - obrázky image blokov (/:id/files — len obrázky, len cez R2)
+ *   - inline formátovanie a zmienky (marks, posun cez text, notifikácia)
+ *   - prepojenie stránky s kontaktom / projektom a spätné odkazy
+ *   - databázové stránky (vlastnosti, riadky, filtre a zoradenie na
+ *     serveri, pohľady, CSV export / import)
+ *   - šablóny (uloženie, stránka zo šablóny so zástupnými symbolmi) a
+ *     duplikát stránky s podstránkami
+ *   - verejné odkazy (vytvorenie, validácia, zrušenie, izolácia workspace)
+ *   - oprávnenia stránok (súkromné stránky, zoznam členov s úrovňou,
+ *     dedenie na podstránky, kto smie oprávnenia meniť)
+ *   - import z Markdownu / ZIP-u a export do md, html, pdf a ZIP-u
+ *   - diskusie k blokom (úsek textu ako značka, odpovede, reakcie,
+ *     uzavretie, notifikácie účastníkov)
  */
 describe('/api/pages route', () => {
   let app;
@@ -29,11 +63,31 @@ describe('/api/pages route', () => {
     await Workspace.init();
     await WorkspaceMember.init();
     await Page.init();
+    await PageOperation.init();
+    await PageVersion.init();
+    await PageFile.init();
+    await PageTemplate.init();
+    await PageShare.init();
+    await PageThread.init();
+    await PageRow.init();
+    await PageQuickAccess.init();
+    await Notification.init();
     ({ app } = createTestApp('/api/pages', pagesRouter));
   });
 
   beforeEach(async () => {
     await Page.deleteMany({});
+    await PageOperation.deleteMany({});
+    await PageVersion.deleteMany({});
+    await PageFile.deleteMany({});
+    await PageTemplate.deleteMany({});
+    await PageShare.deleteMany({});
+    await PageThread.deleteMany({});
+    await PageRow.deleteMany({});
+    await PageQuickAccess.deleteMany({});
+    await Notification.deleteMany({});
+    await Contact.deleteMany({});
+    await Task.deleteMany({});
     await WorkspaceMember.deleteMany({});
     await Workspace.deleteMany({});
     await User.deleteMany({});
@@ -281,10 +335,381 @@ describe('/api/pages route', () => {
       expect(res.status).toBe(200);
       expect(res.body.parentId).toBeNull();
     });
+
+    it('If-Match so starou verziou → 409 VERSION_CONFLICT, DB nezmenená', async () => {
+      const p = await Page.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        title: 'Current'
+      });
+      const staleVersion = String(p.editVersion);
+      await Page.updateOne({ _id: p._id }, { $set: { icon: '📄' } });
+
+      const res = await request(app)
+        .put(`/api/pages/${p._id}`)
+        .set(authHeader(ownerCtx.token))
+        .set('If-Match', `"${staleVersion}"`)
+        .send({ title: 'Clobbered' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('VERSION_CONFLICT');
+      expect(res.body.current.title).toBe('Current');
+      const untouched = await Page.findById(p._id);
+      expect(untouched.title).toBe('Current');
+    });
+
+    it('If-Match: title + blocks pri konflikte snapshotu → 409, title ostane pôvodný', async () => {
+      const p = await Page.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        title: 'Current'
+      });
+      // Súbežná zmena blokov medzi kontrolou If-Match v route a zápisom snapshotu
+      const findOne = Page.findOne.bind(Page);
+      const spy = jest.spyOn(Page, 'findOne').mockImplementationOnce(async (...args) => {
+        const loaded = await findOne(...args);
+        await Page.updateOne(
+          { _id: p._id },
+          { $set: { icon: '📄' } }
+        );
+        return loaded;
+      });
+
+      const res = await request(app)
+        .put(`/api/pages/${p._id}`)
+        .set(authHeader(ownerCtx.token))
+        .set('If-Match', `"${p.editVersion}"`)
+        .send({ title: 'Clobbered', blocks: [{ id: 'b1', type: 'paragraph', content: 'Nový obsah' }] });
+      spy.mockRestore();
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('VERSION_CONFLICT');
+      const untouched = await Page.findById(p._id);
+      expect(untouched.title).toBe('Current');
+      expect(untouched.content).not.toContain('Nový obsah');
+    });
+
+    it('bez If-Match ostáva posledný zápis vyhráva, odpoveď nesie verziu', async () => {
+      const p = await Page.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        title: 'Current'
+      });
+
+      const res = await request(app)
+        .put(`/api/pages/${p._id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ title: 'New' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.version).toBeTruthy();
+      expect(res.headers.etag).toBe(`"${res.body.version}"`);
+    });
+  });
+
+  describe('Tree order & move', () => {
+    const createPage = (title, extra = {}) => Page.create({
+      workspaceId: ownerCtx.workspace._id,
+      userId: ownerCtx.user._id,
+      title,
+      ...extra
+    });
+
+    const move = (token, moves) => request(app)
+      .put('/api/pages/move')
+      .set(authHeader(token))
+      .send({ moves });
+
+    it('GET / radí súrodencov podľa order, nová stránka ide na koniec', async () => {
+      await createPage('B', { order: 1 });
+      await createPage('A', { order: 0 });
+
+      const created = await request(app)
+        .post('/api/pages')
+        .set(authHeader(ownerCtx.token))
+        .send({ title: 'C' });
+      expect(created.body.order).toBe(2);
+
+      const res = await request(app)
+        .get('/api/pages')
+        .set(authHeader(ownerCtx.token));
+      expect(res.body.map(p => p.title)).toEqual(['A', 'B', 'C']);
+    });
+
+    it('PUT /move prečísluje súrodencov a presunie stránku pod iného rodiča bez zmeny updatedAt', async () => {
+      const a = await createPage('A', { order: 0 });
+      const b = await createPage('B', { order: 1 });
+      const c = await createPage('C', { order: 2 });
+      const updatedAt = (await Page.findById(c._id)).updatedAt;
+
+      const res = await move(ownerCtx.token, [
+        { id: c._id.toString(), parentId: null, order: 0 },
+        { id: a._id.toString(), parentId: null, order: 1 },
+        { id: b._id.toString(), parentId: a._id.toString(), order: 0 }
+      ]);
+      expect(res.status).toBe(200);
+
+      const [movedB, movedC] = await Promise.all([Page.findById(b._id), Page.findById(c._id)]);
+      expect(movedB.parentId.toString()).toBe(a._id.toString());
+      expect(movedC.order).toBe(0);
+      expect(movedC.updatedAt.getTime()).toBe(updatedAt.getTime());
+    });
+
+    it('PUT /move odmietne cyklus a nezapíše nič', async () => {
+      const root = await createPage('Root');
+      const child = await createPage('Child', { parentId: root._id });
+      const grandchild = await createPage('Grandchild', { parentId: child._id });
+
+      const res = await move(ownerCtx.token, [
+        { id: child._id.toString(), parentId: root._id.toString(), order: 5 },
+        { id: root._id.toString(), parentId: grandchild._id.toString(), order: 0 }
+      ]);
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('PAGE_CYCLE');
+      expect((await Page.findById(child._id)).order).toBe(0);
+
+      const self = await move(ownerCtx.token, [{ id: root._id.toString(), parentId: root._id.toString(), order: 0 }]);
+      expect(self.body.code).toBe('PAGE_CYCLE');
+    });
+
+    it('PUT /move: cudzia stránka 404, len na čítanie 403, zlý vstup 400', async () => {
+      const member = await addMember(ownerCtx.workspace._id, { username: 'jana', email: 'jana@test.com' });
+      const page = await createPage('Len čítanie', { permissions: [{ userId: member.user._id, level: 'view' }] });
+      const foreign = await Page.create({ workspaceId: otherCtx.workspace._id, userId: otherCtx.user._id, title: 'Foreign' });
+
+      const denied = await move(member.token, [{ id: page._id.toString(), parentId: null, order: 3 }]);
+      expect(denied.status).toBe(403);
+
+      const missing = await move(ownerCtx.token, [{ id: foreign._id.toString(), parentId: null, order: 0 }]);
+      expect(missing.status).toBe(404);
+
+      const intoForeign = await move(ownerCtx.token, [{ id: page._id.toString(), parentId: foreign._id.toString(), order: 0 }]);
+      expect(intoForeign.status).toBe(404);
+
+      const invalid = await move(ownerCtx.token, [{ id: page._id.toString(), parentId: null, order: -1 }]);
+      expect(invalid.status).toBe(400);
+      const empty = await move(ownerCtx.token, []);
+      expect(empty.status).toBe(400);
+    });
+
+    it('PUT /:id nepresunie stránku pod jej podstránku', async () => {
+      const root = await createPage('Root');
+      const child = await createPage('Child', { parentId: root._id });
+
+      const res = await request(app)
+        .put(`/api/pages/${root._id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ parentId: child._id.toString() });
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('PAGE_CYCLE');
+      expect((await Page.findById(root._id)).parentId).toBeNull();
+    });
+
+    it('PUT /move: súbežný opačný presun medzi kontrolou a zápisom → 400, presun sa vráti', async () => {
+      const a = await createPage('A', { order: 0 });
+      const b = await createPage('B', { order: 1 });
+
+      // Iná inštancia presunie B pod A tesne pred zápisom A pod B
+      const bulkWrite = Page.bulkWrite.bind(Page);
+      const spy = jest.spyOn(Page, 'bulkWrite').mockImplementationOnce(async (...args) => {
+        await Page.updateOne({ _id: b._id }, { $set: { parentId: a._id } });
+        return bulkWrite(...args);
+      });
+      const res = await move(ownerCtx.token, [{ id: a._id.toString(), parentId: b._id.toString(), order: 0 }]);
+      spy.mockRestore();
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('PAGE_CYCLE');
+      const [storedA, storedB] = await Promise.all([Page.findById(a._id), Page.findById(b._id)]);
+      expect(storedA.parentId).toBeNull();
+      expect(storedA.order).toBe(0);
+      expect(storedB.parentId.toString()).toBe(a._id.toString());
+    });
+
+    it('PUT /:id: súbežný opačný presun medzi kontrolou a zápisom → 400, presun sa vráti', async () => {
+      const a = await createPage('A', { order: 0 });
+      const b = await createPage('B', { order: 1 });
+
+      const save = Page.prototype.save;
+      const spy = jest.spyOn(Page.prototype, 'save').mockImplementationOnce(async function (...args) {
+        await Page.updateOne({ _id: b._id }, { $set: { parentId: a._id } });
+        return save.apply(this, args);
+      });
+      const res = await request(app)
+        .put(`/api/pages/${a._id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ parentId: b._id.toString() });
+      spy.mockRestore();
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('PAGE_CYCLE');
+      const storedA = await Page.findById(a._id);
+      expect(storedA.parentId).toBeNull();
+      expect(storedA.order).toBe(0);
+    });
+  });
+
+  describe('Favorites, recent & quick switch', () => {
+    const createPage = (title, extra = {}) => Page.create({
+      workspaceId: ownerCtx.workspace._id,
+      userId: ownerCtx.user._id,
+      title,
+      ...extra
+    });
+
+    const visit = (token, page) => request(app)
+      .get(`/api/pages/${page._id}`)
+      .set(authHeader(token));
+
+    const quickAccess = (token) => request(app)
+      .get('/api/pages/quick-access')
+      .set(authHeader(token));
+
+    it('GET /:id zapíše návštevu — najnovšia prvá, každá stránka raz', async () => {
+      const a = await createPage('A');
+      const b = await createPage('B');
+      await visit(ownerCtx.token, a);
+      await visit(ownerCtx.token, b);
+      const again = await visit(ownerCtx.token, a);
+      expect(again.body.favorite).toBe(false);
+
+      const res = await quickAccess(ownerCtx.token);
+      expect(res.status).toBe(200);
+      expect(res.body.recent.map(p => p.title)).toEqual(['A', 'B']);
+      expect(res.body.recent[0].visitedAt).toBeDefined();
+      expect(res.body.favorites).toEqual([]);
+
+      // Iný používateľ má vlastný zoznam
+      const stranger = await quickAccess(otherCtx.token);
+      expect(stranger.body.recent).toEqual([]);
+
+      const cleared = await request(app)
+        .delete('/api/pages/recent')
+        .set(authHeader(ownerCtx.token));
+      expect(cleared.status).toBe(200);
+      expect((await quickAccess(ownerCtx.token)).body.recent).toEqual([]);
+    });
+
+    it('obľúbené: pridanie, poradie, odobratie', async () => {
+      const a = await createPage('A');
+      const b = await createPage('B', { parentId: a._id });
+
+      const added = await request(app)
+        .post(`/api/pages/${a._id}/favorite`)
+        .set(authHeader(ownerCtx.token));
+      expect(added.status).toBe(201);
+      await request(app).post(`/api/pages/${b._id}/favorite`).set(authHeader(ownerCtx.token));
+      // Druhé pridanie nič nezdvojí
+      const twice = await request(app).post(`/api/pages/${a._id}/favorite`).set(authHeader(ownerCtx.token));
+      expect(twice.body.favorites.map(p => p.title)).toEqual(['A', 'B']);
+      expect(twice.body.favorites[1].path).toEqual(['A']);
+
+      expect((await visit(ownerCtx.token, a)).body.favorite).toBe(true);
+
+      const reordered = await request(app)
+        .put('/api/pages/favorites')
+        .set(authHeader(ownerCtx.token))
+        .send({ pageIds: [b._id.toString(), a._id.toString()] });
+      expect(reordered.status).toBe(200);
+      expect(reordered.body.favorites.map(p => p.title)).toEqual(['B', 'A']);
+
+      const foreign = await createPage('Cudzia');
+      const invalid = await request(app)
+        .put('/api/pages/favorites')
+        .set(authHeader(ownerCtx.token))
+        .send({ pageIds: [foreign._id.toString()] });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.code).toBe('INVALID_ORDER');
+
+      const removed = await request(app)
+        .delete(`/api/pages/${b._id}/favorite`)
+        .set(authHeader(ownerCtx.token));
+      expect(removed.status).toBe(200);
+      expect(removed.body.favorites.map(p => p.title)).toEqual(['A']);
+    });
+
+    it('stránku z iného workspace nemožno pridať, stránka v koši sa neukáže', async () => {
+      const other = await Page.create({
+        workspaceId: otherCtx.workspace._id,
+        userId: otherCtx.user._id,
+        title: 'Cudzia'
+      });
+      const res = await request(app)
+        .post(`/api/pages/${other._id}/favorite`)
+        .set(authHeader(ownerCtx.token));
+      expect(res.status).toBe(404);
+
+      const page = await createPage('Do koša');
+      await request(app).post(`/api/pages/${page._id}/favorite`).set(authHeader(ownerCtx.token));
+      await visit(ownerCtx.token, page);
+      await Page.updateOne({ _id: page._id }, { deletedAt: new Date() });
+
+      const lists = await quickAccess(ownerCtx.token);
+      expect(lists.body.favorites).toEqual([]);
+      expect(lists.body.recent).toEqual([]);
+    });
+
+    it('quick-switch hľadá približne a bez diakritiky, so zvýraznením', async () => {
+      await createPage('Projektový plán');
+      await createPage('Porady');
+      await createPage('Rozpočet');
+
+      const res = await request(app)
+        .get('/api/pages/quick-switch')
+        .query({ q: 'prjpl' })
+        .set(authHeader(ownerCtx.token));
+      expect(res.status).toBe(200);
+      expect(res.body.map(p => p.title)).toEqual(['Projektový plán']);
+      expect(res.body[0].segments.filter(s => s.type === 'match').map(s => s.text).join('')).toBe('Prjpl');
+
+      const folded = await request(app)
+        .get('/api/pages/quick-switch')
+        .query({ q: 'rozpocet' })
+        .set(authHeader(ownerCtx.token));
+      expect(folded.body.map(p => p.title)).toEqual(['Rozpočet']);
+    });
+
+    it('quick-switch radí obľúbené a navštívené vyššie, prázdny dopyt vráti nedávne', async () => {
+      const first = await createPage('Poznámky A');
+      const second = await createPage('Poznámky B');
+      await request(app).post(`/api/pages/${second._id}/favorite`).set(authHeader(ownerCtx.token));
+
+      const res = await request(app)
+        .get('/api/pages/quick-switch')
+        .query({ q: 'poznamky' })
+        .set(authHeader(ownerCtx.token));
+      expect(res.body.map(p => p.title)).toEqual(['Poznámky B', 'Poznámky A']);
+      expect(res.body[0].favorite).toBe(true);
+
+      await visit(ownerCtx.token, first);
+      const empty = await request(app)
+        .get('/api/pages/quick-switch')
+        .set(authHeader(ownerCtx.token));
+      expect(empty.body.map(p => p.title)).toEqual(['Poznámky A', 'Poznámky B']);
+      expect(empty.body[0].visitedAt).not.toBeNull();
+    });
+
+    it('quick-switch nevráti stránky, ktoré volajúci nevidí', async () => {
+      const memberCtx = await addMember(ownerCtx.workspace._id, { username: 'member', email: 'member@test.com' });
+      await createPage('Tajný plán', { visibility: 'private' });
+      await createPage('Verejný plán');
+
+      const res = await request(app)
+        .get('/api/pages/quick-switch')
+        .query({ q: 'plan' })
+        .set(authHeader(memberCtx.token));
+      expect(res.body.map(p => p.title)).toEqual(['Verejný plán']);
+
+      const stranger = await request(app)
+        .get('/api/pages/quick-switch')
+        .query({ q: 'plan' })
+        .set(authHeader(otherCtx.token));
+      expect(stranger.body).toEqual([]);
+    });
   });
 
   describe('DELETE /:id', () => {
-    it('zmaže stránku a celý jej subtree (iterative BFS)', async () => {
+    it('presunie stránku a celý jej subtree do koša (iterative BFS)', async () => {
       const root = await Page.create({
         workspaceId: ownerCtx.workspace._id,
         userId: ownerCtx.user._id,
@@ -314,9 +739,16 @@ describe('/api/pages route', () => {
         .set(authHeader(ownerCtx.token));
 
       expect(res.status).toBe(200);
-      const remaining = await Page.find({ workspaceId: ownerCtx.workspace._id });
+      const remaining = await Page.find({ workspaceId: ownerCtx.workspace._id, deletedAt: null });
       expect(remaining).toHaveLength(1);
       expect(remaining[0]._id.toString()).toBe(sibling._id.toString());
+
+      const trashed = await Page.find({ workspaceId: ownerCtx.workspace._id, deletedAt: { $ne: null } });
+      expect(trashed).toHaveLength(3);
+      trashed.forEach((p) => {
+        expect(p.trashRootId.toString()).toBe(root._id.toString());
+        expect(p.deletedBy.toString()).toBe(ownerCtx.user._id.toString());
+      });
     });
 
     it('P2 isolation: DELETE cudziu stránku → 404 a nic sa nezmaze', async () => {
@@ -343,43 +775,2256 @@ describe('/api/pages route', () => {
     });
   });
 
-  describe('Socket.IO emit', () => {
-    it('POST emituje page-created do workspace room', async () => {
-      const mockIo = {
-        to: jest.fn().mockReturnThis(),
-        emit: jest.fn()
-      };
-      const { app: localApp } = createTestApp('/api/pages', pagesRouter, { io: mockIo });
+  describe('Trash', () => {
+    const createTree = async () => {
+      const root = await Page.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        title: 'Root'
+      });
+      const child = await Page.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        title: 'Child',
+        parentId: root._id
+      });
+      const grandchild = await Page.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        title: 'Grandchild',
+        parentId: child._id
+      });
+      return { root, child, grandchild };
+    };
 
-      const res = await request(localApp)
+    const trash = (page) => request(app)
+      .delete(`/api/pages/${page._id}`)
+      .set(authHeader(ownerCtx.token));
+
+    it('stránka v koši nie je v zozname ani cez GET /:id', async () => {
+      const { child } = await createTree();
+      await trash(child);
+
+      const list = await request(app).get('/api/pages').set(authHeader(ownerCtx.token));
+      expect(list.body.map(p => p.title)).toEqual(['Root']);
+
+      const single = await request(app).get(`/api/pages/${child._id}`).set(authHeader(ownerCtx.token));
+      expect(single.status).toBe(404);
+    });
+
+    it('GET /trash vráti jeden záznam na zmazanie s počtom stránok', async () => {
+      const { child } = await createTree();
+      await trash(child);
+
+      const res = await request(app).get('/api/pages/trash').set(authHeader(ownerCtx.token));
+
+      expect(res.status).toBe(200);
+      expect(res.body).toHaveLength(1);
+      expect(res.body[0]).toMatchObject({ id: child._id.toString(), title: 'Child', pageCount: 2 });
+      expect(res.body[0].deletedBy.username).toBe('owner');
+      expect(new Date(res.body[0].purgeAt).getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('GET /trash: pageCount nepočíta podstránky, ktoré volajúci nevidí', async () => {
+      const memberCtx = await addMember(ownerCtx.workspace._id, { username: 'member', email: 'member@test.com' });
+      const { child, grandchild } = await createTree();
+      await Page.updateOne({ _id: grandchild._id }, { visibility: 'private' });
+      await trash(child);
+
+      const member = await request(app).get('/api/pages/trash').set(authHeader(memberCtx.token));
+      expect(member.body).toHaveLength(1);
+      expect(member.body[0]).toMatchObject({ id: child._id.toString(), pageCount: 1 });
+
+      const owner = await request(app).get('/api/pages/trash').set(authHeader(ownerCtx.token));
+      expect(owner.body[0].pageCount).toBe(2);
+    });
+
+    it('obnovenie vráti celý subtree pod pôvodného rodiča', async () => {
+      const { root, child, grandchild } = await createTree();
+      await trash(child);
+
+      const res = await request(app)
+        .post(`/api/pages/trash/${child._id}/restore`)
+        .set(authHeader(ownerCtx.token));
+
+      expect(res.status).toBe(200);
+      expect(res.body).toHaveLength(2);
+      const restoredChild = await Page.findById(child._id);
+      expect(restoredChild.deletedAt).toBeNull();
+      expect(restoredChild.trashRootId).toBeNull();
+      expect(restoredChild.parentId.toString()).toBe(root._id.toString());
+      expect((await Page.findById(grandchild._id)).deletedAt).toBeNull();
+    });
+
+    it('rodič v koši → obnovený subtree ide na najvyššiu úroveň', async () => {
+      const { root, child } = await createTree();
+      await trash(child);
+      await trash(root);
+
+      await request(app)
+        .post(`/api/pages/trash/${child._id}/restore`)
+        .set(authHeader(ownerCtx.token));
+
+      const restoredChild = await Page.findById(child._id);
+      expect(restoredChild.deletedAt).toBeNull();
+      expect(restoredChild.parentId).toBeNull();
+      // Rodič ostáva v koši
+      expect((await Page.findById(root._id)).deletedAt).not.toBeNull();
+    });
+
+    it('obnoviť sa dá len koreň zmazania', async () => {
+      const { child, grandchild } = await createTree();
+      await trash(child);
+
+      const res = await request(app)
+        .post(`/api/pages/trash/${grandchild._id}/restore`)
+        .set(authHeader(ownerCtx.token));
+      expect(res.status).toBe(404);
+    });
+
+    it('P2 isolation: kôš iného workspace nie je vidieť ani obnoviť', async () => {
+      const strangerPage = await Page.create({
+        workspaceId: otherCtx.workspace._id,
+        userId: otherCtx.user._id,
+        title: 'Stranger'
+      });
+      await request(app)
+        .delete(`/api/pages/${strangerPage._id}`)
+        .set(authHeader(otherCtx.token));
+
+      const list = await request(app).get('/api/pages/trash').set(authHeader(ownerCtx.token));
+      expect(list.body).toEqual([]);
+
+      const restore = await request(app)
+        .post(`/api/pages/trash/${strangerPage._id}/restore`)
+        .set(authHeader(ownerCtx.token));
+      expect(restore.status).toBe(404);
+      expect((await Page.findById(strangerPage._id)).deletedAt).not.toBeNull();
+    });
+  });
+
+  describe('Blocks', () => {
+    const createPage = (extra = {}) => Page.create({
+      workspaceId: ownerCtx.workspace._id,
+      userId: ownerCtx.user._id,
+      title: 'Doc',
+      blocks: [
+        { id: 'b1', type: 'heading1', content: 'Title' },
+        { id: 'b2', type: 'paragraph', content: 'Body' }
+      ],
+      ...extra
+    });
+
+    it('POST / bez content vytvorí jeden prázdny odsek', async () => {
+      const res = await request(app)
         .post('/api/pages')
         .set(authHeader(ownerCtx.token))
-        .send({ title: 'Broadcast' });
+        .send({ title: 'Empty' });
+      expect(res.status).toBe(201);
+      expect(res.body.blocks).toHaveLength(1);
+      expect(res.body.blocks[0]).toMatchObject({ type: 'paragraph', content: '' });
+      expect(res.body.blocks[0].id).toEqual(expect.any(String));
+    });
 
+    it('POST / s blocks uloží typy aj poradie a odvodí content', async () => {
+      const res = await request(app)
+        .post('/api/pages')
+        .set(authHeader(ownerCtx.token))
+        .send({
+          title: 'Spec',
+          blocks: [
+            { type: 'heading2', content: 'Intro' },
+            { type: 'code', content: 'npm test', props: { language: 'bash' } }
+          ]
+        });
       expect(res.status).toBe(201);
-      expect(mockIo.to).toHaveBeenCalledWith(`workspace-${ownerCtx.workspace._id}`);
-      expect(mockIo.emit).toHaveBeenCalledWith('page-created', expect.objectContaining({ title: 'Broadcast' }));
+      expect(res.body.blocks.map(b => b.type)).toEqual(['heading2', 'code']);
+      expect(res.body.blocks[1].props).toEqual({ language: 'bash' });
+      expect(res.body.content).toBe('Intro\n\nnpm test');
     });
 
-    it('DELETE emituje page-deleted s pageId', async () => {
-      const mockIo = {
-        to: jest.fn().mockReturnThis(),
-        emit: jest.fn()
-      };
-      const { app: localApp } = createTestApp('/api/pages', pagesRouter, { io: mockIo });
+    it('POST / s neznámym typom bloku → 400', async () => {
+      const res = await request(app)
+        .post('/api/pages')
+        .set(authHeader(ownerCtx.token))
+        .send({ blocks: [{ type: 'iframe', content: 'x' }] });
+      expect(res.status).toBe(400);
+      expect(await Page.countDocuments({})).toBe(0);
+    });
 
-      const p = await Page.create({
+    it('GET /:id skonvertuje legacy content na paragraph bloky, do DB nič nezapíše', async () => {
+      const legacy = await Page.create({
         workspaceId: ownerCtx.workspace._id,
         userId: ownerCtx.user._id,
-        title: 'Goodbye'
+        title: 'Legacy',
+        content: 'First paragraph\n\nSecond paragraph'
       });
 
-      const res = await request(localApp)
-        .delete(`/api/pages/${p._id}`)
+      const res = await request(app)
+        .get(`/api/pages/${legacy._id}`)
         .set(authHeader(ownerCtx.token));
 
       expect(res.status).toBe(200);
-      expect(mockIo.emit).toHaveBeenCalledWith('page-deleted', { pageId: p._id.toString() });
+      expect(res.body.blocks.map(b => b.content)).toEqual(['First paragraph', 'Second paragraph']);
+      expect(res.body.content).toBe('First paragraph\n\nSecond paragraph');
+      const inDb = await Page.findById(legacy._id);
+      expect(inDb.blocks).toHaveLength(0);
+      expect(inDb.editVersion).toBe(0);
+
+      // Rovnaké id pri každom čítaní — editor ich môže hneď upravovať
+      const again = await request(app)
+        .get(`/api/pages/${legacy._id}`)
+        .set(authHeader(ownerCtx.token));
+      expect(again.body.blocks.map(b => b.id)).toEqual(res.body.blocks.map(b => b.id));
+    });
+
+    it('prvá úprava legacy stránky uloží bloky z content', async () => {
+      const legacy = await Page.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        title: 'Legacy',
+        content: 'First paragraph\n\nSecond paragraph'
+      });
+      const opened = await request(app)
+        .get(`/api/pages/${legacy._id}`)
+        .set(authHeader(ownerCtx.token));
+      const secondId = opened.body.blocks[1].id;
+
+      const res = await request(app)
+        .put(`/api/pages/${legacy._id}/blocks/${secondId}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ content: 'Changed' });
+
+      expect(res.status).toBe(200);
+      const inDb = await Page.findById(legacy._id);
+      expect(inDb.blocks.map(b => b.id)).toEqual(opened.body.blocks.map(b => b.id));
+      expect(inDb.content).toBe('First paragraph\n\nChanged');
+    });
+
+    it('PUT /:id s blokmi vnorenými hlbšie ako MAX_BLOCK_DEPTH → 400, nič sa nezahodí potichu', async () => {
+      const page = await createPage();
+      const nested = (levels) => {
+        let block = { type: 'paragraph', content: 'Najhlbší' };
+        for (let i = 0; i < levels; i++) block = { type: 'paragraph', content: `Úroveň ${i}`, children: [block] };
+        return block;
+      };
+
+      const tooDeep = await request(app)
+        .put(`/api/pages/${page._id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ blocks: [nested(MAX_BLOCK_DEPTH + 1)] });
+      expect(tooDeep.status).toBe(400);
+      expect((await Page.findById(page._id)).blocks.map(b => b.id)).toEqual(['b1', 'b2']);
+
+      const deepest = await request(app)
+        .put(`/api/pages/${page._id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ blocks: [nested(MAX_BLOCK_DEPTH)] });
+      expect(deepest.status).toBe(200);
+      expect((await Page.findById(page._id)).content).toContain('Najhlbší');
+    });
+
+    it('POST /:id/blocks vloží blok za afterBlockId', async () => {
+      const page = await createPage();
+      const res = await request(app)
+        .post(`/api/pages/${page._id}/blocks`)
+        .set(authHeader(ownerCtx.token))
+        .send({ type: 'quote', content: 'Cite', afterBlockId: 'b1' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.type).toBe('quote');
+      const inDb = await Page.findById(page._id);
+      expect(inDb.blocks.map(b => b.id)).toEqual(['b1', res.body.id, 'b2']);
+      expect(inDb.content).toBe('Title\n\nCite\n\nBody');
+    });
+
+    it('POST /:id/blocks s parentBlockId pridá vnorený blok', async () => {
+      const page = await createPage();
+      const res = await request(app)
+        .post(`/api/pages/${page._id}/blocks`)
+        .set(authHeader(ownerCtx.token))
+        .send({ type: 'bullet-list', content: 'Nested', parentBlockId: 'b2' });
+
+      expect(res.status).toBe(201);
+      const inDb = await Page.findById(page._id);
+      expect(inDb.blocks[1].children).toHaveLength(1);
+      expect(inDb.blocks[1].children[0].content).toBe('Nested');
+    });
+
+    it('POST /:id/blocks s neexistujúcim afterBlockId → 404', async () => {
+      const page = await createPage();
+      const res = await request(app)
+        .post(`/api/pages/${page._id}/blocks`)
+        .set(authHeader(ownerCtx.token))
+        .send({ afterBlockId: 'missing' });
+      expect(res.status).toBe(404);
+    });
+
+    it('PUT /:id/blocks/:blockId zmení content aj typ', async () => {
+      const page = await createPage();
+      const res = await request(app)
+        .put(`/api/pages/${page._id}/blocks/b2`)
+        .set(authHeader(ownerCtx.token))
+        .send({ content: 'Changed', type: 'heading3' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ id: 'b2', type: 'heading3', content: 'Changed' });
+      const inDb = await Page.findById(page._id);
+      expect(inDb.blocks[1].type).toBe('heading3');
+      expect(inDb.content).toBe('Title\n\nChanged');
+    });
+
+    it('rozšírené typy blokov (todo, toggle, callout, divider, image, table)', async () => {
+      const res = await request(app)
+        .post('/api/pages')
+        .set(authHeader(ownerCtx.token))
+        .send({
+          blocks: [
+            { type: 'todo', content: 'Ship it', props: { checked: true } },
+            { type: 'toggle', content: 'Details', children: [{ type: 'paragraph', content: 'Hidden' }] },
+            { type: 'callout', content: 'Heads up', props: { icon: '⚠️' } },
+            { type: 'divider' },
+            { type: 'image', content: 'Diagram', props: { fileId: 'f-1', name: 'diagram.png' } },
+            { type: 'table', content: 'A\tB\n1\t2', props: { header: true } }
+          ]
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body.blocks.map(b => b.type)).toEqual(['todo', 'toggle', 'callout', 'divider', 'image', 'table']);
+      expect(res.body.blocks[0].props).toEqual({ checked: true });
+      expect(res.body.blocks[1].children[0].content).toBe('Hidden');
+      expect(res.body.blocks[5].content).toBe('A\tB\n1\t2');
+    });
+
+    it('PUT /:id/blocks/:blockId odškrtne todo cez props (block-updated)', async () => {
+      const page = await createPage({
+        blocks: [{ id: 't1', type: 'todo', content: 'Task', props: { checked: false } }]
+      });
+      const res = await request(app)
+        .put(`/api/pages/${page._id}/blocks/t1`)
+        .set(authHeader(ownerCtx.token))
+        .send({ props: { checked: true } });
+
+      expect(res.status).toBe(200);
+      expect(res.body.props).toEqual({ checked: true });
+      const op = await PageOperation.findOne({ pageId: page._id }).sort({ revision: -1 });
+      expect(op.event).toBe('block-updated');
+    });
+
+    it('PUT /:id/blocks/reorder preusporiada súrodencov', async () => {
+      const page = await createPage();
+      const res = await request(app)
+        .put(`/api/pages/${page._id}/blocks/reorder`)
+        .set(authHeader(ownerCtx.token))
+        .send({ blockIds: ['b2', 'b1'] });
+
+      expect(res.status).toBe(200);
+      const inDb = await Page.findById(page._id);
+      expect(inDb.blocks.map(b => b.id)).toEqual(['b2', 'b1']);
+    });
+
+    it('PUT /:id/blocks/reorder odmietne neúplný zoznam', async () => {
+      const page = await createPage();
+      const res = await request(app)
+        .put(`/api/pages/${page._id}/blocks/reorder`)
+        .set(authHeader(ownerCtx.token))
+        .send({ blockIds: ['b2'] });
+      expect(res.status).toBe(400);
+    });
+
+    it('DELETE /:id/blocks/:blockId zmaže blok, posledný nechá', async () => {
+      const page = await createPage();
+      const first = await request(app)
+        .delete(`/api/pages/${page._id}/blocks/b1`)
+        .set(authHeader(ownerCtx.token));
+      expect(first.status).toBe(200);
+
+      const last = await request(app)
+        .delete(`/api/pages/${page._id}/blocks/b2`)
+        .set(authHeader(ownerCtx.token));
+      expect(last.status).toBe(400);
+
+      const inDb = await Page.findById(page._id);
+      expect(inDb.blocks.map(b => b.id)).toEqual(['b2']);
+    });
+
+    it('P2 isolation: bloky cudzej stránky → 404', async () => {
+      const strangerPage = await Page.create({
+        workspaceId: otherCtx.workspace._id,
+        userId: otherCtx.user._id,
+        title: 'Stranger',
+        blocks: [{ id: 's1', type: 'paragraph', content: 'Secret' }]
+      });
+
+      const get = await request(app)
+        .get(`/api/pages/${strangerPage._id}/blocks`)
+        .set(authHeader(ownerCtx.token));
+      expect(get.status).toBe(404);
+
+      const put = await request(app)
+        .put(`/api/pages/${strangerPage._id}/blocks/s1`)
+        .set(authHeader(ownerCtx.token))
+        .send({ content: 'HACKED' });
+      expect(put.status).toBe(404);
+
+      const untouched = await Page.findById(strangerPage._id);
+      expect(untouched.blocks[0].content).toBe('Secret');
+    });
+
+    it('POST /:id/blocks emituje block-created do page room', async () => {
+      const mockIo = {
+        to: jest.fn().mockReturnThis(),
+        emit: jest.fn()
+      };
+      const { app: localApp } = createTestApp('/api/pages', pagesRouter, { io: mockIo });
+      const page = await createPage();
+
+      const res = await request(localApp)
+        .post(`/api/pages/${page._id}/blocks`)
+        .set(authHeader(ownerCtx.token))
+        .send({ afterBlockId: 'b2' });
+
+      expect(res.status).toBe(201);
+      expect(mockIo.to).toHaveBeenCalledWith(`page-${page._id}`);
+      expect(mockIo.emit).toHaveBeenCalledWith('block-created', expect.objectContaining({
+        pageId: page._id.toString(),
+        afterBlockId: 'b2'
+      }));
+    });
+    it('zmeny blokov zvyšujú revision a zapisujú sa do logu', async () => {
+      const page = await createPage();
+
+      await request(app)
+        .post(`/api/pages/${page._id}/blocks`)
+        .set(authHeader(ownerCtx.token))
+        .send({ afterBlockId: 'b1' });
+      await request(app)
+        .put(`/api/pages/${page._id}/blocks/b2`)
+        .set(authHeader(ownerCtx.token))
+        .send({ content: 'Body text' });
+
+      const inDb = await Page.findById(page._id);
+      expect(inDb.revision).toBe(2);
+      const log = await PageOperation.find({ pageId: page._id }).sort({ revision: 1 }).lean();
+      expect(log.map(e => e.kind)).toEqual(['structure', 'text']);
+      expect(log[0].event).toBe('block-created');
+      expect(log[1]).toMatchObject({ blockId: 'b2', op: [4, ' text'] });
+    });
+
+    it('PUT /:id/blocks/:blockId s contentom emituje page-op s revíziou', async () => {
+      const mockIo = {
+        to: jest.fn().mockReturnThis(),
+        emit: jest.fn()
+      };
+      const { app: localApp } = createTestApp('/api/pages', pagesRouter, { io: mockIo });
+      const page = await createPage();
+
+      const res = await request(localApp)
+        .put(`/api/pages/${page._id}/blocks/b2`)
+        .set(authHeader(ownerCtx.token))
+        .send({ content: 'Bodies' });
+
+      expect(res.status).toBe(200);
+      expect(mockIo.emit).toHaveBeenCalledWith('page-op', expect.objectContaining({
+        pageId: page._id.toString(),
+        blockId: 'b2',
+        op: [3, -1, 'ies'],
+        revision: 1
+      }));
+    });
+
+    it('PUT /:id s blocks je snapshot — page-sync do page room', async () => {
+      const mockIo = {
+        to: jest.fn().mockReturnThis(),
+        emit: jest.fn()
+      };
+      const { app: localApp } = createTestApp('/api/pages', pagesRouter, { io: mockIo });
+      const page = await createPage({ revision: 3 });
+
+      const res = await request(localApp)
+        .put(`/api/pages/${page._id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ title: 'Renamed', blocks: [{ id: 'n1', content: 'New' }] });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ title: 'Renamed', revision: 4, content: 'New' });
+      expect(mockIo.to).toHaveBeenCalledWith(`page-${page._id}`);
+      expect(mockIo.emit).toHaveBeenCalledWith('page-sync', expect.objectContaining({
+        type: 'snapshot',
+        revision: 4
+      }));
+      const entry = await PageOperation.findOne({ pageId: page._id, revision: 4 });
+      expect(entry.kind).toBe('snapshot');
+    });
+  });
+
+  describe('Marks & mentions', () => {
+    const createDoc = () => Page.create({
+      workspaceId: ownerCtx.workspace._id,
+      userId: ownerCtx.user._id,
+      title: 'Doc',
+      blocks: [{ id: 'b1', type: 'paragraph', content: 'Hello world' }]
+    });
+
+    const putBlock = (page, body) => request(app)
+      .put(`/api/pages/${page._id}/blocks/b1`)
+      .set(authHeader(ownerCtx.token))
+      .send(body);
+
+    it('uloží značky, nebezpečný odkaz zahodí', async () => {
+      const page = await createDoc();
+      const res = await putBlock(page, {
+        marks: [
+          { type: 'bold', start: 0, end: 5 },
+          { type: 'link', start: 6, end: 11, attrs: { href: 'javascript:alert(1)' } },
+          { type: 'italic', start: 6, end: 50 }
+        ]
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.body.marks).toEqual([
+        { type: 'bold', start: 0, end: 5 },
+        { type: 'italic', start: 6, end: 11 }
+      ]);
+      const op = await PageOperation.findOne({ pageId: page._id }).sort({ revision: -1 });
+      expect(op.event).toBe('block-updated');
+      expect(op.data.marks).toHaveLength(2);
+    });
+
+    it('úprava textu posunie značky', async () => {
+      const page = await createDoc();
+      await putBlock(page, { marks: [{ type: 'bold', start: 6, end: 11 }] });
+      const res = await putBlock(page, { content: 'Oh, hello world' });
+
+      expect(res.body.marks).toEqual([{ type: 'bold', start: 10, end: 15 }]);
+    });
+
+    it('značky nad starou revíziou sa posunú cez novšie úpravy textu', async () => {
+      const page = await createDoc();
+      await putBlock(page, { content: '>> Hello world' }); // revízia 1
+      const res = await putBlock(page, { revision: 0, marks: [{ type: 'code', start: 6, end: 11 }] });
+
+      expect(res.body.marks).toEqual([{ type: 'code', start: 9, end: 14 }]);
+    });
+
+    it('zmienka člena workspace vytvorí notifikáciu, cudzí user sa zahodí', async () => {
+      const member = await addMember(ownerCtx.workspace._id, { username: 'jana', email: 'jana@test.com' });
+      const page = await createDoc();
+      const res = await putBlock(page, {
+        content: '@jana @stranger',
+        marks: [
+          { type: 'mention', start: 0, end: 5, attrs: { kind: 'user', id: member.user._id.toString() } },
+          { type: 'mention', start: 6, end: 15, attrs: { kind: 'user', id: otherCtx.user._id.toString() } }
+        ]
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.body.marks).toHaveLength(1);
+      const notifications = await Notification.find({});
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0]).toMatchObject({ type: 'page.mentioned', relatedType: 'page', relatedId: page._id.toString() });
+      expect(notifications[0].userId.toString()).toBe(member.user._id.toString());
+
+      // Opätovné uloženie tej istej zmienky už nenotifikuje
+      await putBlock(page, { marks: res.body.marks });
+      expect(await Notification.countDocuments({})).toBe(1);
+    });
+
+    it('GET /mentions nájde členov workspace, nie cudzích', async () => {
+      await addMember(ownerCtx.workspace._id, { username: 'jana', email: 'jana@test.com' });
+      const res = await request(app)
+        .get('/api/pages/mentions?trigger=@&q=')
+        .set(authHeader(ownerCtx.token));
+
+      expect(res.status).toBe(200);
+      expect(res.body.map(r => r.label).sort()).toEqual(['jana', 'owner']);
+    });
+  });
+
+  describe('Links & backlinks', () => {
+    const createPage = (title, extra = {}) => Page.create({
+      workspaceId: ownerCtx.workspace._id,
+      userId: ownerCtx.user._id,
+      title,
+      blocks: [{ id: 'b1', type: 'paragraph', content: 'See target' }],
+      ...extra
+    });
+
+    const mentionPage = (page, target) => request(app)
+      .put(`/api/pages/${page._id}/blocks/b1`)
+      .set(authHeader(ownerCtx.token))
+      .send({ marks: [{ type: 'mention', start: 4, end: 10, attrs: { kind: 'page', id: target._id.toString() } }] });
+
+    it('prepojí stránku s kontaktom, meno vezme z kontaktu a zoznam ju nájde', async () => {
+      const contact = await Contact.create({ workspaceId: ownerCtx.workspace._id, userId: ownerCtx.user._id, name: 'Acme' });
+      const page = await createPage('Meeting notes');
+
+      const res = await request(app)
+        .put(`/api/pages/${page._id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ linkedType: 'contact', linkedId: contact._id.toString(), linkedName: 'Spoofed' });
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ linkedType: 'contact', linkedId: contact._id.toString(), linkedName: 'Acme' });
+
+      const list = await request(app)
+        .get(`/api/pages/by-linked?linkedType=contact&linkedId=${contact._id}`)
+        .set(authHeader(ownerCtx.token));
+      expect(list.status).toBe(200);
+      expect(list.body.map(p => p.title)).toEqual(['Meeting notes']);
+
+      // Zrušenie väzby
+      const unlinked = await request(app)
+        .put(`/api/pages/${page._id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ linkedType: null });
+      expect(unlinked.body).toMatchObject({ linkedType: null, linkedId: null, linkedName: null });
+    });
+
+    it('projekt z iného workspace prepojiť nedá', async () => {
+      const task = await Task.create({ workspaceId: otherCtx.workspace._id, userId: otherCtx.user._id, title: 'Foreign' });
+      const page = await createPage('Doc');
+
+      const res = await request(app)
+        .put(`/api/pages/${page._id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ linkedType: 'task', linkedId: task._id.toString() });
+      expect(res.status).toBe(400);
+
+      const invalid = await request(app)
+        .put(`/api/pages/${page._id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ linkedType: 'message', linkedId: task._id.toString() });
+      expect(invalid.status).toBe(400);
+    });
+
+    it('by-linked vráti len stránky, ktoré volajúci vidí', async () => {
+      const member = await addMember(ownerCtx.workspace._id, { username: 'jana', email: 'jana@test.com' });
+      const task = await Task.create({ workspaceId: ownerCtx.workspace._id, userId: ownerCtx.user._id, title: 'Web' });
+      const linked = { linkedType: 'task', linkedId: task._id.toString(), linkedName: 'Web' };
+      await createPage('Public spec', linked);
+      await createPage('Private spec', { ...linked, visibility: 'private' });
+
+      const res = await request(app)
+        .get(`/api/pages/by-linked?linkedType=task&linkedId=${task._id}`)
+        .set(authHeader(member.token));
+      expect(res.body.map(p => p.title)).toEqual(['Public spec']);
+
+      const missing = await request(app)
+        .get('/api/pages/by-linked?linkedType=task')
+        .set(authHeader(ownerCtx.token));
+      expect(missing.status).toBe(400);
+    });
+
+    it('zmienka stránky sa objaví v spätných odkazoch a zmizne s ňou', async () => {
+      const target = await createPage('Target');
+      const source = await createPage('Source');
+
+      const res = await mentionPage(source, target);
+      expect(res.status).toBe(200);
+      expect(res.body.marks).toHaveLength(1);
+
+      const backlinks = await request(app)
+        .get(`/api/pages/${target._id}/backlinks`)
+        .set(authHeader(ownerCtx.token));
+      expect(backlinks.status).toBe(200);
+      expect(backlinks.body.map(p => p.title)).toEqual(['Source']);
+
+      // Zmazaním textu zmienky zanikne aj spätný odkaz
+      await request(app)
+        .put(`/api/pages/${source._id}/blocks/b1`)
+        .set(authHeader(ownerCtx.token))
+        .send({ content: 'See ' });
+      const after = await request(app)
+        .get(`/api/pages/${target._id}/backlinks`)
+        .set(authHeader(ownerCtx.token));
+      expect(after.body).toEqual([]);
+    });
+
+    it('zmienka cudzej stránky sa zahodí, spätné odkazy skryjú súkromné stránky', async () => {
+      const member = await addMember(ownerCtx.workspace._id, { username: 'jana', email: 'jana@test.com' });
+      const foreign = await Page.create({ workspaceId: otherCtx.workspace._id, userId: otherCtx.user._id, title: 'Foreign' });
+      const target = await createPage('Target');
+      const source = await createPage('Private source', { visibility: 'private' });
+
+      const dropped = await mentionPage(source, foreign);
+      expect(dropped.body.marks).toEqual([]);
+
+      await mentionPage(source, target);
+      const own = await request(app)
+        .get(`/api/pages/${target._id}/backlinks`)
+        .set(authHeader(ownerCtx.token));
+      expect(own.body).toHaveLength(1);
+
+      const other = await request(app)
+        .get(`/api/pages/${target._id}/backlinks`)
+        .set(authHeader(member.token));
+      expect(other.status).toBe(200);
+      expect(other.body).toEqual([]);
+    });
+
+    it('GET /mentions s # nájde aj stránky', async () => {
+      await createPage('Roadmap 2025');
+      const res = await request(app)
+        .get('/api/pages/mentions?trigger=%23&q=roadmap')
+        .set(authHeader(ownerCtx.token));
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual([expect.objectContaining({ kind: 'page', label: 'Roadmap 2025' })]);
+    });
+  });
+
+  describe('Database pages', () => {
+    const createDatabase = async (token = ownerCtx.token) => {
+      const res = await request(app)
+        .post('/api/pages')
+        .set(authHeader(token))
+        .send({ title: 'Leady', kind: 'database' });
+      expect(res.status).toBe(201);
+      return res.body;
+    };
+
+    const addProperty = (page, body) => request(app)
+      .post(`/api/pages/${page.id}/database/properties`)
+      .set(authHeader(ownerCtx.token))
+      .send(body);
+
+    const addRow = (page, values) => request(app)
+      .post(`/api/pages/${page.id}/rows`)
+      .set(authHeader(ownerCtx.token))
+      .send({ values });
+
+    const titlesOf = (res) => res.body.rows.map(r => r.values.title);
+
+    it('POST / s kind database vytvorí názov a tabuľku, zoznam schému neposiela', async () => {
+      const page = await createDatabase();
+      expect(page.kind).toBe('database');
+      expect(page.database.properties).toEqual([
+        expect.objectContaining({ id: 'title', name: 'Názov', type: 'text' })
+      ]);
+      expect(page.database.views).toEqual([expect.objectContaining({ type: 'table', filters: [], sorts: [] })]);
+
+      const list = await request(app).get('/api/pages').set(authHeader(ownerCtx.token));
+      expect(list.body[0].kind).toBe('database');
+      expect(list.body[0].database).toBeUndefined();
+
+      const invalid = await request(app)
+        .post('/api/pages')
+        .set(authHeader(ownerCtx.token))
+        .send({ kind: 'spreadsheet' });
+      expect(invalid.status).toBe(400);
+    });
+
+    it('vlastnosti: výber dostane ID možností, názvy sú jedinečné, Názov sa zmazať nedá', async () => {
+      const page = await createDatabase();
+      const res = await addProperty(page, { name: 'Stav', type: 'select', options: ['Nový', 'Vyhraný'] });
+      expect(res.status).toBe(201);
+      expect(res.body.property.options.map(o => o.name)).toEqual(['Nový', 'Vyhraný']);
+      expect(res.body.property.options[0].id).toEqual(expect.any(String));
+      expect(res.body.database.properties).toHaveLength(2);
+
+      const duplicate = await addProperty(page, { name: 'stav', type: 'text' });
+      expect(duplicate.status).toBe(400);
+      expect(duplicate.body.code).toBe('DUPLICATE_PROPERTY');
+
+      const badType = await addProperty(page, { name: 'Súbor', type: 'file' });
+      expect(badType.status).toBe(400);
+
+      const deleteTitle = await request(app)
+        .delete(`/api/pages/${page.id}/database/properties/title`)
+        .set(authHeader(ownerCtx.token));
+      expect(deleteTitle.status).toBe(400);
+      expect(deleteTitle.body.code).toBe('PROPERTY_REQUIRED');
+
+      const retypeTitle = await request(app)
+        .put(`/api/pages/${page.id}/database/properties/title`)
+        .set(authHeader(ownerCtx.token))
+        .send({ type: 'number' });
+      expect(retypeTitle.status).toBe(400);
+
+      const notDatabase = await Page.create({ workspaceId: ownerCtx.workspace._id, userId: ownerCtx.user._id, title: 'Doc' });
+      const res2 = await request(app)
+        .post(`/api/pages/${notDatabase._id}/database/properties`)
+        .set(authHeader(ownerCtx.token))
+        .send({ name: 'X', type: 'text' });
+      expect(res2.status).toBe(400);
+      expect(res2.body.code).toBe('NOT_A_DATABASE');
+    });
+
+    it('riadky: hodnoty sa validujú podľa typu, ľudia musia byť členmi, prázdna hodnota sa zmaže', async () => {
+      const page = await createDatabase();
+      const status = (await addProperty(page, { name: 'Stav', type: 'select', options: ['Nový'] })).body.property;
+      const amount = (await addProperty(page, { name: 'Suma', type: 'number' })).body.property;
+      const owner = (await addProperty(page, { name: 'Vlastník', type: 'person' })).body.property;
+      const contact = (await addProperty(page, { name: 'Kontakt', type: 'relation', relation: 'contact' })).body.property;
+      const acme = await Contact.create({ workspaceId: ownerCtx.workspace._id, userId: ownerCtx.user._id, name: 'Acme' });
+
+      const created = await addRow(page, {
+        title: 'Acme deal',
+        [status.id]: status.options[0].id,
+        [amount.id]: 1200,
+        [owner.id]: ownerCtx.user._id.toString(),
+        [contact.id]: [acme._id.toString()]
+      });
+      expect(created.status).toBe(201);
+      expect(created.body.row.values[amount.id]).toBe(1200);
+      expect(created.body.refs.users[ownerCtx.user._id.toString()].username).toBe('owner');
+      expect(created.body.refs.contacts[acme._id.toString()]).toBe('Acme');
+
+      expect((await addRow(page, { [status.id]: 'unknown' })).status).toBe(400);
+      expect((await addRow(page, { [amount.id]: 'veľa' })).status).toBe(400);
+      expect((await addRow(page, { [owner.id]: otherCtx.user._id.toString() })).status).toBe(400);
+      const foreign = await Contact.create({ workspaceId: otherCtx.workspace._id, userId: otherCtx.user._id, name: 'Foreign' });
+      expect((await addRow(page, { [contact.id]: [foreign._id.toString()] })).status).toBe(400);
+      expect((await addRow(page, { nope: 'x' })).status).toBe(400);
+
+      const rowId = created.body.row.id;
+      const updated = await request(app)
+        .put(`/api/pages/${page.id}/rows/${rowId}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ values: { [amount.id]: null, title: 'Acme renewal' } });
+      expect(updated.status).toBe(200);
+      expect(updated.body.row.values[amount.id]).toBeUndefined();
+      expect(updated.body.row.values.title).toBe('Acme renewal');
+
+      const removed = await request(app)
+        .delete(`/api/pages/${page.id}/rows/${rowId}`)
+        .set(authHeader(ownerCtx.token));
+      expect(removed.status).toBe(200);
+      expect(await PageRow.countDocuments({ pageId: page.id })).toBe(0);
+    });
+
+    it('GET /rows filtruje a zoraďuje na serveri podľa pohľadu aj dočasného dotazu', async () => {
+      const page = await createDatabase();
+      const stage = (await addProperty(page, { name: 'Fáza', type: 'select', options: ['Lead', 'Ponuka', 'Vyhraný'] })).body.property;
+      const amount = (await addProperty(page, { name: 'Suma', type: 'number' })).body.property;
+      const [lead, offer, won] = stage.options.map(o => o.id);
+      await addRow(page, { title: 'Alfa', [stage.id]: won, [amount.id]: 500 });
+      await addRow(page, { title: 'Beta', [stage.id]: lead, [amount.id]: 2000 });
+      await addRow(page, { title: 'Gama', [stage.id]: offer });
+      await addRow(page, { title: 'Delta', [stage.id]: lead, [amount.id]: 900 });
+
+      const viewId = page.database.views[0].id;
+      const saved = await request(app)
+        .put(`/api/pages/${page.id}/database/views/${viewId}`)
+        .set(authHeader(ownerCtx.token))
+        .send({
+          filters: [{ propertyId: stage.id, operator: 'not_equals', value: won }],
+          sorts: [{ propertyId: amount.id, direction: 'desc' }]
+        });
+      expect(saved.status).toBe(200);
+
+      const byView = await request(app)
+        .get(`/api/pages/${page.id}/rows?view=${viewId}`)
+        .set(authHeader(ownerCtx.token));
+      expect(byView.status).toBe(200);
+      // Prázdna suma je na konci aj pri zostupnom zoradení
+      expect(titlesOf(byView)).toEqual(['Beta', 'Delta', 'Gama']);
+
+      // Výber sa zoraďuje podľa poradia možností, nie abecedne
+      const adHoc = await request(app)
+        .get(`/api/pages/${page.id}/rows`)
+        .query({
+          filters: JSON.stringify([{ propertyId: 'title', operator: 'contains', value: 'a' }]),
+          sorts: JSON.stringify([{ propertyId: stage.id, direction: 'asc' }, { propertyId: 'title', direction: 'asc' }])
+        })
+        .set(authHeader(ownerCtx.token));
+      expect(titlesOf(adHoc)).toEqual(['Beta', 'Delta', 'Gama', 'Alfa']);
+
+      const range = await request(app)
+        .get(`/api/pages/${page.id}/rows`)
+        .query({ filters: JSON.stringify([{ propertyId: amount.id, operator: 'gte', value: 900 }]) })
+        .set(authHeader(ownerCtx.token));
+      expect(titlesOf(range).sort()).toEqual(['Beta', 'Delta']);
+
+      const invalid = await request(app)
+        .get(`/api/pages/${page.id}/rows?filters=not-json`)
+        .set(authHeader(ownerCtx.token));
+      expect(invalid.status).toBe(400);
+      const unknownView = await request(app)
+        .get(`/api/pages/${page.id}/rows?view=missing`)
+        .set(authHeader(ownerCtx.token));
+      expect(unknownView.status).toBe(404);
+    });
+
+    it('pohľady: nástenka potrebuje výber, po zmazaní vlastnosti sa pohľad prispôsobí', async () => {
+      const page = await createDatabase();
+      const noSelect = await request(app)
+        .post(`/api/pages/${page.id}/database/views`)
+        .set(authHeader(ownerCtx.token))
+        .send({ type: 'board' });
+      expect(noSelect.status).toBe(400);
+
+      const stage = (await addProperty(page, { name: 'Fáza', type: 'select', options: ['Lead'] })).body.property;
+      const board = await request(app)
+        .post(`/api/pages/${page.id}/database/views`)
+        .set(authHeader(ownerCtx.token))
+        .send({ type: 'board', filters: [{ propertyId: stage.id, operator: 'is_not_empty' }] });
+      expect(board.status).toBe(201);
+      expect(board.body.view).toMatchObject({ type: 'board', name: 'Nástenka', groupBy: stage.id });
+
+      const removed = await request(app)
+        .delete(`/api/pages/${page.id}/database/properties/${stage.id}`)
+        .set(authHeader(ownerCtx.token));
+      expect(removed.status).toBe(200);
+      const view = removed.body.database.views.find(v => v.id === board.body.view.id);
+      expect(view).toMatchObject({ type: 'table', groupBy: null, filters: [] });
+
+      await request(app)
+        .delete(`/api/pages/${page.id}/database/views/${view.id}`)
+        .set(authHeader(ownerCtx.token))
+        .expect(200);
+      const last = await request(app)
+        .delete(`/api/pages/${page.id}/database/views/${page.database.views[0].id}`)
+        .set(authHeader(ownerCtx.token));
+      expect(last.status).toBe(400);
+      expect(last.body.code).toBe('VIEW_REQUIRED');
+    });
+
+    it('zmena typu prevedie hodnoty, zmazaná možnosť zmizne z riadkov', async () => {
+      const page = await createDatabase();
+      const size = (await addProperty(page, { name: 'Veľkosť', type: 'text' })).body.property;
+      const tags = (await addProperty(page, { name: 'Štítky', type: 'multi_select', options: ['A', 'B'] })).body.property;
+      const [a, b] = tags.options;
+      const one = (await addRow(page, { [size.id]: '12,5', [tags.id]: [a.id, b.id] })).body.row;
+      const two = (await addRow(page, { [size.id]: 'veľa' })).body.row;
+
+      const retyped = await request(app)
+        .put(`/api/pages/${page.id}/database/properties/${size.id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ type: 'number' });
+      expect(retyped.status).toBe(200);
+      expect((await PageRow.findById(one.id).lean()).values[size.id]).toBe(12.5);
+      expect((await PageRow.findById(two.id).lean()).values[size.id]).toBeUndefined();
+
+      await request(app)
+        .put(`/api/pages/${page.id}/database/properties/${tags.id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ options: [b] })
+        .expect(200);
+      expect((await PageRow.findById(one.id).lean()).values[tags.id]).toEqual([b.id]);
+    });
+
+    it('CSV export a import — stĺpce podľa názvu, nové vlastnosti a možnosti sa doplnia', async () => {
+      const page = await createDatabase();
+      const stage = (await addProperty(page, { name: 'Fáza', type: 'select', options: ['Lead'] })).body.property;
+      await addProperty(page, { name: 'Hotové', type: 'checkbox' });
+      await addRow(page, { title: '=HYPERLINK("x")', [stage.id]: stage.options[0].id });
+
+      const exported = await request(app)
+        .get(`/api/pages/${page.id}/rows/export`)
+        .set(authHeader(ownerCtx.token));
+      expect(exported.status).toBe(200);
+      expect(exported.headers['content-type']).toMatch(/text\/csv/);
+      const lines = exported.text.replace(/^﻿/, '').split('\n');
+      expect(lines[0]).toBe('Názov,Fáza,Hotové');
+      // Vzorec sa v tabuľkovom editore nespustí
+      expect(lines[1]).toBe(`"'=HYPERLINK(""x"")",Lead,Nie`);
+
+      const csv = 'Názov;Fáza;Hotové;Mesto\nNový klient;Ponuka;áno;Brno\nDruhý;Lead;možno;\n';
+      const imported = await request(app)
+        .post(`/api/pages/${page.id}/rows/import`)
+        .set(authHeader(ownerCtx.token))
+        .attach('file', Buffer.from(csv), 'leady.csv');
+      expect(imported.status).toBe(201);
+      expect(imported.body).toMatchObject({ imported: 2, createdProperties: 1, skippedCells: 1 });
+      const properties = imported.body.database.properties;
+      const city = properties.find(p => p.name === 'Mesto');
+      expect(city.type).toBe('text');
+      const importedStage = properties.find(p => p.id === stage.id);
+      expect(importedStage.options.map(o => o.name)).toEqual(['Lead', 'Ponuka']);
+
+      const rows = await request(app)
+        .get(`/api/pages/${page.id}/rows`)
+        .query({ filters: JSON.stringify([{ propertyId: city.id, operator: 'equals', value: 'brno' }]) })
+        .set(authHeader(ownerCtx.token));
+      expect(titlesOf(rows)).toEqual(['Nový klient']);
+
+      const wrongFile = await request(app)
+        .post(`/api/pages/${page.id}/rows/import`)
+        .set(authHeader(ownerCtx.token))
+        .attach('file', Buffer.from('x'), 'leady.xlsx');
+      expect(wrongFile.status).toBe(400);
+    });
+
+    it('CSV export a späť import zachová záporné čísla a dátumy', async () => {
+      const page = await createDatabase();
+      const amount = (await addProperty(page, { name: 'Suma', type: 'number' })).body.property;
+      const due = (await addProperty(page, { name: 'Termín', type: 'date' })).body.property;
+      await addRow(page, { title: 'Zľava', [amount.id]: -5, [due.id]: '2026-03-01' });
+
+      const exported = await request(app)
+        .get(`/api/pages/${page.id}/rows/export`)
+        .set(authHeader(ownerCtx.token));
+      // Číslo nedostane apostrof ako text začínajúci znamienkom
+      expect(exported.text.replace(/^﻿/, '').split('\n')[1]).toBe('Zľava,-5,2026-03-01');
+
+      const roundTrip = await request(app)
+        .post(`/api/pages/${page.id}/rows/import`)
+        .set(authHeader(ownerCtx.token))
+        .attach('file', Buffer.from(exported.text), 'export.csv');
+      expect(roundTrip.status).toBe(201);
+      expect(roundTrip.body).toMatchObject({ imported: 1, skippedCells: 0 });
+
+      // Apostrof pred číslom a dátumom (starší export, tabuľkový editor) sa ignoruje
+      const legacy = await request(app)
+        .post(`/api/pages/${page.id}/rows/import`)
+        .set(authHeader(ownerCtx.token))
+        .attach('file', Buffer.from("Názov;Suma;Termín\nStarý;'-7,5;'01.04.2026\n"), 'stary.csv');
+      expect(legacy.body).toMatchObject({ imported: 1, skippedCells: 0 });
+
+      const rows = await PageRow.find({ pageId: page.id }).sort({ order: 1 }).lean();
+      expect(rows.map(r => r.values[amount.id])).toEqual([-5, -5, -7.5]);
+      expect(rows.map(r => r.values[due.id])).toEqual(['2026-03-01', '2026-03-01', '2026-04-01']);
+    });
+
+    it('čitateľ riadky nemení, iný workspace databázu nevidí, duplikát skopíruje riadky', async () => {
+      const page = await createDatabase();
+      await addRow(page, { title: 'Jeden' });
+      const member = await addMember(ownerCtx.workspace._id, { username: 'jana', email: 'jana@test.com' });
+      await Page.updateOne({ _id: page.id }, { permissions: [{ userId: member.user._id, level: 'view' }] });
+
+      const read = await request(app).get(`/api/pages/${page.id}/rows`).set(authHeader(member.token));
+      expect(read.status).toBe(200);
+      expect(titlesOf(read)).toEqual(['Jeden']);
+      const write = await request(app)
+        .post(`/api/pages/${page.id}/rows`)
+        .set(authHeader(member.token))
+        .send({ values: { title: 'Dva' } });
+      expect(write.status).toBe(403);
+
+      const foreign = await request(app).get(`/api/pages/${page.id}/rows`).set(authHeader(otherCtx.token));
+      expect(foreign.status).toBe(404);
+
+      const copy = await request(app)
+        .post(`/api/pages/${page.id}/duplicate`)
+        .set(authHeader(ownerCtx.token))
+        .send({});
+      expect(copy.status).toBe(201);
+      expect(copy.body.page.kind).toBe('database');
+      const copiedRows = await request(app)
+        .get(`/api/pages/${copy.body.page.id}/rows`)
+        .set(authHeader(ownerCtx.token));
+      expect(titlesOf(copiedRows)).toEqual(['Jeden']);
+    });
+  });
+
+  describe('Versions', () => {
+    const createDoc = () => Page.create({
+      workspaceId: ownerCtx.workspace._id,
+      userId: ownerCtx.user._id,
+      title: 'Doc',
+      blocks: [
+        { id: 'b1', type: 'paragraph', content: 'Hello world' },
+        { id: 'b2', type: 'paragraph', content: 'Second' }
+      ]
+    });
+
+    it('prvá úprava uloží pôvodný stav aj novú verziu', async () => {
+      const page = await createDoc();
+      await request(app)
+        .put(`/api/pages/${page._id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ title: 'Renamed' });
+
+      const res = await request(app)
+        .get(`/api/pages/${page._id}/versions`)
+        .set(authHeader(ownerCtx.token));
+
+      expect(res.status).toBe(200);
+      expect(res.body).toHaveLength(2);
+      expect(res.body[0]).toMatchObject({ reason: 'edit', title: 'Renamed' });
+      expect(res.body[1]).toMatchObject({ reason: 'initial', title: 'Doc' });
+      expect(res.body[0].createdBy.username).toBe('owner');
+      // Zoznam neposiela obsah verzií
+      expect(res.body[0].blocks).toBeUndefined();
+    });
+
+    it('diff verzie s aktuálnym stavom', async () => {
+      const page = await createDoc();
+      await request(app)
+        .put(`/api/pages/${page._id}/blocks/b1`)
+        .set(authHeader(ownerCtx.token))
+        .send({ content: 'Hello brave world' });
+
+      const initial = await PageVersion.findOne({ pageId: page._id, reason: 'initial' });
+      const res = await request(app)
+        .get(`/api/pages/${page._id}/versions/diff`)
+        .query({ from: initial._id.toString() })
+        .set(authHeader(ownerCtx.token));
+
+      expect(res.status).toBe(200);
+      expect(res.body.stats).toEqual({ added: 0, removed: 0, changed: 1 });
+      expect(res.body.blocks[0].segments).toEqual([
+        { type: 'equal', text: 'Hello ' },
+        { type: 'insert', text: 'brave ' },
+        { type: 'equal', text: 'world' }
+      ]);
+    });
+
+    it('obnovenie vráti title a bloky a zapíše novú verziu', async () => {
+      const page = await createDoc();
+      await request(app)
+        .delete(`/api/pages/${page._id}/blocks/b2`)
+        .set(authHeader(ownerCtx.token));
+      await request(app)
+        .put(`/api/pages/${page._id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ title: 'Changed' });
+
+      const initial = await PageVersion.findOne({ pageId: page._id, reason: 'initial' });
+      const res = await request(app)
+        .post(`/api/pages/${page._id}/versions/${initial._id}/restore`)
+        .set(authHeader(ownerCtx.token));
+
+      expect(res.status).toBe(200);
+      expect(res.body.title).toBe('Doc');
+      expect(res.body.blocks.map(b => b.id)).toEqual(['b1', 'b2']);
+
+      const inDb = await Page.findById(page._id);
+      expect(inDb.title).toBe('Doc');
+      expect(inDb.blocks).toHaveLength(2);
+      const restoreVersion = await PageVersion.findOne({ pageId: page._id, reason: 'restore' });
+      expect(restoreVersion.restoredFrom.toString()).toBe(initial._id.toString());
+    });
+
+    it('P2 isolation: verzia inej stránky → 404', async () => {
+      const page = await createDoc();
+      const strangerPage = await Page.create({
+        workspaceId: otherCtx.workspace._id,
+        userId: otherCtx.user._id,
+        title: 'Stranger'
+      });
+      const foreign = await PageVersion.create({
+        pageId: strangerPage._id,
+        workspaceId: otherCtx.workspace._id,
+        title: 'Stranger'
+      });
+
+      const res = await request(app)
+        .get(`/api/pages/${page._id}/versions/${foreign._id}`)
+        .set(authHeader(ownerCtx.token));
+      expect(res.status).toBe(404);
+
+      const restore = await request(app)
+        .post(`/api/pages/${page._id}/versions/${foreign._id}/restore`)
+        .set(authHeader(ownerCtx.token));
+      expect(restore.status).toBe(404);
+    });
+  });
+
+  describe('Files', () => {
+    it('POST /:id/files bez R2 → 503 a nič sa neuloží', async () => {
+      const page = await Page.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        title: 'Images'
+      });
+
+      const res = await request(app)
+        .post(`/api/pages/${page._id}/files`)
+        .set(authHeader(ownerCtx.token))
+        .attach('file', Buffer.from('fake-png'), { filename: 'a.png', contentType: 'image/png' });
+
+      expect(res.status).toBe(503);
+      expect(await PageFile.countDocuments({})).toBe(0);
+    });
+
+    it('POST /:id/files odmietne iné ako obrázky (SVG) → 400', async () => {
+      const page = await Page.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        title: 'Images'
+      });
+
+      const res = await request(app)
+        .post(`/api/pages/${page._id}/files`)
+        .set(authHeader(ownerCtx.token))
+        .attach('file', Buffer.from('<svg/>'), { filename: 'x.svg', contentType: 'image/svg+xml' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('P2 isolation: obrázok cudzej stránky → 404', async () => {
+      const strangerPage = await Page.create({
+        workspaceId: otherCtx.workspace._id,
+        userId: otherCtx.user._id,
+        title: 'Stranger'
+      });
+      await PageFile.create({
+        pageId: strangerPage._id,
+        workspaceId: otherCtx.workspace._id,
+        fileId: 'stranger-file',
+        r2Key: 'pagefiles/stranger-file',
+        mimetype: 'image/png'
+      });
+
+      const res = await request(app)
+        .get(`/api/pages/${strangerPage._id}/files/stranger-file`)
+        .set(authHeader(ownerCtx.token));
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('Templates & duplicate', () => {
+    const createPage = (fields) => Page.create({
+      workspaceId: ownerCtx.workspace._id,
+      userId: ownerCtx.user._id,
+      ...fields
+    });
+
+    it('POST /templates uloží stránku ako šablónu s novými ID blokov', async () => {
+      const page = await createPage({
+        title: 'Porada {{date}}',
+        icon: '📝',
+        blocks: [{ id: 'b1', type: 'heading1', content: 'Zápis', marks: [], props: {}, children: [] }]
+      });
+
+      const res = await request(app)
+        .post('/api/pages/templates')
+        .set(authHeader(ownerCtx.token))
+        .send({ pageId: page._id.toString(), name: 'Porada' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.name).toBe('Porada');
+      expect(res.body.title).toBe('Porada {{date}}');
+      expect(res.body.blocks[0].content).toBe('Zápis');
+      expect(res.body.blocks[0].id).not.toBe('b1');
+
+      const list = await request(app)
+        .get('/api/pages/templates')
+        .set(authHeader(ownerCtx.token));
+      expect(list.body).toHaveLength(1);
+      expect(list.body[0].blocks).toBeUndefined();
+    });
+
+    it('POST / s templateId vyplní zástupné symboly a posunie značky', async () => {
+      const template = await PageTemplate.create({
+        workspaceId: ownerCtx.workspace._id,
+        createdBy: ownerCtx.user._id,
+        name: 'Denník',
+        title: 'Denník — {{creator}}',
+        blocks: [{
+          id: 't1',
+          type: 'paragraph',
+          content: 'Autor {{creator}} vo {{workspace}} napísal',
+          marks: [{ type: 'bold', start: 35, end: 42 }],
+          props: {},
+          children: []
+        }]
+      });
+
+      const res = await request(app)
+        .post('/api/pages')
+        .set(authHeader(ownerCtx.token))
+        .send({ templateId: template._id.toString() });
+
+      expect(res.status).toBe(201);
+      expect(res.body.title).toBe('Denník — owner');
+      const [block] = res.body.blocks;
+      expect(block.content).toBe('Autor owner vo WS Owner napísal');
+      expect(block.content.slice(block.marks[0].start, block.marks[0].end)).toBe('napísal');
+      expect(block.id).not.toBe('t1');
+      expect(res.body.content).toBe('Autor owner vo WS Owner napísal');
+    });
+
+    it('šablóna cudzieho workspace → 404', async () => {
+      const template = await PageTemplate.create({
+        workspaceId: otherCtx.workspace._id,
+        createdBy: otherCtx.user._id,
+        name: 'Cudzia'
+      });
+
+      const res = await request(app)
+        .post('/api/pages')
+        .set(authHeader(ownerCtx.token))
+        .send({ templateId: template._id.toString() });
+
+      expect(res.status).toBe(404);
+      expect(await Page.countDocuments({ workspaceId: ownerCtx.workspace._id })).toBe(0);
+    });
+
+    it('DELETE /templates/:id smie len autor alebo admin', async () => {
+      const template = await PageTemplate.create({
+        workspaceId: ownerCtx.workspace._id,
+        createdBy: ownerCtx.user._id,
+        name: 'Moja'
+      });
+      const memberCtx = await addMember(ownerCtx.workspace._id, {
+        username: 'member',
+        email: 'member@test.com',
+        role: 'member'
+      });
+
+      const denied = await request(app)
+        .delete(`/api/pages/templates/${template._id}`)
+        .set(authHeader(memberCtx.token));
+      expect(denied.status).toBe(403);
+
+      const ok = await request(app)
+        .delete(`/api/pages/templates/${template._id}`)
+        .set(authHeader(ownerCtx.token));
+      expect(ok.status).toBe(200);
+      expect(await PageTemplate.countDocuments({})).toBe(0);
+    });
+
+    it('POST /:id/duplicate skopíruje stránku aj podstránky vedľa originálu', async () => {
+      const parent = await createPage({ title: 'Rodič' });
+      const root = await createPage({
+        title: 'Projekt',
+        parentId: parent._id,
+        blocks: [{ id: 'r1', type: 'paragraph', content: 'Obsah', marks: [], props: {}, children: [] }]
+      });
+      const child = await createPage({ title: 'Kapitola', parentId: root._id });
+      await createPage({ title: 'Podkapitola', parentId: child._id });
+      await createPage({ title: 'V koši', parentId: root._id, deletedAt: new Date() });
+
+      const res = await request(app)
+        .post(`/api/pages/${root._id}/duplicate`)
+        .set(authHeader(ownerCtx.token))
+        .send({});
+
+      expect(res.status).toBe(201);
+      expect(res.body.pages).toHaveLength(3);
+      expect(res.body.pages[0].blocks).toBeUndefined();
+      expect(res.body.page.title).toBe('Projekt (kópia)');
+      expect(res.body.page.parentId).toBe(parent._id.toString());
+      expect(res.body.page.blocks[0].content).toBe('Obsah');
+      expect(res.body.page.blocks[0].id).not.toBe('r1');
+
+      const copyChild = await Page.findOne({ parentId: res.body.page.id });
+      expect(copyChild.title).toBe('Kapitola');
+      const copyGrandchild = await Page.findOne({ parentId: copyChild._id });
+      expect(copyGrandchild.title).toBe('Podkapitola');
+      // Originál ostal nedotknutý
+      expect(await Page.countDocuments({ parentId: root._id, deletedAt: null })).toBe(1);
+    });
+
+    it('duplikát dostane vlastné záznamy obrázkov so zdieľaným blobom', async () => {
+      const page = await createPage({
+        title: 'Galéria',
+        blocks: [{ id: 'i1', type: 'image', content: '', marks: [], props: { fileId: 'img-1', name: 'a.png' }, children: [] }]
+      });
+      await PageFile.create({
+        pageId: page._id,
+        workspaceId: ownerCtx.workspace._id,
+        fileId: 'img-1',
+        r2Key: 'pagefiles/img-1',
+        mimetype: 'image/png',
+        size: 100
+      });
+
+      const res = await request(app)
+        .post(`/api/pages/${page._id}/duplicate`)
+        .set(authHeader(ownerCtx.token))
+        .send({});
+
+      expect(res.status).toBe(201);
+      const newFileId = res.body.page.blocks[0].props.fileId;
+      expect(newFileId).not.toBe('img-1');
+      const copy = await PageFile.findOne({ fileId: newFileId });
+      expect(copy.pageId.toString()).toBe(res.body.page.id);
+      expect(copy.r2Key).toBe('pagefiles/img-1');
+    });
+
+    it('POST /:id/duplicate do vlastnej podstránky → 400', async () => {
+      const root = await createPage({ title: 'Root' });
+      const child = await createPage({ title: 'Child', parentId: root._id });
+
+      const res = await request(app)
+        .post(`/api/pages/${root._id}/duplicate`)
+        .set(authHeader(ownerCtx.token))
+        .send({ parentId: child._id.toString() });
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('INVALID_PARENT');
+      expect(await Page.countDocuments({})).toBe(2);
+    });
+
+    it('P2 isolation: duplikát cudzej stránky alebo pod cudzieho rodiča → 404', async () => {
+      const mine = await createPage({ title: 'Moja' });
+      const strangerPage = await Page.create({
+        workspaceId: otherCtx.workspace._id,
+        userId: otherCtx.user._id,
+        title: 'Stranger'
+      });
+
+      const foreignPage = await request(app)
+        .post(`/api/pages/${strangerPage._id}/duplicate`)
+        .set(authHeader(ownerCtx.token))
+        .send({});
+      const foreignParent = await request(app)
+        .post(`/api/pages/${mine._id}/duplicate`)
+        .set(authHeader(ownerCtx.token))
+        .send({ parentId: strangerPage._id.toString() });
+
+      expect(foreignPage.status).toBe(404);
+      expect(foreignParent.status).toBe(404);
+      expect(await Page.countDocuments({ workspaceId: ownerCtx.workspace._id })).toBe(1);
+    });
+  });
+
+  describe('Socket.IO emit', () => {
+    it('POST emituje page-created do workspace room', async () => {
+      const mockIo = {
+        to: jest.fn().mockReturnThis(),
+        emit: jest.fn()
+      };
+      const { app: localApp } = createTestApp('/api/pages', pagesRouter, { io: mockIo });
+
+      const res = await request(localApp)
+        .post('/api/pages')
+        .set(authHeader(ownerCtx.token))
+        .send({ title: 'Broadcast' });
+
+      expect(res.status).toBe(201);
+      expect(mockIo.to).toHaveBeenCalledWith(`workspace-${ownerCtx.workspace._id}`);
+      expect(mockIo.emit).toHaveBeenCalledWith('page-created', expect.objectContaining({ title: 'Broadcast' }));
+    });
+
+    it('PUT /move emituje pages-moved do workspace room', async () => {
+      const mockIo = {
+        to: jest.fn().mockReturnThis(),
+        emit: jest.fn()
+      };
+      const { app: localApp } = createTestApp('/api/pages', pagesRouter, { io: mockIo });
+      const page = await Page.create({ workspaceId: ownerCtx.workspace._id, userId: ownerCtx.user._id, title: 'Moved' });
+
+      const res = await request(localApp)
+        .put('/api/pages/move')
+        .set(authHeader(ownerCtx.token))
+        .send({ moves: [{ id: page._id.toString(), parentId: null, order: 4 }] });
+
+      expect(res.status).toBe(200);
+      expect(mockIo.to).toHaveBeenCalledWith(`workspace-${ownerCtx.workspace._id}`);
+      expect(mockIo.emit).toHaveBeenCalledWith('pages-moved', {
+        moves: [{ id: page._id.toString(), parentId: null, order: 4 }],
+        updatedBy: ownerCtx.user._id.toString()
+      });
+    });
+
+    it('POST /:id/rows emituje page-row-updated do room stránky', async () => {
+      const mockIo = {
+        to: jest.fn().mockReturnThis(),
+        emit: jest.fn()
+      };
+      const { app: localApp } = createTestApp('/api/pages', pagesRouter, { io: mockIo });
+      const page = await Page.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        title: 'Tabuľka',
+        kind: 'database',
+        database: { properties: [{ id: 'title', name: 'Názov', type: 'text' }], views: [{ id: 'v1', name: 'Tabuľka' }] }
+      });
+
+      const res = await request(localApp)
+        .post(`/api/pages/${page._id}/rows`)
+        .set(authHeader(ownerCtx.token))
+        .send({ values: { title: 'Riadok' } });
+
+      expect(res.status).toBe(201);
+      expect(mockIo.to).toHaveBeenCalledWith(`page-${page._id}`);
+      expect(mockIo.emit).toHaveBeenCalledWith('page-row-updated', expect.objectContaining({
+        pageId: page._id.toString(),
+        row: expect.objectContaining({ values: { title: 'Riadok' } })
+      }));
+    });
+
+    it('DELETE emituje page-deleted s pageId', async () => {
+      const mockIo = {
+        to: jest.fn().mockReturnThis(),
+        emit: jest.fn()
+      };
+      const { app: localApp } = createTestApp('/api/pages', pagesRouter, { io: mockIo });
+
+      const p = await Page.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        title: 'Goodbye'
+      });
+
+      const res = await request(localApp)
+        .delete(`/api/pages/${p._id}`)
+        .set(authHeader(ownerCtx.token));
+
+      expect(res.status).toBe(200);
+      expect(mockIo.emit).toHaveBeenCalledWith('page-deleted', { pageId: p._id.toString() });
+    });
+
+    it('DELETE súkromnej stránky oznámi page-deleted len autorovi', async () => {
+      const mockIo = {
+        to: jest.fn().mockReturnThis(),
+        emit: jest.fn()
+      };
+      const { app: localApp } = createTestApp('/api/pages', pagesRouter, { io: mockIo });
+
+      const p = await Page.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        title: 'Tajná',
+        visibility: 'private'
+      });
+
+      const res = await request(localApp)
+        .delete(`/api/pages/${p._id}`)
+        .set(authHeader(ownerCtx.token));
+
+      expect(res.status).toBe(200);
+      expect(mockIo.to).not.toHaveBeenCalledWith(`workspace-${ownerCtx.workspace._id}`);
+      expect(mockIo.to).toHaveBeenCalledWith([`user-${ownerCtx.user._id}`]);
+      expect(mockIo.emit).toHaveBeenCalledWith('page-deleted', { pageId: p._id.toString() });
+    });
+
+
+    it('obnovenie verzie emituje page-updated s restoredVersionId', async () => {
+      const mockIo = {
+        to: jest.fn().mockReturnThis(),
+        emit: jest.fn()
+      };
+      const { app: localApp } = createTestApp('/api/pages', pagesRouter, { io: mockIo });
+
+      const p = await Page.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        title: 'Old'
+      });
+      const version = await PageVersion.create({
+        pageId: p._id,
+        workspaceId: ownerCtx.workspace._id,
+        title: 'Older',
+        blocks: [{ id: 'v1', type: 'paragraph', content: 'From history' }]
+      });
+
+      const res = await request(localApp)
+        .post(`/api/pages/${p._id}/versions/${version._id}/restore`)
+        .set(authHeader(ownerCtx.token));
+
+      expect(res.status).toBe(200);
+      expect(mockIo.to).toHaveBeenCalledWith(`workspace-${ownerCtx.workspace._id}`);
+      expect(mockIo.emit).toHaveBeenCalledWith('page-updated', expect.objectContaining({
+        title: 'Older',
+        restoredVersionId: version._id.toString()
+      }));
+    });
+  });
+
+  describe('Import & export', () => {
+    // supertest → Buffer pre binárne odpovede (PDF, ZIP)
+    const binary = (res, callback) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    };
+
+    const zipOf = async (files) => {
+      const archive = archiver('zip');
+      const chunks = [];
+      archive.on('data', chunk => chunks.push(chunk));
+      for (const [name, text] of Object.entries(files)) archive.append(text, { name });
+      await archive.finalize();
+      return Buffer.concat(chunks);
+    };
+
+    const zipNames = (buffer) => new Promise((resolve, reject) => {
+      yauzl.fromBuffer(buffer, { lazyEntries: true }, (err, zip) => {
+        if (err) return reject(err);
+        const names = [];
+        zip.on('entry', (entry) => {
+          names.push(entry.fileName);
+          zip.readEntry();
+        });
+        zip.on('end', () => resolve(names.sort()));
+        zip.readEntry();
+      });
+    });
+
+    it('POST /import vytvorí stránku z Markdownu s blokmi a značkami', async () => {
+      const markdown = [
+        '# Porada',
+        '',
+        'Úvod s **tučným** textom a [odkazom](https://example.com).',
+        '',
+        '## Body',
+        '- prvý',
+        '  - vnorený',
+        '- [x] hotové',
+        '',
+        '> citát',
+        '',
+        '```js',
+        'const a = 1;',
+        '```'
+      ].join('\n');
+
+      const res = await request(app)
+        .post('/api/pages/import')
+        .set(authHeader(ownerCtx.token))
+        .attach('file', Buffer.from(markdown), 'porada.md');
+
+      expect(res.status).toBe(201);
+      expect(res.body.pages).toHaveLength(1);
+      const page = await Page.findById(res.body.page.id).lean();
+      expect(page.title).toBe('Porada');
+      expect(page.blocks.map(b => b.type)).toEqual(['paragraph', 'heading2', 'bullet-list', 'todo', 'quote', 'code']);
+      expect(page.blocks[0].marks).toEqual(expect.arrayContaining([
+        expect.objectContaining({ type: 'bold' }),
+        expect.objectContaining({ type: 'link', attrs: { href: 'https://example.com' } })
+      ]));
+      expect(page.blocks[2].children[0].content).toBe('vnorený');
+      expect(page.blocks[3].props.checked).toBe(true);
+      expect(page.blocks[5].props.language).toBe('js');
+      expect(page.content).toContain('tučným');
+    });
+
+    it('POST /import zo ZIP-u poskladá strom stránok podľa priečinkov', async () => {
+      const buffer = await zipOf({
+        'Projekt.md': '# Projekt\n\nPrehľad',
+        'Projekt/Úlohy.md': '- úloha',
+        'Projekt/Poznámky/Detail.md': 'Detail',
+        'Projekt/logo.png': 'nie markdown',
+        '__MACOSX/Projekt/._Úlohy.md': 'systémový súbor'
+      });
+
+      const res = await request(app)
+        .post('/api/pages/import')
+        .set(authHeader(ownerCtx.token))
+        .attach('file', buffer, 'export.zip');
+
+      expect(res.status).toBe(201);
+      const pages = await Page.find({ workspaceId: ownerCtx.workspace._id }).lean();
+      const byTitle = Object.fromEntries(pages.map(p => [p.title, p]));
+      expect(Object.keys(byTitle).sort()).toEqual(['Detail', 'Poznámky', 'Projekt', 'Úlohy']);
+      expect(byTitle.Projekt.parentId).toBeNull();
+      expect(byTitle['Úlohy'].parentId.toString()).toBe(byTitle.Projekt._id.toString());
+      expect(byTitle['Poznámky'].parentId.toString()).toBe(byTitle.Projekt._id.toString());
+      expect(byTitle.Detail.parentId.toString()).toBe(byTitle['Poznámky']._id.toString());
+    });
+
+    it('POST /import odmietne iný typ súboru a poškodený ZIP', async () => {
+      const pdf = await request(app)
+        .post('/api/pages/import')
+        .set(authHeader(ownerCtx.token))
+        .attach('file', Buffer.from('%PDF-1.4'), 'dokument.pdf');
+      expect(pdf.status).toBe(400);
+      expect(pdf.body.code).toBe('INVALID_FILE');
+
+      const broken = await request(app)
+        .post('/api/pages/import')
+        .set(authHeader(ownerCtx.token))
+        .attach('file', Buffer.from('toto nie je zip'), 'export.zip');
+      expect(broken.status).toBe(400);
+      expect(broken.body.code).toBe('INVALID_FILE');
+      expect(await Page.countDocuments({})).toBe(0);
+    });
+
+    it('POST /import pod stránku, ktorú volajúci nemôže upravovať, vráti 403', async () => {
+      const member = await addMember(ownerCtx.workspace._id, { username: 'reader', email: 'reader@test.com' });
+      const parent = await Page.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        title: 'Len čítanie',
+        permissions: [{ userId: member.user._id, level: 'view' }]
+      });
+
+      const res = await request(app)
+        .post('/api/pages/import')
+        .set(authHeader(member.token))
+        .field('parentId', parent._id.toString())
+        .attach('file', Buffer.from('Text'), 'poznamka.md');
+
+      expect(res.status).toBe(403);
+      expect(await Page.countDocuments({})).toBe(1);
+    });
+
+    it('GET /:id/export?format=md vráti Markdown, ktorý sa dá naspäť importovať', async () => {
+      const page = await Page.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        title: 'Zápisnica',
+        blocks: [
+          { id: 'h', type: 'heading2', content: 'Body' },
+          { id: 'b', type: 'bullet-list', content: 'Rozpočet', marks: [{ type: 'bold', start: 0, end: 8 }] },
+          { id: 't', type: 'todo', content: 'Poslať', props: { checked: false } }
+        ]
+      });
+
+      const res = await request(app)
+        .get(`/api/pages/${page._id}/export`)
+        .query({ format: 'md' })
+        .set(authHeader(ownerCtx.token));
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/text\/markdown/);
+      expect(res.headers['content-disposition']).toContain("filename*=UTF-8''Z%C3%A1pisnica.md");
+      expect(res.text).toBe('# Zápisnica\n\n## Body\n\n- **Rozpočet**\n\n- [ ] Poslať\n');
+    });
+
+    it('GET /:id/export vráti HTML a PDF, neznámy formát 400', async () => {
+      const page = await Page.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        title: 'Správa <b>',
+        blocks: [{ id: 'p', type: 'paragraph', content: 'Ľadová ťava' }]
+      });
+
+      const html = await request(app)
+        .get(`/api/pages/${page._id}/export?format=html`)
+        .set(authHeader(ownerCtx.token));
+      expect(html.status).toBe(200);
+      expect(html.text).toContain('<h1 class="page-title">Správa &lt;b&gt;</h1>');
+      expect(html.text).toContain('<p>Ľadová ťava</p>');
+
+      const pdf = await request(app)
+        .get(`/api/pages/${page._id}/export?format=pdf`)
+        .set(authHeader(ownerCtx.token))
+        .buffer(true)
+        .parse(binary);
+      expect(pdf.status).toBe(200);
+      expect(pdf.headers['content-type']).toBe('application/pdf');
+      expect(pdf.body.subarray(0, 5).toString()).toBe('%PDF-');
+
+      const bad = await request(app)
+        .get(`/api/pages/${page._id}/export?format=docx`)
+        .set(authHeader(ownerCtx.token));
+      expect(bad.status).toBe(400);
+      expect(bad.body.code).toBe('INVALID_FORMAT');
+    });
+
+    it('GET /:id/export?subpages=true vráti ZIP bez podstránok, ktoré volajúci nevidí', async () => {
+      const member = await addMember(ownerCtx.workspace._id, { username: 'member', email: 'member@test.com' });
+      const root = await Page.create({ workspaceId: ownerCtx.workspace._id, userId: ownerCtx.user._id, title: 'Projekt' });
+      const child = await Page.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        title: 'Úlohy',
+        parentId: root._id
+      });
+      await Page.create({ workspaceId: ownerCtx.workspace._id, userId: ownerCtx.user._id, title: 'Detail', parentId: child._id });
+      await Page.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        title: 'Tajné',
+        parentId: root._id,
+        visibility: 'private'
+      });
+
+      const res = await request(app)
+        .get(`/api/pages/${root._id}/export?format=md&subpages=true`)
+        .set(authHeader(member.token))
+        .buffer(true)
+        .parse(binary);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('application/zip');
+      expect(await zipNames(res.body)).toEqual(['Projekt.md', 'Projekt/Úlohy.md', 'Projekt/Úlohy/Detail.md']);
+    });
+
+    it('export cudzej stránky vráti 404', async () => {
+      const page = await Page.create({ workspaceId: otherCtx.workspace._id, userId: otherCtx.user._id, title: 'Cudzia' });
+
+      const res = await request(app)
+        .get(`/api/pages/${page._id}/export?format=md`)
+        .set(authHeader(ownerCtx.token));
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('Comment threads', () => {
+    let commenterCtx;
+
+    beforeEach(async () => {
+      commenterCtx = await addMember(ownerCtx.workspace._id, {
+        username: 'komentator',
+        email: 'komentator@test.com'
+      });
+    });
+
+    const createDoc = (level = 'comment') => Page.create({
+      workspaceId: ownerCtx.workspace._id,
+      userId: ownerCtx.user._id,
+      title: 'Návrh',
+      blocks: [
+        { id: 'b1', type: 'paragraph', content: 'Rozpočet na Q3 je hotový' },
+        { id: 'b2', type: 'code', content: 'npm test' }
+      ],
+      permissions: [{ userId: commenterCtx.user._id, level }]
+    });
+
+    const startThread = (page, body, token = commenterCtx.token) => request(app)
+      .post(`/api/pages/${page._id}/threads`)
+      .set(authHeader(token))
+      .send(body);
+
+    it('člen s úrovňou comment založí vlákno k úseku textu', async () => {
+      const page = await createDoc();
+      const res = await startThread(page, { blockId: 'b1', start: 0, end: 8, text: 'Je to finálna suma?' });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({ blockId: 'b1', hasRange: true, quote: 'Rozpočet', resolved: false });
+      expect(res.body.comments).toHaveLength(1);
+      expect(res.body.comments[0]).toMatchObject({ username: 'komentator', text: 'Je to finálna suma?' });
+
+      const saved = await Page.findById(page._id).lean();
+      expect(saved.blocks[0].marks).toEqual([
+        { type: 'comment', start: 0, end: 8, attrs: { threadId: res.body.id } }
+      ]);
+      const op = await PageOperation.findOne({ pageId: page._id }).sort({ revision: -1 });
+      expect(op.event).toBe('block-updated');
+
+      // Autor stránky dostane notifikáciu
+      const notifications = await Notification.find({});
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0]).toMatchObject({ type: 'page.commented', relatedType: 'page', relatedId: page._id.toString() });
+      expect(notifications[0].userId.toString()).toBe(ownerCtx.user._id.toString());
+    });
+
+    it('úsek nad starou revíziou sa posunie cez novšie úpravy textu', async () => {
+      const page = await createDoc();
+      await request(app)
+        .put(`/api/pages/${page._id}/blocks/b1`)
+        .set(authHeader(ownerCtx.token))
+        .send({ content: 'Nový rozpočet na Q3 je hotový' }); // revízia 1
+
+      const res = await startThread(page, { blockId: 'b1', start: 12, end: 14, revision: 0, text: 'Ktorý kvartál?' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.quote).toBe('Q3');
+      const saved = await Page.findById(page._id).lean();
+      expect(saved.blocks[0].marks[0]).toMatchObject({ start: 17, end: 19 });
+    });
+
+    it('neplatné ukotvenie → 400, neznámy blok → 404, úroveň view → 403', async () => {
+      const page = await createDoc();
+
+      const code = await startThread(page, { blockId: 'b2', start: 0, end: 3, text: 'Prečo?' });
+      expect(code.status).toBe(400);
+      expect(code.body.code).toBe('INVALID_ANCHOR');
+
+      const outside = await startThread(page, { blockId: 'b1', start: 5, end: 500, text: 'Prečo?' });
+      expect(outside.status).toBe(400);
+
+      const empty = await startThread(page, { blockId: 'b1', text: '   ' });
+      expect(empty.status).toBe(400);
+      expect(empty.body.code).toBe('INVALID_COMMENT');
+
+      const missing = await startThread(page, { blockId: 'nope', text: 'Prečo?' });
+      expect(missing.status).toBe(404);
+
+      // Celý blok kódu sa komentovať dá
+      const whole = await startThread(page, { blockId: 'b2', text: 'Prečo?' });
+      expect(whole.status).toBe(201);
+      expect(whole.body).toMatchObject({ hasRange: false, quote: 'npm test' });
+
+      const viewer = await createDoc('view');
+      const forbidden = await startThread(viewer, { blockId: 'b1', text: 'Prečo?' });
+      expect(forbidden.status).toBe(403);
+      const list = await request(app)
+        .get(`/api/pages/${page._id}/threads`)
+        .set(authHeader(commenterCtx.token));
+      expect(list.status).toBe(200);
+      expect(list.body).toHaveLength(1);
+    });
+
+    it('odpoveď notifikuje účastníkov, uzavreté vlákno znovu otvorí', async () => {
+      const page = await createDoc();
+      const thread = (await startThread(page, { blockId: 'b1', text: 'Skontroluješ to?' })).body;
+      await Notification.deleteMany({});
+
+      const resolved = await request(app)
+        .put(`/api/pages/${page._id}/threads/${thread.id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ resolved: true });
+      expect(resolved.status).toBe(200);
+      expect(resolved.body).toMatchObject({ resolved: true, resolvedByName: 'owner' });
+      expect(await Notification.countDocuments({ type: 'page.comment.resolved', userId: commenterCtx.user._id })).toBe(1);
+
+      const open = await request(app)
+        .get(`/api/pages/${page._id}/threads?status=open`)
+        .set(authHeader(ownerCtx.token));
+      expect(open.body).toHaveLength(0);
+
+      const reply = await request(app)
+        .post(`/api/pages/${page._id}/threads/${thread.id}/comments`)
+        .set(authHeader(ownerCtx.token))
+        .send({ text: 'Áno, hotovo' });
+      expect(reply.status).toBe(201);
+      expect(reply.body.resolved).toBe(false);
+      expect(reply.body.comments.map(c => c.text)).toEqual(['Skontroluješ to?', 'Áno, hotovo']);
+      expect(await Notification.countDocuments({ type: 'page.commented', userId: commenterCtx.user._id })).toBe(1);
+      expect(await Notification.countDocuments({ userId: ownerCtx.user._id })).toBe(0);
+    });
+
+    it('reakcia sa prepína a autor komentára dostane notifikáciu', async () => {
+      const page = await createDoc();
+      const thread = (await startThread(page, { blockId: 'b1', text: 'Súhlasíte?' })).body;
+      const commentId = thread.comments[0].id;
+      const react = (type) => request(app)
+        .post(`/api/pages/${page._id}/threads/${thread.id}/comments/${commentId}/reaction`)
+        .set(authHeader(ownerCtx.token))
+        .send({ type });
+
+      const liked = await react('like');
+      expect(liked.status).toBe(200);
+      expect(liked.body.comments[0].reactions).toEqual([
+        expect.objectContaining({ username: 'owner', type: 'like' })
+      ]);
+      const switched = await react('dislike');
+      expect(switched.body.comments[0].reactions.map(r => r.type)).toEqual(['dislike']);
+      const removed = await react('dislike');
+      expect(removed.body.comments[0].reactions).toEqual([]);
+
+      expect((await react('love')).status).toBe(400);
+      expect(await Notification.countDocuments({ type: 'page.comment.reacted', userId: commenterCtx.user._id })).toBe(2);
+    });
+
+    it('cudzí komentár neupraví ani nezmaže, zmazanie vlákna odstráni značku', async () => {
+      const page = await createDoc();
+      const thread = (await startThread(page, { blockId: 'b1', start: 0, end: 8, text: 'Moja otázka' }, ownerCtx.token)).body;
+      const commentId = thread.comments[0].id;
+
+      const edit = await request(app)
+        .put(`/api/pages/${page._id}/threads/${thread.id}/comments/${commentId}`)
+        .set(authHeader(commenterCtx.token))
+        .send({ text: 'Prepísané' });
+      expect(edit.status).toBe(404);
+
+      const removeComment = await request(app)
+        .delete(`/api/pages/${page._id}/threads/${thread.id}/comments/${commentId}`)
+        .set(authHeader(commenterCtx.token));
+      expect(removeComment.status).toBe(403);
+
+      const removeThread = await request(app)
+        .delete(`/api/pages/${page._id}/threads/${thread.id}`)
+        .set(authHeader(ownerCtx.token));
+      expect(removeThread.status).toBe(200);
+      expect(await PageThread.countDocuments({})).toBe(0);
+      expect((await Page.findById(page._id).lean()).blocks[0].marks).toEqual([]);
+    });
+
+    it('duplikát stránky diskusie nepreberá, cudzí workspace → 404', async () => {
+      const page = await createDoc();
+      await startThread(page, { blockId: 'b1', start: 0, end: 8, text: 'Otázka' });
+
+      const copy = await request(app)
+        .post(`/api/pages/${page._id}/duplicate`)
+        .set(authHeader(ownerCtx.token))
+        .send({});
+      expect(copy.status).toBe(201);
+      const copied = await Page.findById(copy.body.page.id).lean();
+      expect(copied.blocks[0].marks).toEqual([]);
+
+      const foreign = await request(app)
+        .get(`/api/pages/${page._id}/threads`)
+        .set(authHeader(otherCtx.token));
+      expect(foreign.status).toBe(404);
+    });
+  });
+
+  describe('Permissions', () => {
+    let memberCtx;
+
+    beforeEach(async () => {
+      memberCtx = await addMember(ownerCtx.workspace._id, {
+        username: 'member',
+        email: 'member@test.com'
+      });
+    });
+
+    const createPage = (fields) => Page.create({
+      workspaceId: ownerCtx.workspace._id,
+      userId: ownerCtx.user._id,
+      ...fields
+    });
+
+    it('súkromnú stránku a jej podstránky iný člen nevidí', async () => {
+      const secret = await createPage({ title: 'Tajná', visibility: 'private' });
+      const child = await createPage({ title: 'Tajná podstránka', parentId: secret._id });
+      await createPage({ title: 'Verejná' });
+
+      const list = await request(app)
+        .get('/api/pages')
+        .set(authHeader(memberCtx.token));
+      expect(list.status).toBe(200);
+      expect(list.body.map(p => p.title)).toEqual(['Verejná']);
+
+      const direct = await request(app)
+        .get(`/api/pages/${child._id}`)
+        .set(authHeader(memberCtx.token));
+      expect(direct.status).toBe(404);
+
+      const own = await request(app)
+        .get(`/api/pages/${child._id}`)
+        .set(authHeader(ownerCtx.token));
+      expect(own.status).toBe(200);
+      expect(own.body.access).toBe('edit');
+    });
+
+    it('člen s úrovňou view stránku číta, ale neupraví', async () => {
+      const page = await createPage({
+        title: 'Len čítanie',
+        permissions: [{ userId: memberCtx.user._id, level: 'view' }]
+      });
+
+      const read = await request(app)
+        .get(`/api/pages/${page._id}`)
+        .set(authHeader(memberCtx.token));
+      expect(read.status).toBe(200);
+      expect(read.body.access).toBe('view');
+
+      const write = await request(app)
+        .put(`/api/pages/${page._id}`)
+        .set(authHeader(memberCtx.token))
+        .send({ title: 'Prepísané' });
+      expect(write.status).toBe(403);
+      expect(write.body.code).toBe('PAGE_FORBIDDEN');
+      expect((await Page.findById(page._id)).title).toBe('Len čítanie');
+    });
+
+    it('zoznam členov sa dedí na podstránky, kým ho podstránka nenahradí', async () => {
+      const parent = await createPage({
+        title: 'Tím',
+        permissions: [{ userId: memberCtx.user._id, level: 'edit' }]
+      });
+      const child = await createPage({ title: 'Poznámky', parentId: parent._id });
+      const locked = await createPage({
+        title: 'Vedenie',
+        parentId: parent._id,
+        permissions: [{ userId: ownerCtx.user._id, level: 'edit' }]
+      });
+      const outsider = await addMember(ownerCtx.workspace._id, {
+        username: 'outsider',
+        email: 'outsider@test.com'
+      });
+
+      const edit = await request(app)
+        .put(`/api/pages/${child._id}`)
+        .set(authHeader(memberCtx.token))
+        .send({ title: 'Poznámky 2' });
+      expect(edit.status).toBe(200);
+
+      const hidden = await request(app)
+        .get(`/api/pages/${child._id}`)
+        .set(authHeader(outsider.token));
+      expect(hidden.status).toBe(404);
+
+      const replaced = await request(app)
+        .get(`/api/pages/${locked._id}`)
+        .set(authHeader(memberCtx.token));
+      expect(replaced.status).toBe(404);
+    });
+
+    it('PUT /:id/permissions uloží zoznam a vráti efektívny stav', async () => {
+      const page = await createPage({ title: 'Projekt' });
+
+      const res = await request(app)
+        .put(`/api/pages/${page._id}/permissions`)
+        .set(authHeader(ownerCtx.token))
+        .send({ permissions: [{ userId: memberCtx.user._id.toString(), level: 'comment' }] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.effective).toBe('restricted');
+      expect(res.body.permissions).toEqual([
+        expect.objectContaining({ userId: memberCtx.user._id.toString(), level: 'comment', username: 'member' })
+      ]);
+
+      const read = await request(app)
+        .get(`/api/pages/${page._id}`)
+        .set(authHeader(memberCtx.token));
+      expect(read.body.access).toBe('comment');
+    });
+
+    it('PUT /:id/permissions odmietne nečlena a zoznam pri súkromnej stránke', async () => {
+      const page = await createPage({ title: 'Projekt' });
+
+      const stranger = await request(app)
+        .put(`/api/pages/${page._id}/permissions`)
+        .set(authHeader(ownerCtx.token))
+        .send({ permissions: [{ userId: otherCtx.user._id.toString(), level: 'view' }] });
+      expect(stranger.status).toBe(400);
+      expect(stranger.body.code).toBe('INVALID_PERMISSIONS');
+
+      const privateShared = await request(app)
+        .put(`/api/pages/${page._id}/permissions`)
+        .set(authHeader(ownerCtx.token))
+        .send({
+          visibility: 'private',
+          permissions: [{ userId: memberCtx.user._id.toString(), level: 'view' }]
+        });
+      expect(privateShared.status).toBe(400);
+      expect((await Page.findById(page._id)).visibility).toBe('workspace');
+    });
+
+    it('oprávnenia mení len autor alebo správca, súkromnou stránku robí len autor', async () => {
+      const page = await createPage({ title: 'Projekt' });
+
+      const member = await request(app)
+        .put(`/api/pages/${page._id}/permissions`)
+        .set(authHeader(memberCtx.token))
+        .send({ permissions: [] });
+      expect(member.status).toBe(403);
+
+      const memberPage = await Page.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: memberCtx.user._id,
+        title: 'Moja'
+      });
+      const adminPrivate = await request(app)
+        .put(`/api/pages/${memberPage._id}/permissions`)
+        .set(authHeader(ownerCtx.token))
+        .send({ visibility: 'private' });
+      expect(adminPrivate.status).toBe(403);
+
+      const authorPrivate = await request(app)
+        .put(`/api/pages/${memberPage._id}/permissions`)
+        .set(authHeader(memberCtx.token))
+        .send({ visibility: 'private' });
+      expect(authorPrivate.status).toBe(200);
+      expect(authorPrivate.body.effective).toBe('private');
+    });
+
+    it('DELETE nezmaže podstrom so skrytou podstránkou iného člena', async () => {
+      const parent = await createPage({ title: 'Spoločná' });
+      const hidden = await createPage({ title: 'Tajná', parentId: parent._id, visibility: 'private' });
+
+      const res = await request(app)
+        .delete(`/api/pages/${parent._id}`)
+        .set(authHeader(memberCtx.token));
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('PAGE_FORBIDDEN');
+      expect((await Page.findById(parent._id)).deletedAt).toBeNull();
+      expect((await Page.findById(hidden._id)).deletedAt).toBeNull();
+
+      const own = await request(app)
+        .delete(`/api/pages/${parent._id}`)
+        .set(authHeader(ownerCtx.token));
+      expect(own.status).toBe(200);
+      expect((await Page.findById(hidden._id)).deletedAt).not.toBeNull();
+    });
+
+    it('súkromnú stránku nemožno zdieľať verejným odkazom', async () => {
+      const page = await createPage({ title: 'Tajná', visibility: 'private' });
+
+      const res = await request(app)
+        .post(`/api/pages/${page._id}/shares`)
+        .set(authHeader(ownerCtx.token))
+        .send({});
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('PAGE_PRIVATE');
+    });
+
+    it('kto stratí prístup, zmizne z presence otvorenej stránky', async () => {
+      const pagePresence = require('../../services/pagePresence');
+      pagePresence._reset();
+      const page = await createPage({ title: 'Projekt' });
+      const pageId = page._id.toString();
+      await pagePresence.join(pageId, 's-owner', { id: ownerCtx.user._id, username: 'owner' });
+      await pagePresence.join(pageId, 's-member', { id: memberCtx.user._id, username: 'member' });
+
+      const mockIo = {
+        to: jest.fn().mockReturnThis(),
+        in: jest.fn().mockReturnThis(),
+        emit: jest.fn(),
+        socketsLeave: jest.fn()
+      };
+      const { app: localApp } = createTestApp('/api/pages', pagesRouter, { io: mockIo });
+      const res = await request(localApp)
+        .put(`/api/pages/${pageId}/permissions`)
+        .set(authHeader(ownerCtx.token))
+        .send({ visibility: 'private', permissions: [] });
+      expect(res.status).toBe(200);
+
+      const ownerOnly = [{ userId: ownerCtx.user._id.toString(), username: 'owner', color: null }];
+      expect(await pagePresence.getViewers(pageId)).toEqual(ownerOnly);
+      expect(mockIo.emit).toHaveBeenCalledWith('cursor-moved', { pageId, userId: memberCtx.user._id.toString(), position: null });
+      expect(mockIo.emit).toHaveBeenCalledWith('page-presence', { pageId, viewers: ownerOnly });
+      pagePresence._reset();
+    });
+  });
+
+  describe('Share links', () => {
+    const createPage = (fields) => Page.create({
+      workspaceId: ownerCtx.workspace._id,
+      userId: ownerCtx.user._id,
+      ...fields
+    });
+
+    it('POST /:id/shares vytvorí odkaz, heslo sa nevracia', async () => {
+      const page = await createPage({ title: 'Zdieľaná' });
+      const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+      const res = await request(app)
+        .post(`/api/pages/${page._id}/shares`)
+        .set(authHeader(ownerCtx.token))
+        .send({ includeChildren: true, expiresAt, password: 'tajne123' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.includeChildren).toBe(true);
+      expect(res.body.hasPassword).toBe(true);
+      expect(res.body.passwordHash).toBeUndefined();
+      expect(res.body.path).toBe(`/api/share/${res.body.token}`);
+      expect(res.body.token.length).toBeGreaterThanOrEqual(40);
+
+      const list = await request(app)
+        .get(`/api/pages/${page._id}/shares`)
+        .set(authHeader(ownerCtx.token));
+      expect(list.body).toHaveLength(1);
+      expect(list.body[0].id).toBe(res.body.id);
+    });
+
+    it('POST /:id/shares odmietne platnosť v minulosti a krátke heslo', async () => {
+      const page = await createPage({ title: 'Zdieľaná' });
+
+      const past = await request(app)
+        .post(`/api/pages/${page._id}/shares`)
+        .set(authHeader(ownerCtx.token))
+        .send({ expiresAt: new Date(Date.now() - 1000).toISOString() });
+      expect(past.status).toBe(400);
+      expect(past.body.code).toBe('INVALID_SHARE');
+
+      const short = await request(app)
+        .post(`/api/pages/${page._id}/shares`)
+        .set(authHeader(ownerCtx.token))
+        .send({ password: 'ab' });
+      expect(short.status).toBe(400);
+      expect(await PageShare.countDocuments({})).toBe(0);
+    });
+
+    it('DELETE /:id/shares/:shareId odkaz zruší, ale ponechá v zozname', async () => {
+      const page = await createPage({ title: 'Zdieľaná' });
+      const created = await request(app)
+        .post(`/api/pages/${page._id}/shares`)
+        .set(authHeader(ownerCtx.token))
+        .send({});
+
+      const res = await request(app)
+        .delete(`/api/pages/${page._id}/shares/${created.body.id}`)
+        .set(authHeader(ownerCtx.token));
+
+      expect(res.status).toBe(200);
+      expect(res.body.revokedAt).toBeTruthy();
+      const stored = await PageShare.findById(created.body.id);
+      expect(stored.revokedBy.toString()).toBe(ownerCtx.user._id.toString());
+    });
+
+    it('odkazy cudzieho workspace nie sú dostupné', async () => {
+      const page = await createPage({ title: 'Zdieľaná' });
+      const created = await request(app)
+        .post(`/api/pages/${page._id}/shares`)
+        .set(authHeader(ownerCtx.token))
+        .send({});
+
+      const list = await request(app)
+        .get(`/api/pages/${page._id}/shares`)
+        .set(authHeader(otherCtx.token));
+      expect(list.status).toBe(404);
+
+      const revoke = await request(app)
+        .delete(`/api/pages/${page._id}/shares/${created.body.id}`)
+        .set(authHeader(otherCtx.token));
+      expect(revoke.status).toBe(404);
+      expect((await PageShare.findById(created.body.id)).revokedAt).toBeNull();
     });
   });
 });
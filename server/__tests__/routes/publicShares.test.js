@@ -0,0 +1,217 @@
+// MUSÍ byť prvý require — setne JWT_SECRET pred middleware/auth.js
+const { createTestApp, createUserWithWorkspace } = require('../helpers/testApp');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const publicSharesRouter = require('../../routes/publicShares');
+const Page = require('../../models/Page');
+const PageShare = require('../../models/PageShare');
+const AuditLog = require('../../models/AuditLog');
+const User = require('../../models/User');
+const Workspace = require('../../models/Workspace');
+const WorkspaceMember = require('../../models/WorkspaceMember');
+const auditService = require('../../services/auditService');
+const { createShare } = require('../../services/pageShares');
+
+/**
+ * /api/share route testy — verejné odkazy na stránky bez prihlásenia.
+ *
+ * Kritické invarianty:
+ *   - obsah stránky je escapovaný, odpoveď má prísnu CSP bez skriptov
+ *   - zrušený, expirovaný a neexistujúci odkaz → rovnaká 404
+ *   - heslo: bez cookie formulár, po správnom hesle podpísaná cookie
+ *   - podstránky len pri includeChildren a len z podstromu koreňa
+ *   - každý prístup k existujúcemu odkazu ide do AuditLog (bez tokenu)
+ */
+describe('/api/share route', () => {
+  let app;
+  let ownerCtx;
+  let audit;
+
+  beforeAll(async () => {
+    await User.init();
+    await Workspace.init();
+    await WorkspaceMember.init();
+    await Page.init();
+    await PageShare.init();
+    await AuditLog.init();
+    ({ app } = createTestApp('/api/share', publicSharesRouter));
+  });
+
+  beforeEach(async () => {
+    await Page.deleteMany({});
+    await PageShare.deleteMany({});
+    await AuditLog.deleteMany({});
+    await WorkspaceMember.deleteMany({});
+    await Workspace.deleteMany({});
+    await User.deleteMany({});
+
+    ownerCtx = await createUserWithWorkspace({
+      username: 'owner',
+      email: 'owner@test.com',
+      role: 'owner',
+      workspaceName: 'Share WS'
+    });
+    audit = jest.spyOn(auditService, 'logAction');
+  });
+
+  afterEach(() => {
+    audit.mockRestore();
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  const createPage = (fields) => Page.create({
+    workspaceId: ownerCtx.workspace._id,
+    userId: ownerCtx.user._id,
+    ...fields
+  });
+
+  const share = (page, options = {}) => createShare({
+    page,
+    userId: ownerCtx.user._id,
+    includeChildren: false,
+    expiresAt: null,
+    password: null,
+    ...options
+  });
+
+  // logAction je fire-and-forget — počkáme na zápisy pred čítaním AuditLog
+  const flushAudit = () => Promise.all(audit.mock.results.map(r => r.value));
+
+  it('vykreslí stránku ako escapované HTML s prísnou CSP', async () => {
+    const page = await createPage({
+      title: 'Plán <script>',
+      blocks: [
+        { id: 'b1', type: 'heading1', content: 'Ciele', marks: [], props: {}, children: [] },
+        {
+          id: 'b2',
+          type: 'paragraph',
+          content: 'Tučné <img src=x onerror=alert(1)>',
+          marks: [{ type: 'bold', start: 0, end: 5 }],
+          props: {},
+          children: []
+        },
+        {
+          id: 'b3',
+          type: 'paragraph',
+          content: 'odkaz',
+          marks: [{ type: 'link', start: 0, end: 5, attrs: { href: 'javascript:alert(1)' } }],
+          props: {},
+          children: []
+        }
+      ]
+    });
+    const link = await share(page);
+
+    const res = await request(app).get(`/api/share/${link.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/html/);
+    expect(res.headers['content-security-policy']).toContain("default-src 'none'");
+    expect(res.headers['cache-control']).toBe('private, no-store');
+    expect(res.text).toContain('<h1>Ciele</h1>');
+    expect(res.text).toContain('<strong>Tučné</strong>');
+    expect(res.text).toContain('Plán &lt;script&gt;');
+    expect(res.text).not.toContain('<img src=x');
+    expect(res.text).not.toContain('javascript:');
+  });
+
+  it('zrušený, expirovaný aj neexistujúci odkaz vráti 404', async () => {
+    const page = await createPage({ title: 'Tajné' });
+    const revoked = await share(page);
+    await PageShare.updateOne({ _id: revoked._id }, { revokedAt: new Date() });
+    const expired = await share(page);
+    await PageShare.updateOne({ _id: expired._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+    for (const token of [revoked.token, expired.token, 'x'.repeat(43)]) {
+      const res = await request(app).get(`/api/share/${token}`);
+      expect(res.status).toBe(404);
+      expect(res.text).not.toContain('Tajné');
+    }
+  });
+
+  it('stránka v koši cez odkaz nie je dostupná', async () => {
+    const page = await createPage({ title: 'Zmazaná', deletedAt: new Date() });
+    const link = await share(page);
+
+    const res = await request(app).get(`/api/share/${link.token}`);
+    expect(res.status).toBe(404);
+  });
+
+  it('odkaz s heslom ukáže formulár a po správnom hesle stránku', async () => {
+    const page = await createPage({ title: 'Chránená' });
+    const link = await share(page, { password: 'tajne123' });
+
+    const form = await request(app).get(`/api/share/${link.token}`);
+    expect(form.status).toBe(200);
+    expect(form.text).toContain('type="password"');
+    expect(form.text).not.toContain('Chránená');
+
+    const wrong = await request(app).post(`/api/share/${link.token}`).send({ password: 'zle' });
+    expect(wrong.status).toBe(401);
+    expect(wrong.headers['set-cookie']).toBeUndefined();
+
+    const ok = await request(app).post(`/api/share/${link.token}`).send({ password: 'tajne123' });
+    expect(ok.status).toBe(200);
+    expect(ok.text).toContain('Chránená');
+    const cookie = ok.headers['set-cookie'][0].split(';')[0];
+    expect(cookie).toMatch(new RegExp(`^page_share_${link._id}=`));
+
+    const again = await request(app).get(`/api/share/${link.token}`).set('Cookie', cookie);
+    expect(again.status).toBe(200);
+    expect(again.text).toContain('Chránená');
+  });
+
+  it('podstránky sú dostupné len pri includeChildren a len z podstromu', async () => {
+    const root = await createPage({ title: 'Koreň' });
+    const child = await createPage({ title: 'Dieťa', parentId: root._id });
+    const grandchild = await createPage({ title: 'Vnúča', parentId: child._id });
+    const outside = await createPage({ title: 'Mimo' });
+
+    const withChildren = await share(root, { includeChildren: true });
+    const rootOnly = await share(root);
+
+    const rootRes = await request(app).get(`/api/share/${withChildren.token}`);
+    expect(rootRes.text).toContain(`/api/share/${withChildren.token}/pages/${child._id}`);
+
+    const deep = await request(app).get(`/api/share/${withChildren.token}/pages/${grandchild._id}`);
+    expect(deep.status).toBe(200);
+    expect(deep.text).toContain('Vnúča');
+    expect(deep.text).toContain('Koreň');
+
+    const foreign = await request(app).get(`/api/share/${withChildren.token}/pages/${outside._id}`);
+    expect(foreign.status).toBe(404);
+    expect(foreign.text).not.toContain('Mimo');
+
+    const denied = await request(app).get(`/api/share/${rootOnly.token}/pages/${child._id}`);
+    expect(denied.status).toBe(404);
+  });
+
+  it('každý prístup zapíše audit bez tokenu a zvýši počítadlo', async () => {
+    const page = await createPage({ title: 'Audit' });
+    const link = await share(page, { password: 'tajne123' });
+
+    await request(app).get(`/api/share/${link.token}`);
+    await request(app).post(`/api/share/${link.token}`).send({ password: 'tajne123' });
+    await flushAudit();
+
+    const logs = await AuditLog.find({ action: 'page.share_accessed' }).sort({ _id: 1 });
+    expect(logs.map(l => l.details.result)).toEqual(['password_required', 'ok']);
+    expect(logs[0].category).toBe('page');
+    expect(logs[0].targetId).toBe(page._id.toString());
+    expect(logs[0].workspaceId.toString()).toBe(ownerCtx.workspace._id.toString());
+    expect(JSON.stringify(logs)).not.toContain(link.token);
+
+    // počítadlo sa tiež zapisuje bez čakania
+    let updated;
+    for (let i = 0; i < 20; i++) {
+      updated = await PageShare.findById(link._id);
+      if (updated.accessCount > 0) break;
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    expect(updated.accessCount).toBe(1);
+    expect(updated.lastAccessedAt).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,234 @@
+const { createTestApp, createUserWithWorkspace, addMember, authHeader } = require('../helpers/testApp');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const searchRouter = require('../../routes/search');
+const Page = require('../../models/Page');
+const Contact = require('../../models/Contact');
+const Task = require('../../models/Task');
+const Message = require('../../models/Message');
+const User = require('../../models/User');
+const Workspace = require('../../models/Workspace');
+const WorkspaceMember = require('../../models/WorkspaceMember');
+
+/**
+ * /api/search route testy — fulltext cez text indexy.
+ *
+ * Kritické invarianty:
+ *   - výsledky len z aktívneho workspace
+ *   - správy len tie, kde je používateľ odosielateľ alebo príjemca
+ *   - stránky v koši sa nehľadajú
+ *   - súkromné a obmedzené stránky len pre tých, kto ich vidí
+ *   - úryvok so zvýraznenou zhodou, bez ohľadu na diakritiku
+ *   - 400 pri chýbajúcom / krátkom dopyte
+ */
+describe('/api/search route', () => {
+  let app;
+  let ownerCtx;
+  let memberCtx;
+  let thirdCtx;
+  let strangerCtx;
+
+  beforeAll(async () => {
+    await User.init();
+    await Workspace.init();
+    await WorkspaceMember.init();
+    // Text indexy musia existovať pred prvým $text dopytom
+    await Page.init();
+    await Contact.init();
+    await Task.init();
+    await Message.init();
+    ({ app } = createTestApp('/api/search', searchRouter));
+  });
+
+  beforeEach(async () => {
+    await Page.deleteMany({});
+    await Contact.deleteMany({});
+    await Task.deleteMany({});
+    await Message.deleteMany({});
+    await WorkspaceMember.deleteMany({});
+    await Workspace.deleteMany({});
+    await User.deleteMany({});
+
+    ownerCtx = await createUserWithWorkspace({
+      username: 'owner',
+      email: 'owner@test.com',
+      role: 'owner',
+      workspaceName: 'Search WS'
+    });
+    memberCtx = await addMember(ownerCtx.workspace._id, {
+      username: 'member',
+      email: 'member@test.com',
+      role: 'member'
+    });
+    thirdCtx = await addMember(ownerCtx.workspace._id, {
+      username: 'third',
+      email: 'third@test.com',
+      role: 'member'
+    });
+    strangerCtx = await createUserWithWorkspace({
+      username: 'stranger',
+      email: 'stranger@test.com',
+      role: 'owner',
+      workspaceName: 'Other WS'
+    });
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  const search = (ctx, query) => request(app)
+    .get('/api/search')
+    .query(query)
+    .set(authHeader(ctx.token));
+
+  const createMessage = (from, to, fields) => Message.create({
+    workspaceId: ownerCtx.workspace._id,
+    fromUserId: from.user._id,
+    fromUsername: from.user.username,
+    toUserId: to.user._id,
+    toUsername: to.user.username,
+    type: 'info',
+    ...fields
+  });
+
+  it('nájde stránku, kontakt, projekt aj správu a vráti typované výsledky', async () => {
+    const wsId = ownerCtx.workspace._id;
+    await Page.create({ workspaceId: wsId, userId: ownerCtx.user._id, title: 'Rozpočet', content: 'Plán na kvartál' });
+    await Contact.create({ workspaceId: wsId, userId: ownerCtx.user._id, name: 'Ján', company: 'Rozpočet s.r.o.' });
+    await Task.create({ workspaceId: wsId, userId: ownerCtx.user._id, title: 'Schváliť rozpočet' });
+    await createMessage(ownerCtx, memberCtx, { subject: 'Rozpočet 2025' });
+
+    const res = await search(ownerCtx, { q: 'rozpočet' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.results.map(r => r.type).sort()).toEqual(['contact', 'message', 'page', 'task']);
+    const page = res.body.results.find(r => r.type === 'page');
+    expect(page.title).toBe('Rozpočet');
+    expect(page.url).toBe(`/app?page=${page.id}`);
+    expect(typeof page.score).toBe('number');
+  });
+
+  it('zoradí výsledky podľa skóre — zhoda v nadpise vyhrá nad obsahom', async () => {
+    const wsId = ownerCtx.workspace._id;
+    await Page.create({ workspaceId: wsId, userId: ownerCtx.user._id, title: 'Poznámky', content: 'spomína faktúra' });
+    await Page.create({ workspaceId: wsId, userId: ownerCtx.user._id, title: 'Faktúra', content: '' });
+
+    const res = await search(ownerCtx, { q: 'faktura' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.results.map(r => r.title)).toEqual(['Faktúra', 'Poznámky']);
+  });
+
+  it('vráti úryvok so zvýraznenou zhodou', async () => {
+    await Page.create({
+      workspaceId: ownerCtx.workspace._id,
+      userId: ownerCtx.user._id,
+      title: 'Porada',
+      content: 'Na porade sme riešili novú Zmluvu s dodávateľom.'
+    });
+
+    const res = await search(ownerCtx, { q: 'zmluvu' });
+
+    expect(res.status).toBe(200);
+    const [result] = res.body.results;
+    expect(result.snippet).toContainEqual({ type: 'match', text: 'Zmluvu' });
+    expect(result.snippet.map(s => s.text).join('')).toContain('riešili novú Zmluvu s dodávateľom');
+  });
+
+  it('neukáže dáta iného workspace', async () => {
+    await Page.create({ workspaceId: strangerCtx.workspace._id, userId: strangerCtx.user._id, title: 'Tajný plán' });
+    await Contact.create({ workspaceId: strangerCtx.workspace._id, userId: strangerCtx.user._id, name: 'Tajný kontakt' });
+
+    const res = await search(ownerCtx, { q: 'tajný' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.results).toHaveLength(0);
+  });
+
+  it('správy nájde len odosielateľ a príjemca', async () => {
+    await createMessage(ownerCtx, memberCtx, { subject: 'Mzdy', description: 'Súkromné' });
+
+    const asSender = await search(ownerCtx, { q: 'mzdy' });
+    const asRecipient = await search(memberCtx, { q: 'mzdy' });
+    const asOther = await search(thirdCtx, { q: 'mzdy' });
+
+    expect(asSender.body.results).toHaveLength(1);
+    expect(asRecipient.body.results).toHaveLength(1);
+    expect(asOther.body.results).toHaveLength(0);
+  });
+
+  it('nehľadá v stránkach v koši', async () => {
+    await Page.create({
+      workspaceId: ownerCtx.workspace._id,
+      userId: ownerCtx.user._id,
+      title: 'Zmazaná stránka',
+      deletedAt: new Date()
+    });
+
+    const res = await search(ownerCtx, { q: 'zmazaná' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.results).toHaveLength(0);
+  });
+
+  it('súkromné a obmedzené stránky nájde len ten, kto ich vidí', async () => {
+    const wsId = ownerCtx.workspace._id;
+    await Page.create({ workspaceId: wsId, userId: ownerCtx.user._id, title: 'Odmeny súkromné', visibility: 'private' });
+    await Page.create({
+      workspaceId: wsId,
+      userId: ownerCtx.user._id,
+      title: 'Odmeny tím',
+      permissions: [{ userId: memberCtx.user._id, level: 'view' }]
+    });
+
+    const asOwner = await search(ownerCtx, { q: 'odmeny' });
+    const asMember = await search(memberCtx, { q: 'odmeny' });
+    const asThird = await search(thirdCtx, { q: 'odmeny' });
+
+    expect(asOwner.body.results).toHaveLength(2);
+    expect(asMember.body.results.map(r => r.title)).toEqual(['Odmeny tím']);
+    expect(asThird.body.results).toHaveLength(0);
+  });
+
+  it('hľadá v podúlohách a komentároch', async () => {
+    const wsId = ownerCtx.workspace._id;
+    await Task.create({
+      workspaceId: wsId,
+      userId: ownerCtx.user._id,
+      title: 'Web',
+      subtasks: [{ title: 'Objednať hosting' }]
+    });
+    await createMessage(ownerCtx, memberCtx, {
+      subject: 'Otázka',
+      comments: [{ userId: memberCtx.user._id, username: 'member', text: 'Hosting je zaplatený' }]
+    });
+
+    const res = await search(ownerCtx, { q: 'hosting' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.results.map(r => r.type).sort()).toEqual(['message', 'task']);
+  });
+
+  it('types obmedzí druhy výsledkov', async () => {
+    const wsId = ownerCtx.workspace._id;
+    await Page.create({ workspaceId: wsId, userId: ownerCtx.user._id, title: 'Marketing' });
+    await Task.create({ workspaceId: wsId, userId: ownerCtx.user._id, title: 'Marketing kampaň' });
+
+    const res = await search(ownerCtx, { q: 'marketing', types: 'task' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.results.map(r => r.type)).toEqual(['task']);
+  });
+
+  it('400 pri chýbajúcom alebo príliš krátkom dopyte', async () => {
+    const missing = await search(ownerCtx, {});
+    const short = await search(ownerCtx, { q: 'a' });
+    const badTypes = await search(ownerCtx, { q: 'abc', types: 'garbage' });
+
+    expect(missing.status).toBe(400);
+    expect(missing.body.code).toBe('QUERY_TOO_SHORT');
+    expect(short.status).toBe(400);
+    expect(badTypes.status).toBe(400);
+  });
+});
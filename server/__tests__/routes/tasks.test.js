@@ -1,4 +1,4 @@
-const { createTestApp, createUserWithWorkspace, authHeader } = require('../helpers/testApp');
+const { createTestApp, createUserWithWorkspace, addMember, authHeader } = require('../helpers/testApp');
 const request = require('supertest');
 const mongoose = require('mongoose');
 const tasksRouter = require('../../routes/tasks');
@@ -7,6 +7,7 @@ const Contact = require('../../models/Contact');
 const User = require('../../models/User');
 const Workspace = require('../../models/Workspace');
 const WorkspaceMember = require('../../models/WorkspaceMember');
+const TaskView = require('../../models/TaskView');
 
 /**
  * /api/tasks route testy — najkomplexnejší router v aplikácii (2595 lines).
@@ -398,6 +399,117 @@ describe('/api/tasks route', () => {
       expect(updatedTask.files[0].originalName).toBe('photo1.jpg');
       expect(updatedTask.files[1].originalName).toBe('photo2.jpg');
     });
+
+    it('If-Match so starou verziou → 409 VERSION_CONFLICT s aktuálnym stavom, DB nezmenená', async () => {
+      const staleVersion = String(myTask.editVersion);
+      await Task.updateOne({ _id: myTask._id }, { $set: { description: 'Iná zmena' } });
+
+      const res = await request(app)
+        .put(`/api/tasks/${myTask._id}`)
+        .set(authHeader(ownerCtx.token))
+        .set('If-Match', `"${staleVersion}"`)
+        .send({ title: 'Clobbered', subtasks: [] });
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('VERSION_CONFLICT');
+      expect(res.body.current.title).toBe('Original');
+      expect(res.body.current.version).toBe(String(myTask.editVersion + 1));
+      const untouched = await Task.findById(myTask._id);
+      expect(untouched.title).toBe('Original');
+    });
+
+    it('If-Match s aktuálnou verziou → 200, nová verzia v odpovedi aj ETag', async () => {
+      const getRes = await request(app)
+        .get(`/api/tasks/${myTask._id}`)
+        .set(authHeader(ownerCtx.token));
+      expect(getRes.headers.etag).toBe(`"${getRes.body.version}"`);
+
+      const res = await request(app)
+        .put(`/api/tasks/${myTask._id}`)
+        .set(authHeader(ownerCtx.token))
+        .set('If-Match', getRes.headers.etag)
+        .send({ title: 'Updated' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.version).toBeTruthy();
+      expect(res.body.version).not.toBe(getRes.body.version);
+      expect(res.headers.etag).toBe(`"${res.body.version}"`);
+    });
+
+    it('If-Match na projekt v kontakte porovnáva verziu kontaktu', async () => {
+      const taskId = 'bbbbbbbb-cccc-dddd-eeee-ffffffffffff';
+      const contact = await Contact.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        name: 'Versioned Contact',
+        tasks: [{ id: taskId, title: 'Contact Task', priority: 'low' }]
+      });
+
+      const res = await request(app)
+        .put(`/api/tasks/${taskId}`)
+        .set(authHeader(ownerCtx.token))
+        .set('If-Match', '"1"')
+        .send({ title: 'Clobbered', source: 'contact', contactId: contact._id.toString() });
+
+      expect(res.status).toBe(409);
+      expect(res.body.current.title).toBe('Contact Task');
+      expect(res.body.current.version).toBe(String(contact.editVersion));
+      const untouched = await Contact.findById(contact._id);
+      expect(untouched.tasks[0].title).toBe('Contact Task');
+    });
+
+    it('If-Match: zmena medzi kontrolou a zápisom → 409, súbežná zmena ostane', async () => {
+      // Súbežný zápis "medzi" načítaním projektu v route a jeho uložením
+      const findOne = Task.findOne.bind(Task);
+      const spy = jest.spyOn(Task, 'findOne').mockImplementationOnce(async (...args) => {
+        const loaded = await findOne(...args);
+        await Task.updateOne(
+          { _id: myTask._id },
+          { $set: { title: 'Concurrent' } }
+        );
+        return loaded;
+      });
+
+      const res = await request(app)
+        .put(`/api/tasks/${myTask._id}`)
+        .set(authHeader(ownerCtx.token))
+        .set('If-Match', `"${myTask.editVersion}"`)
+        .send({ title: 'Clobbered' });
+      spy.mockRestore();
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('VERSION_CONFLICT');
+      expect(res.body.current.title).toBe('Concurrent');
+      const stored = await Task.findById(myTask._id);
+      expect(stored.title).toBe('Concurrent');
+    });
+
+    it('subtasks bez If-Match → 428 VERSION_REQUIRED, DB nezmenená', async () => {
+      myTask.subtasks = [{ id: 'sub-1', title: 'Sub 1', completed: false }];
+      await myTask.save();
+
+      const res = await request(app)
+        .put(`/api/tasks/${myTask._id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ subtasks: [] });
+
+      expect(res.status).toBe(428);
+      expect(res.body.code).toBe('VERSION_REQUIRED');
+      const untouched = await Task.findById(myTask._id);
+      expect(untouched.subtasks).toHaveLength(1);
+    });
+
+    it('subtasks s If-Match: * → 200 (vedomé prepísanie)', async () => {
+      const res = await request(app)
+        .put(`/api/tasks/${myTask._id}`)
+        .set(authHeader(ownerCtx.token))
+        .set('If-Match', '*')
+        .send({ subtasks: [{ id: 'sub-new', title: 'Nová' }] });
+
+      expect(res.status).toBe(200);
+      const updated = await Task.findById(myTask._id);
+      expect(updated.subtasks.map(s => s.title)).toEqual(['Nová']);
+    });
   });
 
   describe('DELETE /:id', () => {
@@ -483,4 +595,871 @@ describe('/api/tasks route', () => {
       expect(refreshed[2].title).toBe('B');
     });
   });
+
+  describe('Kanban stavy', () => {
+    it('GET /statuses bez nastavenia vráti predvolené stavy', async () => {
+      const res = await request(app)
+        .get('/api/tasks/statuses')
+        .set(authHeader(ownerCtx.token));
+
+      expect(res.status).toBe(200);
+      expect(res.body.map(s => s.id)).toEqual(['backlog', 'in_progress', 'review', 'done']);
+      expect(res.body.find(s => s.id === 'done').done).toBe(true);
+    });
+
+    it('PUT /statuses uloží vlastné stavy, bez hotového stavu → 400', async () => {
+      const invalid = await request(app)
+        .put('/api/tasks/statuses')
+        .set(authHeader(ownerCtx.token))
+        .send({ statuses: [{ name: 'Todo' }, { name: 'Doing' }] });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.code).toBe('INVALID_STATUSES');
+
+      const res = await request(app)
+        .put('/api/tasks/statuses')
+        .set(authHeader(ownerCtx.token))
+        .send({ statuses: [{ id: 'todo', name: 'Todo' }, { name: 'Shipped', done: true, color: '#00ff00' }] });
+      expect(res.status).toBe(200);
+      expect(res.body[0]).toEqual({ id: 'todo', name: 'Todo', color: '#94a3b8', done: false });
+      expect(res.body[1].id).toMatch(/^status-/);
+
+      const ws = await Workspace.findById(ownerCtx.workspace._id);
+      expect(ws.taskStatuses.map(s => s.name)).toEqual(['Todo', 'Shipped']);
+    });
+
+    it('PUT /statuses ako člen (nie admin) → 403', async () => {
+      const memberCtx = await createUserWithWorkspace({
+        username: 'member', email: 'member@test.com', role: 'member', workspaceName: 'Member WS'
+      });
+      const res = await request(app)
+        .put('/api/tasks/statuses')
+        .set(authHeader(memberCtx.token))
+        .send({ statuses: [{ name: 'Todo' }, { name: 'Done', done: true }] });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('GET / dopočíta stav z completed, kým projekt nemá uložený', async () => {
+      await Task.create([
+        { workspaceId: ownerCtx.workspace._id, userId: ownerCtx.user._id, title: 'Open', completed: false },
+        { workspaceId: ownerCtx.workspace._id, userId: ownerCtx.user._id, title: 'Closed', completed: true },
+        // Uložený stav nesedí s completed (odškrtnuté v zozname) → prvý hotový
+        { workspaceId: ownerCtx.workspace._id, userId: ownerCtx.user._id, title: 'Ticked', completed: true, status: 'review' }
+      ]);
+
+      const res = await request(app)
+        .get('/api/tasks')
+        .set(authHeader(ownerCtx.token));
+
+      const byTitle = Object.fromEntries(res.body.map(t => [t.title, t.status]));
+      expect(byTitle).toEqual({ Open: 'backlog', Closed: 'done', Ticked: 'done' });
+    });
+
+    it('PUT /:id/move presunie global projekt, prečísluje stĺpec a do hotového stavu ho dokončí', async () => {
+      const [a, b] = await Task.create([
+        { workspaceId: ownerCtx.workspace._id, userId: ownerCtx.user._id, title: 'A', subtasks: [{ id: 'sub-1', title: 'Sub', completed: false }] },
+        { workspaceId: ownerCtx.workspace._id, userId: ownerCtx.user._id, title: 'B', status: 'done', completed: true }
+      ]);
+
+      const res = await request(app)
+        .put(`/api/tasks/${a._id}/move`)
+        .set(authHeader(ownerCtx.token))
+        .send({
+          status: 'done',
+          column: [
+            { id: a._id.toString(), source: 'global' },
+            { id: b._id.toString(), source: 'global' }
+          ]
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe('done');
+      expect(res.body.completed).toBe(true);
+      const movedA = await Task.findById(a._id);
+      const movedB = await Task.findById(b._id);
+      expect(movedA.statusOrder).toBe(0);
+      expect(movedA.subtasks[0].completed).toBe(true);
+      expect(movedB.statusOrder).toBe(1);
+    });
+
+    it('PUT /:id/move presunie projekt v kontakte a zmena stĺpca pošle notifikáciu', async () => {
+      const notificationService = require('../../services/notificationService');
+      const spy = jest.spyOn(notificationService, 'notifyTaskChange').mockResolvedValue([]);
+      const taskId = 'cccccccc-dddd-eeee-ffff-000000000000';
+      const contact = await Contact.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        name: 'Board Contact',
+        tasks: [{ id: taskId, title: 'Card' }]
+      });
+
+      const res = await request(app)
+        .put(`/api/tasks/${taskId}/move`)
+        .set(authHeader(ownerCtx.token))
+        .send({ status: 'review', column: [{ id: taskId, source: 'contact', contactId: contact._id.toString() }] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.source).toBe('contact');
+      const updated = await Contact.findById(contact._id);
+      expect(updated.tasks[0].status).toBe('review');
+      expect(updated.tasks[0].completed).toBe(false);
+      expect(spy).toHaveBeenCalledWith('task.updated', expect.objectContaining({ id: taskId }), expect.anything(), [], expect.anything());
+      spy.mockRestore();
+    });
+
+    it('PUT /:id/move s neznámym stavom → 400, cudzí projekt → 404', async () => {
+      const mine = await Task.create({ workspaceId: ownerCtx.workspace._id, userId: ownerCtx.user._id, title: 'Mine' });
+      const foreign = await Task.create({ workspaceId: otherCtx.workspace._id, userId: otherCtx.user._id, title: 'Foreign' });
+
+      const unknown = await request(app)
+        .put(`/api/tasks/${mine._id}/move`)
+        .set(authHeader(ownerCtx.token))
+        .send({ status: 'nope' });
+      expect(unknown.status).toBe(400);
+
+      const cross = await request(app)
+        .put(`/api/tasks/${foreign._id}/move`)
+        .set(authHeader(ownerCtx.token))
+        .send({ status: 'review' });
+      expect(cross.status).toBe(404);
+      const untouched = await Task.findById(foreign._id);
+      expect(untouched.status).toBeNull();
+    });
+  });
+
+  describe('Opakovanie', () => {
+    const weekly = { freq: 'weekly', interval: 1, count: 3 };
+
+    it('POST / s neplatným opakovaním → 400', async () => {
+      const res = await request(app)
+        .post('/api/tasks')
+        .set(authHeader(ownerCtx.token))
+        .send({ title: 'Zlé', recurrence: { freq: 'hourly' } });
+      expect(res.status).toBe(400);
+
+      const both = await request(app)
+        .post('/api/tasks')
+        .set(authHeader(ownerCtx.token))
+        .send({ title: 'Zlé', recurrence: { freq: 'daily', until: '2030-01-01', count: 3 } });
+      expect(both.status).toBe(400);
+    });
+
+    it('dokončenie opakovaného projektu vytvorí ďalší výskyt s riešiteľmi a pripomienkami', async () => {
+      const task = await Task.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        title: 'Týždenný report',
+        dueDate: '2030-01-07',
+        dueTime: '09:00',
+        assignedTo: [ownerCtx.user._id.toString()],
+        timeReminders: [30],
+        subtasks: [{ id: 'sub-1', title: 'Podklady', completed: true, dueDate: '2030-01-06' }],
+        recurrence: weekly
+      });
+
+      const res = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ completed: true });
+      expect(res.status).toBe(200);
+
+      const all = await Task.find({ workspaceId: ownerCtx.workspace._id }).sort({ createdAt: 1 });
+      expect(all).toHaveLength(2);
+      const [done, next] = all;
+      expect(done.recurrence.nextId).toBe(next._id.toString());
+      expect(next.completed).toBe(false);
+      expect(next.dueDate).toBe('2030-01-14');
+      expect(next.dueTime).toBe('09:00');
+      expect(next.assignedTo).toEqual([ownerCtx.user._id.toString()]);
+      expect(next.timeReminders).toEqual([30]);
+      expect(next.recurrence.occurrence).toBe(2);
+      expect(next.subtasks[0].completed).toBe(false);
+      expect(next.subtasks[0].dueDate).toBe('2030-01-13');
+      expect(next.subtasks[0].id).not.toBe('sub-1');
+
+      // Opätovné odškrtnutie nič nezdvojí
+      await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ completed: true });
+      expect(await Task.countDocuments({ workspaceId: ownerCtx.workspace._id })).toBe(2);
+    });
+
+    it('zlyhané vytvorenie výskytu neuloží nextId — dokončenie ostane, výskyt dorobí dueDateChecker', async () => {
+      const { spawnPendingOccurrences } = require('../../services/taskRecurrence');
+      const task = await Task.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        title: 'Týždenný report',
+        dueDate: '2030-01-07',
+        recurrence: weekly
+      });
+
+      const spy = jest.spyOn(Task, 'create').mockRejectedValueOnce(new Error('write failed'));
+      const res = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ completed: true });
+      spy.mockRestore();
+
+      expect(res.status).toBe(200);
+      const done = await Task.findById(task._id);
+      expect(done.completed).toBe(true);
+      expect(done.recurrence.nextId).toBeNull();
+      expect(await Task.countDocuments({ workspaceId: ownerCtx.workspace._id })).toBe(1);
+
+      await spawnPendingOccurrences();
+      const all = await Task.find({ workspaceId: ownerCtx.workspace._id }).sort({ createdAt: 1 });
+      expect(all).toHaveLength(2);
+      expect(all[0].recurrence.nextId).toBe(all[1]._id.toString());
+    });
+
+    it('súbežné vytváranie výskytu z toho istého dokončenia vytvorí len jeden', async () => {
+      const { createNextTaskOccurrence } = require('../../services/taskRecurrence');
+      const task = await Task.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        title: 'Denný',
+        dueDate: '2030-01-07',
+        completed: true,
+        recurrence: { freq: 'daily' }
+      });
+      const [a, b] = await Promise.all([Task.findById(task._id), Task.findById(task._id)]);
+
+      const created = await Promise.all([createNextTaskOccurrence(a), createNextTaskOccurrence(b)]);
+
+      expect(created.filter(Boolean)).toHaveLength(1);
+      expect(await Task.countDocuments({ workspaceId: ownerCtx.workspace._id })).toBe(2);
+      // Prehratý dokument dostal nextId víťaza
+      const winner = created.find(Boolean);
+      expect(a.recurrence.nextId).toBe(winner._id.toString());
+      expect(b.recurrence.nextId).toBe(winner._id.toString());
+    });
+
+    it('posledný výskyt podľa count sériu ukončí', async () => {
+      const task = await Task.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        title: 'Posledný',
+        dueDate: '2030-01-21',
+        recurrence: { ...weekly, occurrence: 3 }
+      });
+
+      await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ completed: true });
+
+      expect(await Task.countDocuments({ workspaceId: ownerCtx.workspace._id })).toBe(1);
+      const ended = await Task.findById(task._id);
+      expect(ended.recurrence.ended).toBe(true);
+    });
+
+    it('dokončenie opakovaného projektu v kontakte pridá výskyt do kontaktu', async () => {
+      const taskId = 'dddddddd-eeee-ffff-0000-111111111111';
+      const contact = await Contact.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        name: 'Recurring Contact',
+        tasks: [{ id: taskId, title: 'Mesačná faktúra', dueDate: '2030-01-31', recurrence: { freq: 'monthly' } }]
+      });
+
+      const res = await request(app)
+        .put(`/api/tasks/${taskId}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ source: 'contact', contactId: contact._id.toString(), completed: true });
+      expect(res.status).toBe(200);
+
+      const updated = await Contact.findById(contact._id);
+      expect(updated.tasks).toHaveLength(2);
+      expect(updated.tasks[1].dueDate).toBe('2030-02-28');
+      expect(updated.tasks[1].recurrence.byMonthDay).toBe(31);
+      expect(updated.tasks[0].recurrence.nextId).toBe(updated.tasks[1].id);
+    });
+
+    it('dokončenie opakovanej podúlohy pridá ďalšiu hneď za ňu', async () => {
+      const task = await Task.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        title: 'Projekt',
+        subtasks: [
+          { id: 'daily-1', title: 'Standup', dueDate: '2030-01-07', recurrence: { freq: 'daily', interval: 2 } },
+          { id: 'other', title: 'Iná' }
+        ]
+      });
+
+      const res = await request(app)
+        .put(`/api/tasks/${task._id}/subtasks/daily-1`)
+        .set(authHeader(ownerCtx.token))
+        .send({ completed: true });
+      expect(res.status).toBe(200);
+
+      const updated = await Task.findById(task._id);
+      expect(updated.subtasks.map(s => s.title)).toEqual(['Standup', 'Standup', 'Iná']);
+      expect(updated.subtasks[1].dueDate).toBe('2030-01-09');
+      expect(updated.subtasks[1].completed).toBe(false);
+      expect(updated.subtasks[0].recurrence.nextId).toBe(updated.subtasks[1].id);
+    });
+
+    it('iCal feed exportuje RRULE len pre otvorený výskyt', async () => {
+      await User.findByIdAndUpdate(ownerCtx.user._id, {
+        calendarFeedToken: 'feed-token-recurrence',
+        calendarFeedEnabled: true
+      });
+      await Task.create([
+        { workspaceId: ownerCtx.workspace._id, userId: ownerCtx.user._id, title: 'Open', dueDate: '2030-01-07', recurrence: { ...weekly, byWeekday: [1, 3] } },
+        { workspaceId: ownerCtx.workspace._id, userId: ownerCtx.user._id, title: 'Done', dueDate: '2029-12-31', completed: true, recurrence: { ...weekly, nextId: 'x' } }
+      ]);
+
+      const res = await request(app).get('/api/tasks/calendar/feed/feed-token-recurrence');
+
+      expect(res.status).toBe(200);
+      expect(res.text).toContain('RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=3');
+      expect(res.text.match(/RRULE:/g)).toHaveLength(1);
+    });
+  });
+
+  describe('Závislosti', () => {
+    const contactTaskId = 'dddddddd-eeee-ffff-0000-111111111111';
+    let globalTask;
+    let contact;
+
+    beforeEach(async () => {
+      globalTask = await Task.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        title: 'Návrh',
+        subtasks: [{ id: 'dep-sub-1', title: 'Skica', completed: false }]
+      });
+      contact = await Contact.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        name: 'Dep Contact',
+        tasks: [{ id: contactTaskId, title: 'Realizácia', assignedTo: [otherCtx.user._id.toString()] }]
+      });
+    });
+
+    it('PUT /:id/dependencies nastaví závislosť naprieč kontaktom a globálnym projektom', async () => {
+      const res = await request(app)
+        .put(`/api/tasks/${contactTaskId}/dependencies`)
+        .set(authHeader(ownerCtx.token))
+        .send({ blockedBy: [globalTask._id.toString(), 'dep-sub-1', 'dep-sub-1'] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.blockedBy).toEqual([globalTask._id.toString(), 'dep-sub-1']);
+      const updated = await Contact.findById(contact._id);
+      expect(updated.tasks[0].blockedBy).toEqual([globalTask._id.toString(), 'dep-sub-1']);
+
+      const sub = await request(app)
+        .put('/api/tasks/dep-sub-1/dependencies')
+        .set(authHeader(ownerCtx.token))
+        .send({ blockedBy: [] });
+      expect(sub.status).toBe(200);
+    });
+
+    it('cyklus, závislosť na sebe a neznáme id → 400', async () => {
+      await request(app)
+        .put(`/api/tasks/${contactTaskId}/dependencies`)
+        .set(authHeader(ownerCtx.token))
+        .send({ blockedBy: ['dep-sub-1'] });
+
+      const cycle = await request(app)
+        .put('/api/tasks/dep-sub-1/dependencies')
+        .set(authHeader(ownerCtx.token))
+        .send({ blockedBy: [contactTaskId] });
+      expect(cycle.status).toBe(400);
+      expect(cycle.body.code).toBe('DEPENDENCY_CYCLE');
+      expect(cycle.body.message).toContain('Skica → Realizácia → Skica');
+
+      const self = await request(app)
+        .put(`/api/tasks/${globalTask._id}/dependencies`)
+        .set(authHeader(ownerCtx.token))
+        .send({ blockedBy: [globalTask._id.toString()] });
+      expect(self.status).toBe(400);
+
+      const foreign = await Task.create({ workspaceId: otherCtx.workspace._id, userId: otherCtx.user._id, title: 'Foreign' });
+      const unknown = await request(app)
+        .put(`/api/tasks/${globalTask._id}/dependencies`)
+        .set(authHeader(ownerCtx.token))
+        .send({ blockedBy: [foreign._id.toString()] });
+      expect(unknown.status).toBe(400);
+      expect(unknown.body.code).toBe('INVALID_DEPENDENCIES');
+
+      const missing = await request(app)
+        .put(`/api/tasks/${foreign._id}/dependencies`)
+        .set(authHeader(ownerCtx.token))
+        .send({ blockedBy: [] });
+      expect(missing.status).toBe(404);
+    });
+
+    it('súbežné opačné závislosti — uloží sa len jedna, cyklus nevznikne', async () => {
+      const [first, second] = await Promise.all([
+        request(app)
+          .put(`/api/tasks/${contactTaskId}/dependencies`)
+          .set(authHeader(ownerCtx.token))
+          .send({ blockedBy: [globalTask._id.toString()] }),
+        request(app)
+          .put(`/api/tasks/${globalTask._id}/dependencies`)
+          .set(authHeader(ownerCtx.token))
+          .send({ blockedBy: [contactTaskId] })
+      ]);
+
+      expect([first.status, second.status].sort()).toEqual([200, 400]);
+      const storedContact = await Contact.findById(contact._id);
+      const storedTask = await Task.findById(globalTask._id);
+      expect(storedContact.tasks[0].blockedBy.length + storedTask.blockedBy.length).toBe(1);
+    });
+
+    it('opačná hrana zapísaná inou inštanciou počas uloženia → zmena sa vráti, 400', async () => {
+      // "Iná inštancia" zapíše Realizácia → Návrh po kontrole cyklu, pred zápisom
+      const findOne = Task.findOne.bind(Task);
+      const spy = jest.spyOn(Task, 'findOne').mockImplementationOnce(async (...args) => {
+        await Contact.updateOne(
+          { _id: contact._id, 'tasks.id': contactTaskId },
+          { $set: { 'tasks.$.blockedBy': [globalTask._id.toString()] } }
+        );
+        return findOne(...args);
+      });
+
+      const res = await request(app)
+        .put(`/api/tasks/${globalTask._id}/dependencies`)
+        .set(authHeader(ownerCtx.token))
+        .send({ blockedBy: [contactTaskId] });
+      spy.mockRestore();
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('DEPENDENCY_CYCLE');
+      const storedTask = await Task.findById(globalTask._id);
+      expect(storedTask.blockedBy).toEqual([]);
+      const storedContact = await Contact.findById(contact._id);
+      expect(storedContact.tasks[0].blockedBy).toEqual([globalTask._id.toString()]);
+    });
+
+    it('dokončenie blokujúcej položky notifikuje riešiteľov blokovanej', async () => {
+      const notificationService = require('../../services/notificationService');
+      const spy = jest.spyOn(notificationService, 'notifyDependencyResolved').mockResolvedValue([]);
+      await request(app)
+        .put(`/api/tasks/${contactTaskId}/dependencies`)
+        .set(authHeader(ownerCtx.token))
+        .send({ blockedBy: [globalTask._id.toString(), 'dep-sub-1'] });
+
+      const res = await request(app)
+        .put(`/api/tasks/${globalTask._id}/subtasks/dep-sub-1`)
+        .set(authHeader(ownerCtx.token))
+        .send({ completed: true });
+      expect(res.status).toBe(200);
+
+      expect(spy).toHaveBeenCalledTimes(1);
+      const [blocked, resolved, remaining] = spy.mock.calls[0];
+      expect(blocked.id).toBe(contactTaskId);
+      expect(blocked.assignedTo).toEqual([otherCtx.user._id.toString()]);
+      expect(resolved.map(item => item.id)).toEqual(['dep-sub-1']);
+      expect(remaining).toBe(1);
+
+      // Dokončenie projektu: podúloha už bola hotová, notifikuje sa len projekt
+      spy.mockClear();
+      await request(app)
+        .put(`/api/tasks/${globalTask._id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ completed: true });
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(spy.mock.calls[0][1].map(item => item.id)).toEqual([globalTask._id.toString()]);
+      expect(spy.mock.calls[0][2]).toBe(0);
+      spy.mockRestore();
+    });
+
+    it('PUT /:id so subtasks nepreberá blockedBy z requestu — ostane uložené', async () => {
+      await Task.updateOne(
+        { _id: globalTask._id },
+        { $set: { 'subtasks.0.blockedBy': [contactTaskId] } }
+      );
+
+      const res = await request(app)
+        .put(`/api/tasks/${globalTask._id}`)
+        .set(authHeader(ownerCtx.token))
+        .set('If-Match', '*')
+        .send({
+          subtasks: [
+            { id: 'dep-sub-1', title: 'Skica 2', completed: false, blockedBy: ['dep-sub-1'] },
+            { id: 'dep-sub-2', title: 'Nová', completed: false, blockedBy: [globalTask._id.toString()] }
+          ]
+        });
+      expect(res.status).toBe(200);
+
+      const stored = await Task.findById(globalTask._id).lean();
+      expect(stored.subtasks[0].title).toBe('Skica 2');
+      expect(stored.subtasks[0].blockedBy).toEqual([contactTaskId]);
+      expect(stored.subtasks[1].blockedBy).toEqual([]);
+    });
+  });
+
+  describe('Výkaz času', () => {
+    const contactTaskId = 'eeeeeeee-ffff-0000-1111-222222222222';
+    let globalTask;
+    let contact;
+
+    beforeEach(async () => {
+      globalTask = await Task.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        title: 'Interný',
+        estimate: 120,
+        subtasks: [{ id: 'time-sub-1', title: 'Analýza' }]
+      });
+      contact = await Contact.create({
+        workspaceId: ownerCtx.workspace._id,
+        userId: ownerCtx.user._id,
+        name: 'Klient',
+        tasks: [{ id: contactTaskId, title: 'Web' }]
+      });
+    });
+
+    it('ručné záznamy sa sčítajú per kontakt a per člen', async () => {
+      const first = await request(app)
+        .post(`/api/tasks/${contactTaskId}/time`)
+        .set(authHeader(ownerCtx.token))
+        .send({ date: '2030-03-02', minutes: 90, note: 'Návrh' });
+      expect(first.status).toBe(201);
+      expect(first.body.entry).toMatchObject({ minutes: 90, manual: true, userId: ownerCtx.user._id.toString() });
+
+      await request(app)
+        .post('/api/tasks/time-sub-1/time')
+        .set(authHeader(ownerCtx.token))
+        .send({ date: '2030-03-05', minutes: 30 });
+
+      const invalid = await request(app)
+        .post(`/api/tasks/${contactTaskId}/time`)
+        .set(authHeader(ownerCtx.token))
+        .send({ date: '2030-03-02', minutes: 0 });
+      expect(invalid.status).toBe(400);
+
+      const res = await request(app)
+        .get('/api/tasks/time/summary?from=2030-03-01&to=2030-03-31')
+        .set(authHeader(ownerCtx.token));
+      expect(res.status).toBe(200);
+      expect(res.body.total).toBe(120);
+      expect(res.body.byMember).toEqual([{ userId: ownerCtx.user._id.toString(), username: 'owner', minutes: 120 }]);
+      expect(res.body.byContact).toEqual([
+        { contactId: contact._id.toString(), contactName: 'Klient', minutes: 90 },
+        { contactId: null, contactName: '', minutes: 30 }
+      ]);
+
+      const march4 = await request(app)
+        .get('/api/tasks/time/summary?from=2030-03-04')
+        .set(authHeader(ownerCtx.token));
+      expect(march4.body.total).toBe(30);
+    });
+
+    it('deň časovača sa počíta v Europe/Bratislava, nie v UTC', async () => {
+      // 23:30 UTC 4. 3. = 00:30 SK 5. 3.
+      await Task.updateOne({ _id: globalTask._id }, {
+        $push: {
+          timeEntries: {
+            id: 'late-entry',
+            userId: ownerCtx.user._id.toString(),
+            start: '2030-03-04T23:30:00.000Z',
+            end: '2030-03-05T00:15:00.000Z',
+            minutes: 45
+          }
+        }
+      });
+
+      const march4 = await request(app)
+        .get('/api/tasks/time/summary?from=2030-03-04&to=2030-03-04')
+        .set(authHeader(ownerCtx.token));
+      expect(march4.body.total).toBe(0);
+
+      const march5 = await request(app)
+        .get('/api/tasks/time/summary?from=2030-03-05&to=2030-03-05')
+        .set(authHeader(ownerCtx.token));
+      expect(march5.body.total).toBe(45);
+      expect(march5.body.entries[0].date).toBe('2030-03-05');
+    });
+
+    it('nový časovač zastaví bežiaci na inej položke', async () => {
+      const started = await request(app)
+        .post(`/api/tasks/${globalTask._id}/time/start`)
+        .set(authHeader(ownerCtx.token));
+      expect(started.status).toBe(200);
+      expect(started.body.entry.end).toBeNull();
+
+      await request(app)
+        .post(`/api/tasks/${contactTaskId}/time/start`)
+        .set(authHeader(ownerCtx.token));
+
+      const stoppedGlobal = await Task.findById(globalTask._id);
+      expect(stoppedGlobal.timeEntries).toHaveLength(1);
+      expect(stoppedGlobal.timeEntries[0].end).not.toBeNull();
+      expect(stoppedGlobal.timeEntries[0].minutes).toBe(1);
+
+      const stop = await request(app)
+        .post(`/api/tasks/${contactTaskId}/time/stop`)
+        .set(authHeader(ownerCtx.token))
+        .send({ note: 'Hotovo' });
+      expect(stop.status).toBe(200);
+      expect(stop.body.entry.note).toBe('Hotovo');
+      const updated = await Contact.findById(contact._id);
+      expect(updated.tasks[0].timeEntries[0].end).not.toBeNull();
+
+      const again = await request(app)
+        .post(`/api/tasks/${contactTaskId}/time/stop`)
+        .set(authHeader(ownerCtx.token));
+      expect(again.status).toBe(409);
+      expect(again.body.code).toBe('TIMER_NOT_RUNNING');
+    });
+
+    it('súbežné spustenie časovača na tej istej položke pridá jeden záznam', async () => {
+      const [first, second] = await Promise.all([
+        request(app).post('/api/tasks/time-sub-1/time/start').set(authHeader(ownerCtx.token)),
+        request(app).post('/api/tasks/time-sub-1/time/start').set(authHeader(ownerCtx.token))
+      ]);
+
+      expect(first.status).toBe(200);
+      expect(second.status).toBe(200);
+      expect(second.body.entry.id).toBe(first.body.entry.id);
+      const stored = await Task.findById(globalTask._id);
+      expect(stored.subtasks[0].timeEntries).toHaveLength(1);
+    });
+
+    it('cudzí záznam zmaže len správca, cudzí workspace → 404', async () => {
+      const memberCtx = await addMember(ownerCtx.workspace._id, { username: 'member', email: 'member@test.com' });
+      const created = await request(app)
+        .post(`/api/tasks/${globalTask._id}/time`)
+        .set(authHeader(ownerCtx.token))
+        .send({ date: '2030-03-02', minutes: 15 });
+      const entryId = created.body.entry.id;
+
+      const denied = await request(app)
+        .delete(`/api/tasks/${globalTask._id}/time/${entryId}`)
+        .set(authHeader(memberCtx.token));
+      expect(denied.status).toBe(403);
+
+      const deleted = await request(app)
+        .delete(`/api/tasks/${globalTask._id}/time/${entryId}`)
+        .set(authHeader(ownerCtx.token));
+      expect(deleted.status).toBe(200);
+      expect((await Task.findById(globalTask._id)).timeEntries).toHaveLength(0);
+
+      const foreign = await request(app)
+        .post(`/api/tasks/${globalTask._id}/time/start`)
+        .set(authHeader(otherCtx.token));
+      expect(foreign.status).toBe(404);
+    });
+
+    it('PUT /:id validuje odhad a výkaz sa exportuje do CSV', async () => {
+      const invalid = await request(app)
+        .put(`/api/tasks/${globalTask._id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ estimate: -5 });
+      expect(invalid.status).toBe(400);
+
+      const ok = await request(app)
+        .put(`/api/tasks/${globalTask._id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ estimate: 240 });
+      expect(ok.status).toBe(200);
+      expect((await Task.findById(globalTask._id)).estimate).toBe(240);
+
+      await User.findByIdAndUpdate(ownerCtx.user._id, { 'subscription.plan': 'team' });
+      await request(app)
+        .post(`/api/tasks/${contactTaskId}/time`)
+        .set(authHeader(ownerCtx.token))
+        .send({ date: '2030-03-02', minutes: 45, note: '=SUM(A1)' });
+
+      const csv = await request(app)
+        .get('/api/tasks/export/timesheet')
+        .set(authHeader(ownerCtx.token));
+      expect(csv.status).toBe(200);
+      expect(csv.headers['content-type']).toContain('text/csv');
+      expect(csv.text).toContain('2030-03-02,owner,Klient,Web,,45,0.75,\'=SUM(A1)');
+      expect(csv.text).toContain('Spolu,,Klient,,,45,0.75,');
+    });
+
+    it('PUT /:id so subtasks nepreberá timeEntries z requestu — ostanú uložené', async () => {
+      await request(app)
+        .post('/api/tasks/time-sub-1/time')
+        .set(authHeader(ownerCtx.token))
+        .send({ date: '2030-03-05', minutes: 30 });
+      const forged = { id: 'forged', userId: otherCtx.user._id.toString(), start: '2030-03-05', end: '2030-03-05', minutes: 600, manual: true };
+
+      const res = await request(app)
+        .put(`/api/tasks/${globalTask._id}`)
+        .set(authHeader(ownerCtx.token))
+        .set('If-Match', '*')
+        .send({
+          subtasks: [
+            { id: 'time-sub-1', title: 'Analýza', timeEntries: [forged] },
+            { id: 'time-sub-2', title: 'Nová', timeEntries: [forged] }
+          ]
+        });
+      expect(res.status).toBe(200);
+
+      const stored = await Task.findById(globalTask._id).lean();
+      expect(stored.subtasks[0].timeEntries).toHaveLength(1);
+      expect(stored.subtasks[0].timeEntries[0]).toMatchObject({ minutes: 30, userId: ownerCtx.user._id.toString() });
+      expect(stored.subtasks[1].timeEntries).toEqual([]);
+    });
+
+    it('začiatok musí byť YYYY-MM-DD a nie po termíne → inak 400', async () => {
+      const created = await request(app)
+        .post('/api/tasks')
+        .set(authHeader(ownerCtx.token))
+        .send({ title: 'Plán', dueDate: '2030-03-10', startDate: '2030-03-11' });
+      expect(created.status).toBe(400);
+
+      const invalid = await request(app)
+        .put(`/api/tasks/${globalTask._id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ startDate: '3.3.2030' });
+      expect(invalid.status).toBe(400);
+
+      const ok = await request(app)
+        .put(`/api/tasks/${globalTask._id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ startDate: '2030-03-01', dueDate: '2030-03-10' });
+      expect(ok.status).toBe(200);
+
+      // Termín pred uloženým začiatkom
+      const dueBefore = await request(app)
+        .put(`/api/tasks/${globalTask._id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ dueDate: '2030-02-20' });
+      expect(dueBefore.status).toBe(400);
+
+      const subtask = await request(app)
+        .put(`/api/tasks/${globalTask._id}/subtasks/time-sub-1`)
+        .set(authHeader(ownerCtx.token))
+        .send({ startDate: 'zajtra' });
+      expect(subtask.status).toBe(400);
+
+      const stored = await Task.findById(globalTask._id).lean();
+      expect(stored.startDate).toBe('2030-03-01');
+      expect(stored.dueDate).toBe('2030-03-10');
+      expect(stored.subtasks[0].startDate).toBeNull();
+    });
+  });
+
+  describe('Uložené pohľady', () => {
+    let memberCtx;
+    const viewBody = {
+      name: 'Moje urgentné',
+      filters: { assignees: ['me'], priorities: ['high'], tags: ['Web', 'web '], duePreset: 'week', completion: 'open' },
+      sort: { field: 'dueDate', direction: 'asc' },
+      groupBy: 'contact'
+    };
+
+    beforeEach(async () => {
+      await TaskView.deleteMany({});
+      memberCtx = await addMember(ownerCtx.workspace._id, { username: 'member', email: 'member@test.com' });
+    });
+
+    it('súkromný pohľad vidí len autor, zdieľaný celý workspace', async () => {
+      const created = await request(app)
+        .post('/api/tasks/views')
+        .set(authHeader(ownerCtx.token))
+        .send(viewBody);
+      expect(created.status).toBe(201);
+      expect(created.body).toMatchObject({ name: 'Moje urgentné', shared: false, isOwn: true, groupBy: 'contact' });
+      expect(created.body.filters.tags).toEqual(['Web']);
+      expect(created.body.filters.text).toBe('');
+
+      const memberList = await request(app).get('/api/tasks/views').set(authHeader(memberCtx.token));
+      expect(memberList.body).toEqual([]);
+      const hidden = await request(app)
+        .get(`/api/tasks/views/${created.body.id}`)
+        .set(authHeader(memberCtx.token));
+      expect(hidden.status).toBe(404);
+
+      const shared = await request(app)
+        .put(`/api/tasks/views/${created.body.id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ ...viewBody, shared: true });
+      expect(shared.status).toBe(200);
+
+      const visible = await request(app)
+        .get(`/api/tasks/views/${created.body.id}`)
+        .set(authHeader(memberCtx.token));
+      expect(visible.status).toBe(200);
+      expect(visible.body).toMatchObject({ shared: true, isOwn: false, ownerName: 'owner' });
+
+      const stranger = await request(app)
+        .get(`/api/tasks/views/${created.body.id}`)
+        .set(authHeader(otherCtx.token));
+      expect(stranger.status).toBe(404);
+    });
+
+    it('zdieľaný pohľad upraví len autor, zmaže aj správca', async () => {
+      const created = await request(app)
+        .post('/api/tasks/views')
+        .set(authHeader(memberCtx.token))
+        .send({ ...viewBody, shared: true });
+
+      const edit = await request(app)
+        .put(`/api/tasks/views/${created.body.id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ ...viewBody, name: 'Prepísané' });
+      expect(edit.status).toBe(403);
+
+      const secondMember = await addMember(ownerCtx.workspace._id, { username: 'member2', email: 'member2@test.com' });
+      const memberDelete = await request(app)
+        .delete(`/api/tasks/views/${created.body.id}`)
+        .set(authHeader(secondMember.token));
+      expect(memberDelete.status).toBe(403);
+
+      const adminDelete = await request(app)
+        .delete(`/api/tasks/views/${created.body.id}`)
+        .set(authHeader(ownerCtx.token));
+      expect(adminDelete.status).toBe(200);
+      expect(await TaskView.countDocuments()).toBe(0);
+    });
+
+    it('odmietne neplatný pohľad', async () => {
+      const noName = await request(app)
+        .post('/api/tasks/views')
+        .set(authHeader(ownerCtx.token))
+        .send({ ...viewBody, name: '  ' });
+      expect(noName.status).toBe(400);
+      expect(noName.body.code).toBe('INVALID_VIEW');
+
+      const badSort = await request(app)
+        .post('/api/tasks/views')
+        .set(authHeader(ownerCtx.token))
+        .send({ ...viewBody, sort: { field: 'password' } });
+      expect(badSort.status).toBe(400);
+
+      const badPriority = await request(app)
+        .post('/api/tasks/views')
+        .set(authHeader(ownerCtx.token))
+        .send({ ...viewBody, filters: { priorities: ['urgent'] } });
+      expect(badPriority.status).toBe(400);
+
+      const badId = await request(app)
+        .put('/api/tasks/views/not-an-id')
+        .set(authHeader(ownerCtx.token))
+        .send(viewBody);
+      expect(badId.status).toBe(404);
+    });
+
+    it('projekt si uloží štítky', async () => {
+      const created = await request(app)
+        .post('/api/tasks')
+        .set(authHeader(ownerCtx.token))
+        .send({ title: 'Štítkovaný', tags: [' Web ', 'WEB', 'Interné'] });
+      expect(created.status).toBe(201);
+      expect(created.body.tags).toEqual(['Web', 'Interné']);
+
+      const tooLong = await request(app)
+        .put(`/api/tasks/${created.body.id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ tags: ['x'.repeat(31)] });
+      expect(tooLong.status).toBe(400);
+
+      const cleared = await request(app)
+        .put(`/api/tasks/${created.body.id}`)
+        .set(authHeader(ownerCtx.token))
+        .send({ tags: [] });
+      expect(cleared.status).toBe(200);
+      expect([...(await Task.findById(created.body.id)).tags]).toEqual([]);
+    });
+  });
 });
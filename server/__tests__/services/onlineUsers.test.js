@@ -0,0 +1,321 @@
+const onlineUsers = require('../../services/onlineUsers');
+
+/**
+ * onlineUsers testy — registry pripojených používateľov.
+ *
+ * Bez REDIS_URL (lokálna in-memory registry):
+ *   - getOnlineUsers() spojí sockety jedného usera, since = najstarší socket
+ *   - počty userov a socketov
+ *   - removeConnection() a liveSockets()
+ *
+ * S REDIS_URL (ioredis nahradený pamäťovým MockRedis nižšie):
+ *   - zdieľaný zoznam vidí aj sockety inej inštancie
+ *   - heartbeat obnoví skóre, sockety spadnutej inštancie sa po STALE_MS zmažú
+ *   - Redis nedostupný od štartu → odpovede z lokálnej registry
+ *   - utils/socketAdapter.js ostane bez Redisu pri in-memory adaptéri
+ */
+
+// Pamäťová náhrada ioredis — len príkazy, ktoré registry a adaptér volajú.
+// `MockRedis.unavailable` = každý príkaz zlyhá ako pri nedostupnom serveri,
+// `MockRedis.failOnCreate` = konštruktor hodí chybu.
+jest.mock('ioredis', () => {
+  class MockRedis {
+    constructor(url, options = {}) {
+      if (MockRedis.failOnCreate) throw new Error('Invalid URL');
+      this.options = options;
+      this.zsets = new Map();
+      this.hashes = new Map();
+      this.disconnected = false;
+    }
+
+    async run(command, args) {
+      if (MockRedis.unavailable) throw new Error('Connection is closed.');
+      return this[`_${command}`](...args);
+    }
+
+    _zset(key) {
+      if (!this.zsets.has(key)) this.zsets.set(key, new Map());
+      return this.zsets.get(key);
+    }
+
+    _hash(key) {
+      if (!this.hashes.has(key)) this.hashes.set(key, new Map());
+      return this.hashes.get(key);
+    }
+
+    _zadd(key, ...pairs) {
+      for (let i = 0; i < pairs.length; i += 2) this._zset(key).set(pairs[i + 1], Number(pairs[i]));
+      return pairs.length / 2;
+    }
+
+    _zrem(key, ...members) {
+      return members.filter(member => this._zset(key).delete(member)).length;
+    }
+
+    _zscore(key, member) {
+      const score = this._zset(key).get(member);
+      return score === undefined ? null : String(score);
+    }
+
+    _zrange(key) {
+      return [...this._zset(key)].sort((a, b) => a[1] - b[1]).map(([member]) => member);
+    }
+
+    _zrangebyscore(key, min, max) {
+      const low = min === '-inf' ? -Infinity : Number(min);
+      const high = max === '+inf' ? Infinity : Number(max);
+      return this._zrange(key).filter(member => {
+        const score = this._zset(key).get(member);
+        return score >= low && score <= high;
+      });
+    }
+
+    _hset(key, ...args) {
+      const entries = typeof args[0] === 'object' ? Object.entries(args[0]) : [[args[0], args[1]]];
+      for (const [field, value] of entries) this._hash(key).set(field, value);
+      return entries.length;
+    }
+
+    _hsetnx(key, field, value) {
+      if (this._hash(key).has(field)) return 0;
+      this._hash(key).set(field, value);
+      return 1;
+    }
+
+    _hdel(key, ...fields) {
+      return fields.filter(field => this._hash(key).delete(field)).length;
+    }
+
+    _hmget(key, ...fields) {
+      return fields.map(field => this._hash(key).get(field) ?? null);
+    }
+
+    _hgetall(key) {
+      return Object.fromEntries(this._hash(key));
+    }
+
+    _expire() {
+      return 1;
+    }
+
+    // multi() aj pipeline(): príkazy sa zbierajú, exec() vráti [[err, result]]
+    multi() {
+      const queued = [];
+      const chain = new Proxy({}, {
+        get: (target, command) => {
+          if (command === 'exec') {
+            return async () => {
+              if (MockRedis.unavailable) throw new Error('Connection is closed.');
+              return queued.map(([name, args]) => [null, this[`_${name}`](...args)]);
+            };
+          }
+          return (...args) => {
+            queued.push([command, args]);
+            return chain;
+          };
+        }
+      });
+      return chain;
+    }
+
+    pipeline() {
+      return this.multi();
+    }
+
+    duplicate(options = {}) {
+      return new MockRedis(null, { ...this.options, ...options });
+    }
+
+    on() {
+      return this;
+    }
+
+    disconnect() {
+      this.disconnected = true;
+    }
+  }
+  for (const command of ['zadd', 'zrem', 'zscore', 'zrange', 'zrangebyscore', 'hset', 'hsetnx', 'hdel', 'hmget', 'hgetall', 'expire']) {
+    MockRedis.prototype[command] = function (...args) {
+      return this.run(command, args);
+    };
+  }
+  return MockRedis;
+});
+
+jest.mock('@socket.io/redis-adapter', () => ({
+  createAdapter: jest.fn(() => 'redis-adapter')
+}));
+
+describe('onlineUsers service', () => {
+  beforeEach(() => {
+    onlineUsers._reset();
+  });
+
+  it('getOnlineUsers spojí sockety jedného usera', async () => {
+    await onlineUsers.addConnection('u1', 's1', { username: 'alice', email: 'a@x.sk' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await onlineUsers.addConnection('u2', 's2', { username: 'bob' });
+    await onlineUsers.addConnection('u1', 's3', { username: 'alice', email: 'a@x.sk' });
+
+    const users = await onlineUsers.getOnlineUsers();
+
+    expect(users.map(u => u.userId)).toEqual(['u2', 'u1']);
+    expect(users[1]).toMatchObject({ username: 'alice', email: 'a@x.sk', socketCount: 2 });
+    expect(await onlineUsers.getOnlineCount()).toBe(2);
+    expect(await onlineUsers.getSocketCount()).toBe(3);
+  });
+
+  it('removeConnection odstráni socket a usera bez socketov', async () => {
+    await onlineUsers.addConnection('u1', 's1', { username: 'alice' });
+    await onlineUsers.addConnection('u1', 's2', { username: 'alice' });
+
+    await onlineUsers.removeConnection('s1');
+    expect(await onlineUsers.getOnlineUsers()).toEqual([
+      expect.objectContaining({ userId: 'u1', socketCount: 1 })
+    ]);
+
+    await onlineUsers.removeConnection('s2');
+    await onlineUsers.removeConnection('nope');
+    expect(await onlineUsers.getOnlineUsers()).toEqual([]);
+    expect(await onlineUsers.getOnlineCount()).toBe(0);
+  });
+
+  it('liveSockets vráti len pripojené sockety', async () => {
+    await onlineUsers.addConnection('u1', 's1');
+    await onlineUsers.addConnection('u2', 's2');
+    await onlineUsers.removeConnection('s2');
+
+    expect(await onlineUsers.liveSockets(['s1', 's2', 's3'])).toEqual(new Set(['s1']));
+  });
+});
+
+describe('onlineUsers service s Redisom', () => {
+  const HEARTBEAT_MS = 30 * 1000;
+  const STALE_MS = 90 * 1000;
+  let registry;
+
+  // Čerstvé moduly — utils/redisClient.js si klienta pamätá od prvého volania
+  const load = ({ unavailable = false, failOnCreate = false } = {}) => {
+    jest.resetModules();
+    const MockRedis = require('ioredis');
+    MockRedis.unavailable = unavailable;
+    MockRedis.failOnCreate = failOnCreate;
+    registry = require('../../services/onlineUsers');
+    return {
+      MockRedis,
+      redis: require('../../utils/redisClient').getRedis(),
+      socketAdapter: require('../../utils/socketAdapter'),
+      createAdapter: require('@socket.io/redis-adapter').createAdapter
+    };
+  };
+
+  // Socket inej inštancie servera — zapísaný priamo do zdieľaného zoznamu
+  const addRemoteSocket = (redis, socketId, entry, score = Date.now()) => {
+    redis._zadd('online:sockets', score, socketId);
+    redis._hset('online:socket-info', socketId, JSON.stringify({ since: new Date().toISOString(), ...entry }));
+  };
+
+  beforeEach(() => {
+    process.env.REDIS_URL = 'redis://localhost:6379';
+    jest.useFakeTimers({ now: new Date('2030-01-01T10:00:00Z') });
+  });
+
+  afterEach(() => {
+    registry?._reset();
+    registry = null;
+    jest.useRealTimers();
+    delete process.env.REDIS_URL;
+  });
+
+  it('zdieľaný zoznam obsahuje aj sockety inej inštancie', async () => {
+    const { redis } = load();
+    await registry.addConnection('u1', 's1', { username: 'alice' });
+    addRemoteSocket(redis, 's2', { userId: 'u2', username: 'bob' });
+    addRemoteSocket(redis, 's3', { userId: 'u1', username: 'alice' });
+
+    expect(redis._zscore('online:sockets', 's1')).not.toBeNull();
+    expect(JSON.parse(redis._hmget('online:socket-info', 's1')[0])).toMatchObject({ userId: 'u1', username: 'alice' });
+    expect(await registry.getOnlineCount()).toBe(2);
+    expect(await registry.getSocketCount()).toBe(3);
+    expect(await registry.liveSockets(['s1', 's2', 'nope'])).toEqual(new Set(['s1', 's2']));
+
+    await registry.removeConnection('s1');
+    expect(redis._zscore('online:sockets', 's1')).toBeNull();
+    expect(redis._hmget('online:socket-info', 's1')).toEqual([null]);
+    const users = await registry.getOnlineUsers();
+    expect(users).toHaveLength(2);
+    expect(users.find(u => u.userId === 'u1')).toMatchObject({ username: 'alice', socketCount: 1 });
+  });
+
+  it('heartbeat obnoví skóre, sockety spadnutej inštancie sa po STALE_MS zmažú', async () => {
+    const { redis } = load();
+    await registry.addConnection('u1', 's1', { username: 'alice' });
+    addRemoteSocket(redis, 's2', { userId: 'u2', username: 'bob' });
+
+    // Iná inštancia medzitým zmazala info nášho socketu — heartbeat ho vráti
+    redis._hdel('online:socket-info', 's1');
+    await jest.advanceTimersByTimeAsync(STALE_MS + HEARTBEAT_MS);
+
+    expect(Number(redis._zscore('online:sockets', 's1'))).toBeGreaterThan(Date.now() - HEARTBEAT_MS - 1);
+    expect(redis._hmget('online:socket-info', 's1')[0]).not.toBeNull();
+    expect(await registry.liveSockets(['s1', 's2'])).toEqual(new Set(['s1']));
+
+    expect((await registry.getOnlineUsers()).map(u => u.userId)).toEqual(['u1']);
+    expect(redis._zscore('online:sockets', 's2')).toBeNull();
+    expect(redis._hmget('online:socket-info', 's2')).toEqual([null]);
+  });
+
+  it('Redis nedostupný od štartu → odpovede z lokálnej registry, bez chyby', async () => {
+    const { MockRedis } = load({ unavailable: true });
+    await registry.addConnection('u1', 's1', { username: 'alice' });
+    await registry.addConnection('u2', 's2', { username: 'bob' });
+    await jest.advanceTimersByTimeAsync(HEARTBEAT_MS);
+
+    expect(await registry.getOnlineCount()).toBe(2);
+    expect(await registry.liveSockets(['s1', 's3'])).toEqual(new Set(['s1']));
+    await registry.removeConnection('s2');
+    expect(await registry.getSocketCount()).toBe(1);
+
+    // Po obnovení spojenia číta znova zo zdieľaného zoznamu
+    MockRedis.unavailable = false;
+    await registry.addConnection('u3', 's3', { username: 'cyril' });
+    expect(await registry.getSocketCount()).toBe(1);
+    await jest.advanceTimersByTimeAsync(HEARTBEAT_MS);
+    expect(await registry.getSocketCount()).toBe(2);
+  });
+
+  it('neplatný REDIS_URL → bez Redisu, lokálna registry aj in-memory adaptér', async () => {
+    const { redis, socketAdapter, createAdapter } = load({ failOnCreate: true });
+    expect(redis).toBeNull();
+
+    await registry.addConnection('u1', 's1', { username: 'alice' });
+    expect(await registry.getOnlineCount()).toBe(1);
+
+    const io = { adapter: jest.fn() };
+    expect(socketAdapter.attachRedisAdapter(io)).toBe(false);
+    expect(io.adapter).not.toHaveBeenCalled();
+    expect(createAdapter).not.toHaveBeenCalled();
+  });
+
+  it('socketAdapter pripojí Redis adaptér, pri chybe ostane in-memory', () => {
+    const { socketAdapter, createAdapter } = load();
+    const io = { adapter: jest.fn() };
+    expect(socketAdapter.attachRedisAdapter(io)).toBe(true);
+    expect(io.adapter).toHaveBeenCalledWith('redis-adapter');
+    const [pub, sub] = createAdapter.mock.calls[0];
+    expect(pub.options.enableOfflineQueue).toBe(true);
+    expect(sub.options.enableOfflineQueue).toBe(true);
+    socketAdapter.closeRedisAdapter();
+    expect(pub.disconnected).toBe(true);
+
+    createAdapter.mockImplementationOnce(() => {
+      throw new Error('adapter failed');
+    });
+    const failing = { adapter: jest.fn() };
+    expect(socketAdapter.attachRedisAdapter(failing)).toBe(false);
+    expect(failing.adapter).not.toHaveBeenCalled();
+    const [failedPub, failedSub] = createAdapter.mock.calls[1];
+    expect(failedPub.disconnected).toBe(true);
+    expect(failedSub.disconnected).toBe(true);
+  });
+});
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const pageAccess = require('../../services/pageAccess');
+const Page = require('../../models/Page');
+const WorkspaceMember = require('../../models/WorkspaceMember');
+
+/**
+ * pageAccess testy — úroveň prístupu člena k stránke.
+ *
+ * Testujeme:
+ *   - bez nastavení má každý člen edit
+ *   - súkromná stránka: len autor (ani správca), dedí sa na podstrom
+ *   - zoznam členov: najbližší smerom ku koreňu platí, autor a správca edit
+ *   - loadPageRules a loadWorkspaceRules dávajú rovnaký výsledok
+ *   - membersWithAccess a validatePermissionsInput
+ */
+describe('pageAccess service', () => {
+  const workspaceId = new mongoose.Types.ObjectId();
+  const authorId = new mongoose.Types.ObjectId();
+  const memberId = new mongoose.Types.ObjectId();
+  const adminId = new mongoose.Types.ObjectId();
+
+  const author = { userId: authorId, isAdmin: false };
+  const member = { userId: memberId, isAdmin: false };
+  const admin = { userId: adminId, isAdmin: true };
+
+  const createPage = (fields) => Page.create({ workspaceId, userId: authorId, ...fields });
+
+  beforeAll(async () => {
+    await Page.init();
+    await WorkspaceMember.init();
+  });
+
+  beforeEach(async () => {
+    await Page.deleteMany({});
+    await WorkspaceMember.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  it('stránka bez nastavení je pre každého člena na úpravy', async () => {
+    const page = await createPage({ title: 'Otvorená' });
+    const rules = await pageAccess.loadPageRules(page);
+
+    expect(pageAccess.isRestricted(rules)).toBe(false);
+    expect(pageAccess.levelFor(rules, member)).toBe('edit');
+  });
+
+  it('súkromnú stránku a jej podstránky vidí len autor', async () => {
+    const root = await createPage({ title: 'Tajná', visibility: 'private' });
+    const child = await createPage({
+      title: 'Podstránka',
+      parentId: root._id,
+      permissions: [{ userId: memberId, level: 'edit' }]
+    });
+    const rules = await pageAccess.loadPageRules(child);
+
+    expect(rules.privateSourceId).toBe(root._id.toString());
+    expect(pageAccess.levelFor(rules, author)).toBe('edit');
+    expect(pageAccess.levelFor(rules, member)).toBe('none');
+    expect(pageAccess.levelFor(rules, admin)).toBe('none');
+  });
+
+  it('platí najbližší zoznam členov, autor a správca majú edit', async () => {
+    const root = await createPage({
+      title: 'Tím',
+      permissions: [{ userId: memberId, level: 'view' }]
+    });
+    const inherited = await createPage({ title: 'Poznámky', parentId: root._id });
+    const own = await createPage({
+      title: 'Návrhy',
+      parentId: root._id,
+      permissions: [{ userId: memberId, level: 'comment' }]
+    });
+
+    const inheritedRules = await pageAccess.loadPageRules(inherited);
+    expect(inheritedRules.restriction.pageId).toBe(root._id.toString());
+    expect(pageAccess.levelFor(inheritedRules, member)).toBe('view');
+    expect(pageAccess.levelFor(inheritedRules, author)).toBe('edit');
+    expect(pageAccess.levelFor(inheritedRules, admin)).toBe('edit');
+    expect(pageAccess.levelFor(inheritedRules, { userId: new mongoose.Types.ObjectId(), isAdmin: false })).toBe('none');
+
+    expect(pageAccess.levelFor(await pageAccess.loadPageRules(own), member)).toBe('comment');
+  });
+
+  it('loadWorkspaceRules sa zhoduje s loadPageRules a visiblePageIds filtruje', async () => {
+    const root = await createPage({ title: 'Tajná', visibility: 'private' });
+    const child = await createPage({ title: 'Podstránka', parentId: root._id });
+    const open = await createPage({ title: 'Otvorená' });
+
+    const all = await pageAccess.loadWorkspaceRules(workspaceId);
+    expect(all.get(child._id.toString())).toEqual(await pageAccess.loadPageRules(child));
+
+    const visible = await pageAccess.visiblePageIds(workspaceId, member);
+    expect(visible).toEqual([open._id.toString()]);
+  });
+
+  it('hasLevel porovnáva úrovne', () => {
+    expect(pageAccess.hasLevel('edit', 'comment')).toBe(true);
+    expect(pageAccess.hasLevel('view', 'comment')).toBe(false);
+    expect(pageAccess.hasLevel('none', 'view')).toBe(false);
+  });
+
+  it('membersWithAccess vráti len členov, ktorí stránku vidia', async () => {
+    await WorkspaceMember.create([
+      { workspaceId, userId: authorId, role: 'member' },
+      { workspaceId, userId: memberId, role: 'member' },
+      { workspaceId, userId: adminId, role: 'manager' }
+    ]);
+    const page = await createPage({ title: 'Tím', permissions: [{ userId: memberId, level: 'view' }] });
+    const rules = await pageAccess.loadPageRules(page);
+
+    const all = await pageAccess.membersWithAccess(workspaceId, rules);
+    expect(all.sort()).toEqual([authorId, memberId, adminId].map(String).sort());
+
+    const priv = await pageAccess.loadPageRules(await createPage({ title: 'Moja', visibility: 'private' }));
+    expect(await pageAccess.membersWithAccess(workspaceId, priv, [memberId, authorId])).toEqual([authorId.toString()]);
+  });
+
+  it('validatePermissionsInput vynechá autora a odmietne nečlenov', async () => {
+    await WorkspaceMember.create({ workspaceId, userId: memberId, role: 'member' });
+    const page = await createPage({ title: 'Tím' });
+
+    const ok = await pageAccess.validatePermissionsInput({
+      page,
+      permissions: [
+        { userId: memberId.toString(), level: 'edit' },
+        { userId: authorId.toString(), level: 'view' }
+      ]
+    });
+    expect(ok.value.permissions).toEqual([{ userId: memberId.toString(), level: 'edit' }]);
+
+    const outsider = await pageAccess.validatePermissionsInput({
+      page,
+      permissions: [{ userId: new mongoose.Types.ObjectId().toString(), level: 'view' }]
+    });
+    expect(outsider.error).toBeDefined();
+
+    const badLevel = await pageAccess.validatePermissionsInput({
+      page,
+      permissions: [{ userId: memberId.toString(), level: 'owner' }]
+    });
+    expect(badLevel.error).toBeDefined();
+  });
+});
@@ -0,0 +1,251 @@
+const mongoose = require('mongoose');
+const pageCollab = require('../../services/pageCollab');
+const textOt = require('../../utils/textOt');
+const inlineMarks = require('../../utils/inlineMarks');
+const Page = require('../../models/Page');
+const PageOperation = require('../../models/PageOperation');
+
+/**
+ * pageCollab testy — OT co-editing stránok.
+ *
+ * Design rationale (viď server/services/pageCollab.js):
+ *   - transform musí konvergovať: apply(apply(s, a), b') === apply(apply(s, b), a')
+ *   - operácia nad starou revíziou sa transformuje cez novšie operácie toho
+ *     istého bloku — súbežné písanie sa zlúči, nič sa neprepíše
+ *   - ten istý opId (retry po reconnecte) sa aplikuje len raz
+ *   - klient, ktorý nevie dohrať históriu, dostane snapshot
+ *   - inline značky (bold, zmienky…) sa posúvajú s textom bloku
+ */
+describe('pageCollab', () => {
+  const workspaceId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+  let page;
+
+  beforeAll(async () => {
+    await Page.init();
+    await PageOperation.init();
+  });
+
+  beforeEach(async () => {
+    await Page.deleteMany({});
+    await PageOperation.deleteMany({});
+    page = await Page.create({
+      workspaceId,
+      userId,
+      title: 'Doc',
+      blocks: [
+        { id: 'b1', type: 'paragraph', content: 'Hello world' },
+        { id: 'b2', type: 'paragraph', content: 'Other' }
+      ]
+    });
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  const submit = (opts) => pageCollab.submitTextOperation({
+    pageId: page._id,
+    workspaceId,
+    userId,
+    blockId: 'b1',
+    ...opts
+  });
+
+  describe('textOt', () => {
+    it('transform konverguje pre súbežné úpravy', () => {
+      const base = 'Hello world';
+      const a = textOt.diffToOp(base, 'Hello brave world');
+      const b = textOt.diffToOp(base, 'Hello world!');
+      const [a1, b1] = textOt.transform(a, b);
+      const left = textOt.apply(textOt.apply(base, a), b1);
+      const right = textOt.apply(textOt.apply(base, b), a1);
+      expect(left).toBe(right);
+      expect(left).toBe('Hello brave world!');
+    });
+
+    it('vkladanie na rovnaké miesto — text z a ide pred text z b', () => {
+      const [a1] = textOt.transform(['X', 2], ['Y', 2]);
+      expect(textOt.apply('Yab', a1)).toBe('XYab');
+    });
+
+    it('compose zlúči dve po sebe idúce úpravy', () => {
+      const a = textOt.diffToOp('abc', 'abXc');
+      const b = textOt.diffToOp('abXc', 'bXc');
+      expect(textOt.apply('abc', textOt.compose(a, b))).toBe('bXc');
+    });
+
+    it('isValidOp odmietne nezmysly zo socketu', () => {
+      expect(textOt.isValidOp([2, 'x', -1])).toBe(true);
+      expect(textOt.isValidOp([])).toBe(false);
+      expect(textOt.isValidOp([1.5])).toBe(false);
+      expect(textOt.isValidOp([{ $set: 1 }])).toBe(false);
+      expect(textOt.isValidOp('abc')).toBe(false);
+    });
+  });
+
+  describe('inlineMarks', () => {
+    it('písanie na konci tučného textu ho predĺži, pri zmienke nie', () => {
+      const marks = [
+        { type: 'bold', start: 0, end: 5 },
+        { type: 'mention', start: 6, end: 11, attrs: { kind: 'user', id: 'a'.repeat(24) } }
+      ];
+      expect(inlineMarks.shiftMarks(marks, [5, 'X', 6, 'Y'])).toEqual([
+        { type: 'bold', start: 0, end: 6 },
+        { type: 'mention', start: 7, end: 12, attrs: { kind: 'user', id: 'a'.repeat(24) } }
+      ]);
+    });
+
+    it('značka so zmazaným textom zanikne', () => {
+      expect(inlineMarks.shiftMarks([{ type: 'code', start: 2, end: 4 }], [1, -4, 6])).toEqual([]);
+    });
+
+    it('toggleMark zlúči prekrývajúce sa rozsahy a druhým použitím ich zruší', () => {
+      const once = inlineMarks.toggleMark([{ type: 'bold', start: 0, end: 3 }], { type: 'bold', start: 2, end: 6 });
+      expect(once).toEqual([{ type: 'bold', start: 0, end: 6 }]);
+      expect(inlineMarks.toggleMark(once, { type: 'bold', start: 2, end: 4 })).toEqual([
+        { type: 'bold', start: 0, end: 2 },
+        { type: 'bold', start: 4, end: 6 }
+      ]);
+    });
+
+    it('textová operácia posunie značky bloku', async () => {
+      await Page.updateOne({ _id: page._id }, { $set: { 'blocks.0.marks': [{ type: 'bold', start: 6, end: 11 }] } });
+      await submit({ opId: 'op-1', baseRevision: 0, op: ['Oh ', 11] });
+
+      const inDb = await Page.findById(page._id).lean();
+      expect(inDb.blocks[0].marks).toEqual([{ type: 'bold', start: 9, end: 14 }]);
+    });
+  });
+
+  describe('submitTextOperation', () => {
+    it('aplikuje operáciu a zvýši revision', async () => {
+      const result = await submit({ opId: 'op-1', baseRevision: 0, op: [11, '!'] });
+
+      expect(result.revision).toBe(1);
+      const inDb = await Page.findById(page._id);
+      expect(inDb.revision).toBe(1);
+      expect(inDb.blocks[0].content).toBe('Hello world!');
+      expect(inDb.content).toBe('Hello world!\n\nOther');
+    });
+
+    it('súbežná operácia nad starou revíziou sa transformuje', async () => {
+      await submit({ opId: 'op-a', baseRevision: 0, op: [6, 'brave ', 5] });
+      // Druhý klient ešte nevidel op-a — píše nad revíziou 0
+      const result = await submit({ opId: 'op-b', baseRevision: 0, op: [11, '!'] });
+
+      expect(result.revision).toBe(2);
+      expect(result.op).toEqual([17, '!']);
+      const inDb = await Page.findById(page._id);
+      expect(inDb.blocks[0].content).toBe('Hello brave world!');
+    });
+
+    it('operácie iného bloku sa netransformujú', async () => {
+      await pageCollab.submitTextOperation({
+        pageId: page._id, workspaceId, userId, blockId: 'b2', baseRevision: 0, op: ['New ', 5]
+      });
+      const result = await submit({ baseRevision: 0, op: [11, '!'] });
+      expect(result.op).toEqual([11, '!']);
+    });
+
+    it('rovnaký opId sa aplikuje len raz', async () => {
+      await submit({ opId: 'op-1', baseRevision: 0, op: [11, '!'] });
+      const retry = await submit({ opId: 'op-1', baseRevision: 0, op: [11, '!'] });
+
+      expect(retry.duplicate).toBe(true);
+      expect(retry.revision).toBe(1);
+      const inDb = await Page.findById(page._id);
+      expect(inDb.blocks[0].content).toBe('Hello world!');
+      expect(await PageOperation.countDocuments({ pageId: page._id })).toBe(1);
+    });
+
+    it('operácia, ktorá nesedí na obsah bloku → SYNC_REQUIRED', async () => {
+      await expect(submit({ baseRevision: 0, op: [3, 'x'] }))
+        .rejects.toMatchObject({ code: 'SYNC_REQUIRED' });
+    });
+
+    it('revízia z budúcnosti → SYNC_REQUIRED', async () => {
+      await expect(submit({ baseRevision: 5, op: [11, '!'] }))
+        .rejects.toMatchObject({ code: 'SYNC_REQUIRED' });
+    });
+
+    it('neexistujúci blok → BLOCK_NOT_FOUND', async () => {
+      await expect(submit({ blockId: 'missing', baseRevision: 0, op: [1] }))
+        .rejects.toMatchObject({ code: 'BLOCK_NOT_FOUND', statusCode: 404 });
+    });
+
+    it('neplatná operácia → INVALID_OP, stránka sa nezmení', async () => {
+      await expect(submit({ baseRevision: 0, op: [{ $where: '1' }] }))
+        .rejects.toMatchObject({ code: 'INVALID_OP' });
+      const inDb = await Page.findById(page._id);
+      expect(inDb.revision).toBe(0);
+    });
+
+    it('stránka z iného workspace → PAGE_NOT_FOUND', async () => {
+      await expect(pageCollab.submitTextOperation({
+        pageId: page._id,
+        workspaceId: new mongoose.Types.ObjectId(),
+        userId,
+        blockId: 'b1',
+        baseRevision: 0,
+        op: [11, '!']
+      })).rejects.toMatchObject({ code: 'PAGE_NOT_FOUND' });
+    });
+
+    it('súbežné operácie na tej istej stránke sa serializujú', async () => {
+      await Promise.all([
+        submit({ opId: 'p1', baseRevision: 0, op: ['A', 11] }),
+        submit({ opId: 'p2', baseRevision: 0, op: [11, 'B'] }),
+        submit({ opId: 'p3', baseRevision: 0, op: [5, 'C', 6] })
+      ]);
+      const inDb = await Page.findById(page._id);
+      expect(inDb.revision).toBe(3);
+      expect(inDb.blocks[0].content).toBe('AHelloC worldB');
+    });
+  });
+
+  describe('getChangesSince', () => {
+    it('vráti zmeškané operácie v poradí revízií', async () => {
+      await submit({ opId: 'op-1', baseRevision: 0, op: [11, '!'] });
+      await pageCollab.mutatePage({
+        pageId: page._id,
+        workspaceId,
+        userId,
+        kind: 'structure',
+        event: 'block-deleted',
+        mutate: (blocks) => {
+          blocks.splice(1, 1);
+          return { blockId: 'b2', data: { blockId: 'b2' } };
+        }
+      });
+
+      const changes = await pageCollab.getChangesSince(page._id, 0);
+      expect(changes.type).toBe('ops');
+      expect(changes.revision).toBe(2);
+      expect(changes.ops).toEqual([
+        expect.objectContaining({ kind: 'text', revision: 1, opId: 'op-1', blockId: 'b1' }),
+        expect.objectContaining({ kind: 'structure', revision: 2, event: 'block-deleted', data: { blockId: 'b2' } })
+      ]);
+    });
+
+    it('aktuálny klient dostane prázdny zoznam', async () => {
+      const changes = await pageCollab.getChangesSince(page._id, 0);
+      expect(changes).toEqual({ type: 'ops', revision: 0, ops: [] });
+    });
+
+    it('medzera v logu (TTL) → snapshot', async () => {
+      await submit({ opId: 'op-1', baseRevision: 0, op: [11, '!'] });
+      await PageOperation.deleteMany({});
+
+      const changes = await pageCollab.getChangesSince(page._id, 0);
+      expect(changes.type).toBe('snapshot');
+      expect(changes.revision).toBe(1);
+      expect(changes.blocks[0].content).toBe('Hello world!');
+    });
+
+    it('revision -1 vynúti snapshot', async () => {
+      const changes = await pageCollab.getChangesSince(page._id, -1);
+      expect(changes.type).toBe('snapshot');
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const pagePresence = require('../../services/pagePresence');
+
+/**
+ * pagePresence testy — kto má stránku otvorenú (bez REDIS_URL, teda
+ * lokálna in-memory registry).
+ *
+ * Testujeme:
+ *   - getViewers() vracia každého usera raz, v poradí príchodu
+ *   - leave() vráti true až keď user zavrie posledný tab so stránkou
+ *   - leaveAll() (disconnect) odstráni socket zo všetkých stránok
+ *   - removeUsers() (strata prístupu) odstráni všetky taby usera
+ */
+describe('pagePresence service', () => {
+  const alice = { id: 'u1', username: 'alice', color: '#f00' };
+  const bob = { id: 'u2', username: 'bob', color: '#00f' };
+
+  beforeEach(() => {
+    pagePresence._reset();
+  });
+
+  it('getViewers vráti každého usera raz, v poradí príchodu', async () => {
+    await pagePresence.join('p1', 's1', alice);
+    await pagePresence.join('p1', 's2', bob);
+    await pagePresence.join('p1', 's3', alice); // druhý tab
+
+    expect(await pagePresence.getViewers('p1')).toEqual([
+      { userId: 'u1', username: 'alice', color: '#f00' },
+      { userId: 'u2', username: 'bob', color: '#00f' }
+    ]);
+    expect(await pagePresence.getViewers('p2')).toEqual([]);
+  });
+
+  it('leave vráti true až po zatvorení posledného tabu', async () => {
+    await pagePresence.join('p1', 's1', alice);
+    await pagePresence.join('p1', 's2', alice);
+
+    expect(await pagePresence.leave('p1', 's1')).toBe(false);
+    expect(await pagePresence.getViewers('p1')).toHaveLength(1);
+    expect(await pagePresence.leave('p1', 's2')).toBe(true);
+    expect(await pagePresence.getViewers('p1')).toEqual([]);
+  });
+
+  it('leave neznámeho socketu nič nezmení', async () => {
+    await pagePresence.join('p1', 's1', alice);
+    expect(await pagePresence.leave('p1', 'nope')).toBe(false);
+    expect(await pagePresence.getViewers('p1')).toHaveLength(1);
+  });
+
+  it('leaveAll odstráni socket zo všetkých stránok', async () => {
+    await pagePresence.join('p1', 's1', alice);
+    await pagePresence.join('p2', 's1', alice);
+    await pagePresence.join('p2', 's2', bob);
+
+    const left = await pagePresence.leaveAll('s1');
+
+    expect(left).toEqual([
+      { pageId: 'p1', userId: 'u1', left: true },
+      { pageId: 'p2', userId: 'u1', left: true }
+    ]);
+    expect(await pagePresence.getViewers('p1')).toEqual([]);
+    expect((await pagePresence.getViewers('p2')).map(v => v.username)).toEqual(['bob']);
+    expect(await pagePresence.leaveAll('s1')).toEqual([]);
+  });
+
+  it('removeUsers odstráni všetky taby usera len z danej stránky', async () => {
+    await pagePresence.join('p1', 's1', alice);
+    await pagePresence.join('p1', 's2', alice);
+    await pagePresence.join('p1', 's3', bob);
+    await pagePresence.join('p2', 's1', alice);
+
+    await pagePresence.removeUsers('p1', ['u1']);
+
+    expect((await pagePresence.getViewers('p1')).map(v => v.username)).toEqual(['bob']);
+    expect((await pagePresence.getViewers('p2')).map(v => v.username)).toEqual(['alice']);
+    expect(await pagePresence.leaveAll('s1')).toEqual([{ pageId: 'p2', userId: 'u1', left: true }]);
+  });
+});
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const pageTrash = require('../../services/pageTrash');
+const Page = require('../../models/Page');
+const PageOperation = require('../../models/PageOperation');
+const PageVersion = require('../../models/PageVersion');
+const PageThread = require('../../models/PageThread');
+const PageRow = require('../../models/PageRow');
+const PageQuickAccess = require('../../models/PageQuickAccess');
+const PageShare = require('../../models/PageShare');
+const PageFile = require('../../models/PageFile');
+const fileStorage = require('../../services/fileStorage');
+
+/**
+ * pageTrash testy — denný job, ktorý natrvalo maže stránky z koša.
+ *
+ * Testujeme:
+ *   - TRASH_RETENTION_DAYS = 30
+ *   - purgeExpiredPages() maže iba deletedAt < teraz - 30d, aktívne stránky nechá
+ *   - spolu so stránkou zmizne aj jej operation log, história verzií,
+ *     diskusie, riadky databázy a verejné odkazy
+ *   - zmazaná stránka zmizne z obľúbených a naposledy navštívených
+ *   - obrázky: blob zdieľaný s kópiou stránky ostane, kým ho kópia používa
+ *   - getPurgeDate() = deletedAt + 30 dní
+ */
+describe('pageTrash service', () => {
+  const workspaceId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+  const DAY = 24 * 60 * 60 * 1000;
+
+  const createPage = (title, deletedDaysAgo) => Page.create({
+    workspaceId,
+    userId,
+    title,
+    deletedAt: deletedDaysAgo === undefined ? null : new Date(Date.now() - deletedDaysAgo * DAY)
+  });
+
+  beforeAll(async () => {
+    await Page.init();
+    await PageOperation.init();
+    await PageVersion.init();
+    await PageThread.init();
+    await PageRow.init();
+    await PageQuickAccess.init();
+    await PageShare.init();
+    await PageFile.init();
+  });
+
+  beforeEach(async () => {
+    await Page.deleteMany({});
+    await PageOperation.deleteMany({});
+    await PageVersion.deleteMany({});
+    await PageThread.deleteMany({});
+    await PageRow.deleteMany({});
+    await PageQuickAccess.deleteMany({});
+    await PageShare.deleteMany({});
+    await PageFile.deleteMany({});
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  it('should export a 30-day retention constant', () => {
+    expect(pageTrash.TRASH_RETENTION_DAYS).toBe(30);
+  });
+
+  it('getPurgeDate pripočíta retention k deletedAt', () => {
+    const deletedAt = new Date('2024-01-01T00:00:00Z');
+    expect(pageTrash.getPurgeDate(deletedAt).toISOString()).toBe('2024-01-31T00:00:00.000Z');
+  });
+
+  it('zmaže iba stránky v koši dlhšie ako 30 dní', async () => {
+    const active = await createPage('Active');
+    const recent = await createPage('Recent', 5);
+    const expired = await createPage('Expired', 40);
+
+    const result = await pageTrash.purgeExpiredPages();
+
+    expect(result.deleted).toBe(1);
+    expect(await Page.findById(active._id)).not.toBeNull();
+    expect(await Page.findById(recent._id)).not.toBeNull();
+    expect(await Page.findById(expired._id)).toBeNull();
+  });
+
+  it('spolu so stránkou zmaže jej operation log, verzie, diskusie, riadky a verejné odkazy', async () => {
+    const expired = await createPage('Expired', 40);
+    const recent = await createPage('Recent', 5);
+    for (const page of [expired, recent]) {
+      await PageOperation.create({ pageId: page._id, workspaceId, revision: 1, kind: 'snapshot' });
+      await PageVersion.create({ pageId: page._id, workspaceId, title: page.title });
+      await PageThread.create({
+        pageId: page._id,
+        workspaceId,
+        blockId: 'b1',
+        createdBy: userId,
+        comments: [{ userId, username: 'autor', text: 'Otázka' }]
+      });
+      await PageRow.create({ pageId: page._id, workspaceId, values: { title: 'Riadok' }, createdBy: userId });
+      await PageShare.create({ pageId: page._id, workspaceId, createdBy: userId, token: `token-${page.title}` });
+    }
+
+    await pageTrash.purgeExpiredPages();
+
+    expect(await PageOperation.countDocuments({ pageId: expired._id })).toBe(0);
+    expect(await PageVersion.countDocuments({ pageId: expired._id })).toBe(0);
+    expect(await PageThread.countDocuments({ pageId: expired._id })).toBe(0);
+    expect(await PageRow.countDocuments({ pageId: expired._id })).toBe(0);
+    expect(await PageShare.countDocuments({ pageId: expired._id })).toBe(0);
+    expect(await PageOperation.countDocuments({ pageId: recent._id })).toBe(1);
+    expect(await PageVersion.countDocuments({ pageId: recent._id })).toBe(1);
+    expect(await PageThread.countDocuments({ pageId: recent._id })).toBe(1);
+    expect(await PageRow.countDocuments({ pageId: recent._id })).toBe(1);
+    expect(await PageShare.countDocuments({ pageId: recent._id })).toBe(1);
+  });
+
+  it('vyradí stránku z obľúbených a naposledy navštívených', async () => {
+    const expired = await createPage('Expired', 40);
+    const recent = await createPage('Recent', 5);
+    await PageQuickAccess.create({
+      workspaceId,
+      userId,
+      favorites: [{ pageId: expired._id }, { pageId: recent._id }],
+      recent: [{ pageId: recent._id }, { pageId: expired._id }]
+    });
+
+    await pageTrash.purgeExpiredPages();
+
+    const lists = await PageQuickAccess.findOne({ workspaceId, userId }).lean();
+    expect(lists.favorites.map(f => f.pageId.toString())).toEqual([recent._id.toString()]);
+    expect(lists.recent.map(r => r.pageId.toString())).toEqual([recent._id.toString()]);
+  });
+
+  it('zmaže obrázky stránky, blob zdieľaný s kópiou nechá', async () => {
+    const deleteFile = jest.spyOn(fileStorage, 'deleteFile').mockResolvedValue(true);
+    const expired = await createPage('Expired', 40);
+    const copy = await createPage('Copy');
+    const file = (pageId, fileId, r2Key) => PageFile.create({ pageId, workspaceId, fileId, r2Key, mimetype: 'image/png' });
+    await file(expired._id, 'own', 'pagefiles/own');
+    await file(expired._id, 'shared', 'pagefiles/shared');
+    await file(copy._id, 'shared-copy', 'pagefiles/shared');
+
+    await pageTrash.purgeExpiredPages();
+
+    expect(await PageFile.countDocuments({ pageId: expired._id })).toBe(0);
+    expect(await PageFile.countDocuments({ pageId: copy._id })).toBe(1);
+    expect(deleteFile).toHaveBeenCalledTimes(1);
+    expect(deleteFile).toHaveBeenCalledWith('pagefiles/own');
+  });
+
+  it('prázdny kôš → deleted 0', async () => {
+    await createPage('Active');
+    const result = await pageTrash.purgeExpiredPages();
+    expect(result).toEqual({ deleted: 0 });
+  });
+});
@@ -25,6 +25,8 @@ const notificationRoutes = require('./routes/notifications');
 const pushRoutes = require('./routes/push');
 const workspaceRoutes = require('./routes/workspaces');
 const messageRoutes = require('./routes/messages');
+const searchRoutes = require('./routes/search');
+const publicShareRoutes = require('./routes/publicShares');
 const adminRoutes = require('./routes/admin');
 const affiliateRoutes = require('./routes/affiliate');
 const billingRoutes = require('./routes/billing');
@@ -32,8 +34,10 @@ const billingAppleRoutes = require('./routes/billingApple');
 const contactFormRoutes = require('./routes/contact-form');
 const errorRoutes = require('./routes/errors');
 const notificationService = require('./services/notificationService');
+const pageCollab = require('./services/pageCollab');
 const { scheduleDueDateChecks } = require('./services/dueDateChecker');
 const { scheduleCleanup: scheduleSubscriptionCleanup } = require('./services/subscriptionCleanup');
+const { schedulePurge: schedulePageTrashPurge } = require('./services/pageTrash');
 const { schedulePlanExpiration } = require('./services/planExpiration');
 const { scheduleSubscriptionReminders } = require('./services/subscriptionReminders');
 const emailUnsubscribeRoutes = require('./routes/emailUnsubscribe');
@@ -48,6 +52,9 @@ const Page = require('./models/Page');
 const logger = require('./utils/logger');
 const { errorMiddleware: serverErrorMirrorMiddleware, captureResponseErrors, recordError } = require('./services/serverErrorService');
 const onlineUsers = require('./services/onlineUsers');
+const { attachRedisAdapter, closeRedisAdapter } = require('./utils/socketAdapter');
+const pagePresence = require('./services/pagePresence');
+const pageAccess = require('./services/pageAccess');
 
 const app = express();
 
@@ -73,6 +80,8 @@ const corsOptions = {
 const io = new Server(server, {
   cors: corsOptions
 });
+// Rooms shared across instances via Redis pub/sub (in-memory without REDIS_URL)
+attachRedisAdapter(io);
 
 // Security headers
 //
@@ -214,6 +223,8 @@ app.use('/api/notifications', notificationRoutes);
 app.use('/api/push', pushRoutes);
 app.use('/api/workspaces', workspaceRoutes);
 app.use('/api/messages', messageRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/share', publicShareRoutes);
 app.use('/api/contact-form', contactFormRoutes);
 // Apple IAP endpoints (iOS only) — mount PRED '/api/billing' (špecifickejšie
 // pred všeobecné), aby '/api/billing/apple/*' šlo priamo sem a nemuselo
@@ -259,9 +270,9 @@ io.use(authenticateSocket);
 io.on('connection', async (socket) => {
   logger.socket('connected', socket.user.id, socket.user.username);
 
-  // Registrácia do online-users registry pre SuperAdmin dashboard.
-  // Toto je ľahký in-memory Map, pri reštarte sa zmaže (a to je OK —
-  // klienti sa reconnectnú a znova zapíšu).
+  // Registrácia do online-users registry pre SuperAdmin dashboard a presence.
+  // S Redisom zdieľaná medzi inštanciami, inak in-memory Map, ktorá sa pri
+  // reštarte zmaže (a to je OK — klienti sa reconnectnú a znova zapíšu).
   onlineUsers.addConnection(socket.user.id, socket.id, {
     username: socket.user.username,
     email: socket.user.email,
@@ -272,35 +283,39 @@ io.on('connection', async (socket) => {
   socket.join(`user-${socket.user.id}`);
 
   // Join all workspace rooms the user belongs to, and build an in-memory
-  // Set of their workspaceIds. The Set is the source of truth for all
+  // Map of their workspaceId → role. The Map is the source of truth for all
   // subsequent workspace-membership checks on this socket (used by
   // canAccessPage below), so we don't hit Mongo on every page-related event.
   // Trade-off: if a user is added/removed from a workspace mid-session, the
   // change takes effect on next reconnect. Acceptable — REST API enforces
   // membership on every request anyway; this only affects real-time deltas.
-  const userWorkspaceIds = new Set();
+  const userWorkspaceRoles = new Map();
   try {
-    const memberships = await WorkspaceMember.find({ userId: socket.user.id }, 'workspaceId').lean();
+    const memberships = await WorkspaceMember.find({ userId: socket.user.id }, 'workspaceId role').lean();
     for (const m of memberships) {
       const wsId = m.workspaceId.toString();
       socket.join(`workspace-${wsId}`);
-      userWorkspaceIds.add(wsId);
+      userWorkspaceRoles.set(wsId, m.role);
     }
     logger.debug('Socket joined workspace rooms', { userId: socket.user.id, count: memberships.length });
   } catch (err) {
     logger.error('Failed to join workspace rooms', { error: err.message, userId: socket.user.id });
   }
-  socket.data.userWorkspaceIds = userWorkspaceIds;
-  // Cache pageId → workspaceId after a successful join-page check, so
-  // re-joining or re-checking the same page in this session is a Set lookup,
-  // not a Mongo query.
+  socket.data.userWorkspaceRoles = userWorkspaceRoles;
+  // pageId → { workspaceId, level } from the last successful join-page
+  // check. Not a cache for the check itself — every join-page asks Mongo
+  // again, because page permissions are inherited and can change at any
+  // time. When they do, routes/pages.js removes the page's sockets from the
+  // room, so they have to join (and pass this check) again.
   socket.data.pageAccess = new Map();
   // Anti-enumeration: count denied joins per socket inside a 60s sliding
   // window. Repeated attempts to join unauthorized pages (e.g. someone
   // brute-forcing ObjectIds) → disconnect. Legit users never hit this.
   socket.data.joinDenied = { count: 0, firstAt: 0 };
 
-  // Helper: does this socket's user belong to the workspace that owns `pageId`?
+  // Helper: does this socket's user belong to the workspace that owns
+  // `pageId`, and may they see the page (private pages, per-page member
+  // lists — services/pageAccess.js, the same rules as the REST routes)?
   // SECURITY CRITICAL: every collaborative page event flows through this check.
   // Previously missing — any authenticated user could call
   // `socket.emit('join-page', anyPageId)` and start receiving page content,
@@ -309,13 +324,21 @@ io.on('connection', async (socket) => {
   // client sends a non-string payload, and to fail fast on garbage.
   async function canAccessPage(pageId) {
     if (typeof pageId !== 'string' || !/^[0-9a-fA-F]{24}$/.test(pageId)) return false;
-    if (socket.data.pageAccess.has(pageId)) return true;
     try {
-      const page = await Page.findById(pageId, 'workspaceId').lean();
+      const page = await Page.findOne(
+        { _id: pageId, deletedAt: null },
+        'workspaceId parentId userId visibility permissions'
+      ).lean();
       if (!page) return false;
       const wsId = page.workspaceId.toString();
-      if (!socket.data.userWorkspaceIds.has(wsId)) return false;
-      socket.data.pageAccess.set(pageId, wsId);
+      const role = socket.data.userWorkspaceRoles.get(wsId);
+      if (!role) return false;
+      const level = pageAccess.levelFor(await pageAccess.loadPageRules(page), {
+        userId: socket.user.id,
+        isAdmin: role === 'owner' || role === 'manager'
+      });
+      if (level === 'none') return false;
+      socket.data.pageAccess.set(pageId, { workspaceId: wsId, level });
       return true;
     } catch (err) {
       logger.error('canAccessPage failed', { error: err.message, userId: socket.user.id, pageId });
@@ -323,7 +346,49 @@ io.on('connection', async (socket) => {
     }
   }
 
-  socket.on('join-page', async (pageId) => {
+  // Everyone in the page room (the joining socket too) gets the full viewer
+  // list — simpler for clients than join/leave deltas, and self-healing.
+  async function broadcastPresence(pageId) {
+    const viewers = await pagePresence.getViewers(pageId);
+    io.to(`page-${pageId}`).emit('page-presence', { pageId, viewers });
+  }
+
+  // The user closed the page (or lost the connection) — drop their caret in
+  // the other editors and send the new viewer list.
+  async function leavePresence(pageId, userId, left) {
+    if (left) {
+      socket.to(`page-${pageId}`).emit('cursor-moved', { pageId, userId, position: null });
+    }
+    await broadcastPresence(pageId);
+  }
+
+  // Send the client what it missed since `revision` (ops to replay, or a
+  // snapshot when the log can't bridge the gap). See services/pageCollab.js.
+  async function sendPageSync(pageId, revision) {
+    const changes = await pageCollab.getChangesSince(pageId, revision);
+    if (changes) socket.emit('page-sync', { pageId, ...changes });
+  }
+
+  // A page handler failed on our side (Mongo / Redis down, …). An unhandled
+  // rejection would leave the client waiting for an answer that never comes,
+  // so it is told: through the ack when it sent one, otherwise as
+  // `page-error` { pageId, event, code } — the editor retries the join / sync.
+  function reportPageError(event, pageId, err, ack) {
+    logger.error(`Socket: ${event} failed`, { error: err.message, userId: socket.user.id, pageId });
+    const error = { pageId: typeof pageId === 'string' ? pageId : null, event, code: 'SERVER_ERROR' };
+    if (typeof ack === 'function') {
+      ack({ ok: false, ...error });
+    } else {
+      socket.emit('page-error', error);
+    }
+  }
+
+  // Payload is the pageId, or { pageId, revision } from the co-editing
+  // client — then the client also gets everything after that revision, which
+  // covers the gap between loading the page over REST and joining the room
+  // (and between a disconnect and a reconnect).
+  socket.on('join-page', async (payload, ack) => {
+    const pageId = payload && typeof payload === 'object' ? payload.pageId : payload;
     if (!(await canAccessPage(pageId))) {
       // Silently drop — never ack failure, to avoid leaking whether the page
       // exists vs. is simply not accessible (timing-oracle style enumeration).
@@ -346,17 +411,33 @@ io.on('connection', async (socket) => {
       }
       return;
     }
-    socket.join(`page-${pageId}`);
-    logger.socket('join-page', socket.user.id, socket.user.username, { pageId });
+    try {
+      socket.join(`page-${pageId}`);
+      await pagePresence.join(pageId, socket.id, socket.user);
+      await broadcastPresence(pageId);
+      logger.socket('join-page', socket.user.id, socket.user.username, { pageId });
+      if (payload && typeof payload === 'object' && Number.isInteger(payload.revision)) {
+        await sendPageSync(pageId, payload.revision);
+      }
+      if (typeof ack === 'function') ack({ ok: true, pageId });
+    } catch (err) {
+      reportPageError('join-page', pageId, err, ack);
+    }
   });
 
-  socket.on('leave-page', (pageId) => {
+  socket.on('leave-page', async (pageId) => {
     if (typeof pageId !== 'string' || !/^[0-9a-fA-F]{24}$/.test(pageId)) return;
     socket.leave(`page-${pageId}`);
     socket.data.pageAccess.delete(pageId);
+    try {
+      await leavePresence(pageId, socket.user.id.toString(), await pagePresence.leave(pageId, socket.id));
+    } catch (err) {
+      // The socket already left the room — only the others' viewer list is stale
+      logger.error('Socket: leave-page failed', { error: err.message, userId: socket.user.id, pageId });
+    }
   });
 
-  // For page-update / block-update / cursor-move we only accept events from
+  // For page-update / page-op / page-sync / cursor-move we only accept events from
   // sockets that are ALREADY IN the page room. Room membership is proof of a
   // prior successful join-page check — so we avoid a DB hit per event. This
   // matters for cursor-move which fires ~20x/sec per user.
@@ -364,51 +445,137 @@ io.on('connection', async (socket) => {
     return typeof pageId === 'string' && socket.rooms.has(`page-${pageId}`);
   }
 
-  // All three handlers below accept the payload as a single param and guard
+  // Changes need edit access; view / comment only follow along.
+  function canEditInRoom(pageId) {
+    return isInPageRoom(pageId) && socket.data.pageAccess.get(pageId)?.level === 'edit';
+  }
+
+  // All handlers below accept the payload as a single param and guard
   // against non-object inputs BEFORE destructuring — otherwise a malicious
   // client emitting `socket.emit('page-update', null)` would throw inside the
   // destructure, bubble to process.on('uncaughtException') which calls
   // process.exit(1), and crash the whole server.
+  // Title only — block content changes go through `page-op` (below) or the
+  // REST block routes, which version them; relaying raw content here would
+  // overwrite concurrent edits.
   socket.on('page-update', (payload) => {
     if (!payload || typeof payload !== 'object') return;
-    const { pageId, content, title } = payload;
-    if (!isInPageRoom(pageId)) return;
+    const { pageId, title } = payload;
+    if (!canEditInRoom(pageId)) return;
     // Broadcast to all users in the page room except sender
     socket.to(`page-${pageId}`).emit('page-updated', {
       pageId,
-      content,
       title,
       updatedBy: socket.user.username
     });
   });
 
-  socket.on('block-update', (payload) => {
+  // Text operation on one block: { pageId, opId, blockId, revision, op }.
+  // `revision` is the page revision the op was made against; the server
+  // transforms it past anything newer, then acks the sender and broadcasts
+  // the transformed op to everyone else in the room.
+  // A failed op is answered with `page-op-rejected` (the ack when the client
+  // sent one) — the editor resyncs from it.
+  socket.on('page-op', async (payload, ack) => {
     if (!payload || typeof payload !== 'object') return;
-    const { pageId, blockId, content, type } = payload;
+    const { pageId, opId, blockId, revision, op } = payload;
+    const reject = (code) => {
+      if (typeof ack === 'function') ack({ ok: false, pageId, opId, code });
+      else socket.emit('page-op-rejected', { pageId, opId, code });
+    };
     if (!isInPageRoom(pageId)) return;
-    socket.to(`page-${pageId}`).emit('block-updated', {
-      pageId,
-      blockId,
-      content,
-      type,
-      updatedBy: socket.user.username
-    });
+    if (!canEditInRoom(pageId)) {
+      reject('PAGE_FORBIDDEN');
+      return;
+    }
+    try {
+      const result = await pageCollab.submitTextOperation({
+        pageId,
+        workspaceId: socket.data.pageAccess.get(pageId).workspaceId,
+        userId: socket.user.id,
+        opId,
+        blockId,
+        baseRevision: revision,
+        op,
+        // Runs before the next op of this page is processed, so the room
+        // receives ops in revision order.
+        onCommitted: ({ revision: committed, op: applied }) => {
+          if (typeof ack === 'function') ack({ ok: true, pageId, opId, revision: committed });
+          else socket.emit('page-op-ack', { pageId, opId, revision: committed });
+          socket.to(`page-${pageId}`).emit('page-op', {
+            pageId,
+            revision: committed,
+            opId,
+            blockId,
+            op: applied,
+            userId: socket.user.id.toString()
+          });
+        }
+      });
+      if (result.duplicate) {
+        if (typeof ack === 'function') ack({ ok: true, pageId, opId, revision: result.revision });
+        else socket.emit('page-op-ack', { pageId, opId, revision: result.revision });
+      }
+    } catch (err) {
+      if (!(err instanceof pageCollab.PageCollabError)) {
+        logger.error('Socket: page-op failed', { error: err.message, userId: socket.user.id, pageId });
+      }
+      reject(err instanceof pageCollab.PageCollabError ? err.code : 'SERVER_ERROR');
+    }
   });
 
-  socket.on('cursor-move', (payload) => {
+  // Explicit resync — the client noticed a gap in revisions.
+  socket.on('page-sync', async (payload, ack) => {
+    if (!payload || typeof payload !== 'object') return;
+    const { pageId, revision } = payload;
+    if (!isInPageRoom(pageId)) return;
+    try {
+      await sendPageSync(pageId, revision);
+      if (typeof ack === 'function') ack({ ok: true, pageId });
+    } catch (err) {
+      reportPageError('page-sync', pageId, err, ack);
+    }
+  });
+
+  // Caret / selection inside a block: position = { blockId, offset, length }
+  // (character offsets into the block text), or null when the user left the
+  // editor. Anything else is dropped rather than relayed to other clients.
+  socket.on('cursor-move', (payload, ack) => {
     if (!payload || typeof payload !== 'object') return;
     const { pageId, position } = payload;
     if (!isInPageRoom(pageId)) return;
-    socket.to(`page-${pageId}`).emit('cursor-moved', {
-      userId: socket.user.id,
-      username: socket.user.username,
-      position
-    });
+    try {
+      let cursor = null;
+      if (position) {
+        const { blockId, offset, length } = position;
+        if (typeof blockId !== 'string' || blockId.length > 100) return;
+        if (!Number.isInteger(offset) || offset < 0) return;
+        if (!Number.isInteger(length) || length < 0) return;
+        cursor = { blockId, offset, length };
+      }
+      socket.to(`page-${pageId}`).emit('cursor-moved', {
+        pageId,
+        userId: socket.user.id.toString(),
+        username: socket.user.username,
+        color: socket.user.color,
+        position: cursor
+      });
+      if (typeof ack === 'function') ack({ ok: true, pageId });
+    } catch (err) {
+      reportPageError('cursor-move', pageId, err, ack);
+    }
   });
 
-  socket.on('disconnect', () => {
+  socket.on('disconnect', async () => {
     logger.socket('disconnected', socket.user.id, socket.user.username);
-    onlineUsers.removeConnection(socket.id);
+    try {
+      await onlineUsers.removeConnection(socket.id);
+      for (const { pageId, userId, left } of await pagePresence.leaveAll(socket.id)) {
+        await leavePresence(pageId, userId, left);
+      }
+    } catch (err) {
+      logger.error('Socket: disconnect cleanup failed', { error: err.message, userId: socket.user.id });
+    }
   });
 
   socket.on('error', (error) => {
@@ -457,6 +624,7 @@ const gracefulShutdown = (signal) => {
   // Stop accepting new connections; čaká kým in-flight requesty doskončia
   server.close(async () => {
     logger.info('[Shutdown] HTTP server closed (no more new connections)');
+    closeRedisAdapter();
     try {
       await mongoose.connection.close();
       logger.info('[Shutdown] MongoDB connection closed');
@@ -580,6 +748,8 @@ server.listen(PORT, () => {
       setTimeout(() => {
         scheduleDueDateChecks();
         scheduleSubscriptionCleanup();
+        // Pages in the trash longer than TRASH_RETENTION_DAYS are purged for good.
+        schedulePageTrashPurge();
         // Auto-revert expired paid plans (admin-granted free months / planUpgrade
         // discounts) back to 'free'. Runs every 6h; complemented by lazy check
         // in auth middleware for instant downgrade on next request.
@@ -226,6 +226,23 @@ const adminLoginLimiter = rateLimit({
   skip: skipInDev
 });
 
+// Rate limiter pre heslo verejného odkazu na stránku (routes/publicShares.js).
+// 10 pokusov / 15 min per IP a odkaz — heslo býva krátke, bez limitu by sa
+// dalo hádať. Odpoveď je HTML, lebo formulár posiela prehliadač priamo.
+const sharePasswordLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `${ipKeyGenerator(req.ip)}:${req.params.token}`,
+  handler: (req, res) => {
+    logger.warn('Rate limit exceeded: share password', { ip: req.ip });
+    logSecurityEvent('security.rate_limited', req, { limiter: 'share_password' });
+    res.status(429).type('html').send('<!DOCTYPE html><html lang="sk"><meta charset="utf-8"><title>Príliš veľa pokusov</title><p>Príliš veľa pokusov o heslo. Skúste znova o 15 minút.</p></html>');
+  },
+  skip: skipInDev
+});
+
 module.exports = {
   loginLimiter,
   loginEmailLimiter,
@@ -235,5 +252,6 @@ module.exports = {
   forgotPasswordLimiter,
   resetPasswordLimiter,
   apiLimiter,
-  errorReportLimiter
+  errorReportLimiter,
+  sharePasswordLimiter
 };
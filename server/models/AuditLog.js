@@ -5,8 +5,8 @@ const auditLogSchema = new mongoose.Schema({
   username: String,
   email: String,
   action: { type: String, required: true, index: true }, // e.g. 'user.role_changed', 'user.plan_changed', 'user.deleted', 'workspace.created', 'workspace.deleted', 'contact.created', 'task.created', etc.
-  category: { type: String, enum: ['user', 'workspace', 'contact', 'task', 'message', 'system', 'auth', 'billing', 'usage'], index: true },
-  targetType: String, // 'user', 'workspace', 'contact', 'task', 'message'
+  category: { type: String, enum: ['user', 'workspace', 'contact', 'task', 'message', 'page', 'system', 'auth', 'billing', 'usage'], index: true },
+  targetType: String, // 'user', 'workspace', 'contact', 'task', 'message', 'page'
   targetId: String,
   targetName: String,
   details: mongoose.Schema.Types.Mixed, // Additional context (old/new values, etc.)
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
+const { versionPlugin } = require('../utils/entityVersion');
 
 // File metadata schema (data stored in ContactFile collection, only metadata here)
 const fileSchema = new mongoose.Schema({
@@ -22,6 +23,30 @@ const copiedFromSchema = new mongoose.Schema({
   copiedAt: String
 }, { _id: false });
 
+// Opakovanie — rovnaká schéma ako v Task.js (viď utils/recurrence.js)
+const recurrenceSchema = new mongoose.Schema({
+  freq: { type: String, enum: ['daily', 'weekly', 'monthly', 'yearly'], required: true },
+  interval: { type: Number, default: 1 },
+  byWeekday: { type: [Number], default: undefined },
+  byMonthDay: { type: Number, default: null },
+  until: { type: String, default: null },
+  count: { type: Number, default: null },
+  occurrence: { type: Number, default: 1 },
+  nextId: { type: String, default: null },
+  ended: { type: Boolean, default: false }
+}, { _id: false });
+
+// Výkaz času — rovnaká schéma ako v Task.js (viď utils/taskTime.js)
+const timeEntrySchema = new mongoose.Schema({
+  id: { type: String, default: () => uuidv4() },
+  userId: { type: String, required: true },
+  start: { type: String, required: true },
+  end: { type: String, default: null },
+  minutes: { type: Number, default: 0 },
+  note: { type: String, default: '' },
+  manual: { type: Boolean, default: false }
+}, { _id: false });
+
 const subtaskSchema = new mongoose.Schema({
   id: { type: String, default: () => uuidv4() },
   title: String,
@@ -43,6 +68,13 @@ const subtaskSchema = new mongoose.Schema({
   timeReminders: { type: [Number], default: [] },
   timeRemindersSent: { type: [Number], default: [] },
   copiedFrom: { type: copiedFromSchema, default: null },
+  recurrence: { type: recurrenceSchema, default: null },
+  // Začiatok práce a závislosti — viď komentár v Task.js
+  startDate: { type: String, default: null },
+  blockedBy: { type: [String], default: [] },
+  // Odhad a výkaz času — viď komentár v Task.js
+  estimate: { type: Number, default: null },
+  timeEntries: { type: [timeEntrySchema], default: [] },
   // Drag & drop poradie (PUT /api/tasks/reorder-subtasks). KRITICKÉ: pole
   // MUSÍ byť v schéme — Mongoose strict mode neznáme polia pri save() TICHO
   // zahodí, takže reorder sa roky tváril uložený, ale po refetchi zmizol
@@ -70,9 +102,18 @@ const taskSchema = new mongoose.Schema({
   timeReminders: { type: [Number], default: [] },
   timeRemindersSent: { type: [Number], default: [] },
   copiedFrom: { type: copiedFromSchema, default: null },
+  recurrence: { type: recurrenceSchema, default: null },
+  startDate: { type: String, default: null },
+  blockedBy: { type: [String], default: [] },
+  estimate: { type: Number, default: null },
+  timeEntries: { type: [timeEntrySchema], default: [] },
+  tags: { type: [String], default: [] },
   // Drag & drop poradie projektov kontaktu (PUT /api/tasks/reorder) — viď
   // komentár pri subtaskSchema.order vyššie.
-  order: { type: Number, default: 0 }
+  order: { type: Number, default: 0 },
+  // Kanban stav a poradie v stĺpci — viď Task.js
+  status: { type: String, default: null },
+  statusOrder: { type: Number, default: 0 }
 }, { _id: false });
 
 const contactSchema = new mongoose.Schema({
@@ -127,6 +168,11 @@ contactSchema.index({ workspaceId: 1, status: 1 });
 contactSchema.index({ workspaceId: 1, email: 1 });
 contactSchema.index({ 'tasks.dueDate': 1 });
 contactSchema.index({ 'tasks.id': 1 });
+// Full-text search (services/searchService.js)
+contactSchema.index(
+  { name: 'text', company: 'text', email: 'text', notes: 'text' },
+  { name: 'contact_text', weights: { name: 10, company: 5, email: 5, notes: 1 }, default_language: 'none' }
+);
 
 // Pre-save middleware to ensure all tasks and subtasks have IDs
 contactSchema.pre('save', function() {
@@ -152,4 +198,7 @@ contactSchema.pre('save', function() {
   }
 });
 
+// Verzia pre If-Match (utils/entityVersion.js)
+contactSchema.plugin(versionPlugin);
+
 module.exports = mongoose.model('Contact', contactSchema);
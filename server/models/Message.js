@@ -146,5 +146,10 @@ const messageSchema = new mongoose.Schema({
 messageSchema.index({ workspaceId: 1, toUserId: 1, status: 1, createdAt: -1 });
 messageSchema.index({ workspaceId: 1, fromUserId: 1, createdAt: -1 });
 messageSchema.index({ workspaceId: 1, status: 1 });
+// Full-text search (services/searchService.js)
+messageSchema.index(
+  { subject: 'text', description: 'text', 'comments.text': 'text' },
+  { name: 'message_text', weights: { subject: 10, description: 2, 'comments.text': 1 }, default_language: 'none' }
+);
 
 module.exports = mongoose.model('Message', messageSchema);
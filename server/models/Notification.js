@@ -33,6 +33,8 @@ const notificationSchema = new mongoose.Schema({
       'subtask.completed',
       'subtask.deleted',
       'subtask.assigned',
+      'task.unblocked',
+      'subtask.unblocked',
       'task.dueDate',
       'subtask.dueDate',
       'message.created',
@@ -40,7 +42,11 @@ const notificationSchema = new mongoose.Schema({
       'message.rejected',
       'message.commented',
       'message.comment.reacted',
-      'workspace.memberAdded'
+      'workspace.memberAdded',
+      'page.mentioned',
+      'page.commented',
+      'page.comment.resolved',
+      'page.comment.reacted'
     ],
     required: true
   },
@@ -75,7 +81,7 @@ const notificationSchema = new mongoose.Schema({
   // Related entity
   relatedType: {
     type: String,
-    enum: ['contact', 'task', 'subtask', 'message']
+    enum: ['contact', 'task', 'subtask', 'message', 'page']
   },
   relatedId: String,
   relatedName: String,
@@ -1,4 +1,44 @@
 const mongoose = require('mongoose');
+const { BLOCK_TYPES } = require('../utils/pageBlocks');
+const { PROPERTY_TYPES, VIEW_TYPES, RELATION_TARGETS } = require('../utils/pageDatabase');
+const { versionPlugin } = require('../utils/entityVersion');
+
+// One editor block. Nested blocks live in `children` (untyped array, same
+// approach as Task.subtasks) — validation and id generation happen in
+// utils/pageBlocks.js before anything is written here.
+const blockSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  type: { type: String, enum: BLOCK_TYPES, default: 'paragraph' },
+  content: { type: String, default: '' },
+  // Inline formatting / mentions over `content` (utils/inlineMarks.js)
+  marks: { type: Array, default: [] },
+  props: { type: mongoose.Schema.Types.Mixed, default: {} },
+  children: { type: Array, default: [] }
+}, { _id: false });
+
+// Schema of a database page — typed properties and saved views. Validated
+// and kept consistent by utils/pageDatabase.js; rows are models/PageRow.js.
+const databasePropertySchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  name: { type: String, required: true },
+  type: { type: String, enum: PROPERTY_TYPES, required: true },
+  options: {
+    type: [{ _id: false, id: String, name: String, color: String }],
+    default: []
+  },
+  relation: { type: String, enum: [...RELATION_TARGETS, null], default: null }
+}, { _id: false });
+
+const databaseViewSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  name: { type: String, required: true },
+  type: { type: String, enum: VIEW_TYPES, default: 'table' },
+  filters: { type: Array, default: [] },
+  sorts: { type: Array, default: [] },
+  groupBy: { type: String, default: null },
+  dateProperty: { type: String, default: null },
+  hiddenProperties: { type: [String], default: [] }
+}, { _id: false });
 
 const pageSchema = new mongoose.Schema({
   // Workspace scoping — every page belongs to exactly one workspace.
@@ -9,8 +49,9 @@ const pageSchema = new mongoose.Schema({
     required: true,
     index: true
   },
-  // Creator / author. Kept for attribution and auditing, but access control
-  // is based on workspace membership, not on userId match.
+  // Creator / author. Kept for attribution and auditing; access control is
+  // workspace membership plus `visibility` / `permissions` below, where the
+  // author matters (services/pageAccess.js).
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -20,15 +61,94 @@ const pageSchema = new mongoose.Schema({
     type: String,
     default: 'Untitled'
   },
+  // 'database' pages hold rows with typed properties (`database` below);
+  // their blocks are the description shown above the rows.
+  kind: {
+    type: String,
+    enum: ['document', 'database'],
+    default: 'document'
+  },
+  database: {
+    type: new mongoose.Schema({
+      properties: { type: [databasePropertySchema], default: [] },
+      views: { type: [databaseViewSchema], default: [] }
+    }, { _id: false }),
+    default: null
+  },
+  // Ordered list of typed blocks — the source of truth for the editor.
+  blocks: { type: [blockSchema], default: [] },
+  // Plain-text rendition of `blocks` (utils/pageBlocks.blocksToText), kept
+  // in sync by routes/pages.js. Pages created before block storage only
+  // have this; scripts/migratePageBlocks.js converts them.
   content: {
     type: String,
     default: ''
   },
+  // Co-editing revision — bumped by services/pageCollab.js on every change
+  // of `blocks` (one PageOperation log entry per revision).
+  revision: {
+    type: Number,
+    default: 0
+  },
+  // Pages mentioned in `blocks` (services/pageLinks.js) — backlinks are
+  // the pages listing a page here. Kept in sync by services/pageCollab.js.
+  mentionedPageIds: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Page' }],
+    default: []
+  },
   icon: String,
+  // Optional link to a contact or project (same as Message.linkedType)
+  linkedType: {
+    type: String,
+    enum: ['contact', 'task', null],
+    default: null
+  },
+  linkedId: { type: String, default: null },
+  linkedName: { type: String, default: null },
   parentId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Page',
     default: null
+  },
+  // Position among siblings (same parentId), ties broken by createdAt —
+  // services/pageTree.js
+  order: {
+    type: Number,
+    default: 0
+  },
+  // Access — both inherited down the `parentId` tree (services/pageAccess.js).
+  // 'private' hides the page and its subtree from everyone but the author;
+  // a non-empty `permissions` list limits it to the listed members.
+  visibility: {
+    type: String,
+    enum: ['workspace', 'private'],
+    default: 'workspace'
+  },
+  permissions: {
+    type: [{
+      _id: false,
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      level: { type: String, enum: ['view', 'comment', 'edit'], required: true }
+    }],
+    default: []
+  },
+  // Trash — DELETE /api/pages/:id only marks the whole subtree as deleted.
+  // Every page of one deletion shares `trashRootId` (the page the user
+  // deleted), so the subtree comes back together on restore.
+  // services/pageTrash.js purges it after TRASH_RETENTION_DAYS.
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  trashRootId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Page',
+    default: null
   }
 }, {
   timestamps: true,
@@ -49,7 +169,20 @@ const pageSchema = new mongoose.Schema({
 });
 
 // Compound index: list/tree queries always filter by workspace + parent.
-pageSchema.index({ workspaceId: 1, parentId: 1 });
+pageSchema.index({ workspaceId: 1, parentId: 1, order: 1 });
 pageSchema.index({ workspaceId: 1, updatedAt: -1 });
+pageSchema.index({ workspaceId: 1, trashRootId: 1 });
+pageSchema.index({ deletedAt: 1 });
+pageSchema.index({ workspaceId: 1, mentionedPageIds: 1 });
+pageSchema.index({ workspaceId: 1, linkedType: 1, linkedId: 1 });
+// Full-text search (services/searchService.js). One text index per
+// collection — language 'none' so Slovak words are not stemmed as English.
+pageSchema.index(
+  { title: 'text', content: 'text' },
+  { name: 'page_text', weights: { title: 10, content: 1 }, default_language: 'none' }
+);
+
+// Version for If-Match (utils/entityVersion.js)
+pageSchema.plugin(versionPlugin);
 
 module.exports = mongoose.model('Page', pageSchema);
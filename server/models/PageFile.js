@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+/**
+ * PageFile — obrázok vložený do stránky (image blok).
+ *
+ * Blob žije vždy v R2 (`pagefiles/<fileId>`), v Mongo sú len metadáta —
+ * na rozdiel od ContactFile tu nie je base64 fallback, stránky vznikli až
+ * po migrácii na R2. Image blok odkazuje na súbor cez `props.fileId`.
+ *
+ * Súbor patrí stránke (`pageId`) alebo šablóne (`templateId`). Duplikát
+ * stránky a šablóna dostanú vlastné záznamy s novým `fileId`, ale blob
+ * zdieľajú (rovnaký `r2Key`) — services/pageFiles.js ho zmaže až s
+ * posledným záznamom, ktorý naň odkazuje.
+ *
+ * `size` sa počíta do storage kvóty workspace-u (utils/storageQuota.js).
+ * Záznam aj blob zmaže až purge stránky z koša (services/pageTrash.js) —
+ * zmazaný image blok sa dá vrátiť cez históriu verzií.
+ */
+const pageFileSchema = new mongoose.Schema({
+  pageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Page', default: null },
+  templateId: { type: mongoose.Schema.Types.ObjectId, ref: 'PageTemplate', default: null },
+  workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', required: true, index: true },
+  fileId: { type: String, required: true, unique: true },
+  r2Key: { type: String, required: true },
+  originalName: { type: String, default: '' },
+  mimetype: { type: String, required: true },
+  size: { type: Number, default: 0 },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, {
+  timestamps: true
+});
+
+pageFileSchema.index({ pageId: 1 });
+pageFileSchema.index({ templateId: 1 });
+pageFileSchema.index({ r2Key: 1 });
+
+module.exports = mongoose.model('PageFile', pageFileSchema);
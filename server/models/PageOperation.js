@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * PageOperation — lineárna história zmien stránky pre real-time co-editing.
+ *
+ * Každá zmena obsahu stránky dostane ďalšie číslo `revision` (Page.revision
+ * sa zvyšuje v tom istom kroku, viď services/pageCollab.js). Log slúži na:
+ *   - transformáciu operácií klientov, ktoré vznikli nad staršou revíziou
+ *   - dohratie zmeškaných operácií pri join-page / reconnecte
+ *   - deduplikáciu — klient po reconnecte pošle nepotvrdenú operáciu znova
+ *     s tým istým `opId`, server ju rozpozná a len ju potvrdí
+ *
+ * Druhy záznamov (`kind`):
+ *   text      — OT operácia nad textom jedného bloku (utils/textOt.js)
+ *   structure — blok pridaný / zmazaný / presunutý / zmena typu; text
+ *               ostatných blokov sa nemení, takže textové operácie cez
+ *               tento záznam prejdú bez transformácie. `event` + `data`
+ *               nesú to isté, čo REST route broadcastla do page roomu,
+ *               aby sa to dalo klientovi dohrať pri resyncu
+ *   snapshot  — celý obsah prepísaný (PUT /api/pages/:id s blocks/content);
+ *               operácie staršie ako snapshot sa už nedajú transformovať
+ *               a klient musí resyncnúť
+ *
+ * Retention: 30 dní (TTL). Klient, ktorý zaspal dlhšie, dostane snapshot.
+ */
+const pageOperationSchema = new mongoose.Schema({
+  pageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Page', required: true },
+  workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', required: true },
+  revision: { type: Number, required: true },
+  kind: { type: String, enum: ['text', 'structure', 'snapshot'], required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  // Klientom generované ID operácie (UUID) — len pre kind='text' zo socketu
+  opId: { type: String, default: null },
+  blockId: { type: String, default: null },
+  // OT operácia — pole retain/insert/delete komponentov
+  op: { type: Array, default: undefined },
+  // Len pre kind='structure' — názov socket eventu a jeho payload
+  event: { type: String, default: null },
+  data: { type: mongoose.Schema.Types.Mixed, default: undefined },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  timestamps: false
+});
+
+// Jedna revízia = jeden záznam. Unique index je poistka, ak by sa dve
+// inštancie servera pobili o rovnakú revíziu.
+pageOperationSchema.index({ pageId: 1, revision: 1 }, { unique: true });
+pageOperationSchema.index({ pageId: 1, opId: 1 });
+pageOperationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('PageOperation', pageOperationSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+/**
+ * PageQuickAccess — obľúbené a naposledy navštívené stránky používateľa
+ * v jednom workspace (services/pageQuickAccess.js).
+ *
+ * Jeden dokument na používateľa a workspace, aby zoznamy boli rovnaké na
+ * webe aj v mobilných aplikáciách. `favorites` sú v poradí, ktoré si
+ * používateľ nastavil; `recent` od najnovšej návštevy, každá stránka raz.
+ * Zmazané stránky a stránky bez prístupu sa odfiltrujú pri čítaní.
+ */
+const favoriteSchema = new mongoose.Schema({
+  pageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Page', required: true },
+  addedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const recentSchema = new mongoose.Schema({
+  pageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Page', required: true },
+  visitedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const pageQuickAccessSchema = new mongoose.Schema({
+  workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  favorites: { type: [favoriteSchema], default: [] },
+  recent: { type: [recentSchema], default: [] }
+}, {
+  timestamps: true
+});
+
+pageQuickAccessSchema.index({ workspaceId: 1, userId: 1 }, { unique: true });
+pageQuickAccessSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('PageQuickAccess', pageQuickAccessSchema);
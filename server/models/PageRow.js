@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * PageRow — riadok databázovej stránky (Page.kind 'database').
+ *
+ * Hodnoty vlastností sú v `values` pod ID vlastnosti z
+ * Page.database.properties. Tvar hodnoty podľa typu vlastnosti
+ * (services/pageDatabase.js):
+ *   text         — string
+ *   number       — number
+ *   select       — ID možnosti
+ *   multi_select — [ID možnosti]
+ *   date         — 'YYYY-MM-DD'
+ *   person       — ID používateľa
+ *   relation     — [ID kontaktu / projektu]
+ *   checkbox     — boolean
+ * Prázdna hodnota v `values` chýba.
+ */
+const pageRowSchema = new mongoose.Schema({
+  workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', required: true },
+  pageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Page', required: true },
+  values: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // Ručné poradie — platí, keď pohľad nemá vlastné zoradenie
+  order: { type: Number, default: 0 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, {
+  timestamps: true,
+  minimize: false,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id.toString();
+      return ret;
+    }
+  }
+});
+
+pageRowSchema.index({ pageId: 1, order: 1 });
+pageRowSchema.index({ workspaceId: 1 });
+
+module.exports = mongoose.model('PageRow', pageRowSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+/**
+ * PageShare — verejný odkaz na stránku len na čítanie.
+ *
+ * Odkaz /api/share/<token> otvorí ktokoľvek bez prihlásenia
+ * (routes/publicShares.js), preto:
+ *   - token je náhodný (32 B, base64url) a dá sa kedykoľvek zrušiť
+ *     (`revokedAt`) — zrušený odkaz sa nemaže, ostáva ako stopa
+ *   - `expiresAt` voliteľne obmedzí platnosť
+ *   - `passwordHash` (bcrypt) voliteľne vyžiada heslo
+ *   - `includeChildren` sprístupní aj podstránky (aktuálne, nie v čase
+ *     vytvorenia odkazu) — stránky v koši nikdy
+ * Každý prístup sa zapisuje do AuditLog ('page.share_accessed').
+ */
+const pageShareSchema = new mongoose.Schema({
+  workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', required: true },
+  pageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Page', required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  token: { type: String, required: true, unique: true },
+  includeChildren: { type: Boolean, default: false },
+  expiresAt: { type: Date, default: null },
+  passwordHash: { type: String, default: null },
+  revokedAt: { type: Date, default: null },
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  accessCount: { type: Number, default: 0 },
+  lastAccessedAt: { type: Date, default: null }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id.toString();
+      // Hash hesla nikdy neopustí server — klient vidí len, či heslo je
+      ret.hasPassword = !!ret.passwordHash;
+      delete ret.passwordHash;
+      return ret;
+    }
+  }
+});
+
+pageShareSchema.index({ pageId: 1, createdAt: -1 });
+pageShareSchema.index({ workspaceId: 1 });
+
+module.exports = mongoose.model('PageShare', pageShareSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+/**
+ * PageTemplate — šablóna stránky na úrovni workspace.
+ *
+ * Vzniká uložením existujúcej stránky (POST /api/pages/:id/save-as-template)
+ * a nová stránka zo šablóny dostane jej nadpis, ikonu a bloky s vyplnenými
+ * zástupnými symbolmi (utils/pagePlaceholders.js). Šablóny vidia a používajú
+ * všetci členovia workspace.
+ *
+ * Obrázky image blokov sa pri uložení skopírujú ako PageFile záznamy so
+ * `templateId` (services/pageFiles.js), aby šablóna nezávisela od toho, či
+ * pôvodná stránka ešte existuje.
+ */
+const pageTemplateSchema = new mongoose.Schema({
+  workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, maxlength: 200 },
+  description: { type: String, default: '', maxlength: 1000 },
+  // Nadpis a ikona novej stránky (nadpis môže obsahovať zástupné symboly)
+  title: { type: String, default: '' },
+  icon: { type: String, default: null },
+  // Bloky v tom istom tvare ako Page.blocks (utils/pageBlocks.js)
+  blocks: { type: Array, default: [] },
+  sourcePageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Page', default: null }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id.toString();
+      return ret;
+    }
+  }
+});
+
+pageTemplateSchema.index({ workspaceId: 1, name: 1 });
+
+module.exports = mongoose.model('PageTemplate', pageTemplateSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * PageThread — diskusia ukotvená v bloku stránky.
+ *
+ * Vlákno patrí k bloku (`blockId`) a voliteľne k úseku jeho textu. Úsek sa
+ * neukladá tu, ale ako značka `comment` (attrs.threadId) v `block.marks`
+ * (utils/inlineMarks.js) — posúva sa tak s textom pri každej úprave ako
+ * ostatné formátovanie. `quote` je text úseku v čase založenia vlákna, aby
+ * zoznam vlákien mal čo ukázať aj keď sa text medzitým zmenil alebo zmazal.
+ *
+ * Prvý komentár je otázka/poznámka, ďalšie sú odpovede. Reakcie na
+ * komentár majú rovnaký tvar ako pri komentároch odkazov (models/Message.js)
+ * — jeden používateľ najviac jednu.
+ */
+const threadReactionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  username: { type: String, required: true },
+  type: { type: String, enum: ['like', 'dislike'], required: true },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const threadCommentSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  username: { type: String, required: true },
+  text: { type: String, required: true, maxlength: 5000 },
+  reactions: { type: [threadReactionSchema], default: [] },
+  editedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: true });
+
+const pageThreadSchema = new mongoose.Schema({
+  workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', required: true },
+  pageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Page', required: true },
+  blockId: { type: String, required: true },
+  // Vlákno k úseku textu má v bloku značku `comment`, vlákno k celému bloku nie
+  hasRange: { type: Boolean, default: false },
+  quote: { type: String, default: '', maxlength: 300 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  comments: { type: [threadCommentSchema], default: [] },
+  resolvedAt: { type: Date, default: null },
+  resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  resolvedByName: { type: String, default: null }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id.toString();
+      ret.resolved = !!ret.resolvedAt;
+      for (const comment of ret.comments || []) comment.id = comment._id.toString();
+      return ret;
+    }
+  }
+});
+
+pageThreadSchema.index({ pageId: 1, createdAt: 1 });
+pageThreadSchema.index({ workspaceId: 1 });
+
+module.exports = mongoose.model('PageThread', pageThreadSchema);
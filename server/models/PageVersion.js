@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+/**
+ * PageVersion — uložený stav stránky pre históriu verzií.
+ *
+ * Verzie vznikajú automaticky pri úpravách (services/pageVersions.js).
+ * Jedna verzia = jedna editačná session jedného autora: kým ten istý user
+ * upravuje stránku a od jeho poslednej úpravy neprešlo SESSION_WINDOW,
+ * prepisuje sa jeho posledná verzia (aby každé písmeno nebolo verziou).
+ *
+ * `reason`:
+ *   initial — stav stránky pred prvou zaznamenanou úpravou
+ *   edit    — bežná editačná session
+ *   restore — stav po obnovení staršej verzie (`restoredFrom`)
+ */
+const pageVersionSchema = new mongoose.Schema({
+  pageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Page', required: true },
+  workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  reason: { type: String, enum: ['initial', 'edit', 'restore'], default: 'edit' },
+  restoredFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'PageVersion', default: null },
+  title: { type: String, default: '' },
+  icon: { type: String, default: null },
+  // Bloky v tom istom tvare ako Page.blocks (utils/pageBlocks.js)
+  blocks: { type: Array, default: [] },
+  content: { type: String, default: '' },
+  revision: { type: Number, default: 0 }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id.toString();
+      return ret;
+    }
+  }
+});
+
+pageVersionSchema.index({ pageId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PageVersion', pageVersionSchema);
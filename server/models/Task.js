@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
+const { versionPlugin } = require('../utils/entityVersion');
 
 const fileSchema = new mongoose.Schema({
   id: String,
@@ -10,6 +11,32 @@ const fileSchema = new mongoose.Schema({
   uploadedAt: { type: Date, default: Date.now }
 }, { _id: false });
 
+// Opakovanie (RRULE podmnožina) — tvar a význam polí v utils/recurrence.js.
+// Typovaná sub-schéma, lebo PUT berie podúlohy verbatim od klienta.
+const recurrenceSchema = new mongoose.Schema({
+  freq: { type: String, enum: ['daily', 'weekly', 'monthly', 'yearly'], required: true },
+  interval: { type: Number, default: 1 },
+  byWeekday: { type: [Number], default: undefined },
+  byMonthDay: { type: Number, default: null },
+  until: { type: String, default: null },
+  count: { type: Number, default: null },
+  occurrence: { type: Number, default: 1 },
+  nextId: { type: String, default: null },
+  ended: { type: Boolean, default: false }
+}, { _id: false });
+
+// Výkaz času — záznam člena (utils/taskTime.js). `end: null` = bežiaci
+// časovač, ručný záznam má start = end = deň práce.
+const timeEntrySchema = new mongoose.Schema({
+  id: { type: String, default: () => uuidv4() },
+  userId: { type: String, required: true },
+  start: { type: String, required: true },
+  end: { type: String, default: null },
+  minutes: { type: Number, default: 0 },
+  note: { type: String, default: '' },
+  manual: { type: Boolean, default: false }
+}, { _id: false });
+
 const subtaskSchema = new mongoose.Schema({
   id: { type: String, default: () => uuidv4() },
   title: String,
@@ -42,6 +69,15 @@ const subtaskSchema = new mongoose.Schema({
   // istý moment). Pre teraz ho server-side resetuje pri save() ak sa dueDate
   // alebo dueTime zmenil.
   timeRemindersSent: { type: [Number], default: [] },
+  recurrence: { type: recurrenceSchema, default: null },
+  // Začiatok práce 'YYYY-MM-DD' — časová os kreslí pruh od startDate po dueDate
+  startDate: { type: String, default: null },
+  // Závislosti — id projektov/úloh (aj z iného kontaktu či globálnych),
+  // ktoré musia byť dokončené skôr. Viď utils/taskDependencies.js.
+  blockedBy: { type: [String], default: [] },
+  // Odhad v minútach (null = bez odhadu) a odpracovaný čas členov
+  estimate: { type: Number, default: null },
+  timeEntries: { type: [timeEntrySchema], default: [] },
   order: { type: Number, default: 0 }
 }, { _id: false });
 
@@ -97,7 +133,18 @@ const taskSchema = new mongoose.Schema({
   // Viď komentár pri subtaskSchema. Funguje rovnako pre projekt aj úlohu.
   timeReminders: { type: [Number], default: [] },
   timeRemindersSent: { type: [Number], default: [] },
-  order: { type: Number, default: 0 }
+  recurrence: { type: recurrenceSchema, default: null },
+  startDate: { type: String, default: null },
+  blockedBy: { type: [String], default: [] },
+  estimate: { type: Number, default: null },
+  timeEntries: { type: [timeEntrySchema], default: [] },
+  // Štítky projektu (filter uložených pohľadov, utils/taskViews.js)
+  tags: { type: [String], default: [] },
+  order: { type: Number, default: 0 },
+  // Kanban — id stavu z Workspace.taskStatuses a poradie v jeho stĺpci.
+  // null = stav sa odvodí z `completed` (viď utils/taskStatuses.js).
+  status: { type: String, default: null },
+  statusOrder: { type: Number, default: 0 }
 }, {
   timestamps: true,
   toJSON: {
@@ -122,6 +169,18 @@ taskSchema.index({ workspaceId: 1, completed: 1 });
 taskSchema.index({ workspaceId: 1, dueDate: 1 });
 taskSchema.index({ workspaceId: 1, priority: 1 });
 taskSchema.index({ workspaceId: 1, contactIds: 1 });
+// Dokončené výskyty bez nasledovníka (dueDateChecker → taskRecurrence)
+taskSchema.index({ 'recurrence.freq': 1, completed: 1 });
+// Full-text search (services/searchService.js) — top-level subtasks only,
+// deeper nesting is an untyped array and is not indexed
+taskSchema.index(
+  { title: 'text', description: 'text', 'subtasks.title': 'text', 'subtasks.notes': 'text' },
+  {
+    name: 'task_text',
+    weights: { title: 10, 'subtasks.title': 3, description: 2, 'subtasks.notes': 1 },
+    default_language: 'none'
+  }
+);
 
 // Pre-save middleware to ensure all subtasks have IDs
 taskSchema.pre('save', function() {
@@ -140,4 +199,7 @@ taskSchema.pre('save', function() {
   generateIdsRecursive(this.subtasks);
 });
 
+// Verzia pre If-Match (utils/entityVersion.js)
+taskSchema.plugin(versionPlugin);
+
 module.exports = mongoose.model('Task', taskSchema);
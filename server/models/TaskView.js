@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+/**
+ * TaskView — uložený pohľad zoznamu projektov (filtre, zoradenie, zoskupenie).
+ *
+ * Súkromný pohľad vidí len jeho autor, zdieľaný (`shared`) všetci členovia
+ * workspace; meniť ho môže len autor, zmazať aj správca workspace.
+ * Tvar `filters` a povolené hodnoty sú v utils/taskViews.js.
+ */
+const taskViewSchema = new mongoose.Schema({
+  workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true },
+  shared: { type: Boolean, default: false },
+  filters: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+  sort: {
+    field: { type: String, default: 'default' },
+    direction: { type: String, default: 'asc' }
+  },
+  groupBy: { type: String, default: 'none' }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+taskViewSchema.index({ workspaceId: 1, userId: 1 });
+taskViewSchema.index({ workspaceId: 1, shared: 1 });
+
+module.exports = mongoose.model('TaskView', taskViewSchema);
@@ -1,6 +1,14 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
 
+// Stav projektu = stĺpec Kanban nástenky (utils/taskStatuses.js)
+const taskStatusSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  name: { type: String, required: true, maxlength: 40 },
+  color: { type: String, default: '#94a3b8' },
+  done: { type: Boolean, default: false }
+}, { _id: false });
+
 const workspaceSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -49,6 +57,11 @@ const workspaceSchema = new mongoose.Schema({
   color: {
     type: String,
     default: '#6366f1'
+  },
+  // Vlastné stavy projektov (poradie = poradie stĺpcov); prázdne = predvolené
+  taskStatuses: {
+    type: [taskStatusSchema],
+    default: []
   }
 }, {
   timestamps: true,
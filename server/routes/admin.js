@@ -2748,12 +2748,13 @@ router.post('/health/refresh', authenticateToken, requireAdmin, async (req, res)
 // GET /api/admin/online-users — aktuálne pripojení cez Socket.IO
 router.get('/online-users', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const users = onlineUsers.getOnlineUsers();
-    res.json({
-      count: onlineUsers.getOnlineCount(),
-      socketCount: onlineUsers.getSocketCount(),
-      users
-    });
+    // S Redisom naprieč všetkými inštanciami servera (services/onlineUsers.js)
+    const [users, count, socketCount] = await Promise.all([
+      onlineUsers.getOnlineUsers(),
+      onlineUsers.getOnlineCount(),
+      onlineUsers.getSocketCount()
+    ]);
+    res.json({ count, socketCount, users });
   } catch (error) {
     logger.error('Online users error', { error: error.message });
     res.status(500).json({ message: 'Chyba servera' });
@@ -871,6 +871,7 @@ router.delete('/account', authenticateToken, async (req, res) => {
     const APNsDevice = require('../models/APNsDevice');
     const FcmDevice = require('../models/FcmDevice');
     const PushSubscription = require('../models/PushSubscription');
+    const PageQuickAccess = require('../models/PageQuickAccess');
 
     const soleWorkspaceIds = ownedWorkspaces.map(ws => ws._id);
 
@@ -897,6 +898,8 @@ router.delete('/account', authenticateToken, async (req, res) => {
       APNsDevice.deleteMany({ userId }),
       FcmDevice.deleteMany({ userId }),
       PushSubscription.deleteMany({ userId }),
+      // Obľúbené a naposledy navštívené stránky
+      PageQuickAccess.deleteMany({ userId }),
       // Invitations sent BY userovi alebo TO userovmu emailu
       Invitation.deleteMany({ $or: [{ invitedBy: userId }, { email: user.email }] })
     ]);
@@ -15,9 +15,27 @@ const { STORAGE_LIMITS, computeWorkspaceFileBytes } = require('../utils/storageQ
 const { logPlanGateHit } = require('../utils/planGate');
 const { attachmentFileFilter } = require('../utils/uploadFilter');
 const { isIosNativeApp } = require('../utils/platform');
+const {
+  versionOf,
+  versionFilter,
+  matchesIfMatch,
+  hasIfMatch,
+  expectVersion,
+  isVersionMismatch,
+  setVersionHeader,
+  sendVersionConflict,
+  sendVersionRequired
+} = require('../utils/entityVersion');
 const { autoSyncTaskToCalendar, autoDeleteTaskFromCalendar } = require('./googleCalendar');
 const { autoSyncTaskToGoogleTasks, autoDeleteTaskFromGoogleTasks } = require('./googleTasks');
+const { sendContactTaskConflict, resolveStartDate } = require('./tasks');
+const { keepServerSubtaskFields } = require('../utils/subtaskFields');
 const notificationService = require('../services/notificationService');
+const { planNextTaskOccurrence, spawnSubtaskOccurrences } = require('../services/taskRecurrence');
+const { notifyBlockedAssignees } = require('../services/taskDependencies');
+const { completionSnapshot, newlyCompletedIds } = require('../utils/taskDependencies');
+const { normalizeEstimate } = require('../utils/taskTime');
+const { normalizeTags } = require('../utils/taskViews');
 const auditService = require('../services/auditService');
 const logger = require('../utils/logger');
 const { getCachedData, setCachedData, invalidateWorkspaceData } = require('../middleware/dataCache');
@@ -175,7 +193,8 @@ const contactToPlainObject = (contact) => {
   const obj = contact.toObject ? contact.toObject() : contact;
   const result = JSON.parse(JSON.stringify({
     ...obj,
-    id: obj._id ? obj._id.toString() : obj.id
+    id: obj._id ? obj._id.toString() : obj.id,
+    version: versionOf(obj)
   }));
   // Strip file data (too large for socket.io)
   if (result.files && result.files.length > 0) {
@@ -432,7 +451,8 @@ router.get('/', authenticateToken, requireWorkspace, async (req, res) => {
 
     const contactsWithId = contacts.map(contact => ({
       ...contact,
-      id: contact._id.toString()
+      id: contact._id.toString(),
+      version: versionOf(contact)
     }));
 
     // Cache result for 30s
@@ -539,7 +559,9 @@ router.get('/:id', authenticateToken, requireWorkspace, async (req, res) => {
     if (!contact) {
       return res.status(404).json({ message: 'Contact not found' });
     }
-    res.json({ ...contact, id: contact._id.toString() });
+    const version = versionOf(contact);
+    setVersionHeader(res, version);
+    res.json({ ...contact, id: contact._id.toString(), version });
   } catch (error) {
     res.status(500).json({ message: 'Chyba servera' });
   }
@@ -978,10 +1000,22 @@ router.put('/:id', authenticateToken, requireWorkspace, async (req, res) => {
       return res.status(404).json({ message: 'Contact not found' });
     }
 
+    // If-Match: klient upravoval staršiu verziu — nič neprepíšeme,
+    // vrátime aktuálny stav na zlúčenie (viď utils/entityVersion.js)
+    if (!matchesIfMatch(req, versionOf(previousContact))) {
+      return sendVersionConflict(res, contactToPlainObject(previousContact));
+    }
+
     const previousStatus = previousContact.status;
 
+    // Pri If-Match podmienka aj na verziu — zápis medzi čítaním a updatom
+    // (iný request) by inak prešiel bez konfliktu
     const contact = await Contact.findOneAndUpdate(
-      { _id: req.params.id, workspaceId: req.workspaceId },
+      {
+        _id: req.params.id,
+        workspaceId: req.workspaceId,
+        ...(hasIfMatch(req) ? versionFilter(previousContact) : {})
+      },
       {
         name, email, phone, company, website, notes, status
       },
@@ -989,6 +1023,10 @@ router.put('/:id', authenticateToken, requireWorkspace, async (req, res) => {
     );
 
     if (!contact) {
+      const current = hasIfMatch(req)
+        ? await Contact.findOne({ _id: req.params.id, workspaceId: req.workspaceId })
+        : null;
+      if (current) return sendVersionConflict(res, contactToPlainObject(current));
       return res.status(404).json({ message: 'Contact not found' });
     }
 
@@ -1015,6 +1053,7 @@ router.put('/:id', authenticateToken, requireWorkspace, async (req, res) => {
     // Send notification to workspace members except updater
     await notificationService.notifyContactChange('contact.updated', contact, req.user, req.workspaceId);
 
+    setVersionHeader(res, contactData.version);
     res.json(contactData);
 
     // Audit log (fire and forget)
@@ -1172,6 +1211,18 @@ router.post('/:contactId/tasks', authenticateToken, requireWorkspace, enforceWor
 router.put('/:contactId/tasks/:taskId', authenticateToken, requireWorkspace, async (req, res) => {
   try {
     const { title, description, dueDate, dueTime, priority, completed, assignedTo } = req.body;
+    const estimate = req.body.estimate !== undefined ? normalizeEstimate(req.body.estimate) : null;
+    if (estimate?.error) {
+      return res.status(400).json({ message: estimate.error });
+    }
+    const tags = req.body.tags !== undefined ? normalizeTags(req.body.tags) : null;
+    if (tags?.error) {
+      return res.status(400).json({ message: tags.error });
+    }
+    // Podúlohy prepíšu celé pole — rovnako ako PUT /api/tasks/:id len s verziou
+    if (req.body.subtasks !== undefined && !hasIfMatch(req)) {
+      return sendVersionRequired(res, 'Úprava podúloh vyžaduje verziu projektu (If-Match)');
+    }
 
     const contact = await Contact.findOne({ _id: req.params.contactId, workspaceId: req.workspaceId });
 
@@ -1188,6 +1239,16 @@ router.put('/:contactId/tasks/:taskId', authenticateToken, requireWorkspace, asy
     }
 
     const task = contact.tasks[taskIndex];
+    // If-Match: verzia projektu v kontakte je verzia kontaktu
+    if (!matchesIfMatch(req, versionOf(contact))) {
+      return sendContactTaskConflict(res, contact, task);
+    }
+    expectVersion(req, contact);
+    const startDate = resolveStartDate(req.body, task);
+    if (startDate.error) {
+      return res.status(400).json({ message: startDate.error });
+    }
+    const completionBefore = completionSnapshot(task);
     // KRITICKÝ FIX: Mongoose subdoc spread {...task} nepreserve schema fields
     // (vracia interné _doc/$__ properties). Bez .toObject() by sa stratili
     // files, notes, lastUrgencyLevel pri každom edit-e tasku cez tento route.
@@ -1199,20 +1260,42 @@ router.put('/:contactId/tasks/:taskId', authenticateToken, requireWorkspace, asy
       description: description !== undefined ? description : task.description,
       dueDate: dueDate !== undefined ? dueDate : task.dueDate,
       dueTime: dueTime !== undefined ? (dueDate !== undefined ? (dueDate ? dueTime : '') : dueTime) : (task.dueTime || ''),
+      startDate: startDate.value,
+      estimate: estimate ? estimate.value : (task.estimate ?? null),
+      tags: tags ? tags.value : (task.tags || []),
       priority: priority !== undefined ? priority : task.priority,
       completed: completed !== undefined ? completed : task.completed,
       assignedTo: assignedTo !== undefined ? assignedTo : task.assignedTo,
-      subtasks: req.body.subtasks !== undefined ? req.body.subtasks : task.subtasks,
+      subtasks: req.body.subtasks !== undefined ? keepServerSubtaskFields(req.body.subtasks, task.subtasks) : task.subtasks,
       createdAt: task.createdAt,
       modifiedAt: new Date().toISOString()
     };
+    // Dokončenie opakovaného projektu — ďalší výskyt (services/taskRecurrence.js)
+    const nextOccurrence = completed === true ? planNextTaskOccurrence(contact.tasks[taskIndex], 'contact') : null;
+    if (nextOccurrence) contact.tasks.push(nextOccurrence);
 
     contact.markModified('tasks');
-    await contact.save();
+    try {
+      await contact.save();
+    } catch (error) {
+      if (!isVersionMismatch(error)) throw error;
+      const current = await Contact.findOne({ _id: contact._id, workspaceId: req.workspaceId });
+      const currentTask = current?.tasks.find(t => t.id === task.id);
+      if (!currentTask) return res.status(404).json({ message: 'Task not found' });
+      return sendContactTaskConflict(res, current, currentTask);
+    }
 
     const io = req.app.get('io');
     io.to(`workspace-${req.workspaceId}`).emit('contact-updated', contactToPlainObject(contact));
 
+    if (nextOccurrence) {
+      autoSyncContactToGoogle({
+        ...nextOccurrence,
+        workspaceId: req.workspaceId?.toString(),
+        contact: contact.name
+      }, 'create');
+    }
+
     // Auto-sync to Google
     const updatedTask = contact.tasks[taskIndex];
     autoSyncContactToGoogle({
@@ -1223,10 +1306,19 @@ router.put('/:contactId/tasks/:taskId', authenticateToken, requireWorkspace, asy
       dueTime: updatedTask.dueTime,
       completed: updatedTask.completed,
       assignedTo: updatedTask.assignedTo,
+      recurrence: updatedTask.recurrence,
       workspaceId: req.workspaceId?.toString(),
       contact: contact.name
     }, 'update');
 
+    // Riešitelia položiek, ktoré čakali na práve dokončené (services/taskDependencies.js)
+    notifyBlockedAssignees({
+      workspaceId: req.workspaceId,
+      completedIds: newlyCompletedIds(completionBefore, updatedTask),
+      actor: req.user
+    }).catch(err => logger.warn('Dependency notification failed', { error: err.message }));
+
+    setVersionHeader(res, versionOf(contact));
     res.json(contact.tasks[taskIndex]);
   } catch (error) {
     res.status(500).json({ message: 'Chyba servera' });
@@ -1376,6 +1468,10 @@ router.post('/:contactId/tasks/:taskId/subtasks', authenticateToken, requireWork
 router.put('/:contactId/tasks/:taskId/subtasks/:subtaskId', authenticateToken, requireWorkspace, async (req, res) => {
   try {
     const { title, completed, dueDate, dueTime, notes } = req.body;
+    const estimate = req.body.estimate !== undefined ? normalizeEstimate(req.body.estimate) : null;
+    if (estimate?.error) {
+      return res.status(400).json({ message: estimate.error });
+    }
 
     const contact = await Contact.findOne({ _id: req.params.contactId, workspaceId: req.workspaceId });
 
@@ -1397,7 +1493,12 @@ router.put('/:contactId/tasks/:taskId/subtasks/:subtaskId', authenticateToken, r
     if (!found) {
       return res.status(404).json({ message: 'Subtask not found' });
     }
+    const startDate = resolveStartDate(req.body, found.subtask);
+    if (startDate.error) {
+      return res.status(400).json({ message: startDate.error });
+    }
 
+    const completedIds = completed === true && !found.subtask.completed ? [found.subtask.id] : [];
     found.parent[found.index] = {
       ...found.subtask,
       id: found.subtask.id, // Ensure ID is preserved
@@ -1405,12 +1506,15 @@ router.put('/:contactId/tasks/:taskId/subtasks/:subtaskId', authenticateToken, r
       completed: completed !== undefined ? completed : found.subtask.completed,
       dueDate: dueDate !== undefined ? dueDate : found.subtask.dueDate,
       dueTime: dueTime !== undefined ? (dueDate !== undefined ? (dueDate ? dueTime : '') : dueTime) : (found.subtask.dueTime || ''),
+      startDate: startDate.value,
+      estimate: estimate ? estimate.value : (found.subtask.estimate ?? null),
       notes: notes !== undefined ? notes : found.subtask.notes,
       priority: found.subtask.priority, // Preserve priority
       subtasks: found.subtask.subtasks || [], // Preserve nested subtasks
       createdAt: found.subtask.createdAt, // Preserve createdAt
       modifiedAt: new Date().toISOString() // Set modification timestamp
     };
+    const spawned = completed === true ? spawnSubtaskOccurrences(task) : [];
 
     contact.markModified('tasks');
     await contact.save();
@@ -1418,6 +1522,21 @@ router.put('/:contactId/tasks/:taskId/subtasks/:subtaskId', authenticateToken, r
     const io = req.app.get('io');
     io.to(`workspace-${req.workspaceId}`).emit('contact-updated', contactToPlainObject(contact));
 
+    for (const next of spawned) {
+      autoSyncContactToGoogle({
+        id: next.id,
+        title: `${next.title} (${task.title})`,
+        description: next.notes,
+        dueDate: next.dueDate,
+        dueTime: next.dueTime,
+        completed: false,
+        assignedTo: task.assignedTo || [],
+        recurrence: next.recurrence,
+        workspaceId: req.workspaceId?.toString(),
+        contact: contact.name
+      }, 'create');
+    }
+
     // Auto-sync subtask to Google
     const updatedSubtask = found.parent[found.index];
     autoSyncContactToGoogle({
@@ -1428,10 +1547,14 @@ router.put('/:contactId/tasks/:taskId/subtasks/:subtaskId', authenticateToken, r
       dueTime: updatedSubtask.dueTime,
       completed: updatedSubtask.completed,
       assignedTo: task.assignedTo || [],
+      recurrence: updatedSubtask.recurrence,
       workspaceId: req.workspaceId?.toString(),
       contact: contact.name
     }, 'update');
 
+    notifyBlockedAssignees({ workspaceId: req.workspaceId, completedIds, actor: req.user })
+      .catch(err => logger.warn('Dependency notification failed', { error: err.message }));
+
     res.json(found.parent[found.index]);
   } catch (error) {
     res.status(500).json({ message: 'Chyba servera' });
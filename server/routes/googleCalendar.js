@@ -14,6 +14,7 @@ const WorkspaceMember = require('../models/WorkspaceMember');
 const Workspace = require('../models/Workspace');
 const logger = require('../utils/logger');
 const { invalidateWorkspaceData } = require('../middleware/dataCache');
+const { isOpenSeries, toRRule } = require('../utils/recurrence');
 
 const router = express.Router();
 
@@ -97,6 +98,7 @@ const createEventHash = (task, targetCalendarId) => {
     task.completed ? '1' : '0',
     task.priority || '',
     task.contact || '',
+    isOpenSeries(task) ? toRRule(task.recurrence) : '',
     targetCalendarId || ''
   ].join('|');
   let hash = 0;
@@ -1252,6 +1254,7 @@ router.post('/sync', authenticateToken, requireWorkspace, async (req, res) => {
           dueTime: task.dueTime || '',
           completed: task.completed,
           priority: task.priority,
+          recurrence: task.recurrence,
           contact: null
         });
       }
@@ -1272,6 +1275,7 @@ router.post('/sync', authenticateToken, requireWorkspace, async (req, res) => {
               dueTime: task.dueTime || '',
               completed: task.completed,
               priority: task.priority,
+              recurrence: task.recurrence,
               contact: contact.name
             });
           }
@@ -1569,6 +1573,7 @@ router.post('/sync-task/:taskId', authenticateToken, requireWorkspace, async (re
       dueTime: task.dueTime || '',
       completed: task.completed,
       priority: task.priority,
+      recurrence: task.recurrence,
       contact: contactName
     };
 
@@ -2248,6 +2253,7 @@ function collectSubtasksForSync(subtasks, parentTitle, contactName, tasksToSync)
         dueTime: subtask.dueTime || '',
         completed: subtask.completed,
         priority: null,
+        recurrence: subtask.recurrence,
         contact: contactName
       });
     }
@@ -2362,6 +2368,11 @@ function createEventData(task) {
     // Canonical "completed" signal je teraz v extendedProperties.private.completed,
     // čo Google neinterpretuje ako delete a my môžeme spätne číst pri sync-u.
     status: 'confirmed',
+    // Opakovaný projekt: sériu nesie len otvorený výskyt, dokončené ostávajú
+    // jednorazové (ďalší výskyt má vlastný event). events.update nahrádza celý
+    // resource, takže zrušené opakovanie zmizne aj z Google. Inštancie série
+    // majú vlastné id, processCalendarChanges() ich preto nepáruje s taskom.
+    ...(isOpenSeries(task) ? { recurrence: [`RRULE:${toRRule(task.recurrence)}`] } : {}),
     // Marker so we can find our events later (bulk delete in primary calendar use-case).
     // taskId is stored too — lets us reconcile duplicates by grouping via Google Calendar's
     // `privateExtendedProperty=taskId=...` search parameter without having to trust the
@@ -2810,6 +2821,7 @@ const autoSyncTaskToCalendar = async (taskData, action) => {
             dueTime: taskData.dueTime || '',
             completed: taskData.completed,
             priority: taskData.priority,
+            recurrence: taskData.recurrence,
             contact: taskData.contactName || taskData.contact || null
           });
 
@@ -2825,6 +2837,7 @@ const autoSyncTaskToCalendar = async (taskData, action) => {
             dueTime: taskData.dueTime || '',
             completed: taskData.completed,
             priority: taskData.priority,
+            recurrence: taskData.recurrence,
             contact: taskData.contactName || taskData.contact || null
           }, targetCalendarId);
 
@@ -1,11 +1,171 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const archiver = require('archiver');
+const { v4: uuidv4 } = require('uuid');
 const { authenticateToken } = require('../middleware/auth');
 const { requireWorkspace } = require('../middleware/workspace');
 const Page = require('../models/Page');
+const PageVersion = require('../models/PageVersion');
+const PageFile = require('../models/PageFile');
+const PageTemplate = require('../models/PageTemplate');
+const PageShare = require('../models/PageShare');
+const PageThread = require('../models/PageThread');
+const User = require('../models/User');
+const WorkspaceMember = require('../models/WorkspaceMember');
+const fileStorage = require('../services/fileStorage');
+const auditService = require('../services/auditService');
+const { STORAGE_LIMITS, computeWorkspaceFileBytes } = require('../utils/storageQuota');
+const { logPlanGateHit } = require('../utils/planGate');
+const { isIosNativeApp } = require('../utils/platform');
 const logger = require('../utils/logger');
+const {
+  versionOf, matchesIfMatch, isVersionChecked, expectVersion, isVersionMismatch, setVersionHeader, sendVersionConflict
+} = require('../utils/entityVersion');
+const { PageCollabError, mutatePage, rebaseMarks, submitTextOperation } = require('../services/pageCollab');
+const { resolveMentions, notifyNewMentions, searchMentionTargets } = require('../services/pageMentions');
+const { recordVersion, isThrottled } = require('../services/pageVersions');
+const { diffToOp, isNoop } = require('../utils/textOt');
+const { diffPages } = require('../utils/pageDiff');
+const { sanitizeMarks } = require('../utils/inlineMarks');
+const { getPurgeDate } = require('../services/pageTrash');
+const {
+  PageCopyError,
+  duplicatePageTree,
+  createTemplateFromPage,
+  createPageFromTemplate,
+  deleteTemplate
+} = require('../services/pageCopy');
+const { placeholderValues } = require('../utils/pagePlaceholders');
+const { validateShareInput, createShare } = require('../services/pageShares');
+const {
+  LINKED_TYPES,
+  mentionedPageIds,
+  resolveLinkedRecord,
+  findLinkedPages,
+  findBacklinks
+} = require('../services/pageLinks');
+const {
+  PageTreeError,
+  nextSiblingOrder,
+  validateMovesInput,
+  movePages,
+  movePage
+} = require('../services/pageTree');
+const {
+  PageDatabaseError,
+  databaseOf,
+  addProperty,
+  updateProperty,
+  deleteProperty,
+  addView,
+  updateView,
+  deleteView,
+  queryRows,
+  createRow,
+  updateRow,
+  deleteRow,
+  rowsToCsv,
+  importRowsCsv
+} = require('../services/pageDatabase');
+const { defaultDatabase, normalizeFilters, normalizeSorts } = require('../utils/pageDatabase');
+const {
+  PageQuickAccessError,
+  getQuickAccess,
+  recordVisit,
+  clearRecent,
+  addFavorite,
+  removeFavorite,
+  reorderFavorites,
+  quickSwitch
+} = require('../services/pageQuickAccess');
+const { MAX_QUERY_LENGTH } = require('../utils/fuzzyMatch');
+const {
+  MAX_COMMENTS_PER_THREAD,
+  MAX_THREADS_PER_PAGE,
+  REACTION_TYPES,
+  validateCommentText,
+  validateAnchor,
+  quoteOf,
+  withoutThreadMark,
+  participantIds,
+  notifyThread
+} = require('../services/pageThreads');
+const {
+  EXPORT_FORMATS,
+  PageTransferError,
+  collectExportPages,
+  exportPage,
+  archiveFileName,
+  writeExportZip,
+  importPages
+} = require('../services/pageTransfer');
+const {
+  hasLevel,
+  levelFor,
+  isRestricted,
+  loadPageRules,
+  loadWorkspaceRules,
+  membersWithAccess,
+  subtreePageIds,
+  validatePermissionsInput
+} = require('../services/pageAccess');
+const pagePresence = require('../services/pagePresence');
+const {
+  BLOCK_TYPES,
+  MAX_BLOCK_CONTENT,
+  MAX_BLOCKS_PER_PAGE,
+  MAX_PAGE_CONTENT,
+  normalizeBlock,
+  normalizeBlocks,
+  contentToBlocks,
+  pageBlocksOf,
+  blocksToText,
+  countBlocks,
+  findBlock
+} = require('../utils/pageBlocks');
 
 const router = express.Router();
 
+// Images for image blocks — rendered inline in the editor, so only raster
+// formats a browser displays safely (no SVG: scriptable).
+const IMAGE_MIMETYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!IMAGE_MIMETYPES.includes(file.mimetype)) {
+      return cb(new Error('Povolené sú len obrázky PNG, JPEG, GIF a WebP.'));
+    }
+    cb(null, true);
+  }
+});
+
+// Markdown import — a single .md file or a ZIP of them (services/pageTransfer.js)
+const IMPORT_EXTENSION_RE = /\.(md|markdown|txt|zip)$/i;
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!IMPORT_EXTENSION_RE.test(file.originalname || '')) {
+      return cb(new Error('Importovať sa dá Markdown (.md) alebo ZIP s Markdown súbormi.'));
+    }
+    cb(null, true);
+  }
+});
+
+// Rows of a database page from CSV (services/pageDatabase.js)
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!/\.(csv|txt)$/i.test(file.originalname || '')) {
+      return cb(new Error('Importovať sa dá len súbor CSV.'));
+    }
+    cb(null, true);
+  }
+});
+
 // Validate MongoDB ObjectId format
 const isValidObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
 
@@ -16,53 +176,674 @@ const isValidObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
 //   - populates req.workspaceId with the active workspace ObjectId
 // Every query below filters by `workspaceId: req.workspaceId`, so cross-
 // workspace access is impossible even if a user guesses a page _id.
+//
+// Inside the workspace a page can be private or limited to listed members
+// (services/pageAccess.js). Routes state the level they need — 'view' to
+// read, 'edit' to change anything — and a page the caller cannot see at
+// all answers 404 like a missing one.
+//
+// Deleted pages stay in the collection until services/pageTrash.js purges
+// them; everything outside the /trash routes filters `deletedAt: null` and
+// treats a trashed page as not found.
+
+// Sets the blocks of a page being created (plain objects from
+// utils/pageBlocks) and derives the plain-text `content` from them. Existing
+// pages change blocks only through services/pageCollab (see below).
+const setPageBlocks = (page, blocks) => {
+  page.blocks = blocks;
+  page.content = blocksToText(blocks);
+  page.mentionedPageIds = mentionedPageIds(blocks);
+  page.markModified('blocks');
+};
+
+// A created page without its blocks, like the list in GET / — the sidebar
+// adds such pages as they are
+const pageSummary = (page) => {
+  const summary = page.toJSON();
+  delete summary.blocks;
+  return summary;
+};
+
+// The caller as services/pageAccess.js sees them
+const accessMember = (req) => ({ userId: req.user.id, isAdmin: req.workspaceMember.canAdmin() });
+
+// Access level of the caller to a loaded page; also returns the page's
+// rules so the route can reuse them (audience of socket events).
+const pageAccessOf = async (req, page) => {
+  const rules = await loadPageRules(page);
+  return { level: levelFor(rules, accessMember(req)), rules };
+};
+
+// Load a page from the active workspace and check the caller has at least
+// `level` on it, answering 400/403/404 itself. Sets req.pageAccess
+// ({ level, rules }). Returns null when a response has already been sent.
+const findWorkspacePage = async (req, res, level = 'view', filter = { deletedAt: null }) => {
+  if (!isValidObjectId(req.params.id)) {
+    res.status(400).json({ message: 'Neplatné ID stránky' });
+    return null;
+  }
+  const page = await Page.findOne({ _id: req.params.id, workspaceId: req.workspaceId, ...filter });
+  const access = page ? await pageAccessOf(req, page) : null;
+  if (!page || access.level === 'none') {
+    res.status(404).json({ message: 'Stránka nenájdená' });
+    return null;
+  }
+  if (!hasLevel(access.level, level)) {
+    res.status(403).json({ message: 'Na túto akciu nemáte oprávnenie', code: 'PAGE_FORBIDDEN' });
+    return null;
+  }
+  req.pageAccess = access;
+  return page;
+};
+
+// Parent for a new or moved page — the caller must be able to edit it.
+// Answers 400/403/404 itself and returns null then.
+const findEditableParent = async (req, res, parentId) => {
+  if (!isValidObjectId(String(parentId))) {
+    res.status(400).json({ message: 'Neplatné ID rodičovskej stránky' });
+    return null;
+  }
+  // Parent must live in the SAME workspace. Prevents cross-workspace
+  // nesting even if a user guesses another workspace's page _id.
+  const parentPage = await Page.findOne({ _id: parentId, workspaceId: req.workspaceId, deletedAt: null });
+  const access = parentPage ? await pageAccessOf(req, parentPage) : null;
+  if (!parentPage || access.level === 'none') {
+    res.status(404).json({ message: 'Rodičovská stránka nenájdená' });
+    return null;
+  }
+  if (!hasLevel(access.level, 'edit')) {
+    res.status(403).json({ message: 'Do tejto stránky nemôžete pridávať podstránky', code: 'PAGE_FORBIDDEN' });
+    return null;
+  }
+  return parentPage;
+};
+
+// Every change of a page's blocks goes through services/pageCollab, which
+// bumps `Page.revision` and logs the change. The resulting event is broadcast
+// to the page room — to the author's own tabs too — with the new revision, so
+// every open editor applies changes in the same order. Text edits arrive as
+// `page-op`; structural ones (create / delete / reorder / type change) use
+// their own event name, the same one stored in the log for resync.
+const emitToPage = (req, event, payload) => {
+  const io = req.app.get('io');
+  if (io) io.to(`page-${req.params.id}`).emit(event, { pageId: req.params.id, ...payload, updatedBy: req.user.id.toString() });
+};
+
+const mutatePageBlocks = (req, event, mutate) => mutatePage({
+  pageId: req.params.id,
+  workspaceId: req.workspaceId,
+  userId: req.user.id,
+  kind: 'structure',
+  event,
+  mutate,
+  onCommitted: ({ revision, entry }) => emitToPage(req, event, { ...entry.data, revision })
+});
+
+// PageCollabError carries its own status (404 block, 409 conflict, …).
+// PageCopyError (services/pageCopy) has the same shape.
+const sendCollabError = (res, error) =>
+  res.status(error.statusCode).json({ message: error.message, code: error.code });
+
+// A version-checked write matched nothing — someone changed the page after
+// it was loaded. Answers with the stored page, as the If-Match check does.
+const sendStoredPageConflict = async (req, res) => {
+  const current = await Page.findOne({ _id: req.params.id, workspaceId: req.workspaceId, deletedAt: null });
+  if (!current) return res.status(404).json({ message: 'Stránka nenájdená' });
+  return sendVersionConflict(res, { ...current.toJSON(), version: versionOf(current) });
+};
+
+// Workspace-wide page events (page-created, page-updated, …) carry page
+// data, so they go to the whole workspace room only for pages without
+// restrictions — otherwise just to the members who can see the page.
+const emitToPageAudience = async (req, event, payload, rules) => {
+  const io = req.app.get('io');
+  if (!io) return;
+  if (!isRestricted(rules)) {
+    io.to(`workspace-${req.workspaceId}`).emit(event, payload);
+    return;
+  }
+  const userIds = await membersWithAccess(req.workspaceId, rules);
+  if (userIds.length > 0) io.to(userIds.map(id => `user-${id}`)).emit(event, payload);
+};
+
+// Announce new pages so every member's sidebar updates, not just the
+// author (it's a collaborative workspace resource).
+const emitPageCreated = async (req, page) => {
+  await emitToPageAudience(req, 'page-created', page, await loadPageRules(page));
+};
 
-// GET /api/pages — list all pages in the active workspace
+// Who can see a subtree changed (permissions, visibility or a move). Open
+// editors of those pages are dropped from their page rooms, so they have
+// to join again through the socket access check (canAccessPage in
+// index.js); sidebars get the ids to reload the page list. Viewers who lost
+// access leave the presence list (and their carets) right away.
+const emitAccessChanged = async (req, page) => {
+  const io = req.app.get('io');
+  if (!io) return;
+  const pageIds = await subtreePageIds(page);
+  const rules = await loadWorkspaceRules(req.workspaceId);
+  for (const pageId of pageIds) {
+    const viewerIds = (await pagePresence.getViewers(pageId)).map(viewer => viewer.userId);
+    if (viewerIds.length === 0) continue;
+    const allowed = new Set(await membersWithAccess(req.workspaceId, rules.get(pageId), viewerIds));
+    const revoked = viewerIds.filter(userId => !allowed.has(userId));
+    if (revoked.length === 0) continue;
+    await pagePresence.removeUsers(pageId, revoked);
+    for (const userId of revoked) {
+      io.to(`page-${pageId}`).emit('cursor-moved', { pageId, userId, position: null });
+    }
+    io.to(`page-${pageId}`).emit('page-presence', { pageId, viewers: await pagePresence.getViewers(pageId) });
+  }
+  const rooms = pageIds.map(id => `page-${id}`);
+  io.to(rooms).emit('page-access-changed', { pageIds });
+  io.in(rooms).socketsLeave(rooms);
+  io.to(`workspace-${req.workspaceId}`).emit('page-access-changed', { pageIds });
+};
+
+// Sidebars apply bulk moves live ('pages-moved'). Moves of restricted pages
+// only go to the members who see them; a page under a new parent may have
+// new inherited access, so those are announced like any other move.
+const emitPagesMoved = async (req, moves, reparentedIds) => {
+  const io = req.app.get('io');
+  if (!io) return;
+  const reparented = reparentedIds.length > 0
+    ? await Page.find({ _id: { $in: reparentedIds }, workspaceId: req.workspaceId })
+    : [];
+  for (const page of reparented) await emitAccessChanged(req, page);
+
+  const rules = await loadWorkspaceRules(req.workspaceId);
+  const updatedBy = req.user.id.toString();
+  const open = moves.filter(m => !isRestricted(rules.get(m.id)));
+  if (open.length > 0) io.to(`workspace-${req.workspaceId}`).emit('pages-moved', { moves: open, updatedBy });
+  for (const move of moves.filter(m => isRestricted(rules.get(m.id)))) {
+    await emitToPageAudience(req, 'pages-moved', { moves: [move], updatedBy }, rules.get(move.id));
+  }
+};
+
+// GET /api/pages — list the pages of the active workspace the caller can
+// see, each with their `access` level, in tree order (siblings by `order`).
+// Blocks and database schemas are left out — the sidebar tree only needs
+// title/icon/parentId/kind and the editor loads a single page with GET /:id.
 router.get('/', authenticateToken, requireWorkspace, async (req, res) => {
   try {
-    const pages = await Page.find({ workspaceId: req.workspaceId }).sort({ updatedAt: -1 });
-    res.json(pages);
+    const [pages, rules] = await Promise.all([
+      Page.find({ workspaceId: req.workspaceId, deletedAt: null }).select('-blocks -database').sort({ order: 1, createdAt: 1 }),
+      loadWorkspaceRules(req.workspaceId)
+    ]);
+    const member = accessMember(req);
+    const visible = [];
+    for (const page of pages) {
+      const access = levelFor(rules.get(page._id.toString()), member);
+      if (access !== 'none') visible.push({ ...page.toJSON(), access });
+    }
+    res.json(visible);
   } catch (error) {
     logger.error('GET /pages error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
     res.status(500).json({ message: 'Chyba servera' });
   }
 });
 
-// GET /api/pages/:id — single page (must be in active workspace)
-router.get('/:id', authenticateToken, requireWorkspace, async (req, res) => {
+// GET /api/pages/mentions?trigger=@|#&q= — suggestions for a mention typed
+// in the editor: '@' finds workspace members, '#' contacts, projects and
+// pages the caller can see. Registered before /:id so "mentions" is not
+// taken for a page id.
+router.get('/mentions', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const kinds = req.query.trigger === '#' ? ['contact', 'task', 'page'] : ['user'];
+    const results = await searchMentionTargets(req.workspaceId, req.query.q, kinds, accessMember(req));
+    res.json(results);
+  } catch (error) {
+    logger.error('GET /pages/mentions error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// GET /api/pages/by-linked?linkedType=contact|task&linkedId= — pages linked
+// to a contact or project (its detail lists them), only those the caller
+// can see. Registered before /:id like /mentions.
+router.get('/by-linked', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const { linkedType, linkedId } = req.query;
+    if (!LINKED_TYPES.includes(linkedType) || !linkedId) {
+      return res.status(400).json({ message: 'linkedType a linkedId sú povinné' });
+    }
+    const pages = await findLinkedPages(req.workspaceId, accessMember(req), linkedType, linkedId);
+    res.json(pages);
+  } catch (error) {
+    logger.error('GET /pages/by-linked error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// PUT /api/pages/move — { moves: [{ id, parentId, order }] } — drag and drop
+// in the sidebar tree; the client sends every sibling it renumbered. All
+// moves are checked before any is written (access, parents, no page under
+// its own subtree). Registered before /:id so "move" is not taken for a
+// page id.
+router.put('/move', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const input = validateMovesInput(req.body.moves);
+    if (input.error) {
+      return res.status(400).json({ message: input.error });
+    }
+
+    const { moves, reparentedIds } = await movePages({
+      workspaceId: req.workspaceId,
+      member: accessMember(req),
+      moves: input.value
+    });
+    await emitPagesMoved(req, moves, reparentedIds);
+
+    res.json({ moves });
+  } catch (error) {
+    if (error instanceof PageTreeError) return sendCollabError(res, error);
+    logger.error('PUT /pages/move error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// ─── Favorites & recent ──────────────────────────────────────────────────
+// Per-user lists in the active workspace (services/pageQuickAccess.js), so
+// the web and the mobile apps show the same ones. Visits are recorded by
+// GET /:id. Registered before /:id so "favorites", "recent" and
+// "quick-access" are not taken for a page id.
+
+// GET /api/pages/quick-access — { favorites, recent } of the caller, only
+// pages they can see
+router.get('/quick-access', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    res.json(await getQuickAccess({ workspaceId: req.workspaceId, userId: req.user.id, member: accessMember(req) }));
+  } catch (error) {
+    logger.error('GET /pages/quick-access error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// GET /api/pages/quick-switch?q=&limit= — pages whose title fuzzy-matches
+// `q`, best first (favorites and recent visits rank higher). Without `q`
+// the recent pages and favorites.
+router.get('/quick-switch', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const results = await quickSwitch({
+      workspaceId: req.workspaceId,
+      userId: req.user.id,
+      member: accessMember(req),
+      query: String(req.query.q || '').substring(0, MAX_QUERY_LENGTH),
+      limit: req.query.limit
+    });
+    res.json(results);
+  } catch (error) {
+    logger.error('GET /pages/quick-switch error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// PUT /api/pages/favorites — { pageIds } in the new order
+router.put('/favorites', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    await reorderFavorites({ workspaceId: req.workspaceId, userId: req.user.id, pageIds: req.body.pageIds });
+    res.json(await getQuickAccess({ workspaceId: req.workspaceId, userId: req.user.id, member: accessMember(req) }));
+  } catch (error) {
+    if (error instanceof PageQuickAccessError) return sendCollabError(res, error);
+    logger.error('PUT /pages/favorites error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// DELETE /api/pages/recent — forget the recently visited pages
+router.delete('/recent', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    await clearRecent({ workspaceId: req.workspaceId, userId: req.user.id });
+    res.json({ message: 'Naposledy navštívené stránky boli vymazané' });
+  } catch (error) {
+    logger.error('DELETE /pages/recent error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// ─── Templates ───────────────────────────────────────────────────────────
+// Workspace-level page templates (models/PageTemplate.js). Any member can
+// save a page as a template and create pages from one; renaming and deleting
+// is up to the author or a workspace admin. Registered before /:id so
+// "templates" is not taken for a page id.
+
+// Load a template from the active workspace, answering 400/404 itself.
+const findWorkspaceTemplate = async (req, res, templateId) => {
+  if (!isValidObjectId(templateId)) {
+    res.status(400).json({ message: 'Neplatné ID šablóny' });
+    return null;
+  }
+  const template = await PageTemplate.findOne({ _id: templateId, workspaceId: req.workspaceId });
+  if (!template) {
+    res.status(404).json({ message: 'Šablóna nenájdená' });
+    return null;
+  }
+  return template;
+};
+
+const canManageTemplate = (req, template) =>
+  template.createdBy.toString() === req.user.id.toString() || req.workspaceMember.canAdmin();
+
+// GET /api/pages/templates — templates of the active workspace, by name.
+// Blocks are left out — the picker only lists them.
+router.get('/templates', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const templates = await PageTemplate.find({ workspaceId: req.workspaceId })
+      .select('-blocks')
+      .sort({ name: 1 });
+    res.json(templates);
+  } catch (error) {
+    logger.error('GET /pages/templates error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// POST /api/pages/templates — save a page as a template
+// Body: { pageId, name, description? }
+router.post('/templates', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const { pageId, description } = req.body;
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!isValidObjectId(String(pageId || ''))) {
+      return res.status(400).json({ message: 'Neplatné ID stránky' });
+    }
+    if (!name) {
+      return res.status(400).json({ message: 'Názov šablóny je povinný' });
+    }
+
+    const page = await Page.findOne({ _id: pageId, workspaceId: req.workspaceId, deletedAt: null });
+    if (!page || (await pageAccessOf(req, page)).level === 'none') {
+      return res.status(404).json({ message: 'Stránka nenájdená' });
+    }
+
+    const template = await createTemplateFromPage({
+      page,
+      workspaceId: req.workspaceId,
+      userId: req.user.id,
+      name: name.substring(0, 200),
+      description: description ? String(description).substring(0, 1000) : ''
+    });
+
+    res.status(201).json(template);
+  } catch (error) {
+    logger.error('POST /pages/templates error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// GET /api/pages/templates/:templateId — one template with its blocks (preview)
+router.get('/templates/:templateId', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const template = await findWorkspaceTemplate(req, res, req.params.templateId);
+    if (!template) return;
+    res.json(template);
+  } catch (error) {
+    logger.error('GET /pages/templates/:templateId error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// PUT /api/pages/templates/:templateId — rename / describe (author or admin)
+router.put('/templates/:templateId', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const template = await findWorkspaceTemplate(req, res, req.params.templateId);
+    if (!template) return;
+    if (!canManageTemplate(req, template)) {
+      return res.status(403).json({ message: 'Šablónu môže upraviť len jej autor alebo správca workspace' });
+    }
+
+    const { name, description } = req.body;
+    if (name !== undefined) {
+      const trimmed = String(name).trim();
+      if (!trimmed) {
+        return res.status(400).json({ message: 'Názov šablóny je povinný' });
+      }
+      template.name = trimmed.substring(0, 200);
+    }
+    if (description !== undefined) template.description = String(description).substring(0, 1000);
+    await template.save();
+
+    res.json(template);
+  } catch (error) {
+    logger.error('PUT /pages/templates/:templateId error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// DELETE /api/pages/templates/:templateId — author or admin. Pages created
+// from the template are not affected.
+router.delete('/templates/:templateId', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const template = await findWorkspaceTemplate(req, res, req.params.templateId);
+    if (!template) return;
+    if (!canManageTemplate(req, template)) {
+      return res.status(403).json({ message: 'Šablónu môže zmazať len jej autor alebo správca workspace' });
+    }
+
+    await deleteTemplate(template);
+    res.json({ message: 'Šablóna bola zmazaná' });
+  } catch (error) {
+    logger.error('DELETE /pages/templates/:templateId error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// ─── Trash ───────────────────────────────────────────────────────────────
+// One trash entry per deletion: the page the user deleted, with the number
+// of pages in its subtree. Registered before /:id so "trash" is not taken
+// for a page id.
+
+// GET /api/pages/trash — deletions in the active workspace the caller can
+// see, newest first
+router.get('/trash', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const [trashed, rules] = await Promise.all([
+      Page.find({ workspaceId: req.workspaceId, trashRootId: { $ne: null } }, { _id: 1, trashRootId: 1 }).lean(),
+      loadWorkspaceRules(req.workspaceId)
+    ]);
+    const member = accessMember(req);
+    const canSee = (id) => levelFor(rules.get(id.toString()), member) !== 'none';
+
+    // pageCount only covers the pages of the deletion the caller can see —
+    // a restricted subpage is not revealed even by its count
+    const pageCounts = new Map();
+    for (const page of trashed) {
+      if (!canSee(page._id)) continue;
+      const rootId = page.trashRootId.toString();
+      pageCounts.set(rootId, (pageCounts.get(rootId) || 0) + 1);
+    }
+
+    const roots = await Page.find({ _id: { $in: [...pageCounts.keys()] }, workspaceId: req.workspaceId })
+      .select('-blocks -content')
+      .populate('deletedBy', 'username color avatar')
+      .sort({ deletedAt: -1 });
+    const visible = roots.filter(root => canSee(root._id));
+
+    res.json(visible.map(root => ({
+      ...root.toJSON(),
+      pageCount: pageCounts.get(root._id.toString()),
+      purgeAt: getPurgeDate(root.deletedAt)
+    })));
+  } catch (error) {
+    logger.error('GET /pages/trash error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// POST /api/pages/trash/:id/restore — bring back a whole deletion. The
+// subtree returns under its original parent, or to the top level when that
+// parent is gone or in the trash itself.
+router.post('/trash/:id/restore', authenticateToken, requireWorkspace, async (req, res) => {
   try {
     if (!isValidObjectId(req.params.id)) {
       return res.status(400).json({ message: 'Neplatné ID stránky' });
     }
 
-    const page = await Page.findOne({ _id: req.params.id, workspaceId: req.workspaceId });
+    const root = await findWorkspacePage(req, res, 'edit', { trashRootId: req.params.id });
+    if (!root) return;
 
-    if (!page) {
-      return res.status(404).json({ message: 'Stránka nenájdená' });
+    if (root.parentId) {
+      const parentExists = await Page.exists({ _id: root.parentId, workspaceId: req.workspaceId, deletedAt: null });
+      if (!parentExists) {
+        await Page.updateOne({ _id: root._id, workspaceId: req.workspaceId }, { $set: { parentId: null } });
+      }
     }
 
-    res.json(page);
+    const restoredIds = (await Page.find(
+      { workspaceId: req.workspaceId, trashRootId: root._id },
+      { _id: 1 }
+    ).lean()).map(p => p._id);
+    await Page.updateMany(
+      { _id: { $in: restoredIds }, workspaceId: req.workspaceId },
+      { $set: { deletedAt: null, deletedBy: null, trashRootId: null } }
+    );
+
+    const pages = await Page.find({ _id: { $in: restoredIds }, workspaceId: req.workspaceId }).select('-blocks');
+
+    // A restored subtree can mix restrictions (a private page inside a
+    // shared one) — every member gets only the pages they can see.
+    const io = req.app.get('io');
+    if (io) {
+      const rules = await loadWorkspaceRules(req.workspaceId);
+      const pageRules = pages.map(page => rules.get(page._id.toString()));
+      if (!pageRules.some(isRestricted)) {
+        io.to(`workspace-${req.workspaceId}`).emit('page-restored', { pageId: req.params.id, pages });
+      } else {
+        const members = await WorkspaceMember.find({ workspaceId: req.workspaceId }, 'userId role');
+        for (const member of members) {
+          const context = { userId: member.userId, isAdmin: member.canAdmin() };
+          const visible = pages.filter((page, i) => levelFor(pageRules[i], context) !== 'none');
+          if (visible.length > 0) io.to(`user-${member.userId}`).emit('page-restored', { pageId: req.params.id, pages: visible });
+        }
+      }
+    }
+
+    res.json(pages);
+  } catch (error) {
+    logger.error('POST /pages/trash/:id/restore error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// GET /api/pages/:id — single page (must be in active workspace and
+// visible to the caller). `access` is the caller's level, `canManageAccess`
+// whether they may change the page's permissions.
+router.get('/:id', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'view');
+    if (!page) return;
+
+    // Opening a page is a visit (recent pages); a failed write must not
+    // keep the page from loading
+    const favorite = await recordVisit({ workspaceId: req.workspaceId, userId: req.user.id, pageId: page._id })
+      .catch((error) => {
+        logger.warn('[Pages] Recording a visit failed', { error: error.message, userId: req.user.id });
+        return false;
+      });
+
+    const version = versionOf(page);
+    setVersionHeader(res, version);
+    res.json({
+      ...page.toJSON(),
+      // Pages saved before block storage (only `content`) are converted for
+      // the response only — the first edit or scripts/migratePageBlocks.js
+      // stores the blocks, opening a page writes nothing
+      blocks: pageBlocksOf(page),
+      version,
+      access: req.pageAccess.level,
+      canManageAccess: canManageAccess(req, page),
+      favorite
+    });
   } catch (error) {
     logger.error('GET /pages/:id error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
     res.status(500).json({ message: 'Chyba servera' });
   }
 });
 
-// POST /api/pages — create a page in the active workspace
+// GET /api/pages/:id/backlinks — pages mentioning this one (#page mention),
+// only those the caller can see
+router.get('/:id/backlinks', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'view');
+    if (!page) return;
+
+    const pages = await findBacklinks(req.workspaceId, accessMember(req), page._id);
+    res.json(pages);
+  } catch (error) {
+    logger.error('GET /pages/:id/backlinks error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// POST /api/pages/:id/favorite — add the page to the caller's favorites
+router.post('/:id/favorite', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'view');
+    if (!page) return;
+
+    await addFavorite({ workspaceId: req.workspaceId, userId: req.user.id, pageId: page._id });
+    res.status(201).json(await getQuickAccess({ workspaceId: req.workspaceId, userId: req.user.id, member: accessMember(req) }));
+  } catch (error) {
+    if (error instanceof PageQuickAccessError) return sendCollabError(res, error);
+    logger.error('POST /pages/:id/favorite error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// DELETE /api/pages/:id/favorite — also for a page the caller can no
+// longer open, so it can be dropped from the list
+router.delete('/:id/favorite', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Neplatné ID stránky' });
+    }
+    await removeFavorite({ workspaceId: req.workspaceId, userId: req.user.id, pageId: req.params.id });
+    res.json(await getQuickAccess({ workspaceId: req.workspaceId, userId: req.user.id, member: accessMember(req) }));
+  } catch (error) {
+    logger.error('DELETE /pages/:id/favorite error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// POST /api/pages — create a page in the active workspace. `kind:
+// 'database'` makes a database page with a title property and a table view.
 router.post('/', authenticateToken, requireWorkspace, async (req, res) => {
   try {
-    const { title, icon, parentId, content } = req.body;
+    const { title, icon, parentId, content, blocks, templateId, kind } = req.body;
+    if (kind !== undefined && kind !== 'document' && kind !== 'database') {
+      return res.status(400).json({ message: 'Neplatný druh stránky' });
+    }
 
-    if (parentId) {
-      if (!isValidObjectId(parentId)) {
-        return res.status(400).json({ message: 'Neplatné ID rodičovskej stránky' });
-      }
-      // Parent must live in the SAME workspace. Prevents cross-workspace
-      // nesting even if a user guesses another workspace's page _id.
-      const parentPage = await Page.findOne({ _id: parentId, workspaceId: req.workspaceId });
-      if (!parentPage) {
-        return res.status(404).json({ message: 'Rodičovská stránka nenájdená' });
+    let initialBlocks = null;
+    if (blocks !== undefined) {
+      const result = normalizeBlocks(blocks);
+      if (result.error) {
+        return res.status(400).json({ message: result.error });
       }
+      initialBlocks = result.blocks.length > 0 ? result.blocks : contentToBlocks('');
+    }
+
+    if (parentId) {
+      const parentPage = await findEditableParent(req, res, parentId);
+      if (!parentPage) return;
+    }
+
+    // From a template: its title, icon and blocks with placeholders filled in
+    // ({{date}}, {{creator}}, … — utils/pagePlaceholders.js). `title` wins
+    // over the template's title when given.
+    if (templateId !== undefined && templateId !== null) {
+      const template = await findWorkspaceTemplate(req, res, String(templateId));
+      if (!template) return;
+      const created = await createPageFromTemplate({
+        template,
+        workspaceId: req.workspaceId,
+        userId: req.user.id,
+        parentId: parentId || null,
+        title,
+        values: placeholderValues({ creator: req.user.username, workspace: req.workspace.name })
+      });
+      await emitPageCreated(req, created);
+      return res.status(201).json(created);
     }
 
     const page = new Page({
@@ -71,83 +852,164 @@ router.post('/', authenticateToken, requireWorkspace, async (req, res) => {
       title: title ? String(title).substring(0, 500) : 'Untitled',
       icon: icon || null,
       parentId: parentId || null,
-      content: content ? String(content).substring(0, 500000) : ''
+      order: await nextSiblingOrder(req.workspaceId, parentId),
+      kind: kind || 'document',
+      database: kind === 'database' ? defaultDatabase() : null
     });
+    if (initialBlocks) {
+      setPageBlocks(page, initialBlocks);
+    } else {
+      // Legacy clients send only `content` — keep it verbatim and split it
+      // into paragraph blocks for the editor.
+      page.content = content ? String(content).substring(0, MAX_PAGE_CONTENT) : '';
+      page.blocks = contentToBlocks(page.content);
+    }
 
     await page.save();
 
-    // Broadcast to the whole workspace room so every member's client updates,
-    // not just the author (it's a collaborative workspace resource).
-    const io = req.app.get('io');
-    if (io) io.to(`workspace-${req.workspaceId}`).emit('page-created', page);
+    await emitPageCreated(req, page);
 
     res.status(201).json(page);
   } catch (error) {
+    if (error instanceof PageCopyError) return sendCollabError(res, error);
     logger.error('POST /pages error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
     res.status(500).json({ message: 'Chyba servera' });
   }
 });
 
-// PUT /api/pages/:id — update page (any workspace member can edit)
+// PUT /api/pages/:id — update page (members with edit access). Moving it
+// needs edit access to the new parent too (not one of its own subpages),
+// and re-applies inherited access.
 router.put('/:id', authenticateToken, requireWorkspace, async (req, res) => {
   try {
-    if (!isValidObjectId(req.params.id)) {
-      return res.status(400).json({ message: 'Neplatné ID stránky' });
+    let page = await findWorkspacePage(req, res, 'edit');
+    if (!page) return;
+
+    // If-Match: the caller edited an older version — nothing is written, the
+    // current page comes back for merging (utils/entityVersion.js). Block
+    // edits bump the version too, so the open editor does not send it.
+    if (!matchesIfMatch(req, versionOf(page))) {
+      return sendVersionConflict(res, { ...page.toJSON(), version: versionOf(page) });
     }
+    // ...and the writes below only apply to that version
+    const expected = isVersionChecked(req) ? versionOf(page) : null;
+    expectVersion(req, page);
 
-    const page = await Page.findOne({ _id: req.params.id, workspaceId: req.workspaceId });
+    const { title, icon, content, blocks, parentId, linkedType, linkedId } = req.body;
+    // Pre-edit state for the version history — skipped while this editor's
+    // history writes are throttled (the title field saves on every keystroke).
+    const before = isThrottled(page._id, req.user.id) ? null : page.toObject();
 
-    if (!page) {
-      return res.status(404).json({ message: 'Stránka nenájdená' });
+    // Full replacement of the content — validated up front, written below as
+    // a `snapshot` revision (open editors drop their state and reload it).
+    let snapshot = null;
+    if (blocks !== undefined) {
+      const result = normalizeBlocks(blocks);
+      if (result.error) {
+        return res.status(400).json({ message: result.error });
+      }
+      const nextBlocks = result.blocks.length > 0 ? result.blocks : contentToBlocks('');
+      snapshot = { blocks: nextBlocks };
+    } else if (content !== undefined) {
+      const nextContent = String(content).substring(0, MAX_PAGE_CONTENT);
+      snapshot = { blocks: contentToBlocks(nextContent), content: nextContent };
     }
 
-    const { title, icon, content, parentId } = req.body;
+    // Link to a contact / project — the name is taken from the record
+    let linked = null;
+    if (linkedType !== undefined) {
+      const result = await resolveLinkedRecord(req.workspaceId, linkedType, linkedId);
+      if (result.error) {
+        return res.status(400).json({ message: result.error });
+      }
+      linked = result.value;
+    }
 
+    const previousPlace = { parentId: page.parentId, order: page.order };
     if (title !== undefined) page.title = String(title).substring(0, 500);
     if (icon !== undefined) page.icon = icon;
-    if (content !== undefined) page.content = String(content).substring(0, 500000);
+    if (linked) Object.assign(page, linked);
     if (parentId !== undefined) {
       if (parentId === null) {
         page.parentId = null;
       } else {
-        if (!isValidObjectId(parentId)) {
-          return res.status(400).json({ message: 'Neplatné ID rodičovskej stránky' });
-        }
-        // Reparent must stay inside the same workspace.
-        const parentPage = await Page.findOne({ _id: parentId, workspaceId: req.workspaceId });
-        if (!parentPage) {
-          return res.status(404).json({ message: 'Rodičovská stránka nenájdená' });
-        }
+        const parentPage = await findEditableParent(req, res, parentId);
+        if (!parentPage) return;
         page.parentId = parentId;
       }
     }
 
-    await page.save();
+    const metaChanged = page.isModified('title') || page.isModified('icon');
+    const moved = page.isModified('parentId');
 
-    const io = req.app.get('io');
-    if (io) io.to(`workspace-${req.workspaceId}`).emit('page-updated', page);
+    const write = async () => {
+      // A moved page goes to the end of its new siblings
+      if (moved) page.order = await nextSiblingOrder(req.workspaceId, page.parentId);
 
-    res.json(page);
+      if (snapshot) {
+        // The snapshot commits through pageCollab — title, icon, link and
+        // parent go into that same write, and the version is compared inside
+        // it, so a conflict leaves the whole page as it was.
+        const fields = Object.fromEntries(page.directModifiedPaths().map(path => [path, page.get(path)]));
+        const { page: updated, revision } = await mutatePage({
+          pageId: page._id,
+          workspaceId: req.workspaceId,
+          userId: req.user.id,
+          kind: 'snapshot',
+          mutate: (blocks, current) => {
+            if (expected && versionOf(current) !== expected) {
+              throw new PageCollabError('VERSION_CONFLICT', 'Záznam medzitým upravil niekto iný', 409);
+            }
+            return { ...snapshot, fields };
+          }
+        });
+        emitToPage(req, 'page-sync', { type: 'snapshot', revision, title: updated.title, blocks: updated.toObject().blocks });
+        page = updated;
+      } else if (page.isModified()) {
+        await page.save();
+        // Block changes are versioned by services/pageCollab; title / icon here.
+        if (metaChanged) await recordVersion({ before, after: page, userId: req.user.id });
+      }
+    };
+
+    // Moves of one workspace run one after another; the page may not end up
+    // under its own subtree, checked again after the write (services/pageTree.js)
+    if (moved) {
+      await movePage({
+        workspaceId: req.workspaceId,
+        pageId: page._id,
+        parentId: page.parentId ? page.parentId.toString() : null,
+        previous: previousPlace,
+        write
+      });
+    } else {
+      await write();
+    }
+
+    if (moved) await emitAccessChanged(req, page);
+    await emitToPageAudience(req, 'page-updated', page, moved ? await loadPageRules(page) : req.pageAccess.rules);
+
+    const version = versionOf(page);
+    setVersionHeader(res, version);
+    res.json({ ...page.toJSON(), version });
   } catch (error) {
+    if (isVersionMismatch(error) || error.code === 'VERSION_CONFLICT') return sendStoredPageConflict(req, res);
+    if (error instanceof PageCollabError || error instanceof PageTreeError) return sendCollabError(res, error);
     logger.error('PUT /pages/:id error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
     res.status(500).json({ message: 'Chyba servera' });
   }
 });
 
-// DELETE /api/pages/:id — delete page + its subtree (scoped to workspace)
+// DELETE /api/pages/:id — move page + its subtree to the trash (scoped to
+// workspace). Restorable via POST /trash/:id/restore until purged.
 router.delete('/:id', authenticateToken, requireWorkspace, async (req, res) => {
   try {
-    if (!isValidObjectId(req.params.id)) {
-      return res.status(400).json({ message: 'Neplatné ID stránky' });
-    }
+    const page = await findWorkspacePage(req, res, 'edit');
+    if (!page) return;
 
-    const page = await Page.findOne({ _id: req.params.id, workspaceId: req.workspaceId });
-
-    if (!page) {
-      return res.status(404).json({ message: 'Stránka nenájdená' });
-    }
-
-    // Iterative BFS to collect every descendant ID, then a single deleteMany.
+    // Iterative BFS to collect every descendant ID, then a single updateMany.
+    // Descendants already in the trash belong to their own deletion and are
+    // skipped (their subtree was trashed with them).
     // Replaces the previous recursive per-node delete that could:
     //   - blow the call stack on deep trees
     //   - issue N sequential DB round-trips (one per node) → request timeout
@@ -159,7 +1021,7 @@ router.delete('/:id', authenticateToken, requireWorkspace, async (req, res) => {
     const maxDepth = 50;
     for (let depth = 0; depth < maxDepth && frontier.length > 0; depth++) {
       const children = await Page.find(
-        { parentId: { $in: frontier }, workspaceId: req.workspaceId },
+        { parentId: { $in: frontier }, workspaceId: req.workspaceId, deletedAt: null },
         { _id: 1 }
       ).lean();
       if (children.length === 0) break;
@@ -167,18 +1029,1555 @@ router.delete('/:id', authenticateToken, requireWorkspace, async (req, res) => {
       idsToDelete.push(...frontier);
     }
 
-    // Single atomic deleteMany — workspace filter included so we never reach
+    // The whole subtree goes to the trash, so the caller must be able to edit
+    // every page in it — a private or restricted child they cannot see (or
+    // only read) would otherwise be trashed behind its owner's back.
+    if (idsToDelete.length > 1) {
+      const rules = await loadWorkspaceRules(req.workspaceId);
+      const member = accessMember(req);
+      const locked = idsToDelete.some(id => levelFor(rules.get(id.toString()), member) !== 'edit');
+      if (locked) {
+        return res.status(403).json({
+          message: 'Stránka obsahuje podstránky, ktoré nemôžete upravovať',
+          code: 'PAGE_FORBIDDEN'
+        });
+      }
+    }
+
+    // Single atomic updateMany — workspace filter included so we never reach
     // outside the scoped data even if idsToDelete were somehow contaminated.
-    await Page.deleteMany({ _id: { $in: idsToDelete }, workspaceId: req.workspaceId });
+    // The operation log and versions stay until the purge.
+    await Page.updateMany(
+      { _id: { $in: idsToDelete }, workspaceId: req.workspaceId, deletedAt: null },
+      { $set: { deletedAt: new Date(), deletedBy: req.user.id, trashRootId: page._id } }
+    );
 
-    const io = req.app.get('io');
-    if (io) io.to(`workspace-${req.workspaceId}`).emit('page-deleted', { pageId: req.params.id });
+    // Child pages are visible to at most the root's audience
+    await emitToPageAudience(req, 'page-deleted', { pageId: req.params.id }, req.pageAccess.rules);
 
-    res.json({ message: 'Stránka bola vymazaná' });
+    res.json({ message: 'Stránka bola presunutá do koša' });
   } catch (error) {
     logger.error('DELETE /pages/:id error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
     res.status(500).json({ message: 'Chyba servera' });
   }
 });
 
+// POST /api/pages/:id/duplicate — deep copy of a page with all its child
+// pages (services/pageCopy.js). Answers { page, pages }: the copied root
+// with blocks and every new page without them. The copy goes next to the original unless
+// `parentId` says otherwise (null = top level); it must stay in the same
+// workspace and cannot go into the original's own subtree. Child pages the
+// caller cannot see are left out; copies keep the originals' permissions.
+router.post('/:id/duplicate', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'view');
+    if (!page) return;
+
+    const { parentId } = req.body;
+    const targetParentId = parentId === undefined ? page.parentId : parentId;
+    if (targetParentId) {
+      const parentPage = await findEditableParent(req, res, targetParentId);
+      if (!parentPage) return;
+    }
+
+    const rules = await loadWorkspaceRules(req.workspaceId);
+    const member = accessMember(req);
+    const { root, pages } = await duplicatePageTree({
+      page,
+      workspaceId: req.workspaceId,
+      userId: req.user.id,
+      parentId,
+      isVisible: (source) => levelFor(rules.get(source._id.toString()), member) !== 'none'
+    });
+
+    for (const created of pages) await emitPageCreated(req, created);
+
+    res.status(201).json({ page: root, pages: pages.map(pageSummary) });
+  } catch (error) {
+    if (error instanceof PageCopyError) return sendCollabError(res, error);
+    logger.error('POST /pages/:id/duplicate error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// ─── Import / export ─────────────────────────────────────────────────────
+// Pages in and out as Markdown, HTML or PDF (services/pageTransfer.js).
+
+// Download header with a UTF-8 file name and a plain ASCII fallback
+const attachmentHeader = (filename) => {
+  const fallback = filename.normalize('NFD').replace(/[^\x20-\x7e]/g, '').replace(/["\\]/g, '') || 'export';
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+const auditTransfer = (req, action, page, details) => {
+  auditService.logAction({
+    userId: req.user.id,
+    username: req.user.username,
+    email: req.user.email,
+    action,
+    category: 'page',
+    targetType: 'page',
+    targetId: page._id.toString(),
+    targetName: page.title,
+    details,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    workspaceId: req.workspaceId
+  });
+};
+
+// POST /api/pages/import — multipart field `file`: a Markdown file becomes
+// one page, a ZIP of Markdown files a page tree following its folders.
+// Optional `parentId` (form field) puts the imported pages under a page the
+// caller can edit. Answers { page, pages, truncated } like duplicate.
+router.post('/import', authenticateToken, requireWorkspace, (req, res) => {
+  importUpload.single('file')(req, res, async (err) => {
+    if (err) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({ message: 'Súbor je príliš veľký. Maximum je 10 MB.', code: 'IMPORT_TOO_LARGE' });
+      }
+      return res.status(400).json({ message: err.message, code: 'INVALID_FILE' });
+    }
+    if (!req.file) return res.status(400).json({ message: 'Žiadny súbor', code: 'INVALID_FILE' });
+
+    try {
+      const parentId = req.body.parentId || null;
+      if (parentId) {
+        const parentPage = await findEditableParent(req, res, parentId);
+        if (!parentPage) return;
+      }
+
+      const { root, pages, truncated } = await importPages({
+        file: req.file,
+        workspaceId: req.workspaceId,
+        userId: req.user.id,
+        parentId
+      });
+
+      for (const created of pages) await emitPageCreated(req, created);
+      auditTransfer(req, 'page.imported', root, {
+        fileName: req.file.originalname.substring(0, 200),
+        pageCount: pages.length
+      });
+
+      res.status(201).json({ page: root, pages: pages.map(pageSummary), truncated });
+    } catch (error) {
+      if (error instanceof PageTransferError) return sendCollabError(res, error);
+      logger.error('POST /pages/import error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+      res.status(500).json({ message: 'Chyba servera' });
+    }
+  });
+});
+
+// GET /api/pages/:id/export?format=md|html|pdf&subpages=true — the page as
+// a file to download. With `subpages` the page and its subtree come as a
+// ZIP streamed straight into the response, one file per page; child pages
+// the caller cannot see are left out.
+router.get('/:id/export', authenticateToken, requireWorkspace, async (req, res) => {
+  const format = req.query.format === undefined ? 'md' : String(req.query.format);
+  if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+    return res.status(400).json({ message: 'Neplatný formát exportu', code: 'INVALID_FORMAT' });
+  }
+
+  let archive = null;
+  try {
+    const page = await findWorkspacePage(req, res, 'view');
+    if (!page) return;
+
+    if (req.query.subpages !== 'true' && req.query.subpages !== '1') {
+      const file = await exportPage({ page, format, workspaceId: req.workspaceId });
+      auditTransfer(req, 'page.exported', page, { format, pageCount: 1 });
+      res.set({
+        'Content-Type': file.mimetype,
+        'Content-Disposition': attachmentHeader(file.filename),
+        'Cache-Control': 'no-store'
+      });
+      return res.send(file.body);
+    }
+
+    const rules = await loadWorkspaceRules(req.workspaceId);
+    const member = accessMember(req);
+    const pages = await collectExportPages({
+      page,
+      workspaceId: req.workspaceId,
+      subpages: true,
+      isVisible: (child) => levelFor(rules.get(child._id.toString()), member) !== 'none'
+    });
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': attachmentHeader(archiveFileName(page)),
+      'Cache-Control': 'no-store'
+    });
+    archive = archiver('zip', { zlib: { level: 6 } });
+    archive.on('warning', (err) => logger.warn('[Pages] Export ZIP warning', { error: err.message }));
+    archive.on('error', (err) => {
+      logger.error('[Pages] Export ZIP stream failed', { error: err.message });
+      // Headers are already out — cut the connection so the download shows as incomplete
+      res.destroy();
+    });
+    archive.pipe(res);
+    res.on('close', () => { if (!res.writableEnded) archive.abort(); });
+
+    const skippedImages = await writeExportZip({ archive, pages, format, workspaceId: req.workspaceId });
+    await archive.finalize();
+    auditTransfer(req, 'page.exported', page, { format, pageCount: pages.length, skippedImages });
+  } catch (error) {
+    if (error instanceof PageTransferError && !res.headersSent) return sendCollabError(res, error);
+    logger.error('GET /pages/:id/export error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    if (archive) {
+      try { archive.abort(); } catch { /* already finished */ }
+    }
+    if (!res.headersSent) res.status(500).json({ message: 'Chyba servera' });
+    else res.destroy();
+  }
+});
+
+// ─── Permissions ─────────────────────────────────────────────────────────
+// Who can see and edit a page (services/pageAccess.js). The page's author
+// and workspace admins manage the member list; only the author can make a
+// page private (or public again) — a private page is hidden from admins too.
+
+const canManageAccess = (req, page) =>
+  String(page.userId) === String(req.user.id) || req.workspaceMember.canAdmin();
+
+// Current settings of the page plus the ancestor its effective access
+// comes from when the page has no settings of its own.
+const permissionsResponse = async (req, page) => {
+  const { rules } = req.pageAccess;
+  const users = await User.find(
+    { _id: { $in: page.permissions.map(p => p.userId) } },
+    'username email color avatar'
+  ).lean();
+  const usersById = new Map(users.map(u => [u._id.toString(), u]));
+
+  const sourceId = rules.privateSourceId || (rules.restriction && rules.restriction.pageId);
+  let inheritedFrom = null;
+  if (sourceId && sourceId !== page._id.toString()) {
+    const source = await Page.findOne({ _id: sourceId, workspaceId: req.workspaceId }, 'title icon').lean();
+    if (source) inheritedFrom = { id: sourceId, title: source.title, icon: source.icon || null };
+  }
+
+  return {
+    visibility: page.visibility,
+    permissions: page.permissions.map(p => {
+      const user = usersById.get(p.userId.toString());
+      return {
+        userId: p.userId.toString(),
+        level: p.level,
+        username: user ? user.username : null,
+        email: user ? user.email : null,
+        color: user ? user.color : null,
+        avatar: user ? user.avatar : null
+      };
+    }),
+    authorId: page.userId.toString(),
+    effective: rules.privateOwner ? 'private' : rules.restriction ? 'restricted' : 'workspace',
+    inheritedFrom,
+    access: req.pageAccess.level,
+    canManage: canManageAccess(req, page)
+  };
+};
+
+// GET /api/pages/:id/permissions
+router.get('/:id/permissions', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'view');
+    if (!page) return;
+    res.json(await permissionsResponse(req, page));
+  } catch (error) {
+    logger.error('GET /pages/:id/permissions error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// PUT /api/pages/:id/permissions — { visibility?, permissions? }
+// `permissions: []` drops the page's own list (it inherits again).
+router.put('/:id/permissions', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'view');
+    if (!page) return;
+    if (!canManageAccess(req, page)) {
+      return res.status(403).json({ message: 'Oprávnenia môže meniť autor stránky alebo správca workspace', code: 'PAGE_FORBIDDEN' });
+    }
+
+    const { visibility, permissions } = req.body || {};
+    if (visibility !== undefined && visibility !== page.visibility && String(page.userId) !== String(req.user.id)) {
+      return res.status(403).json({ message: 'Súkromnou môže stránku urobiť len jej autor', code: 'PAGE_FORBIDDEN' });
+    }
+
+    const { value, error } = await validatePermissionsInput({ page, visibility, permissions });
+    if (error) return res.status(400).json({ message: error, code: 'INVALID_PERMISSIONS' });
+
+    if (value.visibility !== undefined) page.visibility = value.visibility;
+    if (value.permissions !== undefined) page.permissions = value.permissions;
+    if (page.isModified()) {
+      await page.save({ timestamps: false });
+      req.pageAccess = await pageAccessOf(req, page);
+      await emitAccessChanged(req, page);
+
+      auditService.logAction({
+        userId: req.user.id,
+        username: req.user.username,
+        email: req.user.email,
+        action: 'page.permissions_changed',
+        category: 'page',
+        targetType: 'page',
+        targetId: page._id.toString(),
+        targetName: page.title,
+        details: {
+          visibility: page.visibility,
+          permissions: page.permissions.map(p => ({ userId: p.userId.toString(), level: p.level }))
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+        workspaceId: req.workspaceId
+      });
+    }
+
+    res.json(await permissionsResponse(req, page));
+  } catch (error) {
+    logger.error('PUT /pages/:id/permissions error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// ─── Share links ─────────────────────────────────────────────────────────
+// Public read-only links (models/PageShare.js, served by
+// routes/publicShares.js). Members with edit access can share the page and
+// revoke its links; revoked links stay listed as a trail. Private pages
+// cannot be shared publicly. The public `path` is relative to the API host.
+
+const shareResponse = (share) => ({ ...share.toJSON(), path: `/api/share/${share.token}` });
+
+const auditShare = (req, action, page, share, details = {}) => {
+  auditService.logAction({
+    userId: req.user.id,
+    username: req.user.username,
+    email: req.user.email,
+    action,
+    category: 'page',
+    targetType: 'page',
+    targetId: page._id.toString(),
+    targetName: page.title,
+    details: { shareId: share._id.toString(), ...details },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    workspaceId: req.workspaceId
+  });
+};
+
+// GET /api/pages/:id/shares — links of the page, newest first
+router.get('/:id/shares', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'edit');
+    if (!page) return;
+
+    const shares = await PageShare.find({ pageId: page._id, workspaceId: req.workspaceId })
+      .sort({ createdAt: -1 });
+    res.json(shares.map(shareResponse));
+  } catch (error) {
+    logger.error('GET /pages/:id/shares error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// POST /api/pages/:id/shares — { includeChildren?, expiresAt?, password? }
+router.post('/:id/shares', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'edit');
+    if (!page) return;
+
+    if (req.pageAccess.rules.privateOwner) {
+      return res.status(403).json({ message: 'Súkromnú stránku nemožno zdieľať verejne', code: 'PAGE_PRIVATE' });
+    }
+    const { value, error } = validateShareInput(req.body || {});
+    if (error) return res.status(400).json({ message: error, code: 'INVALID_SHARE' });
+
+    const share = await createShare({ page, userId: req.user.id, ...value });
+    auditShare(req, 'page.share_created', page, share, {
+      includeChildren: share.includeChildren,
+      expiresAt: share.expiresAt,
+      hasPassword: !!share.passwordHash
+    });
+    res.status(201).json(shareResponse(share));
+  } catch (error) {
+    logger.error('POST /pages/:id/shares error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// DELETE /api/pages/:id/shares/:shareId — revoke a link (kept, not deleted)
+router.delete('/:id/shares/:shareId', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'edit');
+    if (!page) return;
+    if (!isValidObjectId(req.params.shareId)) {
+      return res.status(400).json({ message: 'Neplatné ID odkazu' });
+    }
+
+    const share = await PageShare.findOne({ _id: req.params.shareId, pageId: page._id, workspaceId: req.workspaceId });
+    if (!share) return res.status(404).json({ message: 'Odkaz nenájdený' });
+
+    if (!share.revokedAt) {
+      share.revokedAt = new Date();
+      share.revokedBy = req.user.id;
+      await share.save();
+      auditShare(req, 'page.share_revoked', page, share);
+    }
+    res.json(shareResponse(share));
+  } catch (error) {
+    logger.error('DELETE /pages/:id/shares/:shareId error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// ─── Comment threads ─────────────────────────────────────────────────────
+// Discussions anchored to a block, optionally to a range of its text
+// (models/PageThread.js, services/pageThreads.js). Everyone who can see the
+// page reads them; 'comment' access is enough to start, answer, react to
+// and resolve a thread. A comment is edited only by its author; comments
+// and whole threads are removed by their author or anyone with edit access.
+// Thread changes go to the page room as `page-thread-updated` /
+// `page-thread-deleted`; the range itself is a `comment` mark on the block
+// and travels with `block-updated` like any other formatting.
+
+const findPageThread = async (req, res, page) => {
+  if (!isValidObjectId(req.params.threadId)) {
+    res.status(400).json({ message: 'Neplatné ID diskusie' });
+    return null;
+  }
+  const thread = await PageThread.findOne({ _id: req.params.threadId, pageId: page._id, workspaceId: req.workspaceId });
+  if (!thread) {
+    res.status(404).json({ message: 'Diskusia nenájdená' });
+    return null;
+  }
+  return thread;
+};
+
+const canModerateThread = (req, userId) =>
+  String(userId) === String(req.user.id) || hasLevel(req.pageAccess.level, 'edit');
+
+const blockUpdatedData = (block) => ({
+  blockId: block.id,
+  type: block.type,
+  props: block.props || {},
+  marks: block.marks || []
+});
+
+// Drops the `comment` mark of a thread from its block. Nothing is written
+// (no new revision) when the block or the mark is already gone.
+const removeThreadAnchor = async (req, thread) => {
+  try {
+    await mutatePageBlocks(req, 'block-updated', (blocks) => {
+      const target = findBlock(blocks, thread.blockId);
+      const marks = target ? withoutThreadMark(target.block.marks, thread._id) : null;
+      if (!target || marks.length === (target.block.marks || []).length) {
+        throw new PageCollabError('NO_ANCHOR', 'Diskusia nemá v bloku značku', 404);
+      }
+      target.block.marks = marks;
+      return { blockId: thread.blockId, data: blockUpdatedData(target.block) };
+    });
+  } catch (error) {
+    if (!(error instanceof PageCollabError)) throw error;
+  }
+};
+
+const emitThreadUpdated = (req, thread) => emitToPage(req, 'page-thread-updated', { thread: thread.toJSON() });
+
+const emitThreadDeleted = (req, thread) => emitToPage(req, 'page-thread-deleted', { threadId: thread._id.toString() });
+
+// GET /api/pages/:id/threads?status=open|resolved — oldest first
+router.get('/:id/threads', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'view');
+    if (!page) return;
+
+    const filter = { pageId: page._id, workspaceId: req.workspaceId };
+    if (req.query.status === 'open') filter.resolvedAt = null;
+    else if (req.query.status === 'resolved') filter.resolvedAt = { $ne: null };
+
+    const threads = await PageThread.find(filter).sort({ createdAt: 1 });
+    res.json(threads.map(thread => thread.toJSON()));
+  } catch (error) {
+    logger.error('GET /pages/:id/threads error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// POST /api/pages/:id/threads — { blockId, text, start?, end?, revision? }
+// With start/end the thread is about that range of the block's text as the
+// client saw it at `revision`; the range is rebased over edits made since.
+router.post('/:id/threads', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'comment');
+    if (!page) return;
+
+    const { blockId, start, end, revision } = req.body || {};
+    const text = validateCommentText((req.body || {}).text);
+    if (text.error) return res.status(400).json({ message: text.error, code: 'INVALID_COMMENT' });
+
+    const found = typeof blockId === 'string' ? findBlock(pageBlocksOf(page), blockId) : null;
+    if (!found) return res.status(404).json({ message: 'Blok nenájdený' });
+    const anchor = validateAnchor(found.block, { start, end });
+    if (anchor.error) return res.status(400).json({ message: anchor.error, code: 'INVALID_ANCHOR' });
+
+    if (await PageThread.countDocuments({ pageId: page._id }) >= MAX_THREADS_PER_PAGE) {
+      return res.status(400).json({ message: 'Stránka má priveľa diskusií', code: 'TOO_MANY_THREADS' });
+    }
+
+    const threadId = new mongoose.Types.ObjectId();
+    let quote = quoteOf(found.block.content);
+    if (anchor.value.hasRange) {
+      const { result } = await mutatePageBlocks(req, 'block-updated', async (blocks, current) => {
+        const target = findBlock(blocks, blockId);
+        if (!target) {
+          throw new PageCollabError('BLOCK_NOT_FOUND', 'Blok nenájdený', 404);
+        }
+        const [mark] = await rebaseMarks({
+          page: current,
+          blockId,
+          marks: [{ type: 'comment', start, end, attrs: { threadId: threadId.toString() } }],
+          baseRevision: Number.isInteger(revision) ? revision : (current.revision || 0)
+        });
+        const content = target.block.content || '';
+        if (!mark || mark.end > content.length) {
+          throw new PageCollabError('ANCHOR_LOST', 'Označený text medzitým niekto zmazal', 409);
+        }
+        target.block.marks = sanitizeMarks([...(target.block.marks || []), mark], content.length);
+        return {
+          blockId,
+          data: blockUpdatedData(target.block),
+          result: quoteOf(content.slice(mark.start, mark.end))
+        };
+      });
+      quote = result;
+    }
+
+    let thread;
+    try {
+      thread = await PageThread.create({
+        _id: threadId,
+        workspaceId: req.workspaceId,
+        pageId: page._id,
+        blockId,
+        hasRange: anchor.value.hasRange,
+        quote,
+        createdBy: req.user.id,
+        comments: [{ userId: req.user.id, username: req.user.username, text: text.value }]
+      });
+    } catch (error) {
+      if (anchor.value.hasRange) await removeThreadAnchor(req, { _id: threadId, blockId });
+      throw error;
+    }
+
+    emitThreadUpdated(req, thread);
+    await notifyThread({
+      page,
+      rules: req.pageAccess.rules,
+      thread,
+      actor: req.user,
+      type: 'page.commented',
+      userIds: [page.userId],
+      message: text.value,
+      commentId: thread.comments[0]._id
+    });
+    res.status(201).json(thread.toJSON());
+  } catch (error) {
+    if (error instanceof PageCollabError) return sendCollabError(res, error);
+    logger.error('POST /pages/:id/threads error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// PUT /api/pages/:id/threads/:threadId — { resolved }
+router.put('/:id/threads/:threadId', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'comment');
+    if (!page) return;
+    const thread = await findPageThread(req, res, page);
+    if (!thread) return;
+
+    const { resolved } = req.body || {};
+    if (typeof resolved !== 'boolean') {
+      return res.status(400).json({ message: 'Chýba stav diskusie', code: 'INVALID_THREAD' });
+    }
+
+    if (resolved !== Boolean(thread.resolvedAt)) {
+      thread.resolvedAt = resolved ? new Date() : null;
+      thread.resolvedBy = resolved ? req.user.id : null;
+      thread.resolvedByName = resolved ? req.user.username : null;
+      await thread.save();
+
+      emitThreadUpdated(req, thread);
+      if (resolved) {
+        await notifyThread({
+          page,
+          rules: req.pageAccess.rules,
+          thread,
+          actor: req.user,
+          type: 'page.comment.resolved',
+          userIds: participantIds(thread),
+          message: thread.quote || thread.comments[0]?.text
+        });
+      }
+    }
+    res.json(thread.toJSON());
+  } catch (error) {
+    logger.error('PUT /pages/:id/threads/:threadId error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// DELETE /api/pages/:id/threads/:threadId — the whole discussion
+router.delete('/:id/threads/:threadId', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'comment');
+    if (!page) return;
+    const thread = await findPageThread(req, res, page);
+    if (!thread) return;
+    if (!canModerateThread(req, thread.createdBy)) {
+      return res.status(403).json({ message: 'Diskusiu môže zmazať jej autor alebo editor stránky', code: 'PAGE_FORBIDDEN' });
+    }
+
+    await PageThread.deleteOne({ _id: thread._id });
+    if (thread.hasRange) await removeThreadAnchor(req, thread);
+    emitThreadDeleted(req, thread);
+    res.json({ message: 'Diskusia bola vymazaná' });
+  } catch (error) {
+    logger.error('DELETE /pages/:id/threads/:threadId error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// POST /api/pages/:id/threads/:threadId/comments — { text }
+// A reply reopens a resolved thread.
+router.post('/:id/threads/:threadId/comments', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'comment');
+    if (!page) return;
+    const existing = await findPageThread(req, res, page);
+    if (!existing) return;
+
+    const text = validateCommentText((req.body || {}).text);
+    if (text.error) return res.status(400).json({ message: text.error, code: 'INVALID_COMMENT' });
+
+    const thread = await PageThread.findOneAndUpdate(
+      { _id: existing._id, [`comments.${MAX_COMMENTS_PER_THREAD - 1}`]: { $exists: false } },
+      {
+        $push: { comments: { userId: req.user.id, username: req.user.username, text: text.value } },
+        $set: { resolvedAt: null, resolvedBy: null, resolvedByName: null }
+      },
+      { new: true }
+    );
+    if (!thread) {
+      return res.status(400).json({ message: 'Diskusia má priveľa komentárov', code: 'TOO_MANY_COMMENTS' });
+    }
+
+    emitThreadUpdated(req, thread);
+    await notifyThread({
+      page,
+      rules: req.pageAccess.rules,
+      thread,
+      actor: req.user,
+      type: 'page.commented',
+      userIds: participantIds(existing),
+      message: text.value,
+      commentId: thread.comments[thread.comments.length - 1]._id
+    });
+    res.status(201).json(thread.toJSON());
+  } catch (error) {
+    logger.error('POST /pages/:id/threads/:threadId/comments error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// PUT /api/pages/:id/threads/:threadId/comments/:commentId — { text }, author only
+router.put('/:id/threads/:threadId/comments/:commentId', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'comment');
+    if (!page) return;
+    const existing = await findPageThread(req, res, page);
+    if (!existing) return;
+    if (!isValidObjectId(req.params.commentId)) {
+      return res.status(400).json({ message: 'Neplatné ID komentára' });
+    }
+
+    const text = validateCommentText((req.body || {}).text);
+    if (text.error) return res.status(400).json({ message: text.error, code: 'INVALID_COMMENT' });
+
+    const thread = await PageThread.findOneAndUpdate(
+      { _id: existing._id, comments: { $elemMatch: { _id: req.params.commentId, userId: req.user.id } } },
+      { $set: { 'comments.$.text': text.value, 'comments.$.editedAt': new Date() } },
+      { new: true }
+    );
+    if (!thread) {
+      return res.status(404).json({ message: 'Komentár nenájdený alebo nie ste autor' });
+    }
+
+    emitThreadUpdated(req, thread);
+    res.json(thread.toJSON());
+  } catch (error) {
+    logger.error('PUT /pages/:id/threads/:threadId/comments/:commentId error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// DELETE /api/pages/:id/threads/:threadId/comments/:commentId
+// Removing the last comment removes the thread.
+router.delete('/:id/threads/:threadId/comments/:commentId', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'comment');
+    if (!page) return;
+    const existing = await findPageThread(req, res, page);
+    if (!existing) return;
+
+    const comment = isValidObjectId(req.params.commentId) ? existing.comments.id(req.params.commentId) : null;
+    if (!comment) return res.status(404).json({ message: 'Komentár nenájdený' });
+    if (!canModerateThread(req, comment.userId)) {
+      return res.status(403).json({ message: 'Komentár môže zmazať jeho autor alebo editor stránky', code: 'PAGE_FORBIDDEN' });
+    }
+
+    const thread = await PageThread.findOneAndUpdate(
+      { _id: existing._id },
+      { $pull: { comments: { _id: comment._id } } },
+      { new: true }
+    );
+    if (!thread || thread.comments.length === 0) {
+      await PageThread.deleteOne({ _id: existing._id });
+      if (existing.hasRange) await removeThreadAnchor(req, existing);
+      emitThreadDeleted(req, existing);
+      return res.json({ deleted: true, threadId: existing._id.toString() });
+    }
+
+    emitThreadUpdated(req, thread);
+    res.json(thread.toJSON());
+  } catch (error) {
+    logger.error('DELETE /pages/:id/threads/:threadId/comments/:commentId error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// POST /api/pages/:id/threads/:threadId/comments/:commentId/reaction
+// Body: { type: 'like' | 'dislike' | null } — same toggle as reactions on
+// message comments: null or the current type removes it, another type
+// switches. One reaction per user; the comment's author is notified.
+router.post('/:id/threads/:threadId/comments/:commentId/reaction', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'comment');
+    if (!page) return;
+    const existing = await findPageThread(req, res, page);
+    if (!existing) return;
+
+    const { type } = req.body || {};
+    if (type !== null && !REACTION_TYPES.includes(type)) {
+      return res.status(400).json({ message: 'Neplatný typ reakcie' });
+    }
+    const comment = isValidObjectId(req.params.commentId) ? existing.comments.id(req.params.commentId) : null;
+    if (!comment) return res.status(404).json({ message: 'Komentár nenájdený' });
+
+    const current = comment.reactions.find(r => String(r.userId) === String(req.user.id));
+    const finalType = (type === null || type === (current && current.type)) ? null : type;
+
+    // $pull first keeps "one reaction per user" even with concurrent clicks
+    let thread = await PageThread.findOneAndUpdate(
+      { _id: existing._id, 'comments._id': comment._id },
+      { $pull: { 'comments.$.reactions': { userId: req.user.id } } },
+      { new: true }
+    );
+    if (finalType) {
+      thread = await PageThread.findOneAndUpdate(
+        { _id: existing._id, 'comments._id': comment._id },
+        { $push: { 'comments.$.reactions': { userId: req.user.id, username: req.user.username, type: finalType } } },
+        { new: true }
+      );
+    }
+    if (!thread) return res.status(404).json({ message: 'Komentár nenájdený' });
+
+    emitThreadUpdated(req, thread);
+    if (finalType) {
+      await notifyThread({
+        page,
+        rules: req.pageAccess.rules,
+        thread,
+        actor: req.user,
+        type: 'page.comment.reacted',
+        userIds: [comment.userId],
+        message: `${finalType === 'like' ? '👍' : '👎'} ${comment.text}`,
+        commentId: comment._id
+      });
+    }
+    res.json(thread.toJSON());
+  } catch (error) {
+    logger.error('POST /pages/:id/threads/:threadId/comments/:commentId/reaction error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// ─── Databases ───────────────────────────────────────────────────────────
+// Database pages (Page.kind 'database') hold rows with typed properties and
+// saved views (services/pageDatabase.js). The schema comes with GET /:id,
+// rows are loaded separately — filtered and sorted by the server. Changing
+// the schema or rows needs edit access; open pages follow along through
+// 'page-database-updated' (new schema; `rowsChanged` after an import, when
+// rows have to be reloaded), 'page-row-updated' and 'page-row-deleted'.
+
+const emitDatabaseUpdated = (req, database, rowsChanged = false) =>
+  emitToPage(req, 'page-database-updated', { database, rowsChanged });
+
+// Filters and sorting of a rows request: those of the view `?view=` (the
+// first view without it), unless `filters` / `sorts` (JSON) replace them
+// for a look that is not saved. Answers 400/404 itself and returns null then.
+const rowQueryOf = (req, res, database) => {
+  const view = req.query.view === undefined
+    ? database.views[0]
+    : database.views.find(v => v.id === String(req.query.view));
+  if (!view) {
+    res.status(404).json({ message: 'Pohľad nenájdený', code: 'VIEW_NOT_FOUND' });
+    return null;
+  }
+  const query = { view, filters: view.filters, sorts: view.sorts };
+  for (const [key, normalize] of [['filters', normalizeFilters], ['sorts', normalizeSorts]]) {
+    if (req.query[key] === undefined) continue;
+    let raw;
+    try {
+      raw = JSON.parse(String(req.query[key]));
+    } catch {
+      res.status(400).json({ message: 'Neplatný dotaz', code: 'INVALID_QUERY' });
+      return null;
+    }
+    const result = normalize(raw, database.properties, false);
+    if (result.error) {
+      res.status(400).json({ message: result.error, code: 'INVALID_QUERY' });
+      return null;
+    }
+    query[key] = result.value;
+  }
+  return query;
+};
+
+const validRowId = (req, res) => {
+  if (isValidObjectId(req.params.rowId)) return true;
+  res.status(400).json({ message: 'Neplatné ID riadku' });
+  return false;
+};
+
+// POST /api/pages/:id/database/properties — add a property
+// ({ name, type, options?, relation? })
+router.post('/:id/database/properties', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'edit');
+    if (!page) return;
+
+    const result = await addProperty(page, req.body);
+    emitDatabaseUpdated(req, result.database);
+    res.status(201).json(result);
+  } catch (error) {
+    if (error instanceof PageDatabaseError) return sendCollabError(res, error);
+    logger.error('POST /pages/:id/database/properties error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// PUT /api/pages/:id/database/properties/:propertyId — rename, change the
+// type (values are converted where possible) or the select options
+router.put('/:id/database/properties/:propertyId', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'edit');
+    if (!page) return;
+
+    const result = await updateProperty(page, req.params.propertyId, req.body);
+    emitDatabaseUpdated(req, result.database, true);
+    res.json(result);
+  } catch (error) {
+    if (error instanceof PageDatabaseError) return sendCollabError(res, error);
+    logger.error('PUT /pages/:id/database/properties/:propertyId error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// DELETE /api/pages/:id/database/properties/:propertyId — the property and
+// its values in every row
+router.delete('/:id/database/properties/:propertyId', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'edit');
+    if (!page) return;
+
+    const result = await deleteProperty(page, req.params.propertyId);
+    emitDatabaseUpdated(req, result.database, true);
+    res.json(result);
+  } catch (error) {
+    if (error instanceof PageDatabaseError) return sendCollabError(res, error);
+    logger.error('DELETE /pages/:id/database/properties/:propertyId error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// POST /api/pages/:id/database/views — add a saved view
+// ({ name, type, filters, sorts, groupBy, dateProperty, hiddenProperties })
+router.post('/:id/database/views', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'edit');
+    if (!page) return;
+
+    const result = await addView(page, req.body);
+    emitDatabaseUpdated(req, result.database);
+    res.status(201).json(result);
+  } catch (error) {
+    if (error instanceof PageDatabaseError) return sendCollabError(res, error);
+    logger.error('POST /pages/:id/database/views error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// PUT /api/pages/:id/database/views/:viewId — change a saved view (only the
+// fields given)
+router.put('/:id/database/views/:viewId', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'edit');
+    if (!page) return;
+
+    const result = await updateView(page, req.params.viewId, req.body);
+    emitDatabaseUpdated(req, result.database);
+    res.json(result);
+  } catch (error) {
+    if (error instanceof PageDatabaseError) return sendCollabError(res, error);
+    logger.error('PUT /pages/:id/database/views/:viewId error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// DELETE /api/pages/:id/database/views/:viewId — the last view stays
+router.delete('/:id/database/views/:viewId', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'edit');
+    if (!page) return;
+
+    const result = await deleteView(page, req.params.viewId);
+    emitDatabaseUpdated(req, result.database);
+    res.json(result);
+  } catch (error) {
+    if (error instanceof PageDatabaseError) return sendCollabError(res, error);
+    logger.error('DELETE /pages/:id/database/views/:viewId error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// GET /api/pages/:id/rows?view=&filters=&sorts= — rows as the view shows
+// them. Answers { rows, refs }; refs are the names of people and linked
+// contacts / projects in the rows ({ users, contacts, tasks }).
+router.get('/:id/rows', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'view');
+    if (!page) return;
+
+    const query = rowQueryOf(req, res, databaseOf(page));
+    if (!query) return;
+    res.json(await queryRows({ page, filters: query.filters, sorts: query.sorts }));
+  } catch (error) {
+    if (error instanceof PageDatabaseError) return sendCollabError(res, error);
+    logger.error('GET /pages/:id/rows error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// GET /api/pages/:id/rows/export?view=&filters=&sorts= — the rows of a view
+// as a CSV file, every property as a column
+router.get('/:id/rows/export', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'view');
+    if (!page) return;
+
+    const database = databaseOf(page);
+    const query = rowQueryOf(req, res, database);
+    if (!query) return;
+    const { rows, refs } = await queryRows({ page, filters: query.filters, sorts: query.sorts });
+
+    auditTransfer(req, 'page.exported', page, { format: 'csv', rowCount: rows.length });
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': attachmentHeader(`${(page.title || 'databaza').substring(0, 100)}.csv`),
+      'Cache-Control': 'no-store'
+    });
+    res.send(rowsToCsv(database, rows, refs));
+  } catch (error) {
+    if (error instanceof PageDatabaseError) return sendCollabError(res, error);
+    logger.error('GET /pages/:id/rows/export error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// POST /api/pages/:id/rows/import — multipart field `file`: CSV rows
+// appended to the database, columns matched to properties by name.
+// Answers { database, imported, createdProperties, skippedCells }.
+router.post('/:id/rows/import', authenticateToken, requireWorkspace, (req, res) => {
+  csvUpload.single('file')(req, res, async (err) => {
+    if (err) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({ message: 'Súbor je príliš veľký. Maximum je 5 MB.', code: 'IMPORT_TOO_LARGE' });
+      }
+      return res.status(400).json({ message: err.message, code: 'INVALID_FILE' });
+    }
+    if (!req.file) return res.status(400).json({ message: 'Žiadny súbor', code: 'INVALID_FILE' });
+
+    try {
+      const page = await findWorkspacePage(req, res, 'edit');
+      if (!page) return;
+
+      const result = await importRowsCsv({ page, text: req.file.buffer.toString('utf8'), userId: req.user.id });
+      emitDatabaseUpdated(req, result.database, true);
+      auditTransfer(req, 'page.imported', page, {
+        format: 'csv',
+        fileName: req.file.originalname.substring(0, 200),
+        rowCount: result.imported
+      });
+      res.status(201).json(result);
+    } catch (error) {
+      if (error instanceof PageDatabaseError) return sendCollabError(res, error);
+      logger.error('POST /pages/:id/rows/import error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+      res.status(500).json({ message: 'Chyba servera' });
+    }
+  });
+});
+
+// POST /api/pages/:id/rows — new row at the end ({ values: { propertyId: value } })
+router.post('/:id/rows', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'edit');
+    if (!page) return;
+
+    const result = await createRow({ page, userId: req.user.id, values: req.body.values || {} });
+    emitToPage(req, 'page-row-updated', result);
+    res.status(201).json(result);
+  } catch (error) {
+    if (error instanceof PageDatabaseError) return sendCollabError(res, error);
+    logger.error('POST /pages/:id/rows error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// PUT /api/pages/:id/rows/:rowId — change some values (null / '' clears
+// one) and optionally the manual `order`
+router.put('/:id/rows/:rowId', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    if (!validRowId(req, res)) return;
+    const page = await findWorkspacePage(req, res, 'edit');
+    if (!page) return;
+
+    const result = await updateRow({
+      page,
+      rowId: req.params.rowId,
+      userId: req.user.id,
+      values: req.body.values || {},
+      order: req.body.order
+    });
+    emitToPage(req, 'page-row-updated', result);
+    res.json(result);
+  } catch (error) {
+    if (error instanceof PageDatabaseError) return sendCollabError(res, error);
+    logger.error('PUT /pages/:id/rows/:rowId error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// DELETE /api/pages/:id/rows/:rowId
+router.delete('/:id/rows/:rowId', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    if (!validRowId(req, res)) return;
+    const page = await findWorkspacePage(req, res, 'edit');
+    if (!page) return;
+
+    await deleteRow({ page, rowId: req.params.rowId });
+    emitToPage(req, 'page-row-deleted', { rowId: req.params.rowId });
+    res.json({ message: 'Riadok bol zmazaný' });
+  } catch (error) {
+    if (error instanceof PageDatabaseError) return sendCollabError(res, error);
+    logger.error('DELETE /pages/:id/rows/:rowId error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// ─── Blocks ──────────────────────────────────────────────────────────────
+// Block ids are client-visible UUIDs (not ObjectIds), stable across edits,
+// so the editor can key React elements and socket events on them.
+
+// GET /api/pages/:id/blocks — ordered block tree of a page
+router.get('/:id/blocks', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'view');
+    if (!page) return;
+    res.json(pageBlocksOf(page));
+  } catch (error) {
+    logger.error('GET /pages/:id/blocks error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// POST /api/pages/:id/blocks — insert a block after `afterBlockId` (same
+// level as that block), or append to `parentBlockId`'s children / top level.
+router.post('/:id/blocks', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'edit');
+    if (!page) return;
+
+    const { afterBlockId, parentBlockId } = req.body;
+    const { block, error } = normalizeBlock({
+      type: req.body.type,
+      content: req.body.content,
+      props: req.body.props
+    });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await mutatePageBlocks(req, 'block-created', (blocks) => {
+      if (countBlocks(blocks) >= MAX_BLOCKS_PER_PAGE) {
+        throw new PageCollabError('TOO_MANY_BLOCKS', `Stránka môže mať najviac ${MAX_BLOCKS_PER_PAGE} blokov`);
+      }
+
+      let siblings = blocks;
+      let index = blocks.length;
+      if (afterBlockId) {
+        const found = findBlock(blocks, afterBlockId);
+        if (!found) {
+          throw new PageCollabError('BLOCK_NOT_FOUND', 'Blok nenájdený', 404);
+        }
+        siblings = found.siblings;
+        index = found.index + 1;
+      } else if (parentBlockId) {
+        const found = findBlock(blocks, parentBlockId);
+        if (!found) {
+          throw new PageCollabError('BLOCK_NOT_FOUND', 'Blok nenájdený', 404);
+        }
+        found.block.children = found.block.children || [];
+        siblings = found.block.children;
+        index = siblings.length;
+      }
+      siblings.splice(index, 0, block);
+
+      return {
+        blockId: block.id,
+        data: {
+          block,
+          afterBlockId: afterBlockId || null,
+          parentBlockId: afterBlockId ? null : (parentBlockId || null)
+        }
+      };
+    });
+
+    res.status(201).json(block);
+  } catch (error) {
+    if (error instanceof PageCollabError) return sendCollabError(res, error);
+    logger.error('POST /pages/:id/blocks error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// PUT /api/pages/:id/blocks/reorder — new order of one sibling list.
+// `blockIds` must be exactly the current children of `parentBlockId` (or the
+// top level when omitted) — a permutation, nothing added or dropped.
+// Registered before /:blockId so "reorder" is not taken for a block id.
+router.put('/:id/blocks/reorder', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'edit');
+    if (!page) return;
+
+    const { blockIds, parentBlockId } = req.body;
+    if (!Array.isArray(blockIds)) {
+      return res.status(400).json({ message: 'Neplatné dáta' });
+    }
+
+    const { page: updated } = await mutatePageBlocks(req, 'blocks-reordered', (blocks) => {
+      let siblings = blocks;
+      if (parentBlockId) {
+        const found = findBlock(blocks, parentBlockId);
+        if (!found) {
+          throw new PageCollabError('BLOCK_NOT_FOUND', 'Blok nenájdený', 404);
+        }
+        found.block.children = found.block.children || [];
+        siblings = found.block.children;
+      }
+
+      const byId = new Map(siblings.map(b => [b.id, b]));
+      if (blockIds.length !== siblings.length ||
+          new Set(blockIds).size !== blockIds.length ||
+          !blockIds.every(id => byId.has(id))) {
+        throw new PageCollabError('INVALID_ORDER', 'Poradie musí obsahovať presne všetky bloky danej úrovne');
+      }
+
+      const reordered = blockIds.map(id => byId.get(id));
+      siblings.splice(0, siblings.length, ...reordered);
+
+      return { data: { blockIds, parentBlockId: parentBlockId || null } };
+    });
+
+    res.json(updated.toObject().blocks);
+  } catch (error) {
+    if (error instanceof PageCollabError) return sendCollabError(res, error);
+    logger.error('PUT /pages/:id/blocks/reorder error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// PUT /api/pages/:id/blocks/:blockId — update content / type / props / marks.
+// A content change is turned into a text operation (same path as typing in
+// the editor), so it merges with edits other people make at the same time
+// instead of overwriting them. Type / props / marks are a separate structural
+// change. `marks` (utils/inlineMarks) are offsets into the text the client had
+// at `revision`; they are shifted over text edits that landed since then.
+// Newly @-mentioned members get a notification.
+router.put('/:id/blocks/:blockId', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'edit');
+    if (!page) return;
+
+    const found = findBlock(pageBlocksOf(page), req.params.blockId);
+    if (!found) {
+      return res.status(404).json({ message: 'Blok nenájdený' });
+    }
+
+    const { content, type, props, marks, revision } = req.body;
+    if (type !== undefined && !BLOCK_TYPES.includes(type)) {
+      return res.status(400).json({ message: 'Neplatný typ bloku' });
+    }
+    if (marks !== undefined && !Array.isArray(marks)) {
+      return res.status(400).json({ message: 'Neplatné formátovanie' });
+    }
+    const requestedMarks = marks !== undefined
+      ? await resolveMentions(req.workspaceId, sanitizeMarks(marks, MAX_BLOCK_CONTENT))
+      : undefined;
+    const { block: updated, error } = normalizeBlock({
+      ...found.block,
+      type: type !== undefined ? type : found.block.type,
+      content: content !== undefined ? content : found.block.content,
+      props: props !== undefined ? props : found.block.props
+    });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    let result = found.block;
+    // Marks sent together with new content describe that content
+    let marksRevision = Number.isInteger(revision) ? revision : (page.revision || 0);
+
+    const op = diffToOp(found.block.content || '', updated.content);
+    if (op.length > 0 && !isNoop(op)) {
+      const { page: saved, revision: textRevision } = await submitTextOperation({
+        pageId: req.params.id,
+        workspaceId: req.workspaceId,
+        userId: req.user.id,
+        blockId: req.params.blockId,
+        baseRevision: page.revision || 0,
+        op,
+        onCommitted: ({ revision, op: applied }) => emitToPage(req, 'page-op', {
+          revision,
+          opId: null,
+          blockId: req.params.blockId,
+          op: applied,
+          userId: req.user.id.toString()
+        })
+      });
+      result = findBlock(saved.toObject().blocks, req.params.blockId).block;
+      marksRevision = textRevision;
+    }
+
+    if (type !== undefined || props !== undefined || marks !== undefined) {
+      let previousMarks = [];
+      const { page: saved } = await mutatePageBlocks(req, 'block-updated', async (blocks, current) => {
+        const target = findBlock(blocks, req.params.blockId);
+        if (!target) {
+          throw new PageCollabError('BLOCK_NOT_FOUND', 'Blok nenájdený', 404);
+        }
+        previousMarks = target.block.marks || [];
+        if (type !== undefined) target.block.type = updated.type;
+        if (props !== undefined) target.block.props = updated.props;
+        if (requestedMarks !== undefined) {
+          const rebased = await rebaseMarks({
+            page: current,
+            blockId: req.params.blockId,
+            marks: requestedMarks,
+            baseRevision: marksRevision
+          });
+          target.block.marks = sanitizeMarks(rebased, (target.block.content || '').length);
+        }
+        return {
+          blockId: req.params.blockId,
+          data: {
+            blockId: req.params.blockId,
+            type: target.block.type,
+            props: target.block.props || {},
+            marks: target.block.marks || []
+          }
+        };
+      });
+      result = findBlock(saved.toObject().blocks, req.params.blockId).block;
+
+      if (requestedMarks !== undefined) {
+        await notifyNewMentions({ page: saved, block: result, previousMarks, actor: req.user });
+      }
+    }
+
+    res.json(result);
+  } catch (error) {
+    if (error instanceof PageCollabError) return sendCollabError(res, error);
+    logger.error('PUT /pages/:id/blocks/:blockId error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// DELETE /api/pages/:id/blocks/:blockId — remove a block with its children.
+// The last top-level block cannot be removed; an empty page still keeps one
+// empty paragraph so the editor has somewhere to type.
+router.delete('/:id/blocks/:blockId', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'edit');
+    if (!page) return;
+
+    await mutatePageBlocks(req, 'block-deleted', (blocks) => {
+      const found = findBlock(blocks, req.params.blockId);
+      if (!found) {
+        throw new PageCollabError('BLOCK_NOT_FOUND', 'Blok nenájdený', 404);
+      }
+      if (found.siblings === blocks && blocks.length <= 1) {
+        throw new PageCollabError('LAST_BLOCK', 'Stránka musí mať aspoň jeden blok');
+      }
+
+      found.siblings.splice(found.index, 1);
+
+      return { blockId: req.params.blockId, data: { blockId: req.params.blockId } };
+    });
+
+    res.json({ message: 'Blok bol vymazaný' });
+  } catch (error) {
+    if (error instanceof PageCollabError) return sendCollabError(res, error);
+    logger.error('DELETE /pages/:id/blocks/:blockId error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// ─── Version history ─────────────────────────────────────────────────────
+// Versions are recorded automatically (services/pageVersions.js) — one per
+// editing session of one author, plus the state before the first edit.
+
+// Load a version of the page, answering 400/404 itself. `current` stands
+// for the live page (only where a diff side is expected).
+const findPageVersion = async (req, res, page, versionId) => {
+  if (!isValidObjectId(versionId)) {
+    res.status(400).json({ message: 'Neplatné ID verzie' });
+    return null;
+  }
+  const version = await PageVersion.findOne({ _id: versionId, pageId: page._id, workspaceId: req.workspaceId });
+  if (!version) {
+    res.status(404).json({ message: 'Verzia nenájdená' });
+    return null;
+  }
+  return version;
+};
+
+// GET /api/pages/:id/versions — newest first, without the stored content
+router.get('/:id/versions', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'view');
+    if (!page) return;
+
+    const versions = await PageVersion.find({ pageId: page._id, workspaceId: req.workspaceId })
+      .select('-blocks -content')
+      .populate('createdBy', 'username color avatar')
+      .sort({ createdAt: -1 });
+
+    res.json(versions);
+  } catch (error) {
+    logger.error('GET /pages/:id/versions error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// GET /api/pages/:id/versions/diff?from=<versionId>&to=<versionId|current>
+// Registered before /:versionId so "diff" is not taken for a version id.
+router.get('/:id/versions/diff', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'view');
+    if (!page) return;
+
+    const sides = [];
+    for (const versionId of [req.query.from, req.query.to || 'current']) {
+      if (versionId === 'current') {
+        sides.push(page.toObject());
+        continue;
+      }
+      const version = await findPageVersion(req, res, page, versionId);
+      if (!version) return;
+      sides.push(version.toObject());
+    }
+
+    res.json(diffPages(sides[0], sides[1]));
+  } catch (error) {
+    logger.error('GET /pages/:id/versions/diff error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// GET /api/pages/:id/versions/:versionId — one version with its blocks
+router.get('/:id/versions/:versionId', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'view');
+    if (!page) return;
+    const version = await findPageVersion(req, res, page, req.params.versionId);
+    if (!version) return;
+
+    await version.populate('createdBy', 'username color avatar');
+    res.json(version);
+  } catch (error) {
+    logger.error('GET /pages/:id/versions/:versionId error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// POST /api/pages/:id/versions/:versionId/restore — bring back title, icon
+// and content of a version. The restore itself becomes a new version, so it
+// can be undone the same way. Open editors reload on `page-updated` with
+// `restoredVersionId`.
+router.post('/:id/versions/:versionId/restore', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'edit');
+    if (!page) return;
+    const version = await findPageVersion(req, res, page, req.params.versionId);
+    if (!version) return;
+
+    page.title = version.title;
+    page.icon = version.icon;
+    if (page.isModified()) await page.save();
+
+    const stored = version.toObject();
+    const { page: updated } = await mutatePage({
+      pageId: page._id,
+      workspaceId: req.workspaceId,
+      userId: req.user.id,
+      kind: 'snapshot',
+      mutate: () => ({
+        blocks: stored.blocks.length > 0 ? stored.blocks : contentToBlocks(stored.content)
+      }),
+      version: { reason: 'restore', restoredFrom: version._id }
+    });
+
+    await emitToPageAudience(req, 'page-updated', {
+      ...updated.toJSON(),
+      restoredVersionId: version._id.toString()
+    }, req.pageAccess.rules);
+
+    res.json(updated);
+  } catch (error) {
+    if (error instanceof PageCollabError) return sendCollabError(res, error);
+    logger.error('POST /pages/:id/versions/:versionId/restore error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// ─── Files ───────────────────────────────────────────────────────────────
+// Images of image blocks. The blob goes to R2 and the block keeps only
+// `props.fileId`; the editor fetches it through GET /:id/files/:fileId.
+
+// POST /api/pages/:id/files — upload an image (multipart field `file`).
+// Plan gate and storage quota mirror POST /api/tasks/:taskId/files.
+router.post('/:id/files', authenticateToken, requireWorkspace, (req, res) => {
+  upload.single('file')(req, res, async (err) => {
+    if (err) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({ message: 'Obrázok je príliš veľký. Maximum je 10 MB.' });
+      }
+      return res.status(400).json({ message: err.message });
+    }
+    if (!req.file) return res.status(400).json({ message: 'Žiadny súbor' });
+
+    try {
+      const page = await findWorkspacePage(req, res, 'edit');
+      if (!page) return;
+
+      // No base64 fallback for page images — without R2 there is nowhere to put them
+      if (!fileStorage.isR2Available()) {
+        return res.status(503).json({ message: 'Úložisko súborov je dočasne nedostupné — skúste neskôr.' });
+      }
+
+      const uploader = await User.findById(req.user.id).select('subscription').lean();
+      const uploaderPlan = uploader?.subscription?.plan || 'free';
+      if (uploaderPlan === 'free' || uploaderPlan === 'trial') {
+        const message = isIosNativeApp(req)
+          ? 'Táto funkcia nie je dostupná.'
+          : 'Vkladanie obrázkov je dostupné v plánoch Tím a Pro. Upgradujte plán pre prístup.';
+        logPlanGateHit(req, { code: 'FEATURE_NOT_IN_PLAN', feature: 'attachments' });
+        return res.status(403).json({ message, code: 'FEATURE_NOT_IN_PLAN' });
+      }
+      const storageBytes = STORAGE_LIMITS[uploaderPlan];
+      if (storageBytes) {
+        const usedBytes = await computeWorkspaceFileBytes(req.workspaceId);
+        if (usedBytes + req.file.size > storageBytes) {
+          const usedMb = Math.round(usedBytes / (1024 * 1024));
+          const limitMb = Math.round(storageBytes / (1024 * 1024));
+          const message = isIosNativeApp(req)
+            ? `Dosiahli ste storage limit (${usedMb}/${limitMb} MB).`
+            : `Dosiahli ste storage limit pre váš plán (${usedMb}/${limitMb} MB). Upgradujte plán pre vyšší limit.`;
+          logPlanGateHit(req, { code: 'STORAGE_LIMIT', feature: 'storage', limit: limitMb });
+          return res.status(403).json({ message, code: 'STORAGE_LIMIT' });
+        }
+      }
+
+      const fileId = uuidv4();
+      const r2Key = `pagefiles/${fileId}`;
+      await fileStorage.uploadFile(r2Key, req.file.buffer, req.file.mimetype);
+      const pageFile = await PageFile.create({
+        pageId: page._id,
+        workspaceId: req.workspaceId,
+        fileId,
+        r2Key,
+        originalName: req.file.originalname.substring(0, 200),
+        mimetype: req.file.mimetype,
+        size: req.file.size,
+        uploadedBy: req.user.id
+      });
+
+      res.status(201).json({
+        fileId,
+        name: pageFile.originalName,
+        mimetype: pageFile.mimetype,
+        size: pageFile.size
+      });
+    } catch (error) {
+      logger.error('POST /pages/:id/files error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+      res.status(500).json({ message: 'Chyba pri nahrávaní obrázka' });
+    }
+  });
+});
+
+// GET /api/pages/:id/files/:fileId — image bytes
+router.get('/:id/files/:fileId', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const page = await findWorkspacePage(req, res, 'view');
+    if (!page) return;
+
+    const pageFile = await PageFile.findOne({
+      fileId: String(req.params.fileId),
+      pageId: page._id,
+      workspaceId: req.workspaceId
+    }).lean();
+    if (!pageFile) {
+      return res.status(404).json({ message: 'Súbor nenájdený' });
+    }
+    if (!fileStorage.isR2Available()) {
+      return res.status(503).json({ message: 'Úložisko súborov je dočasne nedostupné — skúste neskôr.' });
+    }
+
+    const fileBuffer = await fileStorage.downloadFile(pageFile.r2Key);
+    res.set({
+      'Content-Type': pageFile.mimetype,
+      'Content-Disposition': `attachment; filename="${encodeURIComponent(pageFile.originalName || pageFile.fileId)}"`,
+      'Content-Length': fileBuffer.length,
+      'Cache-Control': 'private, max-age=3600'
+    });
+    res.send(fileBuffer);
+  } catch (error) {
+    logger.error('GET /pages/:id/files/:fileId error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba pri sťahovaní súboru' });
+  }
+});
+
 module.exports = router;
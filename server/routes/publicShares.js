@@ -0,0 +1,214 @@
+const express = require('express');
+const PageFile = require('../models/PageFile');
+const fileStorage = require('../services/fileStorage');
+const logger = require('../utils/logger');
+const { sharePasswordLimiter } = require('../middleware/rateLimiter');
+const {
+  resolveShare,
+  findSharedPage,
+  sharedBreadcrumbs,
+  sharedChildren,
+  hasAccessCookie,
+  setAccessCookie,
+  checkPassword,
+  logShareAccess
+} = require('../services/pageShares');
+const { escapeHtml, renderBlocks, renderDocument } = require('../utils/pageHtml');
+const { contentToBlocks } = require('../utils/pageBlocks');
+
+const router = express.Router();
+
+// Public, unauthenticated read-only pages behind share links
+// (models/PageShare.js). No authenticateToken here — the share token in the
+// URL is the only credential, so every response:
+//   - is plain server-rendered HTML with escaped content (utils/pageHtml.js)
+//   - carries a strict CSP without scripts, overriding the app-wide helmet one
+//   - is never cached by shared caches and never indexed
+// Every access to an existing share is recorded in the audit log.
+
+// Unknown, revoked and expired links answer the same 404 page, so a token
+// cannot be probed for having existed.
+const STATUS_MESSAGES = {
+  not_found: 'Odkaz neexistuje alebo už nie je platný.',
+  revoked: 'Odkaz neexistuje alebo už nie je platný.',
+  expired: 'Odkaz neexistuje alebo už nie je platný.',
+  page_missing: 'Odkaz neexistuje alebo už nie je platný.'
+};
+
+const setPublicHeaders = (res) => {
+  res.set({
+    'Content-Security-Policy': "default-src 'none'; img-src 'self'; style-src 'unsafe-inline'; form-action 'self'; base-uri 'none'; frame-ancestors 'none'",
+    'Cache-Control': 'private, no-store',
+    'Referrer-Policy': 'no-referrer',
+    'X-Robots-Tag': 'noindex, nofollow'
+  });
+};
+
+const sendMessagePage = (res, status, message) => {
+  setPublicHeaders(res);
+  res.status(status).type('html').send(renderDocument({
+    title: 'Zdieľaná stránka',
+    body: `<p>${escapeHtml(message)}</p>`
+  }));
+};
+
+const sharePath = (token) => `/api/share/${token}`;
+
+const sendPasswordForm = (res, token, { wrong = false } = {}) => {
+  setPublicHeaders(res);
+  res.status(wrong ? 401 : 200).type('html').send(renderDocument({
+    title: 'Zdieľaná stránka',
+    body: `<h1 class="page-title">🔒 Stránka je chránená heslom</h1>
+${wrong ? '<p class="error">Nesprávne heslo.</p>' : ''}
+<form method="post" action="${sharePath(token)}">
+<input type="password" name="password" placeholder="Heslo" autofocus required>
+<button type="submit">Otvoriť</button>
+</form>`
+  }));
+};
+
+// Resolve the share of a request and make sure it is usable. Answers itself
+// (404 page / password form) and returns null when it did.
+const loadShare = async (req, res) => {
+  const { share, page, status } = await resolveShare(req.params.token);
+  if (status !== 'ok') {
+    logShareAccess(req, { share, result: status });
+    sendMessagePage(res, 404, STATUS_MESSAGES[status]);
+    return null;
+  }
+  if (!hasAccessCookie(req, share)) {
+    logShareAccess(req, { share, result: 'password_required' });
+    sendPasswordForm(res, req.params.token);
+    return null;
+  }
+  return { share, rootPage: page };
+};
+
+const renderSharedPage = async (req, res, { share, rootPage, page }) => {
+  const token = req.params.token;
+  const base = sharePath(token);
+  const pageUrl = (id) => (id === rootPage._id.toString() ? base : `${base}/pages/${id}`);
+
+  const [breadcrumbs, children] = await Promise.all([
+    page === rootPage ? [] : sharedBreadcrumbs(rootPage, page),
+    sharedChildren(share, page)
+  ]);
+
+  const blocks = page.blocks && page.blocks.length > 0 ? page.toObject().blocks : contentToBlocks(page.content);
+  const pageId = page._id.toString();
+  const content = renderBlocks(blocks, {
+    imageUrl: (fileId) => `${base}/files/${pageId}/${encodeURIComponent(fileId)}`
+  });
+
+  const crumbs = breadcrumbs.length > 1
+    ? `<nav class="breadcrumbs">${breadcrumbs.slice(0, -1)
+      .map(c => `<a href="${pageUrl(c.id)}">${escapeHtml(c.title || 'Untitled')}</a>`)
+      .join(' / ')}</nav>`
+    : '';
+  const subpages = children.length > 0
+    ? `<nav class="subpages"><ul>${children
+      .map(c => `<li>${escapeHtml(c.icon || '📄')} <a href="${pageUrl(c._id.toString())}">${escapeHtml(c.title || 'Untitled')}</a></li>`)
+      .join('')}</ul></nav>`
+    : '';
+
+  setPublicHeaders(res);
+  res.type('html').send(renderDocument({
+    title: page.title || 'Untitled',
+    body: `${crumbs}
+${page.icon ? `<div class="page-icon">${escapeHtml(page.icon)}</div>` : ''}
+<h1 class="page-title">${escapeHtml(page.title || 'Untitled')}</h1>
+<article>${content}</article>
+${subpages}
+<footer>Zdieľané len na čítanie</footer>`
+  }));
+};
+
+// GET /api/share/:token — the shared page
+router.get('/:token', async (req, res) => {
+  try {
+    const loaded = await loadShare(req, res);
+    if (!loaded) return;
+    logShareAccess(req, { share: loaded.share, pageId: loaded.rootPage._id, result: 'ok' });
+    await renderSharedPage(req, res, { ...loaded, page: loaded.rootPage });
+  } catch (error) {
+    logger.error('GET /share/:token error', { error: error.message });
+    sendMessagePage(res, 500, 'Stránku sa nepodarilo načítať.');
+  }
+});
+
+// POST /api/share/:token — password form. A correct password sets a signed
+// access cookie for this share (services/pageShares.js) and shows the page.
+router.post('/:token', sharePasswordLimiter, async (req, res) => {
+  try {
+    const { share, page, status } = await resolveShare(req.params.token);
+    if (status !== 'ok') {
+      logShareAccess(req, { share, result: status });
+      return sendMessagePage(res, 404, STATUS_MESSAGES[status]);
+    }
+    if (share.passwordHash && !(await checkPassword(share, req.body?.password))) {
+      logShareAccess(req, { share, result: 'wrong_password' });
+      return sendPasswordForm(res, req.params.token, { wrong: true });
+    }
+
+    if (share.passwordHash) setAccessCookie(res, share, sharePath(req.params.token));
+    logShareAccess(req, { share, pageId: page._id, result: 'ok' });
+    await renderSharedPage(req, res, { share, rootPage: page, page });
+  } catch (error) {
+    logger.error('POST /share/:token error', { error: error.message });
+    sendMessagePage(res, 500, 'Stránku sa nepodarilo načítať.');
+  }
+});
+
+// GET /api/share/:token/pages/:pageId — a child page of a share that
+// includes child pages
+router.get('/:token/pages/:pageId', async (req, res) => {
+  try {
+    const loaded = await loadShare(req, res);
+    if (!loaded) return;
+    const page = await findSharedPage(loaded.share, loaded.rootPage, req.params.pageId);
+    if (!page) {
+      logShareAccess(req, { share: loaded.share, pageId: req.params.pageId, result: 'page_missing' });
+      return sendMessagePage(res, 404, STATUS_MESSAGES.page_missing);
+    }
+    logShareAccess(req, { share: loaded.share, pageId: page._id, result: 'ok' });
+    await renderSharedPage(req, res, { ...loaded, page });
+  } catch (error) {
+    logger.error('GET /share/:token/pages/:pageId error', { error: error.message });
+    sendMessagePage(res, 500, 'Stránku sa nepodarilo načítať.');
+  }
+});
+
+// GET /api/share/:token/files/:pageId/:fileId — image of a shared page.
+// Not audited separately: the page view that embeds it already was.
+router.get('/:token/files/:pageId/:fileId', async (req, res) => {
+  try {
+    const { share, page: rootPage, status } = await resolveShare(req.params.token);
+    if (status !== 'ok' || !hasAccessCookie(req, share)) {
+      return res.status(404).end();
+    }
+    const page = await findSharedPage(share, rootPage, req.params.pageId);
+    if (!page) return res.status(404).end();
+
+    const pageFile = await PageFile.findOne({
+      fileId: String(req.params.fileId),
+      pageId: page._id,
+      workspaceId: share.workspaceId
+    }).lean();
+    if (!pageFile) return res.status(404).end();
+    if (!fileStorage.isR2Available()) return res.status(503).end();
+
+    const fileBuffer = await fileStorage.downloadFile(pageFile.r2Key);
+    setPublicHeaders(res);
+    res.set({
+      'Content-Type': pageFile.mimetype,
+      'Content-Length': fileBuffer.length,
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.send(fileBuffer);
+  } catch (error) {
+    logger.error('GET /share/:token/files error', { error: error.message });
+    res.status(500).end();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { requireWorkspace } = require('../middleware/workspace');
+const logger = require('../utils/logger');
+const {
+  SEARCH_TYPES,
+  MIN_QUERY_LENGTH,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  searchWorkspace
+} = require('../services/searchService');
+
+const router = express.Router();
+
+// GET /api/search?q=&types=page,contact,task,message&limit=
+// Full-text search in the active workspace — ranked, typed results with
+// highlighted snippets (services/searchService.js). Pages are limited to
+// those the caller can see, messages to the caller's own conversations.
+router.get('/', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (query.length < MIN_QUERY_LENGTH) {
+      return res.status(400).json({
+        message: `Zadajte aspoň ${MIN_QUERY_LENGTH} znaky`,
+        code: 'QUERY_TOO_SHORT'
+      });
+    }
+
+    let types = SEARCH_TYPES;
+    if (typeof req.query.types === 'string' && req.query.types) {
+      types = req.query.types.split(',').map(t => t.trim()).filter(t => SEARCH_TYPES.includes(t));
+      if (types.length === 0) {
+        return res.status(400).json({ message: 'Neplatný typ výsledkov', code: 'INVALID_TYPES' });
+      }
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const results = await searchWorkspace({
+      workspaceId: req.workspaceId,
+      userId: req.user.id,
+      isAdmin: req.workspaceMember.canAdmin(),
+      query,
+      types,
+      limit
+    });
+
+    res.json({ query, results });
+  } catch (error) {
+    logger.error('GET /search error', { error: error.message, userId: req.user.id, workspaceId: req.workspaceId });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+module.exports = router;
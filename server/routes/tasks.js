@@ -14,6 +14,28 @@ const User = require('../models/User');
 const { STORAGE_LIMITS, computeWorkspaceFileBytes } = require('../utils/storageQuota');
 const { logPlanGateHit } = require('../utils/planGate');
 const { attachmentFileFilter } = require('../utils/uploadFilter');
+const { toCsv } = require('../utils/csv');
+const {
+  versionOf,
+  matchesIfMatch,
+  hasIfMatch,
+  expectVersion,
+  isVersionMismatch,
+  setVersionHeader,
+  sendVersionConflict,
+  sendVersionRequired
+} = require('../utils/entityVersion');
+const { effectiveStatus } = require('../utils/taskStatuses');
+const { TaskBoardError, loadTaskStatuses, updateTaskStatuses, moveTask } = require('../services/taskBoard');
+const { normalizeRecurrence, isOpenSeries, toRRule } = require('../utils/recurrence');
+const { planNextTaskOccurrence, createNextTaskOccurrence, spawnSubtaskOccurrences } = require('../services/taskRecurrence');
+const { completionSnapshot, newlyCompletedIds } = require('../utils/taskDependencies');
+const { keepServerSubtaskFields } = require('../utils/subtaskFields');
+const { TaskDependencyError, setBlockedBy, notifyBlockedAssignees } = require('../services/taskDependencies');
+const { normalizeEstimate, normalizeStartDate, normalizeTimeQuery, trackedMinutes } = require('../utils/taskTime');
+const { TaskTimeError, startTimer, stopTimer, addManualEntry, deleteEntry, summarizeTime } = require('../services/taskTime');
+const { normalizeTags } = require('../utils/taskViews');
+const { TaskViewError, listViews, getView, createView, updateView, deleteView } = require('../services/taskViews');
 
 // Projection to exclude Base64 file data from all nesting levels (up to 6 deep)
 const EXCLUDE_FILE_DATA = {
@@ -127,7 +149,8 @@ const contactToPlainObject = (contact) => {
   const obj = contact.toObject ? contact.toObject() : contact;
   return JSON.parse(JSON.stringify({
     ...obj,
-    id: obj._id ? obj._id.toString() : obj.id
+    id: obj._id ? obj._id.toString() : obj.id,
+    version: versionOf(obj)
   }));
 };
 
@@ -140,6 +163,45 @@ const taskToPlainObject = (task, extras = {}) => {
   }));
 };
 
+// 409 pre projekt uložený v kontakte — aktuálny stav projektu s verziou
+// kontaktu, z ktorého klient ponúkne zlúčenie zmien
+const sendContactTaskConflict = async (res, contact, task) => {
+  const assignedUsers = await populateAssignedUsers(task.assignedTo);
+  return sendVersionConflict(res, taskToPlainObject(task, {
+    contactId: contact._id.toString(),
+    contactName: contact.name,
+    source: 'contact',
+    assignedUsers,
+    version: versionOf(contact)
+  }));
+};
+
+// 409 pre globálny projekt — aktuálny stav projektu s jeho verziou
+const sendTaskConflict = async (res, task) => {
+  const assignedUsers = await populateAssignedUsers(task.assignedTo);
+  return sendVersionConflict(res, taskToPlainObject(task, {
+    source: 'global',
+    id: task._id.toString(),
+    assignedTo: (task.assignedTo || []).map(id => id.toString()),
+    assignedUsers,
+    version: versionOf(task)
+  }));
+};
+
+// Podmienený zápis (expectVersion) nenašiel overenú verziu — 409 so stavom,
+// ktorý je v DB teraz (alebo 404, ak projekt medzitým zmizol)
+const sendStoredTaskConflict = async (req, res, { taskId, contactId = null }) => {
+  if (!contactId) {
+    const current = await Task.findOne({ _id: taskId, workspaceId: req.workspaceId });
+    if (!current) return res.status(404).json({ message: 'Task not found' });
+    return sendTaskConflict(res, current);
+  }
+  const contact = await Contact.findOne({ _id: contactId, workspaceId: req.workspaceId });
+  const task = contact?.tasks.find(t => t.id === taskId);
+  if (!task) return res.status(404).json({ message: 'Task not found' });
+  return sendContactTaskConflict(res, contact, task);
+};
+
 // Helper function to find a subtask recursively
 const findSubtaskRecursive = (subtasks, subtaskId) => {
   if (!subtasks) return null;
@@ -191,6 +253,69 @@ const populateAssignedUsers = async (assignedToIds) => {
   }));
 };
 
+// Nový výskyt opakovaného projektu (services/taskRecurrence.js) — oznámi sa
+// ako vytvorený projekt (socket + Google sync). Riešitelia sú prenesení z
+// dokončeného výskytu, notifikácia o priradení sa preto neposiela.
+const announceNextOccurrence = async (req, task, extras) => {
+  const assignedUsers = await populateAssignedUsers(task.assignedTo);
+  const taskData = taskToPlainObject(task, { ...extras, assignedUsers });
+  req.app.get('io').to(`workspace-${req.workspaceId}`).emit('task-created', taskData);
+  autoSyncToGoogle(taskData, 'create');
+  return taskData;
+};
+
+// Dokončené položky, na ktoré niečo čakalo → notifikácia riešiteľom
+// blokovaných (services/taskDependencies.js). Zlyhanie nezhodí request.
+const notifyUnblocked = async (req, completedIds) => {
+  if (!completedIds || completedIds.length === 0) return;
+  try {
+    await notifyBlockedAssignees({ workspaceId: req.workspaceId, completedIds, actor: req.user });
+  } catch (error) {
+    logger.warn('Dependency notification failed', { error: error.message, workspaceId: req.workspaceId?.toString() });
+  }
+};
+
+// Začiatok práce z body ('' / null = bez začiatku, undefined = bez zmeny),
+// overený voči termínu, ktorý bude platiť po úprave. Bez zmeny začiatku
+// aj termínu sa uložená hodnota neoveruje.
+const resolveStartDate = (body, item) => {
+  if (body.startDate === undefined && body.dueDate === undefined) return { value: item.startDate || null };
+  return normalizeStartDate(
+    body.startDate !== undefined ? body.startDate : item.startDate,
+    body.dueDate !== undefined ? body.dueDate : item.dueDate
+  );
+};
+
+// Odhad v minútach z body (validovaný vopred cez normalizeEstimate), undefined = bez zmeny
+const resolveEstimate = (value, current) => (value !== undefined ? normalizeEstimate(value).value : (current ?? null));
+
+// Štítky z body (validované vopred cez normalizeTags), undefined = bez zmeny
+const resolveTags = (value, current) => (value !== undefined ? normalizeTags(value).value : (current || []));
+
+// Koreňový projekt po zmene cez services (závislosti, výkaz času) pre socket a odpoveď
+const projectToTaskData = (req, { source, task, contact }) => (source === 'global'
+  ? taskToPlainObject(task, {
+    source: 'global',
+    id: task._id.toString(),
+    assignedTo: (task.assignedTo || []).map(id => id.toString()),
+    version: versionOf(task)
+  })
+  : taskToPlainObject(task, {
+    contactId: contact._id.toString(),
+    contactName: contact.name,
+    source: 'contact',
+    workspaceId: req.workspaceId?.toString(),
+    version: versionOf(contact)
+  }));
+
+const emitProjectUpdated = (req, changed) => {
+  const io = req.app.get('io');
+  for (const project of changed) {
+    io.to(`workspace-${req.workspaceId}`).emit('task-updated', projectToTaskData(req, project));
+    if (project.contact) io.to(`workspace-${req.workspaceId}`).emit('contact-updated', contactToPlainObject(project.contact));
+  }
+};
+
 // Auto-invalidate tasks cache after any mutation
 router.use((req, res, next) => {
   if (req.method !== 'GET' && req.method !== 'OPTIONS') {
@@ -224,13 +349,15 @@ router.get('/', authenticateToken, requireWorkspace, async (req, res) => {
     // dokumenty v workspace a nižšie doplníme contactIds/contactNames do
     // enrichment-u. Duplicity s embedded taskami nemôžu vzniknúť, lebo POST
     // /tasks vytvára BUĎ global BUĎ embedded, nikdy oboje.
-    const [globalTasks, contacts] = await Promise.all([
+    const [globalTasks, contacts, statuses] = await Promise.all([
       Task.find({ workspaceId: req.workspaceId }).maxTimeMS(30000).lean(),
 
       Contact.find(
         { workspaceId: req.workspaceId, 'tasks.0': { $exists: true } },
         EXCLUDE_FILE_DATA
-      ).lean()
+      ).lean(),
+
+      loadTaskStatuses(req.workspaceId)
     ]);
 
     // Získanie priradených kontaktov pre global tasky naraz (batch query) —
@@ -281,6 +408,8 @@ router.get('/', authenticateToken, requireWorkspace, async (req, res) => {
       return {
         ...task,
         id: taskId,
+        version: versionOf(task),
+        status: effectiveStatus(task, statuses),
         contactIds: taskContactIds,
         contactNames: taskContactNames,
         contactName: taskContactNames.join(', ') || null,
@@ -301,6 +430,9 @@ router.get('/', authenticateToken, requireWorkspace, async (req, res) => {
           contactTasks.push({
             ...taskObj,
             id: task.id,
+            // Projekt v kontakte nemá vlastnú verziu — verzia je verzia kontaktu
+            version: versionOf(contact),
+            status: effectiveStatus(task, statuses),
             contactId: contact._id.toString(),
             contactName: contact.name,
             source: 'contact',
@@ -340,20 +472,25 @@ router.get('/', authenticateToken, requireWorkspace, async (req, res) => {
   }
 });
 
+// Plan-feature gate: CSV exporty (projekty, výkaz času) sú dostupné len pre
+// Tím+. Vráti true, keď už odpovedal 403.
+const rejectCsvExportForPlan = async (req, res) => {
+  const exporter = await User.findById(req.user.id).select('subscription').lean();
+  const exporterPlan = exporter?.subscription?.plan || 'free';
+  if (exporterPlan !== 'free' && exporterPlan !== 'trial') return false;
+  // Apple 3.1.1 — iOS bez akejkoľvek zmienky o pláne / tier.
+  const message = isIosNativeApp(req)
+    ? 'Táto funkcia nie je dostupná.'
+    : 'Export do CSV je dostupný v plánoch Tím a Pro. Upgradujte plán pre prístup.';
+  logPlanGateHit(req, { code: 'FEATURE_NOT_IN_PLAN', feature: 'csv-export' });
+  res.status(403).json({ message, code: 'FEATURE_NOT_IN_PLAN' });
+  return true;
+};
+
 // Export tasks to CSV - MUST be before /:id route
 router.get('/export/csv', authenticateToken, requireWorkspace, async (req, res) => {
   try {
-    // Plan-feature gate: CSV export je dostupný len pre Tím+.
-    const exporter = await User.findById(req.user.id).select('subscription').lean();
-    const exporterPlan = exporter?.subscription?.plan || 'free';
-    if (exporterPlan === 'free' || exporterPlan === 'trial') {
-      // Apple 3.1.1 — iOS bez akejkoľvek zmienky o pláne / tier.
-      const message = isIosNativeApp(req)
-        ? 'Táto funkcia nie je dostupná.'
-        : 'Export do CSV je dostupný v plánoch Tím a Pro. Upgradujte plán pre prístup.';
-      logPlanGateHit(req, { code: 'FEATURE_NOT_IN_PLAN', feature: 'csv-export' });
-      return res.status(403).json({ message, code: 'FEATURE_NOT_IN_PLAN' });
-    }
+    if (await rejectCsvExportForPlan(req, res)) return;
     // Get global tasks
     const globalTasks = await Task.find({ workspaceId: req.workspaceId }).sort({ createdAt: -1 }).lean();
 
@@ -363,22 +500,11 @@ router.get('/export/csv', authenticateToken, requireWorkspace, async (req, res)
       EXCLUDE_FILE_DATA
     ).lean();
 
-    const escCsv = (val) => {
-      if (val == null) return '';
-      let str = String(val);
-      // CSV injection protection: prefix dangerous characters
-      if (/^[=+\-@\t\r]/.test(str)) {
-        str = "'" + str;
-      }
-      if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-        return '"' + str.replace(/"/g, '""') + '"';
-      }
-      return str;
-    };
-
     const priorityMap = { low: 'Nízka', medium: 'Stredná', high: 'Vysoká' };
 
-    const headers = ['Názov', 'Popis', 'Stav', 'Priorita', 'Termín', 'Kontakt', 'Typ', 'Počet úloh', 'Dokončené úlohy', 'Vytvorený'];
+    const headers = ['Názov', 'Popis', 'Stav', 'Priorita', 'Začiatok', 'Termín', 'Kontakt', 'Typ', 'Počet úloh', 'Dokončené úlohy', 'Odhad (h)', 'Odpracované (h)', 'Vytvorený'];
+    const formatDay = (value) => (value ? new Date(value).toLocaleDateString('sk-SK') : '');
+    const formatHours = (minutes) => (minutes ? (minutes / 60).toFixed(2) : '');
     const rows = [];
 
     // Global tasks
@@ -394,17 +520,20 @@ router.get('/export/csv', authenticateToken, requireWorkspace, async (req, res)
       const completedSubtasks = (task.subtasks || []).filter(s => s.completed).length;
 
       rows.push([
-        escCsv(task.title),
-        escCsv(task.description),
+        task.title,
+        task.description,
         task.completed ? 'Dokončený' : 'Aktívny',
-        escCsv(priorityMap[task.priority] || task.priority),
-        escCsv(task.dueDate ? new Date(task.dueDate).toLocaleDateString('sk-SK') : ''),
-        escCsv(contactNames.join(', ')),
+        priorityMap[task.priority] || task.priority,
+        formatDay(task.startDate),
+        formatDay(task.dueDate),
+        contactNames.join(', '),
         'Globálny',
         subtaskCount,
         completedSubtasks,
-        escCsv(task.createdAt ? new Date(task.createdAt).toLocaleDateString('sk-SK') : '')
-      ].join(','));
+        formatHours(task.estimate),
+        formatHours(trackedMinutes(task)),
+        formatDay(task.createdAt)
+      ]);
     }
 
     // Contact tasks
@@ -414,22 +543,24 @@ router.get('/export/csv', authenticateToken, requireWorkspace, async (req, res)
         const completedSubtasks = (task.subtasks || []).filter(s => s.completed).length;
 
         rows.push([
-          escCsv(task.title),
-          escCsv(task.description),
+          task.title,
+          task.description,
           task.completed ? 'Dokončený' : 'Aktívny',
-          escCsv(priorityMap[task.priority] || task.priority),
-          escCsv(task.dueDate ? new Date(task.dueDate).toLocaleDateString('sk-SK') : ''),
-          escCsv(contact.name),
+          priorityMap[task.priority] || task.priority,
+          formatDay(task.startDate),
+          formatDay(task.dueDate),
+          contact.name,
           'Kontaktový',
           subtaskCount,
           completedSubtasks,
-          escCsv(task.createdAt ? new Date(task.createdAt).toLocaleDateString('sk-SK') : '')
-        ].join(','));
+          formatHours(task.estimate),
+          formatHours(trackedMinutes(task)),
+          formatDay(task.createdAt)
+        ]);
       }
     }
 
-    const bom = '\uFEFF';
-    const csv = bom + headers.join(',') + '\n' + rows.join('\n');
+    const csv = toCsv(headers, rows);
 
     res.setHeader('Content-Type', 'text/csv; charset=utf-8');
     res.setHeader('Content-Disposition', 'attachment; filename="projekty.csv"');
@@ -439,6 +570,62 @@ router.get('/export/csv', authenticateToken, requireWorkspace, async (req, res)
   }
 });
 
+// Súčty odpracovaného času per kontakt a per člen. Query: from, to
+// ('YYYY-MM-DD'), userId — všetko voliteľné (services/taskTime.js).
+router.get('/time/summary', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const query = normalizeTimeQuery(req.query);
+    if (query.error) return res.status(400).json({ message: query.error });
+    res.json(await summarizeTime({ workspaceId: req.workspaceId, ...query.value }));
+  } catch (error) {
+    logger.error('GET /tasks/time/summary error', { error: error.message, workspaceId: req.workspaceId?.toString() });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// Výkaz (timesheet) do CSV — jeden riadok na záznam, na konci súčty per
+// člen a per kontakt. Rovnaké query ako /time/summary.
+router.get('/export/timesheet', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    if (await rejectCsvExportForPlan(req, res)) return;
+    const query = normalizeTimeQuery(req.query);
+    if (query.error) return res.status(400).json({ message: query.error });
+    const summary = await summarizeTime({ workspaceId: req.workspaceId, ...query.value });
+
+    const hours = (minutes) => (minutes / 60).toFixed(2);
+    const headers = ['Dátum', 'Člen', 'Kontakt', 'Projekt', 'Úloha', 'Minúty', 'Hodiny', 'Poznámka'];
+    const rows = summary.entries.map(entry => [
+      entry.date,
+      entry.username,
+      entry.contacts.map(c => c.name).join(', '),
+      entry.taskTitle,
+      entry.kind === 'subtask' ? entry.itemTitle : '',
+      entry.minutes,
+      hours(entry.minutes),
+      entry.running ? `${entry.note} (beží)`.trim() : entry.note
+    ]);
+
+    rows.push([]);
+    for (const member of summary.byMember) {
+      rows.push(['Spolu', member.username, '', '', '', member.minutes, hours(member.minutes), '']);
+    }
+    for (const contact of summary.byContact) {
+      rows.push(['Spolu', '', contact.contactName || 'Bez kontaktu', '', '', contact.minutes, hours(contact.minutes), '']);
+    }
+    rows.push(['Spolu', '', '', '', '', summary.total, hours(summary.total), '']);
+
+    const csv = toCsv(headers, rows);
+    const period = [query.value.from, query.value.to].filter(Boolean).join('_');
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="vykaz${period ? `-${period}` : ''}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    logger.error('GET /tasks/export/timesheet error', { error: error.message, workspaceId: req.workspaceId?.toString() });
+    res.status(500).json({ message: 'Chyba pri exporte' });
+  }
+});
+
 // Export tasks to iCal format - MUST be before /:id route
 // Query params:
 //   - incremental=true: only export tasks not previously exported
@@ -491,7 +678,8 @@ router.get('/export/calendar', authenticateToken, requireWorkspace, async (req,
             title: `${subtask.title} (${parentTitle})`,
             dueDate: subtask.dueDate,
             description: subtask.notes || '',
-            contact: contactName
+            contact: contactName,
+            recurrence: subtask.recurrence
           });
           newExportedIds.push(subtask.id);
         }
@@ -510,7 +698,8 @@ router.get('/export/calendar', authenticateToken, requireWorkspace, async (req,
           title: task.title,
           dueDate: task.dueDate,
           description: task.description || '',
-          contact: null
+          contact: null,
+          recurrence: task.recurrence
         });
         newExportedIds.push(taskId);
       }
@@ -527,7 +716,8 @@ router.get('/export/calendar', authenticateToken, requireWorkspace, async (req,
               title: task.title,
               dueDate: task.dueDate,
               description: task.description || '',
-              contact: contact.name
+              contact: contact.name,
+              recurrence: task.recurrence
             });
             newExportedIds.push(task.id);
           }
@@ -554,6 +744,10 @@ router.get('/export/calendar', authenticateToken, requireWorkspace, async (req,
       ical += `UID:${event.uid}\r\n`;
       ical += `DTSTAMP:${dtstamp}\r\n`;
       ical += `DUE;VALUE=DATE:${dateStr}\r\n`;
+      if (isOpenSeries(event)) {
+        ical += `DTSTART;VALUE=DATE:${dateStr}\r\n`;
+        ical += `RRULE:${toRRule(event.recurrence)}\r\n`;
+      }
       ical += `SUMMARY:${event.title.replace(/[,;\\]/g, '\\$&')}\r\n`;
       if (event.description) {
         ical += `DESCRIPTION:${event.description.replace(/\n/g, '\\n').replace(/[,;\\]/g, '\\$&')}\r\n`;
@@ -742,7 +936,7 @@ router.get('/calendar/feed/:token', async (req, res) => {
     const workspaceFilter = { workspaceId: user.currentWorkspaceId };
     const globalTasks = await Task.find(
       { ...workspaceFilter, dueDate: { $exists: true, $ne: null } },
-      { title: 1, dueDate: 1, description: 1, completed: 1, priority: 1, subtasks: 1, createdAt: 1, updatedAt: 1 }
+      { title: 1, dueDate: 1, description: 1, completed: 1, priority: 1, subtasks: 1, recurrence: 1, createdAt: 1, updatedAt: 1 }
     ).lean();
     const contacts = await Contact.find(
       { ...workspaceFilter, 'tasks.dueDate': { $exists: true } },
@@ -788,6 +982,7 @@ router.get('/calendar/feed/:token', async (req, res) => {
             contact: contactName,
             completed: subtask.completed,
             priority: parentPriority,
+            recurrence: subtask.recurrence,
             createdAt: subtask.createdAt,
             updatedAt: subtask.updatedAt
           });
@@ -812,6 +1007,7 @@ router.get('/calendar/feed/:token', async (req, res) => {
           contact: null,
           completed: task.completed,
           priority: task.priority || 'medium',
+          recurrence: task.recurrence,
           createdAt: task.createdAt,
           updatedAt: task.updatedAt
         });
@@ -835,6 +1031,7 @@ router.get('/calendar/feed/:token', async (req, res) => {
               contact: contact.name,
               completed: task.completed,
               priority: task.priority || 'medium',
+              recurrence: task.recurrence,
               createdAt: task.createdAt,
               updatedAt: task.updatedAt
             });
@@ -888,6 +1085,11 @@ router.get('/calendar/feed/:token', async (req, res) => {
       ical += `UID:${event.uid}\r\n`;
       ical += `DTSTAMP:${dtstamp}\r\n`;
       ical += `DUE;VALUE=DATE:${dateStr}\r\n`;
+      // Sériu nesie len otvorený výskyt; dokončené ostávajú jednorazové
+      if (isOpenSeries(event)) {
+        ical += `DTSTART;VALUE=DATE:${dateStr}\r\n`;
+        ical += `RRULE:${toRRule(event.recurrence)}\r\n`;
+      }
       ical += `SUMMARY:${escapeText(event.title)}\r\n`;
       if (description) {
         ical += `DESCRIPTION:${escapeText(description)}\r\n`;
@@ -1024,6 +1226,128 @@ router.put('/reorder-subtasks', authenticateToken, requireWorkspace, async (req,
   }
 });
 
+// Uložené pohľady zoznamu projektov — MUST be before /:id.
+// Zmena zdieľaného pohľadu sa ohlási celému workspace, klienti si zoznam načítajú znova.
+const emitViewsChanged = (req, shared) => {
+  if (!shared) return;
+  req.app.get('io').to(`workspace-${req.workspaceId}`).emit('task-views-updated', { userId: req.user.id });
+};
+
+const handleViewError = (res, error, route, req) => {
+  if (error instanceof TaskViewError) {
+    return res.status(error.statusCode).json({ message: error.message, code: error.code });
+  }
+  logger.error(`${route} error`, { error: error.message, workspaceId: req.workspaceId?.toString() });
+  res.status(500).json({ message: 'Chyba servera' });
+};
+
+router.get('/views', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    res.json(await listViews({ workspaceId: req.workspaceId, userId: req.user.id }));
+  } catch (error) {
+    handleViewError(res, error, 'GET /tasks/views', req);
+  }
+});
+
+router.get('/views/:viewId', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    res.json(await getView({ workspaceId: req.workspaceId, viewId: req.params.viewId, userId: req.user.id }));
+  } catch (error) {
+    handleViewError(res, error, 'GET /tasks/views/:viewId', req);
+  }
+});
+
+// Body: { name, shared, filters, sort: { field, direction }, groupBy } — utils/taskViews.js
+router.post('/views', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const view = await createView({
+      workspaceId: req.workspaceId,
+      userId: req.user.id,
+      username: req.user.username,
+      input: req.body
+    });
+    emitViewsChanged(req, view.shared);
+    res.status(201).json(view);
+  } catch (error) {
+    handleViewError(res, error, 'POST /tasks/views', req);
+  }
+});
+
+router.put('/views/:viewId', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const { view, wasShared } = await updateView({
+      workspaceId: req.workspaceId,
+      viewId: req.params.viewId,
+      userId: req.user.id,
+      input: req.body
+    });
+    emitViewsChanged(req, view.shared || wasShared);
+    res.json(view);
+  } catch (error) {
+    handleViewError(res, error, 'PUT /tasks/views/:viewId', req);
+  }
+});
+
+router.delete('/views/:viewId', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const { shared } = await deleteView({
+      workspaceId: req.workspaceId,
+      viewId: req.params.viewId,
+      userId: req.user.id,
+      canAdmin: req.workspaceMember.canAdmin()
+    });
+    emitViewsChanged(req, shared);
+    res.json({ message: 'Pohľad bol zmazaný' });
+  } catch (error) {
+    handleViewError(res, error, 'DELETE /tasks/views/:viewId', req);
+  }
+});
+
+// Kanban stavy projektov workspace (stĺpce nástenky) — MUST be before /:id
+router.get('/statuses', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    res.json(await loadTaskStatuses(req.workspaceId));
+  } catch (error) {
+    logger.error('GET /tasks/statuses error', { error: error.message, workspaceId: req.workspaceId?.toString() });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// Nastavenie stavov (owner/admin). Body: { statuses: [{ id?, name, color, done }] }
+router.put('/statuses', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    if (!req.workspaceMember.canAdmin()) {
+      return res.status(403).json({ message: 'Stavy projektov môže meniť len vlastník alebo správca' });
+    }
+    const statuses = await updateTaskStatuses(req.workspaceId, req.body.statuses);
+
+    const io = req.app.get('io');
+    io.to(`workspace-${req.workspaceId}`).emit('task-statuses-updated', statuses);
+
+    res.json(statuses);
+
+    auditService.logAction({
+      userId: req.user.id,
+      username: req.user.username,
+      email: req.user.email,
+      action: 'workspace.task_statuses_updated',
+      category: 'workspace',
+      targetType: 'workspace',
+      targetId: req.workspaceId.toString(),
+      details: { statuses: statuses.map(s => s.name) },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      workspaceId: req.workspaceId || null
+    });
+  } catch (error) {
+    if (error instanceof TaskBoardError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code });
+    }
+    logger.error('PUT /tasks/statuses error', { error: error.message, workspaceId: req.workspaceId?.toString() });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
 // Get single task (from global tasks or contacts)
 router.get('/:id', authenticateToken, requireWorkspace, async (req, res) => {
   try {
@@ -1036,20 +1360,25 @@ router.get('/:id', authenticateToken, requireWorkspace, async (req, res) => {
       // First check global tasks in this workspace
       const task = await Task.findOne({ _id: req.params.id, workspaceId: req.workspaceId }).lean();
       if (task) {
-        return res.json({ ...task, source: 'global', id: task._id.toString() });
+        const version = versionOf(task);
+        setVersionHeader(res, version);
+        return res.json({ ...task, source: 'global', id: task._id.toString(), version });
       }
     }
 
     // Check tasks in contacts using MongoDB query (much faster than loading all contacts)
     const contact = await Contact.findOne(
       { workspaceId: req.workspaceId, 'tasks.id': req.params.id },
-      { name: 1, 'tasks.$': 1 }
+      { name: 1, updatedAt: 1, editVersion: 1, 'tasks.$': 1 }
     ).lean();
 
     if (contact && contact.tasks && contact.tasks.length > 0) {
       const foundTask = contact.tasks[0];
+      const version = versionOf(contact);
+      setVersionHeader(res, version);
       return res.json({
         ...foundTask,
+        version,
         contactId: contact._id.toString(),
         contactName: contact.name,
         source: 'contact'
@@ -1073,8 +1402,11 @@ const cloneSubtasksWithNewIds = (subtasks) => {
       title: subtask.title || '',
       completed: subtask.completed || false,
       dueDate: subtask.dueDate || null,
+      startDate: normalizeStartDate(subtask.startDate ?? null, subtask.dueDate).value ?? null,
+      estimate: normalizeEstimate(subtask.estimate ?? null).value ?? null,
       notes: subtask.notes || '',
       priority: subtask.priority || null, // Preserve priority
+      recurrence: normalizeRecurrence(subtask.recurrence).value || null,
       subtasks: cloneSubtasksWithNewIds(subtask.subtasks),
       createdAt: now,
       modifiedAt: now // Set on creation for "new" filter
@@ -1091,6 +1423,22 @@ router.post('/', authenticateToken, requireWorkspace, enforceWorkspaceLimits, as
     if (!title || !title.trim()) {
       return res.status(400).json({ message: 'Názov projektu je povinný' });
     }
+    const recurrence = normalizeRecurrence(req.body.recurrence);
+    if (recurrence.error) {
+      return res.status(400).json({ message: recurrence.error });
+    }
+    const estimate = normalizeEstimate(req.body.estimate ?? null);
+    if (estimate.error) {
+      return res.status(400).json({ message: estimate.error });
+    }
+    const startDate = normalizeStartDate(req.body.startDate ?? null, dueDate);
+    if (startDate.error) {
+      return res.status(400).json({ message: startDate.error });
+    }
+    const tags = normalizeTags(req.body.tags);
+    if (tags.error) {
+      return res.status(400).json({ message: tags.error });
+    }
 
     // Support both old contactId (single) and new contactIds (array)
     let finalContactIds = [];
@@ -1133,6 +1481,9 @@ router.post('/', authenticateToken, requireWorkspace, enforceWorkspaceLimits, as
         description: description || '',
         dueDate: dueDate || null,
         dueTime: dueDate ? (dueTime || '') : '',
+        startDate: startDate.value,
+        estimate: estimate.value,
+        tags: tags.value,
         priority: priority || 'medium',
         completed: false,
         contactIds: [],
@@ -1143,7 +1494,8 @@ router.post('/', authenticateToken, requireWorkspace, enforceWorkspaceLimits, as
         reminder: reminder !== '' && reminder != null ? Number(reminder) : null,
         reminderSent: false,
         timeReminders: sanitizeTimeReminders(timeReminders),
-        timeRemindersSent: []
+        timeRemindersSent: [],
+        recurrence: recurrence.value
       });
 
       await task.save();
@@ -1223,6 +1575,9 @@ router.post('/', authenticateToken, requireWorkspace, enforceWorkspaceLimits, as
         priority: priority || 'medium',
         dueDate: dueDate || null,
         dueTime: dueDate ? (dueTime || '') : '',
+        startDate: startDate.value,
+        estimate: estimate.value,
+        tags: tags.value,
         assignedTo: assignedTo || [],
         subtasks: cloneSubtasksWithNewIds(subtasks),
         createdAt: new Date().toISOString(),
@@ -1230,7 +1585,8 @@ router.post('/', authenticateToken, requireWorkspace, enforceWorkspaceLimits, as
         reminder: reminder !== '' && reminder != null ? Number(reminder) : null,
         reminderSent: false,
         timeReminders: sanitizeTimeReminders(timeReminders),
-        timeRemindersSent: []
+        timeRemindersSent: [],
+        recurrence: recurrence.value
       };
 
       // Ensure tasks array exists
@@ -1327,8 +1683,10 @@ const syncSubtasksToGoogle = async (subtasks, parentTitle, contactName, workspac
       title: `${subtask.title} (${parentTitle})`,
       description: subtask.notes || '',
       dueDate: subtask.dueDate,
+      dueTime: subtask.dueTime,
       completed: subtask.completed,
       priority: subtask.priority,
+      recurrence: subtask.recurrence,
       contactName: contactName,
       workspaceId
     }, 'update');
@@ -1340,12 +1698,210 @@ const syncSubtasksToGoogle = async (subtasks, parentTitle, contactName, workspac
   }
 };
 
+// Kanban — presun karty do stavu (stĺpca). Body: { status, column } kde
+// column je poradie kariet cieľového stĺpca po presune (services/taskBoard.js).
+router.put('/:id/move', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const { status, column } = req.body;
+    const moved = await moveTask({ workspaceId: req.workspaceId, taskId: req.params.id, status, column });
+    const { task, contact } = moved;
+
+    const assignedUsers = await populateAssignedUsers(task.assignedTo);
+    const taskData = moved.source === 'global'
+      ? taskToPlainObject(task, {
+        source: 'global',
+        id: task._id.toString(),
+        assignedTo: (task.assignedTo || []).map(id => id.toString()),
+        assignedUsers,
+        version: versionOf(task)
+      })
+      : taskToPlainObject(task, {
+        contactId: contact._id.toString(),
+        contactName: contact.name,
+        source: 'contact',
+        assignedUsers,
+        workspaceId: req.workspaceId?.toString(),
+        version: versionOf(contact)
+      });
+
+    const io = req.app.get('io');
+    io.to(`workspace-${req.workspaceId}`).emit('task-updated', taskData);
+
+    if (moved.completedChanged) autoSyncToGoogle(taskData, 'update');
+    await notifyUnblocked(req, moved.completedIds);
+
+    if (moved.nextOccurrence) {
+      const next = moved.nextOccurrence;
+      await announceNextOccurrence(req, next, moved.source === 'global'
+        ? {
+          source: 'global',
+          id: next._id.toString(),
+          assignedTo: (next.assignedTo || []).map(id => id.toString()),
+          version: versionOf(next)
+        }
+        : {
+          contactId: contact._id.toString(),
+          contactName: contact.name,
+          source: 'contact',
+          workspaceId: req.workspaceId?.toString(),
+          version: versionOf(contact)
+        });
+    }
+
+    // Zmena stĺpca = úprava projektu (rovnaké notifikácie ako PUT /:id);
+    // preusporiadanie v rámci stĺpca nikoho neruší
+    if (moved.status !== moved.previousStatus) {
+      const taskType = moved.completedChanged && task.completed ? 'task.completed' : 'task.updated';
+      await notificationService.notifyTaskChange(taskType, taskData, req.user, [], req.workspaceId);
+
+      auditService.logAction({
+        userId: req.user.id,
+        username: req.user.username,
+        email: req.user.email,
+        action: taskType,
+        category: 'task',
+        targetType: 'task',
+        targetId: taskData.id,
+        targetName: taskData.title,
+        details: { source: moved.source, oldStatus: moved.previousStatus, newStatus: moved.status },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+        workspaceId: req.workspaceId || null
+      });
+    }
+
+    setVersionHeader(res, taskData.version);
+    res.json(taskData);
+  } catch (error) {
+    if (error instanceof TaskBoardError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code });
+    }
+    logger.error('PUT /tasks/:id/move error', { error: error.message, taskId: req.params.id });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// Závislosti — na čo projekt alebo podúloha čaká. Body: { blockedBy: [id] },
+// id môžu byť z iného kontaktu aj globálne (services/taskDependencies.js).
+router.put('/:id/dependencies', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const saved = await setBlockedBy({
+      workspaceId: req.workspaceId,
+      itemId: req.params.id,
+      blockedBy: req.body.blockedBy
+    });
+
+    const taskData = projectToTaskData(req, saved);
+    emitProjectUpdated(req, [saved]);
+
+    setVersionHeader(res, taskData.version);
+    res.json({ id: req.params.id, blockedBy: saved.blockedBy, task: taskData });
+  } catch (error) {
+    if (error instanceof TaskDependencyError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code });
+    }
+    logger.error('PUT /tasks/:id/dependencies error', { error: error.message, taskId: req.params.id });
+    res.status(500).json({ message: 'Chyba servera' });
+  }
+});
+
+// Výkaz času projektu alebo podúlohy (services/taskTime.js). Odpoveď
+// { entry, task } — `task` je koreňový projekt so všetkými záznamami.
+const sendTimeResult = (req, res, result) => {
+  emitProjectUpdated(req, result.changed);
+  const own = result.changed[result.changed.length - 1];
+  res.json({ entry: result.entry || null, task: own ? projectToTaskData(req, own) : null });
+};
+
+const handleTimeError = (res, error, route, req) => {
+  if (error instanceof TaskTimeError) {
+    return res.status(error.statusCode).json({ message: error.message, code: error.code });
+  }
+  logger.error(`${route} error`, { error: error.message, taskId: req.params.id });
+  res.status(500).json({ message: 'Chyba servera' });
+};
+
+// Spustenie časovača — bežiaci časovač člena inde sa zastaví
+router.post('/:id/time/start', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const result = await startTimer({ workspaceId: req.workspaceId, itemId: req.params.id, userId: req.user.id.toString() });
+    sendTimeResult(req, res, result);
+  } catch (error) {
+    handleTimeError(res, error, 'POST /tasks/:id/time/start', req);
+  }
+});
+
+// Zastavenie časovača. Body: { note? }
+router.post('/:id/time/stop', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const result = await stopTimer({
+      workspaceId: req.workspaceId,
+      itemId: req.params.id,
+      userId: req.user.id.toString(),
+      note: req.body.note
+    });
+    sendTimeResult(req, res, result);
+  } catch (error) {
+    handleTimeError(res, error, 'POST /tasks/:id/time/stop', req);
+  }
+});
+
+// Ručný záznam. Body: { date: 'YYYY-MM-DD', minutes, note? }
+router.post('/:id/time', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const result = await addManualEntry({
+      workspaceId: req.workspaceId,
+      itemId: req.params.id,
+      userId: req.user.id.toString(),
+      input: req.body
+    });
+    res.status(201);
+    sendTimeResult(req, res, result);
+  } catch (error) {
+    handleTimeError(res, error, 'POST /tasks/:id/time', req);
+  }
+});
+
+router.delete('/:id/time/:entryId', authenticateToken, requireWorkspace, async (req, res) => {
+  try {
+    const result = await deleteEntry({
+      workspaceId: req.workspaceId,
+      itemId: req.params.id,
+      entryId: req.params.entryId,
+      userId: req.user.id.toString(),
+      canAdmin: req.workspaceMember.canAdmin()
+    });
+    sendTimeResult(req, res, result);
+  } catch (error) {
+    handleTimeError(res, error, 'DELETE /tasks/:id/time/:entryId', req);
+  }
+});
+
 // Update task (global or from contact)
 router.put('/:id', authenticateToken, requireWorkspace, async (req, res) => {
   try {
     const { title, description, dueDate, dueTime, priority, completed, contactId, contactIds, source, assignedTo, reminder } = req.body;
     const io = req.app.get('io');
 
+    // Opakovanie: bez `recurrence` v body ostáva pôvodné (utils/recurrence.js)
+    const resolveRecurrence = (current) => {
+      const existing = typeof current?.toObject === 'function' ? current.toObject() : (current || null);
+      return req.body.recurrence === undefined ? { value: existing } : normalizeRecurrence(req.body.recurrence, existing);
+    };
+    if (req.body.estimate !== undefined) {
+      const { error } = normalizeEstimate(req.body.estimate);
+      if (error) return res.status(400).json({ message: error });
+    }
+    if (req.body.tags !== undefined) {
+      const { error } = normalizeTags(req.body.tags);
+      if (error) return res.status(400).json({ message: error });
+    }
+    // Podúlohy prepíšu celé pole — bez overenej verzie by sa stratili
+    // podúlohy, ktoré medzitým pridal alebo zmenil niekto iný
+    if (req.body.subtasks !== undefined && !hasIfMatch(req)) {
+      return sendVersionRequired(res, 'Úprava podúloh vyžaduje verziu projektu (If-Match)');
+    }
+
     // If source is 'contact', update in contacts
     if (source === 'contact') {
       // Optimization: if contactId is provided, use it directly
@@ -1361,6 +1917,21 @@ router.put('/:id', authenticateToken, requireWorkspace, async (req, res) => {
         const taskIndex = contact.tasks.findIndex(t => t.id === req.params.id);
         if (taskIndex !== -1) {
             const task = contact.tasks[taskIndex];
+            // If-Match: klient upravoval staršiu verziu — nič neprepíšeme,
+            // vrátime aktuálny stav na zlúčenie (viď utils/entityVersion.js)
+            if (!matchesIfMatch(req, versionOf(contact))) {
+              return sendContactTaskConflict(res, contact, task);
+            }
+            expectVersion(req, contact);
+            const recurrence = resolveRecurrence(task.recurrence);
+            if (recurrence.error) {
+              return res.status(400).json({ message: recurrence.error });
+            }
+            const startDate = resolveStartDate(req.body, task);
+            if (startDate.error) {
+              return res.status(400).json({ message: startDate.error });
+            }
+            const completionBefore = completionSnapshot(task);
             // Save original assignedTo before update
             const originalAssignedTo = task.assignedTo || [];
             // Capture VŠETKY original hodnoty PRED nahradením slotu v poli.
@@ -1382,7 +1953,7 @@ router.put('/:id', authenticateToken, requireWorkspace, async (req, res) => {
               }));
             };
 
-            let updatedSubtasks = req.body.subtasks !== undefined ? req.body.subtasks : task.subtasks;
+            let updatedSubtasks = req.body.subtasks !== undefined ? keepServerSubtaskFields(req.body.subtasks, task.subtasks) : task.subtasks;
             if (completed === true) {
               updatedSubtasks = markAllSubtasksCompleted(updatedSubtasks);
             }
@@ -1416,6 +1987,9 @@ router.put('/:id', authenticateToken, requireWorkspace, async (req, res) => {
               description: description !== undefined ? description : task.description,
               dueDate: dueDate !== undefined ? dueDate : task.dueDate,
               dueTime: dueTime !== undefined ? (dueDate !== undefined ? (dueDate ? dueTime : '') : dueTime) : (task.dueTime || ''),
+              startDate: startDate.value,
+              estimate: resolveEstimate(req.body.estimate, task.estimate),
+              tags: resolveTags(req.body.tags, task.tags),
               priority: priority !== undefined ? priority : task.priority,
               completed: completed !== undefined ? completed : task.completed,
               assignedTo: assignedTo !== undefined ? assignedTo : task.assignedTo,
@@ -1425,10 +1999,19 @@ router.put('/:id', authenticateToken, requireWorkspace, async (req, res) => {
               reminder: newReminder,
               reminderSent: reminderChanged ? false : (task.reminderSent || false),
               timeReminders: newTimeReminders,
-              timeRemindersSent: dueChangedForTimeReminders ? [] : (task.timeRemindersSent || [])
+              timeRemindersSent: dueChangedForTimeReminders ? [] : (task.timeRemindersSent || []),
+              recurrence: recurrence.value
             };
+            // Dokončený výskyt opakovaného projektu → ďalší v tom istom kontakte
+            const nextOccurrence = completed === true ? planNextTaskOccurrence(contact.tasks[taskIndex], 'contact') : null;
+            if (nextOccurrence) contact.tasks.push(nextOccurrence);
             contact.markModified('tasks');
-            await contact.save();
+            try {
+              await contact.save();
+            } catch (error) {
+              if (!isVersionMismatch(error)) throw error;
+              return sendStoredTaskConflict(req, res, { taskId: req.params.id, contactId: contact._id });
+            }
 
             io.to(`workspace-${req.workspaceId}`).emit('contact-updated', contactToPlainObject(contact));
             const assignedUsers = await populateAssignedUsers(contact.tasks[taskIndex].assignedTo);
@@ -1440,13 +2023,28 @@ router.put('/:id', authenticateToken, requireWorkspace, async (req, res) => {
               // Contact's embedded tasks don't carry workspaceId themselves —
               // inject it from the request so autoSyncTaskToCalendar knows which
               // workspace calendar this event belongs to.
-              workspaceId: req.workspaceId?.toString()
+              workspaceId: req.workspaceId?.toString(),
+              version: versionOf(contact)
             });
             io.to(`workspace-${req.workspaceId}`).emit('task-updated', taskData);
 
             // Auto-sync to Google Calendar
             autoSyncToGoogle(taskData, 'update');
 
+            if (completed === true) {
+              await notifyUnblocked(req, newlyCompletedIds(completionBefore, contact.tasks[taskIndex]));
+            }
+
+            if (nextOccurrence) {
+              await announceNextOccurrence(req, contact.tasks[contact.tasks.length - 1], {
+                contactId: contact._id.toString(),
+                contactName: contact.name,
+                source: 'contact',
+                workspaceId: req.workspaceId?.toString(),
+                version: versionOf(contact)
+              });
+            }
+
             // If title changed, also update all subtasks in calendar (they have parent title in their name)
             // Note: 'task' is the original task before update, so we compare new title with original
             const originalTitle = task.title;
@@ -1536,6 +2134,7 @@ router.put('/:id', authenticateToken, requireWorkspace, async (req, res) => {
               });
             }
 
+            setVersionHeader(res, taskData.version);
             res.json(taskData);
 
             // Audit log (fire and forget)
@@ -1566,6 +2165,19 @@ router.put('/:id', authenticateToken, requireWorkspace, async (req, res) => {
     let task = await Task.findOne({ _id: req.params.id, workspaceId: req.workspaceId });
 
     if (task) {
+      if (!matchesIfMatch(req, versionOf(task))) {
+        return sendTaskConflict(res, task);
+      }
+      expectVersion(req, task);
+      const recurrence = resolveRecurrence(task.recurrence);
+      if (recurrence.error) {
+        return res.status(400).json({ message: recurrence.error });
+      }
+      const startDate = resolveStartDate(req.body, task);
+      if (startDate.error) {
+        return res.status(400).json({ message: startDate.error });
+      }
+      const completionBefore = completionSnapshot(task);
       // Save original assignedTo before update
       const originalAssignedTo = (task.assignedTo || []).map(id => id.toString());
       // Capture všetkých original hodnôt pre "iba priorita sa zmenila" detekciu
@@ -1615,6 +2227,9 @@ router.put('/:id', authenticateToken, requireWorkspace, async (req, res) => {
       } else if (dueDate !== undefined && !dueDate) {
         task.dueTime = '';
       }
+      task.startDate = startDate.value;
+      task.estimate = resolveEstimate(req.body.estimate, task.estimate);
+      task.tags = resolveTags(req.body.tags, task.tags);
       task.priority = priority !== undefined ? priority : task.priority;
       task.completed = completed !== undefined ? completed : task.completed;
       task.contactIds = finalContactIds;
@@ -1651,7 +2266,7 @@ router.put('/:id', authenticateToken, requireWorkspace, async (req, res) => {
       }
       // Preserve subtasks if not explicitly provided
       if (req.body.subtasks !== undefined) {
-        task.subtasks = req.body.subtasks;
+        task.subtasks = keepServerSubtaskFields(req.body.subtasks, task.subtasks);
       }
 
       // Auto-complete all subtasks when main task is completed
@@ -1666,8 +2281,16 @@ router.put('/:id', authenticateToken, requireWorkspace, async (req, res) => {
         };
         task.subtasks = markAllSubtasksCompleted(task.subtasks);
       }
+      if (req.body.recurrence !== undefined) task.recurrence = recurrence.value;
 
-      await task.save();
+      try {
+        await task.save();
+      } catch (error) {
+        if (!isVersionMismatch(error)) throw error;
+        return sendStoredTaskConflict(req, res, { taskId: task._id });
+      }
+      // Dokončený výskyt opakovaného projektu → ďalší (až po uložení dokončenia)
+      const nextOccurrence = completed === true ? await createNextTaskOccurrence(task) : null;
 
       const assignedUsers = await populateAssignedUsers(task.assignedTo);
       const taskData = taskToPlainObject(task, {
@@ -1677,7 +2300,8 @@ router.put('/:id', authenticateToken, requireWorkspace, async (req, res) => {
         contactNames: contactNames,
         contactName: contactNames.join(', ') || null,
         assignedTo: (task.assignedTo || []).map(id => id.toString()),
-        assignedUsers
+        assignedUsers,
+        version: versionOf(task)
       });
 
       io.to(`workspace-${req.workspaceId}`).emit('task-updated', taskData);
@@ -1685,6 +2309,20 @@ router.put('/:id', authenticateToken, requireWorkspace, async (req, res) => {
       // Auto-sync to Google Calendar
       autoSyncToGoogle(taskData, 'update');
 
+      if (completed === true) await notifyUnblocked(req, newlyCompletedIds(completionBefore, task));
+
+      if (nextOccurrence) {
+        await announceNextOccurrence(req, nextOccurrence, {
+          source: 'global',
+          id: nextOccurrence._id.toString(),
+          contactIds: finalContactIds,
+          contactNames,
+          contactName: contactNames.join(', ') || null,
+          assignedTo: (nextOccurrence.assignedTo || []).map(id => id.toString()),
+          version: versionOf(nextOccurrence)
+        });
+      }
+
       // If title changed, also update all subtasks in calendar (they have parent title in their name)
       if (title !== undefined && title !== originalTitle) {
         const newTitle = title;
@@ -1770,6 +2408,7 @@ router.put('/:id', authenticateToken, requireWorkspace, async (req, res) => {
         });
       }
 
+      setVersionHeader(res, taskData.version);
       res.json(taskData);
 
       // Audit log (fire and forget)
@@ -1796,6 +2435,19 @@ router.put('/:id', authenticateToken, requireWorkspace, async (req, res) => {
       const taskIndex = contact.tasks.findIndex(t => t.id === req.params.id);
       if (taskIndex !== -1) {
         const ctask = contact.tasks[taskIndex];
+        if (!matchesIfMatch(req, versionOf(contact))) {
+          return sendContactTaskConflict(res, contact, ctask);
+        }
+        expectVersion(req, contact);
+        const recurrence = resolveRecurrence(ctask.recurrence);
+        if (recurrence.error) {
+          return res.status(400).json({ message: recurrence.error });
+        }
+        const startDate = resolveStartDate(req.body, ctask);
+        if (startDate.error) {
+          return res.status(400).json({ message: startDate.error });
+        }
+        const completionBefore = completionSnapshot(ctask);
         // Save original values before update
         const originalCtaskTitle = ctask.title;
         const originalCtaskAssignedTo = ctask.assignedTo || [];
@@ -1815,15 +2467,26 @@ router.put('/:id', authenticateToken, requireWorkspace, async (req, res) => {
           description: description !== undefined ? description : ctask.description,
           dueDate: dueDate !== undefined ? dueDate : ctask.dueDate,
           dueTime: dueTime !== undefined ? (dueDate !== undefined ? (dueDate ? dueTime : '') : dueTime) : (ctask.dueTime || ''),
+          startDate: startDate.value,
+          estimate: resolveEstimate(req.body.estimate, ctask.estimate),
+          tags: resolveTags(req.body.tags, ctask.tags),
           priority: priority !== undefined ? priority : ctask.priority,
           completed: completed !== undefined ? completed : ctask.completed,
           assignedTo: assignedTo !== undefined ? assignedTo : ctask.assignedTo,
-          subtasks: req.body.subtasks !== undefined ? req.body.subtasks : ctask.subtasks,
+          subtasks: req.body.subtasks !== undefined ? keepServerSubtaskFields(req.body.subtasks, ctask.subtasks) : ctask.subtasks,
           createdAt: ctask.createdAt,
-          modifiedAt: new Date().toISOString()
+          modifiedAt: new Date().toISOString(),
+          recurrence: recurrence.value
         };
+        const nextOccurrence = completed === true ? planNextTaskOccurrence(contact.tasks[taskIndex], 'contact') : null;
+        if (nextOccurrence) contact.tasks.push(nextOccurrence);
         contact.markModified('tasks');
-        await contact.save();
+        try {
+          await contact.save();
+        } catch (error) {
+          if (!isVersionMismatch(error)) throw error;
+          return sendStoredTaskConflict(req, res, { taskId: req.params.id, contactId: contact._id });
+        }
 
         io.to(`workspace-${req.workspaceId}`).emit('contact-updated', contactToPlainObject(contact));
         const assignedUsers = await populateAssignedUsers(contact.tasks[taskIndex].assignedTo);
@@ -1834,13 +2497,28 @@ router.put('/:id', authenticateToken, requireWorkspace, async (req, res) => {
           assignedUsers,
           // See comment on earlier taskToPlainObject call — contact
           // subtasks need workspaceId injected for auto-sync routing.
-          workspaceId: req.workspaceId?.toString()
+          workspaceId: req.workspaceId?.toString(),
+          version: versionOf(contact)
         });
         io.to(`workspace-${req.workspaceId}`).emit('task-updated', taskData);
 
         // Auto-sync to Google Calendar
         autoSyncToGoogle(taskData, 'update');
 
+        if (completed === true) {
+          await notifyUnblocked(req, newlyCompletedIds(completionBefore, contact.tasks[taskIndex]));
+        }
+
+        if (nextOccurrence) {
+          await announceNextOccurrence(req, contact.tasks[contact.tasks.length - 1], {
+            contactId: contact._id.toString(),
+            contactName: contact.name,
+            source: 'contact',
+            workspaceId: req.workspaceId?.toString(),
+            version: versionOf(contact)
+          });
+        }
+
         // If title changed, also update all subtasks in calendar (they have parent title in their name)
         if (title !== undefined && title !== originalCtaskTitle) {
           const newTitle = title;
@@ -1920,6 +2598,7 @@ router.put('/:id', authenticateToken, requireWorkspace, async (req, res) => {
           });
         }
 
+        setVersionHeader(res, taskData.version);
         res.json(taskData);
 
         // Audit log (fire and forget)
@@ -2088,6 +2767,8 @@ const duplicateSubtasksRecursive = (subtasks) => {
       title: subtask.title || '',
       completed: false,
       dueDate: subtask.dueDate || null,
+      startDate: subtask.startDate || null,
+      estimate: subtask.estimate ?? null,
       notes: subtask.notes || '',
       priority: subtask.priority || null, // Preserve priority
       subtasks: duplicateSubtasksRecursive(subtask.subtasks),
@@ -2145,6 +2826,9 @@ router.post('/:id/duplicate', authenticateToken, requireWorkspace, enforceWorksp
         title: originalTask.title + ' (kópia)',
         description: originalTask.description || '',
         dueDate: originalTask.dueDate || null,
+        startDate: originalTask.startDate || null,
+        estimate: originalTask.estimate ?? null,
+        tags: originalTask.tags || [],
         priority: originalTask.priority || 'medium',
         completed: false,
         contactIds: [],
@@ -2184,6 +2868,9 @@ router.post('/:id/duplicate', authenticateToken, requireWorkspace, enforceWorksp
         completed: false,
         priority: originalTask.priority || 'medium',
         dueDate: originalTask.dueDate || null,
+        startDate: originalTask.startDate || null,
+        estimate: originalTask.estimate ?? null,
+        tags: originalTask.tags || [],
         subtasks: duplicateSubtasksRecursive(originalTask.subtasks),
         createdAt: now,
         modifiedAt: now // Set on creation for "new" filter
@@ -2229,6 +2916,18 @@ router.post('/:taskId/subtasks', authenticateToken, requireWorkspace, enforceWor
     if (!title || !title.trim()) {
       return res.status(400).json({ message: 'Nazov ulohy je povinny' });
     }
+    const recurrence = normalizeRecurrence(req.body.recurrence);
+    if (recurrence.error) {
+      return res.status(400).json({ message: recurrence.error });
+    }
+    const estimate = normalizeEstimate(req.body.estimate ?? null);
+    if (estimate.error) {
+      return res.status(400).json({ message: estimate.error });
+    }
+    const startDate = normalizeStartDate(req.body.startDate ?? null, dueDate);
+    if (startDate.error) {
+      return res.status(400).json({ message: startDate.error });
+    }
 
     // Plan-limit pre podúlohy (subtasks). Limit platí pre celkový počet
     // podúloh v projekte (rekurzívne — vrátane vnorených). Predtým limit
@@ -2250,6 +2949,8 @@ router.post('/:taskId/subtasks', authenticateToken, requireWorkspace, enforceWor
       completed: false,
       dueDate: dueDate || null,
       dueTime: dueDate ? (dueTime || '') : '',
+      startDate: startDate.value,
+      estimate: estimate.value,
       notes: notes || '',
       priority: priority || null,
       subtasks: [],
@@ -2257,7 +2958,8 @@ router.post('/:taskId/subtasks', authenticateToken, requireWorkspace, enforceWor
       createdAt: now,
       modifiedAt: now, // Set on creation for "new" filter
       timeReminders: sanitizeTimeReminders(timeReminders),
-      timeRemindersSent: []
+      timeRemindersSent: [],
+      recurrence: recurrence.value
     };
 
     // Helper to add subtask to parent (task or subtask)
@@ -2320,6 +3022,7 @@ router.post('/:taskId/subtasks', authenticateToken, requireWorkspace, enforceWor
               dueTime: subtask.dueTime,
               completed: subtask.completed,
               priority: subtask.priority,
+              recurrence: subtask.recurrence,
               contactName: contact.name,
               workspaceId: req.workspaceId?.toString()
             }, 'create');
@@ -2366,6 +3069,7 @@ router.post('/:taskId/subtasks', authenticateToken, requireWorkspace, enforceWor
           dueTime: subtask.dueTime,
           completed: subtask.completed,
           priority: subtask.priority,
+          recurrence: subtask.recurrence,
           contactName: null,
           workspaceId: req.workspaceId?.toString()
         }, 'create');
@@ -2409,6 +3113,7 @@ router.post('/:taskId/subtasks', authenticateToken, requireWorkspace, enforceWor
             dueDate: subtask.dueDate,
             completed: subtask.completed,
             priority: subtask.priority,
+            recurrence: subtask.recurrence,
             contactName: contact.name,
             workspaceId: req.workspaceId?.toString()
           }, 'create');
@@ -2439,11 +3144,28 @@ router.put('/:taskId/subtasks/:subtaskId', authenticateToken, requireWorkspace,
     const { title, completed, source, dueDate, dueTime, notes, assignedTo, timeReminders } = req.body;
     const io = req.app.get('io');
 
-    // Returns { updated, originalAssignedTo } for assignment notification logic
+    if (req.body.recurrence !== undefined) {
+      const { error } = normalizeRecurrence(req.body.recurrence);
+      if (error) return res.status(400).json({ message: error });
+    }
+    if (req.body.estimate !== undefined) {
+      const { error } = normalizeEstimate(req.body.estimate);
+      if (error) return res.status(400).json({ message: error });
+    }
+
+    // Returns { updated, originalAssignedTo, spawned, completedIds } for notification logic,
+    // { error } pre neplatný začiatok
     const updateSubtaskInTask = (task) => {
       const found = findSubtaskRecursive(task.subtasks, req.params.subtaskId);
       if (found) {
+        const startDate = resolveStartDate(req.body, found.subtask);
+        if (startDate.error) return { error: startDate.error };
         const originalAssignedTo = found.subtask.assignedTo || [];
+        // Odškrtnutie podúlohy nededí na vnorené, stačí jej vlastné id
+        const completedIds = completed === true && !found.subtask.completed ? [found.subtask.id] : [];
+        const existingRecurrence = typeof found.subtask.recurrence?.toObject === 'function'
+          ? found.subtask.recurrence.toObject()
+          : (found.subtask.recurrence || null);
 
         // Time-of-day reminders + reset 'sent' ak sa zmenil čas/dátum/list.
         const oldReminders = found.subtask.timeReminders || [];
@@ -2466,6 +3188,8 @@ router.put('/:taskId/subtasks/:subtaskId', authenticateToken, requireWorkspace,
           completed: completed !== undefined ? completed : found.subtask.completed,
           dueDate: dueDate !== undefined ? dueDate : found.subtask.dueDate,
           dueTime: dueTime !== undefined ? (dueDate !== undefined ? (dueDate ? dueTime : '') : dueTime) : (found.subtask.dueTime || ''),
+          startDate: startDate.value,
+          estimate: resolveEstimate(req.body.estimate, found.subtask.estimate),
           notes: notes !== undefined ? notes : found.subtask.notes,
           priority: found.subtask.priority, // Preserve priority
           assignedTo: assignedTo !== undefined ? assignedTo : (found.subtask.assignedTo || []),
@@ -2473,9 +3197,14 @@ router.put('/:taskId/subtasks/:subtaskId', authenticateToken, requireWorkspace,
           createdAt: found.subtask.createdAt, // Preserve createdAt
           modifiedAt: new Date().toISOString(), // Set modification timestamp
           timeReminders: newReminders,
-          timeRemindersSent: dueChangedForTimeReminders ? [] : (found.subtask.timeRemindersSent || [])
+          timeRemindersSent: dueChangedForTimeReminders ? [] : (found.subtask.timeRemindersSent || []),
+          recurrence: req.body.recurrence !== undefined
+            ? normalizeRecurrence(req.body.recurrence, existingRecurrence).value
+            : existingRecurrence
         };
-        return { updated: found.parent[found.index], originalAssignedTo };
+        // Dokončený výskyt opakovanej úlohy → ďalší hneď za ňou
+        const spawned = completed === true ? spawnSubtaskOccurrences(task) : [];
+        return { updated: found.parent[found.index], originalAssignedTo, spawned, completedIds };
       }
       return null;
     };
@@ -2487,10 +3216,14 @@ router.put('/:taskId/subtasks/:subtaskId', authenticateToken, requireWorkspace,
         const taskIndex = contact.tasks.findIndex(t => t.id === req.params.taskId);
         if (taskIndex !== -1) {
           const result = updateSubtaskInTask(contact.tasks[taskIndex]);
+          if (result?.error) {
+            return res.status(400).json({ message: result.error });
+          }
           if (result) {
-            const { updated, originalAssignedTo } = result;
+            const { updated, originalAssignedTo, spawned, completedIds } = result;
             contact.markModified('tasks');
             await contact.save();
+            await notifyUnblocked(req, completedIds);
 
             io.to(`workspace-${req.workspaceId}`).emit('contact-updated', contactToPlainObject(contact));
             io.to(`workspace-${req.workspaceId}`).emit('task-updated', taskToPlainObject(contact.tasks[taskIndex], {
@@ -2508,9 +3241,13 @@ router.put('/:taskId/subtasks/:subtaskId', authenticateToken, requireWorkspace,
               dueTime: updated.dueTime,
               completed: updated.completed,
               priority: updated.priority,
+              recurrence: updated.recurrence,
               contactName: contact.name,
               workspaceId: req.workspaceId?.toString()
             }, 'update');
+            syncSubtasksToGoogle(spawned, contact.tasks[taskIndex].title, contact.name, req.workspaceId?.toString()).catch(err =>
+              logger.warn('Auto-sync error for next subtask occurrence', { error: err.message })
+            );
 
             // Determine newly assigned users
             let newlyAssigned = [];
@@ -2549,10 +3286,14 @@ router.put('/:taskId/subtasks/:subtaskId', authenticateToken, requireWorkspace,
     const task = await Task.findById(req.params.taskId);
     if (task) {
       const result = updateSubtaskInTask(task);
+      if (result?.error) {
+        return res.status(400).json({ message: result.error });
+      }
       if (result) {
-        const { updated, originalAssignedTo } = result;
+        const { updated, originalAssignedTo, spawned, completedIds } = result;
         task.markModified('subtasks');
         await task.save();
+        await notifyUnblocked(req, completedIds);
 
         io.to(`workspace-${req.workspaceId}`).emit('task-updated', taskToPlainObject(task, { source: 'global', id: task._id.toString() }));
 
@@ -2565,9 +3306,13 @@ router.put('/:taskId/subtasks/:subtaskId', authenticateToken, requireWorkspace,
           dueTime: updated.dueTime,
           completed: updated.completed,
           priority: updated.priority,
+          recurrence: updated.recurrence,
           contactName: null,
           workspaceId: req.workspaceId?.toString()
         }, 'update');
+        syncSubtasksToGoogle(spawned, task.title, null, req.workspaceId?.toString()).catch(err =>
+          logger.warn('Auto-sync error for next subtask occurrence', { error: err.message })
+        );
 
         // Determine newly assigned users
         let newlyAssigned = [];
@@ -2607,9 +3352,10 @@ router.put('/:taskId/subtasks/:subtaskId', authenticateToken, requireWorkspace,
       if (taskIndex !== -1) {
         const result = updateSubtaskInTask(contact.tasks[taskIndex]);
         if (result) {
-          const { updated, originalAssignedTo } = result;
+          const { updated, originalAssignedTo, spawned, completedIds } = result;
           contact.markModified('tasks');
           await contact.save();
+          await notifyUnblocked(req, completedIds);
 
           io.to(`workspace-${req.workspaceId}`).emit('contact-updated', contactToPlainObject(contact));
           io.to(`workspace-${req.workspaceId}`).emit('task-updated', taskToPlainObject(contact.tasks[taskIndex], {
@@ -2626,9 +3372,13 @@ router.put('/:taskId/subtasks/:subtaskId', authenticateToken, requireWorkspace,
             dueDate: updated.dueDate,
             completed: updated.completed,
             priority: updated.priority,
+            recurrence: updated.recurrence,
             contactName: contact.name,
             workspaceId: req.workspaceId?.toString()
           }, 'update');
+          syncSubtasksToGoogle(spawned, contact.tasks[taskIndex].title, contact.name, req.workspaceId?.toString()).catch(err =>
+            logger.warn('Auto-sync error for next subtask occurrence', { error: err.message })
+          );
 
           // Determine newly assigned users
           let newlyAssigned = [];
@@ -3248,3 +3998,5 @@ router.patch('/:taskId/files/:fileId', authenticateToken, requireWorkspace, asyn
 });
 
 module.exports = router;
+module.exports.sendContactTaskConflict = sendContactTaskConflict;
+module.exports.resolveStartDate = resolveStartDate;
@@ -0,0 +1,71 @@
+/**
+ * Migration: convert legacy `Page.content` strings into `Page.blocks`.
+ *
+ * Pages used to store one opaque content string. The editor now persists an
+ * ordered list of typed blocks (see utils/pageBlocks.js). This script splits
+ * each legacy content string into paragraph blocks (blank lines separate
+ * paragraphs). `content` itself is left untouched — it stays as the
+ * plain-text rendition of the page.
+ *
+ * GET /api/pages/:id converts such a page for its response only, and the
+ * first edit stores the blocks — both with the same block ids as this script
+ * (pageBlocksOf), so running it is not required for correctness. It stores
+ * the blocks up front so they are not derived again on every open.
+ *
+ * Safe to re-run — only touches pages that have no blocks yet.
+ *
+ * Usage:
+ *   node scripts/migratePageBlocks.js
+ */
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Page = require('../models/Page');
+const { pageBlocksOf } = require('../utils/pageBlocks');
+
+async function run() {
+  const uri = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!uri) {
+    console.error('[MigrateBlocks] MONGODB_URI not set');
+    process.exit(1);
+  }
+  await mongoose.connect(uri);
+  console.log('[MigrateBlocks] Connected to MongoDB');
+
+  const filter = { $or: [{ blocks: { $exists: false } }, { blocks: { $size: 0 } }] };
+  const total = await Page.countDocuments(filter);
+  console.log(`[MigrateBlocks] Pages without blocks: ${total}`);
+  if (total === 0) {
+    await mongoose.disconnect();
+    return;
+  }
+
+  let processed = 0, updated = 0;
+  const cursor = Page.find(filter).select('_id content').lean().cursor();
+
+  for await (const page of cursor) {
+    processed++;
+    try {
+      // updateOne (not save) so updatedAt is not bumped — nobody edited.
+      await Page.updateOne(
+        { _id: page._id },
+        { $set: { blocks: pageBlocksOf(page) } },
+        { timestamps: false }
+      );
+      updated++;
+    } catch (err) {
+      console.error('[MigrateBlocks] Error', page._id.toString(), err.message);
+    }
+    if (processed % 100 === 0) {
+      console.log(`[MigrateBlocks] Progress: ${processed}/${total} (updated=${updated})`);
+    }
+  }
+
+  console.log(`[MigrateBlocks] Done. Processed=${processed}, Updated=${updated}`);
+  await mongoose.disconnect();
+}
+
+run().catch(err => {
+  console.error('[MigrateBlocks] Fatal error', err);
+  process.exit(1);
+});
@@ -2,6 +2,7 @@ const Task = require('../models/Task');
 const Contact = require('../models/Contact');
 const User = require('../models/User');
 const notificationService = require('./notificationService');
+const { spawnPendingOccurrences } = require('./taskRecurrence');
 const logger = require('../utils/logger');
 
 // ─── Recipient resolution ────────────────────────────────────────────────
@@ -399,6 +400,14 @@ const checkDueDates = async () => {
     // a bez update stavu).
     const morningWindow = isMorningSendWindow();
 
+    // Opakované projekty dokončené mimo routes (Google sync, import) — ďalší
+    // výskyt vznikne ešte pred kontrolou, aby dostal notifikácie hneď
+    try {
+      await spawnPendingOccurrences();
+    } catch (error) {
+      logger.error('[DueDateChecker] Recurring occurrences failed', { error: error.message });
+    }
+
     // Get all incomplete tasks with due dates or reminders
     const tasks = await Task.find({
       completed: false,
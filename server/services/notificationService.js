@@ -500,6 +500,11 @@ const generateNotificationUrl = (type, data = {}) => {
     return withWs(url);
   }
 
+  // Page mention notifications -> /app with the page to open
+  if (type?.startsWith('page') && data.pageId) {
+    return withWs(`/app?page=${data.pageId}`);
+  }
+
   // Workspace notifications -> /app (dashboard)
   if (type?.startsWith('workspace')) {
     return withWs('/app');
@@ -697,9 +702,14 @@ const sendPushNotificationExcludeIOS = async (userId, payload) => {
 const DIRECT_TYPES = new Set([
   'task.assigned',
   'subtask.assigned',
+  'task.unblocked',
+  'subtask.unblocked',
   'message.created',
   'message.commented',
-  'message.comment.reacted'
+  'message.comment.reacted',
+  'page.mentioned',
+  'page.commented',
+  'page.comment.reacted'
 ]);
 
 const classifyByType = (type) => (DIRECT_TYPES.has(type) ? 'direct' : 'general');
@@ -992,11 +1002,23 @@ const getNotificationTitle = (type, actorName, relatedName) => {
       return `${actor} vymazal úlohu${suffix}`;
     case 'subtask.assigned':
       return `${actor} vám priradil úlohu${suffix}`;
+    case 'task.unblocked':
+      return `${actor} dokončil, na čo čaká projekt${suffix}`;
+    case 'subtask.unblocked':
+      return `${actor} dokončil, na čo čaká úloha${suffix}`;
     case 'task.dueDate':
     case 'subtask.dueDate':
       return related || 'Blíži sa termín';
     case 'workspace.memberAdded':
       return related ? `Nový člen workspace: ${related}` : 'Nový člen workspace';
+    case 'page.mentioned':
+      return `${actor} vás spomenul na stránke${suffix}`;
+    case 'page.commented':
+      return `${actor} komentoval na stránke${suffix}`;
+    case 'page.comment.resolved':
+      return `${actor} uzavrel diskusiu na stránke${suffix}`;
+    case 'page.comment.reacted':
+      return `${actor} reagoval na váš komentár na stránke${suffix}`;
     default:
       return 'Nová notifikácia';
   }
@@ -1082,6 +1104,13 @@ const getNotificationMessage = (type, actorName, data = {}) => {
       return taskTitle
         ? `${actor} vám priradil úlohu v projekte "${taskTitle}"`
         : `${actor} vám priradil túto úlohu`;
+    case 'task.unblocked':
+    case 'subtask.unblocked': {
+      const resolved = data.resolvedTitles?.length > 0 ? `Dokončené: ${data.resolvedTitles.join(', ')}. ` : '';
+      return data.remaining > 0
+        ? `${resolved}Ešte čaká na ${data.remaining} ${data.remaining === 1 ? 'položku' : 'položky'}.`
+        : `${resolved}Môžete pokračovať.`;
+    }
     default:
       return '';
   }
@@ -1404,6 +1433,50 @@ const notifySubtaskAssignment = async (subtask, parentTask, assignedUserIds, act
   return await notifyUsers(recipients, { ...notificationData, category: 'direct' });
 };
 
+/**
+ * Notify assignees of a blocked project/subtask that something it waits on
+ * got completed (services/taskDependencies.js). Vždy 'direct' — príjemca na
+ * to čakal.
+ * @param {Object} blocked - položka z loadWorkspaceItems (services/taskItems.js)
+ * @param {Array} resolvedItems - práve dokončené položky, na ktoré čakala
+ * @param {number} remaining - koľko nedokončených závislostí ešte ostáva
+ */
+const notifyDependencyResolved = async (blocked, resolvedItems, remaining, actor, workspaceId = null) => {
+  const type = blocked.kind === 'subtask' ? 'subtask.unblocked' : 'task.unblocked';
+  const actorName = actor?.username || 'Systém';
+  const title = getNotificationTitle(type, actorName, blocked.title);
+  const message = getNotificationMessage(type, actorName, {
+    resolvedTitles: resolvedItems.map(item => item.title),
+    remaining
+  });
+
+  const notificationData = {
+    type,
+    title,
+    message,
+    workspaceId,
+    actorId: actor?._id || actor?.id,
+    actorName,
+    relatedType: blocked.kind === 'subtask' ? 'subtask' : 'task',
+    relatedId: blocked.id,
+    relatedName: blocked.title,
+    data: {
+      taskId: blocked.taskId,
+      subtaskId: blocked.kind === 'subtask' ? blocked.id : undefined,
+      taskTitle: blocked.taskTitle,
+      contactId: blocked.contactId || undefined,
+      contactName: blocked.contactName || undefined,
+      workspaceId: workspaceId ? workspaceId.toString() : undefined
+    }
+  };
+
+  const recipients = (blocked.assignedTo || []).filter(id =>
+    id && id.toString() !== (actor?._id || actor?.id)?.toString()
+  );
+
+  return await notifyUsers(recipients, { ...notificationData, category: 'direct' });
+};
+
 /**
  * Helper to create subtask notification
  * @param {string} type - Notification type
@@ -1595,6 +1668,7 @@ module.exports = {
   notifyTaskAssignment,
   notifySubtaskChange,
   notifySubtaskAssignment,
+  notifyDependencyResolved,
   notifyWorkspaceMemberAdded,
   classifyByType,
   trimUserHistory,
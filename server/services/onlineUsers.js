@@ -1,45 +1,155 @@
 /**
- * In-memory registry pripojených (online) používateľov cez Socket.IO.
+ * Registry pripojených (online) používateľov cez Socket.IO.
  *
- * Jeden user môže mať viac socketov naraz (tabs, multi-device), preto
- * používame Map<userId, Map<socketId, { since, workspaceId, userAgent }>>.
+ * Jeden user môže mať viac socketov naraz (tabs, multi-device) a pri viacerých
+ * inštanciách servera môžu byť jeho sockety na rôznych inštanciách. Preto:
  *
- * Toto je len pre SuperAdmin dashboard — nie je to žiadny canonical state.
- * Pri reštarte servera sa vyprázdni (a to je OK — klienti sa aj tak
- * reconnectnú a znovu sa zaregistrujú).
+ *   - s Redisom (REDIS_URL, utils/redisClient.js) je zdieľaný zoznam v Redise:
+ *       online:sockets      ZSET socketId → posledný heartbeat (ms)
+ *       online:socket-info  HASH socketId → JSON { userId, since, username, … }
+ *     Každá inštancia každých HEARTBEAT_MS obnoví skóre svojich socketov.
+ *     Keď inštancia spadne bez disconnectov, jej sockety prestanú obnovovať
+ *     skóre a po STALE_MS ich ktokoľvek pri čítaní zmaže.
+ *   - bez Redisu (dev, jedna inštancia) stačí lokálna Map.
+ *
+ * Lokálnu Map (sockety tohto procesu) držíme vždy — z nej ide heartbeat a pri
+ * výpadku Redisu aspoň čiastočná odpoveď (len táto inštancia).
+ *
+ * Toto je len pre SuperAdmin dashboard a presence (services/pagePresence.js)
+ * — nie je to žiadny canonical state. Zápisy do Redisu nikdy nevyhodia chybu,
+ * len zalogujú varovanie.
  */
+const { getRedis } = require('../utils/redisClient');
+const logger = require('../utils/logger');
 
-const registry = new Map(); // userId -> Map<socketId, connectionInfo>
-const socketIndex = new Map(); // socketId -> userId (pre rýchle remove bez traverse)
+const SOCKETS_KEY = 'online:sockets';
+const INFO_KEY = 'online:socket-info';
+const HEARTBEAT_MS = 30 * 1000;
+const STALE_MS = 90 * 1000;
 
-function addConnection(userId, socketId, info = {}) {
-  if (!userId || !socketId) return;
-  const key = String(userId);
-  let sockets = registry.get(key);
-  if (!sockets) {
-    sockets = new Map();
-    registry.set(key, sockets);
+const local = new Map(); // socketId -> { userId, since, workspaceId, username, email, userAgent }
+let heartbeatTimer = null;
+
+const serialize = (entry) => JSON.stringify(entry);
+
+function parse(json) {
+  try {
+    const entry = JSON.parse(json);
+    return { ...entry, since: entry.since ? new Date(entry.since) : null };
+  } catch {
+    return null;
   }
-  sockets.set(socketId, {
+}
+
+function warn(action, err) {
+  logger.warn(`[OnlineUsers] Redis ${action} failed`, { error: err.message });
+}
+
+// Obnoví skóre (aj info — mohla ho zmazať iná inštancia počas výpadku
+// heartbeatu) všetkých socketov tohto procesu.
+async function heartbeat() {
+  const redis = getRedis();
+  if (!redis || local.size === 0) return;
+  const now = Date.now();
+  const scores = [];
+  const infos = {};
+  for (const [socketId, entry] of local) {
+    scores.push(now, socketId);
+    infos[socketId] = serialize(entry);
+  }
+  try {
+    await redis.multi().zadd(SOCKETS_KEY, ...scores).hset(INFO_KEY, infos).exec();
+  } catch (err) {
+    warn('heartbeat', err);
+  }
+}
+
+function ensureHeartbeat() {
+  if (heartbeatTimer || !getRedis()) return;
+  heartbeatTimer = setInterval(heartbeat, HEARTBEAT_MS);
+  heartbeatTimer.unref();
+}
+
+async function addConnection(userId, socketId, info = {}) {
+  if (!userId || !socketId) return;
+  const entry = {
+    userId: String(userId),
     since: new Date(),
     workspaceId: info.workspaceId || null,
     username: info.username || null,
     email: info.email || null,
     userAgent: info.userAgent ? info.userAgent.slice(0, 200) : null
-  });
-  socketIndex.set(socketId, key);
+  };
+  local.set(socketId, entry);
+
+  const redis = getRedis();
+  if (!redis) return;
+  ensureHeartbeat();
+  try {
+    await redis.multi()
+      .zadd(SOCKETS_KEY, Date.now(), socketId)
+      .hset(INFO_KEY, socketId, serialize(entry))
+      .exec();
+  } catch (err) {
+    warn('add', err);
+  }
 }
 
-function removeConnection(socketId) {
+async function removeConnection(socketId) {
   if (!socketId) return;
-  const userId = socketIndex.get(socketId);
-  if (!userId) return;
-  socketIndex.delete(socketId);
-  const sockets = registry.get(userId);
-  if (!sockets) return;
-  sockets.delete(socketId);
-  if (sockets.size === 0) {
-    registry.delete(userId);
+  local.delete(socketId);
+
+  const redis = getRedis();
+  if (!redis) return;
+  try {
+    await redis.multi().zrem(SOCKETS_KEY, socketId).hdel(INFO_KEY, socketId).exec();
+  } catch (err) {
+    warn('remove', err);
+  }
+}
+
+// Zmaže sockety, ktorých inštancia už neposiela heartbeat
+async function pruneStale(redis) {
+  const stale = await redis.zrangebyscore(SOCKETS_KEY, '-inf', Date.now() - STALE_MS);
+  if (stale.length === 0) return;
+  await redis.multi().zrem(SOCKETS_KEY, ...stale).hdel(INFO_KEY, ...stale).exec();
+}
+
+// Všetky živé sockety naprieč inštanciami (bez Redisu len tohto procesu)
+async function loadEntries() {
+  const redis = getRedis();
+  if (!redis) return [...local.values()];
+  try {
+    await pruneStale(redis);
+    const socketIds = await redis.zrange(SOCKETS_KEY, 0, -1);
+    if (socketIds.length === 0) return [];
+    const infos = await redis.hmget(INFO_KEY, ...socketIds);
+    return infos.map(json => (json ? parse(json) : null)).filter(Boolean);
+  } catch (err) {
+    warn('read', err);
+    return [...local.values()];
+  }
+}
+
+/**
+ * Ktoré z `socketIds` sú ešte pripojené (na ktorejkoľvek inštancii).
+ * Vracia Set.
+ */
+async function liveSockets(socketIds) {
+  const redis = getRedis();
+  if (!redis || socketIds.length === 0) return new Set(socketIds.filter(id => local.has(id)));
+  try {
+    const pipeline = redis.pipeline();
+    for (const socketId of socketIds) pipeline.zscore(SOCKETS_KEY, socketId);
+    const results = await pipeline.exec();
+    const threshold = Date.now() - STALE_MS;
+    return new Set(socketIds.filter((socketId, i) => {
+      const [err, score] = results[i];
+      return local.has(socketId) || (!err && score !== null && Number(score) >= threshold);
+    }));
+  } catch (err) {
+    warn('liveness check', err);
+    return new Set(socketIds.filter(id => local.has(id)));
   }
 }
 
@@ -47,22 +157,27 @@ function removeConnection(socketId) {
  * Vráti zoznam online používateľov. Najnovšie pripojenie ako `since`
  * (keby mal user 3 sockety, vezmeme najstaršie since = kedy prvá tab prišla).
  */
-function getOnlineUsers() {
-  const result = [];
-  for (const [userId, sockets] of registry.entries()) {
-    let oldestSince = null;
-    let latestInfo = null;
-    for (const info of sockets.values()) {
-      if (!oldestSince || info.since < oldestSince) oldestSince = info.since;
-      latestInfo = info; // stačí posledný pre username/email
+async function getOnlineUsers() {
+  const byUser = new Map();
+  for (const entry of await loadEntries()) {
+    const user = byUser.get(entry.userId);
+    if (!user) {
+      byUser.set(entry.userId, { oldestSince: entry.since, latestInfo: entry, socketCount: 1 });
+      continue;
     }
+    if (!user.oldestSince || (entry.since && entry.since < user.oldestSince)) user.oldestSince = entry.since;
+    user.latestInfo = entry; // stačí posledný pre username/email
+    user.socketCount++;
+  }
+  const result = [];
+  for (const [userId, { oldestSince, latestInfo, socketCount }] of byUser) {
     result.push({
       userId,
-      username: latestInfo?.username || null,
-      email: latestInfo?.email || null,
+      username: latestInfo.username || null,
+      email: latestInfo.email || null,
       since: oldestSince,
-      socketCount: sockets.size,
-      workspaceId: latestInfo?.workspaceId || null
+      socketCount,
+      workspaceId: latestInfo.workspaceId || null
     });
   }
   // Najnovší prv (posledný prihlásený je hore)
@@ -70,25 +185,29 @@ function getOnlineUsers() {
   return result;
 }
 
-function getOnlineCount() {
-  return registry.size;
+async function getOnlineCount() {
+  return new Set((await loadEntries()).map(entry => entry.userId)).size;
 }
 
-function getSocketCount() {
-  return socketIndex.size;
+async function getSocketCount() {
+  return (await loadEntries()).length;
 }
 
 /**
- * Len pre testy — vyčistí registry.
+ * Len pre testy — vyčistí lokálnu registry (Redis nechá tak).
  */
 function _reset() {
-  registry.clear();
-  socketIndex.clear();
+  local.clear();
+  if (heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
 }
 
 module.exports = {
   addConnection,
   removeConnection,
+  liveSockets,
   getOnlineUsers,
   getOnlineCount,
   getSocketCount,
@@ -0,0 +1,220 @@
+/**
+ * pageAccess.js — oprávnenia na stránky v rámci workspace.
+ *
+ * Bez nastavení môže každý člen workspace stránku čítať aj upravovať.
+ * Stránka to môže obmedziť dvoma spôsobmi, oba sa dedia nadol po `parentId`:
+ *   - `visibility: 'private'` — stránku a celý jej podstrom vidí len autor
+ *     súkromnej stránky (ani správca workspace)
+ *   - `permissions: [{ userId, level }]` — zoznam členov s úrovňou
+ *     view | comment | edit; ostatní stránku nevidia. Platí najbližší
+ *     zoznam smerom ku koreňu (podstránka ho môže nahradiť vlastným).
+ *     Autor stránky so zoznamom a správcovia workspace majú vždy edit,
+ *     aby stránka nikdy neostala bez správcu.
+ *
+ * Výsledkom je úroveň 'none' | 'view' | 'comment' | 'edit'. 'none' sa
+ * navonok správa ako neexistujúca stránka (404), nie 403.
+ *
+ * "Pravidlá" stránky ({ privateOwner, privateSourceId, restriction }) sú
+ * zhrnutie reťaze predkov — z nich sa úroveň pre konkrétneho člena určí
+ * bez ďalších dopytov (routes/pages.js, socket canAccessPage v index.js,
+ * vyhľadávanie, notifikácie zmienok).
+ */
+const Page = require('../models/Page');
+const WorkspaceMember = require('../models/WorkspaceMember');
+
+const ACCESS_LEVELS = ['none', 'view', 'comment', 'edit'];
+const PERMISSION_LEVELS = ['view', 'comment', 'edit'];
+const VISIBILITIES = ['workspace', 'private'];
+const MAX_PERMISSIONS = 100;
+const MAX_TREE_DEPTH = 50;
+
+const RULE_FIELDS = { parentId: 1, userId: 1, visibility: 1, permissions: 1 };
+
+const OPEN_RULES = Object.freeze({ privateOwner: null, privateSourceId: null, restriction: null });
+
+const hasLevel = (level, required) => ACCESS_LEVELS.indexOf(level) >= ACCESS_LEVELS.indexOf(required);
+
+/**
+ * Pravidlá stránky z pravidiel rodiča. Súkromie určuje najvyššia súkromná
+ * stránka, zoznam členov ten najbližší.
+ */
+function applyPageRules(parentRules, page) {
+  const rules = { ...parentRules };
+  if (page.visibility === 'private' && !rules.privateOwner) {
+    rules.privateOwner = String(page.userId);
+    rules.privateSourceId = String(page._id);
+  }
+  if (page.permissions && page.permissions.length > 0) {
+    rules.restriction = {
+      pageId: String(page._id),
+      ownerId: String(page.userId),
+      permissions: page.permissions.map(p => ({ userId: String(p.userId), level: p.level }))
+    };
+  }
+  return rules;
+}
+
+const isRestricted = (rules) => Boolean(rules.privateOwner || rules.restriction);
+
+/**
+ * Úroveň prístupu člena podľa pravidiel stránky.
+ *   member: { userId, isAdmin }
+ */
+function levelFor(rules, { userId, isAdmin }) {
+  const uid = String(userId);
+  if (rules.privateOwner) return rules.privateOwner === uid ? 'edit' : 'none';
+  if (!rules.restriction) return 'edit';
+  if (isAdmin || rules.restriction.ownerId === uid) return 'edit';
+  const entry = rules.restriction.permissions.find(p => p.userId === uid);
+  return entry ? entry.level : 'none';
+}
+
+/**
+ * Pravidlá jednej stránky — prejde reťaz predkov (stránky v koši sa
+ * počítajú tiež, podstrom v koši má pravidlá ako pred zmazaním).
+ */
+async function loadPageRules(page) {
+  const chain = [page];
+  let parentId = page.parentId;
+  for (let depth = 0; parentId && depth < MAX_TREE_DEPTH; depth++) {
+    const parent = await Page.findOne({ _id: parentId, workspaceId: page.workspaceId }, RULE_FIELDS).lean();
+    if (!parent) break;
+    chain.push(parent);
+    parentId = parent.parentId;
+  }
+  return chain.reverse().reduce(applyPageRules, OPEN_RULES);
+}
+
+/**
+ * Pravidlá všetkých stránok workspace naraz (zoznam, kôš, vyhľadávanie).
+ * Vracia Map pageId → pravidlá.
+ */
+async function loadWorkspaceRules(workspaceId) {
+  const pages = await Page.find({ workspaceId }, RULE_FIELDS).lean();
+  const byId = new Map(pages.map(p => [p._id.toString(), p]));
+  const rules = new Map();
+
+  const resolve = (page, depth) => {
+    const id = page._id.toString();
+    if (rules.has(id)) return rules.get(id);
+    const parent = page.parentId && depth < MAX_TREE_DEPTH ? byId.get(page.parentId.toString()) : null;
+    const result = applyPageRules(parent ? resolve(parent, depth + 1) : OPEN_RULES, page);
+    rules.set(id, result);
+    return result;
+  };
+
+  for (const page of pages) resolve(page, 0);
+  return rules;
+}
+
+/**
+ * ID stránok workspace, ktoré člen aspoň vidí.
+ */
+async function visiblePageIds(workspaceId, member) {
+  const rules = await loadWorkspaceRules(workspaceId);
+  const ids = [];
+  for (const [id, pageRules] of rules) {
+    if (levelFor(pageRules, member) !== 'none') ids.push(id);
+  }
+  return ids;
+}
+
+const memberContext = (member) => ({
+  userId: String(member.userId),
+  isAdmin: member.role === 'owner' || member.role === 'manager'
+});
+
+/**
+ * Členovia workspace, ktorí stránku s pravidlami `rules` vidia (príjemcovia
+ * socket udalostí o obmedzenej stránke, notifikácií zmienok). `userIds`
+ * voliteľne obmedzí, na ktorých sa pýtame.
+ */
+async function membersWithAccess(workspaceId, rules, userIds = null) {
+  const filter = { workspaceId };
+  if (userIds) filter.userId = { $in: userIds };
+  const members = await WorkspaceMember.find(filter, 'userId role').lean();
+  return members
+    .map(memberContext)
+    .filter(member => levelFor(rules, member) !== 'none')
+    .map(member => member.userId);
+}
+
+/**
+ * ID stránky a všetkých jej podstránok (aj v koši) — zmena oprávnení
+ * sa dedí na celý podstrom.
+ */
+async function subtreePageIds(page) {
+  const ids = [page._id];
+  let frontier = [page._id];
+  for (let depth = 0; depth < MAX_TREE_DEPTH && frontier.length > 0; depth++) {
+    const children = await Page.find(
+      { parentId: { $in: frontier }, workspaceId: page.workspaceId },
+      { _id: 1 }
+    ).lean();
+    frontier = children.map(c => c._id);
+    ids.push(...frontier);
+  }
+  return ids.map(String);
+}
+
+/**
+ * Zvaliduje zmenu oprávnení stránky. Vracia { value } alebo { error }.
+ *   visibility  — 'workspace' | 'private' (voliteľné)
+ *   permissions — [{ userId, level }] (voliteľné, [] = dediť od rodiča);
+ *                 len členovia workspace, autor stránky sa vynechá
+ */
+async function validatePermissionsInput({ page, visibility, permissions }) {
+  const value = {};
+
+  if (visibility !== undefined) {
+    if (!VISIBILITIES.includes(visibility)) return { error: 'Neplatná viditeľnosť stránky' };
+    value.visibility = visibility;
+  }
+
+  if (permissions !== undefined) {
+    if (!Array.isArray(permissions)) return { error: 'Oprávnenia musia byť zoznam' };
+    if (permissions.length > MAX_PERMISSIONS) return { error: `Najviac ${MAX_PERMISSIONS} členov` };
+
+    const byUser = new Map();
+    for (const entry of permissions) {
+      if (!entry || typeof entry !== 'object') return { error: 'Neplatné oprávnenie' };
+      const userId = String(entry.userId || '');
+      if (!/^[0-9a-fA-F]{24}$/.test(userId)) return { error: 'Neplatné ID používateľa' };
+      if (!PERMISSION_LEVELS.includes(entry.level)) return { error: 'Neplatná úroveň oprávnenia' };
+      if (userId !== String(page.userId)) byUser.set(userId, entry.level);
+    }
+
+    const memberCount = await WorkspaceMember.countDocuments({
+      workspaceId: page.workspaceId,
+      userId: { $in: [...byUser.keys()] }
+    });
+    if (memberCount !== byUser.size) return { error: 'Oprávnenie možno dať len členom workspace' };
+
+    value.permissions = [...byUser].map(([userId, level]) => ({ userId, level }));
+  }
+
+  const nextVisibility = value.visibility ?? page.visibility;
+  const nextPermissions = value.permissions ?? page.permissions;
+  if (nextVisibility === 'private' && nextPermissions.length > 0) {
+    return { error: 'Súkromná stránka nemôže byť zdieľaná s členmi' };
+  }
+
+  return { value };
+}
+
+module.exports = {
+  ACCESS_LEVELS,
+  PERMISSION_LEVELS,
+  VISIBILITIES,
+  MAX_PERMISSIONS,
+  hasLevel,
+  applyPageRules,
+  isRestricted,
+  levelFor,
+  loadPageRules,
+  loadWorkspaceRules,
+  visiblePageIds,
+  membersWithAccess,
+  subtreePageIds,
+  validatePermissionsInput
+};
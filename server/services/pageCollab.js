@@ -0,0 +1,307 @@
+/**
+ * pageCollab.js — real-time co-editing stránok (OT nad textom blokov).
+ *
+ * Každá zmena obsahu stránky (text bloku, štruktúra, celý snapshot) ide cez
+ * tento modul a dostane ďalšie číslo `Page.revision` + záznam v PageOperation
+ * logu. Zápis je podmienený (`revision` sa nesmie medzitým zmeniť), takže
+ * dve súbežné zmeny sa nikdy neprepíšu — druhá sa zopakuje nad novým stavom.
+ *
+ * Textové operácie klientov vznikajú nad revíziou, ktorú klient práve mal
+ * (`baseRevision`). Server ich transformuje cez textové operácie toho istého
+ * bloku, ktoré medzitým prišli (utils/textOt.js), a až potom aplikuje. Klient
+ * robí zrkadlovú transformáciu, takže všetci skončia s rovnakým textom bez
+ * ohľadu na poradie, v akom im operácie prišli.
+ *
+ * V rámci jednej inštancie servera sú zmeny jednej stránky serializované
+ * (promise chain per page) — broadcast ide v poradí revízií. Medzi
+ * inštanciami to drží podmienený zápis + unique index na (pageId, revision).
+ */
+const Page = require('../models/Page');
+const PageOperation = require('../models/PageOperation');
+const logger = require('../utils/logger');
+const { recordVersion, isThrottled } = require('./pageVersions');
+const { apply, transform, isValidOp } = require('../utils/textOt');
+const { shiftMarks } = require('../utils/inlineMarks');
+const { blocksToText, findBlock, pageBlocksOf, MAX_BLOCK_CONTENT } = require('../utils/pageBlocks');
+const { mentionedPageIds } = require('./pageLinks');
+const { createExclusiveQueue } = require('../utils/exclusiveQueue');
+
+// Viac zmeškaných operácií sa klientovi neoplatí dohrávať — dostane snapshot
+const MAX_SYNC_OPS = 500;
+const MAX_COMMIT_ATTEMPTS = 5;
+
+class PageCollabError extends Error {
+  constructor(code, message, statusCode = 400) {
+    super(message);
+    this.name = 'PageCollabError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+// Zmeny jednej stránky idú po sebe (kľúč = pageId)
+const runExclusive = createExclusiveQueue();
+
+// Stránky spred co-editingu nemajú `revision` vôbec
+const revisionFilter = (revision) => (revision ? revision : { $in: [0, null] });
+
+/**
+ * Načíta stránku, nechá `build(page)` pripraviť zmenu a podmienene ju zapíše.
+ * `build` dostane lean stránku (bloky ako plain objekty, môže ich meniť na
+ * mieste) a vracia { entry, blocks?, content?, result? }:
+ *   entry   — polia PageOperation záznamu (kind, blockId, op, event, data…)
+ *   blocks  — nový zoznam blokov (default: page.blocks upravené na mieste)
+ *   content — plain-text (default: blocksToText(blocks))
+ *   fields  — ďalšie polia stránky do toho istého zápisu (napr. title)
+ * Ak iný proces stránku medzitým zmenil, `build` sa zavolá znova nad novým
+ * stavom. Po zápise sa zmena zaznamená do histórie verzií (`version` =
+ * { reason, restoredFrom } pre services/pageVersions). Volať len vnútri
+ * runExclusive.
+ */
+async function commitWithRetry({ pageId, workspaceId, userId, build, version = {} }) {
+  for (let attempt = 0; attempt < MAX_COMMIT_ATTEMPTS; attempt++) {
+    // Stránka v koši je len na čítanie
+    const page = await Page.findOne({ _id: pageId, workspaceId, deletedAt: null }).lean();
+    if (!page) {
+      throw new PageCollabError('PAGE_NOT_FOUND', 'Stránka nenájdená', 404);
+    }
+    // Stránka spred blokového úložiska — bloky z `content`, tento zápis ich uloží
+    page.blocks = pageBlocksOf(page);
+    // `build` mení bloky na mieste — pre históriu verzií si odložíme pôvodný
+    // stav, ale len keď sa do nej naozaj bude zapisovať.
+    const before = isThrottled(pageId, userId) ? null : { ...page, blocks: structuredClone(page.blocks) };
+
+    const change = await build(page);
+    const blocks = change.blocks || page.blocks;
+    const content = change.content !== undefined ? change.content : blocksToText(blocks);
+    const revision = (page.revision || 0) + 1;
+
+    const updated = await Page.findOneAndUpdate(
+      { _id: page._id, workspaceId, deletedAt: null, revision: revisionFilter(page.revision) },
+      { $set: { ...change.fields, blocks, content, revision, mentionedPageIds: mentionedPageIds(blocks) } },
+      { new: true }
+    );
+    if (!updated) continue;
+
+    try {
+      await PageOperation.create({
+        pageId: page._id,
+        workspaceId,
+        revision,
+        userId: userId || null,
+        ...change.entry
+      });
+    } catch (err) {
+      // Stránka je už zapísaná — chýbajúci záznam v logu len znamená, že
+      // klienti za touto revíziou dostanú pri resyncu snapshot.
+      logger.error('[PageCollab] Failed to log operation', { error: err.message, pageId: String(pageId), revision });
+    }
+
+    await recordVersion({ before, after: updated, userId, ...version });
+
+    return { page: updated, revision, entry: change.entry, result: change.result };
+  }
+  throw new PageCollabError('CONFLICT', 'Stránku práve upravuje niekto iný, skúste to znova', 409);
+}
+
+// Operácie medzi `baseRevision` a `currentRevision` — proti nim sa
+// transformuje zmena, ktorú klient pripravil nad starším stavom
+async function loadConcurrentOps(pageId, baseRevision, currentRevision) {
+  if (baseRevision > currentRevision) {
+    throw new PageCollabError('SYNC_REQUIRED', 'Klient má neznámu revíziu', 409);
+  }
+  const concurrent = await PageOperation.find({
+    pageId,
+    revision: { $gt: baseRevision, $lte: currentRevision }
+  }).sort({ revision: 1 }).lean();
+  if (concurrent.length !== currentRevision - baseRevision ||
+      concurrent.some(entry => entry.kind === 'snapshot')) {
+    throw new PageCollabError('SYNC_REQUIRED', 'Operácia je príliš stará', 409);
+  }
+  return concurrent;
+}
+
+/**
+ * Značky bloku (utils/inlineMarks.js), ktoré klient poslal nad revíziou
+ * `baseRevision`, posunuté cez textové operácie toho istého bloku, čo
+ * odvtedy prišli. Volať z `mutate` (stránka je vtedy serializovaná).
+ */
+async function rebaseMarks({ page, blockId, marks, baseRevision }) {
+  const currentRevision = page.revision || 0;
+  if (!Number.isInteger(baseRevision) || baseRevision === currentRevision) return marks;
+  const concurrent = await loadConcurrentOps(page._id, baseRevision, currentRevision);
+  return concurrent
+    .filter(entry => entry.kind === 'text' && entry.blockId === blockId)
+    .reduce((shifted, entry) => shiftMarks(shifted, entry.op), marks);
+}
+
+/**
+ * Zmena štruktúry alebo celého obsahu stránky (REST routes).
+ * `mutate(blocks, page)` upraví bloky na mieste (alebo vráti nové `blocks`)
+ * a vráti { data, blockId, result }; `data` je payload eventu, uloží sa do
+ * logu na dohratie pri resyncu. Pri neplatnej zmene hodí PageCollabError
+ * (napr. blok nenájdený). `onCommitted` beží ešte vo vnútri serializácie —
+ * broadcast tam ide v poradí revízií.
+ */
+function mutatePage({ pageId, workspaceId, userId, kind, event = null, mutate, onCommitted, version }) {
+  return runExclusive(pageId, async () => {
+    const committed = await commitWithRetry({
+      pageId,
+      workspaceId,
+      userId,
+      version,
+      build: async (page) => {
+        const change = (await mutate(page.blocks, page)) || {};
+        return {
+          ...change,
+          entry: { kind, event, blockId: change.blockId || null, data: change.data }
+        };
+      }
+    });
+    if (onCommitted) onCommitted(committed);
+    return committed;
+  });
+}
+
+/**
+ * Textová operácia nad jedným blokom (socket `page-op` alebo REST úprava
+ * contentu). Vracia { revision, op, duplicate } — `op` je operácia po
+ * transformácii, tak ako ju treba poslať ostatným.
+ */
+function submitTextOperation({ pageId, workspaceId, userId, opId = null, blockId, baseRevision, op, onCommitted }) {
+  if (typeof blockId !== 'string' || !blockId || blockId.length > 64) {
+    return Promise.reject(new PageCollabError('INVALID_OP', 'Neplatný blok'));
+  }
+  if (opId !== null && (typeof opId !== 'string' || !opId || opId.length > 64)) {
+    return Promise.reject(new PageCollabError('INVALID_OP', 'Neplatné ID operácie'));
+  }
+  if (!Number.isInteger(baseRevision) || baseRevision < 0 || !isValidOp(op)) {
+    return Promise.reject(new PageCollabError('INVALID_OP', 'Neplatná operácia'));
+  }
+
+  return runExclusive(pageId, async () => {
+    // Klient po reconnecte posiela nepotvrdenú operáciu znova — ak už prešla,
+    // len ju potvrdíme, inak by sa text vložil dvakrát.
+    if (opId) {
+      const existing = await PageOperation.findOne({ pageId, opId }, 'revision op').lean();
+      if (existing) {
+        return { revision: existing.revision, op: existing.op, duplicate: true };
+      }
+    }
+
+    const committed = await commitWithRetry({
+      pageId,
+      workspaceId,
+      userId,
+      build: async (page) => {
+        const currentRevision = page.revision || 0;
+        if (baseRevision > currentRevision) {
+          throw new PageCollabError('SYNC_REQUIRED', 'Klient má neznámu revíziu', 409);
+        }
+
+        let transformed = op;
+        if (baseRevision < currentRevision) {
+          const concurrent = await loadConcurrentOps(pageId, baseRevision, currentRevision);
+          try {
+            for (const entry of concurrent) {
+              if (entry.kind === 'text' && entry.blockId === blockId) {
+                [transformed] = transform(transformed, entry.op);
+              }
+            }
+          } catch {
+            throw new PageCollabError('SYNC_REQUIRED', 'Operácia nesedí na históriu bloku', 409);
+          }
+        }
+
+        const found = findBlock(page.blocks, blockId);
+        if (!found) {
+          throw new PageCollabError('BLOCK_NOT_FOUND', 'Blok nenájdený', 404);
+        }
+        let content;
+        try {
+          content = apply(found.block.content || '', transformed);
+        } catch {
+          throw new PageCollabError('SYNC_REQUIRED', 'Operácia nesedí na obsah bloku', 409);
+        }
+        if (content.length > MAX_BLOCK_CONTENT) {
+          throw new PageCollabError('TOO_LONG', 'Blok je príliš dlhý');
+        }
+        found.block.content = content;
+        found.block.marks = shiftMarks(found.block.marks, transformed);
+
+        return {
+          entry: { kind: 'text', opId, blockId, op: transformed },
+          result: transformed
+        };
+      }
+    });
+
+    const outcome = { revision: committed.revision, op: committed.result, duplicate: false, page: committed.page };
+    if (onCommitted) onCommitted(outcome);
+    return outcome;
+  });
+}
+
+// Záznam logu v tvare, v akom ide klientovi (rovnaký ako živé eventy)
+function toClientOperation(entry) {
+  if (entry.kind === 'text') {
+    return {
+      kind: 'text',
+      revision: entry.revision,
+      opId: entry.opId,
+      blockId: entry.blockId,
+      op: entry.op,
+      userId: entry.userId ? entry.userId.toString() : null
+    };
+  }
+  return {
+    kind: 'structure',
+    revision: entry.revision,
+    event: entry.event,
+    data: entry.data || {},
+    userId: entry.userId ? entry.userId.toString() : null
+  };
+}
+
+/**
+ * Čo klient s revíziou `revision` zmeškal. Vracia
+ *   { type: 'ops', revision, ops }          — dá sa dohrať po jednej
+ *   { type: 'snapshot', revision, title, blocks } — klient prepíše stav
+ * alebo null, ak stránka neexistuje. Snapshot ide pri medzere v logu (TTL),
+ * pri prepísaní celého obsahu a pri veľkom počte zmeškaných operácií.
+ */
+async function getChangesSince(pageId, revision) {
+  const page = await Page.findById(pageId).select('title blocks content revision').lean();
+  if (!page) return null;
+  const currentRevision = page.revision || 0;
+
+  if (Number.isInteger(revision) && revision >= 0 && revision <= currentRevision &&
+      currentRevision - revision <= MAX_SYNC_OPS) {
+    if (revision === currentRevision) {
+      return { type: 'ops', revision: currentRevision, ops: [] };
+    }
+    const entries = await PageOperation.find({
+      pageId,
+      revision: { $gt: revision, $lte: currentRevision }
+    }).sort({ revision: 1 }).lean();
+    if (entries.length === currentRevision - revision &&
+        entries.every(entry => entry.kind !== 'snapshot')) {
+      return { type: 'ops', revision: currentRevision, ops: entries.map(toClientOperation) };
+    }
+  }
+
+  return {
+    type: 'snapshot',
+    revision: currentRevision,
+    title: page.title,
+    blocks: pageBlocksOf(page)
+  };
+}
+
+module.exports = {
+  PageCollabError,
+  mutatePage,
+  rebaseMarks,
+  submitTextOperation,
+  getChangesSince
+};
@@ -0,0 +1,258 @@
+/**
+ * pageCopy.js — kópie stránok: duplikát so všetkými podstránkami a šablóny.
+ *
+ * Kópia dostane nové ID blokov (ID sú unikátne v rámci stránky a klient na
+ * nich kľúčuje React aj socket eventy — zdieľané ID medzi stránkami by
+ * nevadili, ale kópia má byť nezávislá), revíziu 0 a vlastné PageFile
+ * záznamy obrázkov (services/pageFiles.js). História verzií, operation log
+ * ani kôš sa nekopírujú.
+ *
+ * Duplikát:
+ *   - koreň aj podstránky (bez tých v koši), štruktúra parentId ostane
+ *   - databázové stránky aj so schémou a riadkami (services/pageDatabase.js)
+ *   - koreň pod zvoleného rodiča v tom istom workspace (predvolene vedľa
+ *     originálu) s nadpisom "… (kópia)"
+ *
+ * Šablóna:
+ *   - uloží nadpis, ikonu a bloky jednej stránky (bez podstránok)
+ *   - stránka zo šablóny má vyplnené zástupné symboly
+ *     (utils/pagePlaceholders.js)
+ */
+const { v4: uuidv4 } = require('uuid');
+const Page = require('../models/Page');
+const PageRow = require('../models/PageRow');
+const PageTemplate = require('../models/PageTemplate');
+const { contentToBlocks, blocksToText } = require('../utils/pageBlocks');
+const { fillBlocks, fillText } = require('../utils/pagePlaceholders');
+const { copyBlockFiles, releasePageFiles } = require('./pageFiles');
+const { mentionedPageIds } = require('./pageLinks');
+const { nextSiblingOrder } = require('./pageTree');
+const { copyRows } = require('./pageDatabase');
+
+const MAX_DUPLICATE_PAGES = 500;
+const MAX_TREE_DEPTH = 50;
+const MAX_TITLE_LENGTH = 500;
+const COPY_SUFFIX = ' (kópia)';
+
+class PageCopyError extends Error {
+  constructor(code, message, statusCode = 400) {
+    super(message);
+    this.name = 'PageCopyError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+// Nové ID všetkým blokom stromu. Diskusie (značky `comment`) patria
+// pôvodnej stránke — kópia ich nepreberá.
+const cloneBlocks = (blocks) => (blocks || []).map(block => ({
+  ...block,
+  id: uuidv4(),
+  marks: (block.marks || []).filter(mark => mark.type !== 'comment').map(mark => ({ ...mark })),
+  props: { ...(block.props || {}) },
+  children: cloneBlocks(block.children)
+}));
+
+// Bloky stránky ako plain objekty (stránky spred blokov majú len content)
+const pageBlocks = (page) => {
+  const blocks = page.toObject ? page.toObject().blocks : page.blocks;
+  return blocks && blocks.length > 0 ? blocks : contentToBlocks(page.content);
+};
+
+const newPageDoc = ({ workspaceId, userId, title, icon, parentId, order, visibility, permissions, kind, database }) =>
+  new Page({
+    workspaceId,
+    userId,
+    title,
+    kind: kind || 'document',
+    database: database || null,
+    icon: icon || null,
+    parentId: parentId || null,
+    order: order || 0,
+    visibility: visibility || 'workspace',
+    permissions: permissions || []
+  });
+
+const setBlocks = (page, blocks) => {
+  page.blocks = blocks;
+  page.content = blocksToText(blocks);
+  page.mentionedPageIds = mentionedPageIds(blocks);
+  page.markModified('blocks');
+};
+
+/**
+ * Overí rodiča kópie — musí byť v tom istom workspace a mimo koša.
+ */
+async function findParent(workspaceId, parentId) {
+  if (!parentId) return null;
+  const parent = await Page.findOne({ _id: parentId, workspaceId, deletedAt: null }, { _id: 1 }).lean();
+  if (!parent) throw new PageCopyError('PARENT_NOT_FOUND', 'Rodičovská stránka nenájdená', 404);
+  return parent;
+}
+
+/**
+ * Skopíruje stránku aj s podstránkami. `parentId` undefined = vedľa
+ * originálu, null = najvyššia úroveň. Kópia nesmie skončiť vo vlastnom
+ * podstrome originálu (nekonečné vnorenie by sa už nedalo rozbaliť).
+ * `isVisible(page)` vynechá podstránky (aj s ich podstromom), ktoré
+ * kopírujúci nevidí (services/pageAccess.js); kópie preberajú viditeľnosť
+ * a oprávnenia originálov.
+ * Vracia { root, pages } — nové stránky v poradí od koreňa.
+ */
+async function duplicatePageTree({ page, workspaceId, userId, parentId, isVisible = () => true }) {
+  // Podstrom po úrovniach (rovnako ako presun do koša)
+  const levels = [[page]];
+  let total = 1;
+  for (let depth = 0; depth < MAX_TREE_DEPTH; depth++) {
+    const frontier = levels[levels.length - 1];
+    const children = await Page.find({
+      parentId: { $in: frontier.map(p => p._id) },
+      workspaceId,
+      deletedAt: null
+    }).sort({ order: 1, createdAt: 1 }).then(found => found.filter(isVisible));
+    if (children.length === 0) break;
+    total += children.length;
+    if (total > MAX_DUPLICATE_PAGES) {
+      throw new PageCopyError(
+        'TOO_MANY_PAGES',
+        `Naraz sa dá skopírovať najviac ${MAX_DUPLICATE_PAGES} stránok`
+      );
+    }
+    levels.push(children);
+  }
+
+  const targetParentId = parentId === undefined ? page.parentId : parentId;
+  if (targetParentId) {
+    const inSubtree = levels.some(level => level.some(p => p._id.toString() === String(targetParentId)));
+    if (inSubtree) {
+      throw new PageCopyError('INVALID_PARENT', 'Stránku nemožno skopírovať do jej vlastnej podstránky');
+    }
+    await findParent(workspaceId, targetParentId);
+  }
+
+  // Kópia koreňa ide na koniec súrodencov, podstránky si nechajú poradie
+  const rootOrder = await nextSiblingOrder(workspaceId, targetParentId);
+  const idMap = new Map(); // pôvodné ID → nové ID
+  const created = [];
+  const allocated = []; // ID kópií vrátane tej, pri ktorej zlyhal zápis
+  try {
+    for (const level of levels) {
+      for (const source of level) {
+        const isRoot = source === page;
+        const title = isRoot
+          ? `${source.title || 'Untitled'}${COPY_SUFFIX}`.substring(0, MAX_TITLE_LENGTH)
+          : source.title;
+        const copy = newPageDoc({
+          workspaceId,
+          userId,
+          title,
+          icon: source.icon,
+          parentId: isRoot ? targetParentId : idMap.get(source.parentId.toString()),
+          order: isRoot ? rootOrder : source.order,
+          visibility: source.visibility,
+          permissions: source.permissions,
+          kind: source.kind,
+          database: source.database ? source.toObject().database : null
+        });
+        allocated.push(copy._id);
+        setBlocks(copy, await copyBlockFiles({
+          blocks: cloneBlocks(pageBlocks(source)),
+          workspaceId,
+          from: { pageId: source._id },
+          to: { pageId: copy._id },
+          userId
+        }));
+        await copy.save();
+        if (copy.kind === 'database') {
+          await copyRows({ fromPageId: source._id, toPageId: copy._id, workspaceId, userId });
+        }
+        idMap.set(source._id.toString(), copy._id);
+        created.push(copy);
+      }
+    }
+  } catch (error) {
+    // Polovičná kópia by v strome len prekážala
+    await Page.deleteMany({ _id: { $in: allocated } });
+    await PageRow.deleteMany({ pageId: { $in: allocated } });
+    await releasePageFiles({ pageId: { $in: allocated } });
+    throw error;
+  }
+
+  return { root: created[0], pages: created };
+}
+
+/**
+ * Uloží stránku ako šablónu workspace.
+ */
+async function createTemplateFromPage({ page, workspaceId, userId, name, description }) {
+  const template = new PageTemplate({
+    workspaceId,
+    createdBy: userId,
+    name,
+    description: description || '',
+    title: page.title || '',
+    icon: page.icon || null,
+    sourcePageId: page._id
+  });
+  template.blocks = await copyBlockFiles({
+    blocks: cloneBlocks(pageBlocks(page)),
+    workspaceId,
+    from: { pageId: page._id },
+    to: { templateId: template._id },
+    userId
+  });
+  try {
+    await template.save();
+  } catch (error) {
+    await releasePageFiles({ templateId: template._id });
+    throw error;
+  }
+  return template;
+}
+
+/**
+ * Nová stránka zo šablóny. `values` sú hodnoty zástupných symbolov
+ * (utils/pagePlaceholders.placeholderValues); `title` prepíše nadpis šablóny.
+ */
+async function createPageFromTemplate({ template, workspaceId, userId, parentId, title, values }) {
+  await findParent(workspaceId, parentId);
+
+  const pageTitle = (title ? String(title) : fillText(template.title, values) || template.name)
+    .substring(0, MAX_TITLE_LENGTH);
+  const order = await nextSiblingOrder(workspaceId, parentId);
+  const page = newPageDoc({ workspaceId, userId, title: pageTitle, icon: template.icon, parentId, order });
+  const templateBlocks = template.blocks && template.blocks.length > 0 ? template.blocks : contentToBlocks('');
+  setBlocks(page, await copyBlockFiles({
+    blocks: fillBlocks(cloneBlocks(templateBlocks), values),
+    workspaceId,
+    from: { templateId: template._id },
+    to: { pageId: page._id },
+    userId
+  }));
+  try {
+    await page.save();
+  } catch (error) {
+    await releasePageFiles({ pageId: page._id });
+    throw error;
+  }
+  return page;
+}
+
+/**
+ * Zmaže šablónu aj jej kópie obrázkov.
+ */
+async function deleteTemplate(template) {
+  await releasePageFiles({ templateId: template._id });
+  await PageTemplate.deleteOne({ _id: template._id });
+}
+
+module.exports = {
+  PageCopyError,
+  MAX_DUPLICATE_PAGES,
+  cloneBlocks,
+  pageBlocks,
+  duplicatePageTree,
+  createTemplateFromPage,
+  createPageFromTemplate,
+  deleteTemplate
+};
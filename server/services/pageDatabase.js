@@ -0,0 +1,551 @@
+/**
+ * pageDatabase.js — databázové stránky: schéma, riadky, dotazy a CSV.
+ *
+ * Schéma (vlastnosti a pohľady) je v `Page.database`, riadky v
+ * models/PageRow.js; validácia a tvar hodnôt sú v utils/pageDatabase.js.
+ *
+ * Pri zmene schémy sa dotiahnu aj riadky a pohľady:
+ *   - zmazaná vlastnosť zmizne z hodnôt riadkov,
+ *   - zmazaná možnosť výberu zmizne z hodnôt, ktoré ju mali,
+ *   - pri zmene typu sa hodnoty prevedú cez text (ako pri CSV importe) —
+ *     čo sa previesť nedá, ostane prázdne,
+ *   - pohľady stratia filtre a zoradenia, ktoré už neplatia (pruneView).
+ *
+ * Riadky sa filtrujú v Mongo dotaze (buildRowFilter) a zoraďujú tu —
+ * výbery podľa poradia možností a ľudia / záznamy podľa mena, čo by Mongo
+ * zoradenie nevedelo. Databáza má najviac MAX_ROWS_PER_DATABASE riadkov.
+ *
+ * Ľudia (person) musia byť členmi workspace, prepojené záznamy (relation)
+ * kontakty / projekty toho istého workspace. Mená sa k riadkom dopĺňajú
+ * pri čítaní (`refs`), neukladajú sa.
+ */
+const { v4: uuidv4 } = require('uuid');
+const PageRow = require('../models/PageRow');
+const Contact = require('../models/Contact');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const WorkspaceMember = require('../models/WorkspaceMember');
+const { parseCsv, toCsv } = require('../utils/csv');
+const {
+  TITLE_PROPERTY_ID,
+  MAX_PROPERTIES,
+  MAX_OPTIONS,
+  MAX_VIEWS,
+  OPTION_COLORS,
+  normalizeProperty,
+  normalizeValue,
+  normalizeView,
+  pruneView,
+  buildRowFilter,
+  formatValue,
+  parseTextValue,
+  sortRows,
+  isEmptyValue
+} = require('../utils/pageDatabase');
+
+const MAX_ROWS_PER_DATABASE = 5000;
+const MAX_IMPORT_ROWS = 2000;
+const LIST_SEPARATOR = ';';
+
+class PageDatabaseError extends Error {
+  constructor(code, message, statusCode = 400) {
+    super(message);
+    this.name = 'PageDatabaseError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const invalid = (code, result) => {
+  throw new PageDatabaseError(code, result.error);
+};
+
+/**
+ * Schéma databázovej stránky ako plain objekt. Pre obyčajnú stránku hádže
+ * NOT_A_DATABASE.
+ */
+function databaseOf(page) {
+  const database = page.kind === 'database' ? page.toObject().database : null;
+  if (!database) throw new PageDatabaseError('NOT_A_DATABASE', 'Stránka nie je databáza');
+  return database;
+}
+
+const saveDatabase = async (page, database) => {
+  page.database = database;
+  page.markModified('database');
+  await page.save();
+  return page.toObject().database;
+};
+
+const rowJSON = (row) => ({ ...row, id: row._id.toString() });
+
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+const assertUniqueName = (properties, property) => {
+  if (properties.some(p => p.id !== property.id && sameName(p.name, property.name))) {
+    throw new PageDatabaseError('DUPLICATE_PROPERTY', `Vlastnosť „${property.name}" už v databáze je`);
+  }
+};
+
+// ─── Mená ľudí a záznamov ──────────────────────────────────────────────
+
+/**
+ * Mená ľudí a prepojených záznamov v `rows`:
+ *   { users: { id: { username, color, avatar } }, contacts: { id: name }, tasks: { id: title } }
+ */
+async function resolveRefs(workspaceId, properties, rows) {
+  const userIds = new Set();
+  const contactIds = new Set();
+  const taskIds = new Set();
+  for (const property of properties) {
+    for (const row of rows) {
+      const value = row.values?.[property.id];
+      if (isEmptyValue(value)) continue;
+      if (property.type === 'person') userIds.add(value);
+      if (property.type === 'relation') {
+        const target = property.relation === 'contact' ? contactIds : taskIds;
+        for (const id of value) target.add(id);
+      }
+    }
+  }
+
+  const [users, contacts, tasks] = await Promise.all([
+    userIds.size > 0 ? User.find({ _id: { $in: [...userIds] } }, 'username color avatar').lean() : [],
+    contactIds.size > 0 ? Contact.find({ _id: { $in: [...contactIds] }, workspaceId }, 'name').lean() : [],
+    taskIds.size > 0 ? Task.find({ _id: { $in: [...taskIds] }, workspaceId }, 'title').lean() : []
+  ]);
+  return {
+    users: Object.fromEntries(users.map(u => [u._id.toString(), { username: u.username, color: u.color || null, avatar: u.avatar || null }])),
+    contacts: Object.fromEntries(contacts.map(c => [c._id.toString(), c.name || 'Bez mena'])),
+    tasks: Object.fromEntries(tasks.map(t => [t._id.toString(), t.title]))
+  };
+}
+
+// Ľudia musia byť členmi workspace, záznamy z toho istého workspace
+async function assertReferencesExist(workspaceId, property, value) {
+  if (property.type === 'person') {
+    const member = await WorkspaceMember.exists({ workspaceId, userId: value });
+    if (!member) throw new PageDatabaseError('INVALID_VALUE', `Vlastnosť „${property.name}": používateľ nie je členom workspace`);
+  }
+  if (property.type === 'relation') {
+    const Model = property.relation === 'contact' ? Contact : Task;
+    const found = await Model.countDocuments({ _id: { $in: value }, workspaceId });
+    if (found !== value.length) {
+      throw new PageDatabaseError('INVALID_VALUE', `Vlastnosť „${property.name}": ${property.relation === 'contact' ? 'kontakt' : 'projekt'} nenájdený`);
+    }
+  }
+}
+
+/**
+ * Hodnoty riadku od klienta ({ propertyId: hodnota }) ako Mongo update:
+ * { $set, $unset } nad `values.<id>`.
+ */
+async function valuesUpdate(workspaceId, properties, input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new PageDatabaseError('INVALID_VALUE', 'Hodnoty riadku musia byť objekt');
+  }
+  const $set = {};
+  const $unset = {};
+  for (const [propertyId, raw] of Object.entries(input)) {
+    const property = properties.find(p => p.id === propertyId);
+    if (!property) throw new PageDatabaseError('INVALID_VALUE', 'Neznáma vlastnosť');
+    const result = normalizeValue(property, raw);
+    if (result.error) invalid('INVALID_VALUE', result);
+    if (result.value === undefined) {
+      $unset[`values.${propertyId}`] = '';
+    } else {
+      await assertReferencesExist(workspaceId, property, result.value);
+      $set[`values.${propertyId}`] = result.value;
+    }
+  }
+  return { $set, $unset };
+}
+
+// ─── Hodnoty z textu (CSV import, zmena typu) ──────────────────────────
+
+const splitList = (text) => String(text || '').split(LIST_SEPARATOR).map(s => s.trim()).filter(Boolean);
+
+/**
+ * Prevodník textu na hodnotu vlastnosti. `texts` sú všetky texty, ktoré
+ * sa budú prevádzať — ľudia a záznamy sa podľa mena dohľadajú naraz.
+ * Neznáme možnosti výberu sa pridajú do `property.options` (mení ho).
+ * Vracia (text) → { value } | { error }.
+ */
+async function textParser(workspaceId, property, texts) {
+  if (property.type === 'select' || property.type === 'multi_select') {
+    const optionId = (name) => {
+      const found = property.options.find(o => sameName(o.name, name));
+      if (found) return found.id;
+      if (property.options.length >= MAX_OPTIONS) return null;
+      const option = {
+        id: uuidv4(),
+        name: name.trim().substring(0, 100),
+        color: OPTION_COLORS[property.options.length % OPTION_COLORS.length]
+      };
+      property.options.push(option);
+      return option.id;
+    };
+    return (text) => {
+      const names = property.type === 'select' ? [String(text || '').trim()].filter(Boolean) : splitList(text);
+      const ids = names.map(optionId);
+      if (ids.includes(null)) return { error: `Vlastnosť „${property.name}": neznáma možnosť` };
+      return normalizeValue(property, property.type === 'select' ? ids[0] : ids);
+    };
+  }
+
+  if (property.type === 'person') {
+    const members = await WorkspaceMember.find({ workspaceId }, 'userId')
+      .populate('userId', 'username email')
+      .lean();
+    const byName = new Map();
+    for (const member of members) {
+      if (!member.userId) continue;
+      const id = member.userId._id.toString();
+      if (member.userId.username) byName.set(member.userId.username.toLowerCase(), id);
+      if (member.userId.email) byName.set(member.userId.email.toLowerCase(), id);
+    }
+    return (text) => {
+      const name = String(text || '').trim().toLowerCase();
+      if (!name) return { value: undefined };
+      return byName.has(name) ? { value: byName.get(name) } : { error: `Vlastnosť „${property.name}": neznámy používateľ` };
+    };
+  }
+
+  if (property.type === 'relation') {
+    const names = [...new Set(texts.flatMap(splitList))];
+    const isContact = property.relation === 'contact';
+    const field = isContact ? 'name' : 'title';
+    const records = names.length > 0
+      ? await (isContact ? Contact : Task).find({ workspaceId, [field]: { $in: names } }, field).lean()
+      : [];
+    const byName = new Map(records.map(r => [r[field].toLowerCase(), r._id.toString()]));
+    return (text) => {
+      const ids = splitList(text).map(name => byName.get(name.toLowerCase()));
+      if (ids.includes(undefined)) return { error: `Vlastnosť „${property.name}": záznam nenájdený` };
+      return normalizeValue(property, ids);
+    };
+  }
+
+  return (text) => parseTextValue(property, text);
+}
+
+// Hodnoty vlastnosti po zmene jej typu — prevod cez text
+async function convertValues(page, before, after) {
+  const field = `values.${before.id}`;
+  const rows = await PageRow.find({ pageId: page._id, [field]: { $exists: true } }, { [field]: 1 }).lean();
+  if (rows.length === 0) return;
+
+  const refs = await resolveRefs(page.workspaceId, [before], rows);
+  const texts = rows.map(row => formatValue(before, row.values[before.id], refs));
+  const parse = await textParser(page.workspaceId, after, texts);
+  await PageRow.bulkWrite(rows.map((row, i) => {
+    const result = parse(texts[i]);
+    const update = result.value === undefined ? { $unset: { [field]: '' } } : { $set: { [field]: result.value } };
+    return { updateOne: { filter: { _id: row._id }, update, timestamps: false } };
+  }));
+}
+
+// ─── Schéma ────────────────────────────────────────────────────────────
+
+/**
+ * Pridá vlastnosť. Vracia { database, property }.
+ */
+async function addProperty(page, input) {
+  const database = databaseOf(page);
+  if (database.properties.length >= MAX_PROPERTIES) {
+    throw new PageDatabaseError('TOO_MANY_PROPERTIES', `Databáza môže mať najviac ${MAX_PROPERTIES} vlastností`);
+  }
+  const result = normalizeProperty(input);
+  if (result.error) invalid('INVALID_PROPERTY', result);
+  const property = result.value;
+  assertUniqueName(database.properties, property);
+
+  database.properties.push(property);
+  return { database: await saveDatabase(page, database), property };
+}
+
+/**
+ * Upraví vlastnosť (názov, typ, možnosti, cieľ prepojenia) a dotiahne
+ * hodnoty riadkov a pohľady. Vracia { database, property }.
+ */
+async function updateProperty(page, propertyId, input) {
+  const database = databaseOf(page);
+  const index = database.properties.findIndex(p => p.id === propertyId);
+  if (index === -1) throw new PageDatabaseError('PROPERTY_NOT_FOUND', 'Vlastnosť nenájdená', 404);
+  const before = database.properties[index];
+  const result = normalizeProperty(input, before);
+  if (result.error) invalid('INVALID_PROPERTY', result);
+  const property = result.value;
+  assertUniqueName(database.properties, property);
+
+  const field = `values.${property.id}`;
+  if (property.type !== before.type || property.relation !== before.relation) {
+    await convertValues(page, before, property);
+  } else if (property.type === 'select' || property.type === 'multi_select') {
+    const removed = before.options.filter(o => !property.options.some(n => n.id === o.id)).map(o => o.id);
+    if (removed.length > 0) {
+      const update = property.type === 'select'
+        ? { $unset: { [field]: '' } }
+        : { $pull: { [field]: { $in: removed } } };
+      await PageRow.updateMany({ pageId: page._id, [field]: { $in: removed } }, update, { timestamps: false });
+    }
+  }
+
+  database.properties[index] = property;
+  database.views = database.views.map(view => pruneView(view, database.properties));
+  return { database: await saveDatabase(page, database), property };
+}
+
+/**
+ * Zmaže vlastnosť aj jej hodnoty. Názov sa zmazať nedá.
+ */
+async function deleteProperty(page, propertyId) {
+  const database = databaseOf(page);
+  if (propertyId === TITLE_PROPERTY_ID) {
+    throw new PageDatabaseError('PROPERTY_REQUIRED', 'Vlastnosť Názov sa nedá zmazať');
+  }
+  if (!database.properties.some(p => p.id === propertyId)) {
+    throw new PageDatabaseError('PROPERTY_NOT_FOUND', 'Vlastnosť nenájdená', 404);
+  }
+
+  database.properties = database.properties.filter(p => p.id !== propertyId);
+  database.views = database.views.map(view => pruneView(view, database.properties));
+  await PageRow.updateMany(
+    { pageId: page._id },
+    { $unset: { [`values.${propertyId}`]: '' } },
+    { timestamps: false }
+  );
+  return { database: await saveDatabase(page, database) };
+}
+
+/**
+ * Pridá pohľad. Vracia { database, view }.
+ */
+async function addView(page, input) {
+  const database = databaseOf(page);
+  if (database.views.length >= MAX_VIEWS) {
+    throw new PageDatabaseError('TOO_MANY_VIEWS', `Databáza môže mať najviac ${MAX_VIEWS} pohľadov`);
+  }
+  const result = normalizeView(input, database.properties);
+  if (result.error) invalid('INVALID_VIEW', result);
+
+  database.views.push(result.value);
+  return { database: await saveDatabase(page, database), view: result.value };
+}
+
+/**
+ * Upraví pohľad (názov, typ, filtre, zoradenie, …). Vracia { database, view }.
+ */
+async function updateView(page, viewId, input) {
+  const database = databaseOf(page);
+  const index = database.views.findIndex(v => v.id === viewId);
+  if (index === -1) throw new PageDatabaseError('VIEW_NOT_FOUND', 'Pohľad nenájdený', 404);
+  const result = normalizeView(input, database.properties, database.views[index]);
+  if (result.error) invalid('INVALID_VIEW', result);
+
+  database.views[index] = result.value;
+  return { database: await saveDatabase(page, database), view: result.value };
+}
+
+/**
+ * Zmaže pohľad. Posledný pohľad databázy ostať musí.
+ */
+async function deleteView(page, viewId) {
+  const database = databaseOf(page);
+  if (!database.views.some(v => v.id === viewId)) {
+    throw new PageDatabaseError('VIEW_NOT_FOUND', 'Pohľad nenájdený', 404);
+  }
+  if (database.views.length === 1) {
+    throw new PageDatabaseError('VIEW_REQUIRED', 'Databáza musí mať aspoň jeden pohľad');
+  }
+  database.views = database.views.filter(v => v.id !== viewId);
+  return { database: await saveDatabase(page, database) };
+}
+
+// ─── Riadky ────────────────────────────────────────────────────────────
+
+/**
+ * Riadky databázy vyfiltrované a zoradené. `filters` / `sorts` (už
+ * zvalidované) sú z pohľadu alebo dočasné od klienta. Vracia { rows, refs }.
+ */
+async function queryRows({ page, filters = [], sorts = [] }) {
+  const database = databaseOf(page);
+  const rows = await PageRow.find({ pageId: page._id, ...buildRowFilter(database.properties, filters) })
+    .sort({ order: 1, createdAt: 1 })
+    .limit(MAX_ROWS_PER_DATABASE)
+    .lean();
+  const refs = await resolveRefs(page.workspaceId, database.properties, rows);
+  return { rows: sortRows(rows, database.properties, sorts, refs).map(rowJSON), refs };
+}
+
+// Jeden riadok s menami ľudí a záznamov — odpoveď aj socket event
+const rowResponse = async (page, properties, row) => {
+  const plain = row.toObject ? row.toObject() : row;
+  return { row: rowJSON(plain), refs: await resolveRefs(page.workspaceId, properties, [plain]) };
+};
+
+/**
+ * Nový riadok na konci databázy. Vracia { row, refs }.
+ */
+async function createRow({ page, userId, values = {} }) {
+  const database = databaseOf(page);
+  const count = await PageRow.countDocuments({ pageId: page._id });
+  if (count >= MAX_ROWS_PER_DATABASE) {
+    throw new PageDatabaseError('TOO_MANY_ROWS', `Databáza môže mať najviac ${MAX_ROWS_PER_DATABASE} riadkov`);
+  }
+  const { $set } = await valuesUpdate(page.workspaceId, database.properties, values);
+  const last = await PageRow.findOne({ pageId: page._id }, 'order').sort({ order: -1 }).lean();
+
+  const row = await PageRow.create({
+    workspaceId: page.workspaceId,
+    pageId: page._id,
+    values: Object.fromEntries(Object.entries($set).map(([path, value]) => [path.slice('values.'.length), value])),
+    order: last ? last.order + 1 : 0,
+    createdBy: userId,
+    updatedBy: userId
+  });
+  return rowResponse(page, database.properties, row);
+}
+
+/**
+ * Zmení hodnoty riadku (len uvedené vlastnosti; null / '' hodnotu zmaže)
+ * a voliteľne jeho ručné poradie. Vracia { row, refs }.
+ */
+async function updateRow({ page, rowId, userId, values = {}, order }) {
+  const database = databaseOf(page);
+  const { $set, $unset } = await valuesUpdate(page.workspaceId, database.properties, values);
+  if (order !== undefined) {
+    if (!Number.isFinite(order)) throw new PageDatabaseError('INVALID_VALUE', 'Neplatné poradie riadku');
+    $set.order = order;
+  }
+  const update = { $set: { ...$set, updatedBy: userId } };
+  if (Object.keys($unset).length > 0) update.$unset = $unset;
+
+  const row = await PageRow.findOneAndUpdate({ _id: rowId, pageId: page._id }, update, { new: true }).lean();
+  if (!row) throw new PageDatabaseError('ROW_NOT_FOUND', 'Riadok nenájdený', 404);
+  return rowResponse(page, database.properties, row);
+}
+
+/**
+ * Zmaže riadok.
+ */
+async function deleteRow({ page, rowId }) {
+  const result = await PageRow.deleteOne({ _id: rowId, pageId: page._id });
+  if (result.deletedCount === 0) throw new PageDatabaseError('ROW_NOT_FOUND', 'Riadok nenájdený', 404);
+}
+
+/**
+ * Skopíruje riadky databázy do kópie stránky (services/pageCopy.js).
+ */
+async function copyRows({ fromPageId, toPageId, workspaceId, userId }) {
+  const rows = await PageRow.find({ pageId: fromPageId }).sort({ order: 1 }).lean();
+  if (rows.length === 0) return;
+  await PageRow.insertMany(rows.map(row => ({
+    workspaceId,
+    pageId: toPageId,
+    values: row.values,
+    order: row.order,
+    createdBy: userId,
+    updatedBy: userId
+  })));
+}
+
+// ─── CSV ───────────────────────────────────────────────────────────────
+
+/**
+ * Riadky (už vyfiltrované a zoradené) ako CSV — stĺpce sú vlastnosti
+ * databázy, výbery a ľudia menom, zoznamy oddelené bodkočiarkou.
+ */
+function rowsToCsv(database, rows, refs) {
+  const header = database.properties.map(p => p.name);
+  // Čísla ostanú číslami — csvCell im nepredsadí apostrof ako textu
+  const cell = (p, value) => (p.type === 'number' && Number.isFinite(value) ? value : formatValue(p, value, refs));
+  const lines = rows.map(row => database.properties.map(p => cell(p, row.values?.[p.id])));
+  return toCsv(header, lines);
+}
+
+/**
+ * Import riadkov z CSV. Stĺpce sa priradia k vlastnostiam podľa názvu,
+ * pre neznáme sa pridá textová vlastnosť; neznáme možnosti výberu sa
+ * doplnia. Bunky, ktoré sa nedajú previesť, ostanú prázdne a spočítajú sa.
+ * Vracia { database, imported, createdProperties, skippedCells }.
+ */
+async function importRowsCsv({ page, text, userId }) {
+  const database = databaseOf(page);
+  const table = parseCsv(text, { maxRows: MAX_IMPORT_ROWS + 2 });
+  if (table.length < 2) throw new PageDatabaseError('EMPTY_CSV', 'CSV neobsahuje žiadne riadky');
+  const [header, ...records] = table;
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new PageDatabaseError('TOO_MANY_ROWS', `Naraz sa dá importovať najviac ${MAX_IMPORT_ROWS} riadkov`);
+  }
+  const count = await PageRow.countDocuments({ pageId: page._id });
+  if (count + records.length > MAX_ROWS_PER_DATABASE) {
+    throw new PageDatabaseError('TOO_MANY_ROWS', `Databáza môže mať najviac ${MAX_ROWS_PER_DATABASE} riadkov`);
+  }
+
+  // Stĺpec → vlastnosť (existujúca podľa názvu, inak nová textová)
+  let createdProperties = 0;
+  const columns = header.map((name, index) => {
+    const clean = name.trim();
+    if (!clean) return null;
+    let property = database.properties.find(p => sameName(p.name, clean));
+    if (!property) {
+      if (database.properties.length >= MAX_PROPERTIES) return null;
+      property = normalizeProperty({ name: clean, type: 'text' }).value;
+      database.properties.push(property);
+      createdProperties++;
+    }
+    return { index, property };
+  }).filter((column, i, all) => column && all.findIndex(c => c && c.property.id === column.property.id) === i);
+
+  const parsers = [];
+  for (const column of columns) {
+    const texts = records.map(record => record[column.index] || '');
+    parsers.push(await textParser(page.workspaceId, column.property, texts));
+  }
+
+  let skippedCells = 0;
+  const last = await PageRow.findOne({ pageId: page._id }, 'order').sort({ order: -1 }).lean();
+  const firstOrder = last ? last.order + 1 : 0;
+  const docs = records.map((record, i) => {
+    const values = {};
+    columns.forEach((column, c) => {
+      const result = parsers[c](record[column.index] || '');
+      if (result.error) skippedCells++;
+      else if (result.value !== undefined) values[column.property.id] = result.value;
+    });
+    return {
+      workspaceId: page.workspaceId,
+      pageId: page._id,
+      values,
+      order: firstOrder + i,
+      createdBy: userId,
+      updatedBy: userId
+    };
+  });
+
+  const saved = await saveDatabase(page, database);
+  await PageRow.insertMany(docs);
+  return { database: saved, imported: docs.length, createdProperties, skippedCells };
+}
+
+module.exports = {
+  MAX_ROWS_PER_DATABASE,
+  MAX_IMPORT_ROWS,
+  PageDatabaseError,
+  databaseOf,
+  resolveRefs,
+  addProperty,
+  updateProperty,
+  deleteProperty,
+  addView,
+  updateView,
+  deleteView,
+  queryRows,
+  createRow,
+  updateRow,
+  deleteRow,
+  copyRows,
+  rowsToCsv,
+  importRowsCsv
+};
@@ -0,0 +1,85 @@
+/**
+ * pageFiles.js — obrázky image blokov pri kopírovaní a mazaní stránok.
+ *
+ * Image blok odkazuje na PageFile cez `props.fileId` a GET
+ * /api/pages/:id/files/:fileId hľadá súbor podľa stránky. Kópia stránky
+ * (duplikát, šablóna, stránka zo šablóny) preto dostane vlastné PageFile
+ * záznamy s novým `fileId` a bloky sa prepíšu na ne. Blob v R2 sa
+ * nekopíruje — záznamy zdieľajú `r2Key` a blob sa zmaže, až keď naň
+ * neodkazuje žiadny záznam (`releasePageFiles`).
+ */
+const { v4: uuidv4 } = require('uuid');
+const PageFile = require('../models/PageFile');
+const fileStorage = require('./fileStorage');
+
+const collectFileIds = (blocks, ids = new Set()) => {
+  for (const block of blocks || []) {
+    if (block.type === 'image' && block.props && block.props.fileId) ids.add(String(block.props.fileId));
+    collectFileIds(block.children, ids);
+  }
+  return ids;
+};
+
+const remapFileIds = (blocks, fileIdMap) => (blocks || []).map((block) => {
+  const copy = { ...block, children: remapFileIds(block.children, fileIdMap) };
+  if (block.type === 'image' && block.props && block.props.fileId) {
+    const fileId = fileIdMap.get(String(block.props.fileId));
+    // Súbor, ktorý už neexistuje, by v kópii len vracal 404
+    copy.props = fileId ? { ...block.props, fileId } : { ...block.props, fileId: null };
+  }
+  return copy;
+});
+
+/**
+ * Skopíruje PageFile záznamy obrázkov v `blocks` od zdroja (`from`:
+ * { pageId } alebo { templateId }) k cieľu (`to`: { pageId } alebo
+ * { templateId }) a vráti bloky s novými `fileId`.
+ */
+async function copyBlockFiles({ blocks, workspaceId, from, to, userId }) {
+  const fileIds = [...collectFileIds(blocks)];
+  if (fileIds.length === 0) return blocks;
+
+  const sources = await PageFile.find({ ...from, workspaceId, fileId: { $in: fileIds } }).lean();
+  const fileIdMap = new Map();
+  const copies = sources.map((file) => {
+    const fileId = uuidv4();
+    fileIdMap.set(file.fileId, fileId);
+    return {
+      pageId: to.pageId || null,
+      templateId: to.templateId || null,
+      workspaceId,
+      fileId,
+      r2Key: file.r2Key,
+      originalName: file.originalName,
+      mimetype: file.mimetype,
+      size: file.size,
+      uploadedBy: userId
+    };
+  });
+  if (copies.length > 0) await PageFile.insertMany(copies);
+
+  return remapFileIds(blocks, fileIdMap);
+}
+
+/**
+ * Zmaže PageFile záznamy podľa `filter` a bloby, na ktoré už neodkazuje
+ * žiadny iný záznam.
+ */
+async function releasePageFiles(filter) {
+  const files = await PageFile.find(filter, { r2Key: 1 }).lean();
+  if (files.length === 0) return 0;
+  await PageFile.deleteMany({ _id: { $in: files.map(f => f._id) } });
+
+  const keys = [...new Set(files.map(f => f.r2Key))];
+  const stillUsed = new Set(await PageFile.distinct('r2Key', { r2Key: { $in: keys } }));
+  for (const key of keys) {
+    if (!stillUsed.has(key)) await fileStorage.deleteFile(key); // non-fatal on failure
+  }
+  return files.length;
+}
+
+module.exports = {
+  collectFileIds,
+  copyBlockFiles,
+  releasePageFiles
+};
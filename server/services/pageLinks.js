@@ -0,0 +1,87 @@
+/**
+ * pageLinks.js — prepojenia stránok s CRM a medzi stránkami.
+ *
+ * Dva druhy väzieb:
+ *   - prepojený záznam — stránka môže patriť ku kontaktu alebo projektu
+ *     (Page.linkedType / linkedId / linkedName, rovnako ako Message).
+ *     Detail kontaktu a projektu ukáže stránky, ktoré sú k nemu prepojené.
+ *   - spätné odkazy — stránky, ktoré inú stránku spomínajú (značka
+ *     `mention` s kind 'page', utils/inlineMarks.js). ID spomenutých
+ *     stránok sa pri každom zápise blokov odložia do
+ *     Page.mentionedPageIds (services/pageCollab.js), aby sa spätné odkazy
+ *     dali nájsť jedným dotazom a nebolo treba prechádzať stromy blokov.
+ *
+ * Zoznamy vracajú len stránky, ktoré volajúci vidí (services/pageAccess.js).
+ */
+const Page = require('../models/Page');
+const Contact = require('../models/Contact');
+const Task = require('../models/Task');
+const { collectMentions } = require('../utils/inlineMarks');
+const { loadWorkspaceRules, levelFor } = require('./pageAccess');
+
+const LINKED_TYPES = ['contact', 'task'];
+const MAX_LISTED_PAGES = 50;
+const LIST_FIELDS = '_id title icon parentId linkedType linkedId linkedName updatedAt';
+
+const OBJECT_ID_RE = /^[a-f0-9]{24}$/i;
+
+// ID stránok spomenutých v strome blokov (bez duplicít)
+const mentionedPageIds = (blocks) => [...collectMentions(blocks)]
+  .filter(key => key.startsWith('page:'))
+  .map(key => key.slice('page:'.length));
+
+/**
+ * Zvaliduje prepojenie stránky so záznamom. `linkedType` null / '' väzbu
+ * zruší. Meno záznamu sa vezme z databázy, nie od klienta. Vracia
+ * { value: { linkedType, linkedId, linkedName } } alebo { error }.
+ */
+async function resolveLinkedRecord(workspaceId, linkedType, linkedId) {
+  if (!linkedType) return { value: { linkedType: null, linkedId: null, linkedName: null } };
+  if (!LINKED_TYPES.includes(linkedType)) return { error: 'Stránku možno prepojiť len s kontaktom alebo projektom' };
+  if (!OBJECT_ID_RE.test(String(linkedId))) return { error: 'Neplatné ID prepojeného záznamu' };
+
+  if (linkedType === 'contact') {
+    const contact = await Contact.findOne({ _id: linkedId, workspaceId }, 'name').lean();
+    if (!contact) return { error: 'Kontakt nenájdený' };
+    return { value: { linkedType, linkedId: String(linkedId), linkedName: contact.name || 'Bez mena' } };
+  }
+  const task = await Task.findOne({ _id: linkedId, workspaceId }, 'title').lean();
+  if (!task) return { error: 'Projekt nenájdený' };
+  return { value: { linkedType, linkedId: String(linkedId), linkedName: task.title } };
+}
+
+// Stránky z `filter` (v rámci workspace, mimo koša), ktoré `member` vidí
+async function listVisiblePages(workspaceId, member, filter) {
+  const [pages, rules] = await Promise.all([
+    Page.find({ workspaceId, deletedAt: null, ...filter }, LIST_FIELDS)
+      .sort({ updatedAt: -1 })
+      .limit(MAX_LISTED_PAGES)
+      .lean(),
+    loadWorkspaceRules(workspaceId)
+  ]);
+  return pages
+    .filter(page => levelFor(rules.get(page._id.toString()), member) !== 'none')
+    .map(page => ({ ...page, id: page._id.toString() }));
+}
+
+/**
+ * Stránky prepojené s kontaktom / projektom.
+ */
+function findLinkedPages(workspaceId, member, linkedType, linkedId) {
+  return listVisiblePages(workspaceId, member, { linkedType, linkedId: String(linkedId) });
+}
+
+/**
+ * Spätné odkazy — stránky, ktoré spomínajú `pageId` (okrem nej samej).
+ */
+function findBacklinks(workspaceId, member, pageId) {
+  return listVisiblePages(workspaceId, member, { mentionedPageIds: pageId, _id: { $ne: pageId } });
+}
+
+module.exports = {
+  LINKED_TYPES,
+  mentionedPageIds,
+  resolveLinkedRecord,
+  findLinkedPages,
+  findBacklinks
+};
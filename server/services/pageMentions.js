@@ -0,0 +1,174 @@
+/**
+ * pageMentions.js — zmienky v stránkach (@user, #kontakt, #projekt, #stránka).
+ *
+ * Zmienka je značka `mention` nad textom bloku (utils/inlineMarks.js) s
+ * attrs { kind, id }:
+ *   user    — člen workspace (User)
+ *   contact — kontakt z CRM (Contact)
+ *   task    — projekt (Task kolekcia; úlohy vnorené v kontakte nemajú
+ *             ObjectId, tie sa spomenúť nedajú)
+ *   page    — iná stránka workspace (spätné odkazy, services/pageLinks.js)
+ *
+ * Klient posiela značky sám, takže pred uložením sa overí, že cieľ zmienky
+ * naozaj patrí do workspace stránky — cudzie ID sa zahodí. Novo spomenutí
+ * používatelia, ktorí stránku vidia (services/pageAccess.js), dostanú
+ * notifikáciu 'page.mentioned'.
+ */
+const User = require('../models/User');
+const WorkspaceMember = require('../models/WorkspaceMember');
+const Contact = require('../models/Contact');
+const Task = require('../models/Task');
+const Page = require('../models/Page');
+const notificationService = require('./notificationService');
+const { loadPageRules, loadWorkspaceRules, levelFor, membersWithAccess } = require('./pageAccess');
+const { escapeRegex } = require('../utils/regexHelpers');
+const logger = require('../utils/logger');
+
+const SEARCH_LIMIT = 8;
+const EXCERPT_LENGTH = 140;
+
+const mentionIds = (marks, kind) => [...new Set(
+  (marks || [])
+    .filter(m => m.type === 'mention' && m.attrs.kind === kind)
+    .map(m => m.attrs.id)
+)];
+
+/**
+ * Zahodí zmienky, ktorých cieľ neexistuje vo workspace.
+ */
+async function resolveMentions(workspaceId, marks) {
+  const userIds = mentionIds(marks, 'user');
+  const contactIds = mentionIds(marks, 'contact');
+  const taskIds = mentionIds(marks, 'task');
+  const pageIds = mentionIds(marks, 'page');
+  if (userIds.length + contactIds.length + taskIds.length + pageIds.length === 0) return marks;
+
+  const [members, contacts, tasks, pages] = await Promise.all([
+    userIds.length > 0
+      ? WorkspaceMember.find({ workspaceId, userId: { $in: userIds } }, 'userId').lean()
+      : [],
+    contactIds.length > 0
+      ? Contact.find({ _id: { $in: contactIds }, workspaceId }, '_id').lean()
+      : [],
+    taskIds.length > 0
+      ? Task.find({ _id: { $in: taskIds }, workspaceId }, '_id').lean()
+      : [],
+    pageIds.length > 0
+      ? Page.find({ _id: { $in: pageIds }, workspaceId, deletedAt: null }, '_id').lean()
+      : []
+  ]);
+  const valid = {
+    user: new Set(members.map(m => m.userId.toString())),
+    contact: new Set(contacts.map(c => c._id.toString())),
+    task: new Set(tasks.map(t => t._id.toString())),
+    page: new Set(pages.map(p => p._id.toString()))
+  };
+
+  return marks.filter(m => m.type !== 'mention' || valid[m.attrs.kind].has(m.attrs.id));
+}
+
+/**
+ * Notifikuje používateľov, ktorí sú v `marks` spomenutí a v `previousMarks`
+ * ešte neboli (autor zmeny nie). Chyby sa len logujú — uloženie bloku už
+ * prebehlo.
+ */
+async function notifyNewMentions({ page, block, previousMarks, actor }) {
+  try {
+    const before = new Set(mentionIds(previousMarks, 'user'));
+    const actorId = actor.id.toString();
+    const mentioned = mentionIds(block.marks, 'user')
+      .filter(id => !before.has(id) && id !== actorId);
+    if (mentioned.length === 0) return [];
+    // Len tí, ktorí stránku vidia — odkaz na súkromnú stránku by nikam neviedol
+    const recipients = await membersWithAccess(page.workspaceId, await loadPageRules(page), mentioned);
+    if (recipients.length === 0) return [];
+
+    const actorName = actor.username || 'Niekto';
+    const pageTitle = page.title || 'Bez názvu';
+    const excerpt = (block.content || '').length > EXCERPT_LENGTH
+      ? `${block.content.substring(0, EXCERPT_LENGTH)}…`
+      : (block.content || '');
+
+    return await notificationService.notifyUsers(recipients, {
+      type: 'page.mentioned',
+      title: notificationService.getNotificationTitle('page.mentioned', actorName, pageTitle),
+      message: excerpt,
+      workspaceId: page.workspaceId,
+      actorId: actor.id,
+      actorName,
+      relatedType: 'page',
+      relatedId: page._id.toString(),
+      relatedName: pageTitle,
+      data: { pageId: page._id.toString(), blockId: block.id }
+    });
+  } catch (error) {
+    logger.error('[PageMentions] Failed to notify mentioned users', { error: error.message, pageId: String(page._id) });
+    return [];
+  }
+}
+
+/**
+ * Návrhy pre zmienku podľa textu za '@' / '#'. `kinds` obmedzí, čo sa
+ * hľadá ('@' → ['user'], '#' → ['contact', 'task', 'page']). Stránky len
+ * tie, ktoré `member` ({ userId, isAdmin }) vidí. Vracia
+ *   [{ kind, id, label, sublabel }]
+ */
+async function searchMentionTargets(workspaceId, query, kinds, member) {
+  const pattern = { $regex: escapeRegex(String(query || '').slice(0, 100)), $options: 'i' };
+  const results = [];
+
+  if (kinds.includes('user')) {
+    const members = await WorkspaceMember.find({ workspaceId }, 'userId').lean();
+    const users = await User.find({
+      _id: { $in: members.map(m => m.userId) },
+      $or: [{ username: pattern }, { email: pattern }]
+    }, 'username email').limit(SEARCH_LIMIT).lean();
+    for (const user of users) {
+      results.push({ kind: 'user', id: user._id.toString(), label: user.username, sublabel: user.email || '' });
+    }
+  }
+
+  if (kinds.includes('contact')) {
+    const contacts = await Contact.find({ workspaceId, $or: [{ name: pattern }, { company: pattern }] }, 'name company')
+      .sort({ updatedAt: -1 })
+      .limit(SEARCH_LIMIT)
+      .lean();
+    for (const contact of contacts) {
+      results.push({ kind: 'contact', id: contact._id.toString(), label: contact.name || 'Bez mena', sublabel: contact.company || '' });
+    }
+  }
+
+  if (kinds.includes('task')) {
+    const tasks = await Task.find({ workspaceId, title: pattern }, 'title completed')
+      .sort({ updatedAt: -1 })
+      .limit(SEARCH_LIMIT)
+      .lean();
+    for (const task of tasks) {
+      results.push({ kind: 'task', id: task._id.toString(), label: task.title, sublabel: task.completed ? 'Dokončený projekt' : 'Projekt' });
+    }
+  }
+
+  if (kinds.includes('page') && member) {
+    const [pages, rules] = await Promise.all([
+      Page.find({ workspaceId, deletedAt: null, title: pattern }, 'title')
+        .sort({ updatedAt: -1 })
+        .limit(SEARCH_LIMIT * 3)
+        .lean(),
+      loadWorkspaceRules(workspaceId)
+    ]);
+    const visible = pages
+      .filter(page => levelFor(rules.get(page._id.toString()), member) !== 'none')
+      .slice(0, SEARCH_LIMIT);
+    for (const page of visible) {
+      results.push({ kind: 'page', id: page._id.toString(), label: page.title || 'Bez názvu', sublabel: 'Stránka' });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  resolveMentions,
+  notifyNewMentions,
+  searchMentionTargets
+};
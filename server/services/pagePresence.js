@@ -0,0 +1,206 @@
+/**
+ * Registry toho, kto má ktorú stránku práve otvorenú (presence v editore —
+ * avatar stack, vzdialené kurzory).
+ *
+ * Jeden user môže mať stránku otvorenú vo viacerých taboch, preto
+ * Map<pageId, Map<socketId, viewer>>; navonok (`getViewers`) je každý user
+ * len raz. Záznam sa odstráni pri `leave-page` aj pri disconnecte.
+ *
+ * Pri viacerých inštanciách servera môžu byť diváci jednej stránky na rôznych
+ * inštanciách. S Redisom (REDIS_URL) sa preto zrkadlia do zdieľaného
+ *   presence:page:<pageId>  HASH socketId → JSON viewer
+ * a `getViewers` / `leave` čítajú odtiaľ. Divákov spadnutej inštancie
+ * odfiltruje kontrola živých socketov (services/onlineUsers.js) a zmaže ich.
+ *
+ * Lokálne Mapy (sockety tohto procesu) držíme vždy — bez Redisu alebo pri
+ * jeho výpadku sú jediným zdrojom (vidno len divákov tejto inštancie). Po
+ * reštarte sa klienti reconnectnú a pri join-page sa zapíšu znova.
+ */
+const { getRedis } = require('../utils/redisClient');
+const { liveSockets } = require('./onlineUsers');
+const logger = require('../utils/logger');
+
+// Opustená stránka (všetci diváci spadli s inštanciou) sa zmaže sama
+const PAGE_KEY_TTL_SEC = 24 * 60 * 60;
+const pageKey = (pageId) => `presence:page:${pageId}`;
+
+const pages = new Map(); // pageId -> Map<socketId, { userId, username, color, since }>
+const socketPages = new Map(); // socketId -> Set<pageId> (pre disconnect bez traverse)
+
+function warn(action, err) {
+  logger.warn(`[PagePresence] Redis ${action} failed`, { error: err.message });
+}
+
+function parseViewer(json) {
+  try {
+    const viewer = JSON.parse(json);
+    return { ...viewer, since: new Date(viewer.since) };
+  } catch {
+    return null;
+  }
+}
+
+async function join(pageId, socketId, user) {
+  if (!pageId || !socketId || !user) return;
+  let viewers = pages.get(pageId);
+  if (!viewers) {
+    viewers = new Map();
+    pages.set(pageId, viewers);
+  }
+  if (!viewers.has(socketId)) {
+    viewers.set(socketId, {
+      userId: String(user.id),
+      username: user.username || null,
+      color: user.color || null,
+      since: new Date()
+    });
+  }
+  let joined = socketPages.get(socketId);
+  if (!joined) {
+    joined = new Set();
+    socketPages.set(socketId, joined);
+  }
+  joined.add(pageId);
+
+  const redis = getRedis();
+  if (!redis) return;
+  try {
+    await redis.multi()
+      .hsetnx(pageKey(pageId), socketId, JSON.stringify(viewers.get(socketId)))
+      .expire(pageKey(pageId), PAGE_KEY_TTL_SEC)
+      .exec();
+  } catch (err) {
+    warn('join', err);
+  }
+}
+
+// Lokálne odstránenie — vracia odstráneného diváka alebo null
+function removeLocal(pageId, socketId) {
+  const viewers = pages.get(pageId);
+  if (!viewers) return null;
+  const viewer = viewers.get(socketId);
+  if (!viewer) return null;
+  viewers.delete(socketId);
+  if (viewers.size === 0) pages.delete(pageId);
+
+  const joined = socketPages.get(socketId);
+  if (joined) {
+    joined.delete(pageId);
+    if (joined.size === 0) socketPages.delete(socketId);
+  }
+  return viewer;
+}
+
+const hasUser = (viewers, userId) => viewers.some(other => other.userId === userId);
+
+/**
+ * Odstráni socket zo stránky. Vracia true, ak tým user stránku opustil
+ * úplne (nemá ju otvorenú v inom tabe — ani na inej inštancii).
+ */
+async function leave(pageId, socketId) {
+  const viewer = removeLocal(pageId, socketId);
+  if (!viewer) return false;
+  const localLeft = !hasUser([...(pages.get(pageId)?.values() || [])], viewer.userId);
+
+  const redis = getRedis();
+  if (!redis) return localLeft;
+  try {
+    await redis.hdel(pageKey(pageId), socketId);
+    return !hasUser(await loadViewers(redis, pageId), viewer.userId);
+  } catch (err) {
+    warn('leave', err);
+    return localLeft;
+  }
+}
+
+/**
+ * Disconnect — odstráni socket zo všetkých stránok. Vracia
+ * [{ pageId, userId, left }], aby volajúci vedel, komu poslať novú presence.
+ */
+async function leaveAll(socketId) {
+  const joined = socketPages.get(socketId);
+  if (!joined) return [];
+  const result = [];
+  for (const pageId of [...joined]) {
+    const userId = pages.get(pageId)?.get(socketId)?.userId;
+    const left = await leave(pageId, socketId);
+    result.push({ pageId, userId, left });
+  }
+  return result;
+}
+
+/**
+ * Odstráni zo stránky všetky sockety userov `userIds` — na všetkých
+ * inštanciách (stratili prístup, routes/pages.js emitAccessChanged).
+ */
+async function removeUsers(pageId, userIds) {
+  const removed = new Set(userIds.map(String));
+  if (removed.size === 0) return;
+  for (const [socketId, viewer] of [...(pages.get(pageId) || [])]) {
+    if (removed.has(viewer.userId)) removeLocal(pageId, socketId);
+  }
+
+  const redis = getRedis();
+  if (!redis) return;
+  try {
+    const stored = await redis.hgetall(pageKey(pageId));
+    const socketIds = Object.keys(stored).filter(id => removed.has(parseViewer(stored[id])?.userId));
+    if (socketIds.length > 0) await redis.hdel(pageKey(pageId), ...socketIds);
+  } catch (err) {
+    warn('remove', err);
+  }
+}
+
+// Živí diváci stránky zo zdieľaného zoznamu; mŕtve sockety zmaže
+async function loadViewers(redis, pageId) {
+  const stored = await redis.hgetall(pageKey(pageId));
+  const socketIds = Object.keys(stored);
+  if (socketIds.length === 0) return [];
+  const live = await liveSockets(socketIds);
+  const dead = socketIds.filter(id => !live.has(id));
+  if (dead.length > 0) await redis.hdel(pageKey(pageId), ...dead);
+  return socketIds
+    .filter(id => live.has(id))
+    .map(id => parseViewer(stored[id]))
+    .filter(Boolean);
+}
+
+/**
+ * Kto má stránku otvorenú — každý user raz, v poradí, v akom prišli.
+ */
+async function getViewers(pageId) {
+  let viewers = [...(pages.get(pageId)?.values() || [])];
+  const redis = getRedis();
+  if (redis) {
+    try {
+      viewers = await loadViewers(redis, pageId);
+    } catch (err) {
+      warn('read', err);
+    }
+  }
+  const byUser = new Map();
+  for (const viewer of viewers) {
+    const existing = byUser.get(viewer.userId);
+    if (!existing || viewer.since < existing.since) byUser.set(viewer.userId, viewer);
+  }
+  return [...byUser.values()]
+    .sort((a, b) => a.since - b.since)
+    .map(({ userId, username, color }) => ({ userId, username, color }));
+}
+
+/**
+ * Len pre testy — vyčistí lokálnu registry.
+ */
+function _reset() {
+  pages.clear();
+  socketPages.clear();
+}
+
+module.exports = {
+  join,
+  leave,
+  leaveAll,
+  removeUsers,
+  getViewers,
+  _reset
+};
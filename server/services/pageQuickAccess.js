@@ -0,0 +1,221 @@
+/**
+ * pageQuickAccess.js — obľúbené stránky, naposledy navštívené stránky a
+ * rýchly prepínač (models/PageQuickAccess.js).
+ *
+ *   - obľúbené — používateľ si stránku pridá hviezdičkou, poradie si
+ *     nastaví sám; najviac MAX_FAVORITES
+ *   - naposledy navštívené — zapisujú sa samy pri otvorení stránky
+ *     (GET /api/pages/:id), najnovšia prvá, každá stránka raz, najviac
+ *     MAX_RECENT
+ *   - rýchly prepínač — približné hľadanie v názvoch všetkých stránok
+ *     workspace, ktoré volajúci vidí (utils/fuzzyMatch.js). Obľúbené a
+ *     nedávno navštívené majú pri rovnakej zhode prednosť; prázdny dopyt
+ *     vráti nedávne a obľúbené.
+ *
+ * Zoznamy sú na používateľa a workspace a vracajú len stránky mimo koša,
+ * ktoré volajúci vidí (services/pageAccess.js) — stránka, ku ktorej stratil
+ * prístup, v zozname zostane uložená, len sa neukáže.
+ */
+const Page = require('../models/Page');
+const PageQuickAccess = require('../models/PageQuickAccess');
+const { loadWorkspaceRules, levelFor } = require('./pageAccess');
+const { fuzzyMatch, highlightSegments } = require('../utils/fuzzyMatch');
+
+const MAX_FAVORITES = 100;
+const MAX_RECENT = 20;
+const DEFAULT_SWITCH_LIMIT = 20;
+const MAX_SWITCH_LIMIT = 50;
+const MAX_TREE_DEPTH = 1000;
+
+// Prednosť v prepínači (pripočíta sa k skóre zhody)
+const BOOST_FAVORITE = 15;
+const BOOST_RECENT = 20;
+
+const PAGE_FIELDS = '_id title icon kind parentId';
+const OBJECT_ID_RE = /^[a-f0-9]{24}$/i;
+
+class PageQuickAccessError extends Error {
+  constructor(code, message, statusCode = 400) {
+    super(message);
+    this.name = 'PageQuickAccessError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Stránky workspace mimo koša, ktoré `member` vidí — Map id → stránka
+ * s cestou `path` (názvy viditeľných nadradených stránok od koreňa).
+ */
+async function visiblePages(workspaceId, member) {
+  const [pages, rules] = await Promise.all([
+    Page.find({ workspaceId, deletedAt: null }, PAGE_FIELDS).lean(),
+    loadWorkspaceRules(workspaceId)
+  ]);
+  const byId = new Map();
+  for (const page of pages) {
+    const id = page._id.toString();
+    if (levelFor(rules.get(id), member) === 'none') continue;
+    byId.set(id, {
+      id,
+      title: page.title || 'Untitled',
+      icon: page.icon || null,
+      kind: page.kind || 'document',
+      parentId: page.parentId ? page.parentId.toString() : null
+    });
+  }
+  for (const page of byId.values()) {
+    const path = [];
+    let parent = page.parentId && byId.get(page.parentId);
+    while (parent && path.length < MAX_TREE_DEPTH) {
+      path.unshift(parent.title);
+      parent = parent.parentId && byId.get(parent.parentId);
+    }
+    page.path = path;
+  }
+  return byId;
+}
+
+const findLists = (workspaceId, userId) =>
+  PageQuickAccess.findOne({ workspaceId, userId }, 'favorites recent').lean();
+
+/**
+ * Obľúbené a naposledy navštívené stránky volajúceho:
+ * { favorites: [stránka + addedAt], recent: [stránka + visitedAt] }
+ */
+async function getQuickAccess({ workspaceId, userId, member }) {
+  const [lists, pages] = await Promise.all([findLists(workspaceId, userId), visiblePages(workspaceId, member)]);
+  const pick = (items, dateField) => (items || [])
+    .filter(item => pages.has(item.pageId.toString()))
+    .map(item => ({ ...pages.get(item.pageId.toString()), [dateField]: item[dateField] }));
+  return {
+    favorites: pick(lists?.favorites, 'addedAt'),
+    recent: pick(lists?.recent, 'visitedAt')
+  };
+}
+
+// Dokument používateľa vo workspace — založí sa pri prvom zápise
+const ensureLists = (workspaceId, userId) => PageQuickAccess.updateOne(
+  { workspaceId, userId },
+  { $setOnInsert: { favorites: [], recent: [] } },
+  { upsert: true }
+);
+
+/**
+ * Zapíše návštevu stránky (presunie ju na začiatok nedávnych). Vracia,
+ * či je stránka medzi obľúbenými — GET stránky to posiela klientovi.
+ */
+async function recordVisit({ workspaceId, userId, pageId }) {
+  await PageQuickAccess.updateOne({ workspaceId, userId }, { $pull: { recent: { pageId } } });
+  // Bez defaultov pri založení — tie by sa s $push na `recent` pobili
+  const lists = await PageQuickAccess.findOneAndUpdate(
+    { workspaceId, userId },
+    { $push: { recent: { $each: [{ pageId, visitedAt: new Date() }], $position: 0, $slice: MAX_RECENT } } },
+    { new: true, upsert: true, setDefaultsOnInsert: false, projection: { favorites: 1 } }
+  ).lean();
+  return Boolean(lists?.favorites?.some(f => f.pageId.toString() === pageId.toString()));
+}
+
+async function clearRecent({ workspaceId, userId }) {
+  await PageQuickAccess.updateOne({ workspaceId, userId }, { $set: { recent: [] } });
+}
+
+/**
+ * Pridá stránku na koniec obľúbených (už obľúbená zostane na mieste).
+ */
+async function addFavorite({ workspaceId, userId, pageId }) {
+  await ensureLists(workspaceId, userId);
+  const result = await PageQuickAccess.updateOne(
+    {
+      workspaceId,
+      userId,
+      'favorites.pageId': { $ne: pageId },
+      [`favorites.${MAX_FAVORITES - 1}`]: { $exists: false }
+    },
+    { $push: { favorites: { pageId, addedAt: new Date() } } }
+  );
+  if (result.modifiedCount === 0) {
+    const lists = await findLists(workspaceId, userId);
+    const already = (lists.favorites || []).some(f => f.pageId.toString() === pageId.toString());
+    if (!already) {
+      throw new PageQuickAccessError('TOO_MANY_FAVORITES', `Obľúbených stránok môže byť najviac ${MAX_FAVORITES}`);
+    }
+  }
+}
+
+async function removeFavorite({ workspaceId, userId, pageId }) {
+  await PageQuickAccess.updateOne({ workspaceId, userId }, { $pull: { favorites: { pageId } } });
+}
+
+/**
+ * Nové poradie obľúbených — `pageIds` musia byť presne uložené obľúbené
+ * (aj tie, ktoré sa volajúcemu práve neukazujú, idú na koniec).
+ */
+async function reorderFavorites({ workspaceId, userId, pageIds }) {
+  if (!Array.isArray(pageIds) || pageIds.some(id => !OBJECT_ID_RE.test(String(id)))) {
+    throw new PageQuickAccessError('INVALID_ORDER', 'Neplatné poradie obľúbených');
+  }
+  const lists = await findLists(workspaceId, userId);
+  const current = new Map((lists?.favorites || []).map(f => [f.pageId.toString(), f]));
+  const ids = [...new Set(pageIds.map(String))];
+  if (ids.some(id => !current.has(id))) {
+    throw new PageQuickAccessError('INVALID_ORDER', 'Poradie obsahuje stránku, ktorá nie je medzi obľúbenými');
+  }
+  const favorites = [
+    ...ids.map(id => current.get(id)),
+    ...[...current.values()].filter(f => !ids.includes(f.pageId.toString()))
+  ];
+  await PageQuickAccess.updateOne({ workspaceId, userId }, { $set: { favorites } });
+}
+
+/**
+ * Rýchly prepínač: stránky, ktorých názov sa približne zhoduje s `query`,
+ * od najlepšej. Každá má `favorite`, `visitedAt` (alebo null) a `segments`
+ * — názov so zvýraznenou zhodou.
+ */
+async function quickSwitch({ workspaceId, userId, member, query, limit }) {
+  const max = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_SWITCH_LIMIT, 1), MAX_SWITCH_LIMIT);
+  const [lists, pages] = await Promise.all([findLists(workspaceId, userId), visiblePages(workspaceId, member)]);
+
+  const favoriteIds = new Set((lists?.favorites || []).map(f => f.pageId.toString()));
+  const recentRank = new Map();
+  (lists?.recent || []).forEach((r, index) => recentRank.set(r.pageId.toString(), { index, visitedAt: r.visitedAt }));
+
+  const result = (page, match) => ({
+    ...page,
+    favorite: favoriteIds.has(page.id),
+    visitedAt: recentRank.get(page.id)?.visitedAt || null,
+    segments: highlightSegments(page.title, match ? match.indices : [])
+  });
+
+  if (!String(query || '').trim()) {
+    const ids = [...recentRank.keys(), ...favoriteIds].filter((id, i, all) => all.indexOf(id) === i);
+    return ids.filter(id => pages.has(id)).slice(0, max).map(id => result(pages.get(id), null));
+  }
+
+  const matches = [];
+  for (const page of pages.values()) {
+    const match = fuzzyMatch(query, page.title);
+    if (!match) continue;
+    let score = match.score;
+    if (favoriteIds.has(page.id)) score += BOOST_FAVORITE;
+    const recent = recentRank.get(page.id);
+    if (recent) score += BOOST_RECENT * (1 - recent.index / MAX_RECENT);
+    matches.push({ page, match, score });
+  }
+  matches.sort((a, b) => b.score - a.score || a.page.title.localeCompare(b.page.title, 'sk'));
+  return matches.slice(0, max).map(({ page, match }) => result(page, match));
+}
+
+module.exports = {
+  MAX_FAVORITES,
+  MAX_RECENT,
+  PageQuickAccessError,
+  getQuickAccess,
+  recordVisit,
+  clearRecent,
+  addFavorite,
+  removeFavorite,
+  reorderFavorites,
+  quickSwitch
+};
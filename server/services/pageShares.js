@@ -0,0 +1,243 @@
+/**
+ * pageShares.js — verejné odkazy na stránky (models/PageShare.js).
+ *
+ * Správa odkazov ide cez routes/pages.js (prihlásený člen workspace),
+ * verejné čítanie cez routes/publicShares.js. Tu je spoločná logika:
+ *   - vytvorenie odkazu (token, heslo, platnosť)
+ *   - overenie tokenu pri prístupe (zrušený / expirovaný / stránka v koši)
+ *   - ktoré stránky odkaz sprístupňuje (koreň + voliteľne podstránky;
+ *     súkromné stránky nikdy a podstránky s vlastnými oprávneniami tiež
+ *     nie — services/pageAccess.js)
+ *   - prístup s heslom: po správnom hesle dostane prehliadač podpísanú
+ *     cookie (HMAC nad ID odkazu a hashom hesla), takže zmena hesla alebo
+ *     zrušenie odkazu staré cookies zneplatní
+ *   - audit každého prístupu ('page.share_accessed', aj neúspešného)
+ */
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const Page = require('../models/Page');
+const PageShare = require('../models/PageShare');
+const auditService = require('./auditService');
+const { loadPageRules } = require('./pageAccess');
+const { logSecurityEvent } = require('./securityAudit');
+
+const TOKEN_BYTES = 32;
+const MAX_TREE_DEPTH = 50;
+const MIN_PASSWORD_LENGTH = 4;
+const MAX_PASSWORD_LENGTH = 200;
+const MAX_EXPIRY_DAYS = 365;
+const ACCESS_COOKIE_MAX_AGE_S = 12 * 60 * 60;
+
+const generateToken = () => crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+
+const isValidToken = (token) => typeof token === 'string' && /^[A-Za-z0-9_-]{20,64}$/.test(token);
+
+/**
+ * Zvaliduje vstup pre nový odkaz. Vracia { value } alebo { error }.
+ *   expiresAt — ISO dátum v budúcnosti (najviac MAX_EXPIRY_DAYS), null = bez
+ *   password  — voliteľné heslo
+ */
+function validateShareInput({ includeChildren, expiresAt, password }) {
+  const value = { includeChildren: includeChildren === true, expiresAt: null, password: null };
+
+  if (expiresAt !== undefined && expiresAt !== null && expiresAt !== '') {
+    const date = new Date(expiresAt);
+    if (Number.isNaN(date.getTime())) return { error: 'Neplatný dátum platnosti' };
+    if (date.getTime() <= Date.now()) return { error: 'Platnosť musí byť v budúcnosti' };
+    if (date.getTime() > Date.now() + MAX_EXPIRY_DAYS * 24 * 60 * 60 * 1000) {
+      return { error: `Platnosť môže byť najviac ${MAX_EXPIRY_DAYS} dní` };
+    }
+    value.expiresAt = date;
+  }
+
+  if (password !== undefined && password !== null && password !== '') {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+      return { error: `Heslo musí mať ${MIN_PASSWORD_LENGTH} až ${MAX_PASSWORD_LENGTH} znakov` };
+    }
+    value.password = password;
+  }
+
+  return { value };
+}
+
+async function createShare({ page, userId, includeChildren, expiresAt, password }) {
+  let passwordHash = null;
+  if (password) {
+    const salt = await bcrypt.genSalt(12);
+    passwordHash = await bcrypt.hash(password, salt);
+  }
+  return PageShare.create({
+    workspaceId: page.workspaceId,
+    pageId: page._id,
+    createdBy: userId,
+    token: generateToken(),
+    includeChildren,
+    expiresAt,
+    passwordHash
+  });
+}
+
+/**
+ * Odkaz podľa tokenu a jeho stav:
+ *   ok | not_found | revoked | expired | page_missing
+ * Vracia { share, page, status } (share / page môžu byť null).
+ */
+async function resolveShare(token) {
+  if (!isValidToken(token)) return { share: null, page: null, status: 'not_found' };
+  const share = await PageShare.findOne({ token });
+  if (!share) return { share: null, page: null, status: 'not_found' };
+  if (share.revokedAt) return { share, page: null, status: 'revoked' };
+  if (share.expiresAt && share.expiresAt.getTime() <= Date.now()) return { share, page: null, status: 'expired' };
+
+  const page = await Page.findOne({ _id: share.pageId, workspaceId: share.workspaceId, deletedAt: null });
+  if (!page) return { share, page: null, status: 'page_missing' };
+  // Stránka sa medzičasom stala súkromnou (sama alebo cez predka)
+  if ((await loadPageRules(page)).privateOwner) return { share, page: null, status: 'page_missing' };
+  return { share, page, status: 'ok' };
+}
+
+// Podstránka s vlastným obmedzením (súkromná / zoznam členov) do verejného
+// odkazu nadradenej stránky nepatrí — ani s celým svojím podstromom
+const isRestrictedPage = (page) => page.visibility === 'private' || (page.permissions && page.permissions.length > 0);
+
+/**
+ * Stránka `pageId` v rámci odkazu — koreň vždy, podstránka len pri
+ * `includeChildren` a len ak naozaj leží v podstrome koreňa (po reťazi
+ * rodičov, bez stránok v koši a bez obmedzených stránok).
+ */
+async function findSharedPage(share, rootPage, pageId) {
+  if (String(pageId) === rootPage._id.toString()) return rootPage;
+  if (!share.includeChildren || !/^[0-9a-fA-F]{24}$/.test(String(pageId))) return null;
+
+  const page = await Page.findOne({ _id: pageId, workspaceId: share.workspaceId, deletedAt: null });
+  if (!page || isRestrictedPage(page)) return null;
+
+  let parentId = page.parentId;
+  for (let depth = 0; parentId && depth < MAX_TREE_DEPTH; depth++) {
+    if (parentId.toString() === rootPage._id.toString()) return page;
+    const parent = await Page.findOne(
+      { _id: parentId, workspaceId: share.workspaceId, deletedAt: null },
+      { parentId: 1, visibility: 1, permissions: 1 }
+    ).lean();
+    if (!parent || isRestrictedPage(parent)) return null;
+    parentId = parent.parentId;
+  }
+  return null;
+}
+
+/**
+ * Reťaz od koreňa odkazu po `page` (pre drobčekovú navigáciu).
+ */
+async function sharedBreadcrumbs(rootPage, page) {
+  const chain = [];
+  let current = page;
+  for (let depth = 0; current && depth < MAX_TREE_DEPTH; depth++) {
+    chain.unshift({ id: current._id.toString(), title: current.title, icon: current.icon });
+    if (current._id.toString() === rootPage._id.toString()) break;
+    current = await Page.findOne({ _id: current.parentId, deletedAt: null }, { title: 1, icon: 1, parentId: 1 }).lean();
+  }
+  return chain;
+}
+
+const sharedChildren = (share, page) => {
+  if (!share.includeChildren) return [];
+  return Page.find({
+    parentId: page._id,
+    workspaceId: share.workspaceId,
+    deletedAt: null,
+    visibility: { $ne: 'private' },
+    'permissions.0': { $exists: false }
+  }, { title: 1, icon: 1 })
+    .sort({ order: 1, createdAt: 1 })
+    .lean();
+};
+
+// ─── Heslo ────────────────────────────────────────────────────────────────
+
+const accessCookieName = (share) => `page_share_${share._id}`;
+
+const accessCookieValue = (share) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(`${share._id}:${share.passwordHash}`)
+  .digest('base64url');
+
+const readCookie = (req, name) => {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    if (part.slice(0, index).trim() === name) return decodeURIComponent(part.slice(index + 1).trim());
+  }
+  return null;
+};
+
+const hasAccessCookie = (req, share) => {
+  if (!share.passwordHash) return true;
+  const value = readCookie(req, accessCookieName(share));
+  if (!value) return false;
+  const expected = accessCookieValue(share);
+  return value.length === expected.length && crypto.timingSafeEqual(Buffer.from(value), Buffer.from(expected));
+};
+
+const setAccessCookie = (res, share, path) => {
+  const parts = [
+    `${accessCookieName(share)}=${accessCookieValue(share)}`,
+    `Path=${path}`,
+    `Max-Age=${ACCESS_COOKIE_MAX_AGE_S}`,
+    'HttpOnly',
+    'SameSite=Lax'
+  ];
+  if (process.env.NODE_ENV === 'production') parts.push('Secure');
+  res.append('Set-Cookie', parts.join('; '));
+};
+
+const checkPassword = (share, password) =>
+  typeof password === 'string' && password.length <= MAX_PASSWORD_LENGTH && bcrypt.compare(password, share.passwordHash);
+
+// ─── Audit ────────────────────────────────────────────────────────────────
+
+/**
+ * Zapíše prístup cez odkaz do AuditLog (fire and forget) a pri úspechu
+ * zvýši počítadlo odkazu. `result`: ok | password_required |
+ * wrong_password | revoked | expired | page_missing | not_found.
+ * Token sa do logu nezapisuje — admin by z auditu vedel odkaz otvoriť.
+ * Neexistujúci token nepatrí žiadnej stránke; ide ako throttlovaný
+ * security event (hádanie tokenov by inak zaplavilo AuditLog).
+ */
+function logShareAccess(req, { share, pageId, result }) {
+  if (!share) {
+    logSecurityEvent('security.share_not_found', req, { result });
+    return;
+  }
+
+  auditService.logAction({
+    userId: null,
+    action: 'page.share_accessed',
+    category: 'page',
+    targetType: 'page',
+    targetId: pageId ? String(pageId) : share.pageId.toString(),
+    details: { shareId: share._id.toString(), rootPageId: share.pageId.toString(), result },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')?.slice(0, 300),
+    workspaceId: share.workspaceId
+  });
+
+  if (result === 'ok') {
+    PageShare.updateOne({ _id: share._id }, { $inc: { accessCount: 1 }, $set: { lastAccessedAt: new Date() } })
+      .catch(() => {}); // počítadlo nesmie zhodiť odpoveď
+  }
+}
+
+module.exports = {
+  MAX_EXPIRY_DAYS,
+  validateShareInput,
+  createShare,
+  resolveShare,
+  findSharedPage,
+  sharedBreadcrumbs,
+  sharedChildren,
+  hasAccessCookie,
+  setAccessCookie,
+  checkPassword,
+  logShareAccess
+};
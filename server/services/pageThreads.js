@@ -0,0 +1,117 @@
+/**
+ * pageThreads.js — diskusie v stránkach (models/PageThread.js).
+ *
+ * Vlákno je ukotvené v bloku, voliteľne v úseku jeho textu. Úsek je značka
+ * `comment` v `block.marks` — pridáva a odoberá ju routes/pages.js cez
+ * services/pageCollab.js ako každú inú zmenu blokov, takže ju editory
+ * ostatných dostanú bežným eventom 'block-updated'.
+ *
+ * Komentovať (založiť vlákno, odpovedať, reagovať, uzavrieť) smie člen s
+ * úrovňou aspoň 'comment' (services/pageAccess.js), čítať každý, kto
+ * stránku vidí. Notifikácie dostanú účastníci vlákna (kto v ňom písal), pri
+ * novom vlákne autor stránky — vždy len tí, ktorí stránku stále vidia.
+ */
+const notificationService = require('./notificationService');
+const { membersWithAccess } = require('./pageAccess');
+const logger = require('../utils/logger');
+
+const MAX_COMMENT_LENGTH = 5000;
+const MAX_COMMENTS_PER_THREAD = 200;
+const MAX_THREADS_PER_PAGE = 1000;
+const MAX_QUOTE_LENGTH = 300;
+const EXCERPT_LENGTH = 140;
+const REACTION_TYPES = ['like', 'dislike'];
+
+// Bloky, ktorých text sa v editore zobrazuje bez značiek (kód, bunky
+// tabuľky) alebo nemajú text — komentovať sa dajú len celé
+const WHOLE_BLOCK_TYPES = ['code', 'table', 'divider'];
+
+/**
+ * Zvaliduje text komentára. Vracia { value } alebo { error }.
+ */
+function validateCommentText(text) {
+  if (typeof text !== 'string' || !text.trim()) return { error: 'Komentár nemôže byť prázdny' };
+  if (text.length > MAX_COMMENT_LENGTH) {
+    return { error: `Komentár môže mať najviac ${MAX_COMMENT_LENGTH} znakov` };
+  }
+  return { value: text.trim() };
+}
+
+/**
+ * Zvaliduje ukotvenie nového vlákna v bloku. Bez `start`/`end` patrí vlákno
+ * celému bloku. Vracia { value: { hasRange, start, end } } alebo { error }.
+ */
+function validateAnchor(block, { start, end }) {
+  if (start === undefined && end === undefined) return { value: { hasRange: false } };
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || start >= end) {
+    return { error: 'Neplatný úsek textu' };
+  }
+  if (WHOLE_BLOCK_TYPES.includes(block.type)) return { error: 'V tomto bloku sa dá komentovať len celý blok' };
+  if (end > (block.content || '').length) return { error: 'Úsek je mimo textu bloku' };
+  return { value: { hasRange: true, start, end } };
+}
+
+const quoteOf = (text) => String(text || '').slice(0, MAX_QUOTE_LENGTH);
+
+const excerptOf = (text) => (text.length > EXCERPT_LENGTH ? `${text.substring(0, EXCERPT_LENGTH)}…` : text);
+
+// Značky bloku bez úseku vlákna
+const withoutThreadMark = (marks, threadId) =>
+  (marks || []).filter(m => m.type !== 'comment' || m.attrs.threadId !== String(threadId));
+
+// Kto vo vlákne písal (ID ako stringy)
+const participantIds = (thread) => [...new Set([
+  String(thread.createdBy),
+  ...thread.comments.map(c => String(c.userId))
+])];
+
+/**
+ * Notifikácia o dianí vo vlákne. Dostanú ju `userIds` okrem autora zmeny,
+ * ktorí stránku s pravidlami `rules` vidia. Chyby sa len logujú — zmena
+ * vlákna už prebehla.
+ */
+async function notifyThread({ page, rules, thread, actor, type, userIds, message, commentId = null }) {
+  try {
+    const actorId = String(actor.id);
+    const candidates = [...new Set(userIds.map(String))].filter(id => id !== actorId);
+    if (candidates.length === 0) return [];
+    const recipients = await membersWithAccess(page.workspaceId, rules, candidates);
+    if (recipients.length === 0) return [];
+
+    const actorName = actor.username || 'Niekto';
+    const pageTitle = page.title || 'Bez názvu';
+    return await notificationService.notifyUsers(recipients, {
+      type,
+      title: notificationService.getNotificationTitle(type, actorName, pageTitle),
+      message: excerptOf(message || ''),
+      workspaceId: page.workspaceId,
+      actorId: actor.id,
+      actorName,
+      relatedType: 'page',
+      relatedId: page._id.toString(),
+      relatedName: pageTitle,
+      data: {
+        pageId: page._id.toString(),
+        threadId: thread._id.toString(),
+        blockId: thread.blockId,
+        ...(commentId ? { commentId: String(commentId) } : {})
+      }
+    });
+  } catch (error) {
+    logger.error('[PageThreads] Failed to notify thread participants', { error: error.message, pageId: String(page._id) });
+    return [];
+  }
+}
+
+module.exports = {
+  MAX_COMMENT_LENGTH,
+  MAX_COMMENTS_PER_THREAD,
+  MAX_THREADS_PER_PAGE,
+  REACTION_TYPES,
+  validateCommentText,
+  validateAnchor,
+  quoteOf,
+  withoutThreadMark,
+  participantIds,
+  notifyThread
+};
@@ -0,0 +1,438 @@
+/**
+ * pageTransfer.js — export a import stránok (Markdown, HTML, PDF, ZIP).
+ *
+ * Export:
+ *   - jedna stránka ako .md / .html / .pdf súbor
+ *   - s podstránkami ako ZIP: každá stránka jeden súbor, podstránky a
+ *     obrázky v priečinku s menom stránky (Projekt.md + Projekt/…), ako
+ *     exportuje Notion. Podstránky, ktoré exportujúci nevidí, sa vynechajú
+ *     (`isVisible`, services/pageAccess.js).
+ *   - obrázky: v ZIP-e (md, html) ako súbory z R2, v PDF vložené (len PNG a
+ *     JPEG); samostatný .md / .html súbor ich nemá kam dať, ostane popis
+ *
+ * Import:
+ *   - .md súbor → jedna stránka, ZIP → strom stránok podľa priečinkov
+ *     (a/b.md je podstránka a.md; priečinok bez .md súboru sa stane prázdnou
+ *     stránkou). Bloky z Markdownu robí utils/pageMarkdown.js.
+ *   - nadpis stránky je úvodný `# nadpis` súboru, inak meno súboru
+ *     (bez Notion ID na konci)
+ *   - ZIP sa číta z pamäte (multer) a rozbaľuje len po MAX_IMPORT_BYTES —
+ *     údaj o veľkosti v ZIP-e sa neberie ako pravda (ZIP bomba)
+ *   - stránky vznikajú všetky alebo žiadna
+ */
+const yauzl = require('yauzl');
+const Page = require('../models/Page');
+const PageFile = require('../models/PageFile');
+const fileStorage = require('./fileStorage');
+const { pageBlocks } = require('./pageCopy');
+const { collectFileIds } = require('./pageFiles');
+const { nextSiblingOrder } = require('./pageTree');
+const { blocksToText, contentToBlocks } = require('../utils/pageBlocks');
+const { pageToMarkdown, markdownToBlocks } = require('../utils/pageMarkdown');
+const { escapeHtml, renderBlocks, renderDocument } = require('../utils/pageHtml');
+const { renderPagePdf } = require('../utils/pagePdf');
+const logger = require('../utils/logger');
+
+const EXPORT_FORMATS = {
+  md: { extension: 'md', mimetype: 'text/markdown; charset=utf-8' },
+  html: { extension: 'html', mimetype: 'text/html; charset=utf-8' },
+  pdf: { extension: 'pdf', mimetype: 'application/pdf' }
+};
+const IMPORT_EXTENSIONS = ['.md', '.markdown', '.txt'];
+
+const MAX_EXPORT_PAGES = 500;
+const MAX_PDF_IMAGE_BYTES = 50 * 1024 * 1024;
+const MAX_IMPORT_PAGES = 500;
+const MAX_IMPORT_ENTRIES = 2000;
+const MAX_IMPORT_BYTES = 20 * 1024 * 1024;
+const MAX_TREE_DEPTH = 50;
+const MAX_TITLE_LENGTH = 500;
+const PDF_IMAGE_TYPES = ['image/png', 'image/jpeg'];
+
+class PageTransferError extends Error {
+  constructor(code, message, statusCode = 400) {
+    super(message);
+    this.name = 'PageTransferError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/** Bezpečný názov súboru / priečinka (bez lomítok a riadiacich znakov). */
+const safeName = (value, fallback = 'Untitled') => {
+  const cleaned = String(value || '')
+    .replace(/[/\\:*?"<>|]/g, '-')
+    .replace(/[\x00-\x1f\x7f]/g, '')
+    .replace(/^\.+/, '')
+    .trim()
+    .slice(0, 120);
+  return cleaned || fallback;
+};
+
+// Meno unikátne v rámci priečinka (`used` = už použité cesty)
+const uniquePath = (dir, stem, extension, used) => {
+  const prefix = dir ? `${dir}/` : '';
+  let candidate = `${prefix}${stem}${extension}`;
+  for (let i = 2; used.has(candidate.toLowerCase()); i++) candidate = `${prefix}${stem} (${i})${extension}`;
+  used.add(candidate.toLowerCase());
+  return candidate;
+};
+
+/** Názov stiahnutého súboru pre stránku. */
+const exportFileName = (page, format) => `${safeName(page.title)}.${EXPORT_FORMATS[format].extension}`;
+
+/** Názov ZIP-u so stránkou a podstránkami. */
+const archiveFileName = (page) => `${safeName(page.title)}.zip`;
+
+// ─── Export ──────────────────────────────────────────────────────────────
+
+/**
+ * Stránka a (voliteľne) jej podstrom bez stránok v koši, v poradí od
+ * koreňa. Podstránky, ktoré `isVisible` odmietne, sa vynechajú aj s
+ * podstromom.
+ */
+async function collectExportPages({ page, workspaceId, subpages, isVisible = () => true }) {
+  const pages = [page];
+  if (!subpages) return pages;
+
+  let frontier = [page];
+  for (let depth = 0; depth < MAX_TREE_DEPTH && frontier.length > 0; depth++) {
+    frontier = await Page.find({
+      parentId: { $in: frontier.map(p => p._id) },
+      workspaceId,
+      deletedAt: null
+    }).sort({ order: 1, createdAt: 1 }).then(found => found.filter(isVisible));
+    pages.push(...frontier);
+    if (pages.length > MAX_EXPORT_PAGES) {
+      throw new PageTransferError('TOO_MANY_PAGES', `Naraz sa dá exportovať najviac ${MAX_EXPORT_PAGES} stránok`);
+    }
+  }
+  return pages;
+}
+
+// PageFile záznamy obrázkov v blokoch stránok, fileId → záznam
+async function loadImageFiles(pages, workspaceId) {
+  const fileIds = new Set();
+  for (const page of pages) collectFileIds(pageBlocks(page), fileIds);
+  if (fileIds.size === 0) return new Map();
+  const files = await PageFile.find({
+    workspaceId,
+    pageId: { $in: pages.map(p => p._id) },
+    fileId: { $in: [...fileIds] }
+  }).lean();
+  return new Map(files.map(file => [file.fileId, file]));
+}
+
+// Obrázky pre PDF (fileId → Buffer) — len PNG/JPEG a spolu do limitu
+async function loadPdfImages(imageFiles) {
+  const images = new Map();
+  if (!fileStorage.isR2Available()) return images;
+  let total = 0;
+  for (const file of imageFiles.values()) {
+    if (!PDF_IMAGE_TYPES.includes(file.mimetype) || total + file.size > MAX_PDF_IMAGE_BYTES) continue;
+    try {
+      images.set(file.fileId, await fileStorage.downloadFile(file.r2Key));
+      total += file.size;
+    } catch (error) {
+      logger.warn('[PageTransfer] Obrázok pre PDF sa nepodarilo stiahnuť', { fileId: file.fileId, error: error.message });
+    }
+  }
+  return images;
+}
+
+/**
+ * Obsah súboru jednej stránky.
+ *   imageSrc(fileId) → relatívna cesta k obrázku v ZIP-e (md, html)
+ *   images           — Map fileId → Buffer pre PDF
+ *   subpages         — [{ title, href }] odkazy na podstránky (html v ZIP-e)
+ */
+async function renderPageFile(page, format, { imageSrc = null, images = null, subpages = [] } = {}) {
+  const title = page.title || 'Untitled';
+  const blocks = pageBlocks(page);
+
+  if (format === 'md') {
+    return pageToMarkdown({ title, blocks }, {
+      imageSrc: imageSrc ? (block) => imageSrc(String(block.props.fileId)) : null
+    });
+  }
+  if (format === 'html') {
+    const icon = page.icon ? `<div class="page-icon">${escapeHtml(page.icon)}</div>` : '';
+    const nav = subpages.length > 0
+      ? `<nav class="subpages"><ul>${subpages.map(s =>
+        `<li><a href="${escapeHtml(encodeURI(s.href))}">${escapeHtml(s.title)}</a></li>`).join('')}</ul></nav>`
+      : '';
+    return renderDocument({
+      title,
+      body: `${icon}<h1 class="page-title">${escapeHtml(title)}</h1>\n${renderBlocks(blocks, { imageUrl: imageSrc })}${nav}`
+    });
+  }
+  return renderPagePdf({ title, blocks }, { images });
+}
+
+/**
+ * Export jednej stránky bez podstránok. Vracia { filename, mimetype, body }.
+ */
+async function exportPage({ page, format, workspaceId }) {
+  const images = format === 'pdf'
+    ? await loadPdfImages(await loadImageFiles([page], workspaceId))
+    : null;
+  return {
+    filename: exportFileName(page, format),
+    mimetype: EXPORT_FORMATS[format].mimetype,
+    body: await renderPageFile(page, format, { images })
+  };
+}
+
+/**
+ * Zapíše stránky (collectExportPages, koreň prvý) do ZIP archívu
+ * (archiver). Obrázky pre md / html streamuje z R2 rovno do archívu.
+ * Vracia počet vynechaných obrázkov.
+ */
+async function writeExportZip({ archive, pages, format, workspaceId }) {
+  const { extension } = EXPORT_FORMATS[format];
+  const imageFiles = await loadImageFiles(pages, workspaceId);
+  const storageReady = fileStorage.isR2Available();
+  const used = new Set();
+  const folders = new Map(); // pageId → priečinok podstránok a obrázkov
+  const files = new Map(); // pageId → cesta súboru stránky
+  let skippedImages = 0;
+
+  for (const page of pages) {
+    const parentDir = files.size === 0 ? '' : folders.get(String(page.parentId)) || '';
+    const stem = safeName(page.title);
+    const file = uniquePath(parentDir, stem, `.${extension}`, used);
+    files.set(String(page._id), file);
+    folders.set(String(page._id), file.slice(0, -(extension.length + 1)));
+  }
+
+  for (const page of pages) {
+    const folder = folders.get(String(page._id));
+    const folderName = folder.split('/').pop();
+    const pageImages = new Map(); // fileId → relatívna cesta
+
+    if (format !== 'pdf') {
+      for (const fileId of collectFileIds(pageBlocks(page))) {
+        const record = imageFiles.get(fileId);
+        if (!record || !storageReady || String(record.pageId) !== String(page._id)) {
+          skippedImages++;
+          continue;
+        }
+        try {
+          const target = uniquePath(folder, safeName(record.originalName, fileId), '', used);
+          archive.append(await fileStorage.getFileStream(record.r2Key), { name: target });
+          pageImages.set(fileId, `${folderName}/${target.slice(folder.length + 1)}`);
+        } catch (error) {
+          skippedImages++;
+          logger.warn('[PageTransfer] Obrázok sa nepodarilo pridať do ZIP', { fileId, error: error.message });
+        }
+      }
+    }
+
+    const subpages = pages
+      .filter(child => String(child.parentId) === String(page._id) && files.has(String(child._id)))
+      .map(child => ({
+        title: child.title || 'Untitled',
+        href: `${folderName}/${files.get(String(child._id)).slice(folder.length + 1)}`
+      }));
+    const pageFiles = format === 'pdf'
+      ? await loadPdfImages(new Map([...imageFiles].filter(([, f]) => String(f.pageId) === String(page._id))))
+      : null;
+
+    const body = await renderPageFile(page, format, {
+      imageSrc: format === 'pdf' ? null : (fileId) => pageImages.get(fileId) || null,
+      images: pageFiles,
+      subpages: format === 'html' ? subpages : []
+    });
+    archive.append(body, { name: files.get(String(page._id)) });
+  }
+
+  return skippedImages;
+}
+
+// ─── Import ──────────────────────────────────────────────────────────────
+
+const extensionOf = (name) => {
+  const match = /\.[^./]+$/.exec(name);
+  return match ? match[0].toLowerCase() : '';
+};
+
+// "Poznámky 1a2b…(32 hex)" → "Poznámky" (Notion pridáva ID k menám)
+const cleanTitle = (name) => name.replace(/\s+[0-9a-f]{32}$/i, '').trim();
+
+const decodeText = (buffer) => buffer.toString('utf8').replace(/^﻿/, '');
+
+/**
+ * Markdown súbory zo ZIP-u: [{ path, text }]. Ostatné súbory (obrázky,
+ * CSV…) a systémové súbory macOS sa preskočia.
+ */
+function readZipEntries(buffer) {
+  return new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, { lazyEntries: true, validateEntrySizes: true }, (openError, zip) => {
+      if (openError) return reject(new PageTransferError('INVALID_FILE', 'Súbor nie je platný ZIP'));
+
+      const files = [];
+      let entries = 0;
+      let totalBytes = 0;
+      let failed = false;
+      const fail = (error) => {
+        if (failed) return;
+        failed = true;
+        zip.close();
+        reject(error);
+      };
+
+      zip.on('error', () => fail(new PageTransferError('INVALID_FILE', 'Súbor nie je platný ZIP')));
+      zip.on('end', () => resolve(files));
+      zip.on('entry', (entry) => {
+        if (++entries > MAX_IMPORT_ENTRIES) {
+          return fail(new PageTransferError('IMPORT_TOO_LARGE', `ZIP môže mať najviac ${MAX_IMPORT_ENTRIES} súborov`));
+        }
+        const path = entry.fileName.replace(/\\/g, '/');
+        const skip = path.endsWith('/')
+          || !IMPORT_EXTENSIONS.includes(extensionOf(path))
+          || path.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+        if (skip) return zip.readEntry();
+
+        zip.openReadStream(entry, (streamError, stream) => {
+          if (streamError) return fail(new PageTransferError('INVALID_FILE', 'Súbor nie je platný ZIP'));
+          const chunks = [];
+          stream.on('data', (chunk) => {
+            totalBytes += chunk.length;
+            if (totalBytes > MAX_IMPORT_BYTES) {
+              stream.destroy();
+              fail(new PageTransferError(
+                'IMPORT_TOO_LARGE',
+                `Rozbalený obsah môže mať najviac ${Math.round(MAX_IMPORT_BYTES / (1024 * 1024))} MB`
+              ));
+              return;
+            }
+            chunks.push(chunk);
+          });
+          stream.on('error', () => fail(new PageTransferError('INVALID_FILE', 'Súbor nie je platný ZIP')));
+          stream.on('end', () => {
+            if (failed) return;
+            files.push({ path, text: decodeText(Buffer.concat(chunks)) });
+            zip.readEntry();
+          });
+        });
+      });
+      zip.readEntry();
+    });
+  });
+}
+
+/**
+ * Uzly stromu stránok z ciest súborov: [{ key, parentKey, title, text }]
+ * v poradí od koreňov (rodič je vždy pred dieťaťom).
+ */
+function buildImportTree(files) {
+  const nodes = new Map();
+  const ensureNode = (key) => {
+    if (nodes.has(key)) return nodes.get(key);
+    const slash = key.lastIndexOf('/');
+    const parentKey = slash === -1 ? null : key.slice(0, slash);
+    const node = { key, parentKey, title: cleanTitle(key.slice(slash + 1)), text: null };
+    nodes.set(key, node);
+    if (parentKey) ensureNode(parentKey);
+    return node;
+  };
+
+  for (const file of files) {
+    const parts = file.path.split('/').filter(part => part && part !== '.' && part !== '..');
+    if (parts.length === 0 || parts.length > MAX_TREE_DEPTH) continue;
+    const key = parts.join('/').replace(/\.[^./]+$/, '');
+    const node = ensureNode(key);
+    node.text = node.text === null ? file.text : `${node.text}\n\n${file.text}`;
+  }
+
+  const depth = (key) => key.split('/').length;
+  return [...nodes.values()].sort((a, b) =>
+    depth(a.key) - depth(b.key) || a.key.localeCompare(b.key, 'sk', { numeric: true }));
+}
+
+// Bloky a nadpis stránky z Markdownu — úvodný # nadpis je nadpis stránky
+const parseImportedPage = (node) => {
+  const { blocks, truncated } = markdownToBlocks(node.text || '');
+  let title = node.title;
+  if (blocks.length > 0 && blocks[0].type === 'heading1' && blocks[0].content.trim()) {
+    title = blocks.shift().content.trim();
+  }
+  return {
+    title: (title || 'Untitled').replace(/\s+/g, ' ').substring(0, MAX_TITLE_LENGTH),
+    blocks: blocks.length > 0 ? blocks : contentToBlocks(''),
+    truncated
+  };
+};
+
+/**
+ * Naimportuje nahraný súbor (multer: { originalname, buffer }) ako stránky
+ * pod `parentId` (null = najvyššia úroveň; rodiča overuje route).
+ * Vracia { root, pages, truncated } — `truncated` ak niektorá stránka
+ * presiahla limit blokov.
+ */
+async function importPages({ file, workspaceId, userId, parentId = null }) {
+  const extension = extensionOf(file.originalname || '');
+  let files;
+  if (extension === '.zip') {
+    files = await readZipEntries(file.buffer);
+  } else if (IMPORT_EXTENSIONS.includes(extension)) {
+    files = [{ path: safeName(file.originalname, 'Import.md'), text: decodeText(file.buffer) }];
+  } else {
+    throw new PageTransferError('INVALID_FILE', 'Importovať sa dá Markdown (.md) alebo ZIP s Markdown súbormi');
+  }
+
+  const nodes = buildImportTree(files);
+  if (nodes.length === 0) {
+    throw new PageTransferError('INVALID_FILE', 'Súbor neobsahuje žiadne Markdown stránky');
+  }
+  if (nodes.length > MAX_IMPORT_PAGES) {
+    throw new PageTransferError('TOO_MANY_PAGES', `Naraz sa dá importovať najviac ${MAX_IMPORT_PAGES} stránok`);
+  }
+
+  const idMap = new Map(); // key → ID novej stránky
+  // Poradie súrodencov podľa poradia v importe; koreňové stránky idú na
+  // koniec existujúcich pod `parentId`
+  const nextOrder = new Map([[null, await nextSiblingOrder(workspaceId, parentId)]]);
+  const created = [];
+  let truncated = false;
+  try {
+    for (const node of nodes) {
+      const parsed = parseImportedPage(node);
+      truncated = truncated || parsed.truncated;
+      const siblingsKey = node.parentKey || null;
+      const order = nextOrder.get(siblingsKey) || 0;
+      nextOrder.set(siblingsKey, order + 1);
+      const page = new Page({
+        workspaceId,
+        userId,
+        title: parsed.title,
+        parentId: node.parentKey ? idMap.get(node.parentKey) : parentId,
+        order
+      });
+      page.blocks = parsed.blocks;
+      page.content = blocksToText(parsed.blocks);
+      await page.save();
+      idMap.set(node.key, page._id);
+      created.push(page);
+    }
+  } catch (error) {
+    await Page.deleteMany({ _id: { $in: created.map(p => p._id) } });
+    throw error;
+  }
+
+  // Koreň importu — pri ZIP-e s viacerými koreňmi prvý z nich
+  return { root: created[0], pages: created, truncated };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  MAX_EXPORT_PAGES,
+  MAX_IMPORT_PAGES,
+  MAX_IMPORT_BYTES,
+  PageTransferError,
+  collectExportPages,
+  exportPage,
+  archiveFileName,
+  writeExportZip,
+  importPages
+};
@@ -0,0 +1,107 @@
+const Page = require('../models/Page');
+const PageOperation = require('../models/PageOperation');
+const PageVersion = require('../models/PageVersion');
+const PageThread = require('../models/PageThread');
+const PageRow = require('../models/PageRow');
+const PageQuickAccess = require('../models/PageQuickAccess');
+const PageShare = require('../models/PageShare');
+const { releasePageFiles } = require('./pageFiles');
+const logger = require('../utils/logger');
+
+/**
+ * Page Trash Service
+ * Permanently removes pages that have been in the trash longer than the
+ * retention period (soft delete lives in routes/pages.js)
+ */
+
+// Configuration
+const PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000; // Run once per day
+const TRASH_RETENTION_DAYS = 30; // Keep deleted pages restorable for 30 days
+const PURGE_BATCH_SIZE = 500;
+
+/**
+ * When a page deleted at `deletedAt` gets purged
+ * @param {Date} deletedAt
+ * @returns {Date}
+ */
+const getPurgeDate = (deletedAt) =>
+  new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Purge pages (with their operation log, versions, comment threads,
+ * database rows, public links, images and favorite / recent entries) whose
+ * trash retention has expired
+ * @returns {Object} Result with counts
+ */
+const purgeExpiredPages = async () => {
+  try {
+    const thresholdDate = new Date();
+    thresholdDate.setDate(thresholdDate.getDate() - TRASH_RETENTION_DAYS);
+
+    let deleted = 0;
+    // Batches keep the $in lists bounded when a large trash expires at once
+    for (;;) {
+      const expired = await Page.find({ deletedAt: { $ne: null, $lt: thresholdDate } }, { _id: 1 })
+        .limit(PURGE_BATCH_SIZE)
+        .lean();
+      if (expired.length === 0) break;
+
+      const ids = expired.map(p => p._id);
+      await PageOperation.deleteMany({ pageId: { $in: ids } });
+      await PageVersion.deleteMany({ pageId: { $in: ids } });
+      await PageThread.deleteMany({ pageId: { $in: ids } });
+      await PageRow.deleteMany({ pageId: { $in: ids } });
+      await PageShare.deleteMany({ pageId: { $in: ids } });
+      await PageQuickAccess.updateMany(
+        { $or: [{ 'favorites.pageId': { $in: ids } }, { 'recent.pageId': { $in: ids } }] },
+        { $pull: { favorites: { pageId: { $in: ids } }, recent: { pageId: { $in: ids } } } }
+      );
+      // Blobs shared with copies of the page stay until the last copy goes
+      await releasePageFiles({ pageId: { $in: ids } });
+      const result = await Page.deleteMany({ _id: { $in: ids } });
+      deleted += result.deletedCount;
+      if (expired.length < PURGE_BATCH_SIZE) break;
+    }
+
+    if (deleted > 0) {
+      logger.info('[PageTrash] Purge completed', {
+        deleted,
+        retentionDays: TRASH_RETENTION_DAYS
+      });
+    }
+
+    return { deleted };
+  } catch (error) {
+    logger.error('[PageTrash] Error during purge', {
+      error: error.message
+    });
+    return { deleted: 0, error: error.message };
+  }
+};
+
+/**
+ * Schedule periodic purge
+ * Should be called once when the server starts
+ */
+const schedulePurge = () => {
+  // Run initial purge after 1 minute (to let DB connect)
+  setTimeout(async () => {
+    await purgeExpiredPages();
+  }, 60 * 1000);
+
+  // Then run periodically
+  setInterval(async () => {
+    await purgeExpiredPages();
+  }, PURGE_INTERVAL_MS);
+
+  logger.info('[PageTrash] Scheduled to run every 24 hours', {
+    retentionDays: TRASH_RETENTION_DAYS
+  });
+};
+
+module.exports = {
+  purgeExpiredPages,
+  getPurgeDate,
+  schedulePurge,
+  TRASH_RETENTION_DAYS
+};
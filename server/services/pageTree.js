@@ -0,0 +1,208 @@
+/**
+ * pageTree.js — poradie stránok v strome a ich presuny.
+ *
+ * Súrodenci (stránky s rovnakým `parentId`) sú zoradení podľa `Page.order`,
+ * pri zhode podľa `createdAt` — stránky spred zavedenia poradia majú všetky
+ * order 0 a ostanú v poradí, v akom vznikli. Nová stránka ide na koniec
+ * súrodencov (`nextSiblingOrder`).
+ *
+ * `movePages` zapíše naraz viac presunov ({ id, parentId, order }) — tak
+ * ich posiela ťahanie v strome, ktoré prečísluje celý zoznam súrodencov.
+ * Presúvať smie len ten, kto má na stránku úroveň 'edit', a pod nového
+ * rodiča len ten, kto smie upravovať aj jeho (services/pageAccess.js).
+ * Presun, po ktorom by stránka bola sama sebe predkom, sa odmietne celý.
+ * Poradie nie je úprava obsahu — `updatedAt` sa pri presune nemení.
+ *
+ * Cyklus vzniká naprieč stránkami (A pod B, súbežne B pod A), takže ho
+ * kontrola pred zápisom sama nezachytí. Presuny jedného workspace (movePages
+ * aj movePage) preto idú po sebe a po zápise sa strom skontroluje znova —
+ * súbežný presun z inej inštancie servera tak zápis vráti späť.
+ */
+const Page = require('../models/Page');
+const { hasLevel, levelFor, loadWorkspaceRules } = require('./pageAccess');
+const { createExclusiveQueue } = require('../utils/exclusiveQueue');
+
+const MAX_MOVES = 500;
+const MAX_TREE_DEPTH = 1000;
+const OBJECT_ID_RE = /^[a-f0-9]{24}$/i;
+
+// Presuny stránok jedného workspace idú po sebe (kľúč = workspaceId)
+const runExclusive = createExclusiveQueue();
+
+class PageTreeError extends Error {
+  constructor(code, message, statusCode = 400) {
+    super(message);
+    this.name = 'PageTreeError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Poradie pre novú stránku na konci súrodencov pod `parentId`.
+ */
+async function nextSiblingOrder(workspaceId, parentId) {
+  const last = await Page.findOne({ workspaceId, parentId: parentId || null, deletedAt: null }, 'order')
+    .sort({ order: -1 })
+    .lean();
+  return last ? (last.order || 0) + 1 : 0;
+}
+
+/**
+ * Zvaliduje zoznam presunov od klienta. Vracia { value } alebo { error }.
+ */
+function validateMovesInput(moves) {
+  if (!Array.isArray(moves) || moves.length === 0) return { error: 'Zoznam presunov je prázdny' };
+  if (moves.length > MAX_MOVES) return { error: `Naraz sa dá presunúť najviac ${MAX_MOVES} stránok` };
+
+  const seen = new Set();
+  const value = [];
+  for (const move of moves) {
+    const id = String(move?.id || '');
+    const parentId = move?.parentId ? String(move.parentId) : null;
+    if (!OBJECT_ID_RE.test(id) || (parentId && !OBJECT_ID_RE.test(parentId))) {
+      return { error: 'Neplatné ID stránky' };
+    }
+    if (!Number.isInteger(move.order) || move.order < 0) return { error: 'Neplatné poradie stránky' };
+    if (seen.has(id)) return { error: 'Stránka je v zozname presunov viackrát' };
+    seen.add(id);
+    value.push({ id, parentId, order: move.order });
+  }
+  return { value };
+}
+
+const cycleError = () =>
+  new PageTreeError('PAGE_CYCLE', 'Stránku nemožno presunúť pod jej vlastnú podstránku');
+
+const loadParents = async (workspaceId) => {
+  const pages = await Page.find({ workspaceId, deletedAt: null }, '_id parentId order').lean();
+  return {
+    pages: new Map(pages.map(p => [p._id.toString(), p])),
+    parentOf: new Map(pages.map(p => [p._id.toString(), p.parentId ? p.parentId.toString() : null]))
+  };
+};
+
+// Je niektorá zo stránok `ids` v strome `parentOf` sama sebe predkom?
+const hasCycle = (parentOf, ids) => ids.some((id) => {
+  let cursor = parentOf.get(id);
+  for (let depth = 0; cursor; depth++) {
+    if (cursor === id || depth > parentOf.size) return true;
+    cursor = parentOf.get(cursor);
+  }
+  return false;
+});
+
+/**
+ * Zapíše presuny `moves` (výstup validateMovesInput) stránok workspace.
+ * `member` je volajúci ({ userId, isAdmin }). Vracia
+ *   { moves, reparentedIds } — reparentedIds = stránky s novým rodičom
+ * Chyby hádže ako PageTreeError.
+ */
+async function movePages({ workspaceId, member, moves }) {
+  return runExclusive(workspaceId, () => writeMoves({ workspaceId, member, moves }));
+}
+
+async function writeMoves({ workspaceId, member, moves }) {
+  const [{ pages, parentOf }, rules] = await Promise.all([
+    loadParents(workspaceId),
+    loadWorkspaceRules(workspaceId)
+  ]);
+  const canEdit = (id) => hasLevel(levelFor(rules.get(id), member), 'edit');
+  const canSee = (id) => levelFor(rules.get(id), member) !== 'none';
+
+  const reparentedIds = [];
+  for (const move of moves) {
+    if (!parentOf.has(move.id) || !canSee(move.id)) {
+      throw new PageTreeError('PAGE_NOT_FOUND', 'Stránka nenájdená', 404);
+    }
+    if (!canEdit(move.id)) {
+      throw new PageTreeError('PAGE_FORBIDDEN', 'Na túto akciu nemáte oprávnenie', 403);
+    }
+    if (move.parentId === parentOf.get(move.id)) continue;
+    if (move.parentId) {
+      if (!parentOf.has(move.parentId) || !canSee(move.parentId)) {
+        throw new PageTreeError('PARENT_NOT_FOUND', 'Rodičovská stránka nenájdená', 404);
+      }
+      if (!canEdit(move.parentId)) {
+        throw new PageTreeError('PAGE_FORBIDDEN', 'Do tejto stránky nemôžete pridávať podstránky', 403);
+      }
+    }
+    reparentedIds.push(move.id);
+  }
+
+  // Strom po všetkých presunoch — od každej presunutej stránky hore ku
+  // koreňu sa nesmie prísť späť k nej
+  for (const move of moves) parentOf.set(move.id, move.parentId);
+  if (hasCycle(parentOf, moves.map(move => move.id))) throw cycleError();
+
+  await Page.bulkWrite(moves.map(move => ({
+    updateOne: {
+      filter: { _id: move.id, workspaceId, deletedAt: null },
+      update: { $set: { parentId: move.parentId, order: move.order } },
+      timestamps: false
+    }
+  })));
+
+  // Iná inštancia mohla medzitým presunúť stránku, s ktorou tieto tvoria
+  // cyklus — vrátia sa len presuny, ktoré odvtedy nikto neprepísal
+  const current = await loadParents(workspaceId);
+  if (hasCycle(current.parentOf, reparentedIds)) {
+    await Page.bulkWrite(moves.map(move => ({
+      updateOne: {
+        filter: { _id: move.id, workspaceId, parentId: move.parentId, order: move.order },
+        update: { $set: { parentId: pages.get(move.id).parentId || null, order: pages.get(move.id).order || 0 } },
+        timestamps: false
+      }
+    })));
+    throw cycleError();
+  }
+
+  return { moves, reparentedIds };
+}
+
+/**
+ * Presun jednej stránky pod `parentId` (null = najvyššia úroveň) cez
+ * PUT /api/pages/:id. `write` uloží stránku aj s novým rodičom; beží
+ * v poradí s ostatnými presunmi workspace. Po zápise sa cyklus overí znova
+ * a pri súbežnom opačnom presune sa vráti rodič aj poradie z `previous`
+ * ({ parentId, order }). Vracia výsledok `write`.
+ */
+async function movePage({ workspaceId, pageId, parentId, previous, write }) {
+  return runExclusive(workspaceId, async () => {
+    if (parentId && await isInSubtree(workspaceId, pageId, parentId)) throw cycleError();
+    const result = await write();
+    if (parentId && await isInSubtree(workspaceId, pageId, parentId)) {
+      await Page.updateOne(
+        { _id: pageId, workspaceId, parentId },
+        { $set: { parentId: previous.parentId || null, order: previous.order || 0 } },
+        { timestamps: false }
+      );
+      throw cycleError();
+    }
+    return result;
+  });
+}
+
+/**
+ * Leží `pageId` v podstrome stránky `rootId` (vrátane nej samej)? Kontrola
+ * cyklu pri presune jednej stránky cez PUT /api/pages/:id.
+ */
+async function isInSubtree(workspaceId, rootId, pageId) {
+  let cursor = pageId ? String(pageId) : null;
+  for (let depth = 0; cursor && depth < MAX_TREE_DEPTH; depth++) {
+    if (cursor === String(rootId)) return true;
+    const page = await Page.findOne({ _id: cursor, workspaceId }, 'parentId').lean();
+    cursor = page && page.parentId ? page.parentId.toString() : null;
+  }
+  return false;
+}
+
+module.exports = {
+  MAX_MOVES,
+  PageTreeError,
+  nextSiblingOrder,
+  validateMovesInput,
+  movePages,
+  movePage,
+  isInSubtree
+};
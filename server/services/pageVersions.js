@@ -0,0 +1,149 @@
+/**
+ * pageVersions.js — automatická história verzií stránok.
+ *
+ * Volá sa po každej zapísanej zmene stránky (services/pageCollab.js pre
+ * bloky, routes/pages.js pre title/icon). Jedna verzia = jedna editačná
+ * session jedného autora:
+ *   - prvá úprava stránky, ktorá ešte nemá históriu, uloží aj pôvodný stav
+ *     (reason 'initial'), aby sa dalo vrátiť pred ňu
+ *   - kým ten istý user upravuje a od jeho poslednej verzie neprešlo
+ *     SESSION_WINDOW_MS, jeho posledná verzia sa prepisuje aktuálnym stavom
+ *   - iný autor / dlhšia pauza / obnovenie verzie → nová verzia
+ *
+ * Pri písaní chodí zmena každých pár stoviek ms, takže do DB zapisujeme
+ * najviac raz za WRITE_THROTTLE_MS na (stránka, user). Zmeny v tom okne
+ * dobehne odložený zápis, aby verzia skončila s finálnym stavom session.
+ *
+ * Chyby sa len logujú — história nesmie zablokovať samotnú úpravu.
+ */
+const Page = require('../models/Page');
+const PageVersion = require('../models/PageVersion');
+const logger = require('../utils/logger');
+
+const SESSION_WINDOW_MS = 10 * 60 * 1000;
+const WRITE_THROTTLE_MS = 30 * 1000;
+const MAX_VERSIONS_PER_PAGE = 200;
+
+const lastWrites = new Map(); // `${pageId}:${userId}` -> timestamp posledného zápisu
+const trailingWrites = new Map(); // `${pageId}:${userId}` -> timeout
+
+const toPlain = (page) => (typeof page.toObject === 'function' ? page.toObject() : page);
+
+const snapshotOf = (page) => {
+  const plain = toPlain(page);
+  return {
+    title: plain.title || '',
+    icon: plain.icon || null,
+    blocks: plain.blocks || [],
+    content: plain.content || '',
+    revision: plain.revision || 0
+  };
+};
+
+async function pruneVersions(pageId) {
+  const stale = await PageVersion.find({ pageId }, '_id')
+    .sort({ createdAt: -1 })
+    .skip(MAX_VERSIONS_PER_PAGE)
+    .lean();
+  if (stale.length > 0) {
+    await PageVersion.deleteMany({ _id: { $in: stale.map(v => v._id) } });
+  }
+}
+
+async function writeVersion({ before, after, userId, reason = 'edit', restoredFrom = null }) {
+  const plainAfter = toPlain(after);
+  const pageId = plainAfter._id;
+  const latest = await PageVersion.findOne({ pageId }).sort({ createdAt: -1 });
+
+  if (!latest && before) {
+    const plainBefore = toPlain(before);
+    await PageVersion.create({
+      pageId,
+      workspaceId: plainBefore.workspaceId,
+      createdBy: plainBefore.userId || null,
+      reason: 'initial',
+      ...snapshotOf(plainBefore),
+      createdAt: plainBefore.updatedAt || plainBefore.createdAt || new Date()
+    });
+  }
+
+  const sameSession = reason === 'edit' &&
+    latest && latest.reason === 'edit' &&
+    String(latest.createdBy) === String(userId) &&
+    Date.now() - latest.updatedAt.getTime() < SESSION_WINDOW_MS;
+
+  if (sameSession) {
+    Object.assign(latest, snapshotOf(plainAfter));
+    latest.markModified('blocks');
+    await latest.save();
+    return latest;
+  }
+
+  const version = await PageVersion.create({
+    pageId,
+    workspaceId: plainAfter.workspaceId,
+    createdBy: userId || null,
+    reason,
+    restoredFrom,
+    ...snapshotOf(plainAfter)
+  });
+  await pruneVersions(pageId);
+  return version;
+}
+
+function scheduleTrailingWrite(key, pageId, userId, delay) {
+  if (trailingWrites.has(key)) return;
+  const timer = setTimeout(async () => {
+    trailingWrites.delete(key);
+    lastWrites.set(key, Date.now());
+    try {
+      const page = await Page.findById(pageId).lean();
+      if (page) await writeVersion({ after: page, userId });
+    } catch (err) {
+      logger.error('[PageVersions] Deferred version write failed', { error: err.message, pageId: String(pageId) });
+    }
+  }, delay);
+  if (timer.unref) timer.unref();
+  trailingWrites.set(key, timer);
+}
+
+// true = najbližší recordVersion pre túto dvojicu sa len odloží, takže
+// volajúci si nemusí odkladať stav pred zmenou (`before`).
+function isThrottled(pageId, userId) {
+  const last = lastWrites.get(`${pageId}:${userId}`);
+  return Boolean(last) && Date.now() - last < WRITE_THROTTLE_MS;
+}
+
+/**
+ * Zaznamená zmenu stránky do histórie. `before` je stav pred zmenou (lean
+ * alebo dokument), `after` po nej. `reason: 'restore'` sa zapisuje vždy
+ * hneď a vždy ako samostatná verzia.
+ */
+async function recordVersion({ before, after, userId, reason = 'edit', restoredFrom = null }) {
+  try {
+    const pageId = toPlain(after)._id;
+    const key = `${pageId}:${userId}`;
+    const now = Date.now();
+
+    if (reason === 'edit' && isThrottled(pageId, userId)) {
+      scheduleTrailingWrite(key, pageId, userId, WRITE_THROTTLE_MS - (now - lastWrites.get(key)));
+      return null;
+    }
+    lastWrites.set(key, now);
+
+    // Mapa rastie s každou dvojicou (stránka, user) — staré záznamy už nič
+    // neobmedzujú, tak ich občas vyčistíme.
+    if (lastWrites.size > 5000) {
+      for (const [k, at] of lastWrites) {
+        if (now - at > WRITE_THROTTLE_MS) lastWrites.delete(k);
+      }
+    }
+
+    return await writeVersion({ before, after, userId, reason, restoredFrom });
+  } catch (err) {
+    logger.error('[PageVersions] Failed to record version', { error: err.message });
+    return null;
+  }
+}
+
+module.exports = { recordVersion, isThrottled };
@@ -0,0 +1,155 @@
+/**
+ * searchService.js — fulltextové vyhľadávanie vo workspace (Cmd+K paleta,
+ * GET /api/search).
+ *
+ * Každá kolekcia má jeden MongoDB text index (models/*.js):
+ *   page     — title, content (plain-text verzia blokov)
+ *   contact  — name, company, email, notes
+ *   task     — title, description, subtasks.title, subtasks.notes
+ *   message  — subject, description, comments.text
+ *
+ * Dopyty bežia paralelne, každý vráti najlepších `limit` dokumentov podľa
+ * textScore a výsledky sa zlúčia do jedného poradia. Skóre rôznych kolekcií
+ * nie sú presne porovnateľné (iné váhy polí), ale nadpis s vyššou váhou
+ * vyhrá všade, čo na poradie v palete stačí.
+ *
+ * Prístup:
+ *   - všetko je obmedzené na workspace
+ *   - stránky v koši sa nehľadajú, ostatné len tie, ktoré používateľ vidí
+ *     (súkromné a obmedzené stránky — services/pageAccess.js)
+ *   - správy sú súkromné — len tie, kde je používateľ odosielateľ alebo
+ *     príjemca (rovnako ako GET /api/messages)
+ */
+const Page = require('../models/Page');
+const Contact = require('../models/Contact');
+const Task = require('../models/Task');
+const Message = require('../models/Message');
+const { parseTerms, buildSnippet, hasMatch } = require('../utils/searchSnippet');
+const { visiblePageIds } = require('./pageAccess');
+
+const SEARCH_TYPES = ['page', 'contact', 'task', 'message'];
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+const scoreProjection = { score: { $meta: 'textScore' } };
+
+const textQuery = (filter, query) => ({ ...filter, $text: { $search: query } });
+
+// Prvé pole, v ktorom je zhoda, dá úryvok; bez zhody prvé neprázdne
+const pickSnippet = (candidates, terms) => {
+  const texts = candidates.filter(Boolean);
+  const matching = texts.find(text => hasMatch(text, terms));
+  return buildSnippet(matching || texts[0] || '', terms);
+};
+
+const subtaskTexts = (subtasks) => (subtasks || []).flatMap(s => [s.title, s.notes]);
+
+const SEARCHERS = {
+  page: async ({ workspaceId, userId, isAdmin, query, limit, terms }) => {
+    const visibleIds = await visiblePageIds(workspaceId, { userId, isAdmin });
+    const pages = await Page.find(
+      textQuery({ workspaceId, deletedAt: null, _id: { $in: visibleIds } }, query),
+      { ...scoreProjection, title: 1, content: 1, icon: 1, updatedAt: 1 }
+    ).sort(scoreProjection).limit(limit).lean();
+
+    return pages.map(page => ({
+      type: 'page',
+      id: page._id.toString(),
+      title: page.title || 'Bez názvu',
+      subtitle: page.icon || '',
+      snippet: pickSnippet([page.content], terms),
+      score: page.score,
+      url: `/app?page=${page._id}`,
+      updatedAt: page.updatedAt
+    }));
+  },
+
+  contact: async ({ workspaceId, query, limit, terms }) => {
+    const contacts = await Contact.find(
+      textQuery({ workspaceId }, query),
+      { ...scoreProjection, name: 1, company: 1, email: 1, notes: 1, updatedAt: 1 }
+    ).sort(scoreProjection).limit(limit).lean();
+
+    return contacts.map(contact => ({
+      type: 'contact',
+      id: contact._id.toString(),
+      title: contact.name || 'Bez mena',
+      subtitle: [contact.company, contact.email].filter(Boolean).join(' · '),
+      snippet: pickSnippet([contact.notes, contact.company, contact.email], terms),
+      score: contact.score,
+      url: `/crm?expandContact=${contact._id}`,
+      updatedAt: contact.updatedAt
+    }));
+  },
+
+  task: async ({ workspaceId, query, limit, terms }) => {
+    const tasks = await Task.find(
+      textQuery({ workspaceId }, query),
+      { ...scoreProjection, title: 1, description: 1, completed: 1, 'subtasks.title': 1, 'subtasks.notes': 1, updatedAt: 1 }
+    ).sort(scoreProjection).limit(limit).lean();
+
+    return tasks.map(task => ({
+      type: 'task',
+      id: task._id.toString(),
+      title: task.title,
+      subtitle: task.completed ? 'Dokončený projekt' : 'Projekt',
+      snippet: pickSnippet([task.description, ...subtaskTexts(task.subtasks)], terms),
+      score: task.score,
+      url: `/tasks?highlightTask=${task._id}`,
+      updatedAt: task.updatedAt
+    }));
+  },
+
+  message: async ({ workspaceId, userId, query, limit, terms }) => {
+    const messages = await Message.find(
+      textQuery({ workspaceId, $or: [{ fromUserId: userId }, { toUserId: userId }] }, query),
+      { ...scoreProjection, subject: 1, description: 1, fromUsername: 1, toUsername: 1, 'comments.text': 1, createdAt: 1 }
+    ).sort(scoreProjection).limit(limit).lean();
+
+    return messages.map(message => ({
+      type: 'message',
+      id: message._id.toString(),
+      title: message.subject,
+      subtitle: [message.fromUsername, message.toUsername].filter(Boolean).join(' → '),
+      snippet: pickSnippet([message.description, ...(message.comments || []).map(c => c.text)], terms),
+      score: message.score,
+      url: `/messages?highlight=${message._id}`,
+      updatedAt: message.createdAt
+    }));
+  }
+};
+
+/**
+ * Vyhľadá `query` v zvolených typoch (`types`, predvolene všetky). Vracia
+ *   [{ type, id, title, subtitle, snippet, score, url, updatedAt }]
+ * zoradené podľa skóre, najviac `limit` položiek. `isAdmin` — správca
+ * workspace (vidí aj stránky obmedzené na vybraných členov).
+ */
+async function searchWorkspace({ workspaceId, userId, isAdmin = false, query, types = SEARCH_TYPES, limit = DEFAULT_LIMIT }) {
+  const search = String(query || '').trim().slice(0, MAX_QUERY_LENGTH);
+  const terms = parseTerms(search);
+  if (terms.length === 0) return [];
+
+  const selected = SEARCH_TYPES.filter(type => types.includes(type));
+  const perType = Math.min(Math.max(limit, 1), MAX_LIMIT);
+
+  const groups = await Promise.all(selected.map(type =>
+    SEARCHERS[type]({ workspaceId, userId, isAdmin, query: search, limit: perType, terms })
+  ));
+
+  return groups
+    .flat()
+    .sort((a, b) => b.score - a.score || new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0))
+    .slice(0, perType);
+}
+
+module.exports = {
+  SEARCH_TYPES,
+  MIN_QUERY_LENGTH,
+  MAX_QUERY_LENGTH,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  searchWorkspace
+};
@@ -0,0 +1,173 @@
+/**
+ * taskBoard.js — Kanban nástenka projektov: stavy workspace a presun karty.
+ *
+ * Stavy a ich validácia sú v utils/taskStatuses.js. Presun (moveTask) zmení
+ * stav projektu — globálneho (Task) aj projektu v kontakte (Contact.tasks[])
+ * — a `completed` podľa toho, či cieľový stav je "hotovo". Presun do hotového
+ * stavu dokončí aj všetky podúlohy, ako odškrtnutie projektu v zozname.
+ *
+ * Poradie v stĺpci posiela klient ako celý zoznam kariet cieľového stĺpca po
+ * presune (`column: [{ id, source, contactId }]`), rovnako ako PUT /reorder.
+ * Zapíše sa do `statusOrder`, `order` zoznamu ostáva nedotknutý.
+ *
+ * Dokončenie opakovaného projektu presunom vygeneruje ďalší výskyt rovnako
+ * ako odškrtnutie v zozname (services/taskRecurrence.js).
+ */
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Contact = require('../models/Contact');
+const Workspace = require('../models/Workspace');
+const { statusesOf, normalizeTaskStatuses, findStatus, effectiveStatus } = require('../utils/taskStatuses');
+const { planNextTaskOccurrence, createNextTaskOccurrence } = require('./taskRecurrence');
+const { completionSnapshot, newlyCompletedIds } = require('../utils/taskDependencies');
+
+const MAX_COLUMN_ITEMS = 1000;
+
+class TaskBoardError extends Error {
+  constructor(code, message, statusCode = 400) {
+    super(message);
+    this.name = 'TaskBoardError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Stavy workspace priamo z DB — req.workspace môže byť z cache middleware.
+ */
+async function loadTaskStatuses(workspaceId) {
+  const workspace = await Workspace.findById(workspaceId, 'taskStatuses').lean();
+  return statusesOf(workspace);
+}
+
+/**
+ * Uloží nové stavy workspace. Projekty v zmazanom stave sa nemigrujú —
+ * effectiveStatus ich zaradí do prvého stavu s rovnakým `done`.
+ */
+async function updateTaskStatuses(workspaceId, input) {
+  const result = normalizeTaskStatuses(input);
+  if (result.error) throw new TaskBoardError('INVALID_STATUSES', result.error);
+  await Workspace.updateOne({ _id: workspaceId }, { $set: { taskStatuses: result.value } });
+  return result.value;
+}
+
+const completeSubtasks = (subtasks) => (subtasks || []).map(s => {
+  const plain = typeof s.toObject === 'function' ? s.toObject() : s;
+  return { ...plain, completed: true, subtasks: completeSubtasks(plain.subtasks) };
+});
+
+function validateColumn(column) {
+  if (column === undefined || column === null) return [];
+  if (!Array.isArray(column) || column.length > MAX_COLUMN_ITEMS) {
+    throw new TaskBoardError('INVALID_COLUMN', 'Neplatné poradie stĺpca');
+  }
+  for (const item of column) {
+    if (!item || typeof item.id !== 'string' || !['global', 'contact'].includes(item.source)) {
+      throw new TaskBoardError('INVALID_COLUMN', 'Neplatné poradie stĺpca');
+    }
+  }
+  return column;
+}
+
+// statusOrder = pozícia karty v stĺpci; karty mimo workspace sa ticho
+// preskočia. Poradie nie je úprava projektu — updatedAt (verzia) sa nemení.
+async function writeColumnOrder(workspaceId, column, skipId) {
+  const taskOps = [];
+  const contactOps = [];
+  column.forEach((item, index) => {
+    if (item.id === skipId) return;
+    if (item.source === 'global') {
+      if (!mongoose.Types.ObjectId.isValid(item.id)) return;
+      taskOps.push({
+        updateOne: {
+          filter: { _id: item.id, workspaceId },
+          update: { $set: { statusOrder: index } },
+          timestamps: false
+        }
+      });
+    } else if (item.contactId && mongoose.Types.ObjectId.isValid(item.contactId)) {
+      contactOps.push({
+        updateOne: {
+          filter: { _id: item.contactId, workspaceId, 'tasks.id': item.id },
+          update: { $set: { 'tasks.$.statusOrder': index } },
+          timestamps: false
+        }
+      });
+    }
+  });
+  if (taskOps.length > 0) await Task.bulkWrite(taskOps);
+  if (contactOps.length > 0) await Contact.bulkWrite(contactOps);
+}
+
+/**
+ * Presunie projekt do stavu `status` a prečísluje cieľový stĺpec.
+ *
+ * @returns {Promise<{
+ *   source: 'global'|'contact', task: object, contact: object|null,
+ *   previousStatus: string, status: string, completedChanged: boolean,
+ *   nextOccurrence: object|null, completedIds: string[]
+ * }>} task (a nextOccurrence — nový výskyt opakovaného projektu) je Mongoose
+ *   dokument (global) alebo subdokument projektu v kontakte; completedIds
+ *   sú práve dokončené položky stromu (pre notifikácie závislostí)
+ */
+async function moveTask({ workspaceId, taskId, status, column }) {
+  const statuses = await loadTaskStatuses(workspaceId);
+  const target = findStatus(statuses, status);
+  if (!target) throw new TaskBoardError('UNKNOWN_STATUS', 'Neznámy stav projektu');
+  const order = validateColumn(column);
+
+  let task = null;
+  let contact = null;
+  if (mongoose.Types.ObjectId.isValid(taskId)) {
+    task = await Task.findOne({ _id: taskId, workspaceId });
+  }
+  if (!task) {
+    contact = await Contact.findOne({ workspaceId, 'tasks.id': taskId });
+    task = contact?.tasks.find(t => t.id === taskId) || null;
+  }
+  if (!task) throw new TaskBoardError('NOT_FOUND', 'Projekt nenájdený', 404);
+
+  const previousStatus = effectiveStatus(task, statuses);
+  const completionBefore = completionSnapshot(task);
+  const completedChanged = Boolean(task.completed) !== target.done;
+  const index = order.findIndex(item => item.id === taskId);
+
+  task.status = target.id;
+  task.completed = target.done;
+  if (index !== -1) task.statusOrder = index;
+  if (completedChanged) {
+    task.modifiedAt = new Date().toISOString();
+    if (target.done && task.subtasks?.length > 0) task.subtasks = completeSubtasks(task.subtasks);
+  }
+
+  let nextOccurrence = null;
+  if (contact) {
+    const next = target.done ? planNextTaskOccurrence(task, 'contact') : null;
+    if (next) contact.tasks.push(next);
+    contact.markModified('tasks');
+    await contact.save();
+    if (next) nextOccurrence = contact.tasks[contact.tasks.length - 1];
+  } else {
+    await task.save();
+    if (target.done) nextOccurrence = await createNextTaskOccurrence(task);
+  }
+  await writeColumnOrder(workspaceId, order, taskId);
+
+  return {
+    source: contact ? 'contact' : 'global',
+    task,
+    contact,
+    previousStatus,
+    status: target.id,
+    completedChanged,
+    nextOccurrence,
+    completedIds: newlyCompletedIds(completionBefore, task)
+  };
+}
+
+module.exports = {
+  TaskBoardError,
+  loadTaskStatuses,
+  updateTaskStatuses,
+  moveTask
+};
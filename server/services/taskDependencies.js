@@ -0,0 +1,125 @@
+/**
+ * taskDependencies.js — závislosti projektov a úloh naprieč workspace.
+ *
+ * Pravidlá a pomocné funkcie sú v utils/taskDependencies.js. Pri každej
+ * zmene sa načíta celý zoznam položiek workspace (taskItems.js) — rovnako
+ * ako GET /api/tasks.
+ *
+ * Cyklus vzniká naprieč dokumentmi (A čaká na B, B na A), takže ho podmienený
+ * zápis jednej položky nezachytí. Zmeny závislostí jedného workspace preto
+ * idú po sebe a po zápise sa graf skontroluje znova — súbežnú opačnú hranu
+ * z inej inštancie servera tak zápis vráti späť.
+ *
+ * Keď sa blokujúca položka dokončí, riešitelia blokovaných položiek dostanú
+ * notifikáciu (notifyBlockedAssignees); volajú ju routes po uložení.
+ */
+const notificationService = require('./notificationService');
+const { loadWorkspaceItems, updateWorkspaceItem } = require('./taskItems');
+const { normalizeBlockedBy, findCycle } = require('../utils/taskDependencies');
+const { createExclusiveQueue } = require('../utils/exclusiveQueue');
+
+// Zmeny závislostí jedného workspace idú po sebe (kľúč = workspaceId)
+const runExclusive = createExclusiveQueue();
+
+class TaskDependencyError extends Error {
+  constructor(code, message, statusCode = 400) {
+    super(message);
+    this.name = 'TaskDependencyError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const cycleError = (cycle, items) => new TaskDependencyError(
+  'DEPENDENCY_CYCLE',
+  `Závislosť by vytvorila cyklus: ${cycle.map(id => items.get(id)?.title || id).join(' → ')}`
+);
+
+// Cyklus cez `itemId`, keby čakal na `blockedBy` — nad aktuálnym grafom
+const findItemCycle = (items, itemId, blockedBy) =>
+  findCycle(new Map([...items].map(([id, node]) => [id, node.blockedBy])), itemId, blockedBy);
+
+const sameIds = (a, b) => a.length === b.length && a.every((id, i) => id === b[i]);
+
+/**
+ * Nastaví, na čo položka čaká. Blokujúce položky musia byť z toho istého
+ * workspace a nesmú vytvoriť cyklus.
+ *
+ * @returns {Promise<{ item, blockedBy, source, task, contact }>} `task` je
+ *   koreňový projekt po uložení (Task dokument alebo subdokument kontaktu)
+ */
+async function setBlockedBy({ workspaceId, itemId, blockedBy }) {
+  const normalized = normalizeBlockedBy(blockedBy);
+  if (normalized.error) throw new TaskDependencyError('INVALID_DEPENDENCIES', normalized.error);
+  const value = normalized.value;
+  if (value.includes(itemId)) {
+    throw new TaskDependencyError('INVALID_DEPENDENCIES', 'Položka nemôže čakať sama na seba');
+  }
+
+  return runExclusive(workspaceId, async () => {
+    const items = await loadWorkspaceItems(workspaceId);
+    const item = items.get(itemId);
+    if (!item) throw new TaskDependencyError('TASK_NOT_FOUND', 'Projekt alebo úloha nebola nájdená', 404);
+
+    const unknown = value.find(id => !items.has(id));
+    if (unknown) throw new TaskDependencyError('INVALID_DEPENDENCIES', 'Závislosť nebola nájdená');
+
+    const cycle = findItemCycle(items, itemId, value);
+    if (cycle) throw cycleError(cycle, items);
+
+    let previous = [];
+    const saved = await updateWorkspaceItem(workspaceId, item, (node) => {
+      previous = [...(node.blockedBy || [])];
+      node.blockedBy = value;
+    });
+    if (!saved) throw new TaskDependencyError('TASK_NOT_FOUND', 'Projekt alebo úloha nebola nájdená', 404);
+
+    // Iná inštancia mohla medzitým zapísať hranu, ktorá s touto tvorí cyklus
+    const current = await loadWorkspaceItems(workspaceId);
+    const lateCycle = findItemCycle(current, itemId, value);
+    if (lateCycle) {
+      await updateWorkspaceItem(workspaceId, item, (node) => {
+        if (sameIds(node.blockedBy || [], value)) node.blockedBy = previous;
+      });
+      throw cycleError(lateCycle, current);
+    }
+
+    return { item, blockedBy: value, source: item.source, ...saved };
+  });
+}
+
+/**
+ * Notifikuje riešiteľov položiek, ktoré čakali na práve dokončené.
+ * Položka čakajúca na viac dokončených dostane jednu notifikáciu.
+ *
+ * @param {string[]} completedIds — id, ktoré sa práve dokončili
+ * @returns {Promise<number>} počet notifikovaných položiek
+ */
+async function notifyBlockedAssignees({ workspaceId, completedIds, actor }) {
+  if (!completedIds || completedIds.length === 0) return 0;
+  const completed = new Set(completedIds);
+  const items = await loadWorkspaceItems(workspaceId);
+
+  let notified = 0;
+  for (const blocked of items.values()) {
+    if (blocked.completed || blocked.assignedTo.length === 0) continue;
+    const resolved = blocked.blockedBy.filter(id => completed.has(id) && items.has(id));
+    if (resolved.length === 0) continue;
+    const remaining = blocked.blockedBy.filter(id => items.has(id) && !items.get(id).completed).length;
+    await notificationService.notifyDependencyResolved(
+      blocked,
+      resolved.map(id => items.get(id)),
+      remaining,
+      actor,
+      workspaceId
+    );
+    notified++;
+  }
+  return notified;
+}
+
+module.exports = {
+  TaskDependencyError,
+  setBlockedBy,
+  notifyBlockedAssignees
+};
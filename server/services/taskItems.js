@@ -0,0 +1,131 @@
+/**
+ * taskItems.js — projekty a podúlohy workspace ako jeden zoznam.
+ *
+ * Položky sa hľadajú v globálnych projektoch (Task) aj v projektoch kontaktov
+ * (Contact.tasks[]) vrátane vnorených podúloh. Id sú v celom workspace
+ * jedinečné (ObjectId projektov, UUID ostatných), takže závislosti
+ * (taskDependencies.js) aj výkaz času (taskTime.js) pracujú len s id.
+ */
+const Task = require('../models/Task');
+const Contact = require('../models/Contact');
+const { isVersionMismatch, versionFilter } = require('../utils/entityVersion');
+
+/**
+ * Všetky projekty a úlohy workspace: id → { id, title, kind, source,
+ * taskId, taskTitle, contactId, contactName, contactIds, completed,
+ * assignedTo, blockedBy, estimate, timeEntries }. `taskId` je vždy koreňový
+ * projekt (pre notifikácie a zvýraznenie v UI), `contactIds` kontakty
+ * globálneho projektu.
+ */
+async function loadWorkspaceItems(workspaceId) {
+  const [tasks, contacts] = await Promise.all([
+    Task.find(
+      { workspaceId },
+      { title: 1, completed: 1, assignedTo: 1, contactIds: 1, blockedBy: 1, estimate: 1, timeEntries: 1, subtasks: 1 }
+    ).lean(),
+    Contact.find({ workspaceId, 'tasks.0': { $exists: true } }, { name: 1, tasks: 1 }).lean()
+  ]);
+
+  const items = new Map();
+  const add = (node, kind, project, context) => {
+    items.set(node.id, {
+      id: node.id,
+      title: node.title,
+      kind,
+      taskId: project.id,
+      taskTitle: project.title,
+      completed: Boolean(node.completed),
+      assignedTo: (node.assignedTo || []).map(id => id.toString()),
+      blockedBy: node.blockedBy || [],
+      estimate: node.estimate ?? null,
+      timeEntries: node.timeEntries || [],
+      ...context
+    });
+    for (const subtask of node.subtasks || []) {
+      if (subtask?.id) add(subtask, 'subtask', project, context);
+    }
+  };
+
+  for (const task of tasks) {
+    const project = { ...task, id: task._id.toString() };
+    add(project, 'task', project, {
+      source: 'global',
+      contactId: null,
+      contactName: null,
+      contactIds: (task.contactIds || []).map(String)
+    });
+  }
+  for (const contact of contacts) {
+    for (const task of contact.tasks || []) {
+      if (!task?.id) continue;
+      add(task, 'task', task, {
+        source: 'contact',
+        contactId: contact._id.toString(),
+        contactName: contact.name,
+        contactIds: [contact._id.toString()]
+      });
+    }
+  }
+  return items;
+}
+
+const findInTree = (subtasks, id) => {
+  for (const subtask of subtasks || []) {
+    if (subtask.id === id) return subtask;
+    const found = findInTree(subtask.subtasks, id);
+    if (found) return found;
+  }
+  return null;
+};
+
+const MAX_SAVE_ATTEMPTS = 5;
+
+/**
+ * Načíta dokument položky z loadWorkspaceItems, zavolá `mutate(node)` na
+ * projekte alebo podúlohe a uloží. Zápis je podmienený verziou načítaného
+ * dokumentu (`editVersion`) — kontakt sa ukladá celým poľom `tasks`, takže
+ * súbežná zmena iného projektu by sa inak prepísala. Keď dokument medzitým
+ * zmenil niekto iný, načíta sa znova a `mutate` sa zopakuje nad novým stavom.
+ * `mutate` vráti false, keď nad aktuálnym stavom nie je čo zapísať.
+ *
+ * @returns {Promise<{ task, contact }|null>} `task` je koreňový projekt po
+ *   uložení (Task dokument alebo subdokument kontaktu); null = položka medzičasom zmizla
+ */
+async function updateWorkspaceItem(workspaceId, item, mutate) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await saveWorkspaceItem(workspaceId, item, mutate);
+    } catch (error) {
+      if (!isVersionMismatch(error) || attempt >= MAX_SAVE_ATTEMPTS) throw error;
+    }
+  }
+}
+
+async function saveWorkspaceItem(workspaceId, item, mutate) {
+  if (item.source === 'global') {
+    const task = await Task.findOne({ _id: item.taskId, workspaceId });
+    const node = item.kind === 'task' ? task : findInTree(task?.subtasks, item.id);
+    if (!node) return null;
+    if (mutate(node) === false) return { task, contact: null };
+    if (item.kind === 'subtask') task.markModified('subtasks');
+    task.$where = versionFilter(task);
+    await task.save();
+    return { task, contact: null };
+  }
+
+  const contact = await Contact.findOne({ _id: item.contactId, workspaceId });
+  const task = contact?.tasks.find(t => t.id === item.taskId);
+  const node = item.kind === 'task' ? task : findInTree(task?.subtasks, item.id);
+  if (!node) return null;
+  if (mutate(node) === false) return { task, contact };
+  contact.markModified('tasks');
+  contact.$where = versionFilter(contact);
+  await contact.save();
+  return { task, contact };
+}
+
+module.exports = {
+  loadWorkspaceItems,
+  findInTree,
+  updateWorkspaceItem
+};
@@ -0,0 +1,324 @@
+/**
+ * taskRecurrence.js — generovanie ďalšieho výskytu opakovaných projektov a úloh.
+ *
+ * Pravidlá opakovania a počítanie termínov sú v utils/recurrence.js. Tu sa
+ * z dokončeného výskytu poskladá nasledujúci: rovnaký názov, popis, priorita,
+ * čas, riešitelia a časové pripomienky, nový termín a poradie v sérii.
+ * Podúlohy projektu sa prenesú neodškrtnuté, s termínmi posunutými o rovnaký
+ * počet dní ako projekt. Prílohy sa neprenášajú. Závislosti medzi podúlohami
+ * sa prepíšu na nové id, vonkajšie ostanú. Odhad sa prenesie, odpracovaný
+ * čas nie.
+ *
+ * Projekt v kontakte a podúlohy: routes volajú planNext*() pred uložením
+ * dokončenia — nový výskyt aj `recurrence.nextId` idú do toho istého
+ * dokumentu jedným zápisom, takže opätovné odškrtnutie nič nezdvojí.
+ * Globálny projekt je samostatný dokument, preto až po uložení dokončenia
+ * createNextTaskOccurrence(): nasledovníka si atomicky zaberie, vytvorí ho
+ * a keď vytvorenie zlyhá, zabratie vráti. spawnPendingOccurrences() beží
+ * v dueDateChecker a dorobí výskyty pre dokončenia, ktoré prišli inou
+ * cestou (Google sync, import) alebo ktorým vytvorenie zlyhalo.
+ */
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const Task = require('../models/Task');
+const Contact = require('../models/Contact');
+const { FREQUENCIES, toDay, addDays, daysBetween, nextDueDate } = require('../utils/recurrence');
+const logger = require('../utils/logger');
+const { versionFilter } = require('../utils/entityVersion');
+
+const MAX_PENDING_BATCH = 200;
+
+const plain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+const isPending = (item) =>
+  Boolean(item?.completed && item.recurrence && FREQUENCIES.includes(item.recurrence.freq)) &&
+  !item.recurrence.nextId && !item.recurrence.ended;
+
+const shiftDay = (value, days) => {
+  const day = toDay(value);
+  return day && days ? addDays(day, days) : (value || null);
+};
+
+// Podúlohy nového výskytu projektu — nové id, neodškrtnuté, bez príloh.
+// `idMap` (staré id → nové) zbiera id pre remapBlockedBy.
+const resetSubtasks = (subtasks, shiftDays, now, idMap = new Map()) => (subtasks || []).map((subtask) => {
+  const { files, copiedFrom, ...rest } = plain(subtask);
+  const id = uuidv4();
+  if (rest.id) idMap.set(rest.id, id);
+  return {
+    ...rest,
+    id,
+    completed: false,
+    dueDate: shiftDay(rest.dueDate, shiftDays),
+    startDate: shiftDay(rest.startDate, shiftDays),
+    blockedBy: [...(rest.blockedBy || [])],
+    timeEntries: [],
+    createdAt: now,
+    modifiedAt: now,
+    lastUrgencyLevel: null,
+    reminderSent: false,
+    timeRemindersSent: [],
+    recurrence: rest.recurrence ? { ...rest.recurrence, nextId: null, ended: false } : null,
+    subtasks: resetSubtasks(rest.subtasks, shiftDays, now, idMap)
+  };
+});
+
+// Závislosti na podúlohy z pôvodného výskytu → na ich kópie v novom
+const remapBlockedBy = (subtasks, idMap) => {
+  for (const subtask of subtasks) {
+    subtask.blockedBy = subtask.blockedBy.map(id => idMap.get(id) || id);
+    remapBlockedBy(subtask.subtasks, idMap);
+  }
+  return subtasks;
+};
+
+const copySubtasks = (subtasks, shiftDays, now) => {
+  const idMap = new Map();
+  return remapBlockedBy(resetSubtasks(subtasks, shiftDays, now, idMap), idMap);
+};
+
+/**
+ * Spoločné polia ďalšieho výskytu a označenie dokončeného. Vráti null, keď
+ * séria skončila (vtedy sa dokončený označí `ended`).
+ */
+function planOccurrence(item, nextId) {
+  const recurrence = plain(item.recurrence);
+  const dueDay = toDay(item.dueDate);
+  const nextDay = nextDueDate(recurrence, item.dueDate);
+  if (!nextDay) {
+    item.recurrence = { ...recurrence, ended: true };
+    return null;
+  }
+  item.recurrence = { ...recurrence, nextId };
+
+  const now = new Date().toISOString();
+  return {
+    shiftDays: dueDay ? daysBetween(dueDay, nextDay) : 0,
+    now,
+    fields: {
+      title: item.title,
+      completed: false,
+      priority: item.priority,
+      dueDate: nextDay,
+      dueTime: item.dueTime || '',
+      startDate: shiftDay(item.startDate, dueDay ? daysBetween(dueDay, nextDay) : 0),
+      blockedBy: [...(item.blockedBy || [])],
+      estimate: item.estimate ?? null,
+      assignedTo: [...(item.assignedTo || [])],
+      reminder: item.reminder ?? null,
+      reminderSent: false,
+      timeReminders: [...(item.timeReminders || [])],
+      timeRemindersSent: [],
+      lastUrgencyLevel: null,
+      modifiedAt: now,
+      recurrence: {
+        ...recurrence,
+        byMonthDay: recurrence.byMonthDay || (dueDay && ['monthly', 'yearly'].includes(recurrence.freq)
+          ? Number(dueDay.slice(8, 10))
+          : null),
+        occurrence: (recurrence.occurrence || 1) + 1,
+        nextId: null,
+        ended: false
+      }
+    }
+  };
+}
+
+/**
+ * Ďalší výskyt dokončeného opakovaného projektu.
+ *
+ * @param {object} task — Task dokument alebo projekt v contact.tasks; dostane `recurrence.nextId`
+ * @param {'global'|'contact'} source
+ * @returns {object|null} pre global dáta pre Task.create (s `_id`), pre
+ *   contact plain projekt na push do contact.tasks
+ */
+function planNextTaskOccurrence(task, source) {
+  if (!isPending(task)) return null;
+  const id = source === 'global' ? new mongoose.Types.ObjectId() : uuidv4();
+  const planned = planOccurrence(task, id.toString());
+  if (!planned) return null;
+
+  const { fields, shiftDays, now } = planned;
+  const next = {
+    ...fields,
+    description: task.description || '',
+    tags: [...(task.tags || [])],
+    subtasks: copySubtasks(task.subtasks, shiftDays, now),
+    order: task.order || 0
+  };
+  if (source === 'global') {
+    return {
+      ...next,
+      _id: id,
+      workspaceId: task.workspaceId,
+      userId: task.userId,
+      contactIds: [...(task.contactIds || [])],
+      createdBy: task.createdBy
+    };
+  }
+  return { ...next, id, createdAt: now };
+}
+
+/**
+ * Ďalší výskyt dokončenej opakovanej podúlohy; zaradí sa hneď za ňu.
+ * Prechádza celý strom — v projekte môže byť naraz viac dokončených
+ * výskytov (napr. po synchronizácii). V dokončenom projekte sa podúlohy
+ * negenerujú (ďalší výskyt projektu si ich nesie sám).
+ *
+ * @param {object} task — projekt (dokument alebo subdokument)
+ * @returns {object[]} nové podúlohy
+ */
+function spawnSubtaskOccurrences(task) {
+  if (!task || task.completed) return [];
+  const created = [];
+  const walk = (subtasks) => {
+    if (!Array.isArray(subtasks)) return;
+    for (let i = 0; i < subtasks.length; i++) {
+      const subtask = subtasks[i];
+      if (isPending(subtask)) {
+        const id = uuidv4();
+        const planned = planOccurrence(subtask, id);
+        if (planned) {
+          const { fields, shiftDays, now } = planned;
+          const next = {
+            ...fields,
+            id,
+            notes: subtask.notes || '',
+            subtasks: copySubtasks(subtask.subtasks, shiftDays, now),
+            files: [],
+            createdAt: now,
+            order: subtask.order || 0
+          };
+          subtasks.splice(i + 1, 0, next);
+          created.push(next);
+          i++;
+        }
+      }
+      walk(subtask.subtasks);
+    }
+  };
+  walk(task.subtasks);
+  return created;
+}
+
+// Stav projektu po podmienenom zápise späť do dokumentu. Verzia sa len
+// prevezme — save() ju posúva sám (utils/entityVersion.js).
+const syncStored = (task, stored) => {
+  task.set({ recurrence: plain(stored.recurrence), updatedAt: stored.updatedAt, editVersion: stored.editVersion });
+  task.unmarkModified('editVersion');
+};
+
+/**
+ * Ďalší výskyt už uloženého dokončeného globálneho projektu. `recurrence.nextId`
+ * sa zapíše podmienene (len kým je null) — súbežné odškrtnutie ani druhá
+ * inštancia dueDateCheckera výskyt nezdvojí. Ak Task.create zlyhá, zabratie
+ * sa vráti a výskyt neskôr dorobí spawnPendingOccurrences(); chyba sa len
+ * zaloguje, dokončenie už je uložené.
+ *
+ * @param {import('mongoose').Document} task — Task dokument; dostane
+ *   `recurrence`, `updatedAt` a `editVersion` tak, ako sú po zápise v DB
+ * @returns {Promise<import('mongoose').Document|null>} nový výskyt
+ */
+async function createNextTaskOccurrence(task) {
+  if (!isPending(task)) return null;
+  const next = planNextTaskOccurrence(task, 'global');
+  const unclaimed = { _id: task._id, 'recurrence.nextId': null, 'recurrence.ended': { $ne: true } };
+  const update = next
+    ? { 'recurrence.nextId': next._id.toString() }
+    : { 'recurrence.ended': true };
+  const claimed = await Task.findOneAndUpdate(
+    unclaimed,
+    { $set: update },
+    { new: true, projection: 'recurrence updatedAt editVersion' }
+  );
+  const stored = claimed || await Task.findById(task._id, 'recurrence updatedAt editVersion');
+  if (stored) syncStored(task, stored);
+  if (!claimed || !next) return null;
+
+  try {
+    return await Task.create(next);
+  } catch (error) {
+    logger.warn('[Recurrence] Next occurrence create failed', { taskId: task._id.toString(), error: error.message });
+    const released = await Task.findOneAndUpdate(
+      { _id: task._id, 'recurrence.nextId': next._id.toString() },
+      { $set: { 'recurrence.nextId': null } },
+      { new: true, projection: 'recurrence updatedAt editVersion' }
+    );
+    if (released) syncStored(task, released);
+    return null;
+  }
+}
+
+// Dokončený výskyt bez nasledovníka (rovnaké ako isPending, pre Mongo)
+const PENDING_FILTER = {
+  completed: true,
+  'recurrence.freq': { $in: FREQUENCIES },
+  'recurrence.nextId': null,
+  'recurrence.ended': { $ne: true }
+};
+
+/**
+ * Dorobí chýbajúce výskyty (dueDateChecker, každých 5 min). Podúlohy sa
+ * hľadajú na prvej úrovni; hlbšie ich vygenerujú routes pri odškrtnutí.
+ *
+ * @returns {Promise<number>} počet nových výskytov
+ */
+async function spawnPendingOccurrences() {
+  let spawned = 0;
+
+  const tasks = await Task.find({
+    $or: [
+      PENDING_FILTER,
+      { completed: false, subtasks: { $elemMatch: PENDING_FILTER } }
+    ]
+  }).limit(MAX_PENDING_BATCH);
+  for (const task of tasks) {
+    try {
+      const subtasks = spawnSubtaskOccurrences(task);
+      if (subtasks.length > 0) {
+        // Len ak projekt medzitým nikto nezmenil (iná inštancia, route)
+        task.$where = versionFilter(task);
+        task.markModified('subtasks');
+        await task.save();
+      }
+      const next = await createNextTaskOccurrence(task);
+      spawned += (next ? 1 : 0) + subtasks.length;
+    } catch (error) {
+      logger.warn('[Recurrence] Global task occurrence failed', { taskId: task._id.toString(), error: error.message });
+    }
+  }
+
+  const contacts = await Contact.find({
+    $or: [
+      { tasks: { $elemMatch: PENDING_FILTER } },
+      { tasks: { $elemMatch: { completed: { $ne: true }, subtasks: { $elemMatch: PENDING_FILTER } } } }
+    ]
+  }).limit(MAX_PENDING_BATCH);
+  for (const contact of contacts) {
+    try {
+      const created = [];
+      for (const task of [...contact.tasks]) {
+        const next = planNextTaskOccurrence(task, 'contact');
+        if (next) created.push(next);
+        spawned += spawnSubtaskOccurrences(task).length;
+      }
+      contact.tasks.push(...created);
+      spawned += created.length;
+      contact.$where = versionFilter(contact);
+      contact.markModified('tasks');
+      await contact.save();
+    } catch (error) {
+      logger.warn('[Recurrence] Contact task occurrence failed', { contactId: contact._id.toString(), error: error.message });
+    }
+  }
+
+  if (spawned > 0) logger.info('[Recurrence] Spawned pending occurrences', { count: spawned });
+  return spawned;
+}
+
+module.exports = {
+  planNextTaskOccurrence,
+  createNextTaskOccurrence,
+  spawnSubtaskOccurrences,
+  spawnPendingOccurrences
+};
@@ -0,0 +1,247 @@
+/**
+ * taskTime.js — časovač, ručné záznamy a súčty odpracovaného času.
+ *
+ * Tvar záznamov a validácia sú v utils/taskTime.js. Každý člen má najviac
+ * jeden bežiaci časovač vo workspace — spustenie nového zastaví predošlý,
+ * nech sa ten istý čas nevykáže dvakrát.
+ *
+ * Súčty per kontakt berú kontakt projektu; globálny projekt s viacerými
+ * kontaktmi sa započíta každému z nich (celkový súčet ho ráta raz).
+ */
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/User');
+const Contact = require('../models/Contact');
+const { loadWorkspaceItems, updateWorkspaceItem } = require('./taskItems');
+const {
+  normalizeManualEntry,
+  isRunning,
+  entryMinutes,
+  closeEntry,
+  entryDay
+} = require('../utils/taskTime');
+
+class TaskTimeError extends Error {
+  constructor(code, message, statusCode = 400) {
+    super(message);
+    this.name = 'TaskTimeError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const notFound = () => new TaskTimeError('TASK_NOT_FOUND', 'Projekt alebo úloha nebola nájdená', 404);
+
+const plainEntries = (node) => (node.timeEntries || []).map(entry =>
+  (typeof entry.toObject === 'function' ? entry.toObject() : { ...entry })
+);
+
+async function findItem(workspaceId, itemId) {
+  const items = await loadWorkspaceItems(workspaceId);
+  const item = items.get(itemId);
+  if (!item) throw notFound();
+  return { items, item };
+}
+
+// Uloží zmenu záznamov položky; vráti aj projekty na socket (changed).
+// `mutate` beží nad aktuálnymi záznamami; null = nič nezapisovať.
+async function updateEntries(workspaceId, item, mutate) {
+  const saved = await updateWorkspaceItem(workspaceId, item, (node) => {
+    const entries = mutate(plainEntries(node));
+    if (!entries) return false;
+    node.timeEntries = entries;
+  });
+  if (!saved) throw notFound();
+  return { source: item.source, ...saved };
+}
+
+const isRunningFor = (userId) => (entry) => isRunning(entry) && entry.userId === userId;
+
+/**
+ * Spustí časovač člena na položke. Bežiaci časovač člena inde sa zastaví;
+ * na tej istej položke sa vráti existujúci.
+ *
+ * Nový záznam sa pridá len vtedy, keď v uloženom stave položky ešte žiadny
+ * bežiaci časovač člena nie je (podmienený zápis v updateWorkspaceItem) —
+ * dvojklik ani súbežný request tak nespustia dva.
+ *
+ * @returns {Promise<{ entry, changed: Array<{ source, task, contact }> }>}
+ */
+async function startTimer({ workspaceId, itemId, userId }) {
+  const { items, item } = await findItem(workspaceId, itemId);
+  const runningForUser = isRunningFor(userId);
+
+  const now = new Date();
+  const changed = [];
+  for (const other of items.values()) {
+    if (other.id === item.id || !other.timeEntries.some(runningForUser)) continue;
+    changed.push(await updateEntries(workspaceId, other, (entries) => {
+      if (!entries.some(runningForUser)) return null;
+      return entries.map(e => (runningForUser(e) ? closeEntry(e, now) : e));
+    }));
+  }
+
+  const started = {
+    id: uuidv4(),
+    userId,
+    start: now.toISOString(),
+    end: null,
+    minutes: 0,
+    note: '',
+    manual: false
+  };
+  let entry = null;
+  const saved = await updateEntries(workspaceId, item, (entries) => {
+    entry = entries.find(runningForUser) || null;
+    if (entry) return null;
+    entry = started;
+    return [...entries, started];
+  });
+  if (entry === started) changed.push(saved);
+  return { entry, changed };
+}
+
+/**
+ * Zastaví bežiaci časovač člena na položke.
+ *
+ * @returns {Promise<{ entry, changed }>}
+ */
+async function stopTimer({ workspaceId, itemId, userId, note }) {
+  const { item } = await findItem(workspaceId, itemId);
+  if (!item.timeEntries.some(e => isRunning(e) && e.userId === userId)) {
+    throw new TaskTimeError('TIMER_NOT_RUNNING', 'Časovač na tejto položke nebeží', 409);
+  }
+  let entry = null;
+  const saved = await updateEntries(workspaceId, item, entries => entries.map(e => {
+    if (!isRunning(e) || e.userId !== userId) return e;
+    entry = closeEntry(e);
+    if (typeof note === 'string') entry.note = note.trim().slice(0, 500);
+    return entry;
+  }));
+  return { entry, changed: [saved] };
+}
+
+/**
+ * Ručný záznam { date, minutes, note } člena na položke.
+ *
+ * @returns {Promise<{ entry, changed }>}
+ */
+async function addManualEntry({ workspaceId, itemId, userId, input }) {
+  const normalized = normalizeManualEntry(input);
+  if (normalized.error) throw new TaskTimeError('INVALID_TIME_ENTRY', normalized.error);
+  const { item } = await findItem(workspaceId, itemId);
+
+  const entry = { id: uuidv4(), userId, ...normalized.value };
+  const saved = await updateEntries(workspaceId, item, entries => [...entries, entry]);
+  return { entry, changed: [saved] };
+}
+
+/**
+ * Zmaže záznam. Cudzí záznam môže zmazať len vlastník alebo správca.
+ *
+ * @returns {Promise<{ changed }>}
+ */
+async function deleteEntry({ workspaceId, itemId, entryId, userId, canAdmin }) {
+  const { item } = await findItem(workspaceId, itemId);
+  const entry = item.timeEntries.find(e => e.id === entryId);
+  if (!entry) throw new TaskTimeError('TIME_ENTRY_NOT_FOUND', 'Záznam nebol nájdený', 404);
+  if (entry.userId !== userId && !canAdmin) {
+    throw new TaskTimeError('FORBIDDEN', 'Cudzí záznam môže zmazať len vlastník alebo správca', 403);
+  }
+  const saved = await updateEntries(workspaceId, item, entries => entries.filter(e => e.id !== entryId));
+  return { changed: [saved] };
+}
+
+/**
+ * Záznamy workspace v období, zoradené podľa dňa, so súčtami per kontakt
+ * a per člen. Bežiaci časovač sa ráta do teraz.
+ *
+ * @returns {Promise<{
+ *   total: number,
+ *   byContact: Array<{ contactId, contactName, minutes }>,
+ *   byMember: Array<{ userId, username, minutes }>,
+ *   entries: Array<{ id, itemId, taskId, date, userId, username,
+ *     contacts: Array<{ id, name }>, taskTitle, itemTitle, kind, minutes, note, running }>
+ * }>}
+ */
+async function summarizeTime({ workspaceId, from, to, userId }) {
+  const items = await loadWorkspaceItems(workspaceId);
+  const now = new Date();
+
+  const entries = [];
+  for (const item of items.values()) {
+    for (const entry of item.timeEntries) {
+      const day = entryDay(entry);
+      if ((from && day < from) || (to && day > to)) continue;
+      if (userId && entry.userId !== userId) continue;
+      entries.push({
+        id: entry.id,
+        itemId: item.id,
+        taskId: item.taskId,
+        date: day,
+        userId: entry.userId,
+        contacts: item.contactIds.map(id => ({ id, name: id === item.contactId ? item.contactName : null })),
+        taskTitle: item.taskTitle,
+        itemTitle: item.title,
+        kind: item.kind,
+        minutes: entryMinutes(entry, now),
+        note: entry.note || '',
+        running: isRunning(entry)
+      });
+    }
+  }
+  entries.sort((a, b) => a.date.localeCompare(b.date));
+
+  // Mená členov a kontaktov globálnych projektov (kontakt bez vlastných projektov v zozname nie je)
+  const globalContactIds = [...new Set(entries.flatMap(e => e.contacts.filter(c => !c.name).map(c => c.id)))]
+    .filter(id => mongoose.Types.ObjectId.isValid(id));
+  const [users, contacts] = await Promise.all([
+    User.find({ _id: { $in: [...new Set(entries.map(e => e.userId))] } }, { username: 1 }).lean(),
+    globalContactIds.length > 0
+      ? Contact.find({ _id: { $in: globalContactIds }, workspaceId }, { name: 1 }).lean()
+      : []
+  ]);
+  const usernameById = new Map(users.map(u => [u._id.toString(), u.username]));
+  const contactNameById = new Map(contacts.map(c => [c._id.toString(), c.name]));
+
+  const byContact = new Map();
+  const byMember = new Map();
+  let total = 0;
+  for (const entry of entries) {
+    entry.username = usernameById.get(entry.userId) || '';
+    total += entry.minutes;
+    const member = byMember.get(entry.userId) || { userId: entry.userId, username: entry.username, minutes: 0 };
+    member.minutes += entry.minutes;
+    byMember.set(entry.userId, member);
+    entry.contacts = entry.contacts
+      .map(c => ({ id: c.id, name: c.name || contactNameById.get(c.id) || null }))
+      .filter(c => c.name);
+    for (const { id, name } of entry.contacts) {
+      const contact = byContact.get(id) || { contactId: id, contactName: name, minutes: 0 };
+      contact.minutes += entry.minutes;
+      byContact.set(id, contact);
+    }
+    if (entry.contacts.length === 0) {
+      const none = byContact.get(null) || { contactId: null, contactName: '', minutes: 0 };
+      none.minutes += entry.minutes;
+      byContact.set(null, none);
+    }
+  }
+
+  const byMinutes = (a, b) => b.minutes - a.minutes;
+  return {
+    total,
+    byContact: [...byContact.values()].sort(byMinutes),
+    byMember: [...byMember.values()].sort(byMinutes),
+    entries
+  };
+}
+
+module.exports = {
+  TaskTimeError,
+  startTimer,
+  stopTimer,
+  addManualEntry,
+  deleteEntry,
+  summarizeTime
+};
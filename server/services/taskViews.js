@@ -0,0 +1,129 @@
+/**
+ * taskViews.js — uložené pohľady zoznamu projektov (models/TaskView.js).
+ *
+ * Validácia filtrov je v utils/taskViews.js. Člen vidí svoje pohľady
+ * a zdieľané pohľady ostatných; cudzí súkromný pohľad sa správa ako
+ * neexistujúci (404), aby sa cez id nedalo zistiť, že existuje.
+ */
+const mongoose = require('mongoose');
+const TaskView = require('../models/TaskView');
+const User = require('../models/User');
+const { normalizeView } = require('../utils/taskViews');
+
+const MAX_VIEWS_PER_USER = 50;
+
+class TaskViewError extends Error {
+  constructor(code, message, statusCode = 400) {
+    super(message);
+    this.name = 'TaskViewError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const notFound = () => new TaskViewError('VIEW_NOT_FOUND', 'Pohľad nebol nájdený', 404);
+
+/**
+ * Pohľad pre klienta; `isOwn` = patrí prihlásenému členovi.
+ */
+const plainView = (view, userId, ownerName = null) => ({
+  id: view._id.toString(),
+  name: view.name,
+  shared: Boolean(view.shared),
+  filters: view.filters || {},
+  sort: { field: view.sort?.field || 'default', direction: view.sort?.direction || 'asc' },
+  groupBy: view.groupBy || 'none',
+  ownerId: view.userId.toString(),
+  ownerName,
+  isOwn: view.userId.toString() === String(userId),
+  updatedAt: view.updatedAt
+});
+
+// Pohľad, ktorý člen vidí (vlastný alebo zdieľaný)
+async function findVisibleView(workspaceId, viewId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(viewId)) throw notFound();
+  const view = await TaskView.findOne({ _id: viewId, workspaceId });
+  if (!view || (!view.shared && view.userId.toString() !== String(userId))) throw notFound();
+  return view;
+}
+
+async function ownerNameOf(view) {
+  const owner = await User.findById(view.userId, { username: 1 }).lean();
+  return owner?.username || null;
+}
+
+/**
+ * Vlastné a zdieľané pohľady workspace, zoradené podľa názvu.
+ */
+async function listViews({ workspaceId, userId }) {
+  const views = await TaskView.find({
+    workspaceId,
+    $or: [{ userId }, { shared: true }]
+  }).sort({ name: 1 }).lean();
+  const owners = await User.find(
+    { _id: { $in: [...new Set(views.map(v => v.userId.toString()))] } },
+    { username: 1 }
+  ).lean();
+  const usernameById = new Map(owners.map(u => [u._id.toString(), u.username]));
+  return views.map(view => plainView(view, userId, usernameById.get(view.userId.toString()) || null));
+}
+
+async function getView({ workspaceId, viewId, userId }) {
+  const view = await findVisibleView(workspaceId, viewId, userId);
+  return plainView(view, userId, await ownerNameOf(view));
+}
+
+async function createView({ workspaceId, userId, username, input }) {
+  const normalized = normalizeView(input);
+  if (normalized.error) throw new TaskViewError('INVALID_VIEW', normalized.error);
+  const count = await TaskView.countDocuments({ workspaceId, userId });
+  if (count >= MAX_VIEWS_PER_USER) {
+    throw new TaskViewError('TOO_MANY_VIEWS', `Môžete mať najviac ${MAX_VIEWS_PER_USER} uložených pohľadov`);
+  }
+  const view = await TaskView.create({ workspaceId, userId, ...normalized.value });
+  return plainView(view, userId, username || null);
+}
+
+/**
+ * Prepíše pohľad celým obsahom z requestu. Meniť môže len autor.
+ *
+ * @returns {Promise<{ view, wasShared: boolean }>}
+ */
+async function updateView({ workspaceId, viewId, userId, input }) {
+  const view = await findVisibleView(workspaceId, viewId, userId);
+  if (view.userId.toString() !== String(userId)) {
+    throw new TaskViewError('FORBIDDEN', 'Zdieľaný pohľad môže upraviť len jeho autor', 403);
+  }
+  const normalized = normalizeView(input);
+  if (normalized.error) throw new TaskViewError('INVALID_VIEW', normalized.error);
+
+  const wasShared = Boolean(view.shared);
+  Object.assign(view, normalized.value);
+  view.markModified('filters');
+  await view.save();
+  return { view: plainView(view, userId, await ownerNameOf(view)), wasShared };
+}
+
+/**
+ * Zmaže pohľad. Zdieľaný môže zmazať aj správca workspace.
+ *
+ * @returns {Promise<{ shared: boolean }>}
+ */
+async function deleteView({ workspaceId, viewId, userId, canAdmin }) {
+  const view = await findVisibleView(workspaceId, viewId, userId);
+  if (view.userId.toString() !== String(userId) && !canAdmin) {
+    throw new TaskViewError('FORBIDDEN', 'Zdieľaný pohľad môže zmazať len autor alebo správca', 403);
+  }
+  await view.deleteOne();
+  return { shared: Boolean(view.shared) };
+}
+
+module.exports = {
+  TaskViewError,
+  MAX_VIEWS_PER_USER,
+  listViews,
+  getView,
+  createView,
+  updateView,
+  deleteView
+};
@@ -0,0 +1,87 @@
+/**
+ * csv.js — čítanie a zápis CSV (RFC 4180).
+ *
+ * `parseCsv` rozumie úvodzovkám (aj zdvojeným "" a novým riadkom v bunke),
+ * koncom riadkov \n aj \r\n a BOM na začiatku súboru. Oddeľovač sa
+ * odhadne z hlavičky — Excel v slovenskom prostredí ukladá s bodkočiarkou.
+ *
+ * `csvCell` bunku pri zápise obalí úvodzovkami, keď treba, a text
+ * začínajúci =, +, -, @ predsadí apostrofom (ochrana proti CSV injection
+ * — rovnako ako export kontaktov v routes/contacts.js). Čísla ostanú bez
+ * apostrofu, inak by sa -5 v tabuľke ani pri importe nedalo prečítať.
+ */
+
+const BOM = '\uFEFF';
+
+// Oddeľovač podľa prvého riadku: čiarka, bodkočiarka alebo tabulátor
+const detectDelimiter = (text) => {
+  const firstLine = text.slice(0, text.indexOf('\n') === -1 ? text.length : text.indexOf('\n'));
+  const counts = [',', ';', '\t'].map(d => ({ d, n: firstLine.split(d).length - 1 }));
+  counts.sort((a, b) => b.n - a.n);
+  return counts[0].n > 0 ? counts[0].d : ',';
+};
+
+/**
+ * Rozparsuje CSV text na pole riadkov (pole buniek). Prázdne riadky
+ * vynechá. `maxRows` obmedzí počet riadkov (vrátane hlavičky).
+ */
+function parseCsv(input, { maxRows = Infinity } = {}) {
+  const text = String(input || '').replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length && rows.length < maxRows; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n') {
+      endRow();
+    } else if (ch !== '\r') {
+      cell += ch;
+    }
+  }
+  if (rows.length < maxRows && (cell !== '' || row.length > 0)) endRow();
+  return rows;
+}
+
+/**
+ * Jedna bunka CSV na zápis. Číslo (typ number) sa nepredsadzuje.
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let str = String(value);
+  if (!Number.isFinite(value) && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  if (/[",\n\r;]/.test(str)) return `"${str.replace(/"/g, '""')}"`;
+  return str;
+}
+
+/**
+ * CSV súbor z hlavičky a riadkov — s BOM, aby Excel spoznal UTF-8.
+ */
+function toCsv(header, rows) {
+  return BOM + [header, ...rows].map(cells => cells.map(csvCell).join(',')).join('\n');
+}
+
+module.exports = { parseCsv, csvCell, toCsv };
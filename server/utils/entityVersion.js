@@ -0,0 +1,158 @@
+/**
+ * entityVersion.js — optimistická kontrola súbežných úprav pri PUT
+ * projektu (/api/tasks/:id), kontaktu (/api/contacts/:id) a stránky
+ * (/api/pages/:id).
+ *
+ * Verzia záznamu je počítadlo zápisov `editVersion` ako reťazec. Plugin
+ * versionPlugin ho zvýši pri každom save() aj updateOne / findOneAndUpdate,
+ * takže verziu netreba ručne udržiavať v každej route, ktorá záznam mení.
+ * (Čas `updatedAt` na to nestačí — dva zápisy v tej istej milisekunde by
+ * mali rovnakú verziu.) Zápisy s `timestamps: false` (poradie, práva
+ * stránky) a bulkWrite (presuny v strome, kanban) verziu neposúvajú — obsah
+ * záznamu nemenia. Projekt uložený v kontakte (contact.tasks[]) nemá vlastnú
+ * verziu — jeho verziou je verzia kontaktu (hrubšie, ale nevynechá žiadnu
+ * zmenu podúloh).
+ *
+ * Klient dostane verziu v poli `version` (a v hlavičke ETag pri GET /:id
+ * a PUT) a pri úprave ju pošle späť v hlavičke If-Match. Ak medzitým
+ * záznam zmenil niekto iný, route nič nezapíše a vráti 409
+ * VERSION_CONFLICT s aktuálnym stavom v `current` — klient z neho ponúkne
+ * zlúčenie zmien.
+ *
+ * Kontrola aj zápis sú jeden krok: route pri If-Match zapisuje s overenou
+ * verziou vo filtri (versionFilter vo findOneAndUpdate, alebo save() po
+ * expectVersion), takže iný zápis medzi čítaním a uložením skončí 409
+ * a nie prepísaním.
+ *
+ * Request bez If-Match sa nekontroluje (staršie klienty, mobilná aplikácia,
+ * integrácie) — správanie ostáva "posledný zápis vyhráva". Výnimkou sú
+ * podúlohy projektu: PUT /api/tasks/:id aj PUT
+ * /api/contacts/:contactId/tasks/:taskId ich berú celé a bez verzie by
+ * zmazali podúlohy pridané medzitým, preto tam pri zmene podúloh If-Match
+ * vyžadujú (428 VERSION_REQUIRED, sendVersionRequired). `If-Match: *` =
+ * klient vedome prepisuje.
+ */
+
+// Zápisy, pri ktorých plugin posúva počítadlo (query middleware)
+const VERSIONED_UPDATES = ['updateOne', 'updateMany', 'findOneAndUpdate'];
+
+/**
+ * Mongoose plugin — pole `editVersion` a jeho zvýšenie pri každom zápise.
+ *
+ * @param {import('mongoose').Schema} schema
+ */
+const versionPlugin = (schema) => {
+  schema.add({ editVersion: { type: Number, default: 0 } });
+
+  schema.pre('save', function() {
+    if (this.isNew || !this.isModified()) return;
+    if (this.$__.saveOptions?.timestamps === false) return;
+    // $inc aj v DB — dokument načítaný bez poľa (projekcia) ho neprepíše na 1
+    this.$inc('editVersion', 1);
+  });
+
+  schema.pre(VERSIONED_UPDATES, { query: true, document: false }, function() {
+    if (this._mongooseOptions.timestamps === false) return;
+    const update = this.getUpdate();
+    // Aggregation pipeline ($inc v ňom neexistuje) — takýto zápis nepoužívame
+    if (!update || Array.isArray(update)) return;
+    update.$inc = { ...update.$inc, editVersion: 1 };
+  });
+};
+
+/**
+ * Záznam spred zavedenia počítadla ho v DB nemá — jeho verzia je "0".
+ *
+ * @param {{ editVersion?: number }} doc
+ * @returns {string|null}
+ */
+const versionOf = (doc) => (doc ? String(doc.editVersion || 0) : null);
+
+/**
+ * Podmienka do filtra zápisu — záznam má stále verziu načítaného `doc`.
+ *
+ * @param {{ editVersion?: number }} doc
+ * @returns {{ editVersion: number|object }}
+ */
+const versionFilter = (doc) => ({
+  editVersion: doc.editVersion ? doc.editVersion : { $in: [0, null] }
+});
+
+// Hodnoty z If-Match bez úvodzoviek a W/ prefixu; null keď hlavička chýba
+const parseIfMatch = (header) => {
+  if (!header || typeof header !== 'string') return null;
+  return header
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1'))
+    .filter(Boolean);
+};
+
+/**
+ * Zhoduje sa If-Match requestu s aktuálnou verziou záznamu? Bez hlavičky
+ * a pri `If-Match: *` vždy áno.
+ *
+ * @param {import('express').Request} req
+ * @param {string|null} version
+ * @returns {boolean}
+ */
+const matchesIfMatch = (req, version) => {
+  const tags = parseIfMatch(req.get('If-Match'));
+  if (!tags || tags.length === 0) return true;
+  if (tags.includes('*')) return true;
+  return version != null && tags.includes(String(version));
+};
+
+const hasIfMatch = (req) => (parseIfMatch(req.get('If-Match')) || []).length > 0;
+
+// Viaže sa zápis na konkrétnu verziu? (If-Match bez `*`)
+const isVersionChecked = (req) => hasIfMatch(req) && !parseIfMatch(req.get('If-Match')).includes('*');
+
+/**
+ * Podmienený save(): pri If-Match pridá verziu načítaného dokumentu do
+ * filtra zápisu (Mongoose `$where`). Ak dokument medzitým zmenil niekto
+ * iný, save() nič nezapíše a vyhodí chybu — isVersionMismatch().
+ * `If-Match: *` zapisuje bez podmienky.
+ *
+ * @param {import('express').Request} req
+ * @param {import('mongoose').Document} doc
+ */
+const expectVersion = (req, doc) => {
+  if (isVersionChecked(req)) doc.$where = versionFilter(doc);
+};
+
+// Chyba save() po expectVersion — záznam už nemá overenú verziu
+const isVersionMismatch = (error) =>
+  error?.name === 'DocumentNotFoundError' || error?.name === 'VersionError';
+
+const setVersionHeader = (res, version) => {
+  if (version) res.set('ETag', `"${version}"`);
+};
+
+const sendVersionConflict = (res, current) => {
+  setVersionHeader(res, current?.version);
+  return res.status(409).json({
+    message: 'Záznam medzitým upravil niekto iný',
+    code: 'VERSION_CONFLICT',
+    current
+  });
+};
+
+// 428 — zmena, ktorá sa bez overenej verzie zapísať nesmie
+const sendVersionRequired = (res, message) => res.status(428).json({
+  message,
+  code: 'VERSION_REQUIRED'
+});
+
+module.exports = {
+  versionPlugin,
+  versionOf,
+  versionFilter,
+  matchesIfMatch,
+  hasIfMatch,
+  isVersionChecked,
+  expectVersion,
+  isVersionMismatch,
+  setVersionHeader,
+  sendVersionConflict,
+  sendVersionRequired
+};
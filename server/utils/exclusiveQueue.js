@@ -0,0 +1,28 @@
+/**
+ * exclusiveQueue.js — serializácia asynchrónnych zmien podľa kľúča.
+ *
+ * Zmeny s rovnakým kľúčom (napr. id stránky) bežia jedna po druhej
+ * (promise chain per kľúč), rôzne kľúče paralelne. Platí len v rámci jednej
+ * inštancie servera — medzi inštanciami to musí držať podmienený zápis.
+ */
+
+/**
+ * @returns {(key: any, task: () => Promise<any>) => Promise<any>} runExclusive
+ */
+function createExclusiveQueue() {
+  const queues = new Map(); // kľúč -> posledný promise v reťazi
+
+  return function runExclusive(key, task) {
+    const id = String(key);
+    const previous = queues.get(id) || Promise.resolve();
+    const run = previous.then(task);
+    const tail = run.catch(() => {});
+    queues.set(id, tail);
+    tail.then(() => {
+      if (queues.get(id) === tail) queues.delete(id);
+    });
+    return run;
+  };
+}
+
+module.exports = { createExclusiveQueue };
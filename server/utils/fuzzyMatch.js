@@ -0,0 +1,138 @@
+/**
+ * fuzzyMatch.js — približné hľadanie v krátkych textoch (názvy stránok
+ * v rýchlom prepínači, services/pageQuickAccess.js).
+ *
+ * Znaky dopytu musia byť v texte v rovnakom poradí, nie nutne za sebou
+ * ("prjpl" nájde "Projektový plán"). Porovnáva sa bez diakritiky a veľkosti
+ * písmen, medzery v dopyte sa ignorujú. Skóre zvýhodňuje zhody na začiatku
+ * slov a súvislé úseky, znevýhodňuje medzery medzi zhodami a dlhé texty —
+ * "plán" je tak pred "aplikácia na rozpis prác".
+ *
+ * Zvýraznenie je v tvare úsekov ako pri vyhľadávaní (utils/searchSnippet.js):
+ *   [{ type: 'text' | 'match', text }]
+ */
+
+const MAX_QUERY_LENGTH = 64;
+
+const SCORE_MATCH = 16;
+const BONUS_WORD_START = 10;
+const BONUS_CONSECUTIVE = 8;
+const BONUS_PREFIX = 12;
+const BONUS_EXACT = 40;
+const PENALTY_GAP = 1;
+const PENALTY_LENGTH = 0.1;
+
+const WORD_CHAR_RE = /[\p{L}\p{N}]/u;
+
+// Jeden znak bez diakritiky a malým písmenom (NFD rozloží "á" na "a" +
+// kombinujúci znak, ktorý sa zahodí)
+const foldChar = (ch) => ch.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().charAt(0) || ch;
+
+const foldQuery = (query) => Array.from(String(query || '').replace(/\s+/g, ''))
+  .slice(0, MAX_QUERY_LENGTH)
+  .map(foldChar);
+
+const isWordStart = (chars, i) => {
+  if (i === 0) return true;
+  const prev = chars[i - 1];
+  if (!WORD_CHAR_RE.test(prev)) return true;
+  // camelCase a čísla za písmenami
+  return (prev === prev.toLowerCase() && chars[i] !== chars[i].toLowerCase())
+    || (/\p{L}/u.test(prev) && /\p{N}/u.test(chars[i]));
+};
+
+/**
+ * Porovná dopyt s textom. Vracia { score, indices } (indexy znakov textu,
+ * ktoré sa zhodujú) alebo null, keď sa text nezhoduje. Prázdny dopyt sa
+ * zhoduje so všetkým so skóre 0.
+ */
+function fuzzyMatch(query, text) {
+  const needle = foldQuery(query);
+  const chars = Array.from(String(text || ''));
+  if (needle.length === 0) return { score: 0, indices: [] };
+  if (needle.length > chars.length) return null;
+  const folded = chars.map(foldChar);
+
+  // Dopredu: prvý výskyt celej postupnosti — určí, kde zhoda končí
+  let n = 0;
+  let end = -1;
+  for (let i = 0; i < folded.length; i++) {
+    if (folded[i] === needle[n] && ++n === needle.length) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) return null;
+
+  // Dozadu od konca: najkratší úsek s celou postupnosťou
+  let start = end;
+  for (let i = end, m = needle.length - 1; i >= 0 && m >= 0; i--) {
+    if (folded[i] === needle[m]) {
+      start = i;
+      m--;
+    }
+  }
+
+  // V úseku uprednostníme začiatky slov: znak dopytu sa zarovná na začiatok
+  // slova, ak je ďalej v úseku a zvyšok dopytu sa za ním ešte zmestí
+  const indices = [];
+  let pos = start;
+  for (let m = 0; m < needle.length; m++) {
+    let chosen = -1;
+    for (let i = pos; i <= end; i++) {
+      if (folded[i] !== needle[m]) continue;
+      if (chosen === -1) chosen = i;
+      if (isWordStart(chars, i) && fitsAfter(folded, needle, m + 1, i + 1, end)) {
+        chosen = i;
+        break;
+      }
+      if (indices.length > 0 && i === indices[indices.length - 1] + 1) break;
+    }
+    indices.push(chosen);
+    pos = chosen + 1;
+  }
+
+  let score = 0;
+  for (let k = 0; k < indices.length; k++) {
+    const i = indices[k];
+    score += SCORE_MATCH;
+    if (isWordStart(chars, i)) score += BONUS_WORD_START;
+    if (k > 0) {
+      const gap = i - indices[k - 1] - 1;
+      if (gap === 0) score += BONUS_CONSECUTIVE;
+      else score -= gap * PENALTY_GAP;
+    }
+  }
+  if (indices[0] === 0) score += BONUS_PREFIX;
+  if (needle.length === folded.filter(ch => !/\s/.test(ch)).length) score += BONUS_EXACT;
+  score -= chars.length * PENALTY_LENGTH;
+
+  return { score, indices };
+}
+
+// Zmestí sa needle[from..] do folded[at..end] v poradí?
+function fitsAfter(folded, needle, from, at, end) {
+  let m = from;
+  for (let i = at; i <= end && m < needle.length; i++) {
+    if (folded[i] === needle[m]) m++;
+  }
+  return m === needle.length;
+}
+
+/**
+ * Text rozdelený na úseky so zvýraznenými znakmi `indices`.
+ */
+function highlightSegments(text, indices) {
+  const chars = Array.from(String(text || ''));
+  const marked = new Set(indices);
+  const segments = [];
+  for (let i = 0; i < chars.length; i++) {
+    const type = marked.has(i) ? 'match' : 'text';
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) last.text += chars[i];
+    else segments.push({ type, text: chars[i] });
+  }
+  return segments;
+}
+
+module.exports = { MAX_QUERY_LENGTH, fuzzyMatch, highlightSegments };
@@ -0,0 +1,141 @@
+/**
+ * inlineMarks.js — formátovanie a zmienky vnútri textu bloku.
+ *
+ * Text bloku (`content`) ostáva plain text, nad ktorým beží OT
+ * (utils/textOt.js). Formátovanie leží vedľa neho v `block.marks` ako
+ * rozsahy znakov:
+ *   { type, start, end, attrs? }     start < end, indexy do `content`
+ * Typy:
+ *   bold, italic, strike, code
+ *   link     — attrs.href (http/https/mailto)
+ *   mention  — attrs.kind ('user' | 'contact' | 'task' | 'page') + attrs.id
+ *   comment  — attrs.threadId, úsek s diskusiou (models/PageThread.js)
+ *
+ * Každá textová operácia posunie aj značky (`shiftMarks`), na serveri
+ * (services/pageCollab.js) aj v editore, takže formátovanie ide s textom.
+ * Písanie presne na konci tučného / kurzívy / preškrtnutého textu značku
+ * predĺži (ako v bežných editoroch), pri kóde, odkaze, zmienke a
+ * komentári nie.
+ *
+ * Kópia client/src/utils/inlineMarks.js — posun značiek MUSÍ ostať zhodný.
+ */
+const { transformIndex } = require('./textOt');
+
+const MARK_TYPES = ['bold', 'italic', 'strike', 'code', 'link', 'mention', 'comment'];
+const MENTION_KINDS = ['user', 'contact', 'task', 'page'];
+const INCLUSIVE_TYPES = ['bold', 'italic', 'strike'];
+
+const MAX_MARKS_PER_BLOCK = 500;
+const MAX_HREF_LENGTH = 2000;
+
+const OBJECT_ID_RE = /^[a-f0-9]{24}$/i;
+const SAFE_HREF_RE = /^(https?:\/\/|mailto:)/i;
+
+const sanitizeAttrs = (type, raw) => {
+  if (type === 'link') {
+    const href = typeof raw?.href === 'string' ? raw.href.trim() : '';
+    if (!SAFE_HREF_RE.test(href) || href.length > MAX_HREF_LENGTH) return null;
+    return { href };
+  }
+  if (type === 'mention') {
+    if (!raw || !MENTION_KINDS.includes(raw.kind) || !OBJECT_ID_RE.test(String(raw.id))) return null;
+    return { kind: raw.kind, id: String(raw.id) };
+  }
+  if (type === 'comment') {
+    if (!raw || !OBJECT_ID_RE.test(String(raw.threadId))) return null;
+    return { threadId: String(raw.threadId) };
+  }
+  return undefined;
+};
+
+const sameMark = (a, b) =>
+  a.type === b.type && JSON.stringify(a.attrs || null) === JSON.stringify(b.attrs || null);
+
+/**
+ * Zvaliduje značky od klienta voči dĺžke textu bloku. Neplatné sa zahodia,
+ * rozsahy sa orežú na text, výsledok je zoradený podľa `start`.
+ */
+const sanitizeMarks = (raw, contentLength) => {
+  if (!Array.isArray(raw)) return [];
+  const marks = [];
+  for (const mark of raw.slice(0, MAX_MARKS_PER_BLOCK)) {
+    if (!mark || !MARK_TYPES.includes(mark.type)) continue;
+    if (!Number.isInteger(mark.start) || !Number.isInteger(mark.end)) continue;
+    const start = Math.max(0, mark.start);
+    const end = Math.min(contentLength, mark.end);
+    if (start >= end) continue;
+    const attrs = sanitizeAttrs(mark.type, mark.attrs);
+    if (attrs === null) continue;
+    marks.push(attrs ? { type: mark.type, start, end, attrs } : { type: mark.type, start, end });
+  }
+  return marks.sort((a, b) => a.start - b.start || a.end - b.end);
+};
+
+/**
+ * Posunie značky cez textovú operáciu. Značka, ktorej text sa celý zmazal,
+ * zanikne.
+ */
+const shiftMarks = (marks, op) => {
+  if (!Array.isArray(marks) || marks.length === 0) return [];
+  const shifted = [];
+  for (const mark of marks) {
+    const start = transformIndex(op, mark.start, true);
+    const end = transformIndex(op, mark.end, INCLUSIVE_TYPES.includes(mark.type));
+    if (start < end) shifted.push({ ...mark, start, end });
+  }
+  return shifted;
+};
+
+/**
+ * Zapne / vypne značku na rozsahu [start, end). Ak je celý rozsah už
+ * označený, značka sa z neho odstráni, inak sa rozsah označí (a zlúči so
+ * susednými rovnakými značkami).
+ */
+const toggleMark = (marks, mark) => {
+  const { start, end } = mark;
+  const same = (marks || []).filter(m => sameMark(m, mark));
+  const others = (marks || []).filter(m => !sameMark(m, mark));
+
+  let covered = start;
+  for (const m of [...same].sort((a, b) => a.start - b.start)) {
+    if (m.start <= covered && m.end > covered) covered = m.end;
+  }
+  const remove = covered >= end;
+
+  const result = [];
+  let merged = remove ? null : { ...mark };
+  for (const m of same) {
+    if (m.end < start || m.start > end) {
+      result.push(m);
+    } else if (remove) {
+      if (m.start < start) result.push({ ...m, end: start });
+      if (m.end > end) result.push({ ...m, start: end });
+    } else {
+      merged.start = Math.min(merged.start, m.start);
+      merged.end = Math.max(merged.end, m.end);
+    }
+  }
+  if (merged) result.push(merged);
+  return [...others, ...result].sort((a, b) => a.start - b.start || a.end - b.end);
+};
+
+// Zmienky v strome blokov ako Set `${kind}:${id}`
+const collectMentions = (blocks, out = new Set()) => {
+  for (const block of blocks || []) {
+    for (const mark of block.marks || []) {
+      if (mark.type === 'mention') out.add(`${mark.attrs.kind}:${mark.attrs.id}`);
+    }
+    collectMentions(block.children, out);
+  }
+  return out;
+};
+
+module.exports = {
+  MARK_TYPES,
+  MENTION_KINDS,
+  MAX_MARKS_PER_BLOCK,
+  sanitizeMarks,
+  shiftMarks,
+  toggleMark,
+  collectMentions
+};
@@ -0,0 +1,224 @@
+/**
+ * pageBlocks.js — štruktúrované bloky stránok (Pages modul).
+ *
+ * Stránka je usporiadaný zoznam typovaných blokov:
+ *   { id, type, content, marks, props, children }
+ * `children` je rovnaký zoznam blokov (vnorenie, napr. pod-odrážky). Hĺbka
+ * v schéme nie je obmedzená (netypované pole ako `subtasks`), preto všetky
+ * operácie tu idú rekurzívne nad plain objektmi — route si bloky vytiahne
+ * cez `page.toObject()`, upraví a zapíše späť celé pole.
+ *
+ * `marks` je inline formátovanie a zmienky nad `content` (utils/inlineMarks.js).
+ *
+ * `Page.content` ostáva ako plain-text rendícia blokov (`blocksToText`) —
+ * používa sa pre náhľady a starších klientov, ktorí posielajú iba content.
+ *
+ * Typy s vlastným významom `content` / `props`:
+ *   todo    — content = text, props.checked
+ *   toggle  — content = nadpis, `children` = zbalený obsah
+ *   callout — content = text, props.icon (emoji)
+ *   divider — bez obsahu
+ *   image   — content = popis, props.fileId (PageFile) + props.name
+ *   table   — content = bunky ako TSV (riadky '\n', stĺpce '\t'), aby
+ *             súbežné úpravy buniek išli cez ten istý OT ako text;
+ *             props.header = prvý riadok je hlavička
+ */
+const { v4: uuidv4 } = require('uuid');
+const { sanitizeMarks } = require('./inlineMarks');
+
+// Musí sedieť s BLOCK_TYPES v client/src/components/Block.jsx
+const BLOCK_TYPES = [
+  'paragraph',
+  'heading1',
+  'heading2',
+  'heading3',
+  'bullet-list',
+  'numbered-list',
+  'quote',
+  'code',
+  'todo',
+  'toggle',
+  'callout',
+  'divider',
+  'image',
+  'table'
+];
+
+const MAX_BLOCK_CONTENT = 100000;
+const MAX_BLOCKS_PER_PAGE = 2000;
+const MAX_BLOCK_DEPTH = 10;
+const MAX_PAGE_CONTENT = 500000;
+
+// props je voľný objekt (napr. { language: 'js' } pri code bloku). Ukladáme
+// len ploché primitívy — vnorené objekty/polia by sa dali zneužiť na
+// nafúknutie dokumentu a žiadny typ bloku ich zatiaľ nepotrebuje.
+const sanitizeProps = (raw) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return {};
+  const props = {};
+  for (const [key, value] of Object.entries(raw).slice(0, 20)) {
+    if (key.startsWith('$') || key.includes('.')) continue;
+    if (typeof value === 'string') props[key] = value.substring(0, 2000);
+    else if (typeof value === 'number' && Number.isFinite(value)) props[key] = value;
+    else if (typeof value === 'boolean' || value === null) props[key] = value;
+  }
+  return props;
+};
+
+/**
+ * Zvaliduje vstup od klienta na blok. Vracia { block } alebo { error }
+ * (volajúci vráti 400) — neznámy typ, alebo deti hlbšie ako MAX_BLOCK_DEPTH
+ * (nezahodia sa potichu). Chýbajúce id sa dogeneruje, deti sa validujú
+ * rekurzívne.
+ */
+const normalizeBlock = (raw, depth = 0) => {
+  if (!raw || typeof raw !== 'object') return { error: 'Neplatný blok' };
+  const type = raw.type === undefined ? 'paragraph' : raw.type;
+  if (!BLOCK_TYPES.includes(type)) return { error: 'Neplatný typ bloku' };
+  const content = raw.content === undefined || raw.content === null
+    ? ''
+    : String(raw.content).substring(0, MAX_BLOCK_CONTENT);
+  const block = {
+    id: typeof raw.id === 'string' && raw.id.length > 0 && raw.id.length <= 64 ? raw.id : uuidv4(),
+    type,
+    content,
+    marks: sanitizeMarks(raw.marks, content.length),
+    props: sanitizeProps(raw.props),
+    children: []
+  };
+  if (Array.isArray(raw.children) && raw.children.length > 0) {
+    if (depth >= MAX_BLOCK_DEPTH) {
+      return { error: `Bloky môžu byť vnorené najviac ${MAX_BLOCK_DEPTH} úrovní` };
+    }
+    for (const child of raw.children) {
+      const normalized = normalizeBlock(child, depth + 1);
+      if (normalized.error) return normalized;
+      block.children.push(normalized.block);
+    }
+  }
+  return { block };
+};
+
+/**
+ * Zvaliduje celý zoznam blokov. Vracia { blocks } alebo { error }.
+ */
+const normalizeBlocks = (rawList) => {
+  if (!Array.isArray(rawList)) return { error: 'Bloky musia byť pole' };
+  const blocks = [];
+  for (const raw of rawList) {
+    const result = normalizeBlock(raw);
+    if (result.error) return { error: result.error };
+    blocks.push(result.block);
+  }
+  if (countBlocks(blocks) > MAX_BLOCKS_PER_PAGE) {
+    return { error: `Stránka môže mať najviac ${MAX_BLOCKS_PER_PAGE} blokov` };
+  }
+  const ids = collectBlockIds(blocks);
+  if (new Set(ids).size !== ids.length) return { error: 'Duplicitné ID bloku' };
+  return { blocks };
+};
+
+const createBlock = (type = 'paragraph', content = '') => ({
+  id: uuidv4(),
+  type,
+  content,
+  marks: [],
+  props: {},
+  children: []
+});
+
+/**
+ * Prevod legacy `content` stringu na bloky. Prázdne riadky oddeľujú odseky,
+ * jednoduchý riadok je súčasť odseku. Odsek dlhší ako MAX_BLOCK_CONTENT sa
+ * rozdelí do viacerých blokov (nič sa nezahodí). Prázdny content → jeden
+ * prázdny odsek, aby editor mal kam písať.
+ */
+const contentToBlocks = (content) => {
+  const text = content === undefined || content === null ? '' : String(content);
+  const blocks = [];
+  const paragraphs = text
+    .replace(/\r\n/g, '\n')
+    .split(/\n{2,}/)
+    .map(p => p.trim())
+    .filter(Boolean);
+  for (const paragraph of paragraphs) {
+    for (let i = 0; i < paragraph.length && blocks.length < MAX_BLOCKS_PER_PAGE; i += MAX_BLOCK_CONTENT) {
+      blocks.push(createBlock('paragraph', paragraph.substring(i, i + MAX_BLOCK_CONTENT)));
+    }
+  }
+  return blocks.length > 0 ? blocks : [createBlock()];
+};
+
+/**
+ * Bloky stránky ako plain objekty. Stránka spred blokového úložiska (len
+ * `content`) dostane bloky z contentToBlocks s id odvodenými od stránky —
+ * GET, prvá úprava (services/pageCollab.js) aj scripts/migratePageBlocks.js
+ * tak pracujú s rovnakými id. Uloží ich až úprava alebo migrácia, čítanie
+ * nič nezapisuje.
+ */
+const pageBlocksOf = (page) => {
+  const blocks = (page.toObject ? page.toObject().blocks : page.blocks) || [];
+  if (blocks.length > 0) return blocks;
+  return contentToBlocks(page.content).map((block, i) => ({ ...block, id: `${page._id}-${i + 1}` }));
+};
+
+const blocksToText = (blocks) => {
+  const lines = [];
+  const walk = (list) => {
+    for (const block of list || []) {
+      if (block.content) lines.push(block.content);
+      if (block.children && block.children.length > 0) walk(block.children);
+    }
+  };
+  walk(blocks);
+  return lines.join('\n\n').substring(0, MAX_PAGE_CONTENT);
+};
+
+const countBlocks = (blocks) => {
+  let count = 0;
+  for (const block of blocks || []) {
+    count += 1 + countBlocks(block.children);
+  }
+  return count;
+};
+
+const collectBlockIds = (blocks, ids = []) => {
+  for (const block of blocks || []) {
+    ids.push(block.id);
+    collectBlockIds(block.children, ids);
+  }
+  return ids;
+};
+
+/**
+ * Nájde blok v strome. Vracia { block, siblings, index, parent } — siblings
+ * je pole, v ktorom blok leží (top-level `blocks` alebo `parent.children`),
+ * takže volajúci môže priamo spliceovať.
+ */
+const findBlock = (blocks, blockId, parent = null) => {
+  if (!Array.isArray(blocks)) return null;
+  for (let i = 0; i < blocks.length; i++) {
+    if (blocks[i].id === blockId) {
+      return { block: blocks[i], siblings: blocks, index: i, parent };
+    }
+    const found = findBlock(blocks[i].children, blockId, blocks[i]);
+    if (found) return found;
+  }
+  return null;
+};
+
+module.exports = {
+  BLOCK_TYPES,
+  MAX_BLOCK_CONTENT,
+  MAX_BLOCKS_PER_PAGE,
+  MAX_BLOCK_DEPTH,
+  MAX_PAGE_CONTENT,
+  normalizeBlock,
+  normalizeBlocks,
+  createBlock,
+  contentToBlocks,
+  pageBlocksOf,
+  blocksToText,
+  countBlocks,
+  collectBlockIds,
+  findBlock
+};
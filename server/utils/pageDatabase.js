@@ -0,0 +1,480 @@
+/**
+ * pageDatabase.js — schéma databázových stránok (Page.kind 'database').
+ *
+ * Databáza je stránka so zoznamom typovaných vlastností a uložených
+ * pohľadov v `Page.database`; riadky sú samostatné dokumenty
+ * (models/PageRow.js) s hodnotami pod ID vlastnosti:
+ *   { properties: [{ id, name, type, options, relation }],
+ *     views: [{ id, name, type, filters, sorts, groupBy, dateProperty, hiddenProperties }] }
+ *
+ * Vlastnosť 'title' (text) má každá databáza — nedá sa zmazať ani zmeniť
+ * jej typ. `options` majú len výbery ({ id, name, color }), `relation`
+ * len prepojenie (kontakt / projekt).
+ *
+ * Pohľad 'table' je tabuľka, 'board' nástenka so stĺpcami podľa výberu
+ * `groupBy`, 'calendar' mesačný kalendár podľa dátumu `dateProperty`.
+ * Filtre ({ propertyId, operator, value }) platia všetky naraz, zoradenie
+ * ({ propertyId, direction }) v poradí, ako je uvedené.
+ *
+ * Tu sú len čisté funkcie nad plain objektmi — validácia vstupu, Mongo
+ * filter pre riadky, zoradenie a prevod hodnôt na text a späť (CSV).
+ * Zápisy robí services/pageDatabase.js.
+ */
+const { v4: uuidv4 } = require('uuid');
+const { escapeRegex } = require('./regexHelpers');
+
+// Musí sedieť s PROPERTY_TYPES v client/src/utils/pageDatabase.js
+const PROPERTY_TYPES = ['text', 'number', 'select', 'multi_select', 'date', 'person', 'relation', 'checkbox'];
+const VIEW_TYPES = ['table', 'board', 'calendar'];
+const RELATION_TARGETS = ['contact', 'task'];
+const OPTION_COLORS = ['gray', 'brown', 'orange', 'yellow', 'green', 'blue', 'purple', 'pink', 'red'];
+const TITLE_PROPERTY_ID = 'title';
+
+const MAX_PROPERTIES = 50;
+const MAX_OPTIONS = 100;
+const MAX_VIEWS = 20;
+const MAX_FILTERS = 20;
+const MAX_SORTS = 5;
+const MAX_NAME_LENGTH = 100;
+const MAX_TEXT_LENGTH = 2000;
+const MAX_MULTI_VALUES = 50;
+
+// Podmienky filtra podľa typu vlastnosti
+const OPERATORS = {
+  text: ['contains', 'not_contains', 'equals', 'not_equals', 'is_empty', 'is_not_empty'],
+  number: ['equals', 'not_equals', 'gt', 'gte', 'lt', 'lte', 'is_empty', 'is_not_empty'],
+  select: ['equals', 'not_equals', 'is_empty', 'is_not_empty'],
+  multi_select: ['contains', 'not_contains', 'is_empty', 'is_not_empty'],
+  date: ['equals', 'before', 'after', 'on_or_before', 'on_or_after', 'is_empty', 'is_not_empty'],
+  person: ['equals', 'not_equals', 'is_empty', 'is_not_empty'],
+  relation: ['contains', 'not_contains', 'is_empty', 'is_not_empty'],
+  checkbox: ['equals']
+};
+const VALUELESS_OPERATORS = ['is_empty', 'is_not_empty'];
+const RANGE_OPERATORS = {
+  gt: '$gt', gte: '$gte', lt: '$lt', lte: '$lte',
+  before: '$lt', after: '$gt', on_or_before: '$lte', on_or_after: '$gte'
+};
+
+const VIEW_NAMES = { table: 'Tabuľka', board: 'Nástenka', calendar: 'Kalendár' };
+
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const SK_DATE_RE = /^(\d{1,2})\.\s*(\d{1,2})\.\s*(\d{4})$/;
+const OBJECT_ID_RE = /^[a-f0-9]{24}$/i;
+const ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+const TRUE_TEXTS = ['áno', 'ano', 'yes', 'true', '1', 'x', '✓'];
+const FALSE_TEXTS = ['nie', 'no', 'false', '0', ''];
+
+const cleanName = (name) => String(name ?? '').trim().substring(0, MAX_NAME_LENGTH);
+
+const isValidDate = (text) => {
+  const match = DATE_RE.exec(text);
+  if (!match) return false;
+  const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  return date.getUTCMonth() === +match[2] - 1 && date.getUTCDate() === +match[3];
+};
+
+const isEmptyValue = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+const newView = (type = 'table') => ({
+  id: uuidv4(),
+  name: VIEW_NAMES[type],
+  type,
+  filters: [],
+  sorts: [],
+  groupBy: null,
+  dateProperty: null,
+  hiddenProperties: []
+});
+
+/**
+ * Schéma novej databázy — len názov a jedna tabuľka.
+ */
+const defaultDatabase = () => ({
+  properties: [{ id: TITLE_PROPERTY_ID, name: 'Názov', type: 'text', options: [], relation: null }],
+  views: [newView('table')]
+});
+
+// Možnosti výberu — názvy bez duplicít, nové dostanú ID a farbu
+const normalizeOptions = (raw) => {
+  if (raw === undefined || raw === null) return { value: [] };
+  if (!Array.isArray(raw)) return { error: 'Možnosti výberu musia byť zoznam' };
+  if (raw.length > MAX_OPTIONS) return { error: `Výber môže mať najviac ${MAX_OPTIONS} možností` };
+
+  const names = new Set();
+  const ids = new Set();
+  const options = [];
+  for (const item of raw) {
+    const name = cleanName(typeof item === 'string' ? item : item?.name);
+    if (!name || names.has(name.toLowerCase())) continue;
+    const id = typeof item?.id === 'string' && ID_RE.test(item.id) && !ids.has(item.id) ? item.id : uuidv4();
+    const color = OPTION_COLORS.includes(item?.color) ? item.color : OPTION_COLORS[options.length % OPTION_COLORS.length];
+    names.add(name.toLowerCase());
+    ids.add(id);
+    options.push({ id, name, color });
+  }
+  return { value: options };
+};
+
+/**
+ * Zvaliduje vlastnosť od klienta. Pri úprave `existing` (plain objekt)
+ * dopĺňa, čo vstup neuvádza. Vracia { value } alebo { error }.
+ */
+function normalizeProperty(raw, existing = null) {
+  if (!raw || typeof raw !== 'object') return { error: 'Neplatná vlastnosť' };
+  const pick = (key) => (raw[key] === undefined && existing ? existing[key] : raw[key]);
+
+  const name = cleanName(pick('name'));
+  if (!name) return { error: 'Vlastnosť musí mať názov' };
+  const type = pick('type');
+  if (!PROPERTY_TYPES.includes(type)) return { error: 'Neznámy typ vlastnosti' };
+  if (existing && existing.id === TITLE_PROPERTY_ID && type !== 'text') {
+    return { error: 'Typ vlastnosti Názov sa nedá zmeniť' };
+  }
+
+  const property = { id: existing ? existing.id : uuidv4(), name, type, options: [], relation: null };
+  if (type === 'select' || type === 'multi_select') {
+    const result = normalizeOptions(pick('options'));
+    if (result.error) return result;
+    property.options = result.value;
+  }
+  if (type === 'relation') {
+    const relation = pick('relation');
+    if (!RELATION_TARGETS.includes(relation)) return { error: 'Prepojenie môže viesť na kontakty alebo projekty' };
+    property.relation = relation;
+  }
+  return { value: property };
+}
+
+/**
+ * Zvaliduje hodnotu vlastnosti (len tvar — existenciu ľudí a záznamov
+ * overuje služba). Vracia { value } alebo { error }; prázdna hodnota je
+ * { value: undefined } a v riadku sa neuloží.
+ */
+function normalizeValue(property, raw) {
+  if (isEmptyValue(raw)) return { value: undefined };
+  const invalid = (what) => ({ error: `Vlastnosť „${property.name}": ${what}` });
+
+  switch (property.type) {
+    case 'text':
+      return { value: String(raw).substring(0, MAX_TEXT_LENGTH) };
+    case 'number': {
+      const number = typeof raw === 'number' ? raw : Number(raw);
+      return Number.isFinite(number) ? { value: number } : invalid('neplatné číslo');
+    }
+    case 'select':
+      return property.options.some(o => o.id === raw) ? { value: raw } : invalid('neznáma možnosť');
+    case 'multi_select': {
+      if (!Array.isArray(raw)) return invalid('hodnota musí byť zoznam');
+      const ids = [...new Set(raw.map(String))];
+      if (ids.some(id => !property.options.some(o => o.id === id))) return invalid('neznáma možnosť');
+      return { value: ids };
+    }
+    case 'date':
+      return isValidDate(String(raw)) ? { value: String(raw) } : invalid('dátum musí byť v tvare RRRR-MM-DD');
+    case 'person':
+      return OBJECT_ID_RE.test(String(raw)) ? { value: String(raw) } : invalid('neplatný používateľ');
+    case 'relation': {
+      if (!Array.isArray(raw)) return invalid('hodnota musí byť zoznam');
+      const ids = [...new Set(raw.map(String))];
+      if (ids.length > MAX_MULTI_VALUES) return invalid(`najviac ${MAX_MULTI_VALUES} prepojení`);
+      if (ids.some(id => !OBJECT_ID_RE.test(id))) return invalid('neplatné ID záznamu');
+      return { value: ids };
+    }
+    case 'checkbox':
+      // Nezaškrtnuté = prázdne, filter "nie je zaškrtnuté" tak nájde aj staré riadky
+      if (typeof raw !== 'boolean') return invalid('hodnota musí byť áno/nie');
+      return { value: raw ? true : undefined };
+    default:
+      return invalid('neznámy typ');
+  }
+}
+
+/**
+ * Zvaliduje podmienku filtra voči vlastnostiam databázy.
+ */
+function normalizeFilter(raw, properties) {
+  const property = properties.find(p => p.id === raw?.propertyId);
+  if (!property) return { error: 'Filter odkazuje na neznámu vlastnosť' };
+  const { operator } = raw;
+  if (!OPERATORS[property.type].includes(operator)) return { error: 'Neplatná podmienka filtra' };
+  if (VALUELESS_OPERATORS.includes(operator)) return { value: { propertyId: property.id, operator, value: null } };
+
+  let result;
+  if (property.type === 'checkbox') {
+    result = typeof raw.value === 'boolean' ? { value: raw.value } : { error: 'Filter potrebuje hodnotu áno/nie' };
+  } else if (property.type === 'multi_select' || property.type === 'relation') {
+    // "obsahuje" porovnáva jednu položku zoznamu
+    result = normalizeValue(property, isEmptyValue(raw.value) ? raw.value : [raw.value]);
+    if (result.value) result = { value: result.value[0] };
+  } else {
+    result = normalizeValue(property, raw.value);
+  }
+  if (result.error) return result;
+  if (result.value === undefined) return { error: 'Filter potrebuje hodnotu' };
+  return { value: { propertyId: property.id, operator, value: result.value } };
+}
+
+// Zoznam filtrov / zoradení; `lenient` neplatné položky vynechá namiesto chyby
+const normalizeFilters = (raw, properties, lenient) => {
+  if (raw === undefined || raw === null) return { value: [] };
+  if (!Array.isArray(raw) || raw.length > MAX_FILTERS) return { error: `Najviac ${MAX_FILTERS} filtrov` };
+  const filters = [];
+  for (const item of raw) {
+    const result = normalizeFilter(item, properties);
+    if (result.error && !lenient) return result;
+    if (result.value) filters.push(result.value);
+  }
+  return { value: filters };
+};
+
+const normalizeSorts = (raw, properties, lenient) => {
+  if (raw === undefined || raw === null) return { value: [] };
+  if (!Array.isArray(raw) || raw.length > MAX_SORTS) return { error: `Najviac ${MAX_SORTS} zoradení` };
+  const sorts = [];
+  for (const item of raw) {
+    const valid = properties.some(p => p.id === item?.propertyId) && ['asc', 'desc'].includes(item.direction);
+    if (!valid) {
+      if (lenient) continue;
+      return { error: 'Neplatné zoradenie' };
+    }
+    if (!sorts.some(s => s.propertyId === item.propertyId)) sorts.push({ propertyId: item.propertyId, direction: item.direction });
+  }
+  return { value: sorts };
+};
+
+// Vlastnosť pre stĺpce nástenky / dni kalendára — zadaná, inak prvá vhodná
+const pickProperty = (properties, id, type) => {
+  const chosen = properties.find(p => p.id === id && p.type === type);
+  return (chosen || properties.find(p => p.type === type) || null)?.id ?? null;
+};
+
+/**
+ * Zvaliduje pohľad voči vlastnostiam databázy. Pri úprave `existing`
+ * dopĺňa, čo vstup neuvádza. Vracia { value } alebo { error }.
+ */
+function normalizeView(raw, properties, existing = null) {
+  if (!raw || typeof raw !== 'object') return { error: 'Neplatný pohľad' };
+  const pick = (key) => (raw[key] === undefined && existing ? existing[key] : raw[key]);
+
+  const type = pick('type') ?? 'table';
+  if (!VIEW_TYPES.includes(type)) return { error: 'Neznámy typ pohľadu' };
+  const name = raw.name === undefined && !existing ? VIEW_NAMES[type] : cleanName(pick('name'));
+  if (!name) return { error: 'Pohľad musí mať názov' };
+
+  const filters = normalizeFilters(pick('filters'), properties, false);
+  if (filters.error) return filters;
+  const sorts = normalizeSorts(pick('sorts'), properties, false);
+  if (sorts.error) return sorts;
+
+  const groupBy = pickProperty(properties, pick('groupBy'), 'select');
+  if (type === 'board' && !groupBy) return { error: 'Nástenka potrebuje vlastnosť typu výber' };
+  const dateProperty = pickProperty(properties, pick('dateProperty'), 'date');
+  if (type === 'calendar' && !dateProperty) return { error: 'Kalendár potrebuje vlastnosť typu dátum' };
+
+  const hidden = pick('hiddenProperties');
+  const hiddenProperties = Array.isArray(hidden)
+    ? [...new Set(hidden.map(String))].filter(id => id !== TITLE_PROPERTY_ID && properties.some(p => p.id === id))
+    : [];
+
+  return {
+    value: {
+      id: existing ? existing.id : uuidv4(),
+      name,
+      type,
+      filters: filters.value,
+      sorts: sorts.value,
+      groupBy,
+      dateProperty,
+      hiddenProperties
+    }
+  };
+}
+
+/**
+ * Pohľad po zmene vlastností — filtre a zoradenia, ktoré už neplatia,
+ * vypadnú. Nástenka / kalendár bez vhodnej vlastnosti sa zmení na tabuľku.
+ */
+function pruneView(view, properties) {
+  const groupBy = pickProperty(properties, view.groupBy, 'select');
+  const dateProperty = pickProperty(properties, view.dateProperty, 'date');
+  let { type } = view;
+  if ((type === 'board' && !groupBy) || (type === 'calendar' && !dateProperty)) type = 'table';
+  return {
+    ...view,
+    type,
+    filters: normalizeFilters(view.filters, properties, true).value,
+    sorts: normalizeSorts(view.sorts, properties, true).value,
+    groupBy,
+    dateProperty,
+    hiddenProperties: (view.hiddenProperties || []).filter(id => properties.some(p => p.id === id))
+  };
+}
+
+/**
+ * Mongo podmienka pre riadky podľa filtrov (všetky musia platiť).
+ */
+function buildRowFilter(properties, filters) {
+  const conditions = [];
+  for (const { propertyId, operator, value } of filters) {
+    const property = properties.find(p => p.id === propertyId);
+    if (!property) continue;
+    const field = `values.${propertyId}`;
+    const isText = property.type === 'text';
+
+    switch (operator) {
+      case 'is_empty':
+        conditions.push({ [field]: { $in: [null, '', []] } });
+        break;
+      case 'is_not_empty':
+        conditions.push({ [field]: { $nin: [null, '', []] } });
+        break;
+      case 'equals':
+        if (property.type === 'checkbox') conditions.push(value ? { [field]: true } : { [field]: { $ne: true } });
+        else if (isText) conditions.push({ [field]: { $regex: `^${escapeRegex(value)}$`, $options: 'i' } });
+        else conditions.push({ [field]: value });
+        break;
+      case 'not_equals':
+        if (isText) conditions.push({ [field]: { $not: new RegExp(`^${escapeRegex(value)}$`, 'i') } });
+        else conditions.push({ [field]: { $ne: value } });
+        break;
+      case 'contains':
+        if (isText) conditions.push({ [field]: { $regex: escapeRegex(value), $options: 'i' } });
+        else conditions.push({ [field]: value });
+        break;
+      case 'not_contains':
+        if (isText) conditions.push({ [field]: { $not: new RegExp(escapeRegex(value), 'i') } });
+        else conditions.push({ [field]: { $ne: value } });
+        break;
+      default:
+        if (RANGE_OPERATORS[operator]) conditions.push({ [field]: { [RANGE_OPERATORS[operator]]: value } });
+    }
+  }
+  return conditions.length > 0 ? { $and: conditions } : {};
+}
+
+/**
+ * Hodnota ako text — bunka CSV a porovnávanie pri zoradení. `refs` sú mená
+ * ľudí a záznamov ({ users, contacts, tasks } — services/pageDatabase.js).
+ */
+function formatValue(property, value, refs = {}) {
+  if (isEmptyValue(value)) return property.type === 'checkbox' ? 'Nie' : '';
+  const optionName = (id) => property.options.find(o => o.id === id)?.name || '';
+  switch (property.type) {
+    case 'select':
+      return optionName(value);
+    case 'multi_select':
+      return value.map(optionName).filter(Boolean).join('; ');
+    case 'person':
+      return refs.users?.[value]?.username || '';
+    case 'relation': {
+      const names = property.relation === 'contact' ? refs.contacts : refs.tasks;
+      return value.map(id => names?.[id]).filter(Boolean).join('; ');
+    }
+    case 'checkbox':
+      return value ? 'Áno' : 'Nie';
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Hodnota z textu (CSV) pre typy, ktoré nepotrebujú dohľadávanie — text,
+ * číslo, dátum, zaškrtávanie. Vracia { value } alebo { error }.
+ */
+function parseTextValue(property, text) {
+  const trimmed = String(text ?? '').trim();
+  // Apostrof pred číslom či dátumom pridáva ochrana exportu (utils/csv.js)
+  // alebo tabuľkový editor — pre tieto typy nič neznamená
+  const plain = trimmed.replace(/^'/, '');
+  switch (property.type) {
+    case 'number': {
+      if (!plain) return { value: undefined };
+      // "1 234,5" aj "1234.5"
+      return normalizeValue(property, Number(plain.replace(/\s/g, '').replace(',', '.')));
+    }
+    case 'date': {
+      if (!plain) return { value: undefined };
+      const sk = SK_DATE_RE.exec(plain);
+      const iso = sk ? `${sk[3]}-${sk[2].padStart(2, '0')}-${sk[1].padStart(2, '0')}` : plain.slice(0, 10);
+      return normalizeValue(property, iso);
+    }
+    case 'checkbox': {
+      const lower = trimmed.toLowerCase();
+      if (TRUE_TEXTS.includes(lower)) return { value: true };
+      if (FALSE_TEXTS.includes(lower)) return { value: undefined };
+      return { error: `Vlastnosť „${property.name}": hodnota musí byť áno/nie` };
+    }
+    default:
+      return normalizeValue(property, String(text ?? ''));
+  }
+}
+
+// Kľúč na porovnanie — číslo alebo text; null = prázdne (vždy na koniec)
+const sortKey = (property, value, refs) => {
+  if (property.type === 'checkbox') return value ? 1 : 0;
+  if (isEmptyValue(value)) return null;
+  switch (property.type) {
+    case 'number':
+      return value;
+    case 'select':
+      return property.options.findIndex(o => o.id === value);
+    case 'multi_select':
+      return property.options.findIndex(o => o.id === value[0]);
+    default:
+      return formatValue(property, value, refs).toLocaleLowerCase('sk');
+  }
+};
+
+/**
+ * Zoradí riadky (plain objekty s `values`) podľa `sorts`. Prázdne hodnoty
+ * sú na konci pri oboch smeroch, zhodu rozhodne ručné poradie riadkov.
+ */
+function sortRows(rows, properties, sorts, refs = {}) {
+  const active = sorts
+    .map(sort => ({ ...sort, property: properties.find(p => p.id === sort.propertyId) }))
+    .filter(sort => sort.property);
+
+  const keyed = rows.map(row => ({
+    row,
+    keys: active.map(({ property }) => sortKey(property, row.values?.[property.id], refs))
+  }));
+  keyed.sort((a, b) => {
+    for (let i = 0; i < active.length; i++) {
+      const x = a.keys[i];
+      const y = b.keys[i];
+      if (x === y) continue;
+      if (x === null) return 1;
+      if (y === null) return -1;
+      const cmp = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y), 'sk');
+      if (cmp !== 0) return active[i].direction === 'desc' ? -cmp : cmp;
+    }
+    return (a.row.order || 0) - (b.row.order || 0) || new Date(a.row.createdAt) - new Date(b.row.createdAt);
+  });
+  return keyed.map(k => k.row);
+}
+
+module.exports = {
+  PROPERTY_TYPES,
+  VIEW_TYPES,
+  RELATION_TARGETS,
+  OPTION_COLORS,
+  TITLE_PROPERTY_ID,
+  MAX_PROPERTIES,
+  MAX_OPTIONS,
+  MAX_VIEWS,
+  OPERATORS,
+  defaultDatabase,
+  normalizeProperty,
+  normalizeValue,
+  normalizeFilters,
+  normalizeSorts,
+  normalizeView,
+  pruneView,
+  buildRowFilter,
+  formatValue,
+  parseTextValue,
+  sortRows,
+  isEmptyValue
+};
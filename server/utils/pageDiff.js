@@ -0,0 +1,161 @@
+/**
+ * pageDiff.js — rozdiel dvoch stavov stránky (história verzií).
+ *
+ * Bloky sa párujú podľa `id` (LCS nad poradím id, takže presunutý blok sa
+ * ukáže ako odobratý + pridaný). Spárovaný blok s iným textom alebo typom je
+ * 'changed' a nesie slovný diff textu v `segments`:
+ *   [{ type: 'equal' | 'insert' | 'delete', text }]
+ */
+
+// Nad týmto počtom buniek LCS tabuľky sa slovný diff nepočíta — blok sa
+// vráti ako celý zmazaný + celý vložený text.
+const MAX_WORD_DIFF_CELLS = 250000;
+
+const flattenBlocks = (blocks, depth = 0, out = []) => {
+  for (const block of blocks || []) {
+    out.push({ id: block.id, type: block.type, content: block.content || '', depth });
+    flattenBlocks(block.children, depth + 1, out);
+  }
+  return out;
+};
+
+// Páry indexov [i, j] najdlhšej spoločnej podpostupnosti
+const lcsPairs = (a, b, equals) => {
+  const n = a.length;
+  const m = b.length;
+  const width = m + 1;
+  const table = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i * width + j] = equals(a[i], b[j])
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (equals(a[i], b[j])) {
+      pairs.push([i, j]);
+      i++;
+      j++;
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+};
+
+const pushSegment = (segments, type, text) => {
+  if (!text) return;
+  const last = segments[segments.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    segments.push({ type, text });
+  }
+};
+
+/**
+ * Slovný diff dvoch textov. Spoločný začiatok a koniec sa odrežú vopred,
+ * LCS beží len nad zmenenou strednou časťou.
+ */
+const diffWords = (fromText, toText) => {
+  const from = fromText.split(/(\s+)/).filter(Boolean);
+  const to = toText.split(/(\s+)/).filter(Boolean);
+
+  let start = 0;
+  while (start < from.length && start < to.length && from[start] === to[start]) start++;
+  let end = 0;
+  while (end < from.length - start && end < to.length - start &&
+         from[from.length - 1 - end] === to[to.length - 1 - end]) {
+    end++;
+  }
+
+  const segments = [];
+  pushSegment(segments, 'equal', from.slice(0, start).join(''));
+
+  const midFrom = from.slice(start, from.length - end);
+  const midTo = to.slice(start, to.length - end);
+  if (midFrom.length * midTo.length > MAX_WORD_DIFF_CELLS) {
+    pushSegment(segments, 'delete', midFrom.join(''));
+    pushSegment(segments, 'insert', midTo.join(''));
+  } else {
+    let i = 0;
+    let j = 0;
+    for (const [pi, pj] of lcsPairs(midFrom, midTo, (x, y) => x === y)) {
+      pushSegment(segments, 'delete', midFrom.slice(i, pi).join(''));
+      pushSegment(segments, 'insert', midTo.slice(j, pj).join(''));
+      pushSegment(segments, 'equal', midFrom[pi]);
+      i = pi + 1;
+      j = pj + 1;
+    }
+    pushSegment(segments, 'delete', midFrom.slice(i).join(''));
+    pushSegment(segments, 'insert', midTo.slice(j).join(''));
+  }
+
+  pushSegment(segments, 'equal', from.slice(from.length - end).join(''));
+  return segments;
+};
+
+/**
+ * Diff dvoch stavov stránky ({ title, blocks }). Vracia
+ *   { title: { from, to, changed }, blocks: [...], stats: { added, removed, changed } }
+ * kde `blocks` je v poradí výsledného dokumentu, odobraté bloky sú vložené
+ * na miesto, kde boli.
+ */
+const diffPages = (fromPage, toPage) => {
+  const fromBlocks = flattenBlocks(fromPage.blocks);
+  const toBlocks = flattenBlocks(toPage.blocks);
+  const stats = { added: 0, removed: 0, changed: 0 };
+  const blocks = [];
+
+  const removed = (block) => {
+    stats.removed++;
+    blocks.push({ status: 'removed', id: block.id, depth: block.depth, from: { type: block.type, content: block.content } });
+  };
+  const added = (block) => {
+    stats.added++;
+    blocks.push({ status: 'added', id: block.id, depth: block.depth, to: { type: block.type, content: block.content } });
+  };
+
+  let i = 0;
+  let j = 0;
+  for (const [pi, pj] of lcsPairs(fromBlocks, toBlocks, (x, y) => x.id === y.id)) {
+    while (i < pi) removed(fromBlocks[i++]);
+    while (j < pj) added(toBlocks[j++]);
+
+    const before = fromBlocks[pi];
+    const after = toBlocks[pj];
+    const entry = {
+      status: 'unchanged',
+      id: after.id,
+      depth: after.depth,
+      from: { type: before.type, content: before.content },
+      to: { type: after.type, content: after.content }
+    };
+    if (before.content !== after.content || before.type !== after.type) {
+      stats.changed++;
+      entry.status = 'changed';
+      entry.segments = diffWords(before.content, after.content);
+    }
+    blocks.push(entry);
+    i = pi + 1;
+    j = pj + 1;
+  }
+  while (i < fromBlocks.length) removed(fromBlocks[i++]);
+  while (j < toBlocks.length) added(toBlocks[j++]);
+
+  const fromTitle = fromPage.title || '';
+  const toTitle = toPage.title || '';
+  return {
+    title: { from: fromTitle, to: toTitle, changed: fromTitle !== toTitle },
+    blocks,
+    stats
+  };
+};
+
+module.exports = { diffPages, diffWords };
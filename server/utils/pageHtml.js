@@ -0,0 +1,207 @@
+/**
+ * pageHtml.js — bloky stránky ako statické HTML (verejné zdieľanie).
+ *
+ * Výstup je bezpečný bez ďalšieho sanitizera: žiadne HTML od používateľa
+ * sa neprenáša, všetok text ide cez `escapeHtml`, odkazy len so schémou
+ * http/https/mailto (tá istá kontrola ako v utils/inlineMarks.js) a
+ * obrázky len cez `imageUrl` od volajúceho. Žiadne skripty ani inline
+ * event handlery — stránka funguje aj s CSP `script-src 'none'`.
+ *
+ * Zmienky (@používateľ, #kontakt, #projekt) sa vykreslia ako obyčajný
+ * zvýraznený text — interné odkazy do CRM by cudziemu čitateľovi nič
+ * neotvorili.
+ */
+
+const SAFE_HREF_RE = /^(https?:\/\/|mailto:)/i;
+const MARK_ORDER = ['mention', 'link', 'code', 'bold', 'italic', 'strike'];
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const openTag = (mark) => {
+  switch (mark.type) {
+    case 'bold': return ['<strong>', '</strong>'];
+    case 'italic': return ['<em>', '</em>'];
+    case 'strike': return ['<s>', '</s>'];
+    case 'code': return ['<code>', '</code>'];
+    case 'link': {
+      const href = mark.attrs && typeof mark.attrs.href === 'string' ? mark.attrs.href : '';
+      if (!SAFE_HREF_RE.test(href)) return ['', ''];
+      return [`<a href="${escapeHtml(href)}" rel="noopener noreferrer nofollow" target="_blank">`, '</a>'];
+    }
+    case 'mention': return ['<span class="mention">', '</span>'];
+    default: return ['', ''];
+  }
+};
+
+/**
+ * Text bloku so značkami ako HTML. Text sa rozdelí na úseky podľa hraníc
+ * značiek a každý úsek sa obalí značkami, ktoré ho pokrývajú (rovnako
+ * ako renderInline v editore).
+ */
+const renderInline = (text, marks) => {
+  const content = String(text || '');
+  const list = (marks || []).filter(m => m && m.start < m.end);
+  if (list.length === 0) return escapeHtml(content).replace(/\n/g, '<br>');
+
+  const bounds = new Set([0, content.length]);
+  for (const mark of list) {
+    bounds.add(Math.min(mark.start, content.length));
+    bounds.add(Math.min(mark.end, content.length));
+  }
+  const points = [...bounds].sort((a, b) => a - b);
+
+  let html = '';
+  for (let i = 0; i < points.length - 1; i++) {
+    const from = points[i];
+    const to = points[i + 1];
+    if (from === to) continue;
+    const active = list
+      .filter(m => m.start <= from && m.end >= to)
+      .sort((a, b) => MARK_ORDER.indexOf(a.type) - MARK_ORDER.indexOf(b.type));
+    const tags = active.map(openTag);
+    html += tags.map(t => t[0]).join('')
+      + escapeHtml(content.slice(from, to)).replace(/\n/g, '<br>')
+      + tags.map(t => t[1]).reverse().join('');
+  }
+  return html;
+};
+
+const renderTable = (block) => {
+  const rows = String(block.content || '').split('\n').map(row => row.split('\t'));
+  const header = block.props && block.props.header;
+  const cell = (tag, value) => `<${tag}>${escapeHtml(value)}</${tag}>`;
+  const body = rows.map((row, i) => {
+    const tag = header && i === 0 ? 'th' : 'td';
+    return `<tr>${row.map(value => cell(tag, value)).join('')}</tr>`;
+  });
+  return `<table>${body.join('')}</table>`;
+};
+
+const LIST_TAGS = { 'bullet-list': 'ul', 'numbered-list': 'ol' };
+
+const renderBlock = (block, options) => {
+  const inline = renderInline(block.content, block.marks);
+  const children = block.children && block.children.length > 0
+    ? renderBlocks(block.children, options)
+    : '';
+  const nested = children ? `<div class="children">${children}</div>` : '';
+
+  switch (block.type) {
+    case 'heading1': return `<h1>${inline}</h1>${nested}`;
+    case 'heading2': return `<h2>${inline}</h2>${nested}`;
+    case 'heading3': return `<h3>${inline}</h3>${nested}`;
+    case 'bullet-list':
+    case 'numbered-list':
+      return `<li>${inline}${children}</li>`;
+    case 'quote': return `<blockquote>${inline}</blockquote>${nested}`;
+    case 'code': return `<pre><code>${escapeHtml(block.content)}</code></pre>${nested}`;
+    case 'todo': {
+      const checked = block.props && block.props.checked;
+      return `<p class="todo${checked ? ' checked' : ''}"><span class="checkbox">${checked ? '☑' : '☐'}</span> ${inline}</p>${nested}`;
+    }
+    case 'toggle': return `<details><summary>${inline}</summary>${children}</details>`;
+    case 'callout': {
+      const icon = block.props && block.props.icon ? escapeHtml(block.props.icon) : '💡';
+      return `<div class="callout"><span class="callout-icon">${icon}</span><div>${inline}</div></div>${nested}`;
+    }
+    case 'divider': return '<hr>';
+    case 'image': {
+      const src = block.props && block.props.fileId && options.imageUrl
+        ? options.imageUrl(String(block.props.fileId))
+        : null;
+      if (!src) return '';
+      const caption = block.content ? `<figcaption>${inline}</figcaption>` : '';
+      return `<figure><img src="${escapeHtml(src)}" alt="${escapeHtml(block.content || block.props.name || '')}">${caption}</figure>`;
+    }
+    case 'table': return renderTable(block);
+    default: return `<p>${inline || '&nbsp;'}</p>${nested}`;
+  }
+};
+
+/**
+ * Zoznam blokov ako HTML. Po sebe idúce položky rovnakého zoznamu sa
+ * spoja do jedného <ul> / <ol>.
+ *
+ * options.imageUrl(fileId) → URL obrázka (bez neho sa obrázky vynechajú)
+ */
+function renderBlocks(blocks, options = {}) {
+  let html = '';
+  let openList = null;
+  for (const block of blocks || []) {
+    const listTag = LIST_TAGS[block.type] || null;
+    if (openList && openList !== listTag) {
+      html += `</${openList}>`;
+      openList = null;
+    }
+    if (listTag && !openList) {
+      html += `<${listTag}>`;
+      openList = listTag;
+    }
+    html += renderBlock(block, options);
+  }
+  if (openList) html += `</${openList}>`;
+  return html;
+}
+
+const DOCUMENT_STYLE = `
+body{margin:0;background:#fff;color:#1e293b;font:16px/1.6 -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif}
+main{max-width:760px;margin:0 auto;padding:48px 24px}
+h1.page-title{font-size:2.2em;margin:0 0 24px}
+.page-icon{font-size:2.5em}
+nav.breadcrumbs{font-size:14px;margin-bottom:16px;color:#64748b}
+nav.breadcrumbs a,nav.subpages a{color:#6366f1;text-decoration:none}
+nav.subpages{margin-top:40px;border-top:1px solid #e2e8f0;padding-top:16px}
+nav.subpages ul{list-style:none;padding:0}
+a{color:#6366f1}
+blockquote{border-left:3px solid #cbd5e1;margin:0;padding-left:16px;color:#475569}
+pre{background:#f1f5f9;padding:12px;border-radius:6px;overflow:auto}
+code{background:#f1f5f9;border-radius:3px;padding:0 3px;font-size:.9em}
+pre code{padding:0}
+.callout{display:flex;gap:12px;background:#f8fafc;border:1px solid #e2e8f0;border-radius:8px;padding:12px 16px;margin:8px 0}
+.todo.checked{color:#94a3b8;text-decoration:line-through}
+.mention{color:#6366f1;background:#eef2ff;border-radius:3px;padding:0 2px}
+.children{margin-left:24px}
+table{border-collapse:collapse;margin:8px 0}
+td,th{border:1px solid #e2e8f0;padding:6px 10px;text-align:left}
+th{background:#f8fafc}
+figure{margin:16px 0}
+img{max-width:100%;border-radius:6px}
+figcaption{font-size:14px;color:#64748b}
+hr{border:none;border-top:1px solid #e2e8f0;margin:24px 0}
+form{display:flex;gap:8px;margin-top:16px}
+input{flex:1;padding:8px 12px;border:1px solid #cbd5e1;border-radius:6px;font-size:16px}
+button{padding:8px 16px;border:none;border-radius:6px;background:#6366f1;color:#fff;font-size:16px;cursor:pointer}
+.error{color:#dc2626}
+footer{margin-top:48px;font-size:12px;color:#94a3b8}
+`;
+
+/**
+ * Celý HTML dokument. `body` je už hotové (escapované) HTML.
+ */
+const renderDocument = ({ title, body }) => `<!DOCTYPE html>
+<html lang="sk">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex, nofollow">
+<title>${escapeHtml(title)}</title>
+<style>${DOCUMENT_STYLE}</style>
+</head>
+<body>
+<main>
+${body}
+</main>
+</body>
+</html>`;
+
+module.exports = {
+  escapeHtml,
+  renderInline,
+  renderBlocks,
+  renderDocument
+};
@@ -0,0 +1,503 @@
+/**
+ * pageMarkdown.js — bloky stránky ⇄ Markdown (export a import stránok).
+ *
+ * Export zachová štruktúru tak, aby sa súbor dal naspäť importovať:
+ *   heading1–3 → # / ## / ###        bullet-list → -      numbered-list → 1.
+ *   todo → - [ ] / - [x]             quote → >            code → ``` (props.language)
+ *   callout → > ikona text           divider → ---        table → | … | tabuľka
+ *   toggle → odrážka s vnoreným obsahom
+ *   obrázok → ![popis](cesta) len keď volajúci dá cestu (`imageSrc`), inak popis
+ * Vnorené bloky (`children`) sa odsadia o dve medzery.
+ *
+ * Import je zámerne jednoduchý riadkový parser — nie úplný CommonMark.
+ * Pozná nadpisy, odrážky (aj vnorené odsadením), číslované zoznamy,
+ * úlohy, citácie, bloky kódu, oddeľovače a tabuľky; inline **tučné**,
+ * *kurzívu*, ~~preškrtnuté~~, `kód` a [odkazy](https://…) prevedie na
+ * `marks` (utils/inlineMarks.js). Jednoduché zalomenie riadku ostane
+ * súčasťou odseku (ako contentToBlocks), obrázky sa nenahrávajú — ostane
+ * z nich popis.
+ */
+const { createBlock, MAX_BLOCK_CONTENT, MAX_BLOCKS_PER_PAGE, MAX_BLOCK_DEPTH } = require('./pageBlocks');
+const { sanitizeMarks } = require('./inlineMarks');
+
+const SAFE_HREF_RE = /^(https?:\/\/|mailto:)/i;
+const ESCAPABLE_RE = /[\\`*_~[\]()#+\-.!|>]/;
+const ESCAPE_TEXT_RE = /[\\`*_~[\]]/g;
+// Začiatok riadku, ktorý by import čítal ako nadpis, zoznam či citáciu
+const BLOCK_START_RE = /^(#|>|[-*+](\s|$)|\d+[.)](\s|$)|-{3,})/;
+const MARK_ORDER = ['link', 'bold', 'italic', 'strike', 'code', 'mention'];
+
+// ─── Export ──────────────────────────────────────────────────────────────
+
+const MARK_DELIMITERS = {
+  bold: ['**', '**'],
+  italic: ['_', '_'],
+  strike: ['~~', '~~'],
+  code: ['`', '`']
+};
+
+const isWordChar = (ch) => Boolean(ch) && /[\p{L}\p{N}]/u.test(ch);
+
+const markDelimiters = (mark, content) => {
+  if (mark.type === 'link') return ['[', `](${mark.attrs && mark.attrs.href ? mark.attrs.href : ''})`];
+  // _kurzíva_ vnútri slova by sa pri importe nerozpoznala
+  if (mark.type === 'italic' && (isWordChar(content[mark.start - 1]) || isWordChar(content[mark.end]))) {
+    return ['*', '*'];
+  }
+  return MARK_DELIMITERS[mark.type] || ['', ''];
+};
+
+const escapeText = (text) => text.replace(ESCAPE_TEXT_RE, '\\$&');
+const escapeLineStart = (text) => (BLOCK_START_RE.test(text) ? `\\${text}` : text);
+
+/**
+ * Text bloku so značkami ako inline Markdown. Značky sa otvárajú a
+ * zatvárajú ako zásobník, aby vnorené formátovanie ostalo platné
+ * (**tučné _aj kurzíva_**). Zmienky ostanú obyčajným textom, úseky s
+ * komentármi sa nevyznačia.
+ */
+const renderMarkdownInline = (text, marks) => {
+  const content = String(text || '');
+  const list = (marks || []).filter(m => m && m.start < m.end && m.type !== 'mention' && m.type !== 'comment');
+  if (list.length === 0) return escapeText(content);
+
+  const bounds = new Set([0, content.length]);
+  for (const mark of list) {
+    bounds.add(Math.min(mark.start, content.length));
+    bounds.add(Math.min(mark.end, content.length));
+  }
+  const points = [...bounds].sort((a, b) => a - b);
+
+  let out = '';
+  const stack = [];
+  const close = (count) => {
+    while (stack.length > count) out += markDelimiters(stack.pop(), content)[1];
+  };
+  for (let i = 0; i < points.length - 1; i++) {
+    const from = points[i];
+    const to = points[i + 1];
+    if (from === to) continue;
+    const active = list.filter(m => m.start <= from && m.end >= to);
+    let keep = 0;
+    while (keep < stack.length && active.includes(stack[keep])) keep++;
+    close(keep);
+    const opening = active
+      .filter(m => !stack.includes(m))
+      .sort((a, b) => b.end - a.end || MARK_ORDER.indexOf(a.type) - MARK_ORDER.indexOf(b.type));
+    for (const mark of opening) {
+      out += markDelimiters(mark, content)[0];
+      stack.push(mark);
+    }
+    const segment = content.slice(from, to);
+    out += stack.some(m => m.type === 'code') ? segment.replace(/`/g, '') : escapeText(segment);
+  }
+  close(0);
+  return out;
+};
+
+const tableCell = (value) => escapeText(String(value || '')).replace(/\|/g, '\\|').replace(/\n/g, ' ') || ' ';
+
+const renderTable = (block, indent) => {
+  const rows = String(block.content || '').split('\n').map(row => row.split('\t'));
+  const width = Math.max(...rows.map(row => row.length));
+  const line = (row) => `${indent}| ${Array.from({ length: width }, (_, i) => tableCell(row[i])).join(' | ')} |`;
+  const header = block.props && block.props.header ? rows.shift() : [];
+  return [
+    line(header),
+    `${indent}|${' --- |'.repeat(width)}`,
+    ...rows.map(line)
+  ].join('\n');
+};
+
+const prefixLines = (text, prefix) => text.split('\n').map(l => `${prefix}${l}`).join('\n');
+
+/**
+ * Zoznam blokov ako Markdown.
+ *
+ * options.imageSrc(block) → cesta k súboru obrázka (bez nej ostane popis)
+ */
+function blocksToMarkdown(blocks, options = {}, depth = 0) {
+  const indent = '  '.repeat(depth);
+  const chunks = [];
+  let previousType = null;
+  let number = 0;
+
+  for (const block of blocks || []) {
+    const listLike = ['bullet-list', 'numbered-list', 'todo', 'toggle'].includes(block.type);
+    // Zalomenie riadku v bloku — tvrdé zalomenie, v zozname odsadené pod položku
+    const inline = renderMarkdownInline(block.content, block.marks)
+      .replace(/\n/g, `  \n${indent}${listLike ? '  ' : ''}`);
+    let text;
+    switch (block.type) {
+      case 'heading1':
+      case 'heading2':
+      case 'heading3':
+        text = `${indent}${'#'.repeat(Number(block.type.slice(-1)))} ${inline.replace(/ {2}\n\s*/g, ' ')}`;
+        break;
+      case 'bullet-list': text = `${indent}- ${inline}`; break;
+      case 'numbered-list':
+        number = previousType === 'numbered-list' ? number + 1 : 1;
+        text = `${indent}${number}. ${inline}`;
+        break;
+      case 'todo': text = `${indent}- [${block.props && block.props.checked ? 'x' : ' '}] ${inline}`; break;
+      case 'toggle': text = `${indent}- ${inline}`; break;
+      case 'quote':
+        text = prefixLines(renderMarkdownInline(block.content, block.marks), `${indent}> `);
+        break;
+      case 'callout': {
+        const icon = block.props && block.props.icon ? `${block.props.icon} ` : '';
+        text = prefixLines(`${icon}${renderMarkdownInline(block.content, block.marks)}`, `${indent}> `);
+        break;
+      }
+      case 'code': {
+        const language = block.props && typeof block.props.language === 'string' ? block.props.language : '';
+        const fence = String(block.content || '').includes('```') ? '~~~' : '```';
+        text = `${indent}${fence}${language}\n${prefixLines(String(block.content || ''), indent)}\n${indent}${fence}`;
+        break;
+      }
+      case 'divider': text = `${indent}---`; break;
+      case 'image': {
+        const src = options.imageSrc ? options.imageSrc(block) : null;
+        const alt = escapeText(String(block.content || (block.props && block.props.name) || ''));
+        text = src ? `${indent}![${alt}](${encodeURI(src)})` : (alt ? `${indent}${alt}` : null);
+        break;
+      }
+      case 'table': text = renderTable(block, indent); break;
+      default: text = inline ? `${indent}${escapeLineStart(inline)}` : null;
+    }
+
+    const children = block.children && block.children.length > 0
+      ? blocksToMarkdown(block.children, options, depth + 1)
+      : '';
+    if (text !== null) {
+      const joinsPrevious = listLike && previousType === block.type && chunks.length > 0;
+      const entry = children ? `${text}${listLike ? '\n' : '\n\n'}${children}` : text;
+      if (joinsPrevious) chunks[chunks.length - 1] += `\n${entry}`;
+      else chunks.push(entry);
+    } else if (children) {
+      chunks.push(children);
+    }
+    previousType = block.type;
+  }
+
+  return chunks.join('\n\n');
+}
+
+/**
+ * Celá stránka ako Markdown súbor — nadpis stránky ako # nadpis.
+ */
+const pageToMarkdown = ({ title, blocks }, options = {}) => {
+  const body = blocksToMarkdown(blocks, options);
+  return `# ${escapeText(title || 'Untitled')}\n${body ? `\n${body}\n` : ''}`;
+};
+
+// ─── Import ──────────────────────────────────────────────────────────────
+
+const INLINE_DELIMITERS = [
+  ['***', 'bold', 'italic'],
+  ['**', 'bold'],
+  ['__', 'bold'],
+  ['~~', 'strike'],
+  ['*', 'italic'],
+  ['_', 'italic']
+];
+
+// Koniec [text](url) začínajúceho na `start` (index '['), inak null. Text
+// odkazu sa hľadá najviac MAX_LINK_TEXT znakov — inak by riadok plný '['
+// znamenal kvadratický čas.
+const MAX_LINK_TEXT = 2000;
+const matchLink = (src, start) => {
+  const limit = Math.min(src.length, start + MAX_LINK_TEXT);
+  let depth = 0;
+  let i = start;
+  for (; i < limit; i++) {
+    if (src[i] === '\\') { i++; continue; }
+    if (src[i] === '[') depth++;
+    if (src[i] === ']' && --depth === 0) break;
+  }
+  if (i >= limit || src[i + 1] !== '(') return null;
+  const close = src.indexOf(')', i + 2);
+  if (close === -1) return null;
+  const target = src.slice(i + 2, close).trim().split(/\s+/)[0] || '';
+  return { text: src.slice(start + 1, i), href: target.replace(/^<|>$/g, ''), end: close + 1 };
+};
+
+// Zatvárací oddeľovač pre `delim` od `from` — jednoduchý * / _ nesmie byť
+// súčasťou dvojitého
+const findClosing = (src, delim, from) => {
+  for (let i = src.indexOf(delim, from); i !== -1; i = src.indexOf(delim, i + 1)) {
+    if (src[i - 1] === '\\' || /\s/.test(src[i - 1] || ' ')) continue;
+    if (delim.length === 1 && (src[i + 1] === delim || src[i - 1] === delim)) continue;
+    if (delim === '_' && isWordChar(src[i + 1])) continue;
+    return i;
+  }
+  return -1;
+};
+
+/**
+ * Inline Markdown → { content, marks }.
+ */
+function parseMarkdownInline(src) {
+  let content = '';
+  const marks = [];
+  // Oddeľovače, ku ktorým už ďalej v texte nie je pár — netreba hľadať znova
+  const unmatched = new Map();
+
+  const appendInner = (inner, types = [], attrs) => {
+    const parsed = parseMarkdownInline(inner);
+    const start = content.length;
+    content += parsed.content;
+    for (const mark of parsed.marks) marks.push({ ...mark, start: mark.start + start, end: mark.end + start });
+    if (content.length === start) return;
+    for (const type of types) {
+      marks.push(attrs ? { type, start, end: content.length, attrs } : { type, start, end: content.length });
+    }
+  };
+
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+
+    if (ch === '\\' && i + 1 < src.length && ESCAPABLE_RE.test(src[i + 1])) {
+      content += src[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (ch === '`') {
+      let ticks = 1;
+      while (src[i + ticks] === '`') ticks++;
+      const close = src.indexOf('`'.repeat(ticks), i + ticks);
+      if (close !== -1) {
+        const code = src.slice(i + ticks, close).replace(/^ (.+) $/, '$1');
+        if (code) {
+          marks.push({ type: 'code', start: content.length, end: content.length + code.length });
+          content += code;
+        }
+        i = close + ticks;
+        continue;
+      }
+    }
+
+    if ((ch === '!' && src[i + 1] === '[') || ch === '[') {
+      const link = matchLink(src, ch === '!' ? i + 1 : i);
+      if (link) {
+        if (ch === '!') content += parseMarkdownInline(link.text).content;
+        else if (SAFE_HREF_RE.test(link.href)) appendInner(link.text, ['link'], { href: link.href });
+        else appendInner(link.text);
+        i = link.end;
+        continue;
+      }
+    }
+
+    if (ch === '<') {
+      const autolink = /^<((?:https?:\/\/|mailto:)[^>\s]+)>/i.exec(src.slice(i, i + 2100));
+      if (autolink) {
+        const href = autolink[1];
+        marks.push({ type: 'link', start: content.length, end: content.length + href.length, attrs: { href } });
+        content += href;
+        i += autolink[0].length;
+        continue;
+      }
+    }
+
+    const delimiter = INLINE_DELIMITERS.find(([delim]) => src.startsWith(delim, i));
+    if (delimiter) {
+      const [delim, ...types] = delimiter;
+      const opens = !/\s/.test(src[i + delim.length] || ' ') && !(delim === '_' && isWordChar(src[i - 1]));
+      const after = i + delim.length;
+      if (opens && !(unmatched.get(delim) <= after)) {
+        const close = findClosing(src, delim, after + 1);
+        if (close === -1) {
+          unmatched.set(delim, after);
+        } else {
+          appendInner(src.slice(after, close), types);
+          i = close + delim.length;
+          continue;
+        }
+      }
+      content += delim;
+      i += delim.length;
+      continue;
+    }
+
+    content += ch;
+    i++;
+  }
+
+  return { content, marks };
+}
+
+const inlineBlock = (type, text, props = {}) => {
+  const parsed = parseMarkdownInline(text);
+  const block = createBlock(type, parsed.content.substring(0, MAX_BLOCK_CONTENT));
+  block.marks = sanitizeMarks(parsed.marks, block.content.length);
+  block.props = props;
+  return block;
+};
+
+const FENCE_RE = /^(\s*)(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const HEADING_RE = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const DIVIDER_RE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const LIST_RE = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TASK_RE = /^\[([ xX])\]\s+(.*)$/;
+const QUOTE_RE = /^\s{0,3}>\s?(.*)$/;
+const TABLE_SEPARATOR_RE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const IMAGE_LINE_RE = /^\s*!\[([^\]]*)\]\(([^)]*)\)\s*$/;
+
+const splitTableRow = (line) => {
+  const cells = [];
+  let cell = '';
+  const body = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '');
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] === '\\' && body[i + 1] === '|') { cell += '|'; i++; continue; }
+    if (body[i] === '|') { cells.push(cell); cell = ''; continue; }
+    cell += body[i];
+  }
+  cells.push(cell);
+  return cells.map(c => parseMarkdownInline(c.trim()).content.replace(/\t/g, ' '));
+};
+
+const indentWidth = (whitespace) => whitespace.replace(/\t/g, '    ').length;
+
+/**
+ * Markdown → bloky. Vracia { blocks, truncated } — `truncated` keď text
+ * presiahol MAX_BLOCKS_PER_PAGE a zvyšok sa zahodil.
+ */
+function markdownToBlocks(markdown) {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let count = 0;
+  let truncated = false;
+  // Otvorené položky zoznamu: [{ indent, block }] od najvonkajšej
+  let listStack = [];
+  let paragraph = null;
+
+  const add = (block, parent = null) => {
+    if (count >= MAX_BLOCKS_PER_PAGE) {
+      truncated = true;
+      return false;
+    }
+    count++;
+    (parent ? parent.children : blocks).push(block);
+    return true;
+  };
+
+  const flushParagraph = () => {
+    if (paragraph) add(inlineBlock('paragraph', paragraph.join('\n')));
+    paragraph = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      flushParagraph();
+      // Prázdny riadok zoznam neukončí, ak pokračuje odsadenou položkou
+      const next = lines.slice(i + 1).find(l => l.trim());
+      if (!next || !LIST_RE.test(next)) listStack = [];
+      continue;
+    }
+
+    const fence = FENCE_RE.exec(line);
+    if (fence) {
+      flushParagraph();
+      listStack = [];
+      const code = [];
+      const stripIndent = new RegExp(`^\\s{0,${indentWidth(fence[1])}}`);
+      for (i++; i < lines.length && !lines[i].trim().startsWith(fence[2]); i++) {
+        code.push(lines[i].replace(stripIndent, ''));
+      }
+      const block = createBlock('code', code.join('\n').substring(0, MAX_BLOCK_CONTENT));
+      if (fence[3]) block.props = { language: fence[3].substring(0, 50) };
+      add(block);
+      continue;
+    }
+
+    const heading = HEADING_RE.exec(line);
+    if (heading) {
+      flushParagraph();
+      listStack = [];
+      add(inlineBlock(`heading${Math.min(heading[1].length, 3)}`, heading[2]));
+      continue;
+    }
+
+    if (DIVIDER_RE.test(line)) {
+      flushParagraph();
+      listStack = [];
+      add(createBlock('divider'));
+      continue;
+    }
+
+    const item = LIST_RE.exec(line);
+    if (item) {
+      flushParagraph();
+      const indent = indentWidth(item[1]);
+      while (listStack.length > 0 && listStack[listStack.length - 1].indent >= indent) listStack.pop();
+      const task = TASK_RE.exec(item[3]);
+      const block = task
+        ? inlineBlock('todo', task[2], { checked: task[1] !== ' ' })
+        : inlineBlock(/^\d/.test(item[2]) ? 'numbered-list' : 'bullet-list', item[3]);
+      const parent = listStack.length > 0 && listStack.length < MAX_BLOCK_DEPTH
+        ? listStack[listStack.length - 1].block
+        : (listStack.length > 0 ? listStack[listStack.length - 2].block : null);
+      if (add(block, parent) && listStack.length < MAX_BLOCK_DEPTH) listStack.push({ indent, block });
+      continue;
+    }
+
+    // Odsadený riadok pod položkou zoznamu je jej pokračovanie
+    if (listStack.length > 0 && /^\s+/.test(line)) {
+      const open = listStack[listStack.length - 1].block;
+      const parsed = parseMarkdownInline(line.trim());
+      const offset = open.content.length + 1;
+      open.content = `${open.content}\n${parsed.content}`.substring(0, MAX_BLOCK_CONTENT);
+      open.marks = sanitizeMarks(
+        [...open.marks, ...parsed.marks.map(m => ({ ...m, start: m.start + offset, end: m.end + offset }))],
+        open.content.length
+      );
+      continue;
+    }
+    listStack = [];
+
+    if (QUOTE_RE.test(line)) {
+      flushParagraph();
+      const quoted = [];
+      for (; i < lines.length && QUOTE_RE.test(lines[i]); i++) quoted.push(QUOTE_RE.exec(lines[i])[1]);
+      i--;
+      add(inlineBlock('quote', quoted.join('\n')));
+      continue;
+    }
+
+    if (line.includes('|') && i + 1 < lines.length && TABLE_SEPARATOR_RE.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+      flushParagraph();
+      const rows = [splitTableRow(line)];
+      for (i += 2; i < lines.length && lines[i].includes('|') && lines[i].trim(); i++) rows.push(splitTableRow(lines[i]));
+      i--;
+      const block = createBlock('table', rows.map(row => row.join('\t')).join('\n').substring(0, MAX_BLOCK_CONTENT));
+      block.props = { header: true };
+      add(block);
+      continue;
+    }
+
+    const image = IMAGE_LINE_RE.exec(line);
+    if (image) {
+      flushParagraph();
+      if (image[1].trim()) add(inlineBlock('paragraph', image[1].trim()));
+      continue;
+    }
+
+    if (!paragraph) paragraph = [];
+    paragraph.push(line.trim().replace(/\s{2,}$|\\$/, ''));
+  }
+  flushParagraph();
+
+  return { blocks, truncated };
+}
+
+module.exports = {
+  renderMarkdownInline,
+  blocksToMarkdown,
+  pageToMarkdown,
+  parseMarkdownInline,
+  markdownToBlocks
+};
@@ -0,0 +1,236 @@
+/**
+ * pagePdf.js — stránka ako PDF (export stránok).
+ *
+ * Kreslí bloky priamo cez pdfkit, bez prehliadača na serveri. Písmo je
+ * DejaVu Sans (balík dejavu-fonts-ttf) — štandardné PDF písma nepoznajú
+ * slovenskú diakritiku (ľ, ť, ň…). Emoji písmo nemá, ikony callout blokov
+ * sa preto vynechajú.
+ *
+ * Obrázky sa vložia len ak ich volajúci dodá (`images`: fileId → Buffer)
+ * a sú PNG alebo JPEG — ostatné formáty pdfkit nevie, z takého obrázka
+ * ostane popis.
+ */
+const path = require('path');
+const PDFDocument = require('pdfkit');
+
+const FONT_DIR = path.dirname(require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf'));
+const FONTS = {
+  regular: `${FONT_DIR}/DejaVuSans.ttf`,
+  bold: `${FONT_DIR}/DejaVuSans-Bold.ttf`,
+  italic: `${FONT_DIR}/DejaVuSans-Oblique.ttf`,
+  boldItalic: `${FONT_DIR}/DejaVuSans-BoldOblique.ttf`,
+  mono: `${FONT_DIR}/DejaVuSansMono.ttf`
+};
+
+const MARGIN = 56;
+const INDENT = 18;
+const BODY_SIZE = 11;
+const HEADING_SIZES = { heading1: 20, heading2: 16, heading3: 13 };
+const COLORS = {
+  text: '#1e293b',
+  muted: '#64748b',
+  link: '#4f46e5',
+  border: '#e2e8f0',
+  codeBackground: '#f1f5f9'
+};
+
+const fontFor = (style) => {
+  if (style.code) return 'mono';
+  if (style.bold && style.italic) return 'boldItalic';
+  if (style.bold) return 'bold';
+  if (style.italic) return 'italic';
+  return 'regular';
+};
+
+// Text bloku rozdelený na úseky s rovnakým formátovaním
+const inlineRuns = (text, marks) => {
+  const content = String(text || '');
+  const list = (marks || []).filter(m => m && m.start < m.end);
+  const bounds = new Set([0, content.length]);
+  for (const mark of list) {
+    bounds.add(Math.min(mark.start, content.length));
+    bounds.add(Math.min(mark.end, content.length));
+  }
+  const points = [...bounds].sort((a, b) => a - b);
+  const runs = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    if (points[i] === points[i + 1]) continue;
+    const style = {};
+    for (const mark of list) {
+      if (mark.start <= points[i] && mark.end >= points[i + 1]) {
+        style[mark.type] = mark.type === 'link' ? mark.attrs && mark.attrs.href : true;
+      }
+    }
+    runs.push({ text: content.slice(points[i], points[i + 1]), style });
+  }
+  return runs;
+};
+
+/**
+ * Vypíše úseky textu za sebou (pdfkit `continued`) od pozície x.
+ */
+const writeRuns = (doc, runs, { x, width, size = BODY_SIZE, bold = false, color = COLORS.text, prefix = '' }) => {
+  const all = prefix ? [{ text: prefix, style: {} }, ...runs] : runs;
+  if (all.length === 0) all.push({ text: ' ', style: {} });
+  all.forEach((run, i) => {
+    const style = { ...run.style, bold: bold || run.style.bold };
+    const href = typeof style.link === 'string' ? style.link : null;
+    doc.font(fontFor(style))
+      .fontSize(style.code ? size * 0.9 : size)
+      .fillColor(href || style.mention ? COLORS.link : color);
+    const options = {
+      continued: i < all.length - 1,
+      link: href,
+      underline: Boolean(href),
+      strike: Boolean(style.strike)
+    };
+    if (i === 0) doc.text(run.text, x, doc.y, { ...options, width });
+    else doc.text(run.text, options);
+  });
+};
+
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - MARGIN) doc.addPage();
+};
+
+const drawTable = (doc, block, x, width) => {
+  const rows = String(block.content || '').split('\n').map(row => row.split('\t'));
+  const columns = Math.max(...rows.map(row => row.length));
+  const cellWidth = width / columns;
+  const padding = 4;
+  rows.forEach((row, rowIndex) => {
+    const header = rowIndex === 0 && block.props && block.props.header;
+    doc.font(header ? 'bold' : 'regular').fontSize(BODY_SIZE - 1);
+    const height = Math.max(...Array.from({ length: columns }, (_, i) =>
+      doc.heightOfString(row[i] || ' ', { width: cellWidth - padding * 2 }))) + padding * 2;
+    ensureSpace(doc, height);
+    const top = doc.y;
+    for (let i = 0; i < columns; i++) {
+      doc.rect(x + i * cellWidth, top, cellWidth, height).strokeColor(COLORS.border).stroke();
+      doc.fillColor(COLORS.text).text(row[i] || '', x + i * cellWidth + padding, top + padding, {
+        width: cellWidth - padding * 2
+      });
+    }
+    doc.y = top + height;
+  });
+};
+
+const drawImage = (doc, block, x, width, images) => {
+  const buffer = block.props && block.props.fileId && images ? images.get(String(block.props.fileId)) : null;
+  if (buffer) {
+    try {
+      const image = doc.openImage(buffer);
+      const scale = Math.min(1, width / image.width, 400 / image.height);
+      ensureSpace(doc, image.height * scale);
+      doc.image(image, x, doc.y, { width: image.width * scale, height: image.height * scale });
+      doc.y += image.height * scale + 4;
+    } catch {
+      // Poškodený alebo nepodporovaný obrázok — ostane popis
+    }
+  }
+  const caption = block.content || (!buffer && block.props && block.props.name) || '';
+  if (caption) writeRuns(doc, inlineRuns(caption, block.marks), { x, width, size: BODY_SIZE - 2, color: COLORS.muted });
+};
+
+function drawBlocks(doc, blocks, depth, options) {
+  const x = MARGIN + depth * INDENT;
+  const width = doc.page.width - MARGIN - x;
+  let number = 0;
+  let previousType = null;
+
+  for (const block of blocks || []) {
+    const runs = inlineRuns(block.content, block.marks);
+    number = block.type === 'numbered-list' && previousType === 'numbered-list' ? number + 1 : 1;
+
+    switch (block.type) {
+      case 'heading1':
+      case 'heading2':
+      case 'heading3':
+        doc.moveDown(0.6);
+        writeRuns(doc, runs, { x, width, size: HEADING_SIZES[block.type], bold: true });
+        break;
+      case 'bullet-list': writeRuns(doc, runs, { x, width, prefix: '•  ' }); break;
+      case 'numbered-list': writeRuns(doc, runs, { x, width, prefix: `${number}.  ` }); break;
+      case 'todo':
+        writeRuns(doc, runs, {
+          x,
+          width,
+          prefix: block.props && block.props.checked ? '☑  ' : '☐  ',
+          color: block.props && block.props.checked ? COLORS.muted : COLORS.text
+        });
+        break;
+      case 'toggle': writeRuns(doc, runs, { x, width, prefix: '▸  ' }); break;
+      case 'quote':
+      case 'callout': {
+        const top = doc.y;
+        writeRuns(doc, runs, { x: x + 10, width: width - 10, color: block.type === 'quote' ? COLORS.muted : COLORS.text });
+        if (doc.y > top) {
+          doc.moveTo(x + 2, top).lineTo(x + 2, doc.y).lineWidth(2).strokeColor(COLORS.border).stroke();
+        }
+        break;
+      }
+      case 'code': {
+        const text = String(block.content || ' ');
+        doc.font('mono').fontSize(BODY_SIZE - 1.5);
+        const height = doc.heightOfString(text, { width: width - 16 }) + 12;
+        ensureSpace(doc, Math.min(height, 200));
+        doc.rect(x, doc.y, width, height).fill(COLORS.codeBackground);
+        doc.fillColor(COLORS.text).text(text, x + 8, doc.y + 6, { width: width - 16 });
+        doc.y += 6;
+        break;
+      }
+      case 'divider': {
+        doc.moveDown(0.5);
+        doc.moveTo(x, doc.y).lineTo(x + width, doc.y).lineWidth(1).strokeColor(COLORS.border).stroke();
+        doc.moveDown(0.5);
+        break;
+      }
+      case 'image': drawImage(doc, block, x, width, options.images); break;
+      case 'table': drawTable(doc, block, x, width); break;
+      default:
+        if (runs.length > 0) writeRuns(doc, runs, { x, width });
+    }
+    doc.moveDown(0.35);
+
+    if (block.children && block.children.length > 0) drawBlocks(doc, block.children, depth + 1, options);
+    previousType = block.type;
+  }
+}
+
+/**
+ * Vykreslí stránku do PDF. Vracia Promise<Buffer>.
+ *
+ * options.images — Map fileId → Buffer (PNG/JPEG) pre image bloky
+ */
+function renderPagePdf({ title, blocks }, options = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: MARGIN,
+      info: { Title: title || 'Untitled' }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      for (const [name, file] of Object.entries(FONTS)) doc.registerFont(name, file);
+      writeRuns(doc, [{ text: title || 'Untitled', style: {} }], {
+        x: MARGIN,
+        width: doc.page.width - MARGIN * 2,
+        size: 24,
+        bold: true
+      });
+      doc.moveDown(0.8);
+      drawBlocks(doc, blocks, 0, options);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+module.exports = {
+  renderPagePdf
+};
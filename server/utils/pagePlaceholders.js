@@ -0,0 +1,73 @@
+/**
+ * pagePlaceholders.js — zástupné symboly v šablónach stránok.
+ *
+ * Šablóna (models/PageTemplate.js) môže mať v nadpise aj v texte blokov
+ * `{{názov}}`, ktoré sa pri vytvorení stránky zo šablóny nahradia:
+ *   {{date}}      — dnešný dátum (d. m. yyyy)
+ *   {{time}}      — aktuálny čas (HH:MM)
+ *   {{weekday}}   — deň v týždni (pondelok…)
+ *   {{creator}}   — meno používateľa, ktorý stránku vytvára
+ *   {{workspace}} — názov workspace
+ * Dátum a čas sú v Europe/Bratislava (rovnako ako pripomienky a kalendár).
+ * Neznáme `{{…}}` ostanú v texte tak, ako sú.
+ *
+ * Nahradenie mení dĺžku textu, takže značky bloku (utils/inlineMarks.js)
+ * sa posunú rovnako ako pri písaní — cez textovú operáciu.
+ */
+const { diffToOp } = require('./textOt');
+const { shiftMarks } = require('./inlineMarks');
+
+const TIME_ZONE = 'Europe/Bratislava';
+const PLACEHOLDER_RE = /\{\{\s*([a-z]+)\s*\}\}/gi;
+
+const PLACEHOLDERS = ['date', 'time', 'weekday', 'creator', 'workspace'];
+
+/**
+ * Hodnoty zástupných symbolov pre jedno vytvorenie stránky.
+ */
+const placeholderValues = ({ creator, workspace, now = new Date() }) => {
+  const part = (options) => new Intl.DateTimeFormat('sk-SK', { timeZone: TIME_ZONE, ...options }).format(now);
+  return {
+    date: part({ day: 'numeric', month: 'numeric', year: 'numeric' }),
+    time: part({ hour: '2-digit', minute: '2-digit', hour12: false }),
+    weekday: part({ weekday: 'long' }),
+    creator: creator || '',
+    workspace: workspace || ''
+  };
+};
+
+const fillText = (text, values) => String(text || '').replace(PLACEHOLDER_RE, (match, name) => {
+  const key = name.toLowerCase();
+  return Object.prototype.hasOwnProperty.call(values, key) ? values[key] : match;
+});
+
+// Nahradí symboly v jednom bloku, značky posunie po jednotlivých výskytoch
+// (od konca, aby sa indexy ďalších výskytov nemenili)
+const fillBlock = (block, values) => {
+  const content = block.content || '';
+  let marks = block.marks || [];
+  let text = content;
+  const matches = [...content.matchAll(PLACEHOLDER_RE)].reverse();
+  for (const match of matches) {
+    const replaced = fillText(match[0], values);
+    if (replaced === match[0]) continue;
+    const next = text.slice(0, match.index) + replaced + text.slice(match.index + match[0].length);
+    marks = shiftMarks(marks, diffToOp(text, next));
+    text = next;
+  }
+  return {
+    ...block,
+    content: text,
+    marks,
+    children: (block.children || []).map(child => fillBlock(child, values))
+  };
+};
+
+const fillBlocks = (blocks, values) => (blocks || []).map(block => fillBlock(block, values));
+
+module.exports = {
+  PLACEHOLDERS,
+  placeholderValues,
+  fillText,
+  fillBlocks
+};
@@ -0,0 +1,201 @@
+/**
+ * recurrence.js — opakovanie projektov a úloh (podmnožina iCal RRULE).
+ *
+ * Projekt aj podúloha môžu mať `recurrence`:
+ *   {
+ *     freq: 'daily'|'weekly'|'monthly'|'yearly',
+ *     interval: 1..365,            // každý N-tý deň/týždeň/mesiac/rok
+ *     byWeekday: [0..6] | null,    // len weekly, 0 = nedeľa (ako Date#getDay)
+ *     byMonthDay: 1..31 | null,    // monthly/yearly — deň v mesiaci (doplní sa
+ *                                  // z prvého termínu, aby 31. neskĺzol na 28.)
+ *     until: 'YYYY-MM-DD' | null,  // posledný možný termín
+ *     count: 1..999 | null,        // celkový počet výskytov
+ *     occurrence: 1..,             // poradie tohto výskytu v sérii
+ *     nextId: string | null,       // id vygenerovaného ďalšieho výskytu
+ *     ended: boolean               // séria skončila (until/count)
+ *   }
+ * "Vlastné" opakovanie v UI je len kombinácia interval + byWeekday.
+ *
+ * Každý výskyt je samostatný projekt/úloha. Dokončenie výskytu vygeneruje
+ * ďalší (services/taskRecurrence.js) a zapíše jeho id do `nextId` — opätovné
+ * odškrtnutie teda druhý výskyt nevytvorí. Dátumy sú dni 'YYYY-MM-DD' v UTC,
+ * bez ohľadu na časové pásmo servera.
+ */
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+const RRULE_FREQ = { daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY', yearly: 'YEARLY' };
+const RRULE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_INTERVAL = 365;
+const MAX_COUNT = 999;
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDay = (day) => new Date(`${day}T00:00:00Z`);
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Termín (dueDate je String — 'YYYY-MM-DD' alebo ISO) ako deň, inak null.
+ */
+const toDay = (value) => {
+  if (!value) return null;
+  const text = String(value);
+  if (DAY_RE.test(text.slice(0, 10)) && !isNaN(parseDay(text.slice(0, 10)).getTime())) {
+    return text.slice(0, 10);
+  }
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : formatDay(date);
+};
+
+const addDays = (day, days) => formatDay(new Date(parseDay(day).getTime() + days * DAY_MS));
+
+const daysBetween = (fromDay, toDayValue) => Math.round((parseDay(toDayValue) - parseDay(fromDay)) / DAY_MS);
+
+const daysInMonth = (year, monthIndex) => new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+
+// +N mesiacov na deň `monthDay` (31. v kratšom mesiaci = posledný deň)
+const addMonths = (day, months, monthDay) => {
+  const date = parseDay(day);
+  const total = date.getUTCFullYear() * 12 + date.getUTCMonth() + months;
+  const year = Math.floor(total / 12);
+  const month = total % 12;
+  return formatDay(new Date(Date.UTC(year, month, Math.min(monthDay, daysInMonth(year, month)))));
+};
+
+// Pondelok týždňa, v ktorom je deň (pre weekly + interval)
+const weekStart = (day) => addDays(day, -((parseDay(day).getUTCDay() + 6) % 7));
+
+const isInt = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Validuje opakovanie z requestu. Prázdna hodnota = bez opakovania.
+ * Pri úprave sa z `existing` prenesie poradie výskytu a väzba na ďalší.
+ *
+ * @returns {{ error: string }|{ value: object|null }}
+ */
+const normalizeRecurrence = (input, existing = null) => {
+  if (input === undefined || input === null || input === '' || input === false) return { value: null };
+  if (typeof input !== 'object' || Array.isArray(input)) return { error: 'Neplatné opakovanie' };
+  if (!FREQUENCIES.includes(input.freq)) return { error: 'Neplatná frekvencia opakovania' };
+
+  const interval = input.interval === undefined || input.interval === null || input.interval === ''
+    ? 1
+    : Number(input.interval);
+  if (!isInt(interval, 1, MAX_INTERVAL)) {
+    return { error: `Interval opakovania musí byť 1 až ${MAX_INTERVAL}` };
+  }
+
+  let byWeekday = null;
+  if (input.freq === 'weekly' && Array.isArray(input.byWeekday) && input.byWeekday.length > 0) {
+    const days = input.byWeekday.map(Number);
+    if (!days.every(d => isInt(d, 0, 6))) return { error: 'Neplatné dni v týždni' };
+    byWeekday = [...new Set(days)].sort((a, b) => a - b);
+  }
+
+  let byMonthDay = null;
+  if ((input.freq === 'monthly' || input.freq === 'yearly') && input.byMonthDay != null && input.byMonthDay !== '') {
+    byMonthDay = Number(input.byMonthDay);
+    if (!isInt(byMonthDay, 1, 31)) return { error: 'Neplatný deň v mesiaci' };
+  }
+
+  const until = input.until ? toDay(input.until) : null;
+  if (input.until && !until) return { error: 'Neplatný dátum konca opakovania' };
+  const count = input.count === undefined || input.count === null || input.count === '' ? null : Number(input.count);
+  if (count !== null && !isInt(count, 1, MAX_COUNT)) {
+    return { error: `Počet opakovaní musí byť 1 až ${MAX_COUNT}` };
+  }
+  if (until && count) return { error: 'Koniec opakovania zadajte dátumom alebo počtom, nie oboma' };
+
+  return {
+    value: {
+      freq: input.freq,
+      interval,
+      byWeekday,
+      byMonthDay,
+      until,
+      count,
+      occurrence: existing?.occurrence || 1,
+      nextId: existing?.nextId || null,
+      ended: false
+    }
+  };
+};
+
+/**
+ * Termín ďalšieho výskytu po `dueDate` (bez termínu sa ráta od `today`).
+ *
+ * @returns {string|null} 'YYYY-MM-DD', alebo null keď séria končí
+ */
+const nextDueDate = (recurrence, dueDate, today = formatDay(new Date())) => {
+  if (!recurrence || !FREQUENCIES.includes(recurrence.freq)) return null;
+  const occurrence = recurrence.occurrence || 1;
+  if (recurrence.count && occurrence >= recurrence.count) return null;
+
+  const base = toDay(dueDate) || today;
+  const interval = recurrence.interval || 1;
+  let next;
+  switch (recurrence.freq) {
+    case 'daily':
+      next = addDays(base, interval);
+      break;
+    case 'weekly': {
+      const weekdays = recurrence.byWeekday || [];
+      if (weekdays.length === 0) {
+        next = addDays(base, 7 * interval);
+        break;
+      }
+      const baseWeek = weekStart(base);
+      for (let i = 1; i <= 7 * interval + 7 && !next; i++) {
+        const candidate = addDays(base, i);
+        const weeks = daysBetween(baseWeek, weekStart(candidate)) / 7;
+        if (weeks % interval === 0 && weekdays.includes(parseDay(candidate).getUTCDay())) next = candidate;
+      }
+      break;
+    }
+    case 'monthly':
+      next = addMonths(base, interval, recurrence.byMonthDay || parseDay(base).getUTCDate());
+      break;
+    case 'yearly':
+      next = addMonths(base, 12 * interval, recurrence.byMonthDay || parseDay(base).getUTCDate());
+      break;
+    default:
+      return null;
+  }
+
+  if (recurrence.until && next > recurrence.until) return null;
+  return next;
+};
+
+/**
+ * True pre výskyt, ktorý zastupuje sériu navonok (iCal feed, Google
+ * Calendar): ešte nedokončený a bez vygenerovaného nasledovníka. Staršie
+ * výskyty sa exportujú ako jednorazové.
+ */
+const isOpenSeries = (item) =>
+  Boolean(item?.recurrence && FREQUENCIES.includes(item.recurrence.freq)) &&
+  !item.completed && !item.recurrence.nextId && !item.recurrence.ended;
+
+/**
+ * RRULE hodnota (bez "RRULE:") pre sériu od tohto výskytu — COUNT je počet
+ * zostávajúcich výskytov vrátane tohto.
+ */
+const toRRule = (recurrence) => {
+  const parts = [`FREQ=${RRULE_FREQ[recurrence.freq]}`];
+  if (recurrence.interval > 1) parts.push(`INTERVAL=${recurrence.interval}`);
+  if (recurrence.freq === 'weekly' && recurrence.byWeekday?.length > 0) {
+    parts.push(`BYDAY=${recurrence.byWeekday.map(d => RRULE_WEEKDAYS[d]).join(',')}`);
+  }
+  if (recurrence.freq === 'monthly' && recurrence.byMonthDay) parts.push(`BYMONTHDAY=${recurrence.byMonthDay}`);
+  if (recurrence.until) parts.push(`UNTIL=${recurrence.until.replace(/-/g, '')}`);
+  if (recurrence.count) parts.push(`COUNT=${Math.max(1, recurrence.count - (recurrence.occurrence || 1) + 1)}`);
+  return parts.join(';');
+};
+
+module.exports = {
+  FREQUENCIES,
+  toDay,
+  addDays,
+  daysBetween,
+  normalizeRecurrence,
+  nextDueDate,
+  isOpenSeries,
+  toRRule
+};
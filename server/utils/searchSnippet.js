@@ -0,0 +1,107 @@
+/**
+ * searchSnippet.js — úryvok textu okolo nájdených slov pre výsledky
+ * fulltextového vyhľadávania (services/searchService.js).
+ *
+ * MongoDB text index (default_language 'none') hľadá celé slová bez ohľadu
+ * na veľkosť písmen a diakritiku, takže aj zvýraznenie porovnáva texty bez
+ * diakritiky — "uloha" nájde a zvýrazní "Úloha". Zvýrazňujú sa slová, ktoré
+ * hľadaným výrazom začínajú (index síce vráti len celé slová, ale skrátené
+ * slovo v zvýraznení neprekáža).
+ *
+ * Výsledok je pole úsekov, klient ich vykreslí bez HTML:
+ *   [{ type: 'text' | 'match', text }]
+ */
+
+const DEFAULT_MAX_LENGTH = 160;
+const CONTEXT_BEFORE = 40;
+const MAX_TERMS = 10;
+
+const WORD_RE = /[\p{L}\p{N}]+/gu;
+
+// Bez diakritiky a malými písmenami. NFD rozloží "á" na "a" + kombinujúci
+// znak, ktorý sa zahodí — dĺžka sa preto počíta po znakoch pôvodného textu.
+const fold = (str) => str.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+/**
+ * Rozloží dopyt na hľadané slová (bez diakritiky, bez duplikátov).
+ * Negácie (`-slovo`) sa nezvýrazňujú.
+ */
+const parseTerms = (query) => {
+  const terms = new Set();
+  for (const part of String(query || '').split(/\s+/)) {
+    if (!part || part.startsWith('-')) continue;
+    for (const word of part.match(WORD_RE) || []) {
+      terms.add(fold(word));
+    }
+  }
+  return [...terms].slice(0, MAX_TERMS);
+};
+
+// Rozsahy [start, end) slov textu, ktoré začínajú niektorým hľadaným slovom
+const findMatches = (text, terms) => {
+  const matches = [];
+  for (const word of text.matchAll(WORD_RE)) {
+    const folded = fold(word[0]);
+    if (terms.some(term => folded.startsWith(term))) {
+      matches.push({ start: word.index, end: word.index + word[0].length });
+    }
+  }
+  return matches;
+};
+
+/**
+ * Úryvok z `text` dlhý najviac `maxLength` znakov, začínajúci kúsok pred
+ * prvou zhodou. Bez zhody vráti začiatok textu.
+ */
+const buildSnippet = (text, terms, maxLength = DEFAULT_MAX_LENGTH) => {
+  const source = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!source) return [];
+
+  const matches = terms.length > 0 ? findMatches(source, terms) : [];
+  let from = 0;
+  if (matches.length > 0 && source.length > maxLength) {
+    from = Math.max(0, Math.min(matches[0].start - CONTEXT_BEFORE, source.length - maxLength));
+    // Nezačínať uprostred slova
+    const space = source.lastIndexOf(' ', from);
+    if (from > 0 && space !== -1 && from - space < 15) from = space + 1;
+  }
+  const to = Math.min(source.length, from + maxLength);
+
+  const segments = [];
+  const push = (type, value) => {
+    if (value) segments.push({ type, text: value });
+  };
+  if (from > 0) push('text', '…');
+
+  let cursor = from;
+  for (const match of matches) {
+    if (match.end <= from) continue;
+    if (match.start >= to) break;
+    const start = Math.max(match.start, from);
+    const end = Math.min(match.end, to);
+    push('text', source.slice(cursor, start));
+    push('match', source.slice(start, end));
+    cursor = end;
+  }
+  push('text', source.slice(cursor, to));
+  if (to < source.length) push('text', '…');
+
+  // Susedné textové úseky (napr. '…' + text) spojiť
+  return segments.reduce((out, segment) => {
+    const last = out[out.length - 1];
+    if (last && last.type === 'text' && segment.type === 'text') {
+      last.text += segment.text;
+    } else {
+      out.push({ ...segment });
+    }
+    return out;
+  }, []);
+};
+
+const hasMatch = (text, terms) => terms.length > 0 && findMatches(String(text || ''), terms).length > 0;
+
+module.exports = {
+  parseTerms,
+  buildSnippet,
+  hasMatch
+};
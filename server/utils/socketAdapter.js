@@ -0,0 +1,66 @@
+/**
+ * Socket.IO Redis adapter — lets several Node instances share rooms.
+ *
+ * With the default in-memory adapter every instance only knows its own
+ * sockets, so `io.to('workspace-…').emit(...)` from instance A never reaches
+ * clients connected to instance B. The Redis adapter publishes every
+ * broadcast over Redis pub/sub and each instance delivers it to its local
+ * sockets.
+ *
+ * Uses the same REDIS_URL as utils/redisClient.js. The adapter needs two
+ * dedicated connections (a subscriber can't run normal commands), so we
+ * duplicate the shared client instead of opening new configs.
+ *
+ * Graceful degradation:
+ *   Without REDIS_URL (or if the adapter fails to initialize) Socket.IO keeps
+ *   its in-memory adapter — fine for a single instance and local dev.
+ */
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { getRedis } = require('./redisClient');
+const logger = require('./logger');
+
+let pubClient = null;
+let subClient = null;
+
+function attachRedisAdapter(io) {
+  const redis = getRedis();
+  if (!redis) {
+    logger.info('[Socket.IO] Using in-memory adapter (single instance)');
+    return false;
+  }
+
+  try {
+    // The shared client has the offline queue off (cache reads must fail
+    // fast), but the adapter subscribes right away — before the connection
+    // is up — so these two queue commands until connected.
+    pubClient = redis.duplicate({ enableOfflineQueue: true });
+    subClient = redis.duplicate({ enableOfflineQueue: true });
+    for (const [name, client] of [['pub', pubClient], ['sub', subClient]]) {
+      client.on('error', (err) => {
+        const now = Date.now();
+        if (!client._lastErrLog || now - client._lastErrLog > 60000) {
+          logger.warn(`[Socket.IO] Redis ${name} connection error`, { error: err.message });
+          client._lastErrLog = now;
+        }
+      });
+    }
+    io.adapter(createAdapter(pubClient, subClient));
+    logger.info('[Socket.IO] Using Redis adapter');
+    return true;
+  } catch (err) {
+    logger.error('[Socket.IO] Failed to attach Redis adapter — falling back to in-memory', { error: err.message });
+    closeRedisAdapter();
+    return false;
+  }
+}
+
+// Graceful shutdown — close the adapter connections.
+function closeRedisAdapter() {
+  for (const client of [pubClient, subClient]) {
+    if (client) client.disconnect();
+  }
+  pubClient = null;
+  subClient = null;
+}
+
+module.exports = { attachRedisAdapter, closeRedisAdapter };
@@ -4,7 +4,7 @@
  * Kvóta (Tím = 1 GB, Pro = 10 GB na workspace) sa počíta z METADÁT
  * (files[].size) naprieč celým workspace-om: prílohy kontaktov
  * (contact.files) + prílohy taskov/subtaskov embedded v contact.tasks
- * + prílohy globálnych Task dokumentov. Historicky sa počítali len
+ * + prílohy globálnych Task dokumentov + obrázky v stránkach (PageFile). Historicky sa počítali len
  * contact.files — prílohy úloh boli úplne mimo kvóty (diera: cez 📎 pri
  * úlohe sa dala kvóta obísť).
  *
@@ -13,6 +13,7 @@
  */
 const Contact = require('../models/Contact');
 const Task = require('../models/Task');
+const PageFile = require('../models/PageFile');
 
 const STORAGE_LIMITS = { team: 1024 * 1024 * 1024, pro: 10 * 1024 * 1024 * 1024 };
 
@@ -40,11 +41,13 @@ const sumNodeFileBytes = (node) => {
   return sum;
 };
 
-// Celkové využitie workspace-u v bajtoch (kontakty + ich tasky + globálne Tasky)
+// Celkové využitie workspace-u v bajtoch (kontakty + ich tasky + globálne
+// Tasky + obrázky stránok)
 const computeWorkspaceFileBytes = async (workspaceId) => {
-  const [contacts, tasks] = await Promise.all([
+  const [contacts, tasks, pageFiles] = await Promise.all([
     Contact.find({ workspaceId }, CONTACT_EXCLUDE).lean(),
-    Task.find({ workspaceId }, TASK_EXCLUDE).lean()
+    Task.find({ workspaceId }, TASK_EXCLUDE).lean(),
+    PageFile.find({ workspaceId }, { size: 1, r2Key: 1 }).lean()
   ]);
   let sum = 0;
   for (const c of contacts) {
@@ -52,6 +55,10 @@ const computeWorkspaceFileBytes = async (workspaceId) => {
     for (const t of (c.tasks || [])) sum += sumNodeFileBytes(t);
   }
   for (const t of tasks) sum += sumNodeFileBytes(t);
+  // Kópie stránok a šablóny zdieľajú blob (services/pageFiles.js) — každý
+  // blob sa počíta raz
+  const pageBlobs = new Map(pageFiles.map(f => [f.r2Key, f.size || 0]));
+  for (const size of pageBlobs.values()) sum += size;
   return sum;
 };
 
@@ -0,0 +1,53 @@
+/**
+ * subtaskFields.js — polia podúloh, ktoré vlastní server.
+ *
+ * PUT projektu (routes/tasks.js, routes/contacts.js) môže poslať celé pole
+ * `subtasks`. Polia, ktoré sa menia len cez vlastné endpointy s kontrolami,
+ * sa z requestu nepreberajú — zostanú také, aké má uložená podúloha
+ * s rovnakým id:
+ *   - blockedBy — PUT /:id/dependencies (neznáme id, cykly)
+ *   - timeEntries — časovač a ručné záznamy (/:id/time…), autorom je
+ *     vždy prihlásený člen
+ */
+const SERVER_SUBTASK_FIELDS = {
+  blockedBy: () => [],
+  timeEntries: () => []
+};
+
+// id → uložená podúloha z celého stromu (podúloha sa môže presunúť o úroveň)
+const indexById = (subtasks, index = new Map()) => {
+  for (const subtask of subtasks || []) {
+    if (subtask?.id) index.set(subtask.id, subtask);
+    indexById(subtask?.subtasks, index);
+  }
+  return index;
+};
+
+const plain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+/**
+ * Podúlohy z requestu s poľami servera z uloženého stromu. Nová podúloha
+ * (id, ktoré uložené nie je) ich dostane prázdne.
+ *
+ * @param {Array} incoming — `req.body.subtasks`
+ * @param {Array} stored — aktuálne podúlohy projektu
+ * @returns {Array}
+ */
+function keepServerSubtaskFields(incoming, stored) {
+  if (!Array.isArray(incoming)) return incoming;
+  const index = indexById(stored);
+  const apply = (subtasks) => subtasks.map((subtask) => {
+    if (!subtask || typeof subtask !== 'object') return subtask;
+    const previous = index.get(subtask.id);
+    const next = { ...subtask };
+    for (const [field, empty] of Object.entries(SERVER_SUBTASK_FIELDS)) {
+      const value = previous ? plain(previous[field]) : undefined;
+      next[field] = value !== undefined ? value : empty();
+    }
+    if (Array.isArray(subtask.subtasks)) next.subtasks = apply(subtask.subtasks);
+    return next;
+  });
+  return apply(incoming);
+}
+
+module.exports = { keepServerSubtaskFields };
@@ -0,0 +1,91 @@
+/**
+ * taskDependencies.js — závislosti medzi projektmi a úlohami.
+ *
+ * Položka (projekt alebo podúloha, globálny Task aj projekt v kontakte) má
+ * `blockedBy: [id]` — id položiek, ktoré musia byť dokončené skôr. Id sú
+ * v celom workspace jedinečné (ObjectId projektov, UUID ostatných), takže
+ * závislosť môže viesť naprieč kontaktmi aj medzi globálnym projektom
+ * a úlohou v kontakte. Opačný smer ("blokuje") sa dopočíta z grafu.
+ *
+ * Zmazaná položka môže v `blockedBy` ostať — neznáme id nič neblokujú
+ * a pri ďalšom uložení závislostí sa vyhodia.
+ */
+const MAX_BLOCKERS = 50;
+const ID_MAX_LENGTH = 64;
+
+/**
+ * Validuje zoznam blokujúcich id z requestu (duplicity sa zlúčia).
+ *
+ * @returns {{ error: string }|{ value: string[] }}
+ */
+const normalizeBlockedBy = (input) => {
+  if (input === undefined || input === null) return { value: [] };
+  if (!Array.isArray(input)) return { error: 'Závislosti musia byť zoznam' };
+  if (input.some(id => typeof id !== 'string' || !id || id.length > ID_MAX_LENGTH)) {
+    return { error: 'Neplatná závislosť' };
+  }
+  const value = [...new Set(input)];
+  if (value.length > MAX_BLOCKERS) return { error: `Najviac ${MAX_BLOCKERS} závislostí` };
+  return { value };
+};
+
+/**
+ * Cyklus, ktorý by vznikol, keby `itemId` čakal na `blockedBy`.
+ *
+ * @param {Map<string, string[]>} graph — id → blockedBy pre celý workspace
+ * @returns {string[]|null} cesta [itemId, blocker, …, itemId], inak null
+ */
+const findCycle = (graph, itemId, blockedBy) => {
+  const visited = new Set();
+  const walk = (id, path) => {
+    if (id === itemId) return [...path, id];
+    if (visited.has(id)) return null;
+    visited.add(id);
+    for (const next of graph.get(id) || []) {
+      const cycle = walk(next, [...path, id]);
+      if (cycle) return cycle;
+    }
+    return null;
+  };
+  for (const blocker of blockedBy) {
+    const cycle = walk(blocker, [itemId]);
+    if (cycle) return cycle;
+  }
+  return null;
+};
+
+// id → completed pre projekt a všetky jeho podúlohy
+const completionSnapshot = (item) => {
+  const snapshot = new Map();
+  const walk = (node) => {
+    if (!node) return;
+    snapshot.set(node.id || node._id?.toString(), Boolean(node.completed));
+    (node.subtasks || []).forEach(walk);
+  };
+  walk(item);
+  return snapshot;
+};
+
+/**
+ * Id položiek projektu, ktoré sa od `snapshot` dokončili (odškrtnutie
+ * projektu dokončí aj podúlohy, preto sa porovnáva celý strom).
+ */
+const newlyCompletedIds = (snapshot, item) => {
+  const ids = [];
+  const walk = (node) => {
+    if (!node) return;
+    const id = node.id || node._id?.toString();
+    if (node.completed && snapshot.get(id) === false) ids.push(id);
+    (node.subtasks || []).forEach(walk);
+  };
+  walk(item);
+  return ids;
+};
+
+module.exports = {
+  MAX_BLOCKERS,
+  normalizeBlockedBy,
+  findCycle,
+  completionSnapshot,
+  newlyCompletedIds
+};
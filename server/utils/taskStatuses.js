@@ -0,0 +1,118 @@
+/**
+ * taskStatuses.js — stavy projektov pre Kanban (stĺpce nástenky).
+ *
+ * Workspace si stavy nastaví v `Workspace.taskStatuses` (poradie poľa =
+ * poradie stĺpcov); bez nastavenia platí DEFAULT_TASK_STATUSES. Stav s
+ * `done: true` je "hotovo" — projekt v ňom je `completed`.
+ *
+ * Projekt (Task aj projekt v kontakte) má `status` — id stavu — a
+ * `statusOrder`, poradie v stĺpci. `completed` ostáva zdrojom pravdy pre
+ * zvyšok appky (zoznam, notifikácie, Google sync), preto sa stav pri čítaní
+ * dopočíta cez effectiveStatus(): uložený stav platí, kým sedí s
+ * `completed`; inak (odškrtnutie v zozname, stav medzitým zmazaný z
+ * workspace, projekt spred zavedenia stavov) je to prvý "hotový" alebo
+ * prvý "otvorený" stav.
+ */
+const crypto = require('crypto');
+
+const MAX_TASK_STATUSES = 12;
+const MAX_STATUS_NAME_LENGTH = 40;
+const STATUS_ID_RE = /^[a-z0-9_-]{1,40}$/;
+const COLOR_RE = /^#[0-9a-f]{6}$/i;
+const DEFAULT_STATUS_COLOR = '#94a3b8';
+
+const DEFAULT_TASK_STATUSES = [
+  { id: 'backlog', name: 'Backlog', color: '#94a3b8', done: false },
+  { id: 'in_progress', name: 'Rozpracované', color: '#3b82f6', done: false },
+  { id: 'review', name: 'Na kontrolu', color: '#f59e0b', done: false },
+  { id: 'done', name: 'Hotovo', color: '#22c55e', done: true }
+];
+
+const plainStatus = (status) => ({
+  id: status.id,
+  name: status.name,
+  color: status.color || DEFAULT_STATUS_COLOR,
+  done: Boolean(status.done)
+});
+
+/**
+ * Stavy workspace (alebo predvolené, keď si ich nenastavil).
+ *
+ * @param {{ taskStatuses?: Array }|null} workspace
+ * @returns {Array<{ id: string, name: string, color: string, done: boolean }>}
+ */
+const statusesOf = (workspace) => {
+  const statuses = workspace?.taskStatuses;
+  return Array.isArray(statuses) && statuses.length > 0
+    ? statuses.map(plainStatus)
+    : DEFAULT_TASK_STATUSES.map(plainStatus);
+};
+
+/**
+ * Validuje nastavenie stavov z requestu. Nové stavy (bez id) dostanú
+ * vygenerované id, existujúce si ho nechajú — projekty v nich ostanú.
+ *
+ * @returns {{ error: string }|{ value: Array }}
+ */
+const normalizeTaskStatuses = (input) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: 'Zadajte aspoň jeden stav' };
+  }
+  if (input.length > MAX_TASK_STATUSES) {
+    return { error: `Najviac ${MAX_TASK_STATUSES} stavov` };
+  }
+
+  const seen = new Set();
+  const value = [];
+  for (const raw of input) {
+    const name = typeof raw?.name === 'string' ? raw.name.trim() : '';
+    if (!name) return { error: 'Stav musí mať názov' };
+    if (name.length > MAX_STATUS_NAME_LENGTH) {
+      return { error: `Názov stavu môže mať najviac ${MAX_STATUS_NAME_LENGTH} znakov` };
+    }
+    let id = raw.id;
+    if (id !== undefined && id !== null && id !== '') {
+      if (typeof id !== 'string' || !STATUS_ID_RE.test(id)) return { error: 'Neplatné id stavu' };
+    } else {
+      id = `status-${crypto.randomBytes(4).toString('hex')}`;
+    }
+    if (seen.has(id)) return { error: 'Stavy musia mať rôzne id' };
+    seen.add(id);
+    value.push({
+      id,
+      name,
+      color: typeof raw.color === 'string' && COLOR_RE.test(raw.color) ? raw.color : DEFAULT_STATUS_COLOR,
+      done: raw.done === true
+    });
+  }
+
+  if (!value.some(s => s.done)) return { error: 'Aspoň jeden stav musí znamenať hotový projekt' };
+  if (!value.some(s => !s.done)) return { error: 'Aspoň jeden stav musí znamenať otvorený projekt' };
+  return { value };
+};
+
+const findStatus = (statuses, id) => statuses.find(s => s.id === id) || null;
+
+/**
+ * Stav, v ktorom projekt je (viď hlavička súboru).
+ *
+ * @param {{ status?: string|null, completed?: boolean }} task
+ * @param {Array} statuses — statusesOf(workspace)
+ * @returns {string}
+ */
+const effectiveStatus = (task, statuses) => {
+  const completed = Boolean(task?.completed);
+  const stored = findStatus(statuses, task?.status);
+  if (stored && stored.done === completed) return stored.id;
+  const fallback = statuses.find(s => s.done === completed) || statuses[0];
+  return fallback.id;
+};
+
+module.exports = {
+  MAX_TASK_STATUSES,
+  DEFAULT_TASK_STATUSES,
+  statusesOf,
+  normalizeTaskStatuses,
+  findStatus,
+  effectiveStatus
+};
@@ -0,0 +1,142 @@
+/**
+ * taskTime.js — odhad a odpracovaný čas projektov a úloh.
+ *
+ * `estimate` je odhad v minútach (null = bez odhadu). `timeEntries` je
+ * výkaz po používateľoch: { id, userId, start, end, minutes, note, manual }.
+ * Bežiaci časovač má `end: null` a minúty sa mu dopočítajú až pri zastavení;
+ * ručný záznam má `start` = deň práce a `end` = `start`.
+ *
+ * Súčty (per kontakt, per člen) a CSV výkaz skladá services/taskTime.js.
+ */
+const MAX_ESTIMATE_MINUTES = 100000;
+const MAX_ENTRY_MINUTES = 24 * 60;
+const NOTE_MAX_LENGTH = 500;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_ZONE = 'Europe/Bratislava';
+const DAY_FORMAT = new Intl.DateTimeFormat('en-GB', {
+  timeZone: TIME_ZONE, year: 'numeric', month: '2-digit', day: '2-digit'
+});
+
+/**
+ * Odhad z requestu — minúty, '' / null = bez odhadu.
+ *
+ * @returns {{ error: string }|{ value: number|null }}
+ */
+const normalizeEstimate = (input) => {
+  if (input === null || input === '') return { value: null };
+  const minutes = Number(input);
+  if (!Number.isFinite(minutes) || minutes < 0 || minutes > MAX_ESTIMATE_MINUTES) {
+    return { error: 'Neplatný odhad času' };
+  }
+  return { value: Math.round(minutes) || null };
+};
+
+/**
+ * Začiatok práce 'YYYY-MM-DD' — '' / null = bez začiatku. Nesmie byť po
+ * termíne `dueDate` (ak ho položka má).
+ *
+ * @returns {{ error: string }|{ value: string|null }}
+ */
+const normalizeStartDate = (input, dueDate) => {
+  if (input == null || input === '') return { value: null };
+  if (typeof input !== 'string' || !DATE_RE.test(input) || Number.isNaN(Date.parse(input))) {
+    return { error: 'Neplatný dátum začiatku' };
+  }
+  if (dueDate && input > String(dueDate).slice(0, 10)) {
+    return { error: 'Začiatok nemôže byť po termíne' };
+  }
+  return { value: input };
+};
+
+/**
+ * Ručný záznam: { date: 'YYYY-MM-DD', minutes, note }.
+ *
+ * @returns {{ error: string }|{ value: { start, end, minutes, note, manual } }}
+ */
+const normalizeManualEntry = (input) => {
+  const { date, minutes, note } = input || {};
+  if (typeof date !== 'string' || !DATE_RE.test(date) || Number.isNaN(Date.parse(date))) {
+    return { error: 'Neplatný dátum záznamu' };
+  }
+  const value = Math.round(Number(minutes));
+  if (!Number.isFinite(value) || value < 1 || value > MAX_ENTRY_MINUTES) {
+    return { error: 'Čas záznamu musí byť 1 minúta až 24 hodín' };
+  }
+  if (note != null && (typeof note !== 'string' || note.length > NOTE_MAX_LENGTH)) {
+    return { error: `Poznámka môže mať najviac ${NOTE_MAX_LENGTH} znakov` };
+  }
+  return { value: { start: date, end: date, minutes: value, note: (note || '').trim(), manual: true } };
+};
+
+/**
+ * Obdobie výkazu z query: { from, to, userId } — dni 'YYYY-MM-DD', všetko voliteľné.
+ *
+ * @returns {{ error: string }|{ value: { from, to, userId } }}
+ */
+const normalizeTimeQuery = ({ from, to, userId } = {}) => {
+  for (const day of [from, to]) {
+    if (day && (typeof day !== 'string' || !DATE_RE.test(day))) return { error: 'Neplatné obdobie' };
+  }
+  if (from && to && from > to) return { error: 'Začiatok obdobia je po jeho konci' };
+  return { value: { from: from || null, to: to || null, userId: typeof userId === 'string' && userId ? userId : null } };
+};
+
+const isRunning = (entry) => Boolean(entry) && !entry.end;
+
+// Minúty záznamu; bežiaci časovač do `now`
+const entryMinutes = (entry, now = new Date()) => {
+  if (!isRunning(entry)) return entry?.minutes || 0;
+  return Math.max(0, Math.round((now - new Date(entry.start)) / 60000));
+};
+
+// Zastaví bežiaci časovač (aspoň minúta, najviac 24 h)
+const closeEntry = (entry, now = new Date()) => {
+  entry.end = now.toISOString();
+  entry.minutes = Math.min(MAX_ENTRY_MINUTES, Math.max(1, entryMinutes(entry, now)));
+  return entry;
+};
+
+// Deň záznamu 'YYYY-MM-DD' (pre filter obdobia a výkaz). Ručný záznam má
+// priamo deň, časovač sa počíta v Europe/Bratislava — inak by práca po
+// polnoci SK padla do predošlého dňa (server beží v UTC).
+const entryDay = (entry) => {
+  const start = String(entry.start || '');
+  const date = new Date(start);
+  if (DATE_RE.test(start) || Number.isNaN(date.getTime())) return start.slice(0, 10);
+  const parts = Object.fromEntries(DAY_FORMAT.formatToParts(date).map(({ type, value }) => [type, value]));
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+/**
+ * Záznamy projektu a jeho podúloh: [{ entry, item, kind }]; `item` je
+ * položka, na ktorej záznam je.
+ */
+const collectEntries = (task) => {
+  const rows = [];
+  const walk = (item, kind) => {
+    if (!item) return;
+    for (const entry of item.timeEntries || []) rows.push({ entry, item, kind });
+    (item.subtasks || []).forEach(sub => walk(sub, 'subtask'));
+  };
+  walk(task, 'task');
+  return rows;
+};
+
+// Odpracované minúty položky vrátane podúloh
+const trackedMinutes = (item, now = new Date()) =>
+  collectEntries(item).reduce((sum, { entry }) => sum + entryMinutes(entry, now), 0);
+
+module.exports = {
+  MAX_ESTIMATE_MINUTES,
+  MAX_ENTRY_MINUTES,
+  normalizeEstimate,
+  normalizeStartDate,
+  normalizeManualEntry,
+  normalizeTimeQuery,
+  isRunning,
+  entryMinutes,
+  closeEntry,
+  entryDay,
+  collectEntries,
+  trackedMinutes
+};
@@ -0,0 +1,175 @@
+/**
+ * taskViews.js — uložené pohľady zoznamu projektov a štítky projektov.
+ *
+ * Pohľad je pomenovaná kombinácia filtrov, zoradenia a zoskupenia, ktorú
+ * si člen uloží (models/TaskView.js). Filtre sa vyhodnocujú na klientovi
+ * nad zoznamom z GET /api/tasks — server ich len validuje a drží, aby boli
+ * rovnaké na každom zariadení a zdieľané pohľady u všetkých členov.
+ *
+ * Filtre (všetko voliteľné, prázdne pole = bez obmedzenia):
+ *   text        — hľadaný text (názov, popis, kontakt, podúlohy)
+ *   assignees   — id členov; 'me' = ten, kto pohľad práve otvoril,
+ *                 'none' = bez priradenia
+ *   priorities  — 'low' | 'medium' | 'high'
+ *   contactIds  — id kontaktov; 'none' = projekty bez kontaktu
+ *   statuses    — id stavov nástenky (utils/taskStatuses.js)
+ *   tags        — štítky projektu (stačí jeden zhodný)
+ *   duePreset   — relatívny termín: 'overdue' | 'today' | 'week' | 'month' | 'none'
+ *   dueFrom/dueTo — pevné obdobie termínu 'YYYY-MM-DD'
+ *   completion  — 'open' | 'done' | 'all'
+ *
+ * Štítky projektu (`tags`) sú krátke texty bez ohľadu na veľkosť písmen —
+ * 'Web' a 'web' sú ten istý štítok, ostane prvý zápis.
+ */
+const MAX_VIEW_NAME_LENGTH = 60;
+const MAX_FILTER_VALUES = 50;
+const MAX_FILTER_VALUE_LENGTH = 100;
+const MAX_TEXT_LENGTH = 200;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const VIEW_PRIORITIES = ['low', 'medium', 'high'];
+const DUE_PRESETS = ['overdue', 'today', 'week', 'month', 'none'];
+const COMPLETION_FILTERS = ['open', 'done', 'all'];
+const SORT_FIELDS = ['default', 'dueDate', 'startDate', 'priority', 'title', 'createdAt', 'modifiedAt'];
+const SORT_DIRECTIONS = ['asc', 'desc'];
+const GROUP_BY = ['none', 'contact', 'assignee', 'priority', 'status', 'due', 'tag'];
+
+/**
+ * Štítky z requestu — pole textov; orezané, bez duplicít (case-insensitive).
+ *
+ * @returns {{ error: string }|{ value: string[] }}
+ */
+const normalizeTags = (input) => {
+  if (input == null) return { value: [] };
+  if (!Array.isArray(input)) return { error: 'Štítky musia byť zoznam' };
+  const tags = [];
+  const seen = new Set();
+  for (const raw of input) {
+    if (typeof raw !== 'string') return { error: 'Neplatný štítok' };
+    const tag = raw.trim().replace(/\s+/g, ' ');
+    if (!tag) continue;
+    if (tag.length > MAX_TAG_LENGTH) return { error: `Štítok môže mať najviac ${MAX_TAG_LENGTH} znakov` };
+    const key = tag.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    tags.push(tag);
+  }
+  if (tags.length > MAX_TAGS) return { error: `Projekt môže mať najviac ${MAX_TAGS} štítkov` };
+  return { value: tags };
+};
+
+// Zoznam textových hodnôt filtra; `allowed` obmedzí na vymenované
+const stringList = (input, label, allowed = null) => {
+  if (input == null) return { value: [] };
+  if (!Array.isArray(input) || input.length > MAX_FILTER_VALUES) return { error: `Neplatný filter: ${label}` };
+  const values = [];
+  for (const raw of input) {
+    if (typeof raw !== 'string' || !raw.trim() || raw.length > MAX_FILTER_VALUE_LENGTH) {
+      return { error: `Neplatný filter: ${label}` };
+    }
+    if (allowed && !allowed.includes(raw)) return { error: `Neplatný filter: ${label}` };
+    if (!values.includes(raw.trim())) values.push(raw.trim());
+  }
+  return { value: values };
+};
+
+const oneOf = (value, allowed, fallback) => (value == null || value === '' ? { value: fallback }
+  : allowed.includes(value) ? { value } : { error: true });
+
+/**
+ * Filtre pohľadu z requestu.
+ *
+ * @returns {{ error: string }|{ value: object }}
+ */
+const normalizeViewFilters = (input = {}) => {
+  if (typeof input !== 'object' || Array.isArray(input)) return { error: 'Neplatné filtre' };
+
+  const text = input.text == null ? '' : input.text;
+  if (typeof text !== 'string' || text.length > MAX_TEXT_LENGTH) {
+    return { error: `Hľadaný text môže mať najviac ${MAX_TEXT_LENGTH} znakov` };
+  }
+
+  const lists = {};
+  for (const [key, label, allowed] of [
+    ['assignees', 'priradení', null],
+    ['priorities', 'priorita', VIEW_PRIORITIES],
+    ['contactIds', 'kontakty', null],
+    ['statuses', 'stav', null]
+  ]) {
+    const result = stringList(input[key], label, allowed);
+    if (result.error) return result;
+    lists[key] = result.value;
+  }
+  const tags = normalizeTags(input.tags);
+  if (tags.error) return tags;
+
+  const duePreset = oneOf(input.duePreset, DUE_PRESETS, null);
+  if (duePreset.error) return { error: 'Neplatný filter termínu' };
+  for (const day of [input.dueFrom, input.dueTo]) {
+    if (day && (typeof day !== 'string' || !DATE_RE.test(day))) return { error: 'Neplatné obdobie termínu' };
+  }
+  if (input.dueFrom && input.dueTo && input.dueFrom > input.dueTo) {
+    return { error: 'Začiatok obdobia je po jeho konci' };
+  }
+  const completion = oneOf(input.completion, COMPLETION_FILTERS, 'all');
+  if (completion.error) return { error: 'Neplatný filter dokončenia' };
+
+  return {
+    value: {
+      text: text.trim(),
+      ...lists,
+      tags: tags.value,
+      duePreset: duePreset.value,
+      dueFrom: input.dueFrom || null,
+      dueTo: input.dueTo || null,
+      completion: completion.value
+    }
+  };
+};
+
+/**
+ * Celý pohľad z requestu: { name, shared, filters, sort: { field, direction }, groupBy }.
+ *
+ * @returns {{ error: string }|{ value: object }}
+ */
+const normalizeView = (input) => {
+  const { name, shared, filters, sort, groupBy } = input || {};
+  if (typeof name !== 'string' || !name.trim()) return { error: 'Názov pohľadu je povinný' };
+  if (name.trim().length > MAX_VIEW_NAME_LENGTH) {
+    return { error: `Názov pohľadu môže mať najviac ${MAX_VIEW_NAME_LENGTH} znakov` };
+  }
+  if (shared != null && typeof shared !== 'boolean') return { error: 'Neplatné zdieľanie pohľadu' };
+
+  const normalizedFilters = normalizeViewFilters(filters || {});
+  if (normalizedFilters.error) return normalizedFilters;
+
+  const field = oneOf(sort?.field, SORT_FIELDS, 'default');
+  const direction = oneOf(sort?.direction, SORT_DIRECTIONS, 'asc');
+  if (field.error || direction.error) return { error: 'Neplatné zoradenie' };
+  const group = oneOf(groupBy, GROUP_BY, 'none');
+  if (group.error) return { error: 'Neplatné zoskupenie' };
+
+  return {
+    value: {
+      name: name.trim(),
+      shared: Boolean(shared),
+      filters: normalizedFilters.value,
+      sort: { field: field.value, direction: direction.value },
+      groupBy: group.value
+    }
+  };
+};
+
+module.exports = {
+  MAX_TAGS,
+  VIEW_PRIORITIES,
+  DUE_PRESETS,
+  COMPLETION_FILTERS,
+  SORT_FIELDS,
+  GROUP_BY,
+  normalizeTags,
+  normalizeViewFilters,
+  normalizeView
+};
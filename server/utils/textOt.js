@@ -0,0 +1,249 @@
+/**
+ * textOt.js — operačná transformácia (OT) pre text jedného bloku stránky.
+ *
+ * Operácia je pole komponentov, ktoré prejdú celý pôvodný text zľava:
+ *   kladné číslo  → retain n znakov (ponechaj)
+ *   string        → insert (vlož text)
+ *   záporné číslo → delete n znakov (zmaž)
+ * Napr. nad "Ahoj" je [2, 'xx', -1, 1] → "Ahxxj".
+ *
+ * Rovnaký formát a algoritmus ako ot.js (Jupiter/Google Wave model) —
+ * server drží jednu lineárnu históriu revízií a každú operáciu klienta
+ * transformuje cez operácie, ktoré medzitým prišli od iných. Klient robí
+ * zrkadlovú transformáciu (client/src/utils/textOt.js — MUSÍ ostať zhodný).
+ *
+ * Konvencia poradia: `transform(a, b)` — pri vkladaní na rovnaké miesto ide
+ * text z `a` PRED text z `b`. Server aj klient volajú transform s operáciou
+ * klienta ako `a`, takže obe strany sa zhodnú na výsledku.
+ */
+
+const isRetain = (c) => typeof c === 'number' && c > 0;
+const isDelete = (c) => typeof c === 'number' && c < 0;
+const isInsert = (c) => typeof c === 'string';
+
+const MAX_OP_COMPONENTS = 1000;
+
+/**
+ * Overí tvar operácie prijatej od klienta (nedôverujeme payloadu zo socketu).
+ */
+const isValidOp = (op) => {
+  if (!Array.isArray(op) || op.length === 0 || op.length > MAX_OP_COMPONENTS) return false;
+  return op.every(c =>
+    (typeof c === 'number' && Number.isInteger(c) && c !== 0) ||
+    (typeof c === 'string' && c.length > 0)
+  );
+};
+
+// Dĺžka textu, na ktorý sa operácia aplikuje
+const baseLength = (op) => op.reduce((len, c) => (isInsert(c) ? len : len + Math.abs(c)), 0);
+
+// Dĺžka textu po aplikovaní operácie
+const targetLength = (op) => op.reduce((len, c) => {
+  if (isInsert(c)) return len + c.length;
+  if (isRetain(c)) return len + c;
+  return len;
+}, 0);
+
+// Pridá komponent a zlúči ho s predchádzajúcim rovnakého druhu
+const pushComponent = (op, c) => {
+  if (c === 0 || c === '') return;
+  const last = op[op.length - 1];
+  if (last !== undefined) {
+    if (isRetain(last) && isRetain(c)) { op[op.length - 1] = last + c; return; }
+    if (isDelete(last) && isDelete(c)) { op[op.length - 1] = last + c; return; }
+    if (isInsert(last) && isInsert(c)) { op[op.length - 1] = last + c; return; }
+  }
+  op.push(c);
+};
+
+const isNoop = (op) => op.every(isRetain);
+
+/**
+ * Aplikuje operáciu na text. Ak operácia nesedí na dĺžku textu (klient mal
+ * iný stav), hodí chybu — volajúci to rieši resyncom.
+ */
+const apply = (text, op) => {
+  if (baseLength(op) !== text.length) {
+    throw new Error('Operation base length does not match text length');
+  }
+  let result = '';
+  let index = 0;
+  for (const c of op) {
+    if (isRetain(c)) {
+      result += text.slice(index, index + c);
+      index += c;
+    } else if (isInsert(c)) {
+      result += c;
+    } else {
+      index -= c;
+    }
+  }
+  return result;
+};
+
+/**
+ * transform(a, b) → [a', b'] také, že apply(apply(s, a), b') ===
+ * apply(apply(s, b), a'). Obe operácie musia vychádzať z rovnakého textu.
+ */
+const transform = (a, b) => {
+  if (baseLength(a) !== baseLength(b)) {
+    throw new Error('Both operations have to have the same base length');
+  }
+  const a1 = [];
+  const b1 = [];
+  let i = 0;
+  let j = 0;
+  let ca = a[i++];
+  let cb = b[j++];
+
+  while (ca !== undefined || cb !== undefined) {
+    if (isInsert(ca)) {
+      pushComponent(a1, ca);
+      pushComponent(b1, ca.length);
+      ca = a[i++];
+      continue;
+    }
+    if (isInsert(cb)) {
+      pushComponent(a1, cb.length);
+      pushComponent(b1, cb);
+      cb = b[j++];
+      continue;
+    }
+    if (ca === undefined || cb === undefined) {
+      throw new Error('Operations do not cover the same text');
+    }
+
+    let min;
+    if (isRetain(ca) && isRetain(cb)) {
+      if (ca > cb) { min = cb; ca -= cb; cb = b[j++]; }
+      else if (ca === cb) { min = cb; ca = a[i++]; cb = b[j++]; }
+      else { min = ca; cb -= ca; ca = a[i++]; }
+      pushComponent(a1, min);
+      pushComponent(b1, min);
+    } else if (isDelete(ca) && isDelete(cb)) {
+      // Obe zmazali ten istý text — ani jedna to už nemusí robiť
+      if (-ca > -cb) { ca -= cb; cb = b[j++]; }
+      else if (ca === cb) { ca = a[i++]; cb = b[j++]; }
+      else { cb -= ca; ca = a[i++]; }
+    } else if (isDelete(ca) && isRetain(cb)) {
+      if (-ca > cb) { min = cb; ca += cb; cb = b[j++]; }
+      else if (-ca === cb) { min = cb; ca = a[i++]; cb = b[j++]; }
+      else { min = -ca; cb += ca; ca = a[i++]; }
+      pushComponent(a1, -min);
+    } else {
+      // retain v a, delete v b
+      if (ca > -cb) { min = -cb; ca += cb; cb = b[j++]; }
+      else if (ca === -cb) { min = ca; ca = a[i++]; cb = b[j++]; }
+      else { min = ca; cb += ca; ca = a[i++]; }
+      pushComponent(b1, -min);
+    }
+  }
+  return [a1, b1];
+};
+
+/**
+ * compose(a, b) → jedna operácia s rovnakým efektom ako a, potom b.
+ * Klient ňou zlučuje rozpísané zmeny bloku, kým čaká na potvrdenie servera.
+ */
+const compose = (a, b) => {
+  if (targetLength(a) !== baseLength(b)) {
+    throw new Error('The base length of the second operation has to be the target length of the first');
+  }
+  const result = [];
+  let i = 0;
+  let j = 0;
+  let ca = a[i++];
+  let cb = b[j++];
+
+  while (ca !== undefined || cb !== undefined) {
+    if (isDelete(ca)) {
+      pushComponent(result, ca);
+      ca = a[i++];
+      continue;
+    }
+    if (isInsert(cb)) {
+      pushComponent(result, cb);
+      cb = b[j++];
+      continue;
+    }
+    if (ca === undefined || cb === undefined) {
+      throw new Error('Operations cannot be composed');
+    }
+
+    if (isRetain(ca) && isRetain(cb)) {
+      if (ca > cb) { pushComponent(result, cb); ca -= cb; cb = b[j++]; }
+      else if (ca === cb) { pushComponent(result, ca); ca = a[i++]; cb = b[j++]; }
+      else { pushComponent(result, ca); cb -= ca; ca = a[i++]; }
+    } else if (isInsert(ca) && isDelete(cb)) {
+      // b zmaže časť toho, čo a vložilo — to sa vôbec nemusí vkladať
+      if (ca.length > -cb) { ca = ca.slice(-cb); cb = b[j++]; }
+      else if (ca.length === -cb) { ca = a[i++]; cb = b[j++]; }
+      else { cb += ca.length; ca = a[i++]; }
+    } else if (isInsert(ca) && isRetain(cb)) {
+      if (ca.length > cb) { pushComponent(result, ca.slice(0, cb)); ca = ca.slice(cb); cb = b[j++]; }
+      else if (ca.length === cb) { pushComponent(result, ca); ca = a[i++]; cb = b[j++]; }
+      else { pushComponent(result, ca); cb -= ca.length; ca = a[i++]; }
+    } else {
+      // retain v a, delete v b
+      if (ca > -cb) { pushComponent(result, cb); ca += cb; cb = b[j++]; }
+      else if (ca === -cb) { pushComponent(result, cb); ca = a[i++]; cb = b[j++]; }
+      else { pushComponent(result, -ca); cb += ca; ca = a[i++]; }
+    }
+  }
+  return result;
+};
+
+/**
+ * Posunie pozíciu v texte (kurzor) cez operáciu. Vkladanie presne na
+ * pozícii kurzora ho posunie za vložený text len ak `insertBefore`.
+ */
+const transformIndex = (op, index, insertBefore = false) => {
+  let newIndex = index;
+  let position = 0;
+  for (const c of op) {
+    if (position > index) break;
+    if (isRetain(c)) {
+      position += c;
+    } else if (isInsert(c)) {
+      if (position < index || insertBefore) newIndex += c.length;
+    } else {
+      newIndex -= Math.min(index - position, -c);
+      position -= c;
+    }
+  }
+  return Math.max(0, newIndex);
+};
+
+/**
+ * Operácia z dvoch verzií textu — spoločný prefix/sufix, zvyšok nahradený.
+ * Stačí pre contentEditable, kde každý input event mení jedno súvislé miesto.
+ */
+const diffToOp = (oldText, newText) => {
+  let prefix = 0;
+  const maxPrefix = Math.min(oldText.length, newText.length);
+  while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) prefix++;
+  let suffix = 0;
+  const maxSuffix = Math.min(oldText.length, newText.length) - prefix;
+  while (suffix < maxSuffix &&
+         oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) {
+    suffix++;
+  }
+  const op = [];
+  pushComponent(op, prefix);
+  pushComponent(op, -(oldText.length - prefix - suffix));
+  pushComponent(op, newText.slice(prefix, newText.length - suffix));
+  pushComponent(op, suffix);
+  return op;
+};
+
+module.exports = {
+  isValidOp,
+  isNoop,
+  baseLength,
+  targetLength,
+  apply,
+  transform,
+  compose,
+  transformIndex,
+  diffToOp
+};